@@ -0,0 +1,127 @@
+/**
+ * ApneaTestLog - Journal des tests d'apnée statique maximale
+ *
+ * Chaque test est conservé (deepbreath_apnea_tests) avec ses conditions :
+ *   { id, date, duration, contractionOnset, lungVolume: 'full'|'frc', environment: 'dry'|'wet', notes }
+ *
+ * Le « max effectif » qui alimente les pourcentages des tables dépend de settings.apneaMaxSource :
+ *   'rolling' — meilleur test poumons pleins des N derniers jours (settings.apneaRollingDays)
+ *   'manual'  — valeur saisie dans les réglages (settings.apneaMax)
+ *   <id>      — un test précis choisi par l'utilisateur
+ */
+const APNEA_TESTS_KEY = 'deepbreath_apnea_tests';
+
+class ApneaTestLog {
+    constructor() {
+        this.limit = 200;
+    }
+
+    getAll() {
+        return window.storage.get(APNEA_TESTS_KEY, []);
+    }
+
+    _save(tests) {
+        if (tests.length > this.limit) tests.splice(0, tests.length - this.limit);
+        window.storage.set(APNEA_TESTS_KEY, tests, { origin: 'apneaLog' });
+    }
+
+    add(test) {
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            date: new Date().toISOString(),
+            duration: Math.round(test.duration),
+            contractionOnset: test.contractionOnset != null ? Math.round(test.contractionOnset) : null,
+            lungVolume: test.lungVolume || 'full',
+            environment: test.environment || 'dry',
+            notes: test.notes || ''
+        };
+        const tests = this.getAll();
+        tests.push(entry);
+        this._save(tests);
+        return entry;
+    }
+
+    remove(id) {
+        this._save(this.getAll().filter(t => t.id !== id));
+    }
+
+    get(id) {
+        return this.getAll().find(t => t.id === id) || null;
+    }
+
+    /**
+     * Meilleur test poumons pleins sur la fenêtre glissante
+     * @returns {Object|null} test retenu — null si aucun test récent (le record manuel s'applique)
+     */
+    rollingBest(days = 30) {
+        const since = Date.now() - days * 86400000;
+        const recent = this.getAll().filter(t => t.lungVolume !== 'frc' && new Date(t.date).getTime() >= since);
+        if (recent.length === 0) return null;
+        return recent.reduce((best, t) => t.duration > best.duration ? t : best);
+    }
+
+    /**
+     * Max effectif selon la source choisie
+     * @returns {{ value: number, source: string, test: Object|null }}
+     */
+    effectiveMax(settings) {
+        const source = settings.apneaMaxSource || 'rolling';
+        if (source === 'manual') {
+            return { value: settings.apneaMax, source, test: null };
+        }
+        const test = source === 'rolling'
+            ? this.rollingBest(settings.apneaRollingDays || 30)
+            : this.get(source);
+        if (!test) return { value: settings.apneaMax, source: 'manual', test: null };
+        return { value: test.duration, source, test };
+    }
+
+    describe(test) {
+        const date = new Date(test.date).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short', year: '2-digit' });
+        const m = Math.floor(test.duration / 60);
+        const s = test.duration % 60;
+        const tags = [test.lungVolume === 'frc' ? 'FRC' : 'pleins', test.environment === 'wet' ? 'eau' : 'sec'];
+        return `${date} — ${m}:${String(s).padStart(2, '0')} (${tags.join(', ')})`;
+    }
+
+    /**
+     * Courbe de tendance SVG : un point par test, ligne du meilleur glissant en pointillés
+     */
+    buildTrendSvg(days = 30, width = 320, height = 120) {
+        const tests = this.getAll().slice(-30);
+        if (tests.length < 2) return '';
+
+        const pad = 20;
+        const times = tests.map(t => new Date(t.date).getTime());
+        const t0 = Math.min(...times);
+        const t1 = Math.max(...times);
+        const maxV = Math.max(...tests.map(t => t.duration)) * 1.1;
+        const x = t => pad + (t1 > t0 ? (t - t0) / (t1 - t0) : 0.5) * (width - 2 * pad);
+        const y = v => height - pad - (v / maxV) * (height - 2 * pad);
+
+        // Meilleur des `days` jours précédant chaque test (poumons pleins)
+        const rolling = tests.map((t, i) => {
+            const ti = times[i];
+            const inWindow = tests.filter((u, j) => u.lungVolume !== 'frc' && times[j] <= ti && times[j] >= ti - days * 86400000);
+            return inWindow.length ? Math.max(...inWindow.map(u => u.duration)) : null;
+        });
+        const rollingPath = rolling
+            .map((v, i) => v === null ? '' : `${x(times[i]).toFixed(1)},${y(v).toFixed(1)}`)
+            .filter(Boolean).join(' ');
+
+        const dots = tests.map((t, i) => `
+            <circle cx="${x(times[i]).toFixed(1)}" cy="${y(t.duration).toFixed(1)}" r="3.5"
+                class="apnea-trend-dot${t.lungVolume === 'frc' ? ' frc' : ''}${t.environment === 'wet' ? ' wet' : ''}">
+                <title>${this.describe(t)}</title>
+            </circle>`).join('');
+
+        return `
+            <svg class="apnea-trend" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="apnea-trend-axis"/>
+                <polyline points="${rollingPath}" class="apnea-trend-rolling"/>
+                ${dots}
+            </svg>`;
+    }
+}
+
+window.apneaTestLog = new ApneaTestLog();
@@ -0,0 +1,237 @@
+/**
+ * ApneaProgression - Progression adaptative des tables CO2 / O2 / sans contraction
+ *
+ * Chaque table jouée est enregistrée cycle par cycle (apnée tenue ou arrêtée avant la cible,
+ * contractions, première contraction) dans deepbreath_apnea_table_history. La table suivante
+ * est proposée à partir de la dernière table réellement jouée :
+ *   - séance propre      → CO2 : repos raccourcis · O2 : apnées allongées · sans contraction : cible relevée
+ *   - cycle(s) échoué(s) → consolidation (repos rallongés / apnées plafonnées) ou recul
+ *   - contractions précoces (table ou deepbreath_contraction_history) → pas de durcissement
+ *
+ * La proposition est soumise à l'utilisateur (accepter, ajuster, refuser) avant le départ
+ * de la table — voir app.startApneaTable().
+ */
+const APNEA_TABLE_HISTORY_KEY = 'deepbreath_apnea_table_history';
+
+class ApneaProgression {
+    constructor() {
+        this.historyLimit = 60;
+
+        // Garde-fous
+        this.minRest = 10;              // s — repos CO2 minimal
+        this.minO2Rest = 60;            // s — repos O2 minimal
+        this.co2HoldCap = 0.6;          // × apneaMax
+        this.o2HoldCap = 0.85;          // × apneaMax
+        this.earlyContraction = 0.35;   // 1ère contraction avant 35 % de la cible = précoce
+    }
+
+    // ==========================================
+    // Historique
+    // ==========================================
+
+    getHistory(tableId) {
+        try {
+            const all = window.storage.get(APNEA_TABLE_HISTORY_KEY, []);
+            return tableId ? all.filter(h => h.tableId === tableId) : all;
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Enregistre une table jouée
+     * @param {string} tableId
+     * @param {Array<{hold:number, rest:number}>} table - table effectivement jouée
+     * @param {Array} cycles - [{ cycle, target, hold, completed, contractions, contractionOnset }]
+     * @param {Object} meta - { apneaMax, decision: 'baseline'|'accepted'|'tweaked'|'rejected' }
+     */
+    recordSession(tableId, table, cycles, meta = {}) {
+        if (!cycles || cycles.length === 0) return null;
+        const entry = {
+            date: new Date().toISOString(),
+            tableId,
+            apneaMax: meta.apneaMax || null,
+            decision: meta.decision || 'baseline',
+            table: table.map(r => ({ hold: r.hold, rest: r.rest })),
+            cycles
+        };
+        try {
+            const all = this.getHistory();
+            all.push(entry);
+            if (all.length > this.historyLimit) all.splice(0, all.length - this.historyLimit);
+            window.storage.set(APNEA_TABLE_HISTORY_KEY, all, { origin: 'apneaProgression' });
+        } catch (e) {
+            console.warn('Could not save apnea table history:', e);
+        }
+        return entry;
+    }
+
+    // ==========================================
+    // Proposition
+    // ==========================================
+
+    /**
+     * Propose la prochaine table
+     * @param {string} tableId - 'co2-table' | 'o2-table' | 'no-contraction'
+     * @param {Array<{hold:number, rest:number}>} base - table calculée depuis les réglages
+     * @param {number} apneaMax - record actuel (s)
+     * @returns {{ table, base, verdict, reasons: string[], changed: boolean }}
+     */
+    suggest(tableId, base, apneaMax) {
+        const result = { table: base.map(r => ({ ...r })), base, verdict: 'baseline', reasons: [], changed: false };
+        const last = this.getHistory(tableId).pop();
+
+        if (!last || !Array.isArray(last.cycles) || last.cycles.length === 0) {
+            result.reasons.push('Pas encore d\'historique pour cette table — table de base.');
+            return result;
+        }
+        if (last.apneaMax && apneaMax && Math.abs(last.apneaMax - apneaMax) / last.apneaMax > 0.05) {
+            result.reasons.push('Record d\'apnée modifié depuis la dernière table — table recalculée.');
+            return result;
+        }
+
+        // Repartir de la dernière table jouée, alignée sur le nombre de cycles demandé
+        const prev = base.map((r, i) => ({ ...(last.table[i] || last.table[last.table.length - 1] || r) }));
+        const analysis = this._analyse(last, tableId);
+
+        let table;
+        switch (tableId) {
+            case 'co2-table':      table = this._nextCO2(prev, analysis, apneaMax, result); break;
+            case 'o2-table':       table = this._nextO2(prev, analysis, apneaMax, result); break;
+            case 'no-contraction': table = this._nextNoContraction(prev, analysis, result); break;
+            default: return result;
+        }
+
+        result.table = table;
+        result.changed = JSON.stringify(table) !== JSON.stringify(base.map(r => ({ hold: r.hold, rest: r.rest })));
+        return result;
+    }
+
+    _analyse(last, tableId) {
+        const cycles = last.cycles;
+        const failed = cycles.filter(c => c.completed === false);
+        const onsets = cycles
+            .filter(c => c.contractionOnset != null && c.target > 0)
+            .map(c => c.contractionOnset / c.target);
+
+        // Tolérance aux contractions : dernière séance dédiée, si récente (< 14 jours)
+        let toleranceRatio = null;
+        try {
+            const ct = window.storage.get('deepbreath_contraction_history', []).pop();
+            if (ct && Date.now() - new Date(ct.date).getTime() < 14 * 86400000) {
+                const ratios = (ct.cycles || [])
+                    .filter(c => c.contractionOnset != null && c.holdDuration > 0)
+                    .map(c => c.contractionOnset / c.holdDuration);
+                if (ratios.length) toleranceRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+            }
+        } catch (e) {}
+
+        return {
+            clean: failed.length === 0,
+            failed,
+            firstFail: failed.length ? cycles.indexOf(failed[0]) : -1,
+            onsetRatio: onsets.length ? onsets.reduce((a, b) => a + b, 0) / onsets.length : toleranceRatio,
+            onsets: cycles.filter(c => c.contractionOnset != null).map(c => c.contractionOnset),
+            cycles: cycles.length
+        };
+    }
+
+    _nextCO2(prev, a, apneaMax, result) {
+        const hold = prev[0].hold;
+        if (a.clean && a.onsetRatio !== null && a.onsetRatio < this.earlyContraction) {
+            result.verdict = 'consolidate';
+            result.reasons.push('Table tenue, mais contractions précoces — on garde les mêmes repos.');
+            return prev;
+        }
+        if (a.clean) {
+            const atFloor = prev.every(r => r.rest <= this.minRest);
+            if (atFloor) {
+                const capped = Math.min(hold + 5, Math.round(apneaMax * this.co2HoldCap));
+                if (capped <= hold) {
+                    // Plafond atteint (ou abaissé par le record glissant) : on n'écourte pas l'apnée
+                    result.verdict = 'consolidate';
+                    result.reasons.push(`Repos au minimum et apnée au plafond (${Math.round(this.co2HoldCap * 100)} % du record) — table maintenue.`);
+                    return prev;
+                }
+                result.verdict = 'progress';
+                result.reasons.push(`Repos déjà au minimum — apnée portée à ${capped}s.`);
+                return prev.map(r => ({ hold: capped, rest: r.rest }));
+            }
+            // −10 %, mais au moins un pas de 5 s : sinon _round5 ramène les repos courts à leur valeur
+            const next = prev.map(r => ({
+                hold,
+                rest: Math.max(this.minRest, Math.min(r.rest - 5, this._round5(r.rest * 0.9)))
+            }));
+            if (next.every((r, i) => r.rest === prev[i].rest)) {
+                result.verdict = 'consolidate';
+                result.reasons.push('Tous les cycles tenus — repos déjà au minimum, table maintenue.');
+                return prev;
+            }
+            result.verdict = 'progress';
+            result.reasons.push('Tous les cycles tenus — repos raccourcis de 10 % (5 s au moins).');
+            return next;
+        }
+        if (a.failed.length === 1) {
+            result.verdict = 'consolidate';
+            result.reasons.push(`Cycle ${a.firstFail + 1} interrompu — repos rallongés à partir de ce cycle.`);
+            return prev.map((r, i) => i >= a.firstFail
+                ? { hold, rest: this._round5(Math.max(r.rest * 1.1, r.rest + 5)) }
+                : { ...r });
+        }
+        result.verdict = 'stepBack';
+        result.reasons.push(`${a.failed.length} cycles interrompus — repos +15 % (5 s au moins) et apnée −5 %.`);
+        return prev.map(r => ({ hold: Math.round(hold * 0.95), rest: Math.max(r.rest + 5, this._round5(r.rest * 1.15)) }));
+    }
+
+    _nextO2(prev, a, apneaMax, result) {
+        const cap = Math.round(apneaMax * this.o2HoldCap);
+        if (a.clean) {
+            const last = prev[prev.length - 1].hold;
+            if (last >= cap) {
+                result.verdict = 'progress';
+                result.reasons.push(`Apnée finale au plafond (${cap}s) — repos réduits de 10 s.`);
+                return prev.map(r => ({ hold: r.hold, rest: Math.max(this.minO2Rest, r.rest - 10) }));
+            }
+            result.verdict = 'progress';
+            result.reasons.push('Tous les cycles tenus — apnées allongées de 5 %.');
+            return prev.map(r => ({ hold: Math.min(cap, Math.round(r.hold * 1.05)), rest: r.rest }));
+        }
+        // Plafonner les apnées à la plus longue réellement tenue
+        const completed = prev.filter((r, i) => i < a.firstFail);
+        const ceiling = completed.length ? Math.max(...completed.map(r => r.hold)) : Math.round(prev[0].hold * 0.9);
+        result.verdict = a.failed.length > 1 ? 'stepBack' : 'consolidate';
+        result.reasons.push(`Cycle ${a.firstFail + 1} interrompu — apnées plafonnées à ${ceiling}s.`);
+        return prev.map(r => ({
+            hold: a.failed.length > 1 ? Math.round(Math.min(r.hold, ceiling) * 0.95) : Math.min(r.hold, ceiling),
+            rest: r.rest
+        }));
+    }
+
+    _nextNoContraction(prev, a, result) {
+        const hold = prev[0].hold;
+        let next = hold;
+        if (!a.clean) {
+            next = Math.round(hold * 0.9);
+            result.verdict = 'stepBack';
+            result.reasons.push('Cycle(s) interrompu(s) — cible réduite de 10 %.');
+        } else if (a.onsets.length) {
+            // Cible juste sous la première contraction médiane, sans bond de plus de 10 %
+            const sorted = [...a.onsets].sort((x, y) => x - y);
+            const median = sorted[Math.floor(sorted.length / 2)];
+            next = Math.min(Math.round(median * 0.95), Math.round(hold * 1.1));
+            result.verdict = next >= hold ? 'progress' : 'consolidate';
+            result.reasons.push(`Première contraction médiane à ${Math.round(median)}s — cible ajustée à ${next}s.`);
+        } else {
+            next = Math.round(hold * 1.05);
+            result.verdict = 'progress';
+            result.reasons.push('Aucune contraction signalée — cible relevée de 5 %.');
+        }
+        return prev.map(r => ({ hold: next, rest: r.rest }));
+    }
+
+    _round5(v) {
+        return Math.round(v / 5) * 5;
+    }
+}
+
+window.apneaProgression = new ApneaProgression();
@@ -17,12 +17,20 @@ class JmeeDeepBreathApp {
         this.currentPhaseIndex = 0;
         this.currentCycle = 0;
         this.phaseTimer = null;
+        this._phaseSkip = null;
         this.displayTimer = null;
         this.elapsedTime = 0;
 
-        // BreathingEngine v2 (Canvas 2D + RAF timer)
+        // BreathEngine (séquenceur unique + renderer canvas)
         this.engine = null;
 
+        // ExerciseRunner — protocoles déclarés par `steps` dans EXERCISES
+        this.runner = null;
+
+        // Journal d'événements de la dernière séance terminée (rattaché à la session par le coach)
+        this.sessionTelemetry = null;
+        this.sessionHeartRate = null;
+
         // Wake Lock to prevent screen from sleeping during exercises
         this.wakeLock = null;
 
@@ -40,6 +48,8 @@ class JmeeDeepBreathApp {
         return {
             mode: 'auto', // 'auto' or 'manual'
             apneaMax: 120, // 2 minutes in seconds
+            apneaMaxSource: 'rolling', // 'rolling' | 'manual' | id d'un test du journal
+            apneaRollingDays: 30, // fenêtre du meilleur glissant
 
             // Guided exercise timing
             guidedTimingMode: 'adaptive', // 'adaptive' or 'fixed'
@@ -51,10 +61,30 @@ class JmeeDeepBreathApp {
             o2EndPercent: 75,
             noContractionPercent: 30,
 
+            // Langue de l'interface, des consignes et des prompts : '' = langue de l'appareil
+            language: '',
+
             // Voice settings
             voiceSelectedName: '',  // '' = auto priority, name string = user-selected voice
             voiceRate: 78,          // % (50-120), divided by 100 for TTS rate (0.78 default)
 
+            // Annonces vocales chronométrées par catégorie : 'off' | 'light' | 'normal' | 'dense'
+            voiceCueDensity: {
+                respiration: 'normal',
+                apnee: 'normal',
+                visualisation: 'normal',
+                urgence: 'normal',
+                preperformance: 'normal',
+                autohypnose: 'normal',
+                chasse: 'normal'
+            },
+
+            // Rendu BreathEngine : 'wave' | 'orb' | 'text'
+            breathRenderer: 'wave',
+
+            // Ambiance propre à l'exercice (soundscape de l'exercice ou de sa catégorie) pendant la séance
+            soundscapeByExercise: true,
+
             // Exercise-specific settings
             exercises: {
                 'cyclic-sighing': {
@@ -74,6 +104,11 @@ class JmeeDeepBreathApp {
                     ratio: '1:1',
                     hold: 0
                 },
+                'resonance-assessment': {
+                    fromRate: 6.5,
+                    toRate: 4.5,
+                    stepMinutes: 2
+                },
                 'box': {
                     duration: 5,
                     boxTime: 4
@@ -252,15 +287,10 @@ class JmeeDeepBreathApp {
     }
 
     loadSettings() {
-        const saved = localStorage.getItem('deepbreath_settings');
+        const saved = window.storage.get('deepbreath_settings');
         if (saved) {
-            try {
-                const parsed = JSON.parse(saved);
-                // Merge with defaults to ensure all keys exist
-                return this.mergeSettings(this.getDefaultSettings(), parsed);
-            } catch (e) {
-                return this.getDefaultSettings();
-            }
+            // Merge with defaults to ensure all keys exist
+            return this.mergeSettings(this.getDefaultSettings(), saved);
         }
         return this.getDefaultSettings();
     }
@@ -278,7 +308,7 @@ class JmeeDeepBreathApp {
     }
 
     saveSettings(silent = false) {
-        localStorage.setItem('deepbreath_settings', JSON.stringify(this.settings));
+        window.storage.set('deepbreath_settings', this.settings, { origin: 'app' });
         if (!silent) this.showToast('Paramètres enregistrés');
     }
 
@@ -305,8 +335,13 @@ class JmeeDeepBreathApp {
         this.setupExerciseCards();
         this.setupModal();
         this.setupApneaTest();
+        this.setupHeartRate();
         this.setupSettings();
+        this.setupLanguage();
+        this.setupVoiceCues();
+        this.refreshApneaMax();
         this.updatePersonalBestDisplay();
+        this.renderApneaTestLog();
         this.applySettingsMode();
         this.setupOfflineMode();
         this.setupSpotifyControls();
@@ -322,6 +357,32 @@ class JmeeDeepBreathApp {
         this.setupFavoris();
         this.initChasseModule();
         this.injectVersion();
+        this.handleLaunchParams();
+    }
+
+    /**
+     * Lien profond ?exercise=<id> (rappels du calendrier exporté par le plan de semaine)
+     */
+    handleLaunchParams() {
+        const params = new URLSearchParams(window.location.search);
+        const exerciseId = params.get('exercise');
+        if (!exerciseId) return;
+
+        // Retirer le paramètre : un rechargement ne relance pas l'exercice
+        history.replaceState(null, '', window.location.pathname + window.location.hash);
+        const exercise = EXERCISES[exerciseId];
+        if (!exercise) {
+            this.showToast(window.i18n.t('Exercice inconnu : {id}', { id: exerciseId }), 'warning');
+            return;
+        }
+
+        // Le son ne démarre qu'après une interaction : sans elle, attendre le premier toucher
+        if (navigator.userActivation?.hasBeenActive) {
+            this.startExercise(exerciseId);
+            return;
+        }
+        this.showToast(window.i18n.t('Touche l\'écran pour lancer « {name} »', { name: exercise.name }));
+        document.addEventListener('pointerdown', () => this.startExercise(exerciseId), { once: true });
     }
 
     injectVersion() {
@@ -410,7 +471,7 @@ class JmeeDeepBreathApp {
     // ==========================================
 
     // ==========================================
-    // Sync — Cross-device via GitHub Gist
+    // Sync — Cross-device (Gist, WebDAV, REST, dossier local)
     // ==========================================
 
     setupSync() {
@@ -441,33 +502,41 @@ class JmeeDeepBreathApp {
 
         this._syncListenersAttached = true;
 
+        // --- Choix du stockage ---
+        const backendSelect = document.getElementById('syncBackend');
+        if (backendSelect) {
+            backendSelect.addEventListener('change', () => this._syncShowBackendFields(backendSelect.value));
+        }
+
+        const btnPickFolder = document.getElementById('btnSyncPickFolder');
+        if (btnPickFolder) {
+            btnPickFolder.addEventListener('click', async () => {
+                if (!window.FolderSyncBackend.isSupported()) {
+                    this.showToast('Dossier local non pris en charge par ce navigateur', 'warning');
+                    return;
+                }
+                try {
+                    this._syncFolderHandle = await window.FolderSyncBackend.pick();
+                    const nameEl = document.getElementById('syncFolderName');
+                    if (nameEl) nameEl.textContent = this._syncFolderHandle.name;
+                } catch (err) {
+                    if (err.name !== 'AbortError') this.showToast('Erreur : ' + err.message);
+                }
+            });
+        }
+
         // --- Configurer ---
         btnSetup.addEventListener('click', async () => {
-            const tokenInput = document.getElementById('syncToken');
-            const gistIdInput = document.getElementById('syncGistId');
-            const token = tokenInput?.value?.trim();
-            const existingGistId = gistIdInput?.value?.trim();
-            if (!token || token === '••••••••') {
-                this.showToast('Entrez votre token GitHub', 'warning');
-                return;
-            }
+            const name = backendSelect ? backendSelect.value : 'gist';
+            const config = this._syncReadBackendFields(name);
+            if (!config) return;
             btnSetup.disabled = true;
             btnSetup.textContent = 'Configuration...';
             try {
-                if (existingGistId && existingGistId.length > 10) {
-                    alert('connect: token=' + token.substring(0,8) + ' gist=' + existingGistId.substring(0,8));
-                    await sync.connect(token, existingGistId);
-                    this.showToast('✓ Connecté au Gist existant');
-                } else {
-                    alert('setup: token=' + token.substring(0,8));
-                    const gistId = await sync.setup(token);
-                    if (gistIdInput) gistIdInput.value = gistId;
-                    this.showToast('✓ Sync configurée ! Gist créé.');
-                }
-                if (tokenInput) tokenInput.value = '••••••••';
+                const created = await sync.configure(name, config);
+                this.showToast(created ? '✓ Sync configurée ! Données envoyées.' : `✓ Connecté (${sync.describe()})`);
                 this._syncRestoreUI();
             } catch (err) {
-                alert('ERR: ' + String(err) + ' | msg=' + (err && err.message));
                 this.showToast('Erreur : ' + (err && err.message ? err.message : String(err)));
             }
             btnSetup.disabled = false;
@@ -486,11 +555,11 @@ class JmeeDeepBreathApp {
                     } catch (refreshErr) {
                         alert('REFRESH ERR: ' + String(refreshErr) + '\n' + (refreshErr.stack || ''));
                     }
-                    const gid = (sync.gistId || '?').substring(0, 8);
-                    this.showToast(`[${gid}] L${diag.localBefore}+G${diag.gistSessions}→${diag.mergedCount} push=${diag.pushed?'✓':'✗'} v=${diag.verified}`);
+                    this.showToast(`[${sync.describe()}] L${diag.localBefore}+G${diag.gistSessions}→${diag.mergedCount} push=${diag.pushed?'✓':'✗'} v=${diag.verified}`
+                        + (diag.conflicts ? ` — ${diag.conflicts} conflit(s) à résoudre` : ''));
                 } catch (err) {
                     alert('SYNC ERR: ' + String(err) + '\n' + (err.stack || ''));
-                    this.showToast(`Erreur sync : ${err.message}`, 'error');
+                    this.showToast(window.i18n.t('Erreur sync : {message}', { message: err.message }), 'error');
                 }
                 btnSyncNow.textContent = 'Sync maintenant';
                 btnSyncNow.disabled = false;
@@ -501,30 +570,51 @@ class JmeeDeepBreathApp {
         if (btnDisconnect) {
             btnDisconnect.addEventListener('click', () => {
                 sync.disconnect();
-                const tokenInput = document.getElementById('syncToken');
-                const gistIdInput = document.getElementById('syncGistId');
-                if (tokenInput) tokenInput.value = '';
-                if (gistIdInput) gistIdInput.value = '';
+                ['syncToken', 'syncGistId', 'syncWebdavPassword', 'syncRestToken'].forEach(id => {
+                    const input = document.getElementById(id);
+                    if (input) input.value = '';
+                });
+                this._syncFolderHandle = null;
                 this._syncRestoreUI();
                 this.showToast('Sync déconnectée');
             });
         }
 
-        // Restore UI state now that listeners are attached
+        // --- Sync automatique ---
+        const autoToggle = document.getElementById('syncAuto');
+        if (autoToggle) {
+            autoToggle.addEventListener('change', () => {
+                sync.setAutoSync(autoToggle.checked);
+                this.showToast(autoToggle.checked ? 'Sync automatique activée' : 'Sync automatique désactivée');
+            });
+        }
+
+        // Restore UI state now that listeners are attached (again once the backend is restored)
         this._syncRestoreUI();
+        sync.ready.then(() => this._syncRestoreUI());
     }
 
     _syncRestoreUI() {
         const sync = window.dataSync;
         if (!sync) return;
-        const tokenInput = document.getElementById('syncToken');
-        const gistIdInput = document.getElementById('syncGistId');
+        const backendSelect = document.getElementById('syncBackend');
         const btnSetup = document.getElementById('btnSyncSetup');
         const btnSyncNow = document.getElementById('btnSyncNow');
         const btnDisconnect = document.getElementById('btnSyncDisconnect');
+        const autoRow = document.getElementById('syncAutoRow');
+        const autoToggle = document.getElementById('syncAuto');
+        if (autoRow) autoRow.style.display = sync.enabled ? '' : 'none';
+        if (autoToggle) autoToggle.checked = sync.autoSync;
+        sync.renderConflicts();
+        sync.renderEncryption();
+        sync.renderHistory();
+        if (backendSelect) {
+            backendSelect.value = sync.backendName;
+            backendSelect.disabled = sync.enabled;
+        }
+        this._syncShowBackendFields(sync.backendName);
         if (sync.enabled) {
-            if (tokenInput) tokenInput.value = '••••••••';
-            if (gistIdInput) gistIdInput.value = sync.gistId;
+            this._syncFillBackendFields(sync.backend);
             if (btnSetup) btnSetup.style.display = 'none';
             if (btnSyncNow) btnSyncNow.style.display = '';
             if (btnDisconnect) btnDisconnect.style.display = '';
@@ -535,27 +625,78 @@ class JmeeDeepBreathApp {
         }
     }
 
+    _syncShowBackendFields(name) {
+        document.querySelectorAll('.sync-backend-fields').forEach(group => {
+            group.hidden = group.dataset.backend !== name;
+        });
+    }
+
+    /** Champs du stockage connecté — secrets masqués */
+    _syncFillBackendFields(backend) {
+        const set = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value || '';
+        };
+        const config = backend.config || {};
+        if (backend.name === 'gist') {
+            set('syncToken', '••••••••');
+            set('syncGistId', config.gistId);
+        } else if (backend.name === 'webdav') {
+            set('syncWebdavUrl', config.url);
+            set('syncWebdavUser', config.username);
+            set('syncWebdavPassword', '••••••••');
+        } else if (backend.name === 'rest') {
+            set('syncRestUrl', config.url);
+            set('syncRestToken', config.token ? '••••••••' : '');
+        } else if (backend.name === 'folder') {
+            const nameEl = document.getElementById('syncFolderName');
+            if (nameEl) nameEl.textContent = backend.describe();
+        }
+    }
+
+    /** Configuration saisie pour un stockage — null (avec message) si incomplète */
+    _syncReadBackendFields(name) {
+        const val = id => document.getElementById(id)?.value?.trim() || '';
+        if (name === 'gist') {
+            const token = val('syncToken');
+            if (!token || token === '••••••••') {
+                this.showToast('Entrez votre token GitHub', 'warning');
+                return null;
+            }
+            // Gist ID trop court : ignoré, un nouveau Gist est créé
+            const gistId = val('syncGistId');
+            return { token, gistId: gistId.length > 10 ? gistId : '' };
+        }
+        if (name === 'webdav' || name === 'rest') {
+            const url = val(name === 'webdav' ? 'syncWebdavUrl' : 'syncRestUrl');
+            if (!/^https?:\/\//.test(url)) {
+                this.showToast('Entrez une URL http(s) valide', 'warning');
+                return null;
+            }
+            return name === 'webdav'
+                ? { url, username: val('syncWebdavUser'), password: val('syncWebdavPassword') }
+                : { url, token: val('syncRestToken') };
+        }
+        if (name === 'folder') {
+            if (!this._syncFolderHandle) {
+                this.showToast('Choisissez un dossier', 'warning');
+                return null;
+            }
+            return { handle: this._syncFolderHandle };
+        }
+        return null;
+    }
+
     _refreshUIAfterSync() {
+        // Coach, journal et plan de semaine suivent eux-mêmes les changements de window.storage
         this.settings = this.loadSettings();
         this.populateSettingsUI();
-        if (window.coach) {
-            window.coach.sessions = window.coach.loadSessions();
-            window.coach.goals = localStorage.getItem('deepbreath_goals') || '';
-            window.coach.customPrompt = localStorage.getItem('deepbreath_coach_custom_prompt') || '';
-            window.coach.coachSettings = window.coach.loadCoachSettings();
-            const cp = document.getElementById('coachCustomPrompt');
-            if (cp) cp.value = window.coach.customPrompt;
-            const gi = document.getElementById('coachGoals');
-            if (gi) gi.value = window.coach.goals;
-            if (window.coach.updateStatsDisplay) window.coach.updateStatsDisplay();
-            if (window.coach.renderRecentSessions) window.coach.renderRecentSessions();
-        }
-        if (window.journal) window.journal.render();
-        if (window.weeklyPlan) window.weeklyPlan.render();
+        this.refreshApneaMax();
+        this.renderApneaTestLog();
     }
 
     // ==========================================
-    // Backup — Export & Import all localStorage data
+    // Backup — Export & Import all local data
     // ==========================================
 
     static get BACKUP_KEYS() {
@@ -569,9 +710,14 @@ class JmeeDeepBreathApp {
             'deepbreath_chat_history',
             'deepbreath_sequences',
             'deepbreath_weekly_plan',
+            'deepbreath_calendar_events',
+            'deepbreath_breath_themes',
             'deepbreath_contraction_history',
             'deepbreath_comfort_zone_history',
             'deepbreath_frc_comfort_history',
+            'deepbreath_apnea_table_history',
+            'deepbreath_apnea_tests',
+            'deepbreath_resonance_history',
             'deepbreath_sync_gistId',
             'deepbreath_sync_deviceId',
         ];
@@ -595,10 +741,14 @@ class JmeeDeepBreathApp {
     exportAllData() {
         const data = {};
         for (const key of JmeeDeepBreathApp.BACKUP_KEYS) {
-            const raw = localStorage.getItem(key);
-            if (raw !== null) {
-                try { data[key] = JSON.parse(raw); } catch { data[key] = raw; }
+            if (window.storage.isCollection(key)) {
+                const value = window.storage.get(key);
+                if (value !== undefined) data[key] = value;
+                continue;
             }
+            // Identifiants de sync : restent dans localStorage (propres à l'appareil)
+            const raw = localStorage.getItem(key);
+            if (raw !== null) data[key] = raw;
         }
         const payload = { exportDate: new Date().toISOString(), version: APP_VERSION, appName: 'JmeeDeepBreath', data };
         const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
@@ -618,8 +768,11 @@ class JmeeDeepBreathApp {
                 const payload = JSON.parse(e.target.result);
                 if (!payload.data || typeof payload.data !== 'object') throw new Error('Format invalide');
                 for (const key of JmeeDeepBreathApp.BACKUP_KEYS) {
-                    if (key in payload.data) {
-                        const val = payload.data[key];
+                    if (!(key in payload.data)) continue;
+                    const val = payload.data[key];
+                    if (window.storage.isCollection(key)) {
+                        window.storage.import(key, val, 'import');
+                    } else {
                         localStorage.setItem(key, typeof val === 'string' ? val : JSON.stringify(val));
                     }
                 }
@@ -835,12 +988,10 @@ class JmeeDeepBreathApp {
         if (voiceVolumeValue)  { voiceVolumeValue.textContent  = voicePct  + '%'; }
 
         // Sync toggle button states
-        // Ocean: lire oceanEnabled depuis localStorage car ocean.start() est async (pas encore jouant)
+        // Ocean: lire oceanEnabled depuis les réglages stockés car ocean.start() est async (pas encore jouant)
         let oceanEnabledOnStart = true; // default
-        try {
-            const se = JSON.parse(localStorage.getItem('soundengine_settings') || '{}');
-            if (se.oceanEnabled !== undefined) oceanEnabledOnStart = se.oceanEnabled;
-        } catch (e) {}
+        const se = window.storage.get('soundengine_settings', {});
+        if (se.oceanEnabled !== undefined) oceanEnabledOnStart = se.oceanEnabled;
         if (soundToggle)       soundToggle.classList.toggle('active', oceanEnabledOnStart);
         if (breathSoundToggle) breathSoundToggle.classList.toggle('active', SoundEngine.breath.enabled);
 
@@ -934,6 +1085,137 @@ class JmeeDeepBreathApp {
                 _flashSaved();
             });
         }
+
+        // ── Paysage sonore de l'ambiance ──────────────────────────────────────
+        this.setupSoundscapes(_flashSaved);
+    }
+
+    /**
+     * Choix du paysage sonore (soundscapes.js) et de ses paramètres, appliqués à la fin du geste
+     * (change) : chaque modification reconstruit le paysage en fondu enchaîné
+     */
+    setupSoundscapes(onSaved) {
+        const select = document.getElementById('soundscapeSelect');
+        const info = document.getElementById('soundscapeInfo');
+        const paramsBox = document.getElementById('soundscapeParams');
+        const byExercise = document.getElementById('soundscapeByExercise');
+        const registry = window.soundscapes;
+        if (!select || !registry) return;
+
+        const format = (value, spec) => `${Number(value.toFixed(2))}${spec.unit ? ' ' + spec.unit : ''}`;
+
+        const renderParams = () => {
+            const id = select.value;
+            const def = registry.get(id);
+            const values = SoundEngine.ambience.getParams(id);
+            info.textContent = def.description;
+            paramsBox.innerHTML = Object.entries(def.params).map(([key, spec]) => `
+                <div class="volume-row">
+                    <label class="volume-label">${spec.label}</label>
+                    <div class="volume-slider-row">
+                        <input type="range" class="volume-slider" data-param="${key}"
+                            min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${values[key]}">
+                        <span class="volume-value">${format(values[key], spec)}</span>
+                    </div>
+                </div>`).join('');
+        };
+
+        select.innerHTML = '';
+        registry.list().forEach(scape => {
+            const opt = document.createElement('option');
+            opt.value = scape.id;
+            opt.textContent = scape.name;
+            select.appendChild(opt);
+        });
+        select.value = registry.get(SoundEngine.ambience.selected) ? SoundEngine.ambience.selected : 'ocean';
+        renderParams();
+
+        select.addEventListener('change', () => {
+            SoundEngine.ambience.setSoundscape(select.value);
+            renderParams();
+            onSaved();
+        });
+
+        paramsBox.addEventListener('input', (e) => {
+            const key = e.target.dataset.param;
+            if (!key) return;
+            const spec = registry.get(select.value).params[key];
+            e.target.nextElementSibling.textContent = format(parseFloat(e.target.value), spec);
+        });
+        paramsBox.addEventListener('change', (e) => {
+            const key = e.target.dataset.param;
+            if (!key) return;
+            SoundEngine.ambience.setParams(select.value, { [key]: parseFloat(e.target.value) });
+            onSaved();
+        });
+
+        if (byExercise) {
+            byExercise.checked = this.settings.soundscapeByExercise !== false;
+            byExercise.addEventListener('change', () => {
+                this.settings.soundscapeByExercise = byExercise.checked;
+                this.saveSettings(true);
+                if (this.isRunning) this.applyExerciseSoundscape(byExercise.checked ? this.currentExercise : null);
+            });
+        }
+    }
+
+    /** Ambiance propre à l'exercice pendant la séance ; null rend l'ambiance des réglages */
+    applyExerciseSoundscape(exercise) {
+        if (!window.soundscapes) return;
+        const spec = exercise && this.settings.soundscapeByExercise !== false
+            ? window.soundscapes.defaultFor(exercise)
+            : null;
+        SoundEngine.ambience.useExercise(spec);
+    }
+
+    // ==========================================
+    // Language
+    // ==========================================
+
+    setupLanguage() {
+        const select = document.getElementById('languageSelect');
+        if (!select) return;
+        Object.entries(window.i18n.languages).forEach(([code, language]) => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = language.label;
+            select.appendChild(opt);
+        });
+        select.value = this.settings.language || '';
+
+        // Rechargement : textes statiques, rendus et voix repartent dans la nouvelle langue
+        select.addEventListener('change', () => {
+            this.settings.language = select.value;
+            this.saveSettings(true);
+            location.reload();
+        });
+    }
+
+    // ==========================================
+    // Annonces vocales
+    // ==========================================
+
+    setupVoiceCues() {
+        const container = document.getElementById('voiceCueSettings');
+        if (!container || !window.voiceCues) return;
+        const labels = { off: 'Aucune', light: 'Légère', normal: 'Normale', dense: 'Dense' };
+
+        Object.entries(window.voiceCues.categories).forEach(([category, label]) => {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            row.innerHTML = `
+                <label for="voiceCues-${category}">${label}</label>
+                <select id="voiceCues-${category}" class="form-select">
+                    ${window.voiceCues.levels.map(level => `<option value="${level}">${labels[level]}</option>`).join('')}
+                </select>`;
+            const select = row.querySelector('select');
+            select.value = window.voiceCues.density(category);
+            select.addEventListener('change', () => {
+                this.settings.voiceCueDensity = { ...this.settings.voiceCueDensity, [category]: select.value };
+                this.saveSettings(true);
+            });
+            container.appendChild(row);
+        });
     }
 
     // ==========================================
@@ -969,10 +1251,11 @@ class JmeeDeepBreathApp {
                 // Clear all options except the first "Auto" option
                 while (voiceSelect.options.length > 1) voiceSelect.remove(1);
 
+                const prefix = window.i18n.locale.slice(0, 2);
                 let separatorAdded = false;
                 voices.forEach(v => {
-                    // Add a visual separator before non-French voices
-                    if (!separatorAdded && !v.lang.startsWith('fr')) {
+                    // Add a visual separator before voices in other languages
+                    if (!separatorAdded && !v.lang.startsWith(prefix)) {
                         separatorAdded = true;
                         const sep = document.createElement('option');
                         sep.disabled = true;
@@ -983,7 +1266,7 @@ class JmeeDeepBreathApp {
                     opt.value = v.name;
                     const quality = v.name.toLowerCase().includes('premium') || v.name.toLowerCase().includes('enhanced') ? ' ⭐' : '';
                     const cloud = v.localService ? '' : ' ☁️';
-                    const lang = v.lang.startsWith('fr') ? '' : ` [${v.lang}]`;
+                    const lang = v.lang.startsWith(prefix) ? '' : ` [${v.lang}]`;
                     opt.textContent = v.name + quality + cloud + lang;
                     voiceSelect.appendChild(opt);
                 });
@@ -1012,6 +1295,12 @@ class JmeeDeepBreathApp {
             });
         }
 
+        // --- Packs de voix enregistrées ---
+        this.setupVoicePacks();
+
+        // --- Thèmes des sons de respiration ---
+        this.setupBreathThemes();
+
         // --- Speech rate slider ---
         const voiceRateRange = document.getElementById('voiceRateRange');
         const voiceRateValue = document.getElementById('voiceRateValue');
@@ -1030,6 +1319,289 @@ class JmeeDeepBreathApp {
                 this.saveSettings(true);
             });
         }
+
+        // --- Renderer BreathEngine ---
+        const rendererSelect = document.getElementById('breathRendererSelect');
+        if (window.BreathEngine) {
+            window.BreathEngine.setRenderer(this.settings.breathRenderer || 'wave');
+        }
+        if (rendererSelect && window.BreathEngine) {
+            rendererSelect.value = this.settings.breathRenderer || 'wave';
+            rendererSelect.addEventListener('change', (e) => {
+                if (!window.BreathEngine.setRenderer(e.target.value)) return;
+                this.settings.breathRenderer = e.target.value;
+                this.saveSettings(true);
+            });
+        }
+    }
+
+    setupVoicePacks() {
+        const packSelect = document.getElementById('voicePackSelect');
+        const fileInput = document.getElementById('voicePackFile');
+        const btnImport = document.getElementById('btnImportVoicePack');
+        const btnRemove = document.getElementById('btnRemoveVoicePack');
+        const btnTemplate = document.getElementById('btnVoicePackTemplate');
+        const info = document.getElementById('voicePackInfo');
+        const packs = window.voicePacks;
+        if (!packSelect || !packs || !VoicePacks.isSupported()) return;
+
+        const render = async () => {
+            await packs.ready;
+            const current = SoundEngine.voice.packId || '';
+            while (packSelect.options.length > 1) packSelect.remove(1);
+            packs.packs.forEach(pack => {
+                const opt = document.createElement('option');
+                opt.value = pack.id;
+                opt.textContent = `${pack.name} (${pack.count} phrases)`;
+                packSelect.appendChild(opt);
+            });
+            const active = packs.packs.find(p => p.id === current);
+            packSelect.value = active ? current : '';
+            btnRemove.style.display = active ? '' : 'none';
+            info.textContent = active
+                ? `Les phrases absentes du pack restent en synthèse vocale${active.missing ? ` (${active.missing} fichiers manquants à l'import)` : ''}.`
+                : '';
+        };
+        render();
+
+        packSelect.addEventListener('change', async (e) => {
+            SoundEngine.voice.setPack(e.target.value || null);
+            await render();
+            if (window.voiceGuide.enabled) setTimeout(() => window.voiceGuide.speak('Voix sélectionnée'), 200);
+        });
+
+        btnImport.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            btnImport.disabled = true;
+            try {
+                const pack = await packs.importZip(file);
+                SoundEngine.voice.setPack(pack.id);
+                await render();
+                this.showToast(window.i18n.t('Pack « {name} » importé : {count} phrases', { name: pack.name, count: pack.count }));
+            } catch (error) {
+                console.error('Voice pack import failed:', error);
+                this.showToast(error.message, 'error');
+            } finally {
+                btnImport.disabled = false;
+            }
+        });
+
+        btnRemove.addEventListener('click', async () => {
+            const pack = packs.activePack;
+            if (!pack || !confirm(`Supprimer le pack « ${pack.name} » de cet appareil ?`)) return;
+            SoundEngine.voice.setPack(null);
+            await packs.remove(pack.id);
+            await render();
+            this.showToast('Pack de voix supprimé');
+        });
+
+        btnTemplate.addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(packs.buildTemplate(), null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url; a.download = 'manifest.json';
+            document.body.appendChild(a); a.click();
+            document.body.removeChild(a); URL.revokeObjectURL(url);
+        });
+    }
+
+    /**
+     * Thèmes des sons de respiration : choix du thème (réglages audio, multi-timer) et éditeur
+     * — une phase à la fois en JSON, aperçu, duplication, import/export (breath-themes.js)
+     */
+    setupBreathThemes() {
+        const themes = window.breathThemes;
+        const select = document.getElementById('breathThemeSelect');
+        const modal = document.getElementById('breathThemeModal');
+        if (!themes || !select || !modal) return;
+
+        const editSelect = document.getElementById('breathThemeEditSelect');
+        const nameInput = document.getElementById('breathThemeName');
+        const gainInput = document.getElementById('breathThemeGain');
+        const phaseSelect = document.getElementById('breathThemePhase');
+        const durationInput = document.getElementById('breathThemePreviewDuration');
+        const json = document.getElementById('breathThemeJson');
+        const hint = document.getElementById('breathThemeHint');
+        const errorList = document.getElementById('breathThemeErrors');
+        const fileInput = document.getElementById('breathThemeFile');
+        const btnSave = document.getElementById('btnBreathThemeSave');
+        const btnDelete = document.getElementById('btnBreathThemeDelete');
+
+        let draft = null;       // copie du thème en cours d'édition
+        let phase = 'inhale';
+
+        const fillOptions = (el, value = el.value) => {
+            el.innerHTML = '';
+            themes.list().forEach(t => {
+                const opt = document.createElement('option');
+                opt.value = t.id;
+                opt.textContent = t.name;
+                el.appendChild(opt);
+            });
+            el.value = themes.get(value) ? value : 'zen';
+        };
+
+        // Registre modifié (éditeur, import, sync) : listes à jour, thème supprimé → zen
+        const refresh = () => {
+            if (!themes.get(SoundEngine.breath.theme)) SoundEngine.breath.setTheme('zen');
+            fillOptions(select, SoundEngine.breath.theme);
+            const sequenceSelect = document.getElementById('breathSoundTheme');
+            if (sequenceSelect) fillOptions(sequenceSelect);
+            if (draft) {
+                if (themes.get(draft.id)) fillOptions(editSelect, draft.id);
+                else load('zen');
+            }
+        };
+
+        const showErrors = (errors) => {
+            errorList.innerHTML = errors.map(e => `<li>${this.escapeHtml(e)}</li>`).join('');
+            return !errors.length;
+        };
+
+        // Texte de la phase affichée → draft ; une zone vide retire la phase
+        const readPhase = () => {
+            const text = json.value.trim();
+            if (!text) {
+                delete draft.phases[phase];
+                return true;
+            }
+            let def;
+            try {
+                def = JSON.parse(text);
+            } catch (e) {
+                return showErrors([window.i18n.t('JSON invalide : {error}', { error: e.message })]);
+            }
+            if (!showErrors(themes.validatePhase(def, phase))) return false;
+            draft.phases[phase] = def;
+            return true;
+        };
+
+        const readGain = () => {
+            const gain = parseFloat(gainInput.value);
+            return isNaN(gain) ? 0.6 : gain;
+        };
+
+        const showPhase = () => {
+            const def = draft.phases[phase];
+            json.value = def ? JSON.stringify(def, null, 2) : '';
+            const notes = [];
+            if (themes.isBuiltin(draft.id)) notes.push(window.i18n.t('Thème intégré : dupliquez-le pour enregistrer vos modifications.'));
+            if (!def) notes.push(window.i18n.t('Phase absente : la phase la plus proche est jouée.'));
+            hint.textContent = notes.join(' ');
+            showErrors([]);
+        };
+
+        const load = (id) => {
+            const theme = themes.get(id) || themes.get('zen');
+            draft = JSON.parse(JSON.stringify(theme));
+            delete draft.builtin;
+            const builtin = themes.isBuiltin(draft.id);
+            fillOptions(editSelect, draft.id);
+            nameInput.value = draft.name;
+            nameInput.disabled = builtin;
+            gainInput.value = draft.gain !== undefined ? draft.gain : 0.6;
+            btnSave.disabled = builtin;
+            btnDelete.style.display = builtin ? 'none' : '';
+            showPhase();
+        };
+
+        const save = (theme) => {
+            try {
+                const saved = themes.save(theme);
+                load(saved.id);
+                this.showToast(window.i18n.t('Thème « {name} » enregistré', { name: saved.name }));
+            } catch (error) {
+                showErrors(error.message.split('\n'));
+            }
+        };
+
+        refresh();
+        themes.onChange(refresh);
+
+        select.addEventListener('change', (e) => {
+            SoundEngine.breath.setTheme(e.target.value);
+        });
+
+        document.getElementById('btnBreathThemeEditor').addEventListener('click', () => {
+            load(SoundEngine.breath.theme);
+            modal.classList.add('active');
+        });
+        document.getElementById('breathThemeClose').addEventListener('click', () => {
+            SoundEngine.breath.stop();
+            modal.classList.remove('active');
+            draft = null;
+        });
+
+        editSelect.addEventListener('change', (e) => load(e.target.value));
+
+        phaseSelect.addEventListener('change', (e) => {
+            if (!readPhase()) {
+                e.target.value = phase;
+                return;
+            }
+            phase = e.target.value;
+            showPhase();
+        });
+
+        document.getElementById('btnBreathThemePreview').addEventListener('click', () => {
+            if (!readPhase()) return;
+            const duration = Math.max(1, Math.min(30, parseFloat(durationInput.value) || 4));
+            SoundEngine.breath.previewPhase({ ...draft, gain: readGain() }, phase, duration);
+        });
+
+        btnSave.addEventListener('click', () => {
+            if (!readPhase()) return;
+            save({ ...draft, name: nameInput.value.trim(), gain: readGain() });
+        });
+
+        document.getElementById('btnBreathThemeDuplicate').addEventListener('click', () => {
+            if (!readPhase()) return;
+            const copy = themes.duplicate(draft.id);
+            save({ ...copy, phases: draft.phases, gain: readGain() });
+        });
+
+        btnDelete.addEventListener('click', () => {
+            if (!confirm(window.i18n.t('Supprimer le thème « {name} » ?', { name: draft.name }))) return;
+            const id = draft.id;
+            if (SoundEngine.breath.theme === id) SoundEngine.breath.setTheme('zen');
+            load('zen');
+            themes.remove(id);
+            this.showToast('Thème supprimé');
+        });
+
+        document.getElementById('btnBreathThemeUse').addEventListener('click', () => {
+            SoundEngine.breath.setTheme(draft.id);
+            select.value = draft.id;
+            this.showToast(window.i18n.t('Thème « {name} » utilisé pour les sons de respiration', { name: draft.name }));
+        });
+
+        document.getElementById('btnBreathThemeExport').addEventListener('click', () => {
+            const blob = new Blob([themes.exportJson(draft.id)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url; a.download = `theme-${draft.id}.json`;
+            document.body.appendChild(a); a.click();
+            document.body.removeChild(a); URL.revokeObjectURL(url);
+        });
+
+        document.getElementById('btnBreathThemeImport').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const theme = themes.importJson(await file.text());
+                load(theme.id);
+                this.showToast(window.i18n.t('Thème « {name} » importé', { name: theme.name }));
+            } catch (error) {
+                console.error('Breath theme import failed:', error);
+                showErrors(error.message.split('\n'));
+                this.showToast(window.i18n.t('Import impossible : thème invalide'), 'error');
+            }
+        });
     }
 
     // ==========================================
@@ -1143,8 +1715,11 @@ class JmeeDeepBreathApp {
             let apneaSaveTimeout;
             const updateApneaMax = () => {
                 this.settings.apneaMax = parseInt(apneaMinutes.value || 0) * 60 + parseInt(apneaSeconds.value || 0);
+                // Saisie manuelle : elle prime sur le journal des tests
+                this.settings.apneaMaxSource = 'manual';
                 this.updateComputedValues();
                 this.updatePersonalBestDisplay();
+                this.renderApneaTestLog();
                 clearTimeout(apneaSaveTimeout);
                 apneaSaveTimeout = setTimeout(() => this.saveSettings(true), 300);
             };
@@ -1795,6 +2370,8 @@ class JmeeDeepBreathApp {
             exercise.cycles = this._v(userSettings.cycles, exercise.cycles);
             exercise.weekLevel = this._v(userSettings.weekLevel, exercise.weekLevel);
             exercise.restDuration = this._v(userSettings.restDuration, exercise.restDuration);
+            const weekConfig = exercise.weekConfigs[exercise.weekLevel] || exercise.weekConfigs[1];
+            exercise.contractionBeyond = weekConfig.beyondContraction;
             this._updateDynamicInstructions(exercise, exerciseId);
             return exercise;
         }
@@ -1888,6 +2465,16 @@ class JmeeDeepBreathApp {
                 exercise.phases[2].duration = this._v(userSettings.exhale, exercise.phases[2].duration);
                 break;
 
+            case 'resonance-assessment':
+                exercise.fromRate = parseFloat(this._v(userSettings.fromRate, exercise.fromRate));
+                exercise.toRate = parseFloat(this._v(userSettings.toRate, exercise.toRate));
+                exercise.stepMinutes = parseFloat(this._v(userSettings.stepMinutes, exercise.stepMinutes));
+                exercise.rateSteps = window.resonanceAssessment
+                    ? window.resonanceAssessment.buildSteps(exercise.fromRate, exercise.toRate, exercise.stepMinutes)
+                    : [];
+                exercise.duration = Math.round(exercise.rateSteps.length * exercise.stepMinutes);
+                break;
+
             case 'coherent':
                 exercise.duration = this._v(userSettings.duration, exercise.duration);
                 exercise.phases[0].duration = this._v(userSettings.inhale, exercise.phases[0].duration);
@@ -1897,17 +2484,9 @@ class JmeeDeepBreathApp {
             case 'cardiac-coherence': {
                 exercise.duration = this._v(userSettings.duration, exercise.duration);
 
-                // Fréquence → durée totale du cycle
-                const ccFreqMap = {
-                    '4.5': 60 / 4.5,
-                    '5.0': 12,
-                    '5.5': 60 / 5.5,
-                    '6.0': 10,
-                    '6.5': 60 / 6.5,
-                    '7.0': 60 / 7
-                };
-                const ccFreq = this._v(userSettings.frequency, '5.5');
-                const ccTotalCycle = ccFreqMap[ccFreq] || (60 / 5.5);
+                // Fréquence → durée totale du cycle (4.0–7.5, plage de l'évaluation de résonance)
+                const ccFreq = parseFloat(this._v(userSettings.frequency, '5.5'));
+                const ccTotalCycle = ccFreq > 0 ? 60 / ccFreq : 60 / 5.5;
 
                 // Rétention poumons pleins (secondes)
                 const ccHoldRaw = userSettings.hold != null ? parseFloat(userSettings.hold) : 0;
@@ -2163,7 +2742,7 @@ class JmeeDeepBreathApp {
     getApneaTableParams(exerciseId, exercise, userSettings) {
         // En mode optimal, les tables d'apnée se comportent comme en mode auto (% de apneaMax)
         const isAutoMode = this.settings.mode === 'auto' || this.settings.mode === 'optimal';
-        const apneaMax = this.settings.apneaMax;
+        const apneaMax = this.getEffectiveApneaMax();
 
         exercise.cycles = userSettings.cycles || exercise.cycles;
 
@@ -2344,15 +2923,11 @@ class JmeeDeepBreathApp {
     // ==========================================
 
     getFavorites() {
-        try {
-            return JSON.parse(localStorage.getItem('deepbreath_favorites') || '[]');
-        } catch {
-            return [];
-        }
+        return window.storage.get('deepbreath_favorites', []);
     }
 
     saveFavorites(favs) {
-        localStorage.setItem('deepbreath_favorites', JSON.stringify(favs));
+        window.storage.set('deepbreath_favorites', favs, { origin: 'app' });
     }
 
     isFavorite(exerciseId) {
@@ -2516,7 +3091,16 @@ class JmeeDeepBreathApp {
         // Contraction button
         const contractionBtn = document.getElementById('btnMarkContraction');
         if (contractionBtn) {
-            contractionBtn.addEventListener('click', () => this.markContraction());
+            contractionBtn.addEventListener('click', () => {
+                if (this.runner) this.runner.markContraction();
+                else if (this._apneaHold) this.markApneaTableContraction();
+            });
+        }
+
+        // Skip button (protocoles déclaratifs, BreathEngine et protocoles historiques)
+        const skipBtn = document.getElementById('btnSkip');
+        if (skipBtn) {
+            skipBtn.addEventListener('click', () => this.skipPhase());
         }
 
         // Close on backdrop click
@@ -2534,7 +3118,11 @@ class JmeeDeepBreathApp {
 
             if (e.code === 'Space') {
                 e.preventDefault();
+                // Une apnée ouverte peut consommer Espace (ex: fin de rétention Wim Hof)
+                if (this.runner && this.runner.handleKey(e.code)) return;
                 this.togglePause();
+            } else if (e.code === 'ArrowRight') {
+                this.skipPhase();
             } else if (e.code === 'Escape') {
                 this.closeExercise();
             }
@@ -2554,6 +3142,7 @@ class JmeeDeepBreathApp {
 
         // Bug #12 : clean up any lingering timers from a previous exercise
         if (this.phaseTimer) { clearInterval(this.phaseTimer); this.phaseTimer = null; }
+        this._phaseSkip = null;
         if (this.displayTimer) { clearInterval(this.displayTimer); this.displayTimer = null; }
 
         // Stop any residual sounds
@@ -2575,33 +3164,22 @@ class JmeeDeepBreathApp {
         this._blRoundIndex = 0;
         this._blCycleInRound = 1;
         this._blRoundStartTime = null;
-        // Passive Breath Hanger
-        this._pbhCycle = 1;
-        this._pbhHoldTimes = [];
-        this._pbhUrgeTime = null;
-        this._pbhHoldStart = null;
-        this._pbhPausedTime = 0;
-        this._pbhPauseStart = null;
-        this._pbhPrepMidSpoken = false;   // Bug #11 : reset here, not at end of prep
-        // VHL
-        this._vhlSerie = 1;
-        this._vhlBreathInCycle = 1;
-        this._vhlRestBreathCount = 0;
-        // VHL Statique
-        this._vhlsCycle = 1;
-        this._vhlsHoldStart = null;
-        this._vhlsPausedMs = 0;           // Bug #15 : always reset pause accumulator
-        this._vhlsPauseStart = null;
         // IMST
         this._imstSet = 1;
         this._imstRep = 1;
-        // Wim Hof
-        this.wimHofRound = 1;
-        this.wimHofBreath = 1;
+        // Protocoles déclaratifs (PBH, VHL, Wim Hof, contractions…)
+        if (this.runner) { this.runner.stop(); this.runner = null; }
+        // Trace FC de la séance (si un cardiofréquencemètre est connecté)
+        this.sessionHeartRate = null;
+        if (window.heartRate) window.heartRate.startRecording();
+        this.updateExerciseHeartRate();
 
         // Prevent screen from sleeping during exercise
         this.requestWakeLock();
 
+        // Ambiance de l'exercice (sommeil, auto-hypnose…) avant que SoundEngine ne la démarre
+        this.applyExerciseSoundscape(exercise);
+
         // Initialize SoundEngine — single AudioContext for all audio
         await SoundEngine.init();
 
@@ -2615,10 +3193,8 @@ class JmeeDeepBreathApp {
         // Switch between Canvas (new engine) and Legacy circle containers
         const canvasContainer = document.getElementById('breathCanvasContainer');
         const circleContainer = document.getElementById('breathCircleContainer');
-        const isLegacyExercise = exercise.isComfortZone || exercise.isApneaWithGuidance ||
-            exercise.isContractionTable || exercise.isApneaTable || exercise.isDeepSleep ||
-            exercise.isGuided || exercise.isWimHof ||
-            exercise.isPassiveBreathHanger || exercise.isVHLStatic || exercise.isVHL;
+        const isLegacyExercise = !!exercise.steps || exercise.isComfortZone || exercise.isApneaWithGuidance ||
+            exercise.isApneaTable || exercise.isDeepSleep || exercise.isGuided;
 
         if (isLegacyExercise) {
             // Phase 2 exercises: use legacy CSS circle
@@ -2631,33 +3207,29 @@ class JmeeDeepBreathApp {
         }
 
         // Determine exercise type and start
-        if (exercise.isComfortZone) {
+        if (exercise.steps) {
+            this.startStepExercise();
+        } else if (exercise.isComfortZone) {
             this.startComfortZone();
         } else if (exercise.isApneaWithGuidance) {
             this.startApneaWithGuidance();
-        } else if (exercise.isContractionTable) {
-            this.startContractionTable();
         } else if (exercise.isApneaTable) {
             this.startApneaTable();
         } else if (exercise.isDeepSleep) {
             this.startDeepSleepExercise();
         } else if (exercise.isGuided) {
             this.startGuidedExercise();
-        } else if (exercise.isWimHof) {
-            this.startWimHofExercise();
         } else if (exercise.isBreathLight) {
             this.startBreathLightExercise();
-        } else if (exercise.isPassiveBreathHanger) {
-            this.startPassiveBreathHanger();
-        } else if (exercise.isVHLStatic) {
-            this.startVHLStaticExercise();
-        } else if (exercise.isVHL) {
-            this.startVHLExercise();
         } else if (exercise.isIMST) {
             this.startIMSTExercise();
         } else {
             this.startBreathingExercise();
         }
+
+        // Saut de phase : ExerciseRunner, BreathEngine ou crochet des protocoles historiques
+        const skipBtn = document.getElementById('btnSkip');
+        if (skipBtn) skipBtn.style.display = '';
     }
 
     // ==========================================
@@ -2684,19 +3256,14 @@ class JmeeDeepBreathApp {
         const canvas = document.getElementById('breathCanvas');
         const overlay = document.getElementById('beOverlay');
         if (!canvas) {
-            console.error('BreathEngine v3: canvas #breathCanvas not found');
+            console.error('BreathEngine: canvas #breathCanvas not found');
             return;
         }
 
         window.BreathEngine.mount(canvas, overlay);
-        window.BreathEngine.configure(this._buildV3Config(exercise, totalCycles, {
-            onPhaseChange: (phaseName, duration) => {
-                // Trouver la phase v2 correspondante pour l'instruction texte
-                const v2Phase = this._v3PhaseToV2(exercise, phaseName);
-                const instr = exercise.instructions || {};
-                const label = v2Phase
-                    ? (instr[v2Phase.name] || v2Phase.instruction || v2Phase.subText || v2Phase.name || '')
-                    : '';
+        window.BreathEngine.configure(this._buildEngineConfig(exercise, totalCycles, {
+            onPhaseChange: (kind, duration, phase) => {
+                const label = this._phaseInstruction(exercise, phase);
                 document.getElementById('exerciseInstruction').textContent = label;
 
                 // Voix guide — 2 premiers cycles seulement
@@ -2721,12 +3288,12 @@ class JmeeDeepBreathApp {
                 // Sons de respiration via SoundEngine (audio interne BreathEngine désactivé)
                 if (window.breathSounds && !exercise.isKapalabhati) {
                     window.breathSounds.stop();
-                    if (v2Phase && v2Phase.name === 'Inspirez +') {
+                    if (phase && phase.name === 'Inspirez +') {
                         // Cyclic Sighing : deuxième inspire → son spécial
                         window.breathSounds.playSecondInhale();
                     } else {
-                        // Mapper les noms v3 → noms attendus par SoundEngine.breath.playPhase
-                        const soundPhase = phaseName === 'holdFull' ? 'hold' : phaseName;
+                        // Mapper les types moteur → noms attendus par SoundEngine.breath.playPhase
+                        const soundPhase = kind === 'holdFull' ? 'hold' : kind;
                         window.breathSounds.playPhase(soundPhase, duration);
                     }
                 }
@@ -2771,13 +3338,14 @@ class JmeeDeepBreathApp {
     /**
      * Start a custom breathing exercise from Multi Timer.
      * Receives a pre-built exercise object (not from EXERCISES constant).
-     * Uses the main exercise modal with BreathingEngine v2.0.
+     * Uses the main exercise modal with BreathEngine.
      */
     async startCustomBreathingExercise(exerciseObj) {
         if (this.isRunning) return;
 
         // Clean up any lingering timers
         if (this.phaseTimer) { clearInterval(this.phaseTimer); this.phaseTimer = null; }
+        this._phaseSkip = null;
         if (this.displayTimer) { clearInterval(this.displayTimer); this.displayTimer = null; }
         if (window.breathSounds) window.breathSounds.stop();
 
@@ -2795,6 +3363,8 @@ class JmeeDeepBreathApp {
         // Prevent screen sleep
         this.requestWakeLock();
 
+        this.applyExerciseSoundscape(exerciseObj);
+
         // Initialize SoundEngine — single AudioContext for all audio
         await SoundEngine.init();
 
@@ -2813,7 +3383,7 @@ class JmeeDeepBreathApp {
         const specialEls = ['btnMarkContraction', 'contractionCounter', 'btnComfortStop', 'hangerControls'];
         specialEls.forEach(id => { const el = document.getElementById(id); if (el) el.style.display = 'none'; });
 
-        // Configure BreathingEngine
+        // Configure BreathEngine
         const totalCycles = exerciseObj.cycles || 10;
         document.getElementById('cycleCounter').textContent = `Cycle 1 / ${totalCycles}`;
         document.getElementById('exerciseInstruction').textContent =
@@ -2824,13 +3394,9 @@ class JmeeDeepBreathApp {
         if (!canvas) return;
 
         window.BreathEngine.mount(canvas, overlay);
-        window.BreathEngine.configure(this._buildV3Config(exerciseObj, totalCycles, {
-            onPhaseChange: (phaseName, duration) => {
-                const v2Phase = this._v3PhaseToV2(exerciseObj, phaseName);
-                const instr = exerciseObj.instructions || {};
-                const label = v2Phase
-                    ? (instr[v2Phase.name] || v2Phase.instruction || v2Phase.subText || v2Phase.name || '')
-                    : '';
+        window.BreathEngine.configure(this._buildEngineConfig(exerciseObj, totalCycles, {
+            onPhaseChange: (kind, duration, phase) => {
+                const label = this._phaseInstruction(exerciseObj, phase);
                 document.getElementById('exerciseInstruction').textContent = label;
                 if (window.voiceGuide && label && this.currentCycle <= 2) {
                     if (window.voiceGuide.speaking) {
@@ -2847,8 +3413,9 @@ class JmeeDeepBreathApp {
                 // Sons de respiration via SoundEngine
                 if (window.breathSounds) {
                     window.breathSounds.stop();
-                    const soundPhase = phaseName === 'holdFull' ? 'hold' : phaseName;
-                    window.breathSounds.playPhase(soundPhase, duration);
+                    const soundPhase = kind === 'holdFull' ? 'hold' : kind;
+                    // Thème de la séquence (multi-timer), sinon celui des réglages audio
+                    window.breathSounds.playPhase(soundPhase, duration, exerciseObj.soundTheme);
                 }
             },
             onCycleComplete: (cycleNumber) => {
@@ -2884,65 +3451,28 @@ class JmeeDeepBreathApp {
     }
 
     // ==========================================
-    // BreathEngine v3 — helpers de conversion
+    // BreathEngine — config depuis un exercice
     // ==========================================
 
     /**
-     * Convertit un exercice v2 {phases:[{name,action,duration}]} en config v3
-     * Le format v3 utilise un dict indexé par phase-type (inhale/holdFull/exhale/holdEmpty/recovery)
+     * Construit la config BreathEngine depuis un exercice {phases:[{name,action,duration}]}.
+     * Le moteur joue le tableau dans l'ordre (hold → holdFull/holdEmpty résolu par le moteur),
+     * le renderer suit l'exercice ou la préférence utilisateur.
      */
-    _buildV3Config(exercise, totalCycles, callbacks) {
-        const phases = exercise.phases || [];
-        const v3Phases = {
-            preparation: { enabled: false, duration: 0 },
-            inhale:      { enabled: false, duration: 0, label: 'Inspirer' },
-            holdFull:    { enabled: false, duration: 0, label: 'Retenir' },
-            exhale:      { enabled: false, duration: 0, label: 'Expirer' },
-            holdEmpty:   { enabled: false, duration: 0, label: 'Retenir' },
-            recovery:    { enabled: false, duration: 0, label: 'Repos' },
-        };
-
-        // Déterminer quelles phases v3 activer depuis le tableau v2
-        let prevAction = null;
-        for (const p of phases) {
-            const action = p.action;
-            let v3Key = null;
-
-            if (action === 'inhale') {
-                // Si déjà une inhale mappée, ignorer les suivantes (ex: Cyclic Sighing double inhale)
-                if (!v3Phases.inhale.enabled) {
-                    v3Key = 'inhale';
-                }
-            } else if (action === 'hold' || action === 'holdFull') {
-                // hold après inhale = holdFull, hold après exhale = holdEmpty
-                v3Key = (prevAction === 'exhale' || prevAction === 'holdEmpty') ? 'holdEmpty' : 'holdFull';
-            } else if (action === 'holdEmpty') {
-                v3Key = 'holdEmpty';
-            } else if (action === 'exhale') {
-                v3Key = 'exhale';
-            } else if (action === 'recovery') {
-                v3Key = 'recovery';
-            }
-
-            if (v3Key) {
-                v3Phases[v3Key] = {
-                    enabled: true,
-                    duration: p.duration,
-                    label: p.name || v3Phases[v3Key].label,
-                    easing: 'cubicInOut',
-                    silent: !!exercise.isKapalabhati,
-                };
-            }
-            prevAction = action;
-        }
+    _buildEngineConfig(exercise, totalCycles, callbacks) {
+        const phases = (exercise.phases || []).map(p => Object.assign({}, p, {
+            silent: !!exercise.isKapalabhati,
+        }));
 
         return {
             totalCycles,
             countdownDuration: 5,
             backgroundColor: '#12121a',
-            phases: v3Phases,
+            renderer: exercise.renderer || null,
+            phases,
             volume: 0,
             muted: true, // audio interne BE désactivé — sons routés via SoundEngine.breath
+            soundTheme: exercise.soundTheme || null,
             onPhaseChange:   callbacks.onPhaseChange   || null,
             onCycleComplete: callbacks.onCycleComplete || null,
             onComplete:      callbacks.onComplete      || null,
@@ -2951,42 +3481,12 @@ class JmeeDeepBreathApp {
     }
 
     /**
-     * Trouve la phase v2 qui correspond à un nom de phase v3
-     * Utilisé pour récupérer l'instruction texte et la voix
+     * Texte d'instruction d'une phase : instructions de l'exercice, sinon texte de la phase
      */
-    _v3PhaseToV2(exercise, v3PhaseName) {
-        const phases = exercise.phases || [];
-        // Mapping v3 key → action(s) v2 attendus
-        const actionMap = {
-            inhale:    ['inhale'],
-            holdFull:  ['hold', 'holdFull'],
-            exhale:    ['exhale'],
-            holdEmpty: ['holdEmpty', 'hold'],
-            recovery:  ['recovery'],
-        };
-        const targets = actionMap[v3PhaseName] || [];
-
-        // Trouver la première phase v2 dont l'action correspond
-        // Pour holdEmpty, on veut le hold qui suit un exhale
-        if (v3PhaseName === 'holdEmpty') {
-            for (let i = 1; i < phases.length; i++) {
-                if ((phases[i].action === 'hold' || phases[i].action === 'holdEmpty') &&
-                    phases[i - 1].action === 'exhale') {
-                    return phases[i];
-                }
-            }
-        }
-        if (v3PhaseName === 'holdFull') {
-            for (let i = 1; i < phases.length; i++) {
-                if ((phases[i].action === 'hold' || phases[i].action === 'holdFull') &&
-                    phases[i - 1].action === 'inhale') {
-                    return phases[i];
-                }
-            }
-            // fallback : premier hold
-            return phases.find(p => p.action === 'hold' || p.action === 'holdFull') || null;
-        }
-        return phases.find(p => targets.includes(p.action)) || null;
+    _phaseInstruction(exercise, phase) {
+        if (!phase) return '';
+        const instr = exercise.instructions || {};
+        return instr[phase.name] || phase.instruction || phase.subText || phase.name || '';
     }
 
     // ==========================================
@@ -3094,7 +3594,7 @@ class JmeeDeepBreathApp {
         return phase.action;
     }
 
-    startPhaseTimer(duration, callback) {
+    startPhaseTimer(duration, callback, callouts = null, onSkip = null) {
         if (this.phaseTimer) clearInterval(this.phaseTimer);
 
         const timerDisplay = document.getElementById('breathTimer');
@@ -3134,19 +3634,37 @@ class JmeeDeepBreathApp {
 
             // Update elapsed time
             this.elapsedTime = elapsed / 1000;
+            if (callouts) callouts.tick(this.elapsedTime);
 
             // Update progress
             const progress = Math.min(1, elapsed / durationMs);
             progressBar.style.strokeDashoffset = circumference * (1 - progress);
 
-            if (remainingMs <= 50) {
-                clearInterval(this.phaseTimer);
-                this.phaseTimer = null;
-                timerDisplay.textContent = '0.0';
-                progressBar.style.strokeDashoffset = 0;
-                callback();
-            }
+            if (remainingMs <= 50) finish(callback);
         }, 100);
+
+        // Saut de phase : termine la phase tout de suite (onSkip si la fin anticipée diffère)
+        const finish = (next) => {
+            if (this._phaseSkip === skip) this._phaseSkip = null;
+            clearInterval(this.phaseTimer);
+            this.phaseTimer = null;
+            timerDisplay.textContent = '0.0';
+            progressBar.style.strokeDashoffset = 0;
+            if (callouts) callouts.stop();
+            next();
+        };
+        const skip = () => finish(onSkip || callback);
+        this._phaseSkip = skip;
+    }
+
+    /**
+     * Annonces vocales d'une phase chronométrée hors ExerciseRunner (voir VoiceCues)
+     * @param {string} context - 'hold' | 'breatheUp'
+     * @param {number|null} duration - null pour une apnée ouverte
+     */
+    scheduleCallouts(context, duration = null) {
+        if (!window.voiceCues) return null;
+        return window.voiceCues.schedule({ exercise: this.currentExercise, context, duration });
     }
 
     // ==========================================
@@ -3236,769 +3754,47 @@ class JmeeDeepBreathApp {
     }
 
     // ==========================================
-    // Passive Breath Hanger (Molchanovs / Néry)
+    // Protocoles déclaratifs (steps — ExerciseRunner)
+    // PBH, VHL, VHL Statique, Wim Hof, Tolérance contractions…
     // ==========================================
 
-    startPassiveBreathHanger() {
-        const exercise = this.currentExercise;
-        this._pbhCycle = 1;
-        this._pbhHoldTimes = [];          // hold durations per cycle (auto-measured)
-        this._pbhUrgeTime = null;         // first urge time per hold
-        this._pbhHoldStart = null;
-        this._pbhPausedTime = 0;
-        this._pbhPauseStart = null;
-
-        document.getElementById('cycleCounter').textContent =
-            `Cycle 1 / ${exercise.cycles}`;
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.start;
-
-        // Show "first urge" button (hidden by default in modal, revealed here)
-        const btnUrge = document.getElementById('btnHangerUrge');
-        const btnStop = document.getElementById('btnHangerStop');
-        if (btnUrge) btnUrge.style.display = 'none';
-        if (btnStop) btnStop.style.display = 'none';
+    startStepExercise() {
+        if (this.runner) this.runner.stop();
+        this.runner = new ExerciseRunner(this, this.currentExercise);
+        this.runner.start();
+    }
 
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.start, () => {
-                setTimeout(() => {
-                    if (!this.isRunning) return;
-                    this._pbhRunPrepPhase();
-                }, 800);
-            });
-        } else {
-            setTimeout(() => this._pbhRunPrepPhase(), 2000);
+    skipPhase() {
+        if (this.runner) {
+            this.runner.skip();
+        } else if (this.engine) {
+            this.engine.skip();
+        } else if (this._phaseSkip && this.isRunning) {
+            // Protocoles historiques : chaque phase chronométrée pose son propre crochet
+            this._phaseSkip();
         }
     }
 
-    _pbhRunPrepPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const prepDur = exercise.prepDuration || 180;
+    // ==========================================
+    // IMST Exercise (Inspiratory Muscle Strength Training)
+    // ==========================================
 
-        document.getElementById('breathPhase').textContent = 'Préparation';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.prep;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._pbhCycle} / ${exercise.cycles} — Double soupir`;
+    startIMSTExercise() {
+        const ex = this.currentExercise;
+        this._imstSet       = 1;
+        this._imstSetsTotal = ex.sets           || 5;
+        this._imstRepsTotal = ex.repsPerSet     || 30;
+        this._imstInhale    = ex.inhaleDuration || 2;
+        this._imstExhale    = ex.exhaleDuration || 3;
+        this._imstRest      = ex.restDuration   || 60;
 
-        // Visual: inhale animation (cyclic sighing feel)
-        this.updateBreathPhase({ name: 'Préparation', action: 'inhale', duration: 4 }, null);
+        document.getElementById('exerciseInstruction').textContent = ex.instructions.start;
 
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) {
-            window.breathSounds.playPhase('inhale', prepDur);
-        }
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.prep);
-        }
-
-        // Count-down during prep
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        const prepStart = Date.now();
-        let pausedMs = 0;
-        let pauseStart = null;
-
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-
-        this.phaseTimer = setInterval(() => {
-            if (!this.isRunning) { clearInterval(this.phaseTimer); return; }
-            if (this.isPaused) {
-                if (!pauseStart) pauseStart = Date.now();
-                return;
-            }
-            if (pauseStart) { pausedMs += Date.now() - pauseStart; pauseStart = null; }
-
-            const elapsed = (Date.now() - prepStart - pausedMs) / 1000;
-            const remaining = Math.max(0, prepDur - elapsed);
-            timerDisplay.textContent = this.formatTime(remaining);
-            progressBar.style.strokeDashoffset = circumference * (1 - elapsed / prepDur);
-
-            // Mid-point voice reminder
-            if (elapsed >= prepDur / 2 && !this._pbhPrepMidSpoken) {
-                this._pbhPrepMidSpoken = true;
-                if (window.voiceGuide && window.voiceGuide.enabled) {
-                    window.voiceGuide.speak('Continuez. Presque prêt pour la suspension.');
-                }
-            }
-
-            if (elapsed >= prepDur) {
-                clearInterval(this.phaseTimer);
-                this.phaseTimer = null;
-                this._pbhPrepMidSpoken = false;
-                if (window.breathSounds) window.breathSounds.stop();
-                this._pbhRunInhalePhase();
-            }
-        }, 100);
-    }
-
-    _pbhRunInhalePhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-
-        document.getElementById('breathPhase').textContent = 'Inspirez 80%';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.inhale;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._pbhCycle} / ${exercise.cycles} — Inspiration`;
-
-        const inhaleDur = 4; // 4 sec inhale to 80%
-        this.updateBreathPhase({ name: 'Inspirez', action: 'inhale', duration: inhaleDur }, 'exhale');
-
-        if (window.breathSounds) {
-            window.breathSounds.playPhase('inhale', inhaleDur);
-        }
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.inhale);
-        }
-
-        this.startPhaseTimer(inhaleDur, () => {
-            if (!this.isRunning) return;
-            if (window.breathSounds) window.breathSounds.stop();
-            this._pbhRunHoldPhase();
-        });
-    }
-
-    _pbhRunHoldPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-
-        document.getElementById('breathPhase').textContent = 'Suspension';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.hold;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._pbhCycle} / ${exercise.cycles} — Suspension`;
-
-        // Hold circle animation
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('inhale', 'exhale', 'holdEmpty', 'hold', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', '1s');
-        circle.classList.add('hold', 'active');
-
-        // Show control buttons
-        const btnUrge = document.getElementById('btnHangerUrge');
-        const btnStop = document.getElementById('btnHangerStop');
-        if (btnUrge) { btnUrge.style.display = ''; btnUrge.disabled = false; btnUrge.textContent = '⚡ 1ère envie'; }
-        if (btnStop) { btnStop.style.display = ''; }
-
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        this._pbhHoldStart = Date.now();
-        this._pbhPausedTime = 0;
-        this._pbhPauseStart = null;
-        this._pbhUrgeTime = null;
-        const maxDur = exercise.maxHoldDuration || 300;
-        const refMax = this.settings.apneaMax || 120;
-
-        // Wire buttons
-        if (btnUrge) {
-            btnUrge.onclick = () => {
-                if (!this._pbhUrgeTime) {
-                    const now = (Date.now() - this._pbhHoldStart - this._pbhPausedTime) / 1000;
-                    this._pbhUrgeTime = Math.round(now);
-                    btnUrge.disabled = true;
-                    btnUrge.textContent = `⚡ ${this.formatTime(this._pbhUrgeTime)}`;
-                    if (window.voiceGuide && window.voiceGuide.enabled) {
-                        window.voiceGuide.speak('Première envie notée. Continuez.');
-                    }
-                }
-            };
-        }
-        if (btnStop) {
-            btnStop.onclick = () => {
-                const elapsed = (Date.now() - this._pbhHoldStart - this._pbhPausedTime) / 1000;
-                this._pbhEndHold(elapsed);
-            };
-        }
-
-        if (window.breathSounds) {
-            window.breathSounds.playPhase('hold', maxDur);
-        }
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.hold);
-        }
-
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-
-        this.phaseTimer = setInterval(() => {
-            if (!this.isRunning) { clearInterval(this.phaseTimer); return; }
-            if (this.isPaused) {
-                if (!this._pbhPauseStart) this._pbhPauseStart = Date.now();
-                return;
-            }
-            if (this._pbhPauseStart) {
-                this._pbhPausedTime += Date.now() - this._pbhPauseStart;
-                this._pbhPauseStart = null;
-            }
-
-            const elapsed = (Date.now() - this._pbhHoldStart - this._pbhPausedTime) / 1000;
-            timerDisplay.textContent = this.formatTime(elapsed);
-            progressBar.style.strokeDashoffset = circumference * (1 - Math.min(elapsed / refMax, 1));
-
-            if (elapsed >= maxDur) {
-                this._pbhEndHold(elapsed);
-            }
-        }, 100);
-    }
-
-    _pbhEndHold(holdDuration) {
-        clearInterval(this.phaseTimer);
-        this.phaseTimer = null;
-
-        // Hide buttons
-        const btnUrge = document.getElementById('btnHangerUrge');
-        const btnStop = document.getElementById('btnHangerStop');
-        if (btnUrge) btnUrge.style.display = 'none';
-        if (btnStop) btnStop.style.display = 'none';
-
-        if (window.breathSounds) window.breathSounds.stop();
-
-        // Record hold data
-        this._pbhHoldTimes.push({
-            cycle: this._pbhCycle,
-            duration: Math.round(holdDuration),
-            timeToUrge: this._pbhUrgeTime
-        });
-
-        this._pbhRunExhalePhase();
-    }
-
-    _pbhRunExhalePhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-
-        document.getElementById('breathPhase').textContent = 'Expirez lentement';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.exhale;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._pbhCycle} / ${exercise.cycles} — Expiration`;
-
-        const exhaleDur = 10;
-        this.updateBreathPhase({ name: 'Expirez', action: 'exhale', duration: exhaleDur }, 'hold');
-
-        if (window.breathSounds) {
-            window.breathSounds.stop();
-            window.breathSounds.playPhase('exhale', exhaleDur);
-        }
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.exhale);
-        }
-
-        this.startPhaseTimer(exhaleDur, () => {
-            if (!this.isRunning) return;
-            if (window.breathSounds) window.breathSounds.stop();
-            this._pbhCycle++;
-            if (this._pbhCycle > exercise.cycles) {
-                this._pbhComplete();
-            } else {
-                this._pbhRunRestPhase();
-            }
-        });
-    }
-
-    _pbhRunRestPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const restDur = exercise.restDuration || 90;
-
-        document.getElementById('breathPhase').textContent = 'Récupération';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.rest;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._pbhCycle} / ${exercise.cycles} — Repos`;
-
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('hold', 'holdEmpty', 'exhale', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', `${restDur}s`);
-        circle.classList.add('inhale', 'active');
-
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) {
-            window.breathSounds.playPhase('inhale', restDur);
-        }
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.rest);
-        }
-
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        const restStart = Date.now();
-        let pausedMs = 0;
-        let pauseStart = null;
-
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-
-        this.phaseTimer = setInterval(() => {
-            if (!this.isRunning) { clearInterval(this.phaseTimer); return; }
-            if (this.isPaused) {
-                if (!pauseStart) pauseStart = Date.now();
-                return;
-            }
-            if (pauseStart) { pausedMs += Date.now() - pauseStart; pauseStart = null; }
-
-            const elapsed = (Date.now() - restStart - pausedMs) / 1000;
-            const remaining = Math.max(0, restDur - elapsed);
-            timerDisplay.textContent = this.formatTime(remaining);
-            progressBar.style.strokeDashoffset = circumference * (1 - elapsed / restDur);
-
-            if (elapsed >= restDur) {
-                clearInterval(this.phaseTimer);
-                this.phaseTimer = null;
-                if (window.breathSounds) window.breathSounds.stop();
-                this._pbhRunInhalePhase(); // cyclic sighing uniquement au démarrage
-            }
-        }, 100);
-    }
-
-    _pbhComplete() {
-        // Save raw hold data to localStorage for progression tracking
-        const durations = this._pbhHoldTimes.map(h => h.duration);
-        const best = durations.length ? Math.max(...durations) : 0;
-        const avg  = durations.length ? Math.round(durations.reduce((a,b) => a+b,0) / durations.length) : 0;
-
-        // Store in pending session for coach to retrieve
-        this._pbhSessionData = {
-            holds: this._pbhHoldTimes,
-            best,
-            avg
-        };
-
-        // Show summary
-        const summary = this._pbhHoldTimes.map((h,i) =>
-            `C${i+1}: ${this.formatTime(h.duration)}${h.timeToUrge ? ' (⚡'+this.formatTime(h.timeToUrge)+')' : ''}`
-        ).join(' — ');
-        document.getElementById('exerciseInstruction').textContent =
-            `${summary} — Meilleur: ${this.formatTime(best)}`;
-
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(this.currentExercise.instructions.complete);
-        }
-
-        setTimeout(() => this.completeExercise(), 2000);
-    }
-
-    // ==========================================
-    // VHL — Hypoventilation à bas volume (Woorons)
-    // Protocole : N respirations normales → pause end-expiratory → répéter X cycles → repos
-    // ==========================================
-
-    startVHLExercise() {
-        const exercise = this.currentExercise;
-        this._vhlCycle = 1;          // cycle de pause en cours (1..cycles)
-        this._vhlSerie = 1;          // série (une série = breathsPerCycle respirations + 1 pause)
-        this._vhlBreathInCycle = 1;  // respiration courante dans le cycle
-        this._vhlSeriesTotal = exercise.cycles || 5;
-        this._vhlBreathsPerCycle = exercise.breathsPerCycle || 3;
-        this._vhlHoldDuration = exercise.holdDuration || 5;
-        this._vhlRestBreaths = exercise.restBreaths || 4;
-        this._vhlRestBreathCount = 0;
-        this._vhlPhase = 'breathe'; // 'breathe' | 'hold' | 'rest'
-
-        document.getElementById('cycleCounter').textContent =
-            `Série 1 / ${this._vhlSeriesTotal}`;
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.start;
-
-        if (window.voiceGuide?.enabled) {
-            window.voiceGuide.speak(exercise.instructions.start, () => {
-                setTimeout(() => {
-                    if (!this.isRunning) return;
-                    this._vhlRunBreathePhase();
-                }, 800);
-            });
-        } else {
-            setTimeout(() => this._vhlRunBreathePhase(), 3000);
-        }
-    }
-
-    _vhlRunBreathePhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-
-        // Si on a fait tous les cycles → fin
-        if (this._vhlSerie > this._vhlSeriesTotal) {
-            this.completeExercise();
-            return;
-        }
-
-        this._vhlPhase = 'breathe';
-        this._vhlBreathInCycle = 1;
-
-        document.getElementById('breathPhase').textContent = 'Respirez';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.breathe;
-        document.getElementById('cycleCounter').textContent =
-            `Série ${this._vhlSerie} / ${this._vhlSeriesTotal} — Respirez ${this._vhlBreathsPerCycle}×`;
-
-        this._vhlRunOneBreath();
-    }
-
-    _vhlRunOneBreath() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-
-        if (this._vhlBreathInCycle > this._vhlBreathsPerCycle) {
-            // Toutes les respirations faites → pause VHL
-            this._vhlRunHoldPhase();
-            return;
-        }
-
-        // Inspiration
-        document.getElementById('breathPhase').textContent = 'Inspirez';
-        document.getElementById('cycleCounter').textContent =
-            `Série ${this._vhlSerie}/${this._vhlSeriesTotal} — Resp. ${this._vhlBreathInCycle}/${this._vhlBreathsPerCycle}`;
-        this.updateBreathPhase({ name: 'Inspirez', action: 'inhale', duration: 3 },
-            this._vhlBreathInCycle === 1 ? 'holdEmpty' : 'exhale');
-
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) window.breathSounds.playPhase('inhale', 3);
-        if (this._vhlBreathInCycle === 1 && window.voiceGuide?.enabled) {
-            window.voiceGuide.speak(exercise.instructions.breathe);
-        }
-
-        this.startPhaseTimer(3, () => {
-            if (!this.isRunning) return;
-            // Expiration
-            document.getElementById('breathPhase').textContent = 'Expirez';
-            this.updateBreathPhase({ name: 'Expirez', action: 'exhale', duration: 3 }, 'inhale');
-
-            if (window.breathSounds) window.breathSounds.stop();
-            if (window.breathSounds) window.breathSounds.playPhase('exhale', 3);
-
-            this.startPhaseTimer(3, () => {
-                if (!this.isRunning) return;
-                this._vhlBreathInCycle++;
-                // Petite pause entre les respirations (0.5s)
-                setTimeout(() => this._vhlRunOneBreath(), 500);
-            });
-        });
-    }
-
-    _vhlRunHoldPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const holdDur = this._vhlHoldDuration;
-
-        this._vhlPhase = 'hold';
-        document.getElementById('breathPhase').textContent = 'Pause CO₂';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.hold;
-        document.getElementById('cycleCounter').textContent =
-            `Série ${this._vhlSerie}/${this._vhlSeriesTotal} — Pause ${holdDur}s (poumons bas)`;
-
-        // Cercle holdEmpty = poumons vides/bas
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('inhale', 'exhale', 'hold', 'holdEmpty', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', `${holdDur}s`);
-        circle.classList.add('holdEmpty', 'active');
-
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) window.breathSounds.playPhase('holdEmpty', holdDur);
-        if (window.voiceGuide?.enabled) window.voiceGuide.speak(exercise.instructions.hold);
-
-        // Timer décompte de la pause
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        const holdStart = Date.now();
-        let pausedMs = 0, pauseStart = null;
-
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-
-        this.phaseTimer = setInterval(() => {
-            if (!this.isRunning) { clearInterval(this.phaseTimer); return; }
-            if (this.isPaused) {
-                if (!pauseStart) pauseStart = Date.now();
-                return;
-            }
-            if (pauseStart) { pausedMs += Date.now() - pauseStart; pauseStart = null; }
-
-            const elapsed = (Date.now() - holdStart - pausedMs) / 1000;
-            const remaining = Math.max(0, holdDur - elapsed);
-            timerDisplay.textContent = this.formatTime(remaining);
-            progressBar.style.strokeDashoffset = circumference * (1 - elapsed / holdDur);
-
-            if (elapsed >= holdDur) {
-                clearInterval(this.phaseTimer);
-                this.phaseTimer = null;
-                if (window.breathSounds) window.breathSounds.stop();
-                this._vhlSerie++;
-                if (this._vhlSerie > this._vhlSeriesTotal) {
-                    this.completeExercise();
-                } else {
-                    this._vhlRunRestPhase();
-                }
-            }
-        }, 100);
-    }
-
-    _vhlRunRestPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const restCount = this._vhlRestBreaths;
-
-        this._vhlPhase = 'rest';
-        this._vhlRestBreathCount = 0;
-
-        document.getElementById('breathPhase').textContent = 'Récupérez';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.rest;
-        document.getElementById('cycleCounter').textContent =
-            `Repos — Série ${this._vhlSerie}/${this._vhlSeriesTotal} dans ${restCount} respirations`;
-
-        const circle = document.getElementById('breathCircle');
-        // Bug C : also remove inhale/exhale to avoid stacked scale classes
-        circle.classList.remove('inhale', 'exhale', 'holdEmpty', 'hold', 'active');
-
-        if (window.voiceGuide?.enabled) window.voiceGuide.speak(exercise.instructions.rest);
-
-        this._vhlRunRestBreath(restCount);
-    }
-
-    _vhlRunRestBreath(remaining) {
-        if (!this.isRunning) return;
-        if (remaining <= 0) {
-            if (window.breathSounds) window.breathSounds.stop();
-            this._vhlRunBreathePhase();
-            return;
-        }
-
-        document.getElementById('breathTimer').textContent = `${remaining}`;
-        document.getElementById('cycleCounter').textContent =
-            `Repos libre — encore ${remaining} souffle${remaining > 1 ? 's' : ''}`;
-
-        // inhale 3s
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('exhale', 'holdEmpty', 'hold', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', '3s');
-        circle.classList.add('inhale', 'active');
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) window.breathSounds.playPhase('inhale', 3);
-
-        this.startPhaseTimer(3, () => {
-            if (!this.isRunning) return;
-            // exhale 3s
-            circle.classList.remove('inhale', 'active');
-            void circle.offsetWidth;
-            circle.style.setProperty('--phase-duration', '3s');
-            circle.classList.add('exhale', 'active');
-            if (window.breathSounds) window.breathSounds.stop();
-            if (window.breathSounds) window.breathSounds.playPhase('exhale', 3);
-            this.startPhaseTimer(3, () => {
-                this._vhlRunRestBreath(remaining - 1);
-            });
-        });
-    }
-
-    // ==========================================
-    // VHL Statique (Woorons — pause longue FRC)
-    // ==========================================
-
-    startVHLStaticExercise() {
-        const exercise = this.currentExercise;
-        this._vhlsCycle = 1;
-        this._vhlsSeriesTotal = exercise.cycles || 6;
-        this._vhlsHoldDuration = exercise.holdDuration || 20;
-        this._vhlsRestBreaths = exercise.restBreaths || 3;
-        this._vhlsPrepDuration = exercise.prepDuration || 180;
-        this._vhlsVolumeMode = exercise.volumeMode || 'frc';
-        this._vhlsHoldStart = null;
-        this._vhlsPausedMs = 0;
-        this._vhlsPauseStart = null;
-
-        document.getElementById('cycleCounter').textContent =
-            `Cycle 1 / ${this._vhlsSeriesTotal}`;
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.start;
-
-        const btnUrge = document.getElementById('btnHangerUrge');
-        const btnStop = document.getElementById('btnHangerStop');
-        if (btnUrge) btnUrge.style.display = 'none';
-        if (btnStop) btnStop.style.display = 'none';
-
-        if (window.voiceGuide?.enabled) {
-            window.voiceGuide.speak(exercise.instructions.start, () => {
-                setTimeout(() => {
-                    if (!this.isRunning) return;
-                    this._vhlsRunPrepPhase();
-                }, 800);
-            });
-        } else {
-            setTimeout(() => this._vhlsRunPrepPhase(), 2000);
-        }
-    }
-
-    _vhlsRunPrepPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const prepDur = this._vhlsPrepDuration;
-
-        document.getElementById('breathPhase').textContent = 'Préparation';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.prep;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._vhlsCycle}/${this._vhlsSeriesTotal} — Cyclic Sighing ${prepDur}s`;
-
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('inhale', 'holdEmpty', 'hold', 'exhale', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', '5s');
-        circle.classList.add('inhale', 'active');
-
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) window.breathSounds.playPhase('inhale', prepDur);
-        if (window.voiceGuide?.enabled) window.voiceGuide.speak(exercise.instructions.prep);
-
-        this.startPhaseTimer(prepDur, () => {
-            this._vhlsRunHoldPhase();
-        });
-    }
-
-    _vhlsRunHoldPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const holdDur = this._vhlsHoldDuration;
-
-        document.getElementById('breathPhase').textContent = 'Pause VHL';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.hold;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this._vhlsCycle}/${this._vhlsSeriesTotal} — Pause ${holdDur}s (poumons bas)`;
-
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('inhale', 'exhale', 'hold', 'holdEmpty', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', `${holdDur}s`);
-        circle.classList.add('holdEmpty', 'active');
-
-        const btnStop = document.getElementById('btnHangerStop');
-        if (btnStop) {
-            btnStop.style.display = '';
-            btnStop.onclick = () => {
-                if (!this._vhlsHoldStart) return;
-                const elapsed = (Date.now() - this._vhlsHoldStart - this._vhlsPausedMs) / 1000;
-                this._vhlsEndHold(elapsed);
-            };
-        }
-
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) window.breathSounds.playPhase('holdEmpty', holdDur);
-        if (window.voiceGuide?.enabled) window.voiceGuide.speak(exercise.instructions.hold);
-
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        this._vhlsHoldStart = Date.now();
-        this._vhlsPausedMs = 0;
-        this._vhlsPauseStart = null;
-
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-        this.phaseTimer = setInterval(() => {
-            if (!this.isRunning) { clearInterval(this.phaseTimer); return; }
-            if (this.isPaused) {
-                if (!this._vhlsPauseStart) this._vhlsPauseStart = Date.now();
-                return;
-            }
-            if (this._vhlsPauseStart) {
-                this._vhlsPausedMs += Date.now() - this._vhlsPauseStart;
-                this._vhlsPauseStart = null;
-            }
-
-            const elapsed = (Date.now() - this._vhlsHoldStart - this._vhlsPausedMs) / 1000;
-            const remaining = Math.max(0, holdDur - elapsed);
-            timerDisplay.textContent = this.formatTime(remaining);
-            progressBar.style.strokeDashoffset = circumference * (1 - elapsed / holdDur);
-
-            if (elapsed >= holdDur) {
-                clearInterval(this.phaseTimer);
-                this.phaseTimer = null;
-                this._vhlsEndHold(elapsed);
-            }
-        }, 100);
-    }
-
-    _vhlsEndHold(duration) {
-        clearInterval(this.phaseTimer);
-        this.phaseTimer = null;
-        if (window.breathSounds) window.breathSounds.stop();
-        const btnStop = document.getElementById('btnHangerStop');
-        if (btnStop) btnStop.style.display = 'none';
-        this._vhlsRunRestPhase();
-    }
-
-    _vhlsRunRestPhase() {
-        if (!this.isRunning) return;
-        const exercise = this.currentExercise;
-        const restCount = this._vhlsRestBreaths;
-
-        document.getElementById('breathPhase').textContent = 'Récupérez';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.rest;
-        document.getElementById('cycleCounter').textContent =
-            `Récup — Cycle ${this._vhlsCycle}/${this._vhlsSeriesTotal} dans ${restCount} souffles`;
-
-        const circle = document.getElementById('breathCircle');
-        // Bug D : also remove inhale/exhale to avoid stacked scale classes
-        circle.classList.remove('inhale', 'exhale', 'holdEmpty', 'hold', 'active');
-
-        if (window.voiceGuide?.enabled) window.voiceGuide.speak(exercise.instructions.rest);
-
-        this._vhlsRunRestBreath(restCount);
-    }
-
-    _vhlsRunRestBreath(remaining) {
-        if (!this.isRunning) return;
-        if (remaining <= 0) {
-            if (window.breathSounds) window.breathSounds.stop();
-            this._vhlsCycle++;
-            if (this._vhlsCycle > this._vhlsSeriesTotal) {
-                this.completeExercise();
-            } else {
-                this._vhlsRunHoldPhase(); // cyclic sighing uniquement au démarrage
-            }
-            return;
-        }
-
-        document.getElementById('breathTimer').textContent = `${remaining}`;
-        document.getElementById('cycleCounter').textContent =
-            `Récup — encore ${remaining} souffle${remaining > 1 ? 's' : ''}`;
-
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('exhale', 'holdEmpty', 'hold', 'active');
-        void circle.offsetWidth;
-        circle.style.setProperty('--phase-duration', '3s');
-        circle.classList.add('inhale', 'active');
-        if (window.breathSounds) window.breathSounds.stop();
-        if (window.breathSounds) window.breathSounds.playPhase('inhale', 3);
-
-        this.startPhaseTimer(3, () => {
-            if (!this.isRunning) return;
-            circle.classList.remove('inhale', 'active');
-            void circle.offsetWidth;
-            circle.style.setProperty('--phase-duration', '3s');
-            circle.classList.add('exhale', 'active');
-            if (window.breathSounds) window.breathSounds.stop();
-            if (window.breathSounds) window.breathSounds.playPhase('exhale', 3);
-            this.startPhaseTimer(3, () => {
-                this._vhlsRunRestBreath(remaining - 1);
-            });
-        });
-    }
-
-    // ==========================================
-    // IMST Exercise (Inspiratory Muscle Strength Training)
-    // ==========================================
-
-    startIMSTExercise() {
-        const ex = this.currentExercise;
-        this._imstSet       = 1;
-        this._imstSetsTotal = ex.sets           || 5;
-        this._imstRepsTotal = ex.repsPerSet     || 30;
-        this._imstInhale    = ex.inhaleDuration || 2;
-        this._imstExhale    = ex.exhaleDuration || 3;
-        this._imstRest      = ex.restDuration   || 60;
-
-        document.getElementById('exerciseInstruction').textContent = ex.instructions.start;
-
-        const canvas  = document.getElementById('breathCanvas');
-        const overlay = document.getElementById('beOverlay');
-        if (!canvas) return;
-        window.BreathEngine.mount(canvas, overlay);
-        this.engine = window.BreathEngine;
+        const canvas  = document.getElementById('breathCanvas');
+        const overlay = document.getElementById('beOverlay');
+        if (!canvas) return;
+        window.BreathEngine.mount(canvas, overlay);
+        this.engine = window.BreathEngine;
 
         const launchSet = () => {
             if (!this.isRunning) return;
@@ -4086,161 +3882,6 @@ class JmeeDeepBreathApp {
         } catch (e) { /* silently ignore */ }
     }
 
-    // ==========================================
-    // Wim Hof Exercise
-    // ==========================================
-
-    startWimHofExercise() {
-        const exercise = this.currentExercise;
-        this.wimHofRound = 1;
-        this.wimHofBreath = 1;
-
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.start;
-        document.getElementById('cycleCounter').textContent = `Round ${this.wimHofRound} / ${exercise.rounds}`;
-
-        setTimeout(() => {
-            this.runWimHofBreathing();
-        }, 3000);
-    }
-
-    runWimHofBreathing() {
-        if (!this.isRunning) return;
-
-        const exercise = this.currentExercise;
-
-        if (this.wimHofBreath > exercise.breathsPerRound) {
-            // Move to retention phase
-            this.runWimHofRetention();
-            return;
-        }
-
-        document.getElementById('cycleCounter').textContent =
-            `Round ${this.wimHofRound}/${exercise.rounds} — Respiration ${this.wimHofBreath}/${exercise.breathsPerRound}`;
-
-        // Inhale
-        const inhalePhase = exercise.phases[0];
-        this.updateBreathPhase(inhalePhase, 'exhale'); // Previous was exhale
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions[inhalePhase.name];
-
-        // Play breath sound (Bug #5 : stop before play)
-        if (window.breathSounds) {
-            window.breathSounds.stop();
-            window.breathSounds.playPhase('inhale', inhalePhase.duration);
-        }
-
-        this.startPhaseTimer(inhalePhase.duration, () => {
-            // Exhale
-            const exhalePhase = exercise.phases[1];
-            this.updateBreathPhase(exhalePhase, 'inhale'); // Previous was inhale
-            document.getElementById('exerciseInstruction').textContent = exercise.instructions[exhalePhase.name];
-
-            // Play breath sound (Bug #5 : stop before play)
-            if (window.breathSounds) {
-                window.breathSounds.stop();
-                window.breathSounds.playPhase('exhale', exhalePhase.duration);
-            }
-
-            this.startPhaseTimer(exhalePhase.duration, () => {
-                this.wimHofBreath++;
-                this.runWimHofBreathing();
-            });
-        });
-    }
-
-    runWimHofRetention() {
-        if (!this.isRunning) return;
-
-        const exercise = this.currentExercise;
-
-        document.getElementById('exerciseInstruction').textContent =
-            'Après votre dernière expiration, retenez aussi longtemps que possible. Appuyez sur ESPACE quand vous devez respirer.';
-
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('inhale', 'exhale');
-        circle.classList.add('hold', 'active');
-        document.getElementById('breathPhase').textContent = 'Rétention';
-
-        // Start counting up using Date.now() for accuracy
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        progressBar.style.strokeDasharray = circumference;
-        const estimatedMax = (this.settings?.apneaMax || 120) * 1.2; // 20% above user max
-        const retentionStart = Date.now();
-        let pausedTime = 0;
-        let pauseStart = null;
-
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-
-        this.phaseTimer = setInterval(() => {
-            if (this.isPaused) {
-                if (!pauseStart) pauseStart = Date.now();
-                return;
-            }
-            if (pauseStart) {
-                pausedTime += Date.now() - pauseStart;
-                pauseStart = null;
-            }
-
-            const retentionTime = (Date.now() - retentionStart - pausedTime) / 1000;
-            timerDisplay.textContent = this.formatTime(retentionTime);
-            // Progressive fill based on estimated max retention
-            const progress = Math.min(retentionTime / estimatedMax, 1);
-            progressBar.style.strokeDashoffset = circumference * (1 - progress);
-        }, 100);
-
-        // Wait for spacebar — store on this for cleanup in closeExercise()
-        this.wimHofSpaceHandler = (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-            if (e.code === 'Space' && this.isRunning) {
-                e.preventDefault();
-                e.stopImmediatePropagation();
-                clearInterval(this.phaseTimer);
-                document.removeEventListener('keydown', this.wimHofSpaceHandler);
-                this.wimHofSpaceHandler = null;
-                this.runWimHofRecovery();
-            }
-        };
-        document.addEventListener('keydown', this.wimHofSpaceHandler);
-    }
-
-    runWimHofRecovery() {
-        if (!this.isRunning) return;
-
-        const exercise = this.currentExercise;
-
-        document.getElementById('exerciseInstruction').textContent =
-            `Inspirez à fond et retenez ${exercise.recoveryPhase.duration} secondes`;
-
-        this.updateBreathPhase({ name: 'Récupération', action: 'inhale', duration: 2 }, 'hold');
-
-        // Brief inhale
-        setTimeout(() => {
-            if (!this.isRunning) return;  // Bug G : guard orphan setTimeout
-            const circle = document.getElementById('breathCircle');
-            circle.classList.remove('inhale');
-            circle.classList.add('hold');
-            document.getElementById('breathPhase').textContent = 'Rétention';
-
-            this.startPhaseTimer(exercise.recoveryPhase.duration, () => {
-                this.wimHofRound++;
-
-                if (this.wimHofRound > exercise.rounds) {
-                    this.completeExercise();
-                } else {
-                    this.wimHofBreath = 1;
-                    document.getElementById('exerciseInstruction').textContent =
-                        `Round ${this.wimHofRound} - Recommencez les respirations`;
-
-                    setTimeout(() => {
-                        if (!this.isRunning) return;  // Bug G : guard orphan setTimeout
-                        this.runWimHofBreathing();
-                    }, 2000);
-                }
-            });
-        }, 2000);
-    }
-
     // ==========================================
     // Guided Exercise (Body Scan, PETTLEP, etc.)
     // ==========================================
@@ -4525,180 +4166,41 @@ class JmeeDeepBreathApp {
         } else {
             // FIXED MODE: use segment.duration as before
             if (window.voiceGuide && window.voiceGuide.enabled) {
-                window.voiceGuide.speak(segment.instruction);
-            }
-
-            this.startPhaseTimer(segment.duration, () => {
-                this.guidedSegmentIndex++;
-                this.runGuidedSegment();
-            });
-        }
-    }
-
-    /**
-     * Show a count-up timer while voice is speaking (adaptive mode)
-     */
-    startAdaptiveVoiceTimer(instruction) {
-        // Clear any existing timer
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
-
-        const timerDisplay = document.getElementById('breathTimer');
-        const progressBar = document.getElementById('progressBar');
-        const startTime = Date.now();
-        let pausedTime = 0;
-        let pauseStart = null;
-
-        // Estimate total time for progress bar
-        const estimatedTotal = Math.max(5, instruction.length / 12);
-
-        timerDisplay.textContent = '...';
-
-        this.phaseTimer = setInterval(() => {
-            if (this.isPaused) {
-                if (!pauseStart) pauseStart = Date.now();
-                return;
-            }
-            if (pauseStart) {
-                pausedTime += Date.now() - pauseStart;
-                pauseStart = null;
-            }
-
-            const elapsed = (Date.now() - startTime - pausedTime) / 1000;
-
-            // Show elapsed time
-            timerDisplay.textContent = elapsed.toFixed(1);
-
-            // Approximate progress
-            const progress = Math.min(elapsed / estimatedTotal, 0.95);
-            const circumference = 2 * Math.PI * 90;
-            progressBar.style.strokeDashoffset = circumference * (1 - progress);
-        }, 100);
-    }
-
-    // ==========================================
-    // Contraction Tolerance Table
-    // ==========================================
-
-    startContractionTable() {
-        const exercise = this.currentExercise;
-        this.contractionCycle = 1;
-        this.contractionCount = 0;
-        this.contractionOnset = null;
-        this.contractionHoldStart = null;
-        this.contractionCueIndex = 0;
-        this.contractionHistory = [];
-
-        const weekConfig = exercise.weekConfigs[exercise.weekLevel] || exercise.weekConfigs[1];
-        this.contractionBeyond = weekConfig.beyondContraction;
-
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this.contractionCycle} / ${exercise.cycles}`;
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.start;
-
-        // Show contraction UI
-        const btnContraction = document.getElementById('btnMarkContraction');
-        const counterDiv = document.getElementById('contractionCounter');
-        if (btnContraction) btnContraction.style.display = 'none'; // Hidden during rest
-        if (counterDiv) {
-            counterDiv.style.display = 'block';
-            counterDiv.textContent = 'Contractions : 0';
-        }
-
-        // Speak intro
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.start, () => {
-                setTimeout(() => this.runContractionCycle(), 1000);
-            });
-        } else {
-            setTimeout(() => this.runContractionCycle(), 3000);
-        }
-    }
-
-    runContractionCycle() {
-        if (!this.isRunning) return;
-
-        const exercise = this.currentExercise;
-
-        if (this.contractionCycle > exercise.cycles) {
-            this.completeContractionExercise();
-            return;
-        }
-
-        // Reset contraction tracking for this cycle
-        this.contractionCount = 0;
-        this.contractionOnset = null;
-        this.contractionCueIndex = 0;
-
-        const counterDiv = document.getElementById('contractionCounter');
-        if (counterDiv) counterDiv.textContent = 'Contractions : 0';
-
-        // Hide contraction button during rest
-        const btnContraction = document.getElementById('btnMarkContraction');
-        if (btnContraction) btnContraction.style.display = 'none';
-
-        // Rest phase (breathe)
-        document.getElementById('breathPhase').textContent = 'Respirez';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.breathe;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this.contractionCycle} / ${exercise.cycles} — Repos`;
-
-        this.updateBreathPhase({ name: 'Respirez', action: 'inhale', duration: exercise.restDuration }, 'hold');
-
-        if (window.breathSounds) {
-            window.breathSounds.playPhase('inhale', exercise.restDuration);
-        }
+                window.voiceGuide.speak(segment.instruction);
+            }
 
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.breathe);
+            this.startPhaseTimer(segment.duration, () => {
+                this.guidedSegmentIndex++;
+                this.runGuidedSegment();
+            });
         }
-
-        this.startPhaseTimer(exercise.restDuration, () => {
-            this.runContractionHold();
-        });
     }
 
-    runContractionHold() {
-        if (!this.isRunning) return;
-
-        const exercise = this.currentExercise;
-
-        // Show contraction button
-        const btnContraction = document.getElementById('btnMarkContraction');
-        if (btnContraction) btnContraction.style.display = 'block';
-
-        document.getElementById('breathPhase').textContent = 'Apnée';
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.hold;
-        document.getElementById('cycleCounter').textContent =
-            `Cycle ${this.contractionCycle} / ${exercise.cycles} — Apnée`;
-
-        const circle = document.getElementById('breathCircle');
-        circle.classList.remove('inhale', 'exhale', 'holdEmpty');
-        circle.classList.add('hold', 'active');
-        circle.style.setProperty('--phase-duration', '1s');
+    /**
+     * Show a count-up timer while voice is speaking (adaptive mode)
+     */
+    startAdaptiveVoiceTimer(instruction) {
+        // Clear any existing timer
+        if (this.phaseTimer) clearInterval(this.phaseTimer);
 
-        // Count up timer (open-ended hold)
         const timerDisplay = document.getElementById('breathTimer');
         const progressBar = document.getElementById('progressBar');
-        const circumference = 2 * Math.PI * 90;
-        this.contractionHoldStart = Date.now();
+        const startTime = Date.now();
         let pausedTime = 0;
         let pauseStart = null;
 
-        if (this.phaseTimer) clearInterval(this.phaseTimer);
+        // Estimate total time for progress bar
+        const estimatedTotal = Math.max(5, instruction.length / 12);
 
-        if (window.breathSounds) {
-            window.breathSounds.playPhase('hold', 300); // Long hold
-        }
+        timerDisplay.textContent = '...';
 
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(exercise.instructions.hold);
-        }
+        // Saut : couper la voix déclenche son onEnd, donc le décompte de pause
+        this._phaseSkip = () => {
+            this._phaseSkip = null;
+            if (window.voiceGuide) window.voiceGuide.stop();
+        };
 
         this.phaseTimer = setInterval(() => {
-            if (!this.isRunning) {
-                clearInterval(this.phaseTimer);
-                return;
-            }
             if (this.isPaused) {
                 if (!pauseStart) pauseStart = Date.now();
                 return;
@@ -4708,115 +4210,18 @@ class JmeeDeepBreathApp {
                 pauseStart = null;
             }
 
-            const elapsed = (Date.now() - this.contractionHoldStart - pausedTime) / 1000;
-            timerDisplay.textContent = this.formatTime(elapsed);
+            const elapsed = (Date.now() - startTime - pausedTime) / 1000;
 
-            // Progress based on estimated max (use apneaMax as reference)
-            const estimatedMax = this.settings.apneaMax || 120;
-            const progress = Math.min(elapsed / estimatedMax, 1);
-            progressBar.style.strokeDashoffset = circumference * (1 - progress);
+            // Show elapsed time
+            timerDisplay.textContent = elapsed.toFixed(1);
 
-            // Check if we should auto-end (beyondContraction seconds after first contraction)
-            if (this.contractionOnset !== null) {
-                const timeSinceContraction = elapsed - this.contractionOnset;
-                if (timeSinceContraction >= this.contractionBeyond) {
-                    this.endContractionHold(elapsed);
-                }
-            }
+            // Approximate progress
+            const progress = Math.min(elapsed / estimatedTotal, 0.95);
+            const circumference = 2 * Math.PI * 90;
+            progressBar.style.strokeDashoffset = circumference * (1 - progress);
         }, 100);
     }
 
-    markContraction() {
-        if (!this.isRunning || this.isPaused) return;
-
-        const exercise = this.currentExercise;
-        const holdStart = this.contractionHoldStart;
-        if (!holdStart) return;
-
-        const elapsed = (Date.now() - holdStart) / 1000;
-
-        this.contractionCount++;
-
-        // Record onset of first contraction
-        if (this.contractionCount === 1) {
-            this.contractionOnset = elapsed;
-        }
-
-        // Update counter display
-        const counterDiv = document.getElementById('contractionCounter');
-        if (counterDiv) counterDiv.textContent = `Contractions : ${this.contractionCount}`;
-
-        // Show instruction text
-        document.getElementById('exerciseInstruction').textContent = exercise.instructions.contraction;
-
-        // Voice reframing cue
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            const cue = exercise.reframingCues[this.contractionCueIndex % exercise.reframingCues.length];
-            window.voiceGuide.speak(cue);
-            this.contractionCueIndex++;
-        }
-
-        // Haptic feedback if available
-        if (navigator.vibrate) {
-            navigator.vibrate(100);
-        }
-    }
-
-    endContractionHold(holdDuration) {
-        clearInterval(this.phaseTimer);
-        this.phaseTimer = null;
-
-        // Hide contraction button
-        const btnContraction = document.getElementById('btnMarkContraction');
-        if (btnContraction) btnContraction.style.display = 'none';
-
-        // Save cycle data
-        this.contractionHistory.push({
-            cycle: this.contractionCycle,
-            holdDuration: Math.round(holdDuration),
-            contractionCount: this.contractionCount,
-            contractionOnset: this.contractionOnset ? Math.round(this.contractionOnset) : null
-        });
-
-        // Voice feedback
-        const feedback = `Bien joué. ${this.formatTime(holdDuration)} d'apnée, ${this.contractionCount} contractions.`;
-        document.getElementById('exerciseInstruction').textContent = feedback;
-
-        if (window.voiceGuide && window.voiceGuide.enabled) {
-            window.voiceGuide.speak(feedback);
-        }
-
-        // Move to next cycle
-        this.contractionCycle++;
-        setTimeout(() => this.runContractionCycle(), 3000);
-    }
-
-    completeContractionExercise() {
-        // Save contraction history to localStorage
-        try {
-            const historyKey = 'deepbreath_contraction_history';
-            const existing = JSON.parse(localStorage.getItem(historyKey) || '[]');
-            existing.push({
-                date: new Date().toISOString(),
-                weekLevel: this.currentExercise.weekLevel,
-                cycles: this.contractionHistory
-            });
-            // Keep last 50 sessions
-            if (existing.length > 50) existing.splice(0, existing.length - 50);
-            localStorage.setItem(historyKey, JSON.stringify(existing));
-        } catch (e) {
-            console.warn('Could not save contraction history:', e);
-        }
-
-        // Hide contraction UI
-        const btnContraction = document.getElementById('btnMarkContraction');
-        const counterDiv = document.getElementById('contractionCounter');
-        if (btnContraction) btnContraction.style.display = 'none';
-        if (counterDiv) counterDiv.style.display = 'none';
-
-        this.completeExercise();
-    }
-
     // ==========================================
     // Comfort Zone Static Apnea
     // ==========================================
@@ -4879,7 +4284,7 @@ class JmeeDeepBreathApp {
         this.startPhaseTimer(exercise.breatheUpDuration, () => {
             if (!this.isRunning) return;
             this.startComfortHold();
-        });
+        }, this.scheduleCallouts('breatheUp', exercise.breatheUpDuration));
     }
 
     startComfortHold() {
@@ -4908,6 +4313,8 @@ class JmeeDeepBreathApp {
         this._comfortHoldStart = Date.now();
         this._comfortPausedTime = 0;
         let pauseStart = null;
+        // Apnée au confort : maxHoldDuration n'est qu'un garde-fou, seul le temps écoulé est annoncé
+        this._comfortCallouts = this.scheduleCallouts('hold');
 
         if (this.phaseTimer) clearInterval(this.phaseTimer);
 
@@ -4934,6 +4341,7 @@ class JmeeDeepBreathApp {
 
             const elapsed = (Date.now() - this._comfortHoldStart - this._comfortPausedTime) / 1000;
             timerDisplay.textContent = this.formatTime(elapsed);
+            if (this._comfortCallouts) this._comfortCallouts.tick(elapsed);
 
             // Progress based on apneaMax or 120s default
             const estimatedMax = this.settings.apneaMax || 120;
@@ -4946,11 +4354,17 @@ class JmeeDeepBreathApp {
                 this.endComfortHold(elapsed);
             }
         }, 100);
+
+        // Saut = arrêt de l'apnée, comme le bouton Stop
+        this._phaseSkip = () => btnStop?.onclick?.();
     }
 
     endComfortHold(holdDuration) {
         clearInterval(this.phaseTimer);
         this.phaseTimer = null;
+        this._phaseSkip = null;
+        if (this._comfortCallouts) this._comfortCallouts.stop();
+        this._comfortCallouts = null;
 
         // Hide stop button
         const btnStop = document.getElementById('btnComfortStop');
@@ -5008,7 +4422,7 @@ class JmeeDeepBreathApp {
             const average = Math.round(durations.reduce((a, b) => a + b, 0) / durations.length);
 
             const historyKey = this.comfortIsFrc ? 'deepbreath_frc_comfort_history' : 'deepbreath_comfort_zone_history';
-            const existing = JSON.parse(localStorage.getItem(historyKey) || '[]');
+            const existing = window.storage.get(historyKey, []);
             existing.push({
                 date: new Date().toISOString(),
                 holds: this.comfortHolds,
@@ -5019,7 +4433,7 @@ class JmeeDeepBreathApp {
             });
             // Keep last 50 sessions
             if (existing.length > 50) existing.splice(0, existing.length - 50);
-            localStorage.setItem(historyKey, JSON.stringify(existing));
+            window.storage.set(historyKey, existing, { origin: 'app' });
 
             // Show summary in instruction
             const summary = this.comfortHolds.map(h => this.formatTime(h.duration)).join(', ');
@@ -5058,7 +4472,7 @@ class JmeeDeepBreathApp {
         if (!container || !chart) return;
 
         try {
-            const history = JSON.parse(localStorage.getItem('deepbreath_comfort_zone_history') || '[]');
+            const history = window.storage.get('deepbreath_comfort_zone_history', []);
             if (history.length === 0) {
                 container.style.display = 'none';
                 return;
@@ -5109,7 +4523,7 @@ class JmeeDeepBreathApp {
         if (!container || !chart) return;
 
         try {
-            const history = JSON.parse(localStorage.getItem('deepbreath_frc_comfort_history') || '[]');
+            const history = window.storage.get('deepbreath_frc_comfort_history', []);
             if (history.length === 0) {
                 container.style.display = 'none';
                 return;
@@ -5319,6 +4733,8 @@ class JmeeDeepBreathApp {
                 this.endApneaGuidedHold();
             }
         }, 100);
+
+        this._phaseSkip = () => this.endApneaGuidedHold();
     }
 
     runRapidScan(rapidSegments) {
@@ -5347,6 +4763,7 @@ class JmeeDeepBreathApp {
     endApneaGuidedHold() {
         clearInterval(this.phaseTimer);
         this.phaseTimer = null;
+        this._phaseSkip = null;
 
         if (window.breathSounds) window.breathSounds.stop();
 
@@ -5383,11 +4800,36 @@ class JmeeDeepBreathApp {
     // ==========================================
 
     startApneaTable() {
-        const exercise = this.currentExercise;
-
         this.apneaCycle = 1;
+        this.apneaResults = [];
+        this.apneaDecision = 'baseline';
+        this._apneaHold = null;
+        const btnStop = document.getElementById('btnComfortStop');
+        if (btnStop) btnStop.style.display = 'none';
         this.generateApneaTable();
 
+        // Progression adaptative : proposer la table suivante d'après l'historique
+        const exercise = this.currentExercise;
+        const proposal = window.apneaProgression
+            ? window.apneaProgression.suggest(exercise.id, this.apneaTable, this.getEffectiveApneaMax())
+            : null;
+
+        if (proposal && proposal.changed) {
+            this.showApneaProposal(proposal, (table, decision) => {
+                this.apneaTable = table;
+                this.apneaDecision = decision;
+                this.beginApneaTable();
+            });
+        } else {
+            this.beginApneaTable();
+        }
+    }
+
+    beginApneaTable() {
+        if (!this.isRunning) return;
+        const exercise = this.currentExercise;
+        exercise.cycles = this.apneaTable.length;
+
         document.getElementById('cycleCounter').textContent =
             `Cycle ${this.apneaCycle} / ${exercise.cycles}`;
         document.getElementById('exerciseInstruction').textContent = exercise.instructions.start;
@@ -5397,6 +4839,60 @@ class JmeeDeepBreathApp {
         }, 3000);
     }
 
+    /**
+     * Affiche la table proposée (éditable) — accepter, ajuster les valeurs ou revenir à la table de base
+     */
+    showApneaProposal(proposal, onStart) {
+        const modal = document.getElementById('apneaProposalModal');
+        if (!modal) { onStart(proposal.table, 'accepted'); return; }
+
+        const verdicts = {
+            progress:    '📈 Progression',
+            consolidate: '⏸️ Consolidation',
+            stepBack:    '↩️ Retour en arrière',
+            baseline:    'Table de base'
+        };
+        document.getElementById('apneaProposalVerdict').textContent = verdicts[proposal.verdict] || '';
+        document.getElementById('apneaProposalReasons').innerHTML =
+            proposal.reasons.map(r => `<li>${r}</li>`).join('');
+
+        const rows = document.getElementById('apneaProposalRows');
+        rows.innerHTML = proposal.table.map((row, i) => {
+            const base = proposal.base[i] || {};
+            return `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td><input type="number" min="5" max="600" step="1" data-field="hold" data-index="${i}" value="${row.hold}">
+                        <span class="apnea-proposal-base">${base.hold !== row.hold ? base.hold + 's' : ''}</span></td>
+                    <td><input type="number" min="5" max="600" step="5" data-field="rest" data-index="${i}" value="${row.rest}">
+                        <span class="apnea-proposal-base">${base.rest !== row.rest ? base.rest + 's' : ''}</span></td>
+                </tr>`;
+        }).join('');
+
+        const close = () => modal.classList.remove('active');
+
+        document.getElementById('btnApneaProposalAccept').onclick = () => {
+            const table = proposal.table.map(r => ({ ...r }));
+            rows.querySelectorAll('input[data-field]').forEach(input => {
+                const v = parseInt(input.value, 10);
+                if (v > 0) table[input.dataset.index][input.dataset.field] = v;
+            });
+            const tweaked = JSON.stringify(table) !== JSON.stringify(proposal.table);
+            close();
+            onStart(table, tweaked ? 'tweaked' : 'accepted');
+        };
+        document.getElementById('btnApneaProposalReject').onclick = () => {
+            close();
+            onStart(proposal.base.map(r => ({ ...r })), 'rejected');
+        };
+        document.getElementById('apneaProposalClose').onclick = () => {
+            close();
+            this.closeExercise();
+        };
+
+        modal.classList.add('active');
+    }
+
     generateApneaTable() {
         const exercise = this.currentExercise;
         this.apneaTable = [];
@@ -5434,7 +4930,7 @@ class JmeeDeepBreathApp {
         const cycleData = this.apneaTable[this.apneaCycle - 1];
 
         if (!cycleData) {
-            this.completeExercise();
+            this.finishApneaTable();
             return;
         }
 
@@ -5466,16 +4962,86 @@ class JmeeDeepBreathApp {
                 window.breathSounds.playPhase('hold', cycleData.hold);
             }
 
-            this.startPhaseTimer(cycleData.hold, () => {
-                this.apneaCycle++;
+            this.startApneaTableHold(cycleData);
+            this.startPhaseTimer(cycleData.hold, () => this.endApneaTableHold(true),
+                this.scheduleCallouts('hold', cycleData.hold), () => this.endApneaTableHold(false));
+        }, this.scheduleCallouts('breatheUp', cycleData.rest));
+    }
 
-                if (this.apneaCycle > exercise.cycles) {
-                    this.completeExercise();
-                } else {
-                    this.runApneaCycle();
-                }
-            });
+    /**
+     * Apnée d'une table : bouton d'arrêt anticipé + marquage des contractions,
+     * résultats conservés pour la progression adaptative
+     */
+    startApneaTableHold(cycleData) {
+        this.elapsedTime = 0;
+        this._apneaHold = { cycle: this.apneaCycle, target: cycleData.hold, contractions: 0, onset: null };
+
+        const btnStop = document.getElementById('btnComfortStop');
+        if (btnStop) {
+            btnStop.style.display = '';
+            btnStop.onclick = () => this.endApneaTableHold(false);
+        }
+        const btnContraction = document.getElementById('btnMarkContraction');
+        const counterDiv = document.getElementById('contractionCounter');
+        if (btnContraction) btnContraction.style.display = '';
+        if (counterDiv) {
+            counterDiv.style.display = 'block';
+            counterDiv.textContent = 'Contractions : 0';
+        }
+    }
+
+    markApneaTableContraction() {
+        const hold = this._apneaHold;
+        if (!hold || this.isPaused) return;
+        hold.contractions++;
+        if (hold.onset === null) hold.onset = Math.round(this.elapsedTime);
+        const counterDiv = document.getElementById('contractionCounter');
+        if (counterDiv) counterDiv.textContent = `Contractions : ${hold.contractions}`;
+        if (navigator.vibrate) navigator.vibrate(100);
+    }
+
+    endApneaTableHold(completed) {
+        const hold = this._apneaHold;
+        if (!hold) return;
+        this._apneaHold = null;
+
+        if (!completed) {
+            clearInterval(this.phaseTimer);
+            this.phaseTimer = null;
+            this._phaseSkip = null;
+            if (window.breathSounds) window.breathSounds.stop();
+        }
+
+        this.apneaResults.push({
+            cycle: hold.cycle,
+            target: hold.target,
+            hold: completed ? hold.target : Math.round(this.elapsedTime),
+            completed,
+            contractions: hold.contractions,
+            contractionOnset: hold.onset
         });
+
+        ['btnComfortStop', 'btnMarkContraction', 'contractionCounter'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = 'none';
+        });
+
+        this.apneaCycle++;
+        if (this.apneaCycle > this.currentExercise.cycles) {
+            this.finishApneaTable();
+        } else {
+            this.runApneaCycle();
+        }
+    }
+
+    finishApneaTable() {
+        if (window.apneaProgression) {
+            window.apneaProgression.recordSession(this.currentExercise.id, this.apneaTable, this.apneaResults, {
+                apneaMax: this.getEffectiveApneaMax(),
+                decision: this.apneaDecision
+            });
+        }
+        this.completeExercise();
     }
 
     // ==========================================
@@ -5489,6 +5055,9 @@ class JmeeDeepBreathApp {
         const startHoldBtn = document.getElementById('btnStartHold');
         const stopHoldBtn = document.getElementById('btnStopHold');
         const saveBtn = document.getElementById('btnSaveResult');
+        const contractionBtn = document.getElementById('btnTestContraction');
+        const sourceSelect = document.getElementById('apneaMaxSource');
+        const testList = document.getElementById('apneaTestList');
 
         testBtn?.addEventListener('click', () => {
             modal.classList.add('active');
@@ -5511,6 +5080,38 @@ class JmeeDeepBreathApp {
         saveBtn?.addEventListener('click', () => {
             this.saveApneaResult();
         });
+
+        contractionBtn?.addEventListener('click', () => {
+            if (!this.testStartTime || this.testContractionOnset != null) return;
+            this.testContractionOnset = (Date.now() - this.testStartTime) / 1000;
+            contractionBtn.disabled = true;
+            contractionBtn.textContent = `1ère contraction : ${this.formatTime(this.testContractionOnset)}`;
+        });
+
+        // Source du max effectif (meilleur glissant, saisie manuelle ou test précis)
+        sourceSelect?.addEventListener('change', () => {
+            this.settings.apneaMaxSource = sourceSelect.value;
+            this.refreshApneaMax();
+            this.updatePersonalBestDisplay();
+            this.updateComputedValues();
+            if (this.settings.mode === 'optimal') {
+                this.refreshExerciseSettingsUI();
+            }
+            this.saveSettings(true);
+        });
+
+        testList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-delete-test]');
+            if (!btn || !window.apneaTestLog) return;
+            if (!confirm('Supprimer ce test du journal ?')) return;
+            const id = btn.dataset.deleteTest;
+            window.apneaTestLog.remove(id);
+            if (this.settings.apneaMaxSource === id) this.settings.apneaMaxSource = 'rolling';
+            this.refreshApneaMax();
+            this.updatePersonalBestDisplay();
+            this.renderApneaTestLog();
+            this.saveSettings(true);
+        });
     }
 
     resetApneaTest() {
@@ -5521,6 +5122,17 @@ class JmeeDeepBreathApp {
         document.getElementById('btnStartHold').style.display = 'inline-block';
         document.getElementById('btnStopHold').style.display = 'none';
         document.getElementById('testResultDisplay').style.display = 'none';
+
+        this.testStartTime = null;
+        this.testContractionOnset = null;
+        const contractionBtn = document.getElementById('btnTestContraction');
+        if (contractionBtn) {
+            contractionBtn.style.display = 'none';
+            contractionBtn.disabled = false;
+            contractionBtn.textContent = '⚡ 1ère contraction';
+        }
+        const notes = document.getElementById('testNotes');
+        if (notes) notes.value = '';
     }
 
     startApneaHold() {
@@ -5531,6 +5143,9 @@ class JmeeDeepBreathApp {
         document.getElementById('btnStartHold').style.display = 'none';
         document.getElementById('btnStopHold').style.display = 'inline-block';
         document.getElementById('testStatus').textContent = 'En cours...';
+        this.testContractionOnset = null;
+        const contractionBtn = document.getElementById('btnTestContraction');
+        if (contractionBtn) contractionBtn.style.display = 'inline-block';
 
         this.testTimer = setInterval(() => {
             const elapsed = (Date.now() - this.testStartTime) / 1000;
@@ -5547,6 +5162,8 @@ class JmeeDeepBreathApp {
         this.lastTestResult = elapsed;
 
         document.getElementById('btnStopHold').style.display = 'none';
+        const contractionBtn = document.getElementById('btnTestContraction');
+        if (contractionBtn) contractionBtn.style.display = 'none';
         document.getElementById('testStatus').textContent = 'Terminé';
         document.getElementById('testResultDisplay').style.display = 'block';
         document.getElementById('resultTime').textContent = this.formatTime(elapsed);
@@ -5573,7 +5190,22 @@ class JmeeDeepBreathApp {
 
     saveApneaResult() {
         if (this.lastTestResult) {
-            this.settings.apneaMax = Math.round(this.lastTestResult);
+            const test = {
+                duration: this.lastTestResult,
+                contractionOnset: this.testContractionOnset,
+                lungVolume: document.getElementById('testLungVolume')?.value || 'full',
+                environment: document.getElementById('testEnvironment')?.value || 'dry',
+                notes: document.getElementById('testNotes')?.value.trim() || ''
+            };
+
+            if (window.apneaTestLog) {
+                window.apneaTestLog.add(test);
+                // Un test enregistré redonne la main au journal si le max était figé à la main
+                if (this.settings.apneaMaxSource === 'manual') this.settings.apneaMaxSource = 'rolling';
+                this.refreshApneaMax();
+            } else {
+                this.settings.apneaMax = Math.round(this.lastTestResult);
+            }
 
             // Update UI
             const apneaMinutes = document.getElementById('apneaMinutes');
@@ -5582,6 +5214,8 @@ class JmeeDeepBreathApp {
             if (apneaSeconds) apneaSeconds.value = this.settings.apneaMax % 60;
 
             this.updatePersonalBestDisplay();
+            this.renderApneaTestLog();
+            this.updateComputedValues();
 
             // Recalculer les exercices si en mode optimal
             if (this.settings.mode === 'optimal') {
@@ -5594,13 +5228,166 @@ class JmeeDeepBreathApp {
         }
     }
 
+    /**
+     * Max effectif (s) qui alimente les pourcentages des tables — voir apnea-log.js
+     */
+    getEffectiveApneaMax() {
+        if (!window.apneaTestLog) return this.settings.apneaMax;
+        return window.apneaTestLog.effectiveMax(this.settings).value || this.settings.apneaMax;
+    }
+
+    /**
+     * Aligne settings.apneaMax sur le max effectif pour que les autres calculs
+     * (mode optimal, zone de confort, champs des réglages) restent cohérents
+     */
+    refreshApneaMax() {
+        const effective = this.getEffectiveApneaMax();
+        if (effective > 0 && effective !== this.settings.apneaMax) {
+            this.settings.apneaMax = effective;
+            const apneaMinutes = document.getElementById('apneaMinutes');
+            const apneaSeconds = document.getElementById('apneaSeconds');
+            if (apneaMinutes) apneaMinutes.value = Math.floor(effective / 60);
+            if (apneaSeconds) apneaSeconds.value = effective % 60;
+        }
+    }
+
     updatePersonalBestDisplay() {
         const display = document.getElementById('personalBest');
-        if (display && this.settings.apneaMax) {
-            display.textContent = this.formatTime(this.settings.apneaMax);
+        const max = this.getEffectiveApneaMax();
+        if (display && max) {
+            display.textContent = this.formatTime(max);
         } else if (display) {
             display.textContent = '--:--';
         }
+
+        const sourceLabel = document.getElementById('personalBestSource');
+        if (sourceLabel && window.apneaTestLog) {
+            const eff = window.apneaTestLog.effectiveMax(this.settings);
+            if (eff.source === 'rolling') {
+                sourceLabel.textContent = `Meilleur des ${this.settings.apneaRollingDays || 30} derniers jours — ${window.apneaTestLog.describe(eff.test)}`;
+            } else if (eff.test) {
+                sourceLabel.textContent = `Test retenu — ${window.apneaTestLog.describe(eff.test)}`;
+            } else {
+                sourceLabel.textContent = 'Valeur saisie manuellement';
+            }
+        }
+    }
+
+    renderApneaTestLog() {
+        if (!window.apneaTestLog) return;
+        const tests = window.apneaTestLog.getAll();
+        const days = this.settings.apneaRollingDays || 30;
+
+        const sourceSelect = document.getElementById('apneaMaxSource');
+        if (sourceSelect) {
+            const current = this.settings.apneaMaxSource || 'rolling';
+            sourceSelect.innerHTML = `
+                <option value="rolling">Meilleur des ${days} derniers jours</option>
+                <option value="manual">Valeur manuelle (réglages)</option>
+                ${tests.slice().reverse().map(t =>
+                    `<option value="${t.id}">${window.apneaTestLog.describe(t)}</option>`).join('')}`;
+            sourceSelect.value = current;
+            if (sourceSelect.value !== current) sourceSelect.value = 'rolling';
+        }
+
+        const trend = document.getElementById('apneaTestTrend');
+        if (trend) {
+            const svg = window.apneaTestLog.buildTrendSvg(days);
+            trend.innerHTML = svg || '<p class="apnea-test-empty">Au moins deux tests sont nécessaires pour tracer la tendance.</p>';
+        }
+
+        const list = document.getElementById('apneaTestList');
+        if (list) {
+            list.innerHTML = tests.slice(-8).reverse().map(t => `
+                <li class="apnea-test-item">
+                    <span class="apnea-test-desc">${window.apneaTestLog.describe(t)}${t.contractionOnset != null ? ` · 1ère contraction ${this.formatTime(t.contractionOnset)}` : ''}</span>
+                    ${t.notes ? `<span class="apnea-test-notes">${this.escapeHtml(t.notes)}</span>` : ''}
+                    <button class="apnea-test-delete" data-delete-test="${t.id}" title="Supprimer">✕</button>
+                </li>`).join('');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // ==========================================
+    // Heart Rate Monitor
+    // ==========================================
+
+    setupHeartRate() {
+        const hr = window.heartRate;
+        if (!hr) return;
+
+        const bleBtn = document.getElementById('btnHrConnectBle');
+        const simBtn = document.getElementById('btnHrConnectSim');
+        const disconnectBtn = document.getElementById('btnHrDisconnect');
+
+        if (bleBtn && !window.BleHeartRateSource.isSupported()) {
+            bleBtn.disabled = true;
+            bleBtn.title = 'Web Bluetooth non disponible (Chrome / Edge / Android requis)';
+        }
+
+        const connect = async (name) => {
+            try {
+                await hr.connect(name);
+                this.showToast(window.i18n.t('Cardiofréquencemètre connecté : {label}', { label: hr.source.label }));
+            } catch (e) {
+                // Annulation du sélecteur Bluetooth : pas d'alerte
+                if (e.name !== 'NotFoundError') this.showToast(window.i18n.t('Connexion FC impossible : {message}', { message: e.message }));
+            }
+        };
+        bleBtn?.addEventListener('click', () => connect('ble'));
+        simBtn?.addEventListener('click', () => connect('simulated'));
+        disconnectBtn?.addEventListener('click', () => hr.disconnect());
+
+        hr.on('status', () => this.updateHeartRateStatus());
+        hr.on('sample', (s) => {
+            const live = document.getElementById('hrLiveValue');
+            if (live) live.textContent = `${s.bpm} bpm`;
+            this.updateExerciseHeartRate(s);
+        });
+        this.updateHeartRateStatus();
+    }
+
+    updateHeartRateStatus() {
+        const hr = window.heartRate;
+        const row = document.getElementById('hrStatusRow');
+        const text = document.getElementById('hrStatusText');
+        const live = document.getElementById('hrLiveValue');
+        const labels = {
+            disconnected: 'Non connecté',
+            connecting: 'Connexion…',
+            connected: `Connecté — ${hr.source ? hr.source.label : ''}`,
+            error: `Erreur : ${hr.error || ''}`
+        };
+        const rowState = { connected: ' sync-synced', connecting: ' sync-syncing', error: ' sync-error' };
+        if (row) row.className = 'sync-status-row' + (rowState[hr.status] || '');
+        if (text) text.textContent = labels[hr.status] || hr.status;
+        if (live && !hr.isConnected()) live.textContent = '';
+
+        const connected = hr.isConnected();
+        document.getElementById('btnHrConnectBle')?.style.setProperty('display', connected ? 'none' : '');
+        document.getElementById('btnHrConnectSim')?.style.setProperty('display', connected ? 'none' : '');
+        document.getElementById('btnHrDisconnect')?.style.setProperty('display', connected ? '' : 'none');
+        this.updateExerciseHeartRate();
+    }
+
+    /** Badge FC dans la fenêtre d'exercice : BPM + dernier intervalle RR */
+    updateExerciseHeartRate(sample = null) {
+        const badge = document.getElementById('exerciseHr');
+        if (!badge) return;
+        const hr = window.heartRate;
+        const bpm = hr && hr.isConnected() ? (sample ? sample.bpm : hr.current()) : null;
+        if (bpm === null) {
+            badge.style.display = 'none';
+            return;
+        }
+        const rr = sample && sample.rr && sample.rr.length ? sample.rr[sample.rr.length - 1] : null;
+        badge.style.display = '';
+        badge.textContent = `♥ ${bpm} bpm${rr ? ` · RR ${rr} ms` : ''}`;
     }
 
     // ==========================================
@@ -5613,7 +5400,12 @@ class JmeeDeepBreathApp {
         // Temporarily stop running to halt any ongoing loops
         this.isRunning = false;
 
-        // Stop BreathingEngine v3 if active
+        if (this.runner) {
+            this.runner.stop();
+            this.runner = null;
+        }
+
+        // Stop BreathEngine if active
         if (this.engine) {
             this.engine.reset();
             this.engine = null;
@@ -5623,6 +5415,7 @@ class JmeeDeepBreathApp {
         if (this.phaseTimer) {
             clearInterval(this.phaseTimer);
             this.phaseTimer = null;
+            this._phaseSkip = null;
         }
         if (this.displayTimer) {
             clearInterval(this.displayTimer);
@@ -5639,23 +5432,12 @@ class JmeeDeepBreathApp {
         this.currentCycle = 1;
         this.elapsedTime = 0;
 
-        // Reset Wim Hof specific state
-        this.wimHofRound = 1;
-        this.wimHofBreath = 1;
-
         // Reset guided exercise state
         this.guidedSegmentIndex = 0;
 
         // Reset apnea state
         this.apneaCycle = 1;
 
-        // Reset contraction state
-        this.contractionCycle = 1;
-        this.contractionCount = 0;
-        this.contractionOnset = null;
-        this.contractionHoldStart = null;
-        this.contractionHistory = [];
-
         // Reset body scan apnea state
         this.apneaGuidedCycle = 1;
 
@@ -5690,16 +5472,14 @@ class JmeeDeepBreathApp {
             this.isRunning = true;
 
             // Restart the same exercise type
-            if (this.currentExercise.isApneaWithGuidance) {
+            if (this.currentExercise.steps) {
+                this.startStepExercise();
+            } else if (this.currentExercise.isApneaWithGuidance) {
                 this.startApneaWithGuidance();
-            } else if (this.currentExercise.isContractionTable) {
-                this.startContractionTable();
             } else if (this.currentExercise.isApneaTable) {
                 this.startApneaTable();
             } else if (this.currentExercise.isGuided) {
                 this.startGuidedExercise();
-            } else if (this.currentExercise.isWimHof) {
-                this.startWimHofExercise();
             } else {
                 this.startBreathingExercise();
             }
@@ -5712,18 +5492,27 @@ class JmeeDeepBreathApp {
 
     completeExercise() {
         this.isRunning = false;
+        this.sessionTelemetry = null;
 
-        // Stop BreathingEngine v3 (if it hasn't already completed)
+        // Stop BreathEngine (if it hasn't already completed)
         if (this.engine) {
             const st = this.engine.getCurrentState();
             if (st && st.state !== 'completed' && st.state !== 'idle') {
                 this.engine.stop();
             }
+            if (this.engine.getTelemetry) this.sessionTelemetry = this.engine.getTelemetry();
             this.engine = null;
         }
 
+        if (this.runner) {
+            this.runner.stop();
+            this.sessionTelemetry = this.runner.getTelemetry();
+        }
+        if (window.heartRate) this.sessionHeartRate = window.heartRate.stopRecording();
+
         clearInterval(this.phaseTimer);
         this.phaseTimer = null;
+        this._phaseSkip = null;
 
         // Allow screen to sleep again
         this.releaseWakeLock();
@@ -5828,7 +5617,7 @@ class JmeeDeepBreathApp {
                 }
 
                 this.saveSettings(true);
-                this.showToast(`Suspension ajustée à ${newHold}s pour la prochaine séance`);
+                this.showToast(window.i18n.t('Suspension ajustée à {seconds}s pour la prochaine séance', { seconds: newHold }));
             }
 
             // Passer au feedback coach standard
@@ -5854,7 +5643,7 @@ class JmeeDeepBreathApp {
         this.isRunning = false;
         this.isPaused = false;
 
-        // Stop BreathingEngine v3 if active
+        // Stop BreathEngine if active
         if (this.engine) {
             this.engine.stop();
             this.engine = null;
@@ -5862,14 +5651,21 @@ class JmeeDeepBreathApp {
 
         clearInterval(this.phaseTimer);
         this.phaseTimer = null;
+        this._phaseSkip = null;
         clearInterval(this.displayTimer);
         this.displayTimer = null;
 
-        // Clean up Wim Hof spacebar handler if still attached
-        if (this.wimHofSpaceHandler) {
-            document.removeEventListener('keydown', this.wimHofSpaceHandler);
-            this.wimHofSpaceHandler = null;
-        }
+        // Stop declarative runner (hides its hold controls)
+        if (this.runner) this.runner.stop();
+
+        // Séance abandonnée : la trace FC en cours n'est pas conservée
+        if (window.heartRate) window.heartRate.stopRecording();
+
+        // Table d'apnée : proposition en attente ou apnée en cours
+        this._apneaHold = null;
+        document.getElementById('apneaProposalModal')?.classList.remove('active');
+        const btnComfortStop = document.getElementById('btnComfortStop');
+        if (btnComfortStop) btnComfortStop.style.display = 'none';
 
         // Allow screen to sleep again
         this.releaseWakeLock();
@@ -5877,6 +5673,7 @@ class JmeeDeepBreathApp {
         // Stop all sounds
         if (window.voiceGuide) window.voiceGuide.stop();
         if (window.breathSounds) window.breathSounds.stop();
+        this.applyExerciseSoundscape(null);
 
         document.getElementById('exerciseModal').classList.remove('active');
 
@@ -5902,8 +5699,15 @@ class JmeeDeepBreathApp {
             this._exercisePauseStart = null;
         }
 
-        // Delegate to BreathingEngine v3 if active (standard exercises)
-        if (this.engine) {
+        // Protocoles déclaratifs : le runner gère ses horloges, sons et voix
+        if (this.runner && this.runner.active) {
+            if (this.isPaused) {
+                this.runner.pause();
+            } else {
+                this.runner.resume();
+            }
+        } else if (this.engine) {
+            // Delegate to BreathEngine if active (standard exercises)
             const st = this.engine.getCurrentState();
             if (st && st.state !== 'idle' && st.state !== 'completed') {
                 if (this.isPaused) {
@@ -6191,7 +5995,13 @@ class JmeeDeepBreathApp {
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    window.app = new JmeeDeepBreathApp();
+    // Lectures synchrones : les collections doivent être chargées (IndexedDB) avant l'app
+    // Langue appliquée avant l'app : contenu des exercices traduit et voix choisie dans la bonne langue
+    window.storage.ready
+        .then(() => window.i18n.setLanguage(window.storage.get('deepbreath_settings', {})?.language || ''))
+        .then(() => {
+            window.app = new JmeeDeepBreathApp();
+        });
 });
 
 // ═══════════════════════════════════════════════════════════════
@@ -6236,7 +6046,7 @@ class ChasseModule {
             'chasse-terre': {
                 title: 'Récupération Post-Équipement',
                 phases: [
-                    { label: 'Normoventilation', duration: 300, action: 'hold', color: 'hold',
+                    { label: 'Normoventilation', duration: 300, action: 'hold', color: 'hold', hrTarget: 75,
                       instruction: 'Assieds-toi ou allonge-toi. Respiration naturelle : inspire 3s par le nez, expire 5s par la bouche. Objectif : FC < 75 bpm avant l\'entrée dans l\'eau.' }
                 ]
             },
@@ -6269,14 +6079,14 @@ class ChasseModule {
             'statique-coherence': {
                 title: 'Cohérence Cardiaque — Statique',
                 phases: [
-                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold',
+                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold', hrTarget: 65,
                       instruction: 'Inspire 5s / Expire 5s. Diaphragmatique. Yeux fermés. Allongé si possible. Active le système parasympathique. FC cible < 65 bpm.' }
                 ]
             },
             'statique-prep': {
                 title: 'Préparation Apnée Statique',
                 phases: [
-                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold',
+                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold', hrTarget: 65,
                       instruction: 'Inspire 5s / Expire 5s. Diaphragmatique. Yeux fermés. Allongé. FC cible < 65 bpm.' },
                     { label: 'Breathe-up PFI', duration: 90, action: 'exhale', color: 'exhale',
                       instruction: 'Inspire 2-5s → Pause 1-2s → Expire 8-10s lente et passive. 4 cycles/min. PaCO₂ stable. Corps relâché.' },
@@ -6289,14 +6099,14 @@ class ChasseModule {
             'dynamique-coherence': {
                 title: 'Cohérence Cardiaque — Dynamique',
                 phases: [
-                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold',
+                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold', hrTarget: 65,
                       instruction: 'Au mur, immobile. Inspire 5s / Expire 5s. Diaphragmatique. Ne pas s\'échauffer juste avant. FC cible < 65 bpm.' }
                 ]
             },
             'dynamique-prep': {
                 title: 'Préparation Apnée Dynamique',
                 phases: [
-                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold',
+                    { label: 'Cohérence cardiaque', duration: 120, action: 'hold', color: 'hold', hrTarget: 65,
                       instruction: 'Au mur, immobile. Inspire 5s / Expire 5s. Corps relâché. FC cible < 65 bpm.' },
                     { label: 'Breathe-up long', duration: 120, action: 'exhale', color: 'exhale',
                       instruction: 'Inspire 5s → Pause 1-2s → Expire 10s. Plus long qu\'en statique. Position horizontale si possible.' },
@@ -6309,14 +6119,14 @@ class ChasseModule {
             'profondeur-coherence': {
                 title: 'Cohérence Méditée — Profondeur',
                 phases: [
-                    { label: 'Cohérence + méditation', duration: 180, action: 'hold', color: 'hold',
+                    { label: 'Cohérence + méditation', duration: 180, action: 'hold', color: 'hold', hrTarget: 60,
                       instruction: 'Flottaison dorsale idéale. Inspire 5s / Expire 5s. Yeux fermés. Visualise ta plongée : trajectoire, virages, comportement au fond. FC cible < 60 bpm.' }
                 ]
             },
             'profondeur-prep': {
                 title: 'Préparation Apnée en Profondeur',
                 phases: [
-                    { label: 'Cohérence méditée', duration: 180, action: 'hold', color: 'hold',
+                    { label: 'Cohérence méditée', duration: 180, action: 'hold', color: 'hold', hrTarget: 60,
                       instruction: 'Flottaison dorsale. Inspire 5s / Expire 5s. Yeux fermés. Visualise ta plongée complète. FC cible < 60 bpm.' },
                     { label: 'Breathe-up profond', duration: 120, action: 'exhale', color: 'exhale',
                       instruction: 'Inspire 5s → Pause 1-2s → Expire 10s. Le plus lent et méditatif. Laisse le corps guider.' },
@@ -6378,11 +6188,21 @@ class ChasseModule {
 
         this.updateGuidedDisplay(phase.duration, phase.duration, circumference);
 
+        let hrWaited = 0;
         this.guidedTimer = setInterval(() => {
             if (this.guidedPaused) return;
-            this.guidedPhaseRemaining--;
-            this.updateGuidedDisplay(this.guidedPhaseRemaining, phase.duration, circumference);
+            if (this.guidedPhaseRemaining > 0) {
+                this.guidedPhaseRemaining--;
+                this.updateGuidedDisplay(this.guidedPhaseRemaining, phase.duration, circumference);
+            }
             if (this.guidedPhaseRemaining <= 0) {
+                // Porte FC : prolonger tant que la cible n'est pas atteinte (voir heartRate.gateWait)
+                const hrWait = window.heartRate ? window.heartRate.gateWait(phase.hrTarget, hrWaited) : null;
+                if (hrWait) {
+                    hrWaited++;
+                    document.getElementById('chasseTimerAction').textContent = hrWait;
+                    return;
+                }
                 clearInterval(this.guidedTimer);
                 this.guidedPhaseIndex++;
                 setTimeout(() => this.runGuidedPhase(), 500);
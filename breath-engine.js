@@ -1,58 +1,10 @@
 /* ============================================================
-   BREATHENGINE V4 — Moteur standalone
+   BREATHENGINE — Moteur unique (séquenceur + renderers)
    ============================================================
 
-   INTÉGRATION REACT
-   -----------------
-   1. Copier ce fichier dans /public/breathengine-v3.js
-   2. Dans index.html : <script src="/breathengine-v3.js"></script>
-   3. Dans ton composant React :
-
-   ```jsx
-   import { useEffect, useRef } from 'react'
-
-   export function BreathOrb({ exercise, onComplete }) {
-     const canvasRef  = useRef(null)
-     const overlayRef = useRef(null)
-
-     useEffect(() => {
-       // Monte le moteur sur les éléments React
-       window.BreathEngine.mount(canvasRef.current, overlayRef.current)
-       return () => window.BreathEngine.destroy()
-     }, [])
-
-     useEffect(() => {
-       if (!exercise) return
-       window.BreathEngine.run({
-         ...exercise,          // config complète fournie par l'exo
-         onComplete,
-       })
-       return () => window.BreathEngine.stop()
-     }, [exercise])
-
-     return (
-       <div style={{ position: 'relative', width: '100%', height: '100%' }}>
-         <canvas ref={canvasRef} style={{ display: 'block', width: '100%', height: '100%' }} />
-         <div ref={overlayRef} style={{
-           position: 'absolute', inset: 0,
-           display: 'flex', flexDirection: 'column',
-           alignItems: 'center', justifyContent: 'flex-start',
-           paddingTop: '8%',
-           pointerEvents: 'none', userSelect: 'none',
-         }}>
-           <div className="be-phase-label" />
-         </div>
-       </div>
-     )
-   }
-   ```
-
-   CSS minimal à inclure dans ton projet (ou Tailwind équivalent) :
-   ```css
-   .be-phase-label { opacity: 0; transition: opacity 0.6s ease; }
-   .be-visible { opacity: 1 !important; }
-   .be-phase-label { font-size: clamp(1.1rem,3.5vmin,1.8rem); font-weight:300; letter-spacing:.25em; text-transform:uppercase; color:rgba(255,255,255,.75); }
-   ```
+   Remplace les trois moteurs historiques (breathing-engine.js v2,
+   breathengine-v3.js, breathengine-v4.js) : un seul PhaseSequencer,
+   un seul schéma de config, et un rendu interchangeable.
 
    API PUBLIQUE
    ------------
@@ -64,12 +16,21 @@
    window.BreathEngine.pause()
    window.BreathEngine.resume()
    window.BreathEngine.reset()                      — stop + clear canvas
+   window.BreathEngine.refresh()                    — recalcul du canvas (container affiché après mount)
    window.BreathEngine.skip()                       — phase suivante immédiatement
    window.BreathEngine.setVolume(0.0–1.0)
    window.BreathEngine.setMuted(bool)
    window.BreathEngine.getCurrentState()            — snapshot état complet
+   window.BreathEngine.getTelemetry()               — journal horodaté de la dernière séance
+                                                      { source, startedAt, events: [{ t, type, … }] }
+                                                      types : countdown, exercise_start, phase_start, phase_end
+                                                      (planned / actual / endedBy), pause, resume, skip,
+                                                      hidden, visible, stop, complete
    window.BreathEngine.run(config)                  — Promise — configure + start, résout sur onComplete
-   window.BreathEngine.destroy()                    — nettoyage complet (unmount React)
+   window.BreathEngine.destroy()                    — nettoyage complet
+   window.BreathEngine.setRenderer(name)            — renderer par défaut ('wave' | 'orb' | 'text')
+   window.BreathEngine.registerRenderer(name, Cls)  — ajouter un renderer
+   window.BreathEngine.getRenderers()               — noms disponibles
 
    SCHÉMA DE CONFIG
    ----------------
@@ -77,39 +38,58 @@
      totalCycles: 6,            // 0 = infini jusqu'à stop()
      countdownDuration: 3,      // secondes de décompte avant le début (0 = désactivé)
      backgroundColor: '#000000',
-     colors: {
-       preparation: { hue: 210, saturation: 60, lightness: 42 },
-       inhale:      { hue: 210, saturation: 60, lightness: 42 },
-       holdFull:    { hue: 220, saturation: 50, lightness: 35 },
-       exhale:      { hue: 270, saturation: 50, lightness: 48 },
-       holdEmpty:   { hue: 270, saturation: 40, lightness: 30 },
-       recovery:    { hue: 210, saturation: 40, lightness: 62 },
-     },
-     phases: {
-       preparation: { enabled: true,  duration: 4, label: 'Préparer', easing: 'cubicInOut', silent: false, audioUrl: null },
-       inhale:      { enabled: true,  duration: 4, label: 'Inspirer', easing: 'cubicInOut', audioUrl: null },
-       holdFull:    { enabled: true,  duration: 4, label: 'Retenir',  easing: 'sineInOut',  audioUrl: null },
-       exhale:      { enabled: true,  duration: 6, label: 'Expirer',  easing: 'cubicInOut', audioUrl: null },
-       holdEmpty:   { enabled: false, duration: 0, label: 'Retenir',  easing: 'sineInOut',  audioUrl: null },
-       recovery:    { enabled: false, duration: 0, label: 'Repos',    easing: 'quartOut',   audioUrl: null },
-     },
+     renderer: 'wave',          // optionnel — sinon renderer par défaut (setRenderer)
+     colors: { inhale: { hue, saturation, lightness }, holdFull, exhale, holdEmpty, preparation, recovery },
+     phases: [                  // jouées dans l'ordre, un cycle = la liste complète
+       { name: 'Inspirez', action: 'inhale',  duration: 4, label, easing, silent, audioUrl },
+       { name: 'Retenez',  action: 'hold',    duration: 4 },   // hold → holdFull / holdEmpty selon la phase précédente
+       { name: 'Expirez',  action: 'exhale',  duration: 6 },
+     ],
      volume: 0.5,
      muted: false,
-     onPhaseChange:   (phaseName, duration) => {},
+     soundTheme: null,          // id d'un thème de breath-themes.js — sinon synthèse intégrée
+     onPhaseChange:   (kind, duration, phase, index) => {},
      onCycleComplete: (cycleNumber) => {},
      onComplete:      () => {},
      onTick:          (state) => {},   // chaque frame RAF
      onCountdownTick: (remaining) => {},
    }
+
+   ADAPTATEUR : `phases` accepte aussi l'ancien dictionnaire v3/v4
+   { preparation, inhale, holdFull, exhale, holdEmpty, recovery } avec `enabled` —
+   converti par normalizePhases() dans l'ordre historique. Le tableau
+   EXERCISES[*].phases ({ name, duration, action }) est accepté tel quel.
+
+   INTERFACE RENDERER
+   ------------------
+   constructor(canvas)
+   setBackground(color)       setReadyState()
+   setPhaseTarget(kind, phase, colors, arcIndex)
+   render(progress, phaseProgress, totalElapsed)
+   renderIdle()               resize()
+   setCountdown(sec|null)     setCycleText(str|null)     clearHUD()
+   destroy()
    ============================================================ */
 
 /* ============================================================
-   [1] CONFIG DEFAULTS
+   [1] CONFIG DEFAULTS + ADAPTATEUR DE PHASES
    ============================================================ */
+const PHASE_ORDER = ['preparation','inhale','holdFull','exhale','holdEmpty','recovery'];
+
+const PHASE_KINDS = {
+  preparation: { label: 'Préparer', easing: 'cubicInOut' },
+  inhale:      { label: 'Inspirer', easing: 'cubicInOut' },
+  holdFull:    { label: 'Retenir',  easing: 'sineInOut'  },
+  exhale:      { label: 'Expirer',  easing: 'cubicInOut' },
+  holdEmpty:   { label: 'Retenir',  easing: 'sineInOut'  },
+  recovery:    { label: 'Repos',    easing: 'quartOut'   },
+};
+
 const CONFIG_DEFAULTS = {
   totalCycles: 6,
   countdownDuration: 0,
   backgroundColor: '#000000',
+  renderer: null,
 
   colors: {
     preparation: { hue: 215, saturation: 45, lightness: 32 },
@@ -120,17 +100,15 @@ const CONFIG_DEFAULTS = {
     recovery:    { hue: 210, saturation: 40, lightness: 62 },
   },
 
-  phases: {
-    preparation: { enabled: false, duration: 0, label: 'Préparer', easing: 'cubicInOut', silent: false, audioUrl: null },
-    inhale:      { enabled: true,  duration: 4, label: 'Inspirer', easing: 'cubicInOut', silent: false, audioUrl: null },
-    holdFull:    { enabled: true,  duration: 4, label: 'Retenir',  easing: 'sineInOut',  silent: false, audioUrl: null },
-    exhale:      { enabled: true,  duration: 6, label: 'Expirer',  easing: 'cubicInOut', silent: false, audioUrl: null },
-    holdEmpty:   { enabled: false, duration: 0, label: 'Retenir',  easing: 'sineInOut',  silent: false, audioUrl: null },
-    recovery:    { enabled: false, duration: 0, label: 'Repos',    easing: 'quartOut',   silent: false, audioUrl: null },
-  },
+  phases: [
+    { action: 'inhale',   duration: 4 },
+    { action: 'holdFull', duration: 4 },
+    { action: 'exhale',   duration: 6 },
+  ],
 
   volume: 0.5,
   muted: false,
+  soundTheme: null,
 
   onPhaseChange:    null,
   onCycleComplete:  null,
@@ -139,26 +117,61 @@ const CONFIG_DEFAULTS = {
   onCountdownTick:  null,
 };
 
-const PHASE_ORDER = ['preparation','inhale','holdFull','exhale','holdEmpty','recovery'];
+/* Résout l'action d'une phase en type de phase du séquenceur */
+function resolvePhaseKind(action, prevKind) {
+  if (action === 'hold') {
+    return (prevKind === 'exhale' || prevKind === 'holdEmpty') ? 'holdEmpty' : 'holdFull';
+  }
+  return PHASE_KINDS[action] ? action : 'holdFull';
+}
+
+/* Tableau EXERCISES ou dictionnaire v3/v4 → liste ordonnée { kind, name, label, duration, easing, … } */
+function normalizePhases(phases) {
+  let list;
+  if (Array.isArray(phases)) {
+    list = phases.filter(p => p && p.enabled !== false && p.duration > 0);
+  } else if (phases && typeof phases === 'object') {
+    list = PHASE_ORDER
+      .filter(k => phases[k] && phases[k].enabled && phases[k].duration > 0)
+      .map(k => Object.assign({ action: k, name: phases[k].label || PHASE_KINDS[k].label }, phases[k]));
+  } else {
+    list = [];
+  }
+
+  // Un hold en tête de liste suit la dernière phase du cycle précédent
+  const last = list.length ? list[list.length - 1].action : null;
+  let prevKind = last === 'hold' ? null : last;
+  return list.map(p => {
+    const kind = resolvePhaseKind(p.action, prevKind);
+    prevKind = kind;
+    const def = PHASE_KINDS[kind];
+    const label = p.label || p.name || def.label;
+    return Object.assign({}, p, {
+      kind,
+      // Le nom de phase reste l'identifiant ; seul le libellé affiché est traduit
+      label:  window.i18n ? window.i18n.t(label) : label,
+      easing: p.easing || def.easing,
+    });
+  });
+}
 
 function mergeConfig(user) {
   const cfg = JSON.parse(JSON.stringify(CONFIG_DEFAULTS));
+  cfg.phases = normalizePhases(cfg.phases);
   if (!user) return cfg;
   if (user.totalCycles        !== undefined) cfg.totalCycles        = user.totalCycles;
   if (user.countdownDuration  !== undefined) cfg.countdownDuration  = user.countdownDuration;
   if (user.backgroundColor    !== undefined) cfg.backgroundColor    = user.backgroundColor;
+  if (user.renderer           !== undefined) cfg.renderer           = user.renderer;
   if (user.volume             !== undefined) cfg.volume             = user.volume;
   if (user.muted              !== undefined) cfg.muted              = user.muted;
+  if (user.soundTheme         !== undefined) cfg.soundTheme         = user.soundTheme;
   if (user.colors) {
     for (const k of Object.keys(user.colors)) {
       cfg.colors[k] = Object.assign({}, cfg.colors[k] || {}, user.colors[k]);
     }
   }
-  if (user.phases) {
-    for (const k of Object.keys(user.phases)) {
-      cfg.phases[k] = Object.assign({}, cfg.phases[k] || {}, user.phases[k]);
-    }
-  }
+  if (user.phases) cfg.phases = normalizePhases(user.phases);
   for (const cb of ['onPhaseChange','onCycleComplete','onComplete','onTick','onCountdownTick']) {
     if (typeof user[cb] === 'function') cfg[cb] = user[cb];
   }
@@ -201,6 +214,7 @@ class AudioEngine {
     this._bufferPromises = new Map();
     this._volume     = 0.5;
     this._muted      = false;
+    this._theme      = null;
     this._initialized = false;
   }
 
@@ -208,6 +222,7 @@ class AudioEngine {
     if (this._ctx && this._ctx.state !== 'closed') {
       if (this._ctx.state === 'suspended') await this._ctx.resume();
       this._applyVolume();
+      if (config) this.setTheme(config.soundTheme);
       return;
     }
     // iOS Safari : réutiliser l'AudioContext pré-créé synchroniquement dans le tap handler
@@ -228,21 +243,22 @@ class AudioEngine {
     this._muted  = config ? config.muted  : false;
     this._applyVolume();
     this._initialized = true;
+    this.setTheme(config ? config.soundTheme : null);
 
     if (config) await this._preloadBuffers(config);
   }
 
   async _preloadBuffers(config) {
     const promises = [];
-    for (const phaseName of PHASE_ORDER) {
-      const ph = config.phases[phaseName];
-      if (ph && ph.audioUrl) {
-        const p = fetch(ph.audioUrl)
+    for (const ph of config.phases) {
+      const url = ph.audioUrl;
+      if (url && !this._bufferPromises.has(url)) {
+        const p = fetch(url)
           .then(r => r.arrayBuffer())
           .then(ab => this._ctx.decodeAudioData(ab))
-          .then(buf => { this._buffers.set(phaseName, buf); })
+          .then(buf => { this._buffers.set(url, buf); })
           .catch(() => {});
-        this._bufferPromises.set(phaseName, p);
+        this._bufferPromises.set(url, p);
         promises.push(p);
       }
     }
@@ -258,6 +274,13 @@ class AudioEngine {
   setVolume(v) { this._volume = v; this._applyVolume(); }
   setMuted(m)  { this._muted  = m; this._applyVolume(); }
 
+  /* Thème déclaratif (breath-themes.js) — résolu à chaque phase pour suivre les modifications */
+  setTheme(id) {
+    const themes = window.breathThemes;
+    this._theme = id && themes && themes.get(id) ? id : null;
+    if (this._theme && this._ctx) themes.preload(themes.get(this._theme), this._ctx);
+  }
+
   /* Bip court pour le décompte — freq en Hz, dur en secondes */
   playBeep(freq, dur) {
     if (!this._initialized || this._muted) return;
@@ -287,15 +310,18 @@ class AudioEngine {
     }
   }
 
-  playPhase(phaseName, durationSec, phaseConfig) {
+  /* kind = type de phase résolu (inhale, holdFull…) — buffer éventuel indexé par audioUrl */
+  playPhase(kind, durationSec, phase) {
     if (!this._initialized) return;
     this.stopAll();
-    if (phaseConfig && phaseConfig.silent) return;
-    const buf = this._buffers.get(phaseName);
+    if (phase && phase.silent) return;
+    // stopAll() ferme le gain de phase : le rouvrir pour la nouvelle phase
+    this._phaseGain.gain.setValueAtTime(1, this._ctx.currentTime);
+    const buf = phase && phase.audioUrl ? this._buffers.get(phase.audioUrl) : null;
     if (buf) {
       this._playBuffer(buf, durationSec);
     } else {
-      this._synthesize(phaseName, durationSec);
+      this._synthesize(kind, durationSec);
     }
   }
 
@@ -318,6 +344,12 @@ class AudioEngine {
 
   _synthesize(phaseName, durationSec) {
     const ctx = this._ctx;
+    const theme = this._theme && window.breathThemes ? window.breathThemes.get(this._theme) : null;
+    if (theme) {
+      const sound = window.breathThemes.render(ctx, this._phaseGain, theme, phaseName, durationSec, 1);
+      if (sound) this._nodes.push(...sound.nodes);
+      return;
+    }
     const now = ctx.currentTime;
     const end = now + durationSec;
     switch (phaseName) {
@@ -469,9 +501,12 @@ class AudioEngine {
 }
 
 /* ============================================================
-   [4] ANIMATION ENGINE
+   [4] RENDERERS
    ============================================================ */
-class AnimationEngine {
+/* Socle commun : canvas HiDPI, resize, fond, HUD (décompte + cycle).
+   Un renderer ne connaît que des types de phase (kind) et des
+   progressions 0→1 — le timing reste au PhaseSequencer. */
+class RendererBase {
   constructor(canvas) {
     this._canvas  = canvas;
     this._ctx     = canvas.getContext('2d');
@@ -482,27 +517,7 @@ class AnimationEngine {
     this._baseR   = 0;
     // iOS Safari/Chrome ne supporte pas ctx.filter — détection à la construction
     this._hasFilter = typeof this._ctx.filter !== 'undefined';
-
-    this._scale        = 1.0;
-    this._hue          = 215;
-    this._sat          = 45;
-    this._lit          = 32;
-    this._startScale   = 1.0;
-    this._targetScale  = 1.0;
-    this._previousPhase = null;
-    this._startHue     = 215;
-    this._targetHue    = 215;
-    this._startSat     = 45;
-    this._targetSat    = 45;
-    this._startLit     = 32;
-    this._targetLit    = 32;
-    this._phaseEasing  = 'cubicInOut';
-    this._pulsePhase   = 0;
-    this._pulseAmp     = 0;
-    this._pulseFreq    = 0;
-    this._wave         = null;
-    this._bgColor      = '#000000';
-    this._arcMode      = 'draw';   // 'draw' = horaire croissant | 'erase' = anti-horaire décroissant
+    this._bgColor   = '#000000';
 
     this._countdown    = null;     // null = caché | number = affiché au centre
     this._cycleText    = null;     // null = caché | string = affiché sous le décompte
@@ -524,19 +539,96 @@ class AnimationEngine {
     const h = Math.max(rect.height > 10 ? rect.height : rect.width, 200);
     this._canvas.width  = w * this._dpr;
     this._canvas.height = h * this._dpr;
-    this._ctx.scale(this._dpr, this._dpr);
+    this._ctx.setTransform(this._dpr, 0, 0, this._dpr, 0, 0);
     this._size  = Math.min(w, h);
     this._cx    = w / 2;
     this._cy    = h / 2;
     this._baseR = this._size * 0.187;
   }
 
+  resize() { this._resize(); }
+
   setBackground(color) { this._bgColor = color; }
 
   setCountdown(seconds) { this._countdown = seconds; }
   setCycleText(str)     { this._cycleText  = str; }
   clearHUD()            { this._countdown = null; this._cycleText = null; }
 
+  setReadyState() {}
+  setPhaseTarget(kind, phase, colors, arcIndex) {}
+  triggerWave() {}
+  render(progress, phaseProgress, totalElapsed) {}
+
+  renderIdle() {
+    this._clear();
+  }
+
+  _clear() {
+    const w = this._canvas.width  / this._dpr;
+    const h = this._canvas.height / this._dpr;
+    this._ctx.clearRect(0, 0, w, h);
+    this._ctx.fillStyle = this._bgColor;
+    this._ctx.fillRect(0, 0, w, h);
+    return { w, h };
+  }
+
+  // HUD canvas : décompte au centre + numéro de cycle en dessous
+  _drawHUD() {
+    const ctx = this._ctx;
+    if (this._countdown !== null) {
+      const sec = Math.ceil(this._countdown);
+      const fontSize = Math.round(this._baseR * 0.72);
+      ctx.save();
+      ctx.textAlign    = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.font         = `100 ${fontSize}px 'Helvetica Neue', Arial, sans-serif`;
+      ctx.fillStyle    = `rgba(255,255,255,0.90)`;
+      ctx.fillText(sec > 0 ? String(sec) : '', this._cx, this._cy);
+      ctx.restore();
+    }
+
+    if (this._cycleText !== null) {
+      const cycFontSize = Math.round(this._baseR * 0.22);
+      ctx.save();
+      ctx.textAlign    = 'center';
+      ctx.textBaseline = 'top';
+      ctx.font         = `300 ${cycFontSize}px 'Helvetica Neue', Arial, sans-serif`;
+      ctx.fillStyle    = `rgba(255,255,255,0.40)`;
+      ctx.fillText(this._cycleText, this._cx, this._cy + this._baseR * 0.44);
+      ctx.restore();
+    }
+  }
+
+  destroy() {
+    if (this._ro) { this._ro.disconnect(); this._ro = null; }
+  }
+}
+
+/* ---------- Wave : orbe lumineux + arc + onde de transition (ex-v4) ---------- */
+class WaveRenderer extends RendererBase {
+  constructor(canvas) {
+    super(canvas);
+    this._scale        = 1.0;
+    this._hue          = 215;
+    this._sat          = 45;
+    this._lit          = 32;
+    this._startScale   = 1.0;
+    this._targetScale  = 1.0;
+    this._previousPhase = null;
+    this._startHue     = 215;
+    this._targetHue    = 215;
+    this._startSat     = 45;
+    this._targetSat    = 45;
+    this._startLit     = 32;
+    this._targetLit    = 32;
+    this._phaseEasing  = 'cubicInOut';
+    this._pulsePhase   = 0;
+    this._pulseAmp     = 0;
+    this._pulseFreq    = 0;
+    this._wave         = null;
+    this._arcMode      = 'draw';   // 'draw' = horaire croissant | 'erase' = anti-horaire décroissant
+  }
+
   // Prépare l'orbe en taille 1, sans arc — pour countdown et voix de départ
   setReadyState() {
     this._scale       = 1.0;
@@ -547,8 +639,8 @@ class AnimationEngine {
     this._wave        = null;
   }
 
-  setPhaseTarget(phaseName, phaseConfig, colorConfig, phaseIndexInCycle) {
-    const c = (colorConfig && colorConfig[phaseName]) || {};
+  setPhaseTarget(kind, phase, colors, arcIndex) {
+    const c = (colors && colors[kind]) || {};
 
     this._startScale = this._scale;
     this._startHue   = this._hue;
@@ -558,7 +650,7 @@ class AnimationEngine {
     // Taille 1 (base) = 1.0   — idle / preparation / début
     // Taille 2 (+27.5%) = 1.275 — inhale max, holdFull
     // Taille 3 (-25%) = 0.75  — exhale max, holdEmpty, recovery (+30% vs ancien 0.575)
-    switch (phaseName) {
+    switch (kind) {
       case 'preparation':
         this._targetScale = 1.0;
         this._pulseAmp = 0; this._pulseFreq = 0;
@@ -588,18 +680,18 @@ class AnimationEngine {
     this._targetHue = c.hue        !== undefined ? c.hue        : 200;
     this._targetSat = c.saturation !== undefined ? c.saturation : 45;
     this._targetLit = c.lightness  !== undefined ? c.lightness  : 40;
-    this._phaseEasing = (phaseConfig && phaseConfig.easing) || 'cubicInOut';
-    this._previousPhase = phaseName;
+    this._phaseEasing = (phase && phase.easing) || 'cubicInOut';
+    this._previousPhase = kind;
 
     // Pas d'arc pendant la preparation
     // arcIndex est déjà calculé sans la preparation par le sequencer
-    if (phaseName === 'preparation') {
+    if (kind === 'preparation') {
       this._arcMode = 'none';
     } else {
-      this._arcMode = (phaseIndexInCycle % 2 === 0) ? 'draw' : 'erase';
+      this._arcMode = (arcIndex % 2 === 0) ? 'draw' : 'erase';
     }
 
-    if (phaseName !== 'preparation') {
+    if (kind !== 'preparation') {
       this._wave = { progress: 0, hue: this._targetHue, sat: this._targetSat, lit: this._targetLit };
     }
   }
@@ -630,9 +722,7 @@ class AnimationEngine {
 
     const r = this._baseR * this._scale;
 
-    ctx.clearRect(0, 0, w, h);
-    ctx.fillStyle = this._bgColor;
-    ctx.fillRect(0, 0, w, h);
+    this._clear();
 
     const hsl0 = `hsla(${this._hue},${this._sat}%,${this._lit + 10}%,0)`;
 
@@ -708,29 +798,7 @@ class AnimationEngine {
     }
     // Mode 'none' (preparation) : pas d'arc
 
-    // HUD canvas : décompte au centre du globe + numéro de cycle en dessous
-    if (this._countdown !== null) {
-      const sec = Math.ceil(this._countdown);
-      const fontSize = Math.round(this._baseR * 0.72);
-      ctx.save();
-      ctx.textAlign    = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.font         = `100 ${fontSize}px 'Helvetica Neue', Arial, sans-serif`;
-      ctx.fillStyle    = `rgba(255,255,255,0.90)`;
-      ctx.fillText(sec > 0 ? String(sec) : '', this._cx, this._cy);
-      ctx.restore();
-    }
-
-    if (this._cycleText !== null) {
-      const cycFontSize = Math.round(this._baseR * 0.22);
-      ctx.save();
-      ctx.textAlign    = 'center';
-      ctx.textBaseline = 'top';
-      ctx.font         = `300 ${cycFontSize}px 'Helvetica Neue', Arial, sans-serif`;
-      ctx.fillStyle    = `rgba(255,255,255,0.40)`;
-      ctx.fillText(this._cycleText, this._cx, this._cy + this._baseR * 0.44);
-      ctx.restore();
-    }
+    this._drawHUD();
 
     if (this._wave) {
       this._wave.progress += 0.0096; // -20% vitesse → +20% durée visible
@@ -810,24 +878,180 @@ class AnimationEngine {
     ctx.arc(this._cx, this._cy, r, 0, Math.PI * 2);
     ctx.fillStyle = bodyGrad; ctx.fill();
   }
+}
 
-  destroy() {
-    if (this._ro) { this._ro.disconnect(); this._ro = null; }
+/* ---------- Orb : sphère "moonlight" à halo diffus (ex-v2) ---------- */
+class OrbRenderer extends RendererBase {
+  constructor(canvas) {
+    super(canvas);
+    this._scale       = 1.0;
+    this._startScale  = 1.0;
+    this._targetScale = 1.0;
+    this._hue         = 200;
+    this._startHue    = 200;
+    this._targetHue   = 200;
+    this._pulse       = 0;
+    this._holding     = false;
+    this._easing      = 'cubicInOut';
+  }
+
+  _resize() {
+    super._resize();
+    this._baseR = this._size * 0.22;  // rayon de base — compact pour laisser le glow respirer
+  }
+
+  setReadyState() {
+    this._scale = this._startScale = this._targetScale = 1.0;
+    this._holding = false;
+  }
+
+  setPhaseTarget(kind, phase, colors, arcIndex) {
+    const hues = { inhale: 200, exhale: 220, holdFull: 260, holdEmpty: 240 };
+    this._startScale = this._scale;
+    this._startHue   = this._hue;
+    this._targetHue  = hues[kind] || 200;
+    this._holding    = kind === 'holdFull' || kind === 'holdEmpty';
+    this._pulse      = 0;
+    this._easing     = (phase && phase.easing) || 'cubicInOut';
+    switch (kind) {
+      case 'inhale':    this._targetScale = 1.4; break;
+      case 'exhale':    this._targetScale = 0.6; break;
+      case 'holdFull':
+      case 'holdEmpty': this._targetScale = this._scale; break;
+      default:          this._targetScale = 1.0;
+    }
+  }
+
+  render(progress, phaseProgress, totalElapsed) {
+    const p = EasingLib.clamp(progress, 0, 1);
+    const e = EasingLib.get(this._easing)(p);
+    this._scale = EasingLib.lerp(this._startScale, this._targetScale, e);
+    if (this._holding) {
+      this._pulse += 0.025;
+      this._scale += Math.sin(this._pulse) * 0.02;
+    }
+    this._hue = (EasingLib.lerpAngle(this._startHue, this._targetHue, e) + 360) % 360;
+    this._draw(this._scale, this._hue, phaseProgress);
+    this._drawHUD();
+  }
+
+  renderIdle() {
+    this._draw(this._scale, this._hue, 0);
+  }
+
+  _draw(scale, hue, arcProgress) {
+    const ctx = this._ctx;
+    this._clear();
+    const r = this._baseR * scale;
+    const fade = 'hsla(0, 0%, 0%, 0)';
+
+    // Glow — 3 couches de halo diffus
+    const layers = [
+      [0,        3.5, [[0, `hsla(${(hue + 20) % 360}, 50%, 45%, 0.14)`], [0.25, `hsla(${hue}, 45%, 38%, 0.08)`], [0.6, `hsla(${hue}, 40%, 28%, 0.03)`]]],
+      [r * 0.3,  2.2, [[0, `hsla(${hue}, 55%, 50%, 0.20)`], [0.35, `hsla(${hue}, 50%, 42%, 0.10)`], [0.75, `hsla(${hue}, 45%, 32%, 0.03)`]]],
+      [r * 0.6,  1.5, [[0, `hsla(${hue}, 60%, 55%, 0.25)`], [0.4, `hsla(${hue}, 55%, 48%, 0.12)`]]],
+    ];
+    for (const [inner, k, stops] of layers) {
+      const g = ctx.createRadialGradient(this._cx, this._cy, inner, this._cx, this._cy, r * k);
+      for (const [o, col] of stops) g.addColorStop(o, col);
+      g.addColorStop(1, fade);
+      ctx.beginPath();
+      ctx.arc(this._cx, this._cy, r * k, 0, Math.PI * 2);
+      ctx.fillStyle = g; ctx.fill();
+    }
+
+    // Orbe — point lumineux décalé en haut-gauche pour l'illusion 3D
+    const orb = ctx.createRadialGradient(this._cx - r * 0.15, this._cy - r * 0.15, r * 0.05, this._cx, this._cy, r);
+    orb.addColorStop(0,    `hsla(${(hue + 10) % 360}, 55%, 70%, 0.60)`);
+    orb.addColorStop(0.3,  `hsla(${hue}, 50%, 55%, 0.45)`);
+    orb.addColorStop(0.65, `hsla(${(hue - 5 + 360) % 360}, 45%, 40%, 0.25)`);
+    orb.addColorStop(1,    `hsla(${(hue - 10 + 360) % 360}, 40%, 30%, 0.08)`);
+    ctx.beginPath();
+    ctx.arc(this._cx, this._cy, r, 0, Math.PI * 2);
+    ctx.fillStyle = orb; ctx.fill();
+    ctx.strokeStyle = `hsla(${hue}, 55%, 65%, 0.20)`;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    if (arcProgress > 0.001) {
+      ctx.save();
+      ctx.shadowColor = `hsla(${hue}, 75%, 70%, 0.6)`;
+      ctx.shadowBlur  = 12;
+      ctx.beginPath();
+      ctx.arc(this._cx, this._cy, r, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * arcProgress);
+      ctx.strokeStyle = `hsla(${hue}, 70%, 75%, 0.65)`;
+      ctx.lineWidth = 3;
+      ctx.lineCap   = 'round';
+      ctx.stroke();
+      ctx.restore();
+    }
   }
 }
 
+/* ---------- Text : libellé + secondes restantes, sans animation (accessibilité, écrans lents) ---------- */
+class TextRenderer extends RendererBase {
+  constructor(canvas) {
+    super(canvas);
+    this._label    = '';
+    this._duration = 0;
+    this._hue      = 215;
+  }
+
+  setReadyState() { this._label = ''; this._duration = 0; }
+
+  setPhaseTarget(kind, phase, colors, arcIndex) {
+    const c = (colors && colors[kind]) || {};
+    this._label    = (phase && phase.label) || '';
+    this._duration = (phase && phase.duration) || 0;
+    this._hue      = c.hue !== undefined ? c.hue : 215;
+  }
+
+  render(progress, phaseProgress, totalElapsed) {
+    const ctx = this._ctx;
+    const { w } = this._clear();
+    const p = EasingLib.clamp(phaseProgress, 0, 1);
+
+    if (this._countdown === null && this._label) {
+      const remaining = Math.max(0, Math.ceil(this._duration * (1 - p)));
+      ctx.save();
+      ctx.textAlign    = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle    = 'rgba(255,255,255,0.85)';
+      ctx.font         = `300 ${Math.round(this._baseR * 0.30)}px 'Helvetica Neue', Arial, sans-serif`;
+      ctx.fillText(this._label, this._cx, this._cy - this._baseR * 0.35);
+      ctx.font         = `100 ${Math.round(this._baseR * 0.72)}px 'Helvetica Neue', Arial, sans-serif`;
+      ctx.fillText(String(remaining), this._cx, this._cy + this._baseR * 0.25);
+      ctx.restore();
+
+      const barW = Math.min(w * 0.6, this._baseR * 3);
+      const y    = this._cy + this._baseR * 0.85;
+      ctx.fillStyle = 'rgba(255,255,255,0.12)';
+      ctx.fillRect(this._cx - barW / 2, y, barW, 3);
+      ctx.fillStyle = `hsla(${this._hue},70%,75%,0.75)`;
+      ctx.fillRect(this._cx - barW / 2, y, barW * p, 3);
+    }
+    this._drawHUD();
+  }
+}
+
+const RENDERERS = {
+  wave: WaveRenderer,
+  orb:  OrbRenderer,
+  text: TextRenderer,
+};
+
 /* ============================================================
    [5] PHASE SEQUENCER
    ============================================================ */
 class PhaseSequencer {
-  constructor(audioEngine, animEngine) {
-    this._audio  = audioEngine;
-    this._anim   = animEngine;
+  constructor(audioEngine, renderer) {
+    this._audio    = audioEngine;
+    this._renderer = renderer;
     this._overlayEl = null;  // set via setOverlay()
 
     this._state  = 'idle';
     this._config = null;
-    this._enabledPhases = [];
+    this._phases        = [];
     this._rafId         = null;
     this._cdRafId       = null;
     this._phaseIndex    = 0;
@@ -840,6 +1064,11 @@ class PhaseSequencer {
     this._lastRafTime   = 0;
     this._tabHiddenTime = 0;
 
+    // Télémétrie : journal horodaté de la séance (ms depuis start())
+    this._events        = [];
+    this._telemetryT0   = 0;
+    this._telemetryDate = null;
+
     this._onVisibilityChange = this._onVisibilityChange.bind(this);
     document.addEventListener('visibilitychange', this._onVisibilityChange);
   }
@@ -848,22 +1077,38 @@ class PhaseSequencer {
     this._overlayEl = overlayEl;
   }
 
+  /* Changement de renderer à chaud : la phase en cours est ré-appliquée au nouveau */
+  setRenderer(renderer) {
+    this._renderer = renderer;
+    renderer.setBackground(this._config ? this._config.backgroundColor : '#000000');
+    if (this._state === 'running' || this._state === 'paused') {
+      const ph = this._phases[this._phaseIndex];
+      renderer.setPhaseTarget(ph.kind, ph, this._config.colors, this._arcIndex(this._phaseIndex));
+    } else if (this._state === 'countdown') {
+      renderer.setReadyState();
+    } else {
+      renderer.renderIdle();
+    }
+  }
+
   configure(config) {
     this._config = config;
-    this._enabledPhases = PHASE_ORDER.filter(n => {
-      const p = config.phases[n];
-      return p && p.enabled && p.duration > 0;
-    });
+    this._phases = config.phases;
   }
 
   start() {
     if (this._state !== 'idle' && this._state !== 'completed') this.stop();
+    if (!this._phases.length) return;
     this._phaseIndex       = 0;
     this._cycle            = 0;
     this._exercisePausedMs = 0;
+    this._events        = [];
+    this._telemetryT0   = performance.now();
+    this._telemetryDate = new Date().toISOString();
     const cd = this._config && this._config.countdownDuration > 0
       ? this._config.countdownDuration : 0;
     if (cd > 0) {
+      this._log('countdown', { duration: cd });
       this._beginCountdown(cd);
     } else {
       this._beginExercise();
@@ -871,13 +1116,15 @@ class PhaseSequencer {
   }
 
   stop() {
+    if (this._state === 'running' || this._state === 'paused') this._endPhase('stop');
+    if (this._state !== 'idle' && this._state !== 'completed') this._log('stop');
     this._cancelCdRaf();
     this._cancelRaf();
     this._audio.stopAll();
     this._state = 'idle';
     this._hideOverlay();
-    this._anim.clearHUD();
-    this._anim.renderIdle();
+    this._renderer.clearHUD();
+    this._renderer.renderIdle();
     this._updateOverlayText('', '');
   }
 
@@ -887,6 +1134,7 @@ class PhaseSequencer {
     this._pauseStartTime = performance.now();
     this._audio.stopAll();
     this._state = 'paused';
+    this._log('pause', { index: this._phaseIndex });
   }
 
   resume() {
@@ -895,27 +1143,28 @@ class PhaseSequencer {
     this._phasePausedMs    += delta;
     this._exercisePausedMs += delta;
     this._state = 'running';
-    const ph       = this._enabledPhases[this._phaseIndex];
-    const phConfig = this._config.phases[ph];
+    this._log('resume', { pausedMs: Math.round(delta) });
+    const ph       = this._phases[this._phaseIndex];
     const elapsed  = (performance.now() - this._phaseStartTime - this._phasePausedMs) / 1000;
-    const remaining = phConfig.duration - elapsed;
-    if (remaining > 0.2) this._audio.playPhase(ph, remaining, phConfig);
+    const remaining = ph.duration - elapsed;
+    if (remaining > 0.2) this._audio.playPhase(ph.kind, remaining, ph);
     this._scheduleRaf();
   }
 
   skip() {
     if (this._state !== 'running' && this._state !== 'paused') return;
     if (this._state === 'paused') this.resume();
-    this._advancePhase();
+    this._log('skip', { index: this._phaseIndex });
+    this._advancePhase('skip');
   }
 
   getCurrentState() {
     const now = performance.now();
+    const ph = this._phases[this._phaseIndex] || null;
     let phaseProgress = 0, phaseElapsed = 0, phaseDuration = 0;
     if (this._state === 'running' || this._state === 'paused') {
       const elapsed = now - this._phaseStartTime - this._phasePausedMs;
-      const ph  = this._enabledPhases[this._phaseIndex];
-      const dur = this._config ? (this._config.phases[ph] || {}).duration || 0 : 0;
+      const dur = ph ? ph.duration : 0;
       phaseDuration = dur;
       phaseElapsed  = Math.min(elapsed / 1000, dur);
       phaseProgress = EasingLib.clamp(elapsed / (dur * 1000), 0, 1);
@@ -925,7 +1174,8 @@ class PhaseSequencer {
     return {
       state:          this._state,
       phaseIndex:     this._phaseIndex,
-      phaseName:      this._enabledPhases[this._phaseIndex] || '',
+      phaseName:      ph ? ph.kind : '',
+      phaseLabel:     ph ? ph.label : '',
       phaseProgress,
       phaseElapsed,
       phaseRemaining: Math.max(0, phaseDuration - phaseElapsed),
@@ -935,6 +1185,16 @@ class PhaseSequencer {
     };
   }
 
+  /* Journal d'événements de la dernière séance — null si jamais démarrée */
+  getTelemetry() {
+    if (!this._telemetryDate) return null;
+    return {
+      source:    'breath-engine',
+      startedAt: this._telemetryDate,
+      events:    this._events.slice(),
+    };
+  }
+
   /* ---- Private ---- */
 
   _q(cls) {
@@ -943,9 +1203,9 @@ class PhaseSequencer {
 
   _beginCountdown(durationSec) {
     this._state = 'countdown';
-    this._anim.setBackground(this._config.backgroundColor);
+    this._renderer.setBackground(this._config.backgroundColor);
     // Globe taille 1, sans arc, sans wave
-    this._anim.setReadyState();
+    this._renderer.setReadyState();
     this._updateOverlayLabel('Prêt');
     this._showOverlay();
     const startTime = performance.now();
@@ -971,16 +1231,16 @@ class PhaseSequencer {
 
       // Affichage visuel : seulement pour 3 et au-dessus
       if (remaining > 2.0) {
-        this._anim.setCountdown(remaining);
+        this._renderer.setCountdown(remaining);
       } else {
-        this._anim.setCountdown(null);  // 2, 1 → on efface le chiffre
+        this._renderer.setCountdown(null);  // 2, 1 → on efface le chiffre
       }
 
       // render() avec progress=0 : globe fixe taille 1, pas d'arc
-      this._anim.render(0, 0, 0);
+      this._renderer.render(0, 0, 0);
       if (this._config.onCountdownTick) this._config.onCountdownTick(remaining);
       if (elapsed >= totalMs - 16) {
-        this._anim.clearHUD();
+        this._renderer.clearHUD();
         this._beginExercise();
         return;
       }
@@ -997,6 +1257,7 @@ class PhaseSequencer {
     this._state             = 'running';
     this._exerciseStartTime = performance.now();
     this._exercisePausedMs  = 0;
+    this._log('exercise_start', { phases: this._phases.length, totalCycles: this._config.totalCycles });
     this._showOverlay();
     this._startPhase(0);
     this._scheduleRaf();
@@ -1008,37 +1269,36 @@ class PhaseSequencer {
     this._phasePausedMs  = 0;
     this._pulsePhase     = 0;
 
-    const phaseName = this._enabledPhases[index];
-    const phConfig  = this._config.phases[phaseName];
-    const colorCfg  = this._config.colors;
+    const ph = this._phases[index];
+    this._renderer.setPhaseTarget(ph.kind, ph, this._config.colors, this._arcIndex(index));
+    this._audio.playPhase(ph.kind, ph.duration, ph);
+    this._updateOverlayLabel(ph.label);
+    this._log('phase_start', this._phaseInfo(index));
 
-    // arcIndex : index sans compter la preparation, pour que phase1=0(draw), phase2=1(erase)…
-    const prepOffset = this._enabledPhases[0] === 'preparation' ? 1 : 0;
-    const arcIndex = index - prepOffset;
-    this._anim.setPhaseTarget(phaseName, phConfig, colorCfg, arcIndex);
-    this._audio.playPhase(phaseName, phConfig.duration, phConfig);
-    this._updateOverlayLabel(phConfig.label || phaseName);
+    if (this._config.onPhaseChange) this._config.onPhaseChange(ph.kind, ph.duration, ph, index);
+  }
 
-    if (this._config.onPhaseChange) this._config.onPhaseChange(phaseName, phConfig.duration);
+  // arcIndex : index sans compter la preparation, pour que phase1=0(draw), phase2=1(erase)…
+  _arcIndex(index) {
+    const prepOffset = this._phases[0] && this._phases[0].kind === 'preparation' ? 1 : 0;
+    return index - prepOffset;
   }
 
   _scheduleRaf() {
     const loop = (now) => {
       if (this._state !== 'running') return;
       this._lastRafTime = now;
-      const phaseName = this._enabledPhases[this._phaseIndex];
-      const phConfig  = this._config.phases[phaseName];
-      const durMs     = phConfig.duration * 1000;
+      const durMs     = this._phases[this._phaseIndex].duration * 1000;
       const elapsedMs = now - this._phaseStartTime - this._phasePausedMs;
       const progress  = EasingLib.clamp(elapsedMs / durMs, 0, 1);
 
-      this._anim.render(progress, progress, (now - this._exerciseStartTime - this._exercisePausedMs) / 1000);
+      this._renderer.render(progress, progress, (now - this._exerciseStartTime - this._exercisePausedMs) / 1000);
 
       const remaining = Math.max(0, (durMs - elapsedMs) / 1000);
       this._updateTimer(remaining);
-      this._anim.setCountdown(remaining);
+      this._renderer.setCountdown(remaining);
       const totalCyc = this._config.totalCycles > 0 ? this._config.totalCycles : '∞';
-      this._anim.setCycleText(`${this._cycle + 1} / ${totalCyc}`);
+      this._renderer.setCycleText(`${this._cycle + 1} / ${totalCyc}`);
       if (this._config.onTick) this._config.onTick(this.getCurrentState());
 
       if (elapsedMs >= durMs - 16) {
@@ -1051,9 +1311,10 @@ class PhaseSequencer {
     this._rafId = requestAnimationFrame(loop);
   }
 
-  _advancePhase() {
+  _advancePhase(reason = 'time') {
+    this._endPhase(reason);
     const nextIndex = this._phaseIndex + 1;
-    if (nextIndex >= this._enabledPhases.length) {
+    if (nextIndex >= this._phases.length) {
       this._cycle++;
       if (this._config.onCycleComplete) this._config.onCycleComplete(this._cycle);
       if (this._config.totalCycles > 0 && this._cycle >= this._config.totalCycles) {
@@ -1070,12 +1331,36 @@ class PhaseSequencer {
     this._cancelRaf();
     this._audio.stopAll();
     this._state = 'completed';
+    this._log('complete', { cycles: this._cycle });
     this._hideOverlay();
-    this._anim.clearHUD();
-    this._anim.renderIdle();
+    this._renderer.clearHUD();
+    this._renderer.renderIdle();
     if (this._config.onComplete) this._config.onComplete();
   }
 
+  /* ---- Télémétrie ---- */
+
+  _log(type, data) {
+    if (!this._telemetryDate) return;
+    this._events.push(Object.assign({ t: Math.round(performance.now() - this._telemetryT0), type }, data || {}));
+  }
+
+  _phaseInfo(index) {
+    const ph = this._phases[index];
+    return { index, kind: ph.kind, name: ph.name || ph.label, cycle: this._cycle + 1, planned: ph.duration };
+  }
+
+  // Durée réellement passée dans la phase en cours, hors pauses
+  _endPhase(reason) {
+    const now = performance.now();
+    const pausedNow = this._state === 'paused' ? now - this._pauseStartTime : 0;
+    const actualMs  = now - this._phaseStartTime - this._phasePausedMs - pausedNow;
+    this._log('phase_end', Object.assign(this._phaseInfo(this._phaseIndex), {
+      actual:  Math.round(Math.max(0, actualMs) / 10) / 100,
+      endedBy: reason,
+    }));
+  }
+
   _cancelRaf() {
     if (this._rafId) { cancelAnimationFrame(this._rafId); this._rafId = null; }
   }
@@ -1107,11 +1392,14 @@ class PhaseSequencer {
   }
 
   _onVisibilityChange() {
+    const active = ['running','paused','countdown'].includes(this._state);
     if (document.hidden) {
       this._tabHiddenTime = performance.now();
+      if (active) this._log('hidden', { index: this._phaseIndex });
     } else {
+      const hiddenMs = this._tabHiddenTime > 0 ? performance.now() - this._tabHiddenTime : 0;
+      if (active) this._log('visible', { hiddenMs: Math.round(hiddenMs) });
       if (this._state === 'running' && this._tabHiddenTime > 0) {
-        const hiddenMs = performance.now() - this._tabHiddenTime;
         if (hiddenMs > 2000) {
           this._phasePausedMs    += hiddenMs;
           this._exercisePausedMs += hiddenMs;
@@ -1136,7 +1424,9 @@ class BreathEngineCore {
     this._canvas    = null;
     this._overlayEl = null;
     this._audio     = new AudioEngine();
-    this._anim      = null;
+    this._renderer  = null;
+    this._rendererName = 'wave';   // renderer par défaut (préférence utilisateur)
+    this._renderers = Object.assign({}, RENDERERS);
     this._sequencer = null;
     this._config    = mergeConfig(null);
   }
@@ -1145,17 +1435,17 @@ class BreathEngineCore {
   mount(canvasEl, overlayEl) {
     // Démonter proprement si déjà monté
     if (this._sequencer) this._sequencer.destroy();
-    if (this._anim)      this._anim.destroy();
+    if (this._renderer)  this._renderer.destroy();
 
     this._canvas    = canvasEl;
     this._overlayEl = overlayEl || null;
 
-    this._anim      = new AnimationEngine(this._canvas);
-    this._sequencer = new PhaseSequencer(this._audio, this._anim);
+    this._renderer  = this._createRenderer(this._activeRendererName());
+    this._sequencer = new PhaseSequencer(this._audio, this._renderer);
     this._sequencer.setOverlay(this._overlayEl);
     this._sequencer.configure(this._config);
-    this._anim.setBackground(this._config.backgroundColor);
-    this._anim.renderIdle();
+    this._renderer.setBackground(this._config.backgroundColor);
+    this._renderer.renderIdle();
   }
 
   configure(userConfig) {
@@ -1164,13 +1454,52 @@ class BreathEngineCore {
     this._config = mergeConfig(userConfig);
     if (this._sequencer) {
       this._sequencer.configure(this._config);
-      this._anim.setBackground(this._config.backgroundColor);
+      this._applyRenderer();
+      this._renderer.setBackground(this._config.backgroundColor);
       this._audio.setVolume(this._config.volume);
       this._audio.setMuted(this._config.muted);
-      this._anim.renderIdle();
+      this._audio.setTheme(this._config.soundTheme);
+      this._renderer.renderIdle();
     }
   }
 
+  /* ---- Renderers ---- */
+
+  setRenderer(name) {
+    if (!this._renderers[name]) return false;
+    this._rendererName = name;
+    if (this._sequencer) this._applyRenderer();
+    return true;
+  }
+
+  registerRenderer(name, RendererClass) {
+    if (!name || typeof RendererClass !== 'function') return;
+    this._renderers[name] = RendererClass;
+  }
+
+  getRenderers() { return Object.keys(this._renderers); }
+
+  _activeRendererName() {
+    const wanted = this._config.renderer;
+    return wanted && this._renderers[wanted] ? wanted : this._rendererName;
+  }
+
+  _createRenderer(name) {
+    const Cls = this._renderers[name] || WaveRenderer;
+    const r = new Cls(this._canvas);
+    r._name = name;
+    return r;
+  }
+
+  // Remplace le renderer monté si la config ou la préférence en demande un autre
+  _applyRenderer() {
+    const name = this._activeRendererName();
+    if (this._renderer && this._renderer._name === name) return;
+    if (this._renderer) this._renderer.destroy();
+    this._renderer = this._createRenderer(name);
+    this._sequencer.setRenderer(this._renderer);
+  }
+
   async init() {
     await this._audio.init(this._config);
   }
@@ -1188,14 +1517,14 @@ class BreathEngineCore {
 
   reset() {
     if (this._sequencer) this._sequencer.stop();
-    if (this._anim) this._anim.renderIdle();
+    if (this._renderer) this._renderer.renderIdle();
   }
 
   /* Force un recalcul du canvas (utile quand le container était caché au mount) */
   refresh() {
-    if (this._anim) {
-      this._anim._resize();
-      this._anim.renderIdle();
+    if (this._renderer) {
+      this._renderer.resize();
+      this._renderer.renderIdle();
     }
   }
 
@@ -1203,6 +1532,7 @@ class BreathEngineCore {
   setMuted(m)  { this._audio.setMuted(m);  this._config.muted  = m; }
 
   getCurrentState() { return this._sequencer ? this._sequencer.getCurrentState() : null; }
+  getTelemetry()    { return this._sequencer ? this._sequencer.getTelemetry() : null; }
 
   run(userConfig) {
     return new Promise((resolve) => {
@@ -1219,7 +1549,7 @@ class BreathEngineCore {
 
   destroy() {
     if (this._sequencer) this._sequencer.destroy();
-    if (this._anim)      this._anim.destroy();
+    if (this._renderer)  this._renderer.destroy();
     this._audio.destroy();
   }
 }
@@ -1244,13 +1574,19 @@ class BreathEngineCore {
     setVolume(v)               { core.setVolume(v); },
     setMuted(m)                { core.setMuted(m); },
     getCurrentState()          { return core.getCurrentState(); },
+    getTelemetry()             { return core.getTelemetry(); },
     run(config)                { return core.run(config); },
     destroy()                  { core.destroy(); },
+    setRenderer(name)          { return core.setRenderer(name); },
+    registerRenderer(name, Cls){ core.registerRenderer(name, Cls); },
+    getRenderers()             { return core.getRenderers(); },
+    normalizePhases(phases)    { return normalizePhases(phases); },
+    RendererBase,
   };
 
   /* postMessage bridge (iframe mode) */
   if (window !== window.top) {
-    const COMMANDS = ['mount','configure','start','stop','pause','resume','reset','skip','setVolume','setMuted'];
+    const COMMANDS = ['mount','configure','start','stop','pause','resume','reset','skip','setVolume','setMuted','setRenderer'];
     const wrapCallbacks = (cfg) => {
       if (!cfg) return cfg;
       const wrapped = Object.assign({}, cfg);
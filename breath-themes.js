@@ -0,0 +1,484 @@
+/**
+ * BreathThemes — Thèmes des sons de respiration : format déclaratif, registre et rendu Web Audio
+ *
+ * Un thème décrit le son de chaque phase par des couches (oscillateurs, bruit) ou un échantillon :
+ *   {
+ *     "id": "brume", "name": "Brume", "version": 1,
+ *     "gain": 0.6,                                      ← crête relative au volume des sons
+ *     "phases": {
+ *       "inhale": { "layers": [
+ *         { "wave": "sine", "freq": 82, "to": 123,      ← glissement de fréquence sur la couche
+ *           "gain": 1, "vibrato": { "rate": 0.8, "depth": 0.5 },
+ *           "filter": { "type": "lowpass", "freq": 500, "to": 900, "q": 0.3 },
+ *           "envelope": { "attack": 1.5, "sustain": 1.05, "release": 1 } },
+ *         { "noise": "pink", "gain": 0.2, "filter": { "type": "bandpass", "freq": 600, "to": 1800 } },
+ *         { "wave": "triangle", "freq": 392, "delay": 0.8, "length": 0.6, "minLength": 1 }
+ *       ] },
+ *       "exhale": { "sample": "https://…/exhale.mp3", "layers": [ … ] }   ← couches en repli
+ *     }
+ *   }
+ * Enveloppe : montée (attack, s), niveau atteint avant la fin (sustain, relatif à la crête),
+ * extinction (release, s) ; attack et release sont bornés à 40 % de la couche. `length` est une
+ * fraction de la phase, `delay` un décalage en secondes (arpèges).
+ *
+ * Phases : inhale, exhale, holdFull, holdEmpty, et preparation/recovery pour BreathEngine ;
+ * une phase absente reprend la plus proche (hold → holdFull, preparation/recovery → inhale).
+ *
+ * Les thèmes intégrés (zen, harp) et ceux ajoutés par register() ne sont pas modifiables ;
+ * les thèmes de l'utilisateur (éditeur, import JSON) sont dans deepbreath_breath_themes.
+ * SoundEngine.breath, BreathSounds et l'AudioEngine de BreathEngine jouent tous via render().
+ */
+
+const BREATH_THEMES_KEY = 'deepbreath_breath_themes';
+const BREATH_THEME_VERSION = 1;
+
+const BREATH_THEME_PHASES = ['inhale', 'exhale', 'holdFull', 'holdEmpty', 'preparation', 'recovery'];
+const BREATH_THEME_FALLBACKS = {
+    hold: ['holdFull'],
+    holdFull: ['hold'],
+    holdEmpty: ['hold', 'holdFull'],
+    preparation: ['inhale'],
+    recovery: ['inhale'],
+    inhale: [],
+    exhale: []
+};
+const BREATH_THEME_WAVES = ['sine', 'triangle', 'square', 'sawtooth'];
+const BREATH_THEME_NOISES = ['white', 'pink', 'brown'];
+const BREATH_THEME_FILTERS = ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Thèmes intégrés
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Bol tibétain : fondamentale avec vibrato, harmoniques plus courtes filtrées plus bas
+function breathThemeBowl({ freq, to, harmonics, harmonicGains, filter, attack, release, sustain }) {
+    return {
+        layers: [
+            { wave: 'sine', freq, to, gain: 1, vibrato: { rate: 0.8, depth: 0.5 },
+              filter: { type: 'lowpass', freq: filter, q: 0.3 },
+              envelope: { attack, sustain, release } },
+            ...harmonics.map((mult, i) => ({
+                wave: 'sine', freq: freq * mult, to: to * mult, gain: harmonicGains[i], length: 0.8,
+                filter: { type: 'lowpass', freq: filter * 0.8, q: 0.2 },
+                envelope: { attack: attack * 1.3, sustain: 0.3, release: 1 }
+            }))
+        ]
+    };
+}
+
+// Harpe : notes pincées égrenées (0,4 s d'écart) et leur octave, ou nappe tenue
+function breathThemeArpeggio(notes) {
+    return {
+        layers: notes.flatMap((freq, i) => [
+            { wave: 'triangle', freq, gain: 0.6 - i * 0.05, delay: i * 0.4, length: 0.6, minLength: 1,
+              filter: { type: 'lowpass', freq: freq * 4, q: 0.5 },
+              envelope: { attack: 0.015, sustain: 0.4, release: 0.4 } },
+            { wave: 'sine', freq: freq * 2, gain: 0.09 - i * 0.0075, delay: i * 0.4, length: 0.3, minLength: 0.5,
+              envelope: { attack: 0.01, sustain: 0.2, release: 0.2 } }
+        ])
+    };
+}
+
+function breathThemePad(notes, level) {
+    return {
+        layers: notes.map(freq => ({
+            wave: 'sine', freq, gain: level / notes.length,
+            filter: { type: 'lowpass', freq: freq * 3, q: 0.2 },
+            envelope: { attack: 1.5, sustain: 0.7, release: 1.5 }
+        }))
+    };
+}
+
+const BREATH_THEMES_BUILTIN = [
+    {
+        id: 'zen',
+        name: 'Zen (bols)',
+        version: BREATH_THEME_VERSION,
+        gain: 0.6,
+        phases: {
+            inhale:    breathThemeBowl({ freq: 82,  to: 123, harmonics: [2, 3, 5],    harmonicGains: [0.3, 0.15, 0.05],       filter: 500, attack: 1.5, release: 1.0, sustain: 1.05 }),
+            exhale:    breathThemeBowl({ freq: 123, to: 82,  harmonics: [2, 3, 5],    harmonicGains: [0.25, 0.12, 0.04],      filter: 450, attack: 0.8, release: 1.5, sustain: 0.6 }),
+            holdFull:  breathThemeBowl({ freq: 98,  to: 98,  harmonics: [2, 3, 4, 6], harmonicGains: [0.2, 0.1, 0.06, 0.03], filter: 400, attack: 1.0, release: 1.0, sustain: 1 }),
+            holdEmpty: breathThemeBowl({ freq: 65,  to: 65,  harmonics: [2, 3, 5],    harmonicGains: [0.2, 0.08, 0.03],       filter: 350, attack: 1.2, release: 1.5, sustain: 1 })
+        }
+    },
+    {
+        id: 'harp',
+        name: 'Harpe',
+        version: BREATH_THEME_VERSION,
+        gain: 0.45,
+        phases: {
+            inhale:    breathThemeArpeggio([261.6, 329.6, 392.0, 523.3, 659.3]),
+            exhale:    breathThemeArpeggio([659.3, 523.3, 392.0, 329.6, 261.6]),
+            holdFull:  breathThemePad([261.6, 329.6, 392.0], 0.5),
+            holdEmpty: breathThemePad([130.8, 196.0], 0.3)
+        }
+    }
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registre
+// ─────────────────────────────────────────────────────────────────────────────
+
+class BreathThemes {
+    constructor() {
+        this._builtin = new Map();
+        this._user = null;                  // cache de deepbreath_breath_themes
+        this._watching = false;
+        this._listeners = [];
+        this._samples = new Map();          // url → AudioBuffer | Promise | null
+        this._noise = new WeakMap();        // AudioContext → { couleur: AudioBuffer }
+        BREATH_THEMES_BUILTIN.forEach(theme => this.register(theme));
+    }
+
+    /** Ajoute un thème intégré (non modifiable, non enregistré) — renvoie ses erreurs de format */
+    register(theme) {
+        const errors = this.validate(theme);
+        if (errors.length) {
+            console.warn(`BreathThemes: thème ${theme && theme.id} ignoré`, errors);
+            return errors;
+        }
+        this._builtin.set(theme.id, { ...theme, builtin: true });
+        this._emit();
+        return [];
+    }
+
+    _userThemes() {
+        if (!this._user) {
+            if (!window.storage) return [];
+            this._user = window.storage.get(BREATH_THEMES_KEY, []).filter(t => !this.validate(t).length);
+            // Sync, sauvegarde ou autre onglet : cache à relire
+            if (!this._watching) {
+                this._watching = true;
+                window.storage.on(BREATH_THEMES_KEY, ({ origin }) => {
+                    if (origin === 'breathThemes') return;
+                    this._user = null;
+                    this._emit();
+                });
+            }
+        }
+        return this._user;
+    }
+
+    /** @returns {Array<{ id, name, builtin }>} intégrés d'abord, puis ceux de l'utilisateur */
+    list() {
+        return [
+            ...[...this._builtin.values()].map(t => ({ id: t.id, name: t.name, builtin: true })),
+            ...this._userThemes().map(t => ({ id: t.id, name: t.name, builtin: false }))
+        ];
+    }
+
+    get(id) {
+        return this._builtin.get(id) || this._userThemes().find(t => t.id === id) || null;
+    }
+
+    isBuiltin(id) {
+        return this._builtin.has(id);
+    }
+
+    /** Abonnement aux ajouts, modifications et suppressions ; renvoie le désabonnement */
+    onChange(fn) {
+        this._listeners.push(fn);
+        return () => { this._listeners = this._listeners.filter(l => l !== fn); };
+    }
+
+    _emit() {
+        this._listeners.forEach(fn => { try { fn(); } catch (e) { console.warn('BreathThemes listener:', e); } });
+    }
+
+    /** Enregistre un thème de l'utilisateur (création ou mise à jour) */
+    save(theme) {
+        if (this.isBuiltin(theme.id)) throw new Error(`Le thème « ${theme.name} » est intégré : dupliquez-le pour le modifier`);
+        const errors = this.validate(theme);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        const clean = JSON.parse(JSON.stringify({ ...theme, version: BREATH_THEME_VERSION }));
+        delete clean.builtin;
+        const themes = this._userThemes().filter(t => t.id !== clean.id);
+        themes.push(clean);
+        this._user = themes;
+        window.storage.set(BREATH_THEMES_KEY, themes, { origin: 'breathThemes' });
+        this._emit();
+        return clean;
+    }
+
+    remove(id) {
+        if (this.isBuiltin(id)) return false;
+        const themes = this._userThemes().filter(t => t.id !== id);
+        this._user = themes;
+        window.storage.set(BREATH_THEMES_KEY, themes, { origin: 'breathThemes' });
+        this._emit();
+        return true;
+    }
+
+    /** Copie modifiable d'un thème, sous un nouvel identifiant */
+    duplicate(id, name) {
+        const source = this.get(id);
+        if (!source) return null;
+        const copy = JSON.parse(JSON.stringify(source));
+        delete copy.builtin;
+        copy.name = name || `${source.name} (copie)`;
+        copy.id = this._freeId(copy.name);
+        return copy;
+    }
+
+    _freeId(name) {
+        const base = String(name || 'theme').toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        let id = base;
+        for (let n = 2; this.get(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    // ==========================================
+    // Import / export JSON
+    // ==========================================
+
+    exportJson(id) {
+        const theme = this.get(id);
+        if (!theme) return null;
+        const { builtin, ...data } = theme;
+        return JSON.stringify(data, null, 2);
+    }
+
+    /** Importe un thème JSON ; un identifiant déjà pris par un thème intégré en reçoit un nouveau */
+    importJson(text) {
+        let theme;
+        try {
+            theme = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Fichier JSON illisible');
+        }
+        if (theme && typeof theme === 'object' && (!theme.id || this.isBuiltin(theme.id))) {
+            theme.id = this._freeId(theme.name);
+        }
+        return this.save(theme);
+    }
+
+    // ==========================================
+    // Validation
+    // ==========================================
+
+    /** @returns {string[]} erreurs de format (vide = thème valide) */
+    validate(theme) {
+        const errors = [];
+        if (!theme || typeof theme !== 'object') return ['Le thème doit être un objet JSON'];
+        if (typeof theme.id !== 'string' || !/^[\w-]+$/.test(theme.id)) errors.push('id : lettres, chiffres, - ou _');
+        if (typeof theme.name !== 'string' || !theme.name.trim()) errors.push('name : nom du thème requis');
+        if (theme.gain !== undefined && !(theme.gain >= 0 && theme.gain <= 2)) errors.push('gain : entre 0 et 2');
+        if (!theme.phases || typeof theme.phases !== 'object') {
+            errors.push('phases : objet requis (inhale, exhale, holdFull, holdEmpty…)');
+            return errors;
+        }
+        Object.entries(theme.phases).forEach(([name, phase]) => {
+            if (!BREATH_THEME_PHASES.includes(name) && name !== 'hold') {
+                errors.push(`phases.${name} : phase inconnue`);
+                return;
+            }
+            errors.push(...this.validatePhase(phase, `phases.${name}`));
+        });
+        return errors;
+    }
+
+    validatePhase(phase, path = 'phase') {
+        const errors = [];
+        if (!phase || typeof phase !== 'object') return [`${path} : objet requis`];
+        if (phase.sample !== undefined && typeof phase.sample !== 'string') errors.push(`${path}.sample : URL attendue`);
+        if (!Array.isArray(phase.layers) && !phase.sample) errors.push(`${path} : layers ou sample requis`);
+        (phase.layers || []).forEach((layer, i) => {
+            const at = `${path}.layers[${i}]`;
+            if (!layer || typeof layer !== 'object') { errors.push(`${at} : objet requis`); return; }
+            if (layer.noise !== undefined) {
+                if (!BREATH_THEME_NOISES.includes(layer.noise)) errors.push(`${at}.noise : ${BREATH_THEME_NOISES.join(', ')}`);
+            } else {
+                if (layer.wave !== undefined && !BREATH_THEME_WAVES.includes(layer.wave)) errors.push(`${at}.wave : ${BREATH_THEME_WAVES.join(', ')}`);
+                if (!(layer.freq > 0)) errors.push(`${at}.freq : fréquence en Hz requise`);
+            }
+            if (layer.to !== undefined && !(layer.to > 0)) errors.push(`${at}.to : fréquence en Hz`);
+            if (layer.gain !== undefined && !(layer.gain >= 0)) errors.push(`${at}.gain : positif`);
+            if (layer.filter) {
+                if (layer.filter.type !== undefined && !BREATH_THEME_FILTERS.includes(layer.filter.type)) errors.push(`${at}.filter.type : type inconnu`);
+                if (!(layer.filter.freq > 0)) errors.push(`${at}.filter.freq : fréquence en Hz requise`);
+            }
+            if (layer.vibrato && !(layer.vibrato.rate > 0)) errors.push(`${at}.vibrato.rate : fréquence en Hz requise`);
+        });
+        return errors;
+    }
+
+    /** Définition d'une phase, avec repli sur la phase la plus proche */
+    phaseOf(theme, phase) {
+        if (!theme || !theme.phases) return null;
+        const candidates = [phase, ...(BREATH_THEME_FALLBACKS[phase] || ['holdFull', 'hold'])];
+        const name = candidates.find(n => theme.phases[n]);
+        return name ? theme.phases[name] : null;
+    }
+
+    // ==========================================
+    // Rendu Web Audio
+    // ==========================================
+
+    /** Charge les échantillons du thème pour qu'ils soient prêts à la première phase */
+    preload(theme, ctx) {
+        if (!theme || !ctx) return Promise.resolve();
+        const urls = Object.values(theme.phases || {}).map(p => p && p.sample).filter(Boolean);
+        return Promise.all(urls.map(url => this._loadSample(url, ctx)));
+    }
+
+    _loadSample(url, ctx) {
+        if (this._samples.has(url)) return Promise.resolve(this._samples.get(url));
+        const promise = fetch(url)
+            .then(r => { if (!r.ok) throw new Error(r.status); return r.arrayBuffer(); })
+            .then(ab => ctx.decodeAudioData(ab))
+            .then(buffer => { this._samples.set(url, buffer); return buffer; })
+            .catch(e => {
+                console.warn('BreathThemes: échantillon illisible', url, e);
+                this._samples.set(url, null);
+                return null;
+            });
+        this._samples.set(url, promise);
+        return promise;
+    }
+
+    /**
+     * Joue une phase d'un thème
+     * @param {AudioContext} ctx
+     * @param {AudioNode} destination
+     * @param {object} theme
+     * @param {string} phase - inhale, exhale, hold, holdFull, holdEmpty, preparation, recovery
+     * @param {number} duration - secondes
+     * @param {number} volume - 0..1, multiplié par theme.gain
+     * @returns {{ nodes: AudioNode[], gain: GainNode, end: number }|null} gain = sortie commune (fondu)
+     */
+    render(ctx, destination, theme, phase, duration, volume = 1) {
+        const def = this.phaseOf(theme, phase);
+        if (!def || !(duration > 0)) return null;
+        const now = ctx.currentTime;
+
+        const out = ctx.createGain();
+        out.gain.value = volume * (theme.gain !== undefined ? theme.gain : 0.6);
+        out.connect(destination);
+        const nodes = [out];
+        let end = now + duration;
+
+        const sample = def.sample ? this._samples.get(def.sample) : undefined;
+        if (sample instanceof AudioBuffer) {
+            end = this._renderSample(ctx, out, sample, now, duration, nodes);
+        } else {
+            // Échantillon pas encore chargé (ou illisible) : couches de repli pour cette phase
+            if (def.sample && sample === undefined) this._loadSample(def.sample, ctx);
+            (def.layers || []).forEach(layer => {
+                end = Math.max(end, this._renderLayer(ctx, out, layer, now, duration, nodes));
+            });
+        }
+        return { nodes, gain: out, end };
+    }
+
+    _renderSample(ctx, out, buffer, now, duration, nodes) {
+        const src = ctx.createBufferSource();
+        const env = ctx.createGain();
+        src.buffer = buffer;
+        src.loop = buffer.duration < duration;
+        const fade = Math.min(1.5, duration * 0.3);
+        env.gain.setValueAtTime(0.0001, now);
+        env.gain.exponentialRampToValueAtTime(1, now + Math.min(0.3, duration * 0.2));
+        env.gain.setValueAtTime(1, now + duration - fade);
+        env.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+        src.connect(env); env.connect(out);
+        src.start(now); src.stop(now + duration + 0.1);
+        nodes.push(src, env);
+        return now + duration;
+    }
+
+    _renderLayer(ctx, out, layer, now, duration, nodes) {
+        const start = now + Math.min(layer.delay || 0, duration * 0.7);
+        const length = Math.max(layer.minLength || 0, duration * (layer.length !== undefined ? layer.length : 1));
+        const stop = start + length;
+        const env = layer.envelope || {};
+        const attack = Math.max(0.005, Math.min(env.attack !== undefined ? env.attack : 0.5, length * 0.4));
+        const release = Math.max(0.005, Math.min(env.release !== undefined ? env.release : 0.5, length * 0.4));
+        const peak = Math.max(layer.gain !== undefined ? layer.gain : 1, 0.0001);
+        const sustain = Math.max(peak * (env.sustain !== undefined ? env.sustain : 1), 0.0001);
+
+        let src;
+        if (layer.noise) {
+            src = ctx.createBufferSource();
+            src.buffer = this._noiseBuffer(ctx, layer.noise);
+            src.loop = true;
+        } else {
+            src = ctx.createOscillator();
+            src.type = layer.wave || 'sine';
+            src.frequency.setValueAtTime(layer.freq, start);
+            if (layer.to && layer.to !== layer.freq) src.frequency.exponentialRampToValueAtTime(Math.max(layer.to, 20), stop);
+            if (layer.vibrato) {
+                const lfo = ctx.createOscillator();
+                const depth = ctx.createGain();
+                lfo.frequency.value = layer.vibrato.rate;
+                depth.gain.value = layer.vibrato.depth !== undefined ? layer.vibrato.depth : 0.5;
+                lfo.connect(depth); depth.connect(src.frequency);
+                lfo.start(start); lfo.stop(stop + 0.1);
+                nodes.push(lfo, depth);
+            }
+        }
+
+        let head = src;
+        if (layer.filter) {
+            const f = layer.filter;
+            const filter = ctx.createBiquadFilter();
+            filter.type = f.type || 'lowpass';
+            filter.Q.value = f.q !== undefined ? f.q : 0.7;
+            filter.frequency.setValueAtTime(f.freq, start);
+            if (f.to && f.to !== f.freq) filter.frequency.exponentialRampToValueAtTime(Math.max(f.to, 20), stop);
+            head.connect(filter);
+            head = filter;
+            nodes.push(filter);
+        }
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(peak, start + attack);
+        if (length - attack - release > 0) gain.gain.exponentialRampToValueAtTime(sustain, stop - release);
+        gain.gain.exponentialRampToValueAtTime(0.0001, stop);
+        head.connect(gain); gain.connect(out);
+
+        src.start(start); src.stop(stop + 0.1);
+        nodes.push(src, gain);
+        return stop;
+    }
+
+    // Bruit en boucle de 2 s, généré une fois par contexte et par couleur
+    _noiseBuffer(ctx, color) {
+        const cache = this._noise.get(ctx) || {};
+        this._noise.set(ctx, cache);
+        if (cache[color]) return cache[color];
+
+        const size = 2 * ctx.sampleRate;
+        const buffer = ctx.createBuffer(1, size, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        let last = 0, b0 = 0, b1 = 0, b2 = 0;
+        for (let i = 0; i < size; i++) {
+            const white = Math.random() * 2 - 1;
+            if (color === 'brown') {
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last * 3.5;
+            } else if (color === 'pink') {
+                b0 = 0.99765 * b0 + white * 0.0990460;
+                b1 = 0.96300 * b1 + white * 0.2965164;
+                b2 = 0.57000 * b2 + white * 1.0526913;
+                data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.2;
+            } else {
+                data[i] = white * 0.5;
+            }
+        }
+        // Fondu aux extrémités : boucle sans clic
+        const fade = Math.floor(ctx.sampleRate * 0.05);
+        for (let i = 0; i < fade; i++) {
+            data[i] *= i / fade;
+            data[size - 1 - i] *= i / fade;
+        }
+        cache[color] = buffer;
+        return buffer;
+    }
+}
+
+window.breathThemes = new BreathThemes();
@@ -0,0 +1,370 @@
+/**
+ * CoachEngine - Coach hors-ligne à règles, sur les vraies données de l'élève
+ *
+ * Utilisé quand aucun fournisseur IA n'est configuré ou joignable (CoachAI.getOfflineResponse).
+ * Déterministe : mêmes données → même réponse. Sources : séances (ressenti, stress),
+ * computeStats(), profil, historiques contractions / zone de confort / FRC, réglages des tables.
+ *
+ * Règles principales :
+ *   - ressentis bas (2 derniers ≤ 2/5), état "fatigue" ou 3 jours d'apnée d'affilée → récupération
+ *   - plus de 7 jours sans séance ou état "reprise" → reprise allégée
+ *   - 3 tables CO2 de suite à 4/5 ou plus → apnée CO2 +5 s (plafond 60 % du record)
+ *   - contractions précoces (< 50 % de l'apnée) → tolérance aux contractions, pas de durcissement
+ *   - CO2 avant O2 : table O2 seulement avec au moins 2 tables CO2 sur 14 jours, et moins d'O2 que de CO2
+ *   - stress avant séance élevé → protocole de redescente en tête de séance
+ *
+ * La réponse utilise le format [EXERCICE:id] rendu en boutons par le chat.
+ */
+
+class CoachEngine {
+    constructor() {
+        this.recentDays = 14;
+        this.co2Step = 5;               // s — progression de l'apnée CO2
+        this.co2HoldCap = 0.6;          // × record, comme ApneaProgression
+        this.earlyOnset = 0.5;          // 1ère contraction avant 50 % de l'apnée = précoce
+    }
+
+    // ==========================================
+    // Données
+    // ==========================================
+
+    /** Rassemble les données utiles depuis le coach et le stockage */
+    collect(coach) {
+        const profile = coach.profile || {};
+        const app = window.app;
+        let apneaMax = null;
+        try { apneaMax = app?.getEffectiveApneaMax ? app.getEffectiveApneaMax() : null; } catch (e) {}
+
+        let co2 = null;
+        try {
+            const p = app?.getExerciseParams ? app.getExerciseParams('co2-table') : null;
+            if (p) co2 = { holdTime: p.holdTime, restStart: p.restStart, restEnd: p.restEnd, cycles: p.cycles };
+        } catch (e) {}
+
+        return {
+            sessions: [...(coach.sessions || [])].sort((a, b) => (a.date || '').localeCompare(b.date || '')),
+            stats: coach.computeStats(),
+            profile,
+            contraction: window.storage.get('deepbreath_contraction_history', []),
+            comfort: window.storage.get('deepbreath_comfort_zone_history', []),
+            frc: window.storage.get('deepbreath_frc_comfort_history', []),
+            apneaMax: apneaMax || Number(profile.staticDry) || Number(profile.staticMax) || null,
+            co2: co2 || { holdTime: 60, restStart: 105, restEnd: 15, cycles: 8 },
+            now: new Date()
+        };
+    }
+
+    // ==========================================
+    // Analyse
+    // ==========================================
+
+    analyse(data) {
+        const { sessions, profile, now } = data;
+        const day = d => new Date(d).toISOString().slice(0, 10);
+        const daysAgo = d => Math.floor((now - new Date(d)) / 86400000);
+        const recent = sessions.filter(s => s.date && daysAgo(s.date) < this.recentDays);
+        const rated = sessions.filter(s => s.feeling);
+        const last = sessions[sessions.length - 1];
+
+        // Jours d'apnée consécutifs jusqu'à aujourd'hui (ou hier)
+        const apneaDays = new Set(sessions.filter(s => s.category === 'apnee' && s.date).map(s => day(s.date)));
+        let apneaDaysInRow = 0;
+        const cursor = new Date(now);
+        if (!apneaDays.has(day(cursor))) cursor.setDate(cursor.getDate() - 1);
+        while (apneaDays.has(day(cursor))) {
+            apneaDaysInRow++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+
+        // Tables CO2 consécutives bien vécues (depuis la plus récente)
+        const co2Sessions = sessions.filter(s => s.exerciseId === 'co2-table');
+        let co2GoodStreak = 0;
+        for (let i = co2Sessions.length - 1; i >= 0 && co2Sessions[i].feeling >= 4; i--) co2GoodStreak++;
+
+        const lastTwo = rated.slice(-2).map(s => s.feeling);
+        const withStress = sessions.filter(s => s.stressBefore != null).slice(-5);
+
+        return {
+            total: sessions.length,
+            daysSinceLast: last?.date ? daysAgo(last.date) : null,
+            lastFeelings: rated.slice(-3).map(s => s.feeling),
+            lowFeeling: (lastTwo.length === 2 && lastTwo.every(f => f <= 2)) || lastTwo[lastTwo.length - 1] === 1,
+            state: profile.currentState || '',
+            apneaDaysInRow,
+            co2GoodStreak,
+            co2Recent: recent.filter(s => s.exerciseId === 'co2-table').length,
+            o2Recent: recent.filter(s => s.exerciseId === 'o2-table').length,
+            stressBefore: withStress.length >= 2
+                ? withStress.reduce((a, s) => a + s.stressBefore, 0) / withStress.length
+                : null,
+            bestCalming: this._bestCalming(sessions),
+            contraction: this._analyseContractions(data.contraction),
+            comfort: this._trend(data.comfort, daysAgo),
+            frc: this._trend(data.frc, daysAgo)
+        };
+    }
+
+    /** Exercice qui fait le plus baisser le stress chez l'élève (au moins 2 séances notées) */
+    _bestCalming(sessions) {
+        const by = {};
+        sessions.filter(s => s.stressBefore != null && s.stressAfter != null).forEach(s => {
+            (by[s.exerciseId] = by[s.exerciseId] || []).push(s.stressBefore - s.stressAfter);
+        });
+        let best = null;
+        Object.entries(by).forEach(([id, drops]) => {
+            if (drops.length < 2) return;
+            const avg = drops.reduce((a, b) => a + b, 0) / drops.length;
+            if (avg > 0 && (!best || avg > best.drop)) best = { id, drop: avg, count: drops.length };
+        });
+        return best;
+    }
+
+    _analyseContractions(history) {
+        const last = history[history.length - 1];
+        if (!last) return null;
+        const ratio = entry => {
+            const r = (entry.cycles || [])
+                .filter(c => c.contractionOnset != null && c.holdDuration > 0)
+                .map(c => c.contractionOnset / c.holdDuration);
+            return r.length ? r.reduce((a, b) => a + b, 0) / r.length : null;
+        };
+        const level = Number(last.weekLevel) || 1;
+        // Deux dernières séances au même niveau, contractions tardives → niveau suivant
+        const atLevel = history.filter(h => (Number(h.weekLevel) || 1) === level).slice(-2);
+        const ready = level < 3 && atLevel.length === 2 && atLevel.every(h => (ratio(h) ?? 0) >= 0.6);
+        return { date: last.date, level, onsetRatio: ratio(last), nextLevel: ready ? level + 1 : null };
+    }
+
+    /** Zone de confort / FRC : meilleure apnée des 3 dernières séances → tendance */
+    _trend(history, daysAgo) {
+        if (!history.length) return null;
+        const last3 = history.slice(-3).map(h => h.best);
+        const lastBest = last3[last3.length - 1];
+        const before = last3.slice(0, -1);
+        const ref = before.length ? before.reduce((a, b) => a + b, 0) / before.length : lastBest;
+        return {
+            best: lastBest,
+            daysAgo: daysAgo(history[history.length - 1].date),
+            trend: lastBest > ref * 1.03 ? 'up' : lastBest < ref * 0.9 ? 'down' : 'flat'
+        };
+    }
+
+    // ==========================================
+    // Séance proposée
+    // ==========================================
+
+    /**
+     * @returns {{ kind: 'recovery'|'reprise'|'training', reasons: string[], items: Array<{ id, detail }> }}
+     */
+    nextSession(data, a = this.analyse(data)) {
+        const reasons = [];
+        const items = [];
+        const coherence = data.profile.resonanceRate
+            ? `Cohérence à ${data.profile.resonanceRate} resp/min, 10 min`
+            : 'Cohérence 10 min';
+
+        if (a.stressBefore !== null && a.stressBefore >= 3.5) {
+            reasons.push(`Stress moyen avant séance élevé (${a.stressBefore.toFixed(1)}/5) — on redescend d'abord`);
+            items.push({ id: 'physiological-sigh', detail: 'Soupir physiologique — couper le pic' });
+        }
+
+        const recovery = a.lowFeeling || a.state === 'fatigue' || a.apneaDaysInRow >= 3;
+        if (recovery) {
+            if (a.lowFeeling) reasons.push(`Ressentis bas sur les dernières séances (${a.lastFeelings.join(', ')}/5)`);
+            if (a.state === 'fatigue') reasons.push('Profil : fatigue / surentraînement');
+            if (a.apneaDaysInRow >= 3) reasons.push(`${a.apneaDaysInRow} jours d'apnée d'affilée`);
+            items.push(
+                { id: 'cyclic-sighing', detail: 'Cyclic Sighing 5 min' },
+                { id: 'coherent', detail: coherence },
+                { id: 'body-scan', detail: 'Body Scan — relâchement complet' }
+            );
+            return { kind: 'recovery', reasons, items: this._known(items) };
+        }
+
+        const co2 = data.co2;
+        const cap = data.apneaMax ? Math.round(data.apneaMax * this.co2HoldCap) : null;
+
+        if (a.state === 'reprise' || (a.daysSinceLast !== null && a.daysSinceLast >= 7)) {
+            reasons.push(a.state === 'reprise' ? 'Profil : reprise après pause' : `${a.daysSinceLast} jours sans séance`);
+            const hold = Math.round(co2.holdTime * 0.9);
+            items.push(
+                { id: 'diaphragm', detail: 'Respiration diaphragmatique — échauffement' },
+                { id: 'comfort-zone', detail: 'Zone de confort — 3 apnées, repos 2 min, sans forcer' },
+                { id: 'co2-table', detail: `Table CO2 allégée — apnées ${hold}s (−10 %), repos ${co2.restStart + 15}s → ${co2.restEnd + 10}s` },
+                { id: 'coherent', detail: coherence }
+            );
+            return { kind: 'reprise', reasons, items: this._known(items) };
+        }
+
+        items.push({ id: 'diaphragm', detail: 'Respiration diaphragmatique — échauffement 5 min' });
+
+        // Contractions précoces : tolérance avant tout durcissement des tables
+        const ct = a.contraction;
+        if (ct && ct.onsetRatio !== null && ct.onsetRatio < this.earlyOnset) {
+            reasons.push(`Contractions précoces (à ${Math.round(ct.onsetRatio * 100)} % de l'apnée en moyenne)`);
+            items.push({ id: 'contraction-tolerance', detail: `Tolérance aux contractions — niveau ${ct.level}` });
+        } else if (ct && ct.nextLevel) {
+            reasons.push(`Contractions tardives sur les 2 dernières séances au niveau ${ct.level}`);
+            items.push({ id: 'contraction-tolerance', detail: `Tolérance aux contractions — passe au niveau ${ct.nextLevel}` });
+        }
+
+        // CO2 bien toléré → progression ; sinon CO2 avant O2
+        const earlyContractions = this._earlyContractions(a);
+        if (a.co2GoodStreak >= 3) {
+            const next = cap ? Math.min(co2.holdTime + this.co2Step, cap) : co2.holdTime + this.co2Step;
+            if (next > co2.holdTime && !earlyContractions) {
+                reasons.push(`${a.co2GoodStreak} tables CO2 de suite à 4/5 ou plus`);
+                items.push({ id: 'co2-table', detail: `Table CO2 — apnées ${next}s (au lieu de ${co2.holdTime}s), repos ${co2.restStart}s → ${co2.restEnd}s, ${co2.cycles} cycles` });
+            } else {
+                reasons.push(next > co2.holdTime
+                    ? 'Tables CO2 bien vécues, mais contractions précoces — apnée inchangée'
+                    : `Apnée CO2 au plafond (${cap}s, 60 % du record) — on travaille les repos`);
+                items.push({ id: 'co2-table', detail: `Table CO2 — apnées ${co2.holdTime}s, repos ${co2.restStart}s → ${Math.max(10, co2.restEnd - 5)}s` });
+            }
+        } else if (this._o2Ready(a)) {
+            reasons.push(`${a.co2Recent} tables CO2 sur ${this.recentDays} jours — base suffisante pour l'O2`);
+            items.push({ id: 'o2-table', detail: 'Table O2 — repos 2 min, arrête au premier signe de relâchement' });
+        } else {
+            if (a.co2Recent < 2) reasons.push('Peu de tables CO2 récentes — la tolérance au CO2 passe avant l\'O2');
+            items.push({ id: 'co2-table', detail: `Table CO2 — apnées ${co2.holdTime}s, repos ${co2.restStart}s → ${co2.restEnd}s, ${co2.cycles} cycles` });
+        }
+
+        // Zone de confort : si en progression ou pas travaillée depuis 10 jours
+        if (!a.comfort || a.comfort.daysAgo >= 10) {
+            items.push({ id: 'comfort-zone', detail: 'Zone de confort — apnées détendues, sans chercher la perf' });
+        } else if (a.comfort.trend === 'up') {
+            reasons.push(`Zone de confort en progression (${a.comfort.best}s)`);
+            items.push({ id: 'comfort-zone', detail: `Zone de confort — vise ${a.comfort.best}s détendu, pas plus` });
+        } else if (a.comfort.trend === 'down') {
+            reasons.push('Zone de confort en baisse sur les dernières séances — pas d\'intensité supplémentaire');
+        }
+        if (a.frc && a.frc.daysAgo >= 14 && a.comfort?.trend !== 'down') {
+            items.push({ id: 'comfort-zone-frc', detail: 'Zone de confort FRC — une séance de rappel' });
+        }
+
+        items.push({ id: 'coherent', detail: coherence });
+        return { kind: 'training', reasons, items: this._known(items) };
+    }
+
+    _known(items) {
+        const known = window.EXERCISES || {};
+        return items.filter(it => known[it.id]);
+    }
+
+    // ==========================================
+    // Réponses
+    // ==========================================
+
+    /**
+     * Réponse du coach hors-ligne à un message
+     * @returns {string} texte avec marqueurs [EXERCICE:id]
+     */
+    respond(prompt, coach) {
+        const data = this.collect(coach);
+        const a = this.analyse(data);
+        const lower = (prompt || '').toLowerCase();
+        let text;
+
+        if (/stress|anxi|calm|redescendre|panique/.test(lower)) {
+            text = this._stressAnswer(a);
+        } else if (/bilan|progress|stat/.test(lower)) {
+            text = this._reviewAnswer(data, a);
+        } else if (/programme|semaine|plan/.test(lower)) {
+            text = this._weekAnswer(data, a);
+        } else if (a.total === 0) {
+            text = `Pas encore de séance enregistrée : je n'ai rien à analyser.\n\nPour démarrer :\n${this._list([
+                { id: 'coherent', detail: 'Cohérence 10 min — la base' },
+                { id: 'comfort-zone', detail: 'Zone de confort — pour situer ton niveau' }
+            ])}\n\nRenseigne ton profil (statique max, niveau) pour des paramètres calibrés.`;
+        } else {
+            text = this._sessionAnswer(this.nextSession(data, a));
+        }
+
+        return `${text}\n\n(Coach hors-ligne : règles locales appliquées à tes données. Configure une clé API ou un serveur local pour une analyse plus fine.)`;
+    }
+
+    _list(items) {
+        return this._known(items).map((it, i) => `${i + 1}. [EXERCICE:${it.id}] ${it.detail}`).join('\n');
+    }
+
+    _sessionAnswer(session) {
+        const title = {
+            recovery: '**Jour de récupération.**',
+            reprise: '**Reprise en douceur.**',
+            training: '**Séance proposée :**'
+        }[session.kind];
+        const why = session.reasons.length ? `\n\nPourquoi :\n${session.reasons.map(r => `- ${r}`).join('\n')}` : '';
+        return `${title}\n\n${this._list(session.items)}${why}`;
+    }
+
+    _stressAnswer(a) {
+        const items = [
+            { id: 'physiological-sigh', detail: 'Soupir physiologique — couper le pic immédiat' },
+            { id: 'cyclic-sighing', detail: 'Cyclic Sighing 5 min — redescente profonde' }
+        ];
+        let note = '';
+        if (a.bestCalming && window.EXERCISES?.[a.bestCalming.id]) {
+            note = `\n\nChez toi, ${window.EXERCISES[a.bestCalming.id].name} fait baisser le stress de ${a.bestCalming.drop.toFixed(1)} point(s) en moyenne (${a.bestCalming.count} séances).`;
+            if (!items.some(it => it.id === a.bestCalming.id)) items.push({ id: a.bestCalming.id, detail: 'ton exercice le plus efficace' });
+        } else {
+            items.push({ id: 'coherent', detail: 'Cohérence 10 min — stabilisation' });
+        }
+        return `Protocole anti-stress :\n\n${this._list(items)}${note}\n\nPas d'apnée tant que le stress n'est pas redescendu.`;
+    }
+
+    _reviewAnswer(data, a) {
+        const s = data.stats;
+        const lines = [
+            `- **${s.totalSessions}** séances, **${s.currentStreak}** jour(s) d'affilée`,
+            `- Stress : ${s.avgStressBefore} → ${s.avgStressAfter}${s.avgStressReduction !== '-' ? ` (réduction ${s.avgStressReduction})` : ''}`
+        ];
+        if (s.favoriteExercise) lines.push(`- Favori : ${s.favoriteExercise}`);
+        if (a.lastFeelings.length) lines.push(`- Derniers ressentis : ${a.lastFeelings.join(', ')}/5`);
+        lines.push(`- ${this.recentDays} derniers jours : ${a.co2Recent} table(s) CO2, ${a.o2Recent} table(s) O2`);
+        if (a.contraction?.onsetRatio != null) {
+            lines.push(`- Contractions : première à ${Math.round(a.contraction.onsetRatio * 100)} % de l'apnée (niveau ${a.contraction.level})`);
+        }
+        const trendLabel = { up: 'en hausse', down: 'en baisse', flat: 'stable' };
+        if (a.comfort) lines.push(`- Zone de confort : ${a.comfort.best}s, ${trendLabel[a.comfort.trend]}`);
+        if (a.frc) lines.push(`- FRC : ${a.frc.best}s, ${trendLabel[a.frc.trend]}`);
+        if (data.apneaMax) lines.push(`- Record de référence : ${data.apneaMax}s`);
+
+        return `Bilan :\n\n${lines.join('\n')}\n\n${this._sessionAnswer(this.nextSession(data, a))}`;
+    }
+
+    _earlyContractions(a) {
+        const ct = a.contraction;
+        return !!ct && ct.onsetRatio !== null && ct.onsetRatio < this.earlyOnset;
+    }
+
+    /** CO2 avant O2 : au moins 2 tables CO2 récentes, moins d'O2 que de CO2, pas de contractions précoces */
+    _o2Ready(a) {
+        return a.co2Recent >= 2 && a.o2Recent < a.co2Recent && !this._earlyContractions(a);
+    }
+
+    /** Semaine type : la séance du jour puis une alternance travail / récupération */
+    _weekAnswer(data, a) {
+        const session = this.nextSession(data, a);
+        const main = session.items.filter(it => !['diaphragm', 'coherent', 'physiological-sigh'].includes(it.id));
+        const light = [{ id: 'cyclic-sighing', detail: 'Cyclic Sighing' }, { id: 'coherent', detail: 'Cohérence 10 min' }];
+        const line = items => this._known(items).map(it => `[EXERCICE:${it.id}]`).join(' + ') || 'Repos';
+        const hard = session.kind === 'training';
+        // Une seule table O2 dans la semaine, et seulement si la règle CO2 avant O2 le permet
+        const o2Day5 = this._o2Ready(a) && !main.some(it => it.id === 'o2-table');
+
+        const days = [
+            ['Jour 1', line(main)],
+            ['Jour 2', line(light)],
+            ['Jour 3', line(hard ? [{ id: 'contraction-tolerance' }, { id: 'comfort-zone' }] : light)],
+            ['Jour 4', `Repos actif — ${line([{ id: 'body-scan' }])}`],
+            ['Jour 5', line(!hard ? [{ id: 'comfort-zone' }, { id: 'coherent' }]
+                : o2Day5 ? [{ id: 'o2-table' }] : [{ id: 'co2-table' }, { id: 'no-contraction' }])],
+            ['Jour 6', line(light)],
+            ['Jour 7', 'Repos']
+        ];
+        const intro = session.kind === 'training' ? 'Semaine type :' : `Semaine allégée (${session.kind === 'recovery' ? 'récupération' : 'reprise'}) :`;
+        return `${intro}\n\n${days.map(([d, l]) => `**${d}** : ${l}`).join('\n')}\n\nDétail du jour 1 :\n${this._list(session.items)}`;
+    }
+}
+
+window.coachEngine = new CoachEngine();
@@ -0,0 +1,342 @@
+/**
+ * CoachTools — Actions the coach can take in the app (tool use)
+ *
+ * Each tool: { name, description, input_schema, confirm, summarize(input), run(input, coach) }
+ *   confirm    — true: the chat shows a confirmation card and waits for the user
+ *   summarize  — one line shown on the card and kept in the chat history
+ *   run        — executes against the app, returns a JSON-able result sent back to the model;
+ *                throws on invalid input (the message is returned to the model as a tool error)
+ *
+ * forClaude() / forOpenAI() give the definitions in each API's format.
+ */
+
+const CoachTools = (() => {
+
+    const exercise = id => (window.EXERCISES || {})[id];
+
+    function requireExercise(id) {
+        const ex = exercise(id);
+        if (!ex) throw new Error(`Unknown exercise id "${id}" — use an id from the exercise list`);
+        return ex;
+    }
+
+    function isoDate(value, field) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || isNaN(new Date(value + 'T12:00:00'))) {
+            throw new Error(`${field} must be a date YYYY-MM-DD`);
+        }
+        return value;
+    }
+
+    function seconds(value, field, { min = 0, max = 3600 } = {}) {
+        const n = Number(value);
+        if (!isFinite(n) || n < min || n > max) throw new Error(`${field} must be a number of seconds between ${min} and ${max}`);
+        return n;
+    }
+
+    /** Settings inputs of an exercise (same source as the settings screen): param → input */
+    function settingsInputs(exerciseId) {
+        const inputs = {};
+        document.querySelectorAll(`.exercise-settings[data-exercise="${exerciseId}"] [data-param]`).forEach(input => {
+            inputs[input.dataset.param] = input;
+        });
+        return inputs;
+    }
+
+    /** Validate params against the exercise's settings inputs; numbers are clamped to min/max */
+    function exerciseParams(exerciseId, params) {
+        const entries = Object.entries(params || {});
+        if (!entries.length) return {};
+        const inputs = settingsInputs(exerciseId);
+        const allowed = Object.keys(inputs);
+        const values = {};
+        entries.forEach(([param, value]) => {
+            const input = inputs[param];
+            if (!input) {
+                throw new Error(`Unknown param "${param}" for ${exerciseId}. Allowed: ${allowed.join(', ') || 'none'}`);
+            }
+            if (input.tagName === 'SELECT') {
+                const options = [...input.options].map(o => o.value);
+                if (!options.includes(String(value))) throw new Error(`${param} must be one of: ${options.join(', ')}`);
+                values[param] = String(value);
+                return;
+            }
+            let n = Number(value);
+            if (!isFinite(n)) throw new Error(`${param} must be a number`);
+            if (input.min !== '') n = Math.max(n, Number(input.min));
+            if (input.max !== '') n = Math.min(n, Number(input.max));
+            values[param] = n;
+        });
+        return values;
+    }
+
+    const list = items => items.map(([k, v]) => `${k} ${v}`).join(', ');
+
+    // ==========================================
+    // Tools
+    // ==========================================
+
+    const TOOLS = [
+        {
+            name: 'start_exercise',
+            description: 'Start an exercise in the app now, optionally adjusting its settings first. '
+                + 'params are the exercise settings (e.g. inhale, exhale, cycles, duration); an invalid name returns the allowed ones. '
+                + 'Settings are saved for next times too.',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    exercise_id: { type: 'string', description: 'Exercise id from the exercise list' },
+                    params: { type: 'object', description: 'Settings to apply, e.g. {"inhale": 5, "exhale": 5}', additionalProperties: { type: ['number', 'string'] } }
+                },
+                required: ['exercise_id']
+            },
+            confirm: true,
+            summarize(input) {
+                const name = exercise(input.exercise_id)?.name || input.exercise_id;
+                const params = Object.entries(input.params || {});
+                return `Lancer « ${name} »${params.length ? ` (${list(params)})` : ''}`;
+            },
+            async run(input) {
+                const app = window.app;
+                const ex = requireExercise(input.exercise_id);
+                if (app.isRunning) throw new Error('An exercise is already running');
+                const values = exerciseParams(input.exercise_id, input.params);
+                if (Object.keys(values).length) {
+                    const all = app.settings.exercises;
+                    all[input.exercise_id] = { ...(all[input.exercise_id] || {}), ...values };
+                    app.saveSettings(true);
+                    if (app.refreshExerciseSettingsUI) app.refreshExerciseSettingsUI();
+                }
+                app.startExercise(input.exercise_id);
+                return {
+                    started: ex.name,
+                    params: values,
+                    ...(app.settings.mode === 'optimal' ? { note: 'Optimal mode is on: timings derived from the static record override these settings' } : {})
+                };
+            }
+        },
+        {
+            name: 'create_sequence',
+            description: 'Save a new timer sequence in the Timer section. '
+                + 'type "breathing": settings {inhale, holdFull, exhale, holdEmpty (seconds), cycles}. '
+                + 'type "interval": settings {work, rest (seconds), reps, labelWork, labelRest}. '
+                + 'type "custom": phases [{label, duration (seconds), color: blue|purple|green|orange|red}].',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string', enum: ['breathing', 'interval', 'custom'] },
+                    settings: { type: 'object' },
+                    phases: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { label: { type: 'string' }, duration: { type: 'number' }, color: { type: 'string' } },
+                            required: ['label', 'duration']
+                        }
+                    }
+                },
+                required: ['name', 'type']
+            },
+            confirm: true,
+            summarize(input) {
+                const s = input.settings || {};
+                const detail = input.type === 'breathing'
+                    ? `${[s.inhale, s.holdFull, s.exhale, s.holdEmpty].map(v => v || 0).join('-')} × ${s.cycles || 10}`
+                    : input.type === 'interval'
+                        ? `${s.work || 30}s / ${s.rest || 30}s × ${s.reps || 8}`
+                        : `${(input.phases || []).length} phases`;
+                return `Créer la séquence « ${input.name} » (${detail})`;
+            },
+            async run(input) {
+                const timer = window.multiTimer;
+                if (!timer) throw new Error('Timer module unavailable');
+                const sequence = buildSequence(input);
+                sequence.id = 'custom-' + Date.now();
+                sequence.isDefault = false;
+                timer.sequences[sequence.id] = sequence;
+                timer.saveSequences();
+                timer.renderSequenceCards();
+                return { created: sequence.id, name: sequence.name, description: sequence.description };
+            }
+        },
+        {
+            name: 'get_sessions',
+            description: 'Read the detailed session history (the system prompt only has a summary). '
+                + 'Filter by date range, exercise or category; newest first.',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    from: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+                    to: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+                    exercise_id: { type: 'string' },
+                    category: { type: 'string' },
+                    limit: { type: 'integer', description: 'Default 20, max 100' }
+                }
+            },
+            confirm: false,
+            summarize(input) {
+                return `Consulter l'historique${input.from || input.to ? ` (${input.from || '…'} → ${input.to || '…'})` : ''}`;
+            },
+            async run(input, coach) {
+                const from = input.from ? isoDate(input.from, 'from') : '';
+                const to = input.to ? isoDate(input.to, 'to') : '';
+                const limit = Math.min(Math.max(parseInt(input.limit, 10) || 20, 1), 100);
+                const matches = coach.sessions.filter(s => {
+                    const day = (s.date || '').slice(0, 10);
+                    return (!from || day >= from)
+                        && (!to || day <= to)
+                        && (!input.exercise_id || s.exerciseId === input.exercise_id)
+                        && (!input.category || s.category === input.category);
+                });
+                const sessions = matches.slice(-limit).reverse().map(s => ({
+                    date: s.date,
+                    exerciseId: s.exerciseId,
+                    exerciseName: s.exerciseName,
+                    category: s.category,
+                    durationSec: s.duration,
+                    completed: s.completed,
+                    feeling: s.feeling,
+                    stressBefore: s.stressBefore,
+                    stressAfter: s.stressAfter,
+                    notes: s.notes || undefined,
+                    params: s.sessionParams || undefined
+                }));
+                return { total: matches.length, returned: sessions.length, sessions };
+            }
+        },
+        {
+            name: 'update_goals',
+            description: 'Update the student\'s training goals (shown in the coach settings and used in every prompt).',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    goals: { type: 'string' },
+                    mode: { type: 'string', enum: ['replace', 'append'], description: 'Default replace' }
+                },
+                required: ['goals']
+            },
+            confirm: true,
+            summarize(input) {
+                return `${input.mode === 'append' ? 'Ajouter aux objectifs' : 'Remplacer les objectifs par'} : « ${input.goals} »`;
+            },
+            async run(input, coach) {
+                const text = String(input.goals || '').trim();
+                if (!text) throw new Error('goals is empty');
+                coach.goals = input.mode === 'append' && coach.goals ? `${coach.goals}\n${text}` : text;
+                window.storage.set('deepbreath_goals', coach.goals, { origin: 'coach' });
+                const field = document.getElementById('coachGoals');
+                if (field) field.value = coach.goals;
+                return { goals: coach.goals };
+            }
+        },
+        {
+            name: 'schedule_plan_day',
+            description: 'Put exercises on a day of the weekly plan (the week\'s plan is created if missing).',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    date: { type: 'string', description: 'YYYY-MM-DD' },
+                    exercises: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { exercise_id: { type: 'string' }, duration_min: { type: 'number' } },
+                            required: ['exercise_id']
+                        }
+                    },
+                    mode: { type: 'string', enum: ['replace', 'append'], description: 'Default replace' },
+                    note: { type: 'string', description: 'Optional note for the day' }
+                },
+                required: ['date', 'exercises']
+            },
+            confirm: true,
+            summarize(input) {
+                const day = new Date(input.date + 'T12:00:00');
+                const label = isNaN(day) ? input.date : day.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'short' });
+                const names = (input.exercises || []).map(e => exercise(e.exercise_id)?.name || e.exercise_id).join(', ');
+                return `Plan du ${label} : ${names || 'journée vide'}${input.mode === 'append' ? ' (ajout)' : ''}`;
+            },
+            async run(input) {
+                if (!window.weeklyPlan) throw new Error('Weekly plan module unavailable');
+                const date = isoDate(input.date, 'date');
+                const exercises = (input.exercises || []).map(e => {
+                    requireExercise(e.exercise_id);
+                    return { exerciseId: e.exercise_id, estimatedDuration: Number(e.duration_min) || null };
+                });
+                const day = window.weeklyPlan.scheduleDay(date, exercises, { mode: input.mode, note: input.note || '' });
+                return { date: day.date, day: day.label, exercises: day.exercises.map(e => e.exerciseId) };
+            }
+        }
+    ];
+
+    function buildSequence({ name, type, settings = {}, phases = [] }) {
+        name = String(name || '').trim() || 'Séquence du coach';
+        if (type === 'breathing') {
+            const inhale = seconds(settings.inhale || 0, 'inhale', { max: 120 });
+            const holdFull = seconds(settings.holdFull || 0, 'holdFull', { max: 600 });
+            const exhale = seconds(settings.exhale || 0, 'exhale', { max: 120 });
+            const holdEmpty = seconds(settings.holdEmpty || 0, 'holdEmpty', { max: 600 });
+            if (inhale + holdFull + exhale + holdEmpty <= 0) throw new Error('At least one breathing phase must be > 0');
+            const cycles = Math.min(Math.max(parseInt(settings.cycles, 10) || 10, 1), 200);
+            return {
+                name,
+                type,
+                description: `Respiration ${[inhale, holdFull, exhale, holdEmpty].join('-')}`,
+                settings: {
+                    inhale, holdFull, exhale, holdEmpty, cycles,
+                    soundTheme: 'zen',
+                    instructions: { inhale: '', holdFull: '', exhale: '', holdEmpty: '' }
+                }
+            };
+        }
+        if (type === 'interval') {
+            const work = seconds(settings.work || 30, 'work', { min: 1 });
+            const rest = seconds(settings.rest || 30, 'rest');
+            const reps = Math.min(Math.max(parseInt(settings.reps, 10) || 8, 1), 100);
+            return {
+                name,
+                type,
+                description: `${work}s / ${rest}s × ${reps}`,
+                settings: { work, rest, reps, labelWork: settings.labelWork || 'Effort', labelRest: settings.labelRest || 'Repos' }
+            };
+        }
+        if (type === 'custom') {
+            if (!Array.isArray(phases) || !phases.length) throw new Error('custom sequences need phases');
+            const colors = ['blue', 'purple', 'green', 'orange', 'red'];
+            return {
+                name,
+                type,
+                description: `${phases.length} phases personnalisées`,
+                phases: phases.map((p, i) => ({
+                    label: String(p.label || `Phase ${i + 1}`),
+                    duration: seconds(p.duration, `phases[${i}].duration`, { min: 1 }),
+                    color: colors.includes(p.color) ? p.color : colors[i % colors.length]
+                }))
+            };
+        }
+        throw new Error('type must be breathing, interval or custom');
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    function get(name) {
+        return TOOLS.find(t => t.name === name) || null;
+    }
+
+    function forClaude() {
+        return TOOLS.map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+    }
+
+    function forOpenAI() {
+        return TOOLS.map(({ name, description, input_schema }) => ({
+            type: 'function',
+            function: { name, description, parameters: input_schema }
+        }));
+    }
+
+    return { get, forClaude, forOpenAI, names: TOOLS.map(t => t.name) };
+})();
+
+window.CoachTools = CoachTools;
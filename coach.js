@@ -6,8 +6,8 @@
 class CoachAI {
     constructor() {
         this.sessions = this.loadSessions();
-        this.goals = localStorage.getItem('deepbreath_goals') || '';
-        this.customPrompt = localStorage.getItem('deepbreath_coach_custom_prompt') || '';
+        this.goals = window.storage.get('deepbreath_goals', '');
+        this.customPrompt = window.storage.get('deepbreath_coach_custom_prompt', '');
         this.profile = this.loadProfile();
         this.coachSettings = this.loadCoachSettings();
         this.chatHistory = this.loadChatHistory();
@@ -30,6 +30,56 @@ class CoachAI {
         this.updateStatsDisplay();
         this.renderRecentSessions();
         this.showWelcomeMessage();
+        this.watchStorage();
+    }
+
+    /**
+     * Recharge les données modifiées ailleurs (sync, import, plan de semaine, runner…) —
+     * les écritures du coach lui-même portent l'origine 'coach' et sont ignorées
+     */
+    watchStorage() {
+        window.storage.on([
+            'deepbreath_sessions',
+            'deepbreath_profile',
+            'deepbreath_goals',
+            'deepbreath_coach_custom_prompt',
+            'deepbreath_coach_settings',
+            'deepbreath_chat_history'
+        ], ({ key, origin }) => {
+            if (origin === 'coach') return;
+            switch (key) {
+                case 'deepbreath_sessions':
+                    this.sessions = this.loadSessions();
+                    this.updateStatsDisplay();
+                    this.renderRecentSessions();
+                    break;
+                case 'deepbreath_profile':
+                    this.profile = this.loadProfile();
+                    document.querySelectorAll('[data-profile]').forEach(input => {
+                        const value = this.profile[input.dataset.profile];
+                        input.value = value != null ? value : '';
+                    });
+                    break;
+                case 'deepbreath_goals': {
+                    this.goals = window.storage.get('deepbreath_goals', '');
+                    const gi = document.getElementById('coachGoals');
+                    if (gi) gi.value = this.goals;
+                    break;
+                }
+                case 'deepbreath_coach_custom_prompt': {
+                    this.customPrompt = window.storage.get('deepbreath_coach_custom_prompt', '');
+                    const cp = document.getElementById('coachCustomPrompt');
+                    if (cp) cp.value = this.customPrompt;
+                    break;
+                }
+                case 'deepbreath_coach_settings':
+                    this.coachSettings = this.loadCoachSettings();
+                    break;
+                case 'deepbreath_chat_history':
+                    this.chatHistory = this.loadChatHistory();
+                    break;
+            }
+        });
     }
 
     // ==========================================
@@ -41,26 +91,20 @@ class CoachAI {
             provider: 'claude',
             apiKey: '',
             model: 'claude-sonnet-4-20250514',
+            baseUrl: '',        // serveur local / Ollama (vide : adresse par defaut)
+            models: [],         // modeles detectes sur le serveur local
             autoSuggest: false
         };
     }
 
     loadCoachSettings() {
-        const saved = localStorage.getItem('deepbreath_coach_settings');
-        if (saved) {
-            try {
-                return { ...this.getDefaultCoachSettings(), ...JSON.parse(saved) };
-            } catch (e) {
-                return this.getDefaultCoachSettings();
-            }
-        }
-        return this.getDefaultCoachSettings();
+        return { ...this.getDefaultCoachSettings(), ...window.storage.get('deepbreath_coach_settings', {}) };
     }
 
     saveCoachSettings() {
         try {
-            localStorage.setItem('deepbreath_coach_settings', JSON.stringify(this.coachSettings));
-        } catch (e) { console.warn('localStorage quota exceeded (coach settings)'); }
+            window.storage.set('deepbreath_coach_settings', this.coachSettings, { origin: 'coach' });
+        } catch (e) { console.warn('Could not save coach settings:', e); }
     }
 
     setupCoachSettings() {
@@ -74,11 +118,26 @@ class CoachAI {
             provider.value = this.coachSettings.provider;
             provider.addEventListener('change', () => {
                 this.coachSettings.provider = provider.value;
+                this.coachSettings.models = [];
+                this.updateProviderFields();
                 this.updateModelOptions();
                 this.saveCoachSettings();
+                if (LLMProviders.isLocal(this.coachSettings)) this.discoverModels();
             });
         }
 
+        const baseUrl = document.getElementById('coachBaseUrl');
+        if (baseUrl) {
+            baseUrl.value = this.coachSettings.baseUrl || '';
+            baseUrl.addEventListener('change', () => {
+                this.coachSettings.baseUrl = baseUrl.value.trim();
+                this.saveCoachSettings();
+                this.discoverModels();
+            });
+        }
+        document.getElementById('btnCoachModels')?.addEventListener('click', () => this.discoverModels());
+        this.updateProviderFields();
+
         if (apiKey) {
             apiKey.value = this.coachSettings.apiKey;
             apiKey.addEventListener('change', () => {
@@ -108,7 +167,7 @@ class CoachAI {
             goalsInput.value = this.goals;
             goalsInput.addEventListener('change', () => {
                 this.goals = goalsInput.value.trim();
-                localStorage.setItem('deepbreath_goals', this.goals);
+                window.storage.set('deepbreath_goals', this.goals, { origin: 'coach' });
             });
         }
 
@@ -117,7 +176,7 @@ class CoachAI {
             customPromptInput.value = this.customPrompt;
             customPromptInput.addEventListener('input', () => {
                 this.customPrompt = customPromptInput.value;
-                localStorage.setItem('deepbreath_coach_custom_prompt', this.customPrompt);
+                window.storage.set('deepbreath_coach_custom_prompt', this.customPrompt, { origin: 'coach' });
             });
         }
     }
@@ -126,20 +185,11 @@ class CoachAI {
         const model = document.getElementById('coachModel');
         if (!model) return;
 
-        const currentValue = model.value;
-        model.innerHTML = '';
-
-        if (this.coachSettings.provider === 'claude') {
-            model.innerHTML = `
-                <option value="claude-sonnet-4-20250514">Claude Sonnet</option>
-                <option value="claude-haiku-4-20250414">Claude Haiku (rapide)</option>
-            `;
-        } else {
-            model.innerHTML = `
-                <option value="gpt-4o-mini">GPT-4o Mini (rapide)</option>
-                <option value="gpt-4o">GPT-4o</option>
-            `;
-        }
+        const currentValue = model.value || this.coachSettings.model;
+        const models = LLMProviders.modelOptions(this.coachSettings);
+        model.innerHTML = models.length
+            ? models.map(m => `<option value="${this.escapeHtml(m.id)}">${this.escapeHtml(m.name)}</option>`).join('')
+            : '<option value="">Aucun modele detecte</option>';
 
         // Restore selection if still valid
         const options = Array.from(model.options).map(o => o.value);
@@ -149,6 +199,37 @@ class CoachAI {
         this.coachSettings.model = model.value;
     }
 
+    /** Adresse du serveur et detection des modeles : seulement pour les fournisseurs locaux */
+    updateProviderFields() {
+        const local = LLMProviders.isLocal(this.coachSettings);
+        document.querySelectorAll('.coach-local-only').forEach(el => { el.hidden = !local; });
+        const baseUrl = document.getElementById('coachBaseUrl');
+        if (baseUrl) baseUrl.placeholder = LLMProviders.get(this.coachSettings).baseUrl;
+        const apiKey = document.getElementById('coachApiKey');
+        if (apiKey) apiKey.placeholder = local ? '(optionnelle)' : 'sk-...';
+    }
+
+    async discoverModels() {
+        if (!LLMProviders.isLocal(this.coachSettings)) return;
+        const status = document.getElementById('coachModelsStatus');
+        const btn = document.getElementById('btnCoachModels');
+        if (status) status.textContent = 'Recherche des modeles...';
+        if (btn) btn.disabled = true;
+        try {
+            this.coachSettings.models = await LLMProviders.listModels(this.coachSettings);
+            this.updateModelOptions();
+            this.saveCoachSettings();
+            if (status) {
+                status.textContent = this.coachSettings.models.length
+                    ? `${this.coachSettings.models.length} modele(s) sur ${LLMProviders.baseUrl(this.coachSettings)}`
+                    : 'Serveur joignable, mais aucun modele installe';
+            }
+        } catch (e) {
+            if (status) status.textContent = e.message;
+        }
+        if (btn) btn.disabled = false;
+    }
+
     // ==========================================
     // Athlete Profile
     // ==========================================
@@ -160,6 +241,7 @@ class CoachAI {
             weight: null,
             vo2max: null,
             hrRest: null,
+            resonanceRate: null,
             staticMax: null,
             staticDry: null,
             dynMax: null,
@@ -174,21 +256,13 @@ class CoachAI {
     }
 
     loadProfile() {
-        const saved = localStorage.getItem('deepbreath_profile');
-        if (saved) {
-            try {
-                return { ...this.getDefaultProfile(), ...JSON.parse(saved) };
-            } catch (e) {
-                return this.getDefaultProfile();
-            }
-        }
-        return this.getDefaultProfile();
+        return { ...this.getDefaultProfile(), ...window.storage.get('deepbreath_profile', {}) };
     }
 
     saveProfile() {
         try {
-            localStorage.setItem('deepbreath_profile', JSON.stringify(this.profile));
-        } catch (e) { console.warn('localStorage quota exceeded (profile)'); }
+            window.storage.set('deepbreath_profile', this.profile, { origin: 'coach' });
+        } catch (e) { console.warn('Could not save profile:', e); }
     }
 
     setupProfile() {
@@ -240,6 +314,7 @@ class CoachAI {
         if (p.weight) lines.push(`Poids : ${p.weight} kg`);
         if (p.vo2max) lines.push(`VO2max estimee : ${p.vo2max} ml/kg/min`);
         if (p.hrRest) lines.push(`FC repos : ${p.hrRest} bpm`);
+        if (p.resonanceRate) lines.push(`Frequence de resonance : ${p.resonanceRate} resp/min`);
 
         // Apnee
         if (p.staticMax) lines.push(`Statique max (eau) : ${p.staticMax}s (${this.formatTimeSec(p.staticMax)})`);
@@ -269,46 +344,30 @@ class CoachAI {
     // ==========================================
 
     loadSessions() {
-        const saved = localStorage.getItem('deepbreath_sessions');
-        if (saved) {
-            try {
-                return JSON.parse(saved);
-            } catch (e) {
-                return [];
-            }
-        }
-        return [];
+        return window.storage.get('deepbreath_sessions', []);
     }
 
     saveSessions() {
         try {
-            localStorage.setItem('deepbreath_sessions', JSON.stringify(this.sessions));
-        } catch (e) { console.warn('localStorage quota exceeded (sessions)'); }
+            window.storage.set('deepbreath_sessions', this.sessions, { origin: 'coach' });
+        } catch (e) { console.warn('Could not save sessions:', e); }
     }
 
     loadChatHistory() {
-        const saved = localStorage.getItem('deepbreath_chat_history');
-        if (saved) {
-            try {
-                return JSON.parse(saved);
-            } catch (e) {
-                return [];
-            }
-        }
-        return [];
+        return window.storage.get('deepbreath_chat_history', []);
     }
 
     saveChatHistory() {
         try {
             // Garder les 100 derniers messages max
             const toSave = this.chatHistory.slice(-100);
-            localStorage.setItem('deepbreath_chat_history', JSON.stringify(toSave));
-        } catch (e) { console.warn('localStorage quota exceeded (chat history)'); }
+            window.storage.set('deepbreath_chat_history', toSave, { origin: 'coach' });
+        } catch (e) { console.warn('Could not save chat history:', e); }
     }
 
     clearChatHistory() {
         this.chatHistory = [];
-        localStorage.removeItem('deepbreath_chat_history');
+        window.storage.remove('deepbreath_chat_history', { origin: 'coach' });
     }
 
     generateId() {
@@ -426,6 +485,11 @@ class CoachAI {
             sessionParams.breatheUpDuration = exercise.breatheUpDuration;
             sessionParams.restDuration    = exercise.restDuration;
             if (exercise.maxHoldDuration)  sessionParams.maxHoldDuration = exercise.maxHoldDuration;
+            const app = window.app;
+            if (app && app.apneaResults && app.apneaResults.length) {
+                sessionParams.tableResults  = app.apneaResults;   // [{ cycle, target, hold, completed, contractionOnset }]
+                sessionParams.tableDecision = app.apneaDecision;  // baseline | accepted | tweaked | rejected
+            }
         }
 
         this.pendingSession = {
@@ -441,8 +505,21 @@ class CoachAI {
 
         // Passive Breath Hanger ou VHL Statique — afficher section gorge/mental
         const isHanger = exercise.isPassiveBreathHanger || exercise.isVHLStatic;
-        if (exercise.isPassiveBreathHanger && window.app && window.app._pbhSessionData) {
-            this.pendingSession.hangerData = window.app._pbhSessionData;
+        // Protocoles déclaratifs : données d'apnée rattachées sous la clé déclarée (ex: hangerData)
+        const runner = window.app && window.app.runner;
+        if (runner && runner.sessionData && exercise.results && exercise.results.sessionKey) {
+            this.pendingSession[exercise.results.sessionKey] = runner.sessionData;
+        }
+        // Télémétrie par phase (BreathEngine ou ExerciseRunner)
+        if (window.app && window.app.sessionTelemetry) {
+            this.pendingSession.telemetry = window.app.sessionTelemetry;
+        }
+        // Trace de fréquence cardiaque (cardiofréquencemètre connecté)
+        if (window.app && window.app.sessionHeartRate) {
+            this.pendingSession.heartRate = window.app.sessionHeartRate;
+            // Variabilité cardiaque calculée sur les RR de la séance
+            const hrv = window.HRV && window.HRV.analyze(window.app.sessionHeartRate.rr);
+            if (hrv) this.pendingSession.hrv = hrv;
         }
 
         const nameEl = document.getElementById('feedbackExerciseName');
@@ -483,8 +560,9 @@ class CoachAI {
             if (confBtn) confBtn.classList.add('active');
             // Show holds summary
             const holdsEl = document.getElementById('hangerHoldsSummary');
-            if (holdsEl && window.app && window.app._pbhHoldTimes) {
-                holdsEl.innerHTML = window.app._pbhHoldTimes.map((h, i) => {
+            const holds = window.app && window.app.runner && window.app.runner.holds;
+            if (holdsEl && holds) {
+                holdsEl.innerHTML = holds.map((h, i) => {
                     const urge = h.timeToUrge != null
                         ? ` <span class="hanger-urge-tag">⚡ ${window.app.formatTime(h.timeToUrge)}</span>` : '';
                     return `<span class="hanger-hold-chip">C${i+1}: ${window.app.formatTime(h.duration)}${urge}</span>`;
@@ -912,29 +990,86 @@ class CoachAI {
         // Show loading indicator
         this.showTypingIndicator();
 
-        // Call AI
-        const response = await this.callAI(aiMessage);
+        // Call AI — le texte s'affiche au fil du flux, une bulle par tour (les outils s'intercalent)
+        let bubble = null;
+        let bubbleTurn = -1;
+        const response = await this.callAI(aiMessage, {
+            onText: (text, turn) => {
+                if (turn !== bubbleTurn) {
+                    bubble = null;
+                    bubbleTurn = turn;
+                }
+                if (!bubble) {
+                    this.hideTypingIndicator();
+                    bubble = this.renderMessage('', 'assistant streaming');
+                }
+                if (bubble) this.updateMessage(bubble, text);
+            }
+        });
         this.isLoading = false;
 
         // Remove loading indicator
         this.hideTypingIndicator();
+        if (bubble) this.updateMessage(bubble, null, { done: true });
 
         if (response.error) {
             this.renderMessage(response.error, 'assistant error');
-        } else {
+        } else if (!response.streamed) {
             this.renderMessage(response.text, 'assistant');
         }
     }
 
     renderMessage(content, role) {
         const messagesDiv = document.getElementById('coachMessages');
-        if (!messagesDiv) return;
+        if (!messagesDiv) return null;
 
         const msgDiv = document.createElement('div');
         const isError = role.includes('error');
-        const baseRole = role.replace(' error', '');
-        msgDiv.className = `coach-message coach-message-${baseRole}${isError ? ' coach-message-error' : ''}`;
+        const baseRole = role.split(' ')[0];
+        msgDiv.className = `coach-message coach-message-${baseRole}${isError ? ' coach-message-error' : ''}${role.includes('streaming') ? ' coach-message-streaming' : ''}`;
 
+        this.fillMessage(msgDiv, content);
+        messagesDiv.appendChild(msgDiv);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        return msgDiv;
+    }
+
+    /**
+     * Met a jour une bulle en cours de streaming — au plus un rendu par frame
+     * @param {string|null} content - texte complet du tour (null : garder le dernier)
+     * @param {Object} options - { done } : fin du flux, rendu immediat sans curseur
+     */
+    updateMessage(msgDiv, content, { done = false } = {}) {
+        if (content !== null) msgDiv._pendingText = content;
+        const flush = () => {
+            msgDiv._frame = null;
+            const messagesDiv = document.getElementById('coachMessages');
+            const atBottom = messagesDiv && messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < 60;
+            this.fillMessage(msgDiv, msgDiv._pendingText || '');
+            if (atBottom) messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        };
+        if (done) {
+            if (msgDiv._frame) cancelAnimationFrame(msgDiv._frame);
+            msgDiv.classList.remove('coach-message-streaming');
+            flush();
+        } else if (!msgDiv._frame) {
+            msgDiv._frame = requestAnimationFrame(flush);
+        }
+    }
+
+    fillMessage(msgDiv, content) {
+        msgDiv.innerHTML = this.formatMessage(content);
+
+        // Attach click handlers to exercise links
+        msgDiv.querySelectorAll('.coach-exercise-link').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const exId = btn.dataset.exercise;
+                if (window.app) window.app.startExercise(exId);
+            });
+        });
+    }
+
+    formatMessage(content) {
         // Parse [EXERCICE:id] into clickable buttons
         let html = this.escapeHtml(content);
         html = html.replace(/\[EXERCICE:([a-z0-9-]+)\]/g, (match, exerciseId) => {
@@ -948,23 +1083,12 @@ class CoachAI {
         // Basic markdown
         html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
         html = html.replace(/\n/g, '<br>');
-
-        msgDiv.innerHTML = html;
-        messagesDiv.appendChild(msgDiv);
-        messagesDiv.scrollTop = messagesDiv.scrollHeight;
-
-        // Attach click handlers to exercise links
-        msgDiv.querySelectorAll('.coach-exercise-link').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const exId = btn.dataset.exercise;
-                if (window.app) window.app.startExercise(exId);
-            });
-        });
+        return html;
     }
 
     showTypingIndicator() {
         const messagesDiv = document.getElementById('coachMessages');
-        if (!messagesDiv) return;
+        if (!messagesDiv || document.getElementById('coachTyping')) return;
 
         const indicator = document.createElement('div');
         indicator.className = 'coach-message coach-message-assistant coach-typing';
@@ -979,6 +1103,48 @@ class CoachAI {
         if (indicator) indicator.remove();
     }
 
+    /**
+     * Carte de confirmation d'une action proposee par le coach
+     * @returns {Promise<boolean>} true si l'eleve confirme
+     */
+    confirmToolCall(summary) {
+        const messagesDiv = document.getElementById('coachMessages');
+        if (!messagesDiv) return Promise.resolve(false);
+
+        const card = document.createElement('div');
+        card.className = 'coach-tool-card';
+        card.innerHTML = `
+            <div class="coach-tool-summary">${this.escapeHtml(summary)}</div>
+            <div class="coach-tool-actions">
+                <button class="btn-primary" data-tool="confirm">Confirmer</button>
+                <button class="btn-secondary" data-tool="reject">Refuser</button>
+            </div>`;
+        messagesDiv.appendChild(card);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+
+        return new Promise(resolve => {
+            card.querySelectorAll('[data-tool]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const ok = btn.dataset.tool === 'confirm';
+                    card.classList.add(ok ? 'confirmed' : 'rejected');
+                    card.querySelector('.coach-tool-actions').textContent = ok ? '✓ Confirmé' : 'Refusé';
+                    resolve(ok);
+                });
+            });
+        });
+    }
+
+    /** Ligne d'etat d'une action, affichee sous la carte (ou seule pour les outils sans confirmation) */
+    renderToolStatus(text, isError = false) {
+        const messagesDiv = document.getElementById('coachMessages');
+        if (!messagesDiv) return;
+        const line = document.createElement('div');
+        line.className = `coach-tool-status${isError ? ' error' : ''}`;
+        line.textContent = text;
+        messagesDiv.appendChild(line);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -989,112 +1155,287 @@ class CoachAI {
     // AI API Calls
     // ==========================================
 
-    async callAI(userMessage) {
+    /**
+     * Conversation avec outils : le modele peut demander des actions (CoachTools), executees
+     * apres confirmation puis renvoyees comme resultats, jusqu'a une reponse finale.
+     * L'historique persistant ne garde que le texte + une ligne par action.
+     * @param {Object} options - { onText(text, turn) } : texte cumule du tour en cours
+     */
+    async callAI(userMessage, { onText } = {}) {
         const settings = this.coachSettings;
 
-        if (!settings.apiKey) {
+        if (!LLMProviders.isConfigured(settings)) {
             return this.getOfflineResponse(userMessage);
         }
 
-        // Check network
-        if (!navigator.onLine) {
+        // Check network (un serveur local reste joignable hors ligne)
+        if (!navigator.onLine && !LLMProviders.isLocal(settings)) {
             return this.getOfflineResponse(userMessage);
         }
 
         const systemPrompt = this.buildSystemPrompt();
+        const isClaude = LLMProviders.get(settings).api === 'anthropic';
+        const tools = window.CoachTools ? (isClaude ? CoachTools.forClaude() : CoachTools.forOpenAI()) : undefined;
 
         // Add to chat history (with timestamp for cross-device merge)
         this.chatHistory.push({ role: 'user', content: userMessage, ts: Date.now() });
 
-        // Keep last 50 messages for context
-        const messages = this.chatHistory.slice(-50);
+        // Keep last 50 messages for context ; les echanges d'outils ne vivent que pendant cette requete
+        const messages = this.chatHistory.slice(-50).map(m => ({ role: m.role, content: m.content }));
+        const transcript = [];
 
         try {
-            let result;
-            if (settings.provider === 'claude') {
-                result = await this.callClaude(systemPrompt, messages, settings);
-            } else {
-                result = await this.callOpenAI(systemPrompt, messages, settings);
+            for (let turn = 0; turn < 6; turn++) {
+                const result = isClaude
+                    ? await this.callClaude(systemPrompt, messages, settings, { tools, onText: text => onText?.(text, turn) })
+                    : await this.callOpenAI(systemPrompt, messages, settings, { tools, onText: text => onText?.(text, turn) });
+
+                if (result.text) transcript.push(result.text);
+                if (!result.toolCalls.length || turn === 5) break;
+
+                messages.push(result.message);
+                const outcomes = [];
+                for (const call of result.toolCalls) {
+                    const outcome = await this.runTool(call);
+                    if (outcome.summary) transcript.push(outcome.summary);
+                    outcomes.push({ id: call.id, ...outcome });
+                }
+                if (isClaude) {
+                    messages.push({
+                        role: 'user',
+                        content: outcomes.map(o => ({
+                            type: 'tool_result',
+                            tool_use_id: o.id,
+                            content: JSON.stringify(o.result),
+                            ...(o.isError ? { is_error: true } : {})
+                        }))
+                    });
+                } else {
+                    outcomes.forEach(o => messages.push({ role: 'tool', tool_call_id: o.id, content: JSON.stringify(o.result) }));
+                }
+                this.showTypingIndicator();
             }
 
-            this.chatHistory.push({ role: 'assistant', content: result.text, ts: Date.now() });
+            const text = transcript.join('\n\n');
+            if (!text) throw new Error('Réponse vide de l\'API');
+            this.chatHistory.push({ role: 'assistant', content: text, ts: Date.now() });
             this.saveChatHistory();
-            return result;
+            return { text, streamed: true };
         } catch (e) {
-            // Remove the failed user message from history
+            // Remove the failed user message from history (les actions deja faites restent visibles)
             this.chatHistory.pop();
             this.saveChatHistory();
-            return { error: `Erreur de connexion : ${e.message}` };
+            const reason = e.name === 'AbortError' ? 'délai dépassé' : e.message;
+            return { error: `Erreur de connexion : ${reason}` };
         }
     }
 
-    async callClaude(systemPrompt, messages, settings) {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 30000);
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            signal: controller.signal,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': settings.apiKey,
-                'anthropic-version': '2023-06-01',
-                'anthropic-dangerous-direct-browser-access': 'true'
-            },
-            body: JSON.stringify({
-                model: settings.model || 'claude-sonnet-4-20250514',
-                max_tokens: 4096,
-                system: systemPrompt,
-                messages: messages.map(m => ({
-                    role: m.role,
-                    content: m.content
-                }))
-            })
-        });
+    /**
+     * Execute un appel d'outil du modele (confirmation de l'eleve pour les actions)
+     * @returns {Promise<{ result, isError, summary }>} result renvoye au modele, summary garde dans l'historique
+     */
+    async runTool(call) {
+        const tool = window.CoachTools?.get(call.name);
+        if (!tool) return { result: { error: `Unknown tool ${call.name}` }, isError: true };
+        if (call.inputError) return { result: { error: call.inputError }, isError: true };
 
-        clearTimeout(timeout);
+        let summary;
+        try {
+            summary = tool.summarize(call.input);
+        } catch (e) {
+            summary = call.name;
+        }
 
-        if (!response.ok) {
-            const err = await response.json().catch(() => ({}));
-            throw new Error(err.error?.message || `Erreur ${response.status}`);
+        if (tool.confirm) {
+            this.hideTypingIndicator();
+            if (!await this.confirmToolCall(summary)) {
+                return { result: { declined: true, message: 'The user declined this action' }, summary: `↳ Refusé : ${summary}` };
+            }
         }
 
-        const data = await response.json();
-        const text = data.content?.[0]?.text;
-        if (!text) throw new Error('Réponse vide de l\'API');
-        return { text };
+        try {
+            const result = await tool.run(call.input, this);
+            if (tool.confirm) this.renderToolStatus(`✓ ${summary}`);
+            return { result, summary: tool.confirm ? `↳ ${summary}` : null };
+        } catch (e) {
+            if (tool.confirm) this.renderToolStatus(`✗ ${e.message}`, true);
+            return { result: { error: e.message }, isError: true, summary: tool.confirm ? `↳ Échec : ${summary}` : null };
+        }
     }
 
-    async callOpenAI(systemPrompt, messages, settings) {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 30000);
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            signal: controller.signal,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${settings.apiKey}`
-            },
-            body: JSON.stringify({
-                model: settings.model || 'gpt-4o-mini',
-                max_tokens: 4096,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    ...messages
-                ]
-            })
-        });
+    /**
+     * Lit un flux Server-Sent Events ; abandonne si aucun octet n'arrive pendant idleMs
+     * @param {Function} onEvent - (eventName, data) ; retourner false arrete la lecture
+     */
+    async readEventStream(response, controller, onEvent, idleMs = 30000) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let idle = setTimeout(() => controller.abort(), idleMs);
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                clearTimeout(idle);
+                idle = setTimeout(() => controller.abort(), idleMs);
+
+                buffer += decoder.decode(value, { stream: true });
+                let boundary;
+                while ((boundary = buffer.search(/\r?\n\r?\n/)) >= 0) {
+                    const block = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+                    let event = 'message';
+                    const data = [];
+                    block.split(/\r?\n/).forEach(line => {
+                        if (line.startsWith('event:')) event = line.slice(6).trim();
+                        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+                    });
+                    if (data.length && onEvent(event, data.join('\n')) === false) return;
+                }
+            }
+        } finally {
+            clearTimeout(idle);
+            reader.cancel().catch(() => {});
+        }
+    }
 
-        clearTimeout(timeout);
+    async _openStream(url, headers, body, timeoutMs = 30000) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetch(url, {
+                signal: controller.signal,
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body)
+            });
+        } finally {
+            clearTimeout(timeout);
+        }
 
         if (!response.ok) {
             const err = await response.json().catch(() => ({}));
-            throw new Error(err.error?.message || `Erreur ${response.status}`);
+            const error = new Error((typeof err.error === 'string' ? err.error : err.error?.message) || `Erreur ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
+        return { response, controller };
+    }
 
-        const data = await response.json();
-        const text = data.choices?.[0]?.message?.content;
-        if (!text) throw new Error('Réponse vide de l\'API');
-        return { text };
+    /**
+     * @returns {Promise<{ text, toolCalls: Array<{ id, name, input, inputError }>, message }>}
+     *          message : le tour assistant au format de l'API, a renvoyer avec les resultats d'outils
+     */
+    async callClaude(systemPrompt, messages, settings, { tools, onText } = {}) {
+        const { response, controller } = await this._openStream(LLMProviders.chatUrl(settings), LLMProviders.headers(settings), {
+            model: settings.model || 'claude-sonnet-4-20250514',
+            max_tokens: 4096,
+            stream: true,
+            system: systemPrompt,
+            messages,
+            ...(tools ? { tools } : {})
+        });
+
+        const blocks = [];
+        let text = '';
+        await this.readEventStream(response, controller, (event, data) => {
+            const ev = JSON.parse(data);
+            if (ev.type === 'content_block_start') {
+                const b = ev.content_block;
+                blocks[ev.index] = b.type === 'tool_use'
+                    ? { type: 'tool_use', id: b.id, name: b.name, json: '' }
+                    : { type: 'text', text: b.text || '' };
+            } else if (ev.type === 'content_block_delta') {
+                const block = blocks[ev.index];
+                if (ev.delta.type === 'text_delta') {
+                    block.text += ev.delta.text;
+                    text += ev.delta.text;
+                    if (onText) onText(text);
+                } else if (ev.delta.type === 'input_json_delta') {
+                    block.json += ev.delta.partial_json;
+                }
+            } else if (ev.type === 'message_stop') {
+                return false;
+            } else if (ev.type === 'error') {
+                throw new Error(ev.error?.message || 'Erreur de flux');
+            }
+        });
+
+        const toolCalls = [];
+        const content = blocks.filter(Boolean).map(b => {
+            if (b.type === 'text') return { type: 'text', text: b.text };
+            const call = this._parseToolInput(b.id, b.name, b.json);
+            toolCalls.push(call);
+            return { type: 'tool_use', id: b.id, name: b.name, input: call.input };
+        }).filter(b => b.type !== 'text' || b.text);
+
+        if (!text && !toolCalls.length) throw new Error('Réponse vide de l\'API');
+        return { text, toolCalls, message: { role: 'assistant', content } };
+    }
+
+    async callOpenAI(systemPrompt, messages, settings, { tools, onText } = {}) {
+        const local = LLMProviders.isLocal(settings);
+        const request = useTools => this._openStream(LLMProviders.chatUrl(settings), LLMProviders.headers(settings), {
+            model: settings.model || 'gpt-4o-mini',
+            max_tokens: 4096,
+            stream: true,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                ...messages
+            ],
+            ...(useTools ? { tools } : {})
+        }, local ? 120000 : 30000);    // un modele local peut mettre du temps a se charger
+
+        let opened;
+        try {
+            opened = await request(!!tools);
+        } catch (e) {
+            // Beaucoup de modeles locaux ne gerent pas les outils : on repond sans
+            if (!tools || !local || !e.status) throw e;
+            opened = await request(false);
+        }
+        const { response, controller } = opened;
+
+        const calls = [];
+        let text = '';
+        await this.readEventStream(response, controller, (event, data) => {
+            if (data === '[DONE]') return false;
+            const ev = JSON.parse(data);
+            if (ev.error) throw new Error(ev.error.message || 'Erreur de flux');
+            const delta = ev.choices?.[0]?.delta || {};
+            if (delta.content) {
+                text += delta.content;
+                if (onText) onText(text);
+            }
+            (delta.tool_calls || []).forEach(tc => {
+                const call = calls[tc.index] || (calls[tc.index] = { id: '', name: '', json: '' });
+                if (tc.id) call.id = tc.id;
+                if (tc.function?.name) call.name += tc.function.name;
+                if (tc.function?.arguments) call.json += tc.function.arguments;
+            });
+        });
+
+        const toolCalls = calls.filter(Boolean).map(c => this._parseToolInput(c.id, c.name, c.json));
+        if (!text && !toolCalls.length) throw new Error('Réponse vide de l\'API');
+        const message = { role: 'assistant', content: text || null };
+        if (toolCalls.length) {
+            message.tool_calls = calls.filter(Boolean).map(c => ({
+                id: c.id,
+                type: 'function',
+                function: { name: c.name, arguments: c.json || '{}' }
+            }));
+        }
+        return { text, toolCalls, message };
+    }
+
+    _parseToolInput(id, name, json) {
+        try {
+            return { id, name, input: json ? JSON.parse(json) : {} };
+        } catch (e) {
+            return { id, name, input: {}, inputError: 'Invalid JSON arguments' };
+        }
     }
 
     // ==========================================
@@ -1112,6 +1453,12 @@ class CoachAI {
         ).join('\n');
 
         const stats = this.computeStats();
+        const adherence = window.weeklyPlan ? window.weeklyPlan.getAdherenceSummary() : '';
+        // Langue de l'eleve (reglage de l'app) : les noms d'exercices ci-dessous sont deja traduits
+        const i18n = window.i18n;
+        const languageRule = !i18n || i18n.language === 'fr'
+            ? 'TOUJOURS en francais, tutoiement'
+            : `TOUJOURS en ${i18n.promptName}, registre direct et familier — l'eleve ne lit pas le francais`;
 
         return `Tu es un coach specialise en apnee et entrainement respiratoire au sec. Tu tutoies l'eleve. Tu es direct, sans fioriture, concret. Pas de bla-bla motivationnel creux. Tu vas droit au but.
 
@@ -1125,6 +1472,8 @@ class CoachAI {
 
 ## Application
 Tu as acces a un moteur d'exercices. Quand tu recommandes un exercice, utilise EXACTEMENT le format [EXERCICE:exercise-id] pour generer un bouton cliquable qui lance directement l'exercice dans l'app.
+Tu disposes aussi d'outils qui agissent dans l'app : start_exercise (lancer un exercice, avec ses reglages), create_sequence (sequence de minuteur), get_sessions (historique detaille), update_goals (objectifs) et schedule_plan_day (plan de la semaine). L'eleve confirme chaque action avant execution : quand il te demande de lancer, creer ou planifier quelque chose, appelle directement l'outil au lieu de demander la permission dans le texte. Si une action est refusee, n'insiste pas.
+Date du jour : ${new Date().toISOString().slice(0, 10)} (${new Date().toLocaleDateString(i18n ? i18n.locale : 'fr-FR', { weekday: 'long' })}).
 
 ## Exercices disponibles dans l'app
 ${exerciseList}
@@ -1143,9 +1492,9 @@ ${recentSessions || 'Aucune session enregistree.'}
 
 ## Objectifs de l'eleve
 ${this.goals || 'Non definis — demande-lui ses objectifs.'}
-
+${adherence ? `\n## Plan de la semaine : prevu vs realise\n${adherence}\n` : ''}
 ## Regles strictes
-- TOUJOURS en francais, tutoiement
+- ${languageRule}
 - Reponses courtes et directes (2-3 paragraphes max)
 - Quand tu proposes un exercice, utilise [EXERCICE:id] — c'est obligatoire
 - Propose des seances concretes, pas juste des conseils vagues
@@ -1165,46 +1514,8 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
     // ==========================================
 
     getOfflineResponse(prompt) {
-        const lower = prompt.toLowerCase();
-
-        if (lower.includes('stress') || lower.includes('anxie') || lower.includes('calm') || lower.includes('redescendre')) {
-            return {
-                text: `Pas de connexion, mais voila le protocole anti-stress :\n\n1. [EXERCICE:physiological-sigh] Soupir physiologique — pour couper le pic immediat\n2. [EXERCICE:cyclic-sighing] Cyclic Sighing 5 min — redescente profonde\n3. [EXERCICE:coherent] Coherente 10 min — stabilisation du systeme nerveux\n\nConfigure ta cle API dans Parametres > Coach IA pour que je puisse adapter.`
-            };
-        }
-
-        if (lower.includes('apnee') || lower.includes('apnea') || lower.includes('sec') || lower.includes('table')) {
-            return {
-                text: `Hors-ligne. Seance type apnee au sec :\n\n1. [EXERCICE:predive] Echauffement respiratoire (5 min)\n2. [EXERCICE:co2-table] Table CO2 — tolerance de base\n3. [EXERCICE:no-contraction] Table sans contraction — controle mental\n\nSi tu veux de l'O2 : [EXERCICE:o2-table] Table O2 (apres la CO2, jamais avant).\n\nPour un programme adapte a ton niveau, configure la cle API.`
-            };
-        }
-
-        if (lower.includes('bilan') || lower.includes('progress') || lower.includes('stat')) {
-            const stats = this.computeStats();
-            let text = `Bilan :\n\n`;
-            text += `- **${stats.totalSessions}** sessions\n`;
-            text += `- **${stats.currentStreak}** jours d'affilee\n`;
-            text += `- Stress : ${stats.avgStressBefore} -> ${stats.avgStressAfter}`;
-            if (stats.avgStressReduction !== '-') {
-                text += ` (reduction ${stats.avgStressReduction})`;
-            }
-            text += `\n`;
-            if (stats.favoriteExercise) {
-                text += `- Favori : ${stats.favoriteExercise}\n`;
-            }
-            text += `\nConfigure la cle API pour une analyse detaillee et des recommandations.`;
-            return { text };
-        }
-
-        if (lower.includes('programme') || lower.includes('semaine') || lower.includes('plan')) {
-            return {
-                text: `Hors-ligne — programme type semaine au sec :\n\n**Jour 1-3** : [EXERCICE:co2-table] Table CO2 + [EXERCICE:coherent] Coherente 10 min\n**Jour 4** : Repos actif — [EXERCICE:cyclic-sighing] Cyclic Sighing\n**Jour 5-6** : [EXERCICE:o2-table] Table O2 + [EXERCICE:no-contraction] Sans contraction\n**Jour 7** : Repos\n\nPour un programme personnalise, configure la cle API.`
-            };
-        }
-
-        return {
-            text: `Hors-ligne. Seance rapide :\n\n- [EXERCICE:cyclic-sighing] Cyclic Sighing (echauffement)\n- [EXERCICE:co2-table] Table CO2 (travail de fond)\n\nPour des seances sur mesure, configure ta cle API dans Parametres > Coach IA.`
-        };
+        // Moteur a regles local (coach-engine.js) : recommandations calculees sur les donnees reelles
+        return { text: window.coachEngine.respond(prompt, this) };
     }
 
     // ==========================================
@@ -1282,7 +1593,7 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
 
     exportJSON() {
         const data = {
-            version: 3,
+            version: 5, // v5 : sessions[].heartRate / hrv (trace FC, VFC) — v4 : sessions[].telemetry
             exportDate: new Date().toISOString(),
             sessions: this.sessions,
             goals: this.goals,
@@ -1342,6 +1653,7 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
             ['Poids (kg)', p.weight || ''],
             ['VO2max (ml/kg/min)', p.vo2max || ''],
             ['FC Repos (bpm)', p.hrRest || ''],
+            ['Frequence resonance (resp/min)', p.resonanceRate || ''],
             ['', ''],
             ['Apnee', ''],
             ['Statique max eau (s)', p.staticMax || ''],
@@ -1414,6 +1726,7 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
         if (p.weight) profileLines.push(`Poids : ${p.weight} kg`);
         if (p.vo2max) profileLines.push(`VO2max : ${p.vo2max} ml/kg/min`);
         if (p.hrRest) profileLines.push(`FC repos : ${p.hrRest} bpm`);
+        if (p.resonanceRate) profileLines.push(`Frequence de resonance : ${p.resonanceRate} resp/min`);
         if (p.staticMax) profileLines.push(`Statique max eau : ${p.staticMax}s`);
         if (p.staticDry) profileLines.push(`Statique dry : ${p.staticDry}s`);
         if (p.dynMax) profileLines.push(`Dynamique max : ${p.dynMax}m`);
@@ -1578,7 +1891,7 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
 
                     if (data.goals && !this.goals) {
                         this.goals = data.goals;
-                        localStorage.setItem('deepbreath_goals', this.goals);
+                        window.storage.set('deepbreath_goals', this.goals, { origin: 'coach' });
                     }
 
                     if (data.profile && !this.profile.apneaLevel && !this.profile.staticMax) {
@@ -1680,6 +1993,7 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
         const fieldMap = {
             'Age': 'age', 'Taille (cm)': 'height', 'Poids (kg)': 'weight',
             'VO2max (ml/kg/min)': 'vo2max', 'FC Repos (bpm)': 'hrRest',
+            'Frequence resonance (resp/min)': 'resonanceRate',
             'Statique max eau (s)': 'staticMax', 'Statique dry max (s)': 'staticDry',
             'Dynamique max (m)': 'dynMax', 'Profondeur max (m)': 'depthMax',
             '1ere contraction (s)': 'firstContraction', 'Niveau apnee': 'apneaLevel',
@@ -1711,7 +2025,7 @@ ${this.goals || 'Non definis — demande-lui ses objectifs.'}
 
 // Initialize after app.js
 document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
+    window.storage.ready.then(() => setTimeout(() => {
         window.coach = new CoachAI();
-    }, 100);
+    }, 100));
 });
@@ -0,0 +1,771 @@
+/**
+ * ExerciseRunner - Exécuteur générique de protocoles déclaratifs
+ *
+ * Un exercice de EXERCISES déclare son déroulé dans `steps` (graphe d'étapes) :
+ *   intro   — consigne de départ lue, puis délai
+ *   timed   — phase chronométrée (décompte)
+ *   hold    — apnée ouverte (chrono montant), terminée par l'utilisateur, un max ou les contractions
+ *   breaths — bloc de N respirations inspire/expire
+ *   repeat  — répète une liste d'étapes N fois, ou une fois par élément d'une liste (`over`)
+ *   segment — regroupe des étapes mesurées : FC/RR capturés, variables notées en fin de segment
+ *   rate    — note subjective (1 à N) saisie par l'utilisateur
+ *   branch  — choisit une branche selon l'itération, la façon dont l'apnée s'est terminée
+ *             ou les RR reçus pendant le segment (rr:N)
+ *   say     — affiche et lit un message
+ *   wait    — temporisation silencieuse
+ *
+ * Les apnées (hold, timed en hold/holdEmpty) ont des annonces vocales chronométrées selon la
+ * densité réglée pour la catégorie ; `callouts` en ajoute (nom de contexte comme 'breatheUp'
+ * ou liste d'annonces, voir VoiceCues) ou les coupe (false).
+ *
+ * Les valeurs numériques acceptent un nombre ou le nom d'un paramètre de l'exercice
+ * ('cycles', 'recoveryPhase.duration', …), résolu après application des réglages utilisateur.
+ * Les textes acceptent des gabarits {cycle}, {hold:time}, {remaining:s}.
+ *
+ * `results.analyzer` nomme un objet global dont conclude(segments, runner) exploite
+ * les segments mesurés en fin d'exercice et renvoie le texte de synthèse à afficher.
+ *
+ * Pause, reprise, saut de phase et fin d'exercice sont gérés ici pour tous les protocoles ;
+ * la fin délègue à app.completeExercise() qui ouvre le feedback du coach.
+ *
+ * Chaque phase chronométrée est tracée dans un journal horodaté (getTelemetry()),
+ * au même format que BreathEngine.getTelemetry(), rattaché ensuite à la session.
+ */
+class ExerciseRunner {
+    constructor(app, exercise) {
+        this.app = app;
+        this.exercise = exercise;
+        this.steps = exercise.steps || [];
+        this.results = exercise.results || {};
+
+        this.active = false;
+        this.paused = false;
+        this.vars = {};
+        this.loops = [];
+        this.holds = [];
+        this.segments = [];
+        this.lastHold = null;
+
+        this._timer = null;
+        this._clock = null;         // { start, pausedMs, pauseStart }
+        this._endCurrent = null;    // termine l'étape en cours (skip / bouton / touche)
+        this._keys = [];
+        this._hold = null;          // état de l'apnée ouverte en cours
+        this._capture = null;       // capture FC du segment en cours
+        this._prevAction = null;
+
+        this.telemetry = null;      // { source, startedAt, events }
+        this._telemetryT0 = 0;
+        this._pausedAt = 0;
+        this._hiddenAt = 0;
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+    }
+
+    // ==========================================
+    // Cycle de vie
+    // ==========================================
+
+    start() {
+        this.active = true;
+        this.paused = false;
+        this.vars = {};
+        this.loops = [];
+        this.holds = [];
+        this.segments = [];
+        this.lastHold = null;
+        this._prevAction = null;
+
+        this._telemetryT0 = Date.now();
+        this.telemetry = { source: 'exercise-runner', startedAt: new Date().toISOString(), events: [] };
+        this._log('exercise_start', { exerciseId: this.exercise.id });
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+        this._hideControls();
+        const counterDiv = document.getElementById('contractionCounter');
+        if (counterDiv && this._usesContractions(this.steps)) {
+            counterDiv.style.display = 'block';
+            counterDiv.textContent = 'Contractions : 0';
+        }
+
+        this._runList(this.steps, () => this._finish());
+    }
+
+    stop() {
+        if (this.active) {
+            if (this._endCurrent && this._clock && this._clock.phase) this._logPhaseEnd(this._clock.phase, 'stop');
+            this._log('stop');
+        }
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this.active = false;
+        this._clearTimer();
+        this._endCurrent = null;
+        this._keys = [];
+        this._hold = null;
+        if (this._capture) { this._capture.stop(); this._capture = null; }
+        this._hideControls();
+        if (window.breathSounds) window.breathSounds.stop();
+    }
+
+    pause() {
+        if (!this.active || this.paused) return;
+        this.paused = true;
+        this._pausedAt = Date.now();
+        this._log('pause');
+        if (this._clock && !this._clock.pauseStart) this._clock.pauseStart = Date.now();
+        if (window.breathSounds) window.breathSounds.stop();
+        if (window.voiceGuide) window.voiceGuide.pause();
+    }
+
+    resume() {
+        if (!this.active || !this.paused) return;
+        this.paused = false;
+        this._log('resume', { pausedMs: Date.now() - (this._pausedAt || Date.now()) });
+        if (this._clock && this._clock.pauseStart) {
+            this._clock.pausedMs += Date.now() - this._clock.pauseStart;
+            this._clock.pauseStart = null;
+        }
+        if (window.voiceGuide) window.voiceGuide.resume();
+    }
+
+    /** Termine immédiatement l'étape en cours et passe à la suivante */
+    skip() {
+        if (!this.active || !this._endCurrent) return false;
+        if (this.paused) this.resume();
+        this._log('skip');
+        this._endCurrent('skip');
+        return true;
+    }
+
+    /** Touche clavier — renvoie true si l'étape en cours l'a consommée */
+    handleKey(code) {
+        if (!this.active || !this._endCurrent || !this._keys.includes(code)) return false;
+        this._endCurrent('key');
+        return true;
+    }
+
+    _alive() {
+        return this.active && this.app.isRunning;
+    }
+
+    /** Journal d'événements de la séance — null si jamais démarrée */
+    getTelemetry() {
+        if (!this.telemetry) return null;
+        return { ...this.telemetry, events: this.telemetry.events.slice() };
+    }
+
+    _finish() {
+        if (!this._alive()) return;
+        this._hideControls();
+
+        const durations = this.holds.map(h => h.duration);
+        const best = durations.length ? Math.max(...durations) : 0;
+        const avg  = durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : 0;
+        this.sessionData = this.holds.length ? { holds: this.holds, best, avg } : null;
+
+        if (this.results.history) this._saveHistory(this.results.history);
+
+        const analyzer = this.results.analyzer && window[this.results.analyzer];
+        if (analyzer && this.segments.length) {
+            const summary = analyzer.conclude(this.segments, this);
+            if (summary) this._setText('exerciseInstruction', summary);
+            this.sessionData = { ...(this.sessionData || {}), segments: this.segments.map(({ rr, ...rest }) => rest) };
+        }
+
+        if (this.results.summary && this.holds.length) {
+            const summary = this.holds.map((h, i) =>
+                `C${i + 1}: ${this.app.formatTime(h.duration)}${h.timeToUrge ? ' (⚡' + this.app.formatTime(h.timeToUrge) + ')' : ''}`
+            ).join(' — ');
+            this._setText('exerciseInstruction', `${summary} — Meilleur: ${this.app.formatTime(best)}`);
+        }
+
+        const complete = this.exercise.instructions && this.exercise.instructions.complete;
+        if (complete && window.voiceGuide && window.voiceGuide.enabled) {
+            window.voiceGuide.speak(complete);
+        }
+
+        this._log('complete', { holds: this.holds.length });
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this.active = false;
+        setTimeout(() => {
+            if (this.app.isRunning) this.app.completeExercise();
+        }, complete || this.results.summary || this.results.analyzer ? 2000 : 0);
+    }
+
+    _saveHistory(spec) {
+        try {
+            const existing = window.storage.get(spec.key, []);
+            const entry = { date: new Date().toISOString() };
+            (spec.meta || []).forEach(k => { entry[k] = this.exercise[k]; });
+            const durationKey = spec.durationKey || 'duration';
+            entry.cycles = this.holds.map(({ duration, ...rest }) => ({ ...rest, [durationKey]: duration }));
+            existing.push(entry);
+            const limit = spec.limit || 50;
+            if (existing.length > limit) existing.splice(0, existing.length - limit);
+            window.storage.set(spec.key, existing, { origin: 'runner' });
+        } catch (e) {
+            console.warn('Could not save exercise history:', e);
+        }
+    }
+
+    // ==========================================
+    // Interpréteur
+    // ==========================================
+
+    _runList(steps, done, index = 0) {
+        if (!this._alive()) return;
+        if (index >= steps.length) { done(); return; }
+        this._runStep(steps[index], () => this._runList(steps, done, index + 1));
+    }
+
+    _runStep(step, next) {
+        switch (step.type) {
+            case 'intro':   return this._runIntro(step, next);
+            case 'timed':   return this._runTimed(step, next);
+            case 'hold':    return this._runHold(step, next);
+            case 'breaths': return this._runBreaths(step, next);
+            case 'repeat':  return this._runRepeat(step, next);
+            case 'segment': return this._runSegment(step, next);
+            case 'rate':    return this._runRate(step, next);
+            case 'branch':  return this._runBranch(step, next);
+            case 'say':     return this._runSay(step, next);
+            case 'wait':    return this._wait(this._num(step.duration, 1), next);
+            default:
+                console.warn('ExerciseRunner: unknown step type', step.type);
+                next();
+        }
+    }
+
+    _runIntro(step, next) {
+        const text = this._text(step.instruction || 'start');
+        this._setText('exerciseInstruction', text);
+        if (step.counter) this._setText('cycleCounter', this._fmt(step.counter));
+
+        if (window.voiceGuide && window.voiceGuide.enabled && text) {
+            window.voiceGuide.speak(text, () => this._wait(this._num(step.delay, 0.8), next));
+        } else {
+            this._wait(this._num(step.silentDelay, 2), next);
+        }
+    }
+
+    _runTimed(step, next) {
+        const duration = this._num(step.duration, 0);
+        const action = step.action || 'inhale';
+
+        this._enterPhase(step, action, this._num(step.visual, duration));
+        this._playSound(step, action, duration);
+        this._showControls(step);
+
+        const cues = (step.cues || []).map(c => ({ at: c.at * duration, text: this._fmt(c.text), done: false }));
+        const callouts = this._callouts(step, duration, action === 'hold' || action === 'holdEmpty' ? 'hold' : null);
+
+        this._runClock({
+            phase: { name: step.label || action, kind: action, planned: duration },
+            onTick: (elapsed) => {
+                const remaining = Math.max(0, duration - elapsed);
+                this._showClock(step.clock === 'time' ? this.app.formatTime(remaining) : remaining.toFixed(1),
+                    duration > 0 ? elapsed / duration : 1);
+                cues.forEach(c => {
+                    if (!c.done && elapsed >= c.at) {
+                        c.done = true;
+                        if (window.voiceGuide && window.voiceGuide.enabled) window.voiceGuide.speak(c.text);
+                    }
+                });
+                if (callouts) callouts.tick(elapsed);
+                return elapsed >= duration;
+            },
+            onEnd: () => {
+                if (callouts) callouts.stop();
+                this._hideControls();
+                if (window.breathSounds) window.breathSounds.stop();
+                next();
+            }
+        });
+    }
+
+    _runHold(step, next) {
+        const max = this._num(step.max, 0);
+        const ref = this._num(step.ref, 120) * (step.refFactor || 1);
+        const beyond = this._num(step.beyond, 0);
+        const action = step.action || 'hold';
+        const tracksUrge = (step.controls || []).includes('urge');
+
+        this._enterPhase(step, action, 1);
+        this._playSound(step, action, max || 300);
+        this._showControls(step);
+        this._keys = step.keys || [];
+
+        const hold = this._hold = {
+            step,
+            urge: null,
+            contractions: 0,
+            onset: null,
+            cueIndex: 0
+        };
+        if (step.contractions) {
+            const counterDiv = document.getElementById('contractionCounter');
+            if (counterDiv) counterDiv.textContent = 'Contractions : 0';
+        }
+        // Apnée ouverte : max est un garde-fou, pas une cible — pas de temps restant annoncé
+        const callouts = this._callouts(step, null, 'hold');
+
+        this._runClock({
+            phase: { name: step.label || 'Apnée', kind: action, planned: max || null },
+            onTick: (elapsed) => {
+                this._showClock(this.app.formatTime(elapsed), Math.min(elapsed / ref, 1));
+                if (callouts) callouts.tick(elapsed);
+                if (max && elapsed >= max) return 'max';
+                if (beyond && hold.onset !== null && elapsed - hold.onset >= beyond) return 'contraction';
+                return false;
+            },
+            onEnd: (reason, elapsed) => {
+                if (callouts) callouts.stop();
+                this._hold = null;
+                this._keys = [];
+                this._hideControls();
+                if (window.breathSounds) window.breathSounds.stop();
+
+                const record = { duration: Math.round(elapsed) };
+                if (tracksUrge) record.timeToUrge = hold.urge;
+                if (step.contractions) {
+                    record.contractionCount = hold.contractions;
+                    record.contractionOnset = hold.onset !== null ? Math.round(hold.onset) : null;
+                }
+                this.lastHold = { ...record, endedBy: reason };
+                this.vars.hold = elapsed;
+                this.vars.contractions = hold.contractions;
+                if (step.record) {
+                    const loop = this.loops[this.loops.length - 1];
+                    this.holds.push({ cycle: loop ? loop.index : this.holds.length + 1, ...record });
+                }
+                next();
+            }
+        });
+    }
+
+    _runBreaths(step, next) {
+        const count = this._num(step.count, 1);
+        const inhale = this._num(step.inhale, 3);
+        const exhale = this._num(step.exhale, 3);
+        const gap = this._num(step.gap, 0);
+        const inhaleLabel = step.inhaleLabel || 'Inspirez';
+        const exhaleLabel = step.exhaleLabel || 'Expirez';
+
+        if (step.label) this._setText('breathPhase', step.label);
+        if (step.instruction) {
+            const text = this._text(step.instruction);
+            this._setText('exerciseInstruction', text);
+            if (window.voiceGuide && window.voiceGuide.enabled) window.voiceGuide.speak(text);
+        }
+
+        // Le saut termine le bloc entier, pas seulement la respiration en cours
+        let skipped = false;
+        const breathe = (i) => {
+            if (!this._alive()) return;
+            if (skipped || i > count) { next(); return; }
+
+            this.vars.breath = i;
+            this.vars.breaths = count;
+            this.vars.remaining = count - i + 1;
+
+            const phase = (label, action, duration, then) => {
+                this._enterPhase({ label, counter: step.counter }, action, duration);
+                if (this.exercise.instructions && this.exercise.instructions[label]) {
+                    this._setText('exerciseInstruction', this.exercise.instructions[label]);
+                }
+                this._playSound({}, action, duration);
+                this._runClock({
+                    phase: { name: label, kind: action, planned: duration },
+                    onTick: (elapsed) => {
+                        this._showClock(step.display === 'remaining'
+                            ? `${this.vars.remaining}`
+                            : Math.max(0, duration - elapsed).toFixed(1), elapsed / duration);
+                        return elapsed >= duration;
+                    },
+                    onEnd: (reason) => {
+                        if (reason === 'skip') skipped = true;
+                        then();
+                    }
+                });
+            };
+
+            phase(inhaleLabel, 'inhale', inhale, () => {
+                if (skipped) { breathe(i + 1); return; }
+                phase(exhaleLabel, 'exhale', exhale, () => {
+                    if (skipped || !gap) { breathe(i + 1); return; }
+                    this._wait(gap, () => breathe(i + 1));
+                });
+            });
+        };
+        breathe(1);
+    }
+
+    _runRepeat(step, next) {
+        const items = step.over ? (this._lookup(step.over) || []) : null;
+        const total = items ? items.length : this._num(step.times, 1);
+        const loop = { index: 1, total, as: step.as || 'cycle' };
+        this.loops.push(loop);
+
+        const iterate = () => {
+            if (!this._alive()) return;
+            if (loop.index > total) {
+                this.loops.pop();
+                next();
+                return;
+            }
+            this.vars[loop.as] = loop.index;
+            // Chaque élément de la liste expose ses champs comme variables ({rate}, 'inhale'…)
+            if (items) Object.assign(this.vars, items[loop.index - 1]);
+            this._runList(step.steps || [], () => {
+                loop.index++;
+                iterate();
+            });
+        };
+        iterate();
+    }
+
+    _runSegment(step, next) {
+        const hr = window.heartRate;
+        const capture = hr && hr.isConnected() ? hr.capture() : null;
+        this._capture = capture;
+        const startedAt = Date.now();
+        this._log('segment_start', { id: this._fmt(step.id || this.segments.length + 1) });
+
+        this._runList(step.steps || [], () => {
+            const segment = { id: this._fmt(step.id || this.segments.length + 1), seconds: Math.round((Date.now() - startedAt) / 1000) };
+            (step.fields || []).forEach(k => { segment[k] = this.vars[k] !== undefined ? this.vars[k] : null; });
+            if (capture) {
+                const data = capture.stop();
+                segment.rr = data.rr;
+                segment.bpm = data.bpm;
+            }
+            this._capture = null;
+            this.segments.push(segment);
+            this._log('segment_end', { id: segment.id });
+            next();
+        });
+    }
+
+    _runRate(step, next) {
+        const scale = this._num(step.scale, 5);
+        const container = document.getElementById('rateControls');
+        const as = step.as || 'rating';
+        this.vars[as] = null;
+        this._setText('exerciseInstruction', this._text(step.instruction || 'rate'));
+        if (step.label) this._setText('breathPhase', step.label);
+        if (window.voiceGuide && window.voiceGuide.enabled && step.voice !== false) {
+            window.voiceGuide.speak(this._text(step.instruction || 'rate'));
+        }
+
+        let chosen = null;
+        if (container) {
+            const labels = step.labels || [];
+            container.innerHTML = Array.from({ length: scale }, (_, i) =>
+                `<button class="btn-rate" data-value="${i + 1}" title="${labels[i] || ''}">${i + 1}</button>`).join('');
+            container.style.display = '';
+            container.onclick = (e) => {
+                const btn = e.target.closest('[data-value]');
+                if (btn) chosen = parseInt(btn.dataset.value);
+            };
+        }
+
+        this._runClock({
+            phase: { name: step.label || 'Évaluation', kind: 'rate', planned: null },
+            onTick: (elapsed) => {
+                this._showClock(this.app.formatTime(elapsed), 0);
+                return chosen !== null;
+            },
+            onEnd: () => {
+                this.vars[as] = chosen;
+                this._log('rate', { as, value: chosen });
+                if (container) {
+                    container.style.display = 'none';
+                    container.onclick = null;
+                }
+                next();
+            }
+        });
+    }
+
+    _runBranch(step, next) {
+        const branch = this._test(step.when) ? step.steps : step.else;
+        this._runList(branch || [], next);
+    }
+
+    _runSay(step, next) {
+        const text = step.instruction ? this._text(step.instruction) : this._fmt(step.text || '');
+        this._setText('exerciseInstruction', text);
+        if (window.voiceGuide && window.voiceGuide.enabled) window.voiceGuide.speak(text);
+        next();
+    }
+
+    _test(condition) {
+        const loop = this.loops[this.loops.length - 1];
+        const hold = this.lastHold;
+        return String(condition || '').split('|').some(cond => {
+            switch (cond) {
+                case 'first':   return !!loop && loop.index === 1;
+                case 'last':    return !!loop && loop.index === loop.total;
+                case 'notLast': return !!loop && loop.index < loop.total;
+                case 'urge':    return !!hold && hold.timeToUrge != null;
+                case 'contraction': return !!hold && hold.contractionCount > 0;
+                case 'heartRate': return !!window.heartRate && window.heartRate.isConnected();
+                default:
+                    if (cond.startsWith('ended:')) return !!hold && hold.endedBy === cond.slice(6);
+                    // rr:N — le segment en cours a reçu au moins N intervalles RR exploitables
+                    if (cond.startsWith('rr:')) {
+                        return !!this._capture && !!window.HRV
+                            && window.HRV.cleanRR(this._capture.data.rr).length >= Number(cond.slice(3));
+                    }
+                    return false;
+            }
+        });
+    }
+
+    // ==========================================
+    // Saisie utilisateur pendant une apnée ouverte
+    // ==========================================
+
+    markUrge() {
+        const hold = this._hold;
+        if (!hold || hold.urge !== null || !this._clock) return;
+        hold.urge = Math.round(this._elapsed());
+        this._log('urge', { at: hold.urge });
+        const btnUrge = document.getElementById('btnHangerUrge');
+        if (btnUrge) {
+            btnUrge.disabled = true;
+            btnUrge.textContent = `⚡ ${this.app.formatTime(hold.urge)}`;
+        }
+        if (window.voiceGuide && window.voiceGuide.enabled) {
+            window.voiceGuide.speak(hold.step.urgeCue || 'Première envie notée. Continuez.');
+        }
+    }
+
+    markContraction() {
+        const hold = this._hold;
+        if (!hold || !hold.step.contractions || this.paused || !this._clock) return;
+
+        hold.contractions++;
+        if (hold.contractions === 1) hold.onset = this._elapsed();
+        this._log('contraction', { count: hold.contractions, at: Math.round(this._elapsed() * 10) / 10 });
+
+        const counterDiv = document.getElementById('contractionCounter');
+        if (counterDiv) counterDiv.textContent = `Contractions : ${hold.contractions}`;
+        if (this.exercise.instructions && this.exercise.instructions.contraction) {
+            this._setText('exerciseInstruction', this.exercise.instructions.contraction);
+        }
+
+        const cues = this.exercise.reframingCues || [];
+        if (cues.length && window.voiceGuide && window.voiceGuide.enabled) {
+            window.voiceGuide.speak(cues[hold.cueIndex % cues.length]);
+            hold.cueIndex++;
+        }
+        if (navigator.vibrate) navigator.vibrate(100);
+    }
+
+    // ==========================================
+    // Horloge (pause-aware, 100 ms)
+    // ==========================================
+
+    _runClock({ phase, onTick, onEnd }) {
+        if (!this._alive()) return;
+        this._clearTimer();
+        this._clock = { start: Date.now(), pausedMs: 0, pauseStart: this.paused ? Date.now() : null, phase: null };
+        if (phase) {
+            this._clock.phase = { ...phase, cycle: this._currentCycle() };
+            this._log('phase_start', this._clock.phase);
+        }
+
+        const end = (reason) => {
+            if (this._endCurrent !== end) return;
+            const elapsed = this._elapsed();
+            if (this._clock.phase) this._logPhaseEnd(this._clock.phase, reason, elapsed);
+            this._clearTimer();
+            this._endCurrent = null;
+            this._clock = null;
+            onEnd(reason, elapsed);
+        };
+        this._endCurrent = end;
+
+        onTick(0);
+        this._timer = setInterval(() => {
+            if (!this._alive()) { this._clearTimer(); return; }
+            if (this.paused) return;
+            const result = onTick(this._elapsed());
+            if (result) end(typeof result === 'string' ? result : 'time');
+        }, 100);
+    }
+
+    _elapsed() {
+        const c = this._clock;
+        if (!c) return 0;
+        const pausedNow = c.pauseStart ? Date.now() - c.pauseStart : 0;
+        return (Date.now() - c.start - c.pausedMs - pausedNow) / 1000;
+    }
+
+    _wait(seconds, next) {
+        this._runClock({
+            onTick: (elapsed) => elapsed >= seconds,
+            onEnd: () => next()
+        });
+    }
+
+    _clearTimer() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    // ==========================================
+    // Télémétrie
+    // ==========================================
+
+    _log(type, data) {
+        if (!this.telemetry) return;
+        this.telemetry.events.push({ t: Date.now() - this._telemetryT0, type, ...(data || {}) });
+    }
+
+    _logPhaseEnd(phase, reason, elapsed = this._elapsed()) {
+        this._log('phase_end', { ...phase, actual: Math.round(elapsed * 100) / 100, endedBy: reason });
+    }
+
+    _currentCycle() {
+        const loop = this.loops[0];
+        return loop ? loop.index : 1;
+    }
+
+    _onVisibilityChange() {
+        if (!this.active) return;
+        if (document.hidden) {
+            this._hiddenAt = Date.now();
+            this._log('hidden');
+        } else {
+            this._log('visible', { hiddenMs: this._hiddenAt ? Date.now() - this._hiddenAt : 0 });
+            this._hiddenAt = 0;
+        }
+    }
+
+    // ==========================================
+    // Affichage (cercle legacy)
+    // ==========================================
+
+    _enterPhase(step, action, visualDuration) {
+        if (step.counter) this._setText('cycleCounter', this._fmt(step.counter));
+        if (step.instruction) this._setText('exerciseInstruction', this._text(step.instruction));
+
+        this.app.updateBreathPhase(
+            { name: step.label || '', action, duration: Math.max(visualDuration, 0.1) },
+            this._prevAction
+        );
+        this._prevAction = action;
+
+        if (step.instruction && step.voice !== false && window.voiceGuide && window.voiceGuide.enabled) {
+            window.voiceGuide.speak(this._text(step.instruction));
+        }
+    }
+
+    /** Annonces vocales de la phase — null si la densité de la catégorie est 'off' */
+    _callouts(step, duration, context) {
+        if (!window.voiceCues || step.callouts === false) return null;
+        const declared = step.callouts === undefined ? [] : [].concat(step.callouts);
+        if (!context && !declared.length) return null;
+        return window.voiceCues.schedule({ exercise: this.exercise, context, duration, cues: declared });
+    }
+
+    _playSound(step, action, duration) {
+        if (!window.breathSounds || step.sound === false) return;
+        window.breathSounds.stop();
+        window.breathSounds.playPhase(step.sound || action, duration);
+    }
+
+    _showClock(text, progress) {
+        const timerDisplay = document.getElementById('breathTimer');
+        const progressBar = document.getElementById('progressBar');
+        const circumference = 2 * Math.PI * 90;
+        if (timerDisplay) timerDisplay.textContent = text;
+        if (progressBar) progressBar.style.strokeDashoffset = circumference * (1 - Math.min(Math.max(progress, 0), 1));
+    }
+
+    _showControls(step) {
+        const controls = step.controls || [];
+        const showContraction = !!step.contractions;
+        if (!controls.length && !showContraction) return;
+
+        const container = document.getElementById('hangerControls');
+        const btnUrge = document.getElementById('btnHangerUrge');
+        const btnStop = document.getElementById('btnHangerStop');
+        const btnContraction = document.getElementById('btnMarkContraction');
+
+        if (container && controls.length) container.style.display = '';
+        if (btnUrge && controls.includes('urge')) {
+            btnUrge.style.display = '';
+            btnUrge.disabled = false;
+            btnUrge.textContent = '⚡ 1ère envie';
+            btnUrge.onclick = () => this.markUrge();
+        }
+        if (btnStop && controls.includes('stop')) {
+            btnStop.style.display = '';
+            btnStop.onclick = () => { if (this._endCurrent) this._endCurrent('stop'); };
+        }
+        if (btnContraction && showContraction) btnContraction.style.display = 'block';
+    }
+
+    _hideControls() {
+        ['hangerControls', 'btnHangerUrge', 'btnHangerStop', 'btnMarkContraction', 'rateControls'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = 'none';
+        });
+        const btnUrge = document.getElementById('btnHangerUrge');
+        const btnStop = document.getElementById('btnHangerStop');
+        if (btnUrge) btnUrge.onclick = null;
+        if (btnStop) btnStop.onclick = null;
+    }
+
+    _usesContractions(steps) {
+        return steps.some(s => s.contractions || this._usesContractions([...(s.steps || []), ...(s.else || [])]));
+    }
+
+    _setText(id, text) {
+        const el = document.getElementById(id);
+        if (el && text != null) el.textContent = text;
+    }
+
+    // ==========================================
+    // Résolution des paramètres et gabarits
+    // ==========================================
+
+    /** Nombre littéral, variable de boucle, paramètre de l'exercice ou réglage global */
+    _num(value, fallback) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return fallback;
+        const resolved = this._lookup(value);
+        const n = parseFloat(resolved);
+        return isNaN(n) ? fallback : n;
+    }
+
+    _lookup(path) {
+        if (path in this.vars) return this.vars[path];
+        const fromExercise = path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), this.exercise);
+        if (fromExercise !== undefined) return fromExercise;
+        return this.app.settings ? this.app.settings[path] : undefined;
+    }
+
+    _text(key) {
+        const instructions = this.exercise.instructions || {};
+        return instructions[key] !== undefined ? instructions[key] : this._fmt(key);
+    }
+
+    // Gabarit traduit avant substitution : les bundles gardent les {variables}
+    _fmt(template) {
+        const text = window.i18n ? window.i18n.t(template) : template;
+        return String(text).replace(/\{([\w.]+)(?::(\w+))?\}/g, (match, path, format) => {
+            const value = this._lookup(path);
+            if (value === undefined) return match;
+            if (format === 'time') return this.app.formatTime(value);
+            if (format === 's') return value > 1 ? 's' : '';
+            return value;
+        });
+    }
+}
+
+window.ExerciseRunner = ExerciseRunner;
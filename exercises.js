@@ -66,6 +66,49 @@ const EXERCISES = {
         cyclesPerMinute: 5.45
     },
 
+    'resonance-assessment': {
+        name: 'Évaluation Fréquence de Résonance',
+        category: 'respiration',
+        description: 'Paliers de 6.5 à 4.5 respirations/min pour trouver votre fréquence de cohérence optimale',
+        science: 'La fréquence de résonance (Lehrer & Vaschillo) est le rythme respiratoire auquel l\'arythmie sinusale respiratoire et le baroréflexe se renforcent mutuellement : l\'amplitude des variations de FC y est maximale. Elle varie d\'une personne à l\'autre entre 4.5 et 7 resp/min. Avec un cardiofréquencemètre, chaque palier est mesuré (amplitude FC max − min par cycle, puissance LF) ; sans capteur, une note de confort départage les paliers.',
+        duration: 12,
+        fromRate: 6.5,
+        toRate: 4.5,
+        stepMinutes: 2,
+        rateSteps: [],
+        phases: [
+            { name: 'Inspirez', duration: 4.6, action: 'inhale' },
+            { name: 'Expirez', duration: 4.6, action: 'exhale' }
+        ],
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Palier 1 / {rateSteps.length}', silentDelay: 3 },
+            { type: 'repeat', over: 'rateSteps', as: 'palier', steps: [
+                { type: 'say', text: 'Palier {palier} : {rate} respirations par minute' },
+                { type: 'segment', id: '{rate}', fields: ['rate', 'comfort'], steps: [
+                    { type: 'breaths', count: 'count', inhale: 'inhale', exhale: 'exhale',
+                      counter: 'Palier {palier}/{rateSteps.length} — {rate} resp/min — {breath}/{breaths}' },
+                    // Sans RR exploitables (capteur absent, FC seule, décrochages) : note de confort
+                    { type: 'branch', when: 'rr:30', else: [
+                        { type: 'rate', as: 'comfort', scale: 5, label: 'Confort',
+                          labels: ['Pénible', 'Inconfortable', 'Neutre', 'Agréable', 'Très fluide'] }
+                    ] }
+                ] },
+                { type: 'branch', when: 'notLast', steps: [
+                    { type: 'wait', duration: 3 }
+                ] }
+            ] }
+        ],
+        results: { analyzer: 'resonanceAssessment', sessionKey: 'resonanceData' },
+        instructions: {
+            start: 'Évaluation de votre fréquence de résonance. Suivez chaque rythme sans forcer, respiration nasale et abdominale.',
+            'Inspirez': 'Inspirez doucement par le nez',
+            'Expirez': 'Expirez doucement, sans pousser',
+            rate: 'Ce rythme était-il confortable ? Notez de 1 (pénible) à 5 (très fluide).',
+            complete: 'Évaluation terminée.'
+        },
+        cyclesPerMinute: 5.5
+    },
+
     'box': {
         name: 'Box Breathing',
         category: 'respiration',
@@ -103,6 +146,24 @@ const EXERCISES = {
         ],
         retentionPhase: { name: 'Rétention', action: 'hold' },
         recoveryPhase: { name: 'Récupération', duration: 15, action: 'hold' },
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Round 1 / {rounds}', silentDelay: 3 },
+            { type: 'repeat', times: 'rounds', as: 'round', steps: [
+                { type: 'breaths', count: 'breathsPerRound', inhale: 'phases.0.duration', exhale: 'phases.1.duration',
+                  inhaleLabel: 'Inspirez profondément', exhaleLabel: 'Relâchez',
+                  counter: 'Round {round}/{rounds} — Respiration {breath}/{breaths}' },
+                { type: 'hold', label: 'Rétention', action: 'hold', ref: 'apneaMax', refFactor: 1.2,
+                  instruction: 'Après votre dernière expiration, retenez aussi longtemps que possible. Appuyez sur ESPACE ou « Sortir » quand vous devez respirer.',
+                  voice: false, keys: ['Space'], controls: ['stop'], record: true },
+                { type: 'timed', label: 'Récupération', action: 'inhale', duration: 2,
+                  instruction: 'Inspirez à fond et retenez {recoveryPhase.duration} secondes', voice: false },
+                { type: 'timed', label: 'Rétention', action: 'hold', duration: 'recoveryPhase.duration' },
+                { type: 'branch', when: 'notLast', steps: [
+                    { type: 'say', text: 'Round {round}/{rounds} terminé — recommencez les respirations' },
+                    { type: 'wait', duration: 2 }
+                ] }
+            ] }
+        ],
         instructions: {
             start: 'Méthode Wim Hof : 30 respirations profondes, puis rétention maximale.',
             'Inspirez profondément': 'Grande inspiration par le nez ou la bouche',
@@ -173,6 +234,21 @@ const EXERCISES = {
             { name: 'Expirez', duration: 3, action: 'exhale' },
             { name: 'Pause CO2', duration: 5, action: 'holdEmpty' }
         ],
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Série 1 / {cycles}', silentDelay: 3 },
+            { type: 'repeat', times: 'cycles', as: 'serie', steps: [
+                { type: 'breaths', count: 'breathsPerCycle', inhale: 3, exhale: 3, gap: 0.5,
+                  label: 'Respirez', instruction: 'breathe',
+                  counter: 'Série {serie}/{cycles} — Resp. {breath}/{breaths}' },
+                { type: 'timed', label: 'Pause CO₂', action: 'holdEmpty', duration: 'holdDuration', clock: 'time',
+                  instruction: 'hold', counter: 'Série {serie}/{cycles} — Pause {holdDuration}s (poumons bas)' },
+                { type: 'branch', when: 'notLast', steps: [
+                    { type: 'breaths', count: 'restBreaths', inhale: 3, exhale: 3, display: 'remaining',
+                      label: 'Récupérez', instruction: 'rest',
+                      counter: 'Repos libre — encore {remaining} souffle{remaining:s}' }
+                ] }
+            ] }
+        ],
         instructions: {
             start: 'Hypoventilation VHL. Respirez normalement 3 cycles, puis expirez et faites une pause poumons bas. Répétez.',
             breathe: 'Respirez normalement. Préparez la pause.',
@@ -199,6 +275,21 @@ const EXERCISES = {
             { name: 'Expirez', duration: 3, action: 'exhale' },
             { name: 'Pause CO2', duration: 6, action: 'holdEmpty' }
         ],
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Série 1 / {cycles}', silentDelay: 3 },
+            { type: 'repeat', times: 'cycles', as: 'serie', steps: [
+                { type: 'breaths', count: 'breathsPerCycle', inhale: 3, exhale: 3, gap: 0.5,
+                  label: 'Respirez', instruction: 'breathe',
+                  counter: 'Série {serie}/{cycles} — Resp. {breath}/{breaths}' },
+                { type: 'timed', label: 'Pause CO₂', action: 'holdEmpty', duration: 'holdDuration', clock: 'time',
+                  instruction: 'hold', counter: 'Série {serie}/{cycles} — Pause {holdDuration}s (poumons bas)' },
+                { type: 'branch', when: 'notLast', steps: [
+                    { type: 'breaths', count: 'restBreaths', inhale: 3, exhale: 3, display: 'remaining',
+                      label: 'Récupérez', instruction: 'rest',
+                      counter: 'Repos libre — encore {remaining} souffle{remaining:s}' }
+                ] }
+            ] }
+        ],
         instructions: {
             start: 'VHL Classique Woorons. 2 respirations normales, puis expirez normalement et faites une pause poumons bas 6 secondes. 8 cycles.',
             breathe: 'Respirez normalement. Préparez la pause.',
@@ -227,6 +318,21 @@ const EXERCISES = {
             { name: 'Pause VHL', duration: 20, action: 'holdEmpty' },
             { name: 'Récupérez', duration: 18, action: 'inhale' }
         ],
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Cycle 1 / {cycles}' },
+            { type: 'timed', label: 'Préparation', action: 'inhale', visual: 5, duration: 'prepDuration',
+              instruction: 'prep', counter: 'Cycle 1/{cycles} — Cyclic Sighing {prepDuration}s', callouts: 'breatheUp' },
+            { type: 'repeat', times: 'cycles', as: 'cycle', steps: [
+                { type: 'timed', label: 'Pause VHL', action: 'holdEmpty', duration: 'holdDuration', clock: 'time',
+                  instruction: 'hold', counter: 'Cycle {cycle}/{cycles} — Pause {holdDuration}s (poumons bas)',
+                  controls: ['stop'] },
+                { type: 'branch', when: 'notLast', steps: [
+                    { type: 'breaths', count: 'restBreaths', inhale: 3, exhale: 3, display: 'remaining',
+                      label: 'Récupérez', instruction: 'rest',
+                      counter: 'Récup — encore {remaining} souffle{remaining:s}' }
+                ] }
+            ] }
+        ],
         instructions: {
             start: 'VHL Statique. Préparation cyclic sighing : double inspirez (snif sonore), expirez lentement. 3 minutes.',
             prep: 'Cyclic Sighing. Inspirez profondément, snif court, expirez lentement par le nez. Relâchez tout le visage.',
@@ -1002,6 +1108,7 @@ const EXERCISES = {
         science: 'Combine relaxation musculaire progressive, respiration 4-7-8 et imagerie hypnagogique',
         duration: 7,
         isGuided: true,
+        soundscape: { id: 'rain', params: { intensity: 0.4, drops: 0.3, tone: 3500 } }, // ambiance (soundscapes.js)
         segments: [
             { phase: 'Installation', duration: 30, instruction: 'Allongez-vous confortablement. Fermez les yeux. Vous n\'avez plus rien à faire.' },
             { phase: 'Respiration 4-7-8', duration: 60, instruction: 'Inspirez 4 secondes, retenez 7 secondes, expirez 8 secondes. Répétez 3 fois.' },
@@ -1028,6 +1135,7 @@ const EXERCISES = {
         science: 'Méthode Dr. Andrew Weil — activation GABA et parasympathique profond',
         duration: 15,
         isDeepSleep: true,
+        soundscape: { id: 'binaural', params: { carrier: 150, beat: 2.5, bed: 0.3 } }, // delta : casque conseillé
         instructions: {
             start:     'Allongez-vous. Fermez les yeux. Vous n\'avez plus rien à faire ce soir.',
             inhale478: 'Inspirez',
@@ -1531,6 +1639,21 @@ const EXERCISES = {
             'Observez la contraction comme un spectateur. Elle monte, elle passe. Vous restez calme.',
             'Votre SpO2 est encore très bonne. Vous avez beaucoup de marge. Faites confiance à votre corps.'
         ],
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Cycle 1 / {cycles}', delay: 1, silentDelay: 3 },
+            { type: 'repeat', times: 'cycles', as: 'cycle', steps: [
+                { type: 'timed', label: 'Respirez', action: 'inhale', duration: 'restDuration',
+                  instruction: 'breathe', counter: 'Cycle {cycle} / {cycles} — Repos', callouts: 'breatheUp' },
+                { type: 'hold', label: 'Apnée', action: 'hold', ref: 'apneaMax',
+                  instruction: 'hold', counter: 'Cycle {cycle} / {cycles} — Apnée',
+                  contractions: true, beyond: 'contractionBeyond', controls: ['stop'], record: true },
+                { type: 'say', text: 'Bien joué. {hold:time} d\'apnée, {contractions} contractions.' },
+                { type: 'wait', duration: 3 }
+            ] }
+        ],
+        results: {
+            history: { key: 'deepbreath_contraction_history', limit: 50, meta: ['weekLevel'], durationKey: 'holdDuration' }
+        },
         instructions: {
             start: 'Tolérance aux contractions. Appuyez sur le bouton "Contraction" à chaque spasme. Nous allons apprendre à les accepter.',
             breathe: 'Récupérez. Respirez calmement pendant 2 minutes.',
@@ -1549,6 +1672,26 @@ const EXERCISES = {
         prepDuration: 180,
         restDuration: 90,
         maxHoldDuration: 300,
+        steps: [
+            { type: 'intro', instruction: 'start', counter: 'Cycle 1 / {cycles}' },
+            { type: 'timed', label: 'Préparation', action: 'inhale', visual: 4, duration: 'prepDuration', clock: 'time',
+              instruction: 'prep', counter: 'Cycle 1 / {cycles} — Double soupir',
+              cues: [{ at: 0.5, text: 'Continuez. Presque prêt pour la suspension.' }], callouts: 'breatheUp' },
+            { type: 'repeat', times: 'cycles', as: 'cycle', steps: [
+                { type: 'timed', label: 'Inspirez 80%', action: 'inhale', duration: 4,
+                  instruction: 'inhale', counter: 'Cycle {cycle} / {cycles} — Inspiration' },
+                { type: 'hold', label: 'Suspension', action: 'hold', max: 'maxHoldDuration', ref: 'apneaMax',
+                  instruction: 'hold', counter: 'Cycle {cycle} / {cycles} — Suspension',
+                  controls: ['urge', 'stop'], record: true },
+                { type: 'timed', label: 'Expirez lentement', action: 'exhale', duration: 10,
+                  instruction: 'exhale', counter: 'Cycle {cycle} / {cycles} — Expiration' },
+                { type: 'branch', when: 'notLast', steps: [
+                    { type: 'timed', label: 'Récupération', action: 'inhale', duration: 'restDuration', clock: 'time',
+                      instruction: 'rest', counter: 'Cycle {cycle} / {cycles} — Repos', callouts: 'breatheUp' }
+                ] }
+            ] }
+        ],
+        results: { sessionKey: 'hangerData', summary: true },
         instructions: {
             start: 'Passive Breath Hanger. Inspirez à environ 80% de votre capacité — pas à fond. Relâchez la gorge complètement.',
             prep: 'Préparation. Double soupir : inspirez profondément, sniff court, expirez lentement. Détendez tout.',
@@ -2229,7 +2372,7 @@ const CHASSE_PROTOCOLS = {
         science: 'L\'habillage en combinaison épaisse (5-7mm) génère un effort physique non négligeable : montée de FC et de CO₂. Entrer dans l\'eau avec un organisme en dette métabolique compromet les premières apnées. (German Journal of Sports Medicine, 2024)',
         duration: 5,
         phases: [
-            { name: 'Normoventilation', duration: 300, action: 'hold', breathType: 'normo',
+            { name: 'Normoventilation', duration: 300, action: 'hold', breathType: 'normo', hrTarget: 75,
               instruction: 'Asseyez-vous ou allongez-vous. Respiration naturelle et passive : inspire 3s par le nez, expire 5s par la bouche. Ne forcez rien.' }
         ],
         tips: [
@@ -2405,7 +2548,7 @@ const CHASSE_PROTOCOLS = {
         science: 'Le breathe-up diaphragmatique passif maintient le PaCO₂ à 40 mmHg et maximise la SvO₂. Ne pas dépasser 2 minutes de breathe-up pour éviter la dérive vers l\'hyperventilation. (PFI, Molchanovs)',
         duration: 4,
         phases: [
-            { name: 'Cohérence cardiaque', duration: 120, action: 'hold', breathType: 'coherence',
+            { name: 'Cohérence cardiaque', duration: 120, action: 'hold', breathType: 'coherence', hrTarget: 65,
               instruction: 'Position allongée. Inspire 5s → expire 5s. Diaphragmatique, yeux fermés. Active le système parasympathique. FC cible < 65 bpm.' },
             { name: 'Breathe-up (PFI)', duration: 90, action: 'hold', breathType: 'breatheup',
               instruction: 'Inspire 2-5s → pause 1-2s → expire 8-10s très lente et passive. 4 cycles/min. Corps relâché. PaCO₂ stable. Maximum 2 min.' },
@@ -2446,7 +2589,7 @@ const CHASSE_PROTOCOLS = {
         science: 'Le métabolisme en dynamique est 3-5× supérieur à la statique. L\'acide lactique peut atteindre 10 mmol/L après la nage. Volume à 90-95% du TLC (pas 100%) pour réduire la traînée hydrodynamique. (PMC8176094, 2021)',
         duration: 4,
         phases: [
-            { name: 'Cohérence cardiaque', duration: 120, action: 'hold', breathType: 'coherence',
+            { name: 'Cohérence cardiaque', duration: 120, action: 'hold', breathType: 'coherence', hrTarget: 65,
               instruction: 'Au mur, au repos. Inspire 5s → expire 5s. Diaphragmatique. Ne pas faire d\'échauffement intense juste avant (monte le métabolisme de base). FC cible < 65 bpm.' },
             { name: 'Breathe-up (3 min)', duration: 120, action: 'hold', breathType: 'breatheup',
               instruction: 'Inspire 5s → pause 1-2s → expire 10s. Plus long qu\'en statique : la nage va générer plus de CO₂. Corps immobile, position horizontale si possible.' },
@@ -2487,7 +2630,7 @@ const CHASSE_PROTOCOLS = {
         science: 'La loi de Boyle compresse les poumons pendant la descente (TLC → Volume Résiduel vers 30-40m). Plus le volume de départ est grand, plus la PaO₂ initiale est haute et plus la compression à VR est repoussée. Le hook breathing accélère la récupération de SaO₂ (PubMed 2025, essai randomisé croisé à -40m).',
         duration: 6,
         phases: [
-            { name: 'Cohérence + méditation', duration: 180, action: 'hold', breathType: 'coherence',
+            { name: 'Cohérence + méditation', duration: 180, action: 'hold', breathType: 'coherence', hrTarget: 60,
               instruction: 'Flottaison dorsale idéale. Inspire 5s → expire 5s. Yeux fermés. Visualise ta plongée : trajectoire, virages, comportement. État semi-méditatif. FC cible < 60 bpm.' },
             { name: 'Breathe-up profond', duration: 120, action: 'hold', breathType: 'breatheup',
               instruction: 'Inspire 5s → pause 1-2s → expire 10s. Le plus lent et le plus méditatif des 3 disciplines. Certains athlètes : jusqu\'à 5 min. Laisse le corps guider.' },
@@ -2528,3 +2671,5 @@ const CHASSE_PROTOCOLS = {
         }
     }
 };
+
+window.CHASSE_PROTOCOLS = CHASSE_PROTOCOLS;
@@ -0,0 +1,349 @@
+/**
+ * HeartRate - Fréquence cardiaque en direct (sources interchangeables)
+ *
+ * Sources fournies :
+ *   'ble'       — ceinture / montre via Web Bluetooth, profil standard Heart Rate (service 0x180D,
+ *                 caractéristique 0x2A37 « Heart Rate Measurement »)
+ *   'simulated' — FC synthétique qui décroît vers une valeur de repos (tests sans capteur)
+ *
+ * Une source est un objet { name, label, start(), stop() } qui appelle onSample({ bpm, rr, contact })
+ * à chaque mesure et onDisconnect() si le capteur décroche — voir registerSource().
+ *
+ * Le moniteur diffuse les mesures ('sample') et l'état ('status') aux abonnés, et enregistre
+ * la trace d'une séance entre startRecording() et stopRecording().
+ * gateWait() porte la règle « porte FC » des phases guidées (hrTarget) des deux minuteurs de chasse.
+ */
+
+// ==========================================
+// Source BLE (Heart Rate Profile)
+// ==========================================
+
+class BleHeartRateSource {
+    constructor() {
+        this.name = 'ble';
+        this.label = 'Capteur Bluetooth';
+        this.device = null;
+        this.characteristic = null;
+        this.onSample = null;
+        this.onDisconnect = null;
+        this._onNotify = (e) => this._handle(e.target.value);
+        this._onGattDisconnected = () => { if (this.onDisconnect) this.onDisconnect(); };
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.bluetooth;
+    }
+
+    async start() {
+        if (!BleHeartRateSource.isSupported()) {
+            throw new Error('Web Bluetooth non disponible sur ce navigateur');
+        }
+        this.device = await navigator.bluetooth.requestDevice({ filters: [{ services: ['heart_rate'] }] });
+        this.label = this.device.name || 'Capteur Bluetooth';
+        this.device.addEventListener('gattserverdisconnected', this._onGattDisconnected);
+
+        const server = await this.device.gatt.connect();
+        const service = await server.getPrimaryService('heart_rate');
+        this.characteristic = await service.getCharacteristic('heart_rate_measurement');
+        this.characteristic.addEventListener('characteristicvaluechanged', this._onNotify);
+        await this.characteristic.startNotifications();
+    }
+
+    stop() {
+        if (this.characteristic) {
+            this.characteristic.removeEventListener('characteristicvaluechanged', this._onNotify);
+            this.characteristic.stopNotifications().catch(() => {});
+            this.characteristic = null;
+        }
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this._onGattDisconnected);
+            if (this.device.gatt.connected) this.device.gatt.disconnect();
+            this.device = null;
+        }
+    }
+
+    _handle(dataView) {
+        const sample = BleHeartRateSource.parse(dataView);
+        if (sample && this.onSample) this.onSample(sample);
+    }
+
+    /**
+     * Décode une trame Heart Rate Measurement (0x2A37)
+     *   flags bit 0   : FC sur 16 bits (sinon 8)
+     *   flags bits 1-2: contact capteur (0b10 = géré mais absent)
+     *   flags bit 3   : énergie dépensée présente (2 octets, ignorée)
+     *   flags bit 4   : intervalles RR présents (uint16, en 1/1024 s)
+     * @returns {{ bpm: number, rr: number[], contact: boolean }} rr en ms
+     */
+    static parse(dataView) {
+        if (!dataView || dataView.byteLength < 2) return null;
+        const flags = dataView.getUint8(0);
+        const wide = flags & 0x01;
+        let offset = 1;
+        const bpm = wide ? dataView.getUint16(offset, true) : dataView.getUint8(offset);
+        offset += wide ? 2 : 1;
+        const contact = (flags & 0x06) !== 0x04;
+        if (flags & 0x08) offset += 2;
+        const rr = [];
+        if (flags & 0x10) {
+            for (; offset + 1 < dataView.byteLength; offset += 2) {
+                rr.push(Math.round(dataView.getUint16(offset, true) * 1000 / 1024));
+            }
+        }
+        return { bpm, rr, contact };
+    }
+}
+
+// ==========================================
+// Source simulée
+// ==========================================
+
+class SimulatedHeartRateSource {
+    /**
+     * @param {Object} options - { start: 85, rest: 58, tau: 90 (s), rsa: 4 (bpm), breathRate: 6 (/min) }
+     */
+    constructor(options = {}) {
+        this.name = 'simulated';
+        this.label = 'Simulation';
+        this.options = { start: 85, rest: 58, tau: 90, rsa: 4, breathRate: 6, ...options };
+        this.onSample = null;
+        this.onDisconnect = null;
+        this._timer = null;
+        this._t0 = 0;
+    }
+
+    start() {
+        this.stop();
+        this._t0 = Date.now();
+        this._timer = setInterval(() => this._tick(), 1000);
+        this._tick();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /** Cible de repos modifiable en cours de route (ex. simuler un effort) */
+    setRest(bpm) {
+        const o = this.options;
+        o.start = this._bpmAt((Date.now() - this._t0) / 1000);
+        o.rest = bpm;
+        this._t0 = Date.now();
+    }
+
+    _bpmAt(t) {
+        const o = this.options;
+        // Décroissance exponentielle vers le repos + arythmie sinusale respiratoire
+        const base = o.rest + (o.start - o.rest) * Math.exp(-t / o.tau);
+        return base + o.rsa * Math.sin(2 * Math.PI * t * o.breathRate / 60);
+    }
+
+    _tick() {
+        const t = (Date.now() - this._t0) / 1000;
+        const bpm = this._bpmAt(t) + (Math.random() - 0.5) * 1.5;
+        // Autant d'intervalles RR que de battements dans la seconde écoulée
+        const rr = [];
+        let budget = 1000;
+        while (budget > 0) {
+            const interval = Math.round(60000 / (bpm + (Math.random() - 0.5) * 2));
+            rr.push(interval);
+            budget -= interval;
+        }
+        if (this.onSample) this.onSample({ bpm: Math.round(bpm), rr, contact: true });
+    }
+}
+
+// ==========================================
+// Moniteur
+// ==========================================
+
+class HeartRateMonitor {
+    constructor() {
+        this.factories = {
+            ble: () => new BleHeartRateSource(),
+            simulated: () => new SimulatedHeartRateSource()
+        };
+        this.source = null;
+        this.status = 'disconnected'; // 'disconnected' | 'connecting' | 'connected' | 'error'
+        this.error = null;
+        this.samples = [];          // fenêtre glissante [{ at, bpm }]
+        this.windowMs = 30000;
+        this.staleMs = 5000;
+        this.gateMaxWait = 180;     // s — prolongation max d'une phase à porte FC
+        this._listeners = { sample: new Set(), status: new Set() };
+        this._recording = null;
+        this._captures = new Set();
+    }
+
+    registerSource(name, factory) {
+        this.factories[name] = factory;
+    }
+
+    getSources() {
+        return Object.keys(this.factories);
+    }
+
+    on(event, fn) {
+        this._listeners[event]?.add(fn);
+        return () => this.off(event, fn);
+    }
+
+    off(event, fn) {
+        this._listeners[event]?.delete(fn);
+    }
+
+    _emit(event, data) {
+        this._listeners[event]?.forEach(fn => {
+            try { fn(data); } catch (e) { console.warn('[HeartRate] listener error:', e); }
+        });
+    }
+
+    _setStatus(status, error = null) {
+        this.status = status;
+        this.error = error;
+        this._emit('status', { status, error, source: this.source ? this.source.label : null });
+    }
+
+    async connect(name = 'ble') {
+        const factory = this.factories[name];
+        if (!factory) throw new Error(`Source FC inconnue : ${name}`);
+        this.disconnect();
+
+        const source = factory();
+        source.onSample = (s) => this._onSample(s);
+        source.onDisconnect = () => {
+            if (this.source === source) {
+                this.source = null;
+                this._setStatus('disconnected');
+            }
+        };
+        this.source = source;
+        this._setStatus('connecting');
+        try {
+            await source.start();
+            this._setStatus('connected');
+        } catch (e) {
+            this.source = null;
+            source.stop();
+            this._setStatus('error', e.message || String(e));
+            throw e;
+        }
+    }
+
+    disconnect() {
+        if (this.source) {
+            this.source.onSample = null;
+            this.source.onDisconnect = null;
+            this.source.stop();
+            this.source = null;
+        }
+        this.samples = [];
+        if (this.status !== 'disconnected') this._setStatus('disconnected');
+    }
+
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    _onSample({ bpm, rr = [], contact = true }) {
+        if (!bpm || !contact) return;
+        const at = Date.now();
+        this.samples.push({ at, bpm });
+        while (this.samples.length && at - this.samples[0].at > this.windowMs) this.samples.shift();
+
+        if (this._recording) {
+            const t = Math.round((at - this._recording.t0) / 100) / 10;
+            this._recording.trace.samples.push({ t, bpm });
+            this._recording.trace.rr.push(...rr);
+        }
+        this._captures.forEach(c => { c.bpm.push(bpm); c.rr.push(...rr); });
+        this._emit('sample', { bpm, rr, at });
+    }
+
+    /**
+     * Capture ponctuelle, indépendante de la trace de séance (ex. un palier d'évaluation)
+     * @returns {{ data: { bpm: number[], rr: number[] }, stop: () => { bpm: number[], rr: number[] } }}
+     */
+    capture() {
+        const data = { bpm: [], rr: [] };
+        this._captures.add(data);
+        return {
+            data,
+            stop: () => {
+                this._captures.delete(data);
+                return data;
+            }
+        };
+    }
+
+    /** Dernière mesure si elle est récente, sinon null */
+    current() {
+        const last = this.samples[this.samples.length - 1];
+        return last && Date.now() - last.at <= this.staleMs ? last.bpm : null;
+    }
+
+    /** FC moyenne sur les `ms` dernières millisecondes (lisse les oscillations respiratoires) */
+    average(ms = 5000) {
+        const since = Date.now() - ms;
+        const recent = this.samples.filter(s => s.at >= since);
+        if (recent.length === 0) return null;
+        return recent.reduce((sum, s) => sum + s.bpm, 0) / recent.length;
+    }
+
+    /**
+     * Cible FC atteinte ? null si aucune mesure exploitable (capteur absent ou muet)
+     */
+    isBelow(target, ms = 5000) {
+        const avg = this.average(ms);
+        return avg === null ? null : avg < target;
+    }
+
+    /**
+     * Porte FC d'une phase guidée (hrTarget) : la phase se prolonge tant que la FC moyenne
+     * reste au-dessus de la cible, au plus gateMaxWait s. Un capteur muet ne retient pas la phase.
+     * @param {number} target - FC cible (bpm), sans porte si absente
+     * @param {number} waited - secondes déjà attendues
+     * @returns {string|null} libellé d'attente à afficher, null si la phase peut se terminer
+     */
+    gateWait(target, waited) {
+        if (!target || !this.isConnected() || waited >= this.gateMaxWait) return null;
+        return this.isBelow(target) === false ? `Attente FC < ${target}` : null;
+    }
+
+    // ==========================================
+    // Trace de séance
+    // ==========================================
+
+    startRecording() {
+        this._recording = {
+            t0: Date.now(),
+            trace: {
+                source: this.source ? this.source.name : null,
+                startedAt: new Date().toISOString(),
+                samples: [],    // [{ t: s depuis le début, bpm }]
+                rr: []          // intervalles RR successifs (ms)
+            }
+        };
+    }
+
+    /**
+     * @returns {Object|null} trace { source, startedAt, samples, rr, min, max, avg } — null si vide
+     */
+    stopRecording() {
+        const rec = this._recording;
+        this._recording = null;
+        if (!rec || rec.trace.samples.length === 0) return null;
+        const bpms = rec.trace.samples.map(s => s.bpm);
+        return {
+            ...rec.trace,
+            min: Math.min(...bpms),
+            max: Math.max(...bpms),
+            avg: Math.round(bpms.reduce((a, b) => a + b, 0) / bpms.length)
+        };
+    }
+}
+
+window.BleHeartRateSource = BleHeartRateSource;
+window.SimulatedHeartRateSource = SimulatedHeartRateSource;
+window.heartRate = new HeartRateMonitor();
@@ -0,0 +1,310 @@
+/**
+ * HRV — Analyse de la variabilité cardiaque à partir d'intervalles RR (ms)
+ *
+ * Fonctions pures, sans DOM :
+ *   cleanRR(rr)          — retire les artefacts (hors 300-2000 ms ou écart > 20 % à la médiane locale)
+ *   timeDomain(rr)       — RMSSD, SDNN, pNN50, RR et FC moyens
+ *   frequencyDomain(rr)  — puissances LF / HF, ratio LF/HF, pic de résonance et score de cohérence
+ *   peakToTrough(rr, T)  — amplitude FC max − min moyenne par cycle respiratoire de T secondes
+ *   analyze(rr)          — les deux, sur les RR nettoyés (résumé stocké avec la séance)
+ *   parseRRFile(text)    — RR depuis un export CSV, Polar (.hrm / .txt) ou Kubios (texte)
+ *
+ * Spectre : série RR rééchantillonnée à 4 Hz (interpolation linéaire), tendance retirée,
+ * fenêtre de Hann, DFT directe sur 0-0.4 Hz. Cohérence façon HeartMath : puissance du pic
+ * (±0.015 Hz, pic cherché entre 0.04 et 0.26 Hz) / puissance totale restante.
+ */
+
+const HRV = (() => {
+
+    const FS = 4;                       // Hz — rééchantillonnage
+    const BANDS = {
+        vlf: [0.0033, 0.04],
+        lf:  [0.04, 0.15],
+        hf:  [0.15, 0.4]
+    };
+    const PEAK_RANGE = [0.04, 0.26];    // Hz — zone de résonance (≈ 2.4 à 15.6 resp/min)
+    const PEAK_HALF_WIDTH = 0.015;      // Hz
+    const MIN_BEATS = 30;
+    const MIN_SPECTRAL_SECONDS = 60;
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // NETTOYAGE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    function cleanRR(rr, tolerance = 0.2) {
+        const plausible = (rr || []).filter(v => Number.isFinite(v) && v >= 300 && v <= 2000);
+        return plausible.filter((v, i) => {
+            const local = plausible.slice(Math.max(0, i - 5), i + 6);
+            const m = median(local);
+            return Math.abs(v - m) <= m * tolerance;
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // DOMAINE TEMPOREL
+    // ─────────────────────────────────────────────────────────────────────────
+
+    function mean(values) {
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    function sdnn(rr) {
+        if (rr.length < 2) return null;
+        const m = mean(rr);
+        return Math.sqrt(rr.reduce((sum, v) => sum + (v - m) ** 2, 0) / (rr.length - 1));
+    }
+
+    function successiveDiffs(rr) {
+        const diffs = [];
+        for (let i = 1; i < rr.length; i++) diffs.push(rr[i] - rr[i - 1]);
+        return diffs;
+    }
+
+    function rmssd(rr) {
+        const diffs = successiveDiffs(rr);
+        if (diffs.length === 0) return null;
+        return Math.sqrt(mean(diffs.map(d => d * d)));
+    }
+
+    function pnn50(rr) {
+        const diffs = successiveDiffs(rr);
+        if (diffs.length === 0) return null;
+        return 100 * diffs.filter(d => Math.abs(d) > 50).length / diffs.length;
+    }
+
+    function timeDomain(rr) {
+        if (!rr || rr.length < 2) return null;
+        const meanRR = mean(rr);
+        return {
+            n: rr.length,
+            meanRR,
+            meanHR: 60000 / meanRR,
+            sdnn: sdnn(rr),
+            rmssd: rmssd(rr),
+            pnn50: pnn50(rr)
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // DOMAINE FRÉQUENTIEL
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /** Série RR (ms) → signal régulier à `fs` Hz (interpolation linéaire sur les instants de battement) */
+    function resample(rr, fs = FS) {
+        const times = [];
+        let t = 0;
+        rr.forEach(v => { t += v / 1000; times.push(t); });
+        const out = [];
+        let j = 0;
+        for (let x = times[0]; x <= times[times.length - 1]; x += 1 / fs) {
+            while (j < times.length - 2 && times[j + 1] < x) j++;
+            const span = times[j + 1] - times[j];
+            const k = span > 0 ? (x - times[j]) / span : 0;
+            out.push(rr[j] + k * (rr[j + 1] - rr[j]));
+        }
+        return out;
+    }
+
+    /** Retire la tendance linéaire (moindres carrés) */
+    function detrend(signal) {
+        const n = signal.length;
+        const xm = (n - 1) / 2;
+        const ym = mean(signal);
+        let num = 0, den = 0;
+        signal.forEach((y, i) => { num += (i - xm) * (y - ym); den += (i - xm) ** 2; });
+        const slope = den ? num / den : 0;
+        return signal.map((y, i) => y - ym - slope * (i - xm));
+    }
+
+    /**
+     * Densité spectrale (ms²/Hz) sur 0 → maxHz
+     * @returns {{ freqs: number[], power: number[], df: number }}
+     */
+    function spectrum(rr, fs = FS, maxHz = BANDS.hf[1]) {
+        const signal = detrend(resample(rr, fs));
+        const n = signal.length;
+        const weights = signal.map((v, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+        const hann = signal.map((v, i) => v * weights[i]);
+        const windowPower = weights.reduce((sum, w) => sum + w * w, 0);
+        const df = fs / n;
+        const freqs = [];
+        const power = [];
+        for (let k = 1; k * df <= maxHz; k++) {
+            let re = 0, im = 0;
+            const w = 2 * Math.PI * k / n;
+            for (let i = 0; i < n; i++) {
+                re += hann[i] * Math.cos(w * i);
+                im -= hann[i] * Math.sin(w * i);
+            }
+            freqs.push(k * df);
+            // Spectre unilatéral normalisé par l'énergie de la fenêtre
+            power.push(2 * (re * re + im * im) / (fs * windowPower));
+        }
+        return { freqs, power, df };
+    }
+
+    function bandPower(spec, [lo, hi]) {
+        let sum = 0;
+        spec.freqs.forEach((f, i) => { if (f >= lo && f < hi) sum += spec.power[i]; });
+        return sum * spec.df;
+    }
+
+    function frequencyDomain(rr) {
+        if (!rr || rr.length < MIN_BEATS) return null;
+        const seconds = rr.reduce((a, b) => a + b, 0) / 1000;
+        if (seconds < MIN_SPECTRAL_SECONDS) return null;
+
+        const spec = spectrum(rr);
+        const lf = bandPower(spec, BANDS.lf);
+        const hf = bandPower(spec, BANDS.hf);
+        const total = bandPower(spec, [BANDS.vlf[0], BANDS.hf[1]]);
+
+        // Pic de résonance
+        let peakIdx = -1;
+        spec.freqs.forEach((f, i) => {
+            if (f >= PEAK_RANGE[0] && f <= PEAK_RANGE[1] && (peakIdx < 0 || spec.power[i] > spec.power[peakIdx])) peakIdx = i;
+        });
+        const peakHz = peakIdx >= 0 ? spec.freqs[peakIdx] : null;
+        const peakPower = peakHz !== null ? bandPower(spec, [peakHz - PEAK_HALF_WIDTH, peakHz + PEAK_HALF_WIDTH + spec.df / 2]) : 0;
+        const rest = total - peakPower;
+
+        return {
+            lf,
+            hf,
+            lfhf: hf > 0 ? lf / hf : null,
+            total,
+            peakHz,
+            peakBreathsPerMin: peakHz !== null ? peakHz * 60 : null,
+            coherence: rest > 0 ? peakPower / rest : null
+        };
+    }
+
+    /**
+     * Amplitude de l'arythmie sinusale respiratoire : pour chaque fenêtre de `period` s
+     * (un cycle respiratoire guidé), écart entre FC instantanée max et min, puis moyenne.
+     * @returns {number|null} bpm
+     */
+    function peakToTrough(rr, period) {
+        if (!rr || rr.length < 4 || !(period > 0)) return null;
+        const amplitudes = [];
+        let t = 0, windowEnd = period, lo = Infinity, hi = -Infinity;
+        rr.forEach(v => {
+            t += v / 1000;
+            if (t > windowEnd) {
+                if (hi > lo) amplitudes.push(hi - lo);
+                lo = Infinity; hi = -Infinity;
+                while (t > windowEnd) windowEnd += period;
+            }
+            const bpm = 60000 / v;
+            if (bpm < lo) lo = bpm;
+            if (bpm > hi) hi = bpm;
+        });
+        return amplitudes.length ? mean(amplitudes) : null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // ANALYSE COMPLÈTE
+    // ─────────────────────────────────────────────────────────────────────────
+
+    const round = (v, d = 1) => v === null || v === undefined ? null : Math.round(v * 10 ** d) / 10 ** d;
+
+    /**
+     * @param {number[]} rr - intervalles RR bruts (ms)
+     * @returns {Object|null} résumé arrondi, prêt à être stocké dans la séance
+     */
+    function analyze(rr) {
+        const clean = cleanRR(rr);
+        if (clean.length < MIN_BEATS) return null;
+        const td = timeDomain(clean);
+        const fd = frequencyDomain(clean);
+        return {
+            beats: clean.length,
+            artifacts: (rr || []).length - clean.length,
+            duration: Math.round(clean.reduce((a, b) => a + b, 0) / 1000),
+            meanHR: round(td.meanHR),
+            rmssd: round(td.rmssd),
+            sdnn: round(td.sdnn),
+            pnn50: round(td.pnn50),
+            lf: fd ? Math.round(fd.lf) : null,
+            hf: fd ? Math.round(fd.hf) : null,
+            lfhf: fd ? round(fd.lfhf, 2) : null,
+            peakHz: fd ? round(fd.peakHz, 3) : null,
+            coherence: fd ? round(fd.coherence, 2) : null
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // IMPORT DE FICHIERS RR
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Extrait les RR (ms) d'un fichier texte :
+     *   - Polar .hrm : valeurs de la section [HRData] (une par ligne, ms)
+     *   - Polar / Kubios .txt : une valeur par ligne, ou colonnes « temps  RR »
+     *   - CSV : colonne dont l'en-tête contient RR / IBI / interval, sinon la dernière colonne
+     * Séparateur lu sur la première ligne : « ; » ou tabulation (virgule décimale admise),
+     * sinon virgule ou espaces. Les valeurs < 10 sont considérées en secondes.
+     *
+     *   'Time,RR\n0.812,812\n1.624,812'         → [812, 812]
+     *   'Time;RR\n0,812;0,812\n1,624;0,812'     → [812, 812]
+     *   '[HRData]\n812\n876'                    → [812, 876]
+     */
+    function parseRRFile(text) {
+        if (!text) return [];
+        let lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+        const hrData = lines.findIndex(l => /^\[HRData\]$/i.test(l));
+        if (hrData >= 0) {
+            lines = lines.slice(hrData + 1);
+            const end = lines.findIndex(l => /^\[.+\]$/.test(l));
+            if (end >= 0) lines = lines.slice(0, end);
+        }
+
+        // « ; » ou tabulation : la virgule peut alors être décimale et ne sépare pas les colonnes
+        const first = lines[0] || '';
+        const delimiter = first.includes(';') ? /;/ : first.includes('\t') ? /\t/ : /[, ]+/;
+        const decimalComma = delimiter.source !== '[, ]+';
+        const split = l => l.split(delimiter).map(c => c.trim()).filter(Boolean);
+        const number = cell => parseFloat(decimalComma ? String(cell).replace(',', '.') : cell);
+
+        let column = -1;
+        const header = lines.length ? split(lines[0]) : [];
+        if (header.some(h => isNaN(number(h)))) {
+            column = header.findIndex(h => /rr|ibi|interval/i.test(h));
+            lines = lines.slice(1);
+        }
+
+        const values = [];
+        lines.forEach(l => {
+            const cells = split(l);
+            const cell = column >= 0 ? cells[column] : cells[cells.length - 1];
+            const v = number(cell);
+            if (Number.isFinite(v) && v > 0) values.push(v);
+        });
+
+        const inSeconds = values.length && median(values) < 10;
+        return values.map(v => Math.round(inSeconds ? v * 1000 : v));
+    }
+
+    return {
+        cleanRR,
+        timeDomain,
+        frequencyDomain,
+        peakToTrough,
+        analyze,
+        parseRRFile,
+        resample,
+        spectrum,
+        rmssd,
+        sdnn,
+        pnn50
+    };
+})();
+
+window.HRV = HRV;
@@ -0,0 +1,239 @@
+/**
+ * I18n — Langue de l'interface et du contenu des exercices
+ *
+ * Le français est la langue source : les textes du HTML et du code servent de clés, et chaque
+ * bundle (locales/<langue>.js, chargé à la demande) traduit ces textes. Une entrée absente
+ * d'un bundle reste en français.
+ *
+ *   i18n.t('Paramètres enregistrés')              → 'Settings saved'
+ *   i18n.t('Exercice inconnu : {id}', { id })     → paramètres entre accolades
+ *
+ * Le contenu (EXERCISES, GUIDE_DETAILS, CHASSE_PROTOCOLS, protocoles W&B Up) est traduit en
+ * place depuis une copie française : tout le code qui le lit en profite. Les noms de phase
+ * restent des identifiants (clés des instructions) et ne sont traduits qu'à l'affichage.
+ */
+
+const I18N_SOURCE = 'fr';
+
+// locale : voix de synthèse et formats de date ; promptName : consigne de langue des prompts
+const I18N_LANGUAGES = {
+    fr: { label: 'Français', locale: 'fr-FR', promptName: 'francais' },
+    en: { label: 'English', locale: 'en-GB', promptName: 'anglais (English)' },
+    es: { label: 'Español', locale: 'es-ES', promptName: 'espagnol (español)' },
+    it: { label: 'Italiano', locale: 'it-IT', promptName: 'italien (italiano)' }
+};
+
+// Champs d'un exercice remplacés tels quels par la traduction
+const I18N_EXERCISE_FIELDS = ['name', 'description', 'science', 'tips', 'reframingCues'];
+
+// Attributs traduits en plus des nœuds texte
+const I18N_ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+// Jamais parcourus : code, saisies, contenus de l'utilisateur ([data-no-i18n])
+const I18N_SKIP = 'script, style, code, pre, textarea, svg, [data-no-i18n]';
+
+class I18n {
+    constructor() {
+        this.language = I18N_SOURCE;
+        this.bundles = {};
+        this._texts = new WeakMap();        // nœud texte → { source, applied }
+        this._attributes = new WeakMap();   // élément → { attribut: { source, applied } }
+        this._content = null;               // copie française du contenu traduit en place
+        this._observer = null;
+    }
+
+    get languages() {
+        return I18N_LANGUAGES;
+    }
+
+    get locale() {
+        return I18N_LANGUAGES[this.language].locale;
+    }
+
+    get promptName() {
+        return I18N_LANGUAGES[this.language].promptName;
+    }
+
+    /** Appelé par chaque fichier locales/<langue>.js */
+    register(language, bundle) {
+        this.bundles[language] = bundle;
+    }
+
+    /** Langue de l'appareil si elle est proposée, sinon le français */
+    detect() {
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(l => String(l).slice(0, 2).toLowerCase());
+        return preferred.find(l => I18N_LANGUAGES[l]) || I18N_SOURCE;
+    }
+
+    _load(language) {
+        if (language === I18N_SOURCE || this.bundles[language]) return Promise.resolve();
+        return new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = `locales/${language}.js`;
+            script.onload = resolve;
+            script.onerror = () => {
+                console.warn(`I18n: bundle ${language} introuvable, repli sur le français`);
+                resolve();
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Applique une langue au contenu, au document et aux nœuds ajoutés ensuite
+     * @param {string} language - code (fr, en, es, it) ; '' = langue de l'appareil
+     * @returns {Promise<string>} langue appliquée
+     */
+    async setLanguage(language) {
+        const requested = I18N_LANGUAGES[language] ? language : this.detect();
+        await this._load(requested);
+        const previous = this.language;
+        this.language = requested === I18N_SOURCE || this.bundles[requested] ? requested : I18N_SOURCE;
+
+        document.documentElement.lang = this.language;
+        if (this.language === I18N_SOURCE && previous === I18N_SOURCE) return this.language;
+        this.localizeContent();
+        this.translateDom(document.body);
+        this._observe();
+        return this.language;
+    }
+
+    // ==========================================
+    // Textes
+    // ==========================================
+
+    t(text, params = null) {
+        const ui = this.bundles[this.language]?.ui;
+        let result = typeof text === 'string' && ui && ui[text] !== undefined ? ui[text] : text;
+        if (params) {
+            result = String(result).replace(/\{(\w+)\}/g, (match, key) => params[key] !== undefined ? params[key] : match);
+        }
+        return result;
+    }
+
+    /** Nœuds texte et attributs dont le texte français est dans le bundle ; retour au français possible */
+    translateDom(root) {
+        if (!root) return;
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.nodeType === Node.ELEMENT_NODE && node.matches(I18N_SKIP)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        if (root.nodeType === Node.ELEMENT_NODE) this._translateAttributes(root);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.TEXT_NODE) this._translateText(node);
+            else this._translateAttributes(node);
+        }
+    }
+
+    _translateText(node) {
+        let entry = this._texts.get(node);
+        // Texte modifié par le code depuis le dernier passage : nouvelle source
+        if (!entry || node.nodeValue !== entry.applied) {
+            const source = node.nodeValue.trim();
+            if (!source || !/\p{L}/u.test(source)) return;
+            entry = { source: node.nodeValue, applied: node.nodeValue };
+            this._texts.set(node, entry);
+        }
+        // Texte du HTML : retours à la ligne et indentation ramenés à un espace pour la clé
+        const source = entry.source.trim();
+        const key = source.replace(/\s+/g, ' ');
+        const text = this.t(key);
+        const translated = text === key ? entry.source : entry.source.replace(source, text);
+        if (translated !== node.nodeValue) node.nodeValue = translated;
+        entry.applied = translated;
+    }
+
+    _translateAttributes(element) {
+        I18N_ATTRIBUTES.forEach(name => {
+            const value = element.getAttribute(name);
+            if (value === null) return;
+            const entries = this._attributes.get(element) || {};
+            if (!entries[name] || value !== entries[name].applied) entries[name] = { source: value, applied: value };
+            const translated = this.t(entries[name].source);
+            if (translated !== value) element.setAttribute(name, translated);
+            entries[name].applied = translated;
+            this._attributes.set(element, entries);
+        });
+    }
+
+    /** Rendus dynamiques (innerHTML, toasts, plan…) traduits à leur insertion */
+    _observe() {
+        if (this._observer) this._observer.disconnect();
+        this._observer = null;
+        if (this.language === I18N_SOURCE) return;
+
+        this._observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+                if (!element || !element.isConnected || element.closest(I18N_SKIP)) return;
+                if (node.nodeType === Node.TEXT_NODE) this._translateText(node);
+                else if (node.nodeType === Node.ELEMENT_NODE) this.translateDom(node);
+            }));
+        });
+        this._observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    // ==========================================
+    // Contenu des exercices
+    // ==========================================
+
+    _snapshot() {
+        const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+        const exercises = {};
+        [window.EXERCISES, window.CHASSE_PROTOCOLS].forEach(collection => {
+            Object.entries(collection || {}).forEach(([id, exercise]) => {
+                const copy = { instructions: clone(exercise.instructions) };
+                I18N_EXERCISE_FIELDS.forEach(field => { copy[field] = clone(exercise[field]); });
+                copy.phaseInstructions = (exercise.phases || []).map(p => p.instruction);
+                exercises[id] = copy;
+            });
+        });
+        const guide = clone(window.GUIDE_DETAILS || {});
+        const protocols = {};
+        Object.entries(window.WBU?.protocols || {}).forEach(([id, protocol]) => {
+            protocols[id] = { title: protocol.title, phases: protocol.phases.map(p => ({ label: p.label, instruction: p.instruction })) };
+        });
+        return { exercises, guide, protocols };
+    }
+
+    /** Réécrit le contenu dans la langue courante, champ par champ, repli sur la copie française */
+    localizeContent() {
+        if (!this._content) this._content = this._snapshot();
+        const bundle = this.bundles[this.language] || {};
+
+        Object.entries(this._content.exercises).forEach(([id, source]) => {
+            const exercise = window.EXERCISES?.[id] || window.CHASSE_PROTOCOLS?.[id];
+            if (!exercise) return;
+            const translation = bundle.exercises?.[id] || {};
+            I18N_EXERCISE_FIELDS.forEach(field => {
+                if (source[field] !== undefined) exercise[field] = translation[field] ?? JSON.parse(JSON.stringify(source[field]));
+            });
+            if (source.instructions) {
+                exercise.instructions = { ...source.instructions, ...translation.instructions };
+            }
+            (exercise.phases || []).forEach((phase, i) => {
+                if (source.phaseInstructions[i] !== undefined) {
+                    phase.instruction = translation.phaseInstructions?.[i] ?? source.phaseInstructions[i];
+                }
+            });
+        });
+
+        Object.entries(this._content.guide).forEach(([id, source]) => {
+            if (window.GUIDE_DETAILS?.[id]) window.GUIDE_DETAILS[id] = { ...source, ...bundle.guide?.[id] };
+        });
+
+        Object.entries(this._content.protocols).forEach(([id, source]) => {
+            const protocol = window.WBU.protocols[id];
+            const translation = bundle.protocols?.[id] || {};
+            protocol.title = translation.title ?? source.title;
+            protocol.phases.forEach((phase, i) => {
+                phase.label = translation.phases?.[i]?.label ?? source.phases[i].label;
+                phase.instruction = translation.phases?.[i]?.instruction ?? source.phases[i].instruction;
+            });
+        });
+    }
+}
+
+window.i18n = new I18n();
@@ -45,10 +45,28 @@ class JournalView {
         // Repair sessions with missing/zero durations from detailed data
         this.repairDurations();
 
+        // Re-render when sessions or detailed histories change (coach, sync, import…)
+        window.storage.on([
+            'deepbreath_sessions',
+            'deepbreath_comfort_zone_history',
+            'deepbreath_frc_comfort_history',
+            'deepbreath_contraction_history'
+        ], () => this.scheduleRender());
+
         // Initial render
         this.render();
     }
 
+    // Several collections may change in a row (sync merge) — one render per tick
+    scheduleRender() {
+        if (this._renderPending) return;
+        this._renderPending = true;
+        setTimeout(() => {
+            this._renderPending = false;
+            this.render();
+        }, 0);
+    }
+
     // ==========================================
     // Data access
     // ==========================================
@@ -133,6 +151,8 @@ class JournalView {
             }
         });
 
+        this.renderHrvTrend();
+
         // Render rows
         this.tbody.innerHTML = '';
 
@@ -412,7 +432,7 @@ class JournalView {
                 break;
         }
 
-        // Save to localStorage
+        // Save to local storage
         if (window.coach) {
             window.coach.saveSessions();
             window.coach.renderRecentSessions();
@@ -571,9 +591,9 @@ class JournalView {
 
         // Load all detailed histories once
         let czHistory, frcHistory, ctHistory;
-        try { czHistory = JSON.parse(localStorage.getItem('deepbreath_comfort_zone_history') || '[]'); } catch(e) { czHistory = []; }
-        try { frcHistory = JSON.parse(localStorage.getItem('deepbreath_frc_comfort_history') || '[]'); } catch(e) { frcHistory = []; }
-        try { ctHistory = JSON.parse(localStorage.getItem('deepbreath_contraction_history') || '[]'); } catch(e) { ctHistory = []; }
+        czHistory = window.storage.get('deepbreath_comfort_zone_history', []);
+        frcHistory = window.storage.get('deepbreath_frc_comfort_history', []);
+        ctHistory = window.storage.get('deepbreath_contraction_history', []);
 
         sessions.forEach(session => {
             const sessionDate = new Date(session.date).getTime();
@@ -700,6 +720,11 @@ class JournalView {
 
         tr.classList.add('journal-row-expanded');
         tr.after(detailRow);
+
+        detailTd.querySelector('[data-hrv-import]')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.importRRFile(session);
+        });
     }
 
     buildDetailContent(session) {
@@ -743,6 +768,9 @@ class JournalView {
                 detailedHtml = this.buildContractionDetail(detailed.data);
             }
         }
+        const telemetryHtml = this.buildTelemetryDetail(session.telemetry);
+        const heartRateHtml = this.buildHeartRateDetail(session.heartRate);
+        const hrvHtml = this.buildHrvDetail(session);
 
         return `
             <div class="journal-detail">
@@ -779,6 +807,9 @@ class JournalView {
                 </div>
                 ${notes}
                 ${detailedHtml}
+                ${telemetryHtml}
+                ${heartRateHtml}
+                ${hrvHtml}
             </div>`;
     }
 
@@ -835,27 +866,209 @@ class JournalView {
             </div>`;
     }
 
+    /**
+     * Télémétrie par phase : rythme prescrit vs réel, pauses, sauts, contractions,
+     * passages en arrière-plan. Phases regroupées par nom (une ligne par type de phase).
+     */
+    buildTelemetryDetail(telemetry) {
+        if (!telemetry || !Array.isArray(telemetry.events) || telemetry.events.length === 0) return '';
+        const events = telemetry.events;
+        const ends = events.filter(e => e.type === 'phase_end' && e.planned > 0);
+        const count = type => events.filter(e => e.type === type).length;
+        const pausedMs = events.filter(e => e.type === 'resume').reduce((sum, e) => sum + (e.pausedMs || 0), 0);
+        const hiddenMs = events.filter(e => e.type === 'visible').reduce((sum, e) => sum + (e.hiddenMs || 0), 0);
+
+        // Agrégat par phase
+        const groups = new Map();
+        ends.forEach(e => {
+            const key = e.name || e.kind || '?';
+            if (!groups.has(key)) groups.set(key, { planned: 0, actual: 0, n: 0, skipped: 0 });
+            const g = groups.get(key);
+            g.planned += e.planned;
+            g.actual += e.actual || 0;
+            g.n++;
+            if (e.endedBy === 'skip') g.skipped++;
+        });
+
+        // Écart moyen au rythme prescrit (phases menées à terme uniquement)
+        const timed = ends.filter(e => e.endedBy === 'time');
+        const drift = timed.length
+            ? timed.reduce((sum, e) => sum + Math.abs((e.actual || 0) - e.planned), 0) / timed.length
+            : null;
+
+        let rowsHtml = '';
+        groups.forEach((g, name) => {
+            const planned = g.planned / g.n;
+            const actual = g.actual / g.n;
+            const diff = actual - planned;
+            rowsHtml += `
+                <div class="journal-detail-contraction-row">
+                    <span class="journal-detail-hold-label">${this.escapeHtml(String(name))}</span>
+                    <span class="journal-detail-hold-value">${planned.toFixed(1)}s → ${actual.toFixed(1)}s</span>
+                    <span class="journal-detail-contraction-count">${g.n}×${Math.abs(diff) >= 0.1 ? ` (${diff > 0 ? '+' : ''}${diff.toFixed(1)}s)` : ''}</span>
+                    ${g.skipped ? `<span class="journal-detail-contraction-onset">${g.skipped} sautée${g.skipped > 1 ? 's' : ''}</span>` : ''}
+                </div>`;
+        });
+
+        const stats = [
+            `Phases : <strong>${ends.length}</strong>`,
+            drift !== null ? `Écart moyen : <strong>${drift.toFixed(2)}s</strong>` : '',
+            count('pause') ? `Pauses : <strong>${count('pause')}</strong> (${this.formatTime(pausedMs / 1000)})` : '',
+            count('skip') ? `Sauts : <strong>${count('skip')}</strong>` : '',
+            count('contraction') ? `Contractions : <strong>${count('contraction')}</strong>` : '',
+            count('hidden') ? `Arrière-plan : <strong>${count('hidden')}</strong> (${this.formatTime(hiddenMs / 1000)})` : '',
+        ].filter(Boolean).map(t => `<span>${t}</span>`).join('');
+
+        return `
+            <div class="journal-detail-exercise-data">
+                <div class="journal-detail-exercise-title">Déroulé réel vs prescrit</div>
+                ${rowsHtml}
+                <div class="journal-detail-hold-summary">${stats}</div>
+            </div>`;
+    }
+
+    buildHeartRateDetail(hr) {
+        if (!hr || !Array.isArray(hr.samples) || hr.samples.length < 2) return '';
+        const w = 300, h = 60;
+        const t1 = hr.samples[hr.samples.length - 1].t || 1;
+        const lo = hr.min - 2, hi = hr.max + 2;
+        const points = hr.samples
+            .map(s => `${(s.t / t1 * w).toFixed(1)},${(h - (s.bpm - lo) / (hi - lo) * h).toFixed(1)}`)
+            .join(' ');
+
+        return `
+            <div class="journal-detail-exercise-data">
+                <div class="journal-detail-exercise-title">Fréquence cardiaque</div>
+                <svg class="journal-hr-trace" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none">
+                    <polyline points="${points}"/>
+                </svg>
+                <div class="journal-detail-hold-summary">
+                    <span>Min : <strong>${hr.min} bpm</strong></span>
+                    <span>Moy : <strong>${hr.avg} bpm</strong></span>
+                    <span>Max : <strong>${hr.max} bpm</strong></span>
+                    ${hr.rr && hr.rr.length ? `<span>RR : <strong>${hr.rr.length}</strong> intervalles</span>` : ''}
+                </div>
+            </div>`;
+    }
+
+    buildHrvDetail(session) {
+        const hrv = session.hrv;
+        const importBtn = `<button class="btn-secondary journal-hrv-import" data-hrv-import>${hrv ? 'Remplacer par un fichier RR' : 'Importer un fichier RR'}</button>`;
+        if (!hrv) {
+            return `
+            <div class="journal-detail-exercise-data">
+                <div class="journal-detail-exercise-title">Variabilité cardiaque</div>
+                ${importBtn}
+            </div>`;
+        }
+        const fmt = (v, unit = '') => v === null || v === undefined ? '—' : `${v}${unit}`;
+        return `
+            <div class="journal-detail-exercise-data">
+                <div class="journal-detail-exercise-title">Variabilité cardiaque${session.hrvSource === 'import' ? ' (fichier importé)' : ''}</div>
+                <div class="journal-detail-hold-summary">
+                    <span>RMSSD : <strong>${fmt(hrv.rmssd, ' ms')}</strong></span>
+                    <span>SDNN : <strong>${fmt(hrv.sdnn, ' ms')}</strong></span>
+                    <span>pNN50 : <strong>${fmt(hrv.pnn50, ' %')}</strong></span>
+                    <span>LF/HF : <strong>${fmt(hrv.lfhf)}</strong></span>
+                    <span>Cohérence : <strong>${fmt(hrv.coherence)}</strong></span>
+                    ${hrv.peakHz ? `<span>Pic : <strong>${(hrv.peakHz * 60).toFixed(1)} resp/min</strong></span>` : ''}
+                    <span>${hrv.beats} battements${hrv.artifacts ? ` · ${hrv.artifacts} artefact${hrv.artifacts > 1 ? 's' : ''} retiré${hrv.artifacts > 1 ? 's' : ''}` : ''}</span>
+                </div>
+                ${importBtn}
+            </div>`;
+    }
+
+    importRRFile(session) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.txt,.hrm';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const rr = window.HRV.parseRRFile(reader.result);
+                const hrv = window.HRV.analyze(rr);
+                if (!hrv) {
+                    alert(`Fichier inexploitable : ${rr.length} intervalles RR lus (30 minimum après nettoyage).`);
+                    return;
+                }
+                session.hrv = hrv;
+                session.hrvSource = 'import';
+                if (window.coach) window.coach.saveSessions();
+                this.render();
+            };
+            reader.readAsText(file);
+        });
+        input.click();
+    }
+
+    // ==========================================
+    // HRV trend
+    // ==========================================
+
+    renderHrvTrend() {
+        const container = document.getElementById('journalHrvTrend');
+        if (!container) return;
+        const points = this.getSessions()
+            .filter(s => s.hrv && s.hrv.rmssd)
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .slice(-30);
+        if (points.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = '';
+
+        const w = 320, h = 90, pad = 8;
+        const x = i => pad + i / (points.length - 1) * (w - 2 * pad);
+        const line = (key) => {
+            const values = points.map(p => p.hrv[key]);
+            const valid = values.filter(v => v !== null && v !== undefined);
+            if (valid.length < 2) return '';
+            const lo = Math.min(...valid), hi = Math.max(...valid);
+            const y = v => h - pad - (hi > lo ? (v - lo) / (hi - lo) : 0.5) * (h - 2 * pad);
+            return values
+                .map((v, i) => v === null || v === undefined ? '' : `${x(i).toFixed(1)},${y(v).toFixed(1)}`)
+                .filter(Boolean).join(' ');
+        };
+        const last = points[points.length - 1].hrv;
+
+        container.innerHTML = `
+            <div class="journal-hrv-header">
+                <span>Variabilité cardiaque — ${points.length} séances</span>
+                <span class="journal-hrv-legend">
+                    <span class="rmssd">RMSSD ${last.rmssd} ms</span>
+                    ${last.coherence !== null ? `<span class="coherence">Cohérence ${last.coherence}</span>` : ''}
+                </span>
+            </div>
+            <svg class="journal-hrv-chart" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none">
+                <polyline class="rmssd" points="${line('rmssd')}"/>
+                <polyline class="coherence" points="${line('coherence')}"/>
+            </svg>`;
+    }
+
     findDetailedData(session) {
         const sessionDate = new Date(session.date).getTime();
         if (isNaN(sessionDate)) return null;
 
         // Comfort zone
         try {
-            const czHistory = JSON.parse(localStorage.getItem('deepbreath_comfort_zone_history') || '[]');
+            const czHistory = window.storage.get('deepbreath_comfort_zone_history', []);
             const czMatch = czHistory.find(h => Math.abs(new Date(h.date).getTime() - sessionDate) < 60000);
             if (czMatch) return { type: 'comfort-zone', data: czMatch };
         } catch (e) {}
 
         // FRC
         try {
-            const frcHistory = JSON.parse(localStorage.getItem('deepbreath_frc_comfort_history') || '[]');
+            const frcHistory = window.storage.get('deepbreath_frc_comfort_history', []);
             const frcMatch = frcHistory.find(h => Math.abs(new Date(h.date).getTime() - sessionDate) < 60000);
             if (frcMatch) return { type: 'comfort-zone-frc', data: frcMatch };
         } catch (e) {}
 
         // Contraction
         try {
-            const ctHistory = JSON.parse(localStorage.getItem('deepbreath_contraction_history') || '[]');
+            const ctHistory = window.storage.get('deepbreath_contraction_history', []);
             const ctMatch = ctHistory.find(h => Math.abs(new Date(h.date).getTime() - sessionDate) < 60000);
             if (ctMatch) return { type: 'contraction', data: ctMatch };
         } catch (e) {}
@@ -0,0 +1,151 @@
+/**
+ * LLMProviders — Endpoints of the AI providers used by the coach and the weekly plan
+ *
+ *   claude   — Anthropic Messages API
+ *   openai   — OpenAI Chat Completions
+ *   local    — any OpenAI-compatible server (LM Studio, llama.cpp server, vLLM, LocalAI…)
+ *   ollama   — Ollama, through its OpenAI-compatible /v1 routes
+ *
+ * Every provider but claude speaks the OpenAI chat format, so callers only need two code paths
+ * (api: 'anthropic' | 'openai'). Local providers need no API key, work without internet access
+ * and list their models on demand (/v1/models or Ollama's /api/tags).
+ */
+
+const LLMProviders = (() => {
+
+    const PROVIDERS = {
+        claude: {
+            label: 'Claude (Anthropic)',
+            api: 'anthropic',
+            baseUrl: 'https://api.anthropic.com',
+            chatPath: '/v1/messages',
+            needsKey: true,
+            models: [
+                { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet' },
+                { id: 'claude-haiku-4-20250414', name: 'Claude Haiku (rapide)' }
+            ]
+        },
+        openai: {
+            label: 'OpenAI (GPT)',
+            api: 'openai',
+            baseUrl: 'https://api.openai.com/v1',
+            chatPath: '/chat/completions',
+            needsKey: true,
+            models: [
+                { id: 'gpt-4o-mini', name: 'GPT-4o Mini (rapide)' },
+                { id: 'gpt-4o', name: 'GPT-4o' }
+            ]
+        },
+        local: {
+            label: 'Serveur local (compatible OpenAI)',
+            api: 'openai',
+            baseUrl: 'http://localhost:1234/v1',
+            chatPath: '/chat/completions',
+            modelsPath: '/models',
+            local: true,
+            models: []
+        },
+        ollama: {
+            label: 'Ollama',
+            api: 'openai',
+            baseUrl: 'http://localhost:11434',
+            chatPath: '/v1/chat/completions',
+            modelsPath: '/api/tags',
+            local: true,
+            models: []
+        }
+    };
+
+    function get(settings) {
+        return PROVIDERS[settings?.provider] || PROVIDERS.claude;
+    }
+
+    function baseUrl(settings) {
+        const provider = get(settings);
+        const custom = provider.local && settings.baseUrl ? settings.baseUrl.trim() : '';
+        return (custom || provider.baseUrl).replace(/\/+$/, '');
+    }
+
+    function chatUrl(settings) {
+        return baseUrl(settings) + get(settings).chatPath;
+    }
+
+    function headers(settings) {
+        const provider = get(settings);
+        if (provider.api === 'anthropic') {
+            return {
+                'x-api-key': settings.apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            };
+        }
+        // Local servers usually ignore the key; some (vLLM --api-key, proxies) require one
+        return settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+    }
+
+    /** Enough settings to call the provider (cloud providers need a key) */
+    function isConfigured(settings) {
+        return !!settings && (!get(settings).needsKey || !!settings.apiKey);
+    }
+
+    function isLocal(settings) {
+        return !!get(settings).local;
+    }
+
+    /**
+     * Models offered by the server
+     * @returns {Promise<Array<{ id, name }>>}
+     */
+    async function listModels(settings) {
+        const provider = get(settings);
+        if (!provider.modelsPath) return provider.models;
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 10000);
+        let response;
+        try {
+            response = await fetch(baseUrl(settings) + provider.modelsPath, {
+                signal: controller.signal,
+                headers: headers(settings)
+            });
+        } catch (e) {
+            throw new Error(e.name === 'AbortError'
+                ? 'Serveur injoignable (délai dépassé)'
+                : 'Serveur injoignable — vérifiez l\'adresse et l\'autorisation CORS');
+        } finally {
+            clearTimeout(timeout);
+        }
+        if (!response.ok) throw new Error(`Erreur ${response.status}`);
+
+        const data = await response.json();
+        const models = Array.isArray(data.models)
+            ? data.models.map(m => ({ id: m.model || m.name, name: m.name }))       // Ollama /api/tags
+            : (data.data || []).map(m => ({ id: m.id, name: m.id }));               // OpenAI /models
+        return models.filter(m => m.id).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /** Models to offer in the settings: discovered list for local servers, fixed list otherwise */
+    function modelOptions(settings) {
+        const provider = get(settings);
+        if (!provider.local) return provider.models;
+        const models = settings.models || [];
+        if (settings.model && !models.some(m => m.id === settings.model)) {
+            return [{ id: settings.model, name: settings.model }, ...models];
+        }
+        return models;
+    }
+
+    return {
+        PROVIDERS,
+        get,
+        baseUrl,
+        chatUrl,
+        headers,
+        isConfigured,
+        isLocal,
+        listModels,
+        modelOptions
+    };
+})();
+
+window.LLMProviders = LLMProviders;
@@ -0,0 +1,118 @@
+/**
+ * Local stand-in for an OpenAI-compatible / Ollama server (development only, not loaded by the app)
+ *
+ *   node llm-stub-server.js [port]          — default port 11434 (Ollama's), no model involved
+ *
+ *   GET  /v1/models              OpenAI-style model list
+ *   GET  /api/tags               Ollama-style model list
+ *   POST /v1/chat/completions    streamed (SSE) or plain JSON reply
+ *
+ * Replies are canned but follow the request: the weekly-plan prompt (asks for JSON) gets a valid
+ * plan, a user message "/tool <name> <json>" makes the stub call that tool, a tool result is
+ * acknowledged, anything else is echoed back with an exercise link. STUB_NO_TOOLS=1 rejects
+ * requests carrying tools with a 400, like models without tool support.
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 11434;
+const noTools = !!process.env.STUB_NO_TOOLS;
+const MODEL = 'stub-coach';
+
+const CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+};
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { ...CORS, 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function weekPlan() {
+    const day = ids => ({ exercises: ids.map(exerciseId => ({ exerciseId, estimatedDuration: 10 })) });
+    return JSON.stringify({
+        title: 'Semaine de test (stub)',
+        rationale: 'Plan fixe renvoyé par le serveur de test.',
+        days: [day(['coherent']), day(['box']), day([]), day(['co2-tolerance']), day(['coherent']), day([]), day(['relaxation'])]
+    });
+}
+
+/** → { text } or { toolCall: { name, arguments } } */
+function reply({ messages = [], tools }) {
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const last = messages[messages.length - 1] || {};
+    if (/JSON/.test(system)) return { text: weekPlan() };
+    if (last.role === 'tool') return { text: `Résultat reçu : ${String(last.content).slice(0, 200)}` };
+
+    const content = typeof last.content === 'string' ? last.content : '';
+    const tool = content.match(/^\/tool\s+(\w+)\s*(\{[\s\S]*\})?\s*$/);
+    if (tool && tools) return { toolCall: { name: tool[1], arguments: tool[2] || '{}' } };
+    return { text: `Stub local : « ${content.slice(0, 120)} ». Essaie [EXERCICE:coherent].` };
+}
+
+function streamReply(res, answer) {
+    res.writeHead(200, { ...CORS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const chunk = (delta, finish = null) =>
+        `data: ${JSON.stringify({ id: 'stub', object: 'chat.completion.chunk', model: MODEL, choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+
+    const events = [];
+    if (answer.toolCall) {
+        events.push(chunk({ role: 'assistant', tool_calls: [{ index: 0, id: 'call_' + Date.now(), type: 'function', function: { name: answer.toolCall.name, arguments: '' } }] }));
+        events.push(chunk({ tool_calls: [{ index: 0, function: { arguments: answer.toolCall.arguments } }] }));
+        events.push(chunk({}, 'tool_calls'));
+    } else {
+        answer.text.match(/\S+\s*/g).forEach(word => events.push(chunk({ content: word })));
+        events.push(chunk({}, 'stop'));
+    }
+    events.push('data: [DONE]\n\n');
+
+    // A few words at a time, to see the streaming in the UI
+    const timer = setInterval(() => {
+        res.write(events.shift());
+        if (!events.length) {
+            clearInterval(timer);
+            res.end();
+        }
+    }, 30);
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const body = await readBody(req);
+    console.log(req.method, path);
+
+    if (req.method === 'GET' && path === '/v1/models') {
+        return send(res, 200, { object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'stub' }] });
+    }
+    if (req.method === 'GET' && path === '/api/tags') {
+        return send(res, 200, { models: [{ name: MODEL + ':latest', model: MODEL + ':latest', size: 0 }] });
+    }
+    if (req.method === 'POST' && path === '/v1/chat/completions') {
+        let request;
+        try { request = JSON.parse(body); } catch (e) { return send(res, 400, { error: { message: 'Invalid JSON' } }); }
+        if (noTools && request.tools) return send(res, 400, { error: { message: `${MODEL} does not support tools` } });
+
+        const answer = reply(request);
+        if (request.stream) return streamReply(res, answer);
+        const message = answer.toolCall
+            ? { role: 'assistant', content: null, tool_calls: [{ id: 'call_' + Date.now(), type: 'function', function: answer.toolCall }] }
+            : { role: 'assistant', content: answer.text };
+        return send(res, 200, { id: 'stub', object: 'chat.completion', model: MODEL, choices: [{ index: 0, message, finish_reason: answer.toolCall ? 'tool_calls' : 'stop' }] });
+    }
+
+    send(res, 404, { error: { message: 'Not found' } });
+});
+
+server.listen(port, () => console.log(`LLM stub listening on http://localhost:${port} (OpenAI /v1/…, Ollama /api/tags)`));
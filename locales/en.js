@@ -0,0 +1,2159 @@
+/**
+ * English — bundle de traduction (voir i18n.js)
+ *
+ * Clés : textes français de l'app. Une entrée absente reste en français.
+ */
+
+window.i18n.register('en', {
+    ui: {
+        // Verrouillage, en-tête, réglages rapides
+        'Entrez votre code PIN': 'Enter your PIN',
+        'Deverrouiller': 'Unlock',
+        'PIN incorrect': 'Wrong PIN',
+        '🔊 Volumes': '🔊 Volumes',
+        '✓ Sauvé': '✓ Saved',
+        'Sons respiration': 'Breathing sounds',
+        'Son océan': 'Ocean sound',
+        'Volume voix': 'Voice volume',
+        'Voix TTS': 'TTS voice',
+        '— Auto (meilleure disponible) —': '— Auto (best available) —',
+        'Voix enregistrée': 'Recorded voice',
+        '— Aucune (synthèse vocale) —': '— None (speech synthesis) —',
+        '📦 Importer un pack': '📦 Import a pack',
+        '🗑 Supprimer': '🗑 Delete',
+        '📝 Modèle': '📝 Template',
+        'Vitesse': 'Speed',
+        'Animation': 'Animation',
+        'Onde (globe + arc)': 'Wave (globe + arc)',
+        'Orbe lumineux': 'Glowing orb',
+        'Texte seul': 'Text only',
+        '↺ Défauts': '↺ Defaults',
+        '💾 Sauvegarder': '💾 Save',
+        '🎵 Fond musical Spotify': '🎵 Spotify background music',
+        '🧘 Méditation & Relaxation': '🧘 Meditation & Relaxation',
+        '🌊 Nature & Ambiance': '🌊 Nature & Ambience',
+        '😴 Sommeil profond': '😴 Deep sleep',
+        '🎵 Focus & Concentration': '🎵 Focus & Concentration',
+        '🔔 Bols tibétains': '🔔 Tibetan bowls',
+        'Ou colle ton lien Spotify :': 'Or paste your Spotify link:',
+        'Favoris': 'Favourites',
+        'Mode hors-ligne': 'Offline mode',
+        'Guidage vocal': 'Voice guidance',
+        'Sons de respiration': 'Breathing sounds',
+        'Sync non configurée': 'Sync not set up',
+        'Ouvrir Spotify': 'Open Spotify',
+        'Réglage des volumes': 'Volume settings',
+        'Archive .zip : manifest.json + fichiers audio': '.zip archive: manifest.json + audio files',
+        'Manifeste listant toutes les phrases à enregistrer': 'Manifest listing every phrase to record',
+        '🎛 Éditer les thèmes': '🎛 Edit themes',
+        'Créer, modifier, importer ou exporter des thèmes sonores': 'Create, edit, import or export sound themes',
+        'Thèmes sonores': 'Sound themes',
+        'Thème': 'Theme',
+        'Nom du thème': 'Theme name',
+        'Gain': 'Gain',
+        'Phase': 'Phase',
+        'Rétention (poumons vides)': 'Hold (empty lungs)',
+        '▶ Écouter': '▶ Listen',
+        '⧉ Dupliquer': '⧉ Duplicate',
+        '⬇ Exporter': '⬇ Export',
+        '⬆ Importer': '⬆ Import',
+        'Utiliser': 'Use',
+        'Thème intégré : dupliquez-le pour enregistrer vos modifications.': 'Built-in theme: duplicate it to save your changes.',
+        'Phase absente : la phase la plus proche est jouée.': 'Phase not defined: the closest phase is played.',
+        'Ambiance sonore': 'Ambience',
+        'Ambiance': 'Ambience',
+        'Paysage': 'Soundscape',
+        'Ambiance propre à l\'exercice (sommeil, auto-hypnose)': 'Exercise\'s own ambience (sleep, self-hypnosis)',
+        'Rechercher...': 'Search...',
+
+        // Paysages sonores (soundscapes.js)
+        'Océan': 'Ocean',
+        'Vagues de bruit brun, ressac lent': 'Brown-noise waves, slow backwash',
+        'Pluie': 'Rain',
+        'Averse régulière et gouttes proches': 'Steady shower with nearby drops',
+        'Sous l\'eau': 'Underwater',
+        'Grondement étouffé, nappe grave et bulles': 'Muffled rumble, low drone and bubbles',
+        'Vent en forêt': 'Forest wind',
+        'Vent par rafales et bruissement des feuilles': 'Gusting wind and rustling leaves',
+        'Bruit rose': 'Pink noise',
+        'Bruit brun': 'Brown noise',
+        'Bruit blanc': 'White noise',
+        'Bruit continu, pour masquer l\'environnement': 'Continuous noise to mask your surroundings',
+        'Battements binauraux': 'Binaural beats',
+        'Casque requis — 1 à 4 Hz : sommeil profond, 4 à 8 Hz : relaxation et hypnose': 'Headphones required — 1 to 4 Hz: deep sleep, 4 to 8 Hz: relaxation and hypnosis',
+        'Tons isochrones': 'Isochronic tones',
+        'Impulsions régulières, sans casque — même réglage de fréquence que les binauraux': 'Regular pulses, no headphones needed — same frequency ranges as binaural beats',
+        'Houle': 'Swell',
+        'Clarté': 'Brightness',
+        'Intensité': 'Intensity',
+        'Gouttes': 'Drops',
+        'Filtre': 'Filter',
+        'Nappe': 'Drone',
+        'Bulles': 'Bubbles',
+        'Vent': 'Wind',
+        'Rafales': 'Gusts',
+        'Feuillage': 'Leaves',
+        'Porteuse': 'Carrier',
+        'Battement': 'Beat',
+        'Impulsions': 'Pulses',
+        'Fond de bruit': 'Noise bed',
+
+        // Navigation
+        'Accueil': 'Home',
+        'Coach': 'Coach',
+        'Journal': 'Log',
+        'Plan': 'Plan',
+        'Respiration': 'Breathing',
+        'Visualisation': 'Visualisation',
+        'Apnée': 'Apnea',
+        'Urgence': 'Emergency',
+        'Pré-Perf': 'Pre-Perf',
+        'Hypnose': 'Hypnosis',
+        'Guide': 'Guide',
+        'Retour': 'Back',
+        'Lancer': 'Start',
+        'Fermer': 'Close',
+        'Annuler': 'Cancel',
+        'Supprimer': 'Delete',
+        'Modifier': 'Edit',
+        'Enregistrer': 'Save',
+        'Réinitialiser': 'Reset',
+        'Passer': 'Skip',
+        'Recommencer': 'Restart',
+        'Commencer': 'Start',
+        'Démarrer': 'Start',
+        'Arrêter': 'Stop',
+        'Importer': 'Import',
+        'Tout voir': 'See all',
+
+        // Accueil
+        'Maîtrisez votre souffle': 'Master your breath',
+        'Techniques avancées basées sur les dernières recherches scientifiques': 'Advanced techniques based on the latest scientific research',
+        'Coach IA': 'AI Coach',
+        'Entrainement apnee au sec, programmes sur mesure, suivi de progression': 'Dry apnea training, tailored programmes, progress tracking',
+        'Tables O2/CO2, réflexe de plongée et entraînement progressif': 'O2/CO2 tables, dive reflex and progressive training',
+        'Tableau de bord de tous vos entrainements, ajout et modification': 'Dashboard of all your sessions, add and edit',
+        'Cyclic sighing, cohérence cardiaque, box breathing et techniques Wim Hof': 'Cyclic sighing, cardiac coherence, box breathing and Wim Hof techniques',
+        'Protocoles PETTLEP, body scan et relaxation dynamique sophrologique': 'PETTLEP protocols, body scan and dynamic sophrology relaxation',
+        'Séquences personnalisables, intervalles et chronomètres pour vos entraînements': 'Custom sequences, intervals and timers for your training',
+        'Exercices rapides pour calmer panique, anxiété et stress soudain': 'Quick exercises to calm panic, anxiety and sudden stress',
+        'Protocole de 5 minutes avant plongée, chasse sous-marine ou compétition': '5-minute protocol before a dive, spearfishing or a competition',
+        'Techniques VAKOG, flow-state et gestion des spasmes pour apnéistes': 'VAKOG, flow-state and contraction management techniques for freedivers',
+        'Aide au choix des exercices selon votre objectif, votre niveau et votre blocage': 'Help choosing exercises by goal, level and main blocker',
+        'Pré-Performance': 'Pre-Performance',
+        'Auto-Hypnose': 'Self-Hypnosis',
+
+        // Journal
+        'Journal d\'entrainement': 'Training log',
+        '0 sessions': '0 sessions',
+        '+ Ajouter': '+ Add',
+        'Date ↕': 'Date ↕',
+        'Exercice ↕': 'Exercise ↕',
+        'Categorie ↕': 'Category ↕',
+        'Duree ↕': 'Duration ↕',
+        'Timings': 'Timings',
+        'Ressenti ↕': 'Feeling ↕',
+        'Stress Av. ↕': 'Stress Bef. ↕',
+        'Stress Ap. ↕': 'Stress Aft. ↕',
+        'Notes': 'Notes',
+        'Actions': 'Actions',
+        'Exporter en Excel': 'Export to Excel',
+
+        // Plan de la semaine
+        'Plan de la Semaine': 'Weekly Plan',
+        'Programme personnalisé par ton coach IA': 'Programme tailored by your AI coach',
+        'Consigne pour le coach': 'Instructions for the coach',
+        'Objectif de la semaine': 'Goal for the week',
+        'Objectif : auto': 'Goal: auto',
+        'Statique': 'Static',
+        'Chasse sous-marine': 'Spearfishing',
+        'Gestion du stress': 'Stress management',
+        'Sommeil': 'Sleep',
+        'Générateur': 'Generator',
+        'Coach IA (hors-ligne si indisponible)': 'AI coach (offline if unavailable)',
+        'Hors-ligne uniquement': 'Offline only',
+        'Durée du plan': 'Plan length',
+        'Une semaine': 'One week',
+        'Programme 4 semaines': '4-week programme',
+        'Programme 6 semaines': '6-week programme',
+        'Programme 8 semaines': '8-week programme',
+        'Programme 12 semaines': '12-week programme',
+        'Échéance': 'Target date',
+        'Générer un plan': 'Generate a plan',
+        'Semaine précédente': 'Previous week',
+        'Semaine suivante': 'Next week',
+        'Plan Semaine': 'Week Plan',
+        'Supprimer ce plan': 'Delete this plan',
+        'Génération du plan en cours…': 'Generating plan…',
+        'Claude analyse ton historique et construit ton programme': 'Claude is analysing your history and building your programme',
+        'Aucun plan pour cette semaine': 'No plan for this week',
+        'Clique sur': 'Click',
+        'pour créer ton programme personnalisé.': 'to create your personalised programme.',
+        'Le coach IA analyse ton historique et ton niveau pour construire la semaine idéale.': 'The AI coach analyses your history and level to build the ideal week.',
+        '💡 Sans clé API (ni serveur local), le plan est construit hors-ligne à partir de ton historique et de l\'objectif choisi.': '💡 Without an API key (or local server), the plan is built offline from your history and the chosen goal.',
+        'Calendrier (.ics)': 'Calendar (.ics)',
+        'Exporter la semaine affichée': 'Export the displayed week',
+        'Un événement par exercice, avec un lien qui le lance dans l\'app.': 'One event per exercise, with a link that starts it in the app.',
+        'Heure': 'Time',
+        'Rappel': 'Reminder',
+        'Aucun': 'None',
+        '5 min avant': '5 min before',
+        '15 min avant': '15 min before',
+        '30 min avant': '30 min before',
+        '1 h avant': '1 h before',
+        'Télécharger le .ics': 'Download the .ics',
+        'Sorties et compétitions': 'Trips and competitions',
+        'Importe un calendrier .ics (club, compétitions, voyages) : le plan et sa génération en tiennent compte.': 'Import an .ics calendar (club, competitions, trips): the plan and its generation take it into account.',
+        'Importer un .ics': 'Import an .ics',
+
+        // Respiration
+        'Techniques validées scientifiquement pour optimiser votre système nerveux': 'Scientifically validated techniques to optimise your nervous system',
+        'Double inspiration suivie d\'une expiration prolongée. Réduction du stress 56% plus efficace que la méditation.': 'Double inhale followed by a long exhale. Reduces stress 56% more effectively than meditation.',
+        '5.5 respirations par minute pour synchroniser cœur et respiration. Optimise la variabilité cardiaque.': '5.5 breaths per minute to synchronise heart and breathing. Optimises heart rate variability.',
+        'Respiration de résonance paramétrable — fréquence, ratio et rétention ajustables pour votre fréquence optimale.': 'Configurable resonance breathing — adjustable rate, ratio and hold for your optimal frequency.',
+        'Paliers de 6.5 à 4.5 resp/min mesurés au cardiofréquencemètre (ou notés au ressenti) — la meilleure fréquence règle votre cohérence cardiaque.': 'Steps from 6.5 to 4.5 breaths/min measured with a heart rate monitor (or rated by feel) — the best rate sets your cardiac coherence.',
+        'Technique 4-4-4-4 utilisée par les forces spéciales. Augmente le tonus vagal et la concentration.': '4-4-4-4 technique used by special forces. Increases vagal tone and focus.',
+        'Hyperventilation contrôlée suivie de rétentions. Améliore énergie, clarté mentale et tolérance au froid.': 'Controlled hyperventilation followed by holds. Improves energy, mental clarity and cold tolerance.',
+        'Respiration lente 1:2 pour activer le nerf vague et maximiser la variabilité cardiaque. Idéale en préparation pré-plongée.': 'Slow 1:2 breathing to activate the vagus nerve and maximise heart rate variability. Ideal before a dive.',
+        'Expiration longue freinée (Ujjayi) — le freinage glottique ralentit l\'évacuation du CO2 et crée une hypercapnie progressive sûre.': 'Long braked exhale (Ujjayi) — glottic braking slows CO2 release and creates safe, progressive hypercapnia.',
+        'Pause end-expiratory à bas volume pulmonaire. Désensibilisation réelle des chémorécepteurs CO2 : −45% de sensibilité en 6 semaines (Woorons / Kapus 2013).': 'End-expiratory pause at low lung volume. Real desensitisation of CO2 chemoreceptors: −45% sensitivity in 6 weeks (Woorons / Kapus 2013).',
+        'Protocole original Woorons. 2 respirations + pause 6s poumons bas × 8 cycles. Progression après maîtrise du VHL CO2.': 'Original Woorons protocol. 2 breaths + 6s low-lung pause × 8 cycles. Next step once VHL CO2 is mastered.',
+        'Pause FRC longue (20s+) sur bas volume pulmonaire. Gorge relâchée, progression par paliers CO2. Post VHL CO2 avancé.': 'Long FRC pause (20s+) at low lung volume. Relaxed throat, CO2 step progression. After advanced VHL CO2.',
+        'Inspirations forcées à haute résistance. −9 mmHg de tension systolique et +9% VO2max en 6 semaines (Craighead 2021). 30 reps × 5 séries.': 'Forced inhales against high resistance. −9 mmHg systolic pressure and +9% VO2max in 6 weeks (Craighead 2021). 30 reps × 5 sets.',
+        'Réduction progressive de l\'amplitude pour générer un inconfort CO2 contrôlé. Entraîne la tolérance des chémorécepteurs. Inverse du Wim Hof.': 'Gradually reduced breathing volume to create controlled CO2 discomfort. Trains chemoreceptor tolerance. The opposite of Wim Hof.',
+        'Suspension poumons pleins avec relâchement différentiel. Travaille la capacité pulmonaire et le calme profond par micro-apnée FRC.': 'Full-lung hang with differential relaxation. Works lung capacity and deep calm through FRC micro-holds.',
+        'Technique Dr. Andrew Weil pour l\'endormissement. Activation parasympathique profonde.': 'Dr Andrew Weil\'s technique for falling asleep. Deep parasympathetic activation.',
+        'Ratio classique yogique : inspir 1x, rétention 4x, expir 2x. Fondement du Pranayama Vedique.': 'Classic yogic ratio: inhale 1x, hold 4x, exhale 2x. Foundation of Vedic Pranayama.',
+        'Respiration alternée — équilibre les deux hémisphères cérébraux et le système nerveux.': 'Alternate nostril breathing — balances both brain hemispheres and the nervous system.',
+        'Respiration du crâne brillant — expirations puissantes pour purifier et énergiser.': 'Skull-shining breath — powerful exhales to cleanse and energise.',
+        'Le souffle victorieux — respiration océanique qui calme le système nerveux en profondeur.': 'The victorious breath — ocean breathing that deeply calms the nervous system.',
+        'Le souffle de l\'abeille — bourdonnement qui stimule le nerf vague et l\'oxyde nitrique.': 'The bee breath — humming that stimulates the vagus nerve and nitric oxide.',
+        'Respiration solaire — active le sympathique pour l\'énergie et la chaleur interne.': 'Solar breathing — activates the sympathetic system for energy and inner warmth.',
+        'Stress & Humeur': 'Stress & Mood',
+        'Cohérence HRV': 'HRV coherence',
+        'Respiration Cohérente': 'Coherent Breathing',
+        'Équilibre ANS': 'ANS balance',
+        'Cohérence Cardiaque': 'Cardiac Coherence',
+        'HRV avancé': 'Advanced HRV',
+        'Évaluation HRV': 'HRV assessment',
+        'Fréquence de Résonance': 'Resonance Frequency',
+        '5 paliers': '5 steps',
+        'Étude 2024': '2024 study',
+        'Méthode Wim Hof': 'Wim Hof Method',
+        'Énergie & Résilience': 'Energy & Resilience',
+        'Calme nerveux': 'Nervous calm',
+        'CO2 Tolérance': 'CO2 Tolerance',
+        'Hypoventilation VHL CO2': 'VHL CO2 Hypoventilation',
+        'CO2 réel': 'Real CO2',
+        '5 séries': '5 sets',
+        'VHL Classique Woorons': 'Classic Woorons VHL',
+        'CO2 avancé': 'Advanced CO2',
+        '8 séries': '8 sets',
+        'VHL Statique': 'Static VHL',
+        '6 cycles': '6 cycles',
+        'IMST — Force Inspiratoire': 'IMST — Inspiratory Strength',
+        'Force': 'Strength',
+        '5 × 30 reps': '5 × 30 reps',
+        'Respiration Réduite CO2': 'Reduced Breathing CO2',
+        'Tolérance CO2': 'CO2 tolerance',
+        'Cohérence Plus': 'Coherence Plus',
+        'Capacité & Calme': 'Capacity & Calm',
+        'Respiration 4-7-8': '4-7-8 Breathing',
+        '4 cycles': '4 cycles',
+        'Relaxation': 'Relaxation',
+        'Équilibre': 'Balance',
+        'Alternée': 'Alternate',
+        'Énergie': 'Energy',
+        '3 rounds': '3 rounds',
+        'Vibration': 'Vibration',
+
+        // Visualisation
+        'Protocoles de sophrologie et d\'imagerie mentale utilisés par les athlètes olympiques': 'Sophrology and mental imagery protocols used by Olympic athletes',
+        'Parcours attentionnel systématique du corps. Améliore la conscience corporelle et active le système parasympathique.': 'A systematic attention sweep through the body. Improves body awareness and activates the parasympathetic system.',
+        'Protocole en 7 points utilisé par 70-90% des olympiens. Imagerie motrice complète multi-sensorielle.': '7-point protocol used by 70-90% of Olympians. Complete multi-sensory motor imagery.',
+        'Méthode IRTER : Inspiration-Rétention-Tension-Expiration-Relâchement. Niveau 1 de sophrologie.': 'IRTER method: Inhale-Retain-Tense-Exhale-Release. Sophrology level 1.',
+        'Contraction-relâchement systématique. Validée sur 3400+ participants pour réduire stress et anxiété.': 'Systematic tense-and-release. Validated on 3,400+ participants to reduce stress and anxiety.',
+        'Technique du spotlight : visualiser un faisceau de lumière sur l\'objet d\'attention. Améliore la concentration.': 'Spotlight technique: picture a beam of light on the object of attention. Improves focus.',
+        'Routine mentale complète de l\'apnéiste : descente, fond, remontée. Réduit l\'anxiété de 20%.': 'The freediver\'s complete mental routine: descent, bottom, ascent. Reduces anxiety by 20%.',
+        'Protocole d\'endormissement en 7 minutes combinant relaxation progressive, 4-7-8 et imagerie hypnagogique.': '7-minute sleep protocol combining progressive relaxation, 4-7-8 and hypnagogic imagery.',
+        'Blocs respiratoires 4-7-8 guidés + body scan progressif. Méthode Dr. Andrew Weil.': 'Guided 4-7-8 breathing blocks + progressive body scan. Dr Andrew Weil\'s method.',
+        'Conscience corporelle': 'Body awareness',
+        'Olympique': 'Olympic',
+        'Visualisation PETTLEP': 'PETTLEP Visualisation',
+        'Performance': 'Performance',
+        'Sophrologie': 'Sophrology',
+        'Relaxation Dynamique': 'Dynamic Relaxation',
+        'Relaxation profonde': 'Deep relaxation',
+        'Relaxation Musculaire Progressive': 'Progressive Muscle Relaxation',
+        'Tension musculaire': 'Muscle tension',
+        'Concentration': 'Focus',
+        'Entraînement Focus': 'Focus Training',
+        'Attention': 'Attention',
+        'Apnéiste': 'Freediver',
+        'Visualisation Pré-Plongée': 'Pre-Dive Visualisation',
+        'Préparation mentale': 'Mental preparation',
+        'Descente vers le Sommeil': 'Descent into Sleep',
+        'Endormissement': 'Falling asleep',
+
+        // Apnée
+        'Entraînement Apnée': 'Apnea Training',
+        'Protocoles progressifs pour développer votre capacité de rétention respiratoire en sécurité': 'Progressive protocols to build your breath-hold capacity safely',
+        'Mesurez votre apnée statique maximale pour personnaliser vos tables d\'entraînement': 'Measure your maximum static apnea to personalise your training tables',
+        'Apnées constantes avec repos décroissant. Développe la tolérance à l\'accumulation de CO2.': 'Constant holds with decreasing rest. Builds tolerance to CO2 build-up.',
+        'Apnées progressives avec repos constant. Adapte le corps aux faibles niveaux d\'oxygène.': 'Progressive holds with constant rest. Adapts the body to low oxygen levels.',
+        'Méthode douce : rester dans le confort pour développer une relation saine avec le CO2.': 'Gentle method: stay comfortable to build a healthy relationship with CO2.',
+        'Apnée libre : arrêtez dès l\'inconfort. Suivez votre progression naturelle au fil des sessions.': 'Free hold: stop at the first discomfort. Follow your natural progress across sessions.',
+        'Apnée poumons vides : expirez normalement, retenez, arrêtez dès l\'inconfort. Progression séparée.': 'Empty-lung hold: exhale normally, hold, stop at the first discomfort. Tracked separately.',
+        'Exercices pour optimiser la bradycardie et la vasoconstriction périphérique. Utilisez de l\'eau froide sur le visage.': 'Exercises to optimise bradycardia and peripheral vasoconstriction. Use cold water on your face.',
+        'Uddiyana bandha et étirements intercostaux pour augmenter la capacité vitale.': 'Uddiyana bandha and intercostal stretches to increase vital capacity.',
+        'Maîtrise de la respiration abdominale en 3 temps. Base de tout entraînement apnée.': 'Master 3-stage belly breathing. The basis of all apnea training.',
+        'Technique de récupération post-apnée en 3 rounds progressifs. Réflexe vital de sécurité à automatiser.': 'Post-hold recovery technique in 3 progressive rounds. A vital safety reflex to automate.',
+        'Apnée avec suivi des spasmes, coaching vocal et reframing cognitif. Progressif sur 6 semaines.': 'Hold with contraction tracking, voice coaching and cognitive reframing. Progressive over 6 weeks.',
+        'Apnée guidée avec scan corporel progressif. Déplace l\'attention pendant la rétention pour plus de confort.': 'Guided hold with a progressive body scan. Moves attention during the hold for more comfort.',
+        'Apnée statique à 80% du volume pulmonaire. Focus relâchement glottique et flexibilité thoracique (Néry / Blunery).': 'Static hold at 80% lung volume. Focus on glottis relaxation and chest flexibility (Néry / Blunery).',
+        'Ne jamais pratiquer l\'apnée dans l\'eau seul. L\'entraînement à sec est plus sûr. Arrêtez en cas de vertiges, picotements ou troubles visuels. Ne pas combiner tables O2 et CO2 le même jour.': 'Never practise apnea in water alone. Dry training is safer. Stop if you feel dizzy, tingling or have visual disturbances. Do not combine O2 and CO2 tables on the same day.',
+        'Test de Base': 'Baseline Test',
+        'Votre record': 'Your record',
+        'Faire le test': 'Take the test',
+        'Base des tables': 'Table baseline',
+        'Table CO2': 'CO2 Table',
+        '8 cycles': '8 cycles',
+        'Tolérance O2': 'O2 tolerance',
+        'Table O2': 'O2 Table',
+        'Débutant': 'Beginner',
+        'Table Sans Contraction': 'No-Contraction Table',
+        'Progression douce': 'Gentle progression',
+        'Progression': 'Progression',
+        'Zone de Confort': 'Comfort Zone',
+        '5 rounds': '5 rounds',
+        'Timer libre ↑': 'Free timer ↑',
+        'Zone de Confort FRC': 'FRC Comfort Zone',
+        'Poumons vides': 'Empty lungs',
+        'Physiologie': 'Physiology',
+        'Réflexe de Plongée': 'Dive Reflex',
+        'Adaptation': 'Adaptation',
+        'Capacité': 'Capacity',
+        'Étirements Pulmonaires': 'Lung Stretches',
+        'Flexibilité': 'Flexibility',
+        'Fondamental': 'Fundamental',
+        'Respiration Diaphragmatique': 'Diaphragmatic Breathing',
+        'Technique': 'Technique',
+        'Sécurité': 'Safety',
+        'Récupération': 'Recovery',
+        'Avancé': 'Advanced',
+        'Tolérance Contractions': 'Contraction Tolerance',
+        'Hybride': 'Hybrid',
+        'Body Scan Apnée': 'Apnea Body Scan',
+        '3 cycles': '3 cycles',
+        'Timer ↑': 'Timer ↑',
+        '80% vol.': '80% vol.',
+
+        // Multi Timer
+        'Créez des séquences de chronomètres personnalisées pour vos entraînements': 'Create custom timer sequences for your training',
+        'Mes séquences': 'My sequences',
+        'Nouvelle séquence': 'New sequence',
+        'Intervalles 30/30': '30/30 Intervals',
+        '30s effort / 30s repos × 8': '30s work / 30s rest × 8',
+        '20s effort / 10s repos × 8': '20s work / 10s rest × 8',
+        'Pyramide': 'Pyramid',
+        '7 phases': '7 phases',
+        'Créer une séquence': 'Create a sequence',
+        'Personnalisez vos intervalles': 'Customise your intervals',
+        'Timer rapide': 'Quick timer',
+        'Chronomètre simple avec alarme': 'Simple stopwatch with alarm',
+        'Prêt': 'Ready',
+        'Pause': 'Pause',
+        'Reset': 'Reset',
+        'Nom de la séquence': 'Sequence name',
+        'Type de séquence': 'Sequence type',
+        'Intervalles': 'Intervals',
+        'Personnalisé': 'Custom',
+        'Durée effort': 'Work duration',
+        'Répétitions': 'Repetitions',
+        'Labels des phases': 'Phase labels',
+        'Bleu': 'Blue',
+        'Vert': 'Green',
+        'Orange': 'Orange',
+        'Rouge': 'Red',
+        'Violet': 'Purple',
+        'Ajouter une phase': 'Add a phase',
+        'Pause (pleins)': 'Hold (full)',
+        'Pause (vides)': 'Hold (empty)',
+        'Cycles': 'Cycles',
+        'Sons': 'Sounds',
+        'Zen (bols)': 'Zen (bowls)',
+        'Harpe': 'Harp',
+        'Instructions vocales (optionnel)': 'Voice instructions (optional)',
+        'Aperçu': 'Preview',
+        'Durée totale:': 'Total duration:',
+        'Phases:': 'Phases:',
+        'Séquence': 'Sequence',
+        'Suivant:': 'Next:',
+        'Ma séquence': 'My sequence',
+        'Effort': 'Work',
+        'Repos': 'Rest',
+        'Nom': 'Name',
+        'Inspirez par le nez...': 'Breathe in through the nose...',
+        'Retenez poumons pleins...': 'Hold with full lungs...',
+        'Expirez lentement...': 'Breathe out slowly...',
+        'Poumons vides...': 'Empty lungs...',
+
+        // Urgence
+        'Exercices rapides pour retrouver le calme en cas de panique, anxiété ou stress soudain': 'Quick exercises to regain calm during panic, anxiety or sudden stress',
+        'En cas de crise': 'In a crisis',
+        'Ces exercices sont conçus pour être utilisés immédiatement lors d\'un pic d\'anxiété ou de panique. Commencez par le premier exercice et passez au suivant si nécessaire.': 'These exercises are designed to be used immediately during a spike of anxiety or panic. Start with the first one and move to the next if needed.',
+        'Le plus rapide : double inspiration + longue expiration. Effet immédiat sur le système nerveux.': 'The fastest: double inhale + long exhale. Immediate effect on the nervous system.',
+        'Technique de grounding : 5 choses vues, 5 entendues, 5 sensations tactiles. Reconnexion au présent.': 'Grounding technique: 5 things you see, 5 you hear, 5 you feel. Reconnects you to the present.',
+        'Inspiration 4s, expiration 8s. Active rapidement le nerf vague et le système parasympathique.': 'Inhale 4s, exhale 8s. Quickly activates the vagus nerve and the parasympathetic system.',
+        'Version courte 4-4-4-4. Reprend le contrôle de la respiration en quelques cycles.': 'Short 4-4-4-4 version. Regain control of your breathing in a few cycles.',
+        'Soupir Physiologique': 'Physiological Sigh',
+        'Effet immédiat': 'Immediate effect',
+        'Ancrage 5-5-5': '5-5-5 Grounding',
+        'Dissociation': 'Dissociation',
+        'Expiration Prolongée': 'Extended Exhale',
+        'Calme rapide': 'Quick calm',
+        'Box Breathing Rapide': 'Quick Box Breathing',
+        'Contrôle': 'Control',
+
+        // Pré-performance
+        'Protocole de 5 minutes pour optimiser votre état avant une plongée, compétition ou moment important': '5-minute protocol to optimise your state before a dive, competition or important moment',
+        'Ce protocole combine respiration, relaxation et visualisation pour vous mettre dans l\'état optimal. Idéal avant une plongée en apnée, une chasse sous-marine ou toute performance.': 'This protocol combines breathing, relaxation and visualisation to put you in the optimal state. Ideal before a freedive, a spearfishing session or any performance.',
+        'Séquence complète : relaxation musculaire rapide, cohérence cardiaque, visualisation de succès.': 'Full sequence: quick muscle relaxation, cardiac coherence, success visualisation.',
+        'Breathe-up optimisé : activation du réflexe de plongée, respiration diaphragmatique, visualisation de la descente.': 'Optimised breathe-up: dive reflex activation, diaphragmatic breathing, descent visualisation.',
+        'Cohérence cardiaque en 3 minutes : suffisant pour synchroniser cœur et respiration avant l\'action.': 'Cardiac coherence in 3 minutes: enough to synchronise heart and breathing before action.',
+        'Visualisation rapide de votre performance parfaite. Ancrage de l\'état de confiance optimal.': 'Quick visualisation of your perfect performance. Anchors the optimal state of confidence.',
+        'Préparation pré-plongée en 3 phases : tidal 1:2, respiration segmentaire, inspiration finale en 3 étages.': '3-phase pre-dive preparation: 1:2 tidal, segmental breathing, 3-stage final inhale.',
+        '5 minutes avant': '5 minutes before',
+        'Protocole complet': 'Full protocol',
+        'Protocole 5 Minutes': '5-Minute Protocol',
+        'Complet': 'Complete',
+        'Préparation Plongée': 'Dive Preparation',
+        'Apnée / Chasse': 'Apnea / Spearfishing',
+        'Cohérence Express': 'Express Coherence',
+        'Focus': 'Focus',
+        'Visualisation Express': 'Express Visualisation',
+        'Mental': 'Mental',
+        'Breathe-Up Structuré': 'Structured Breathe-Up',
+        'Pré-Plongée': 'Pre-Dive',
+
+        // Hypnose
+        'Auto-Hypnose Apnée': 'Apnea Self-Hypnosis',
+        'Techniques avancées de dissociation sensorielle et de flow-state pour apnéistes': 'Advanced sensory dissociation and flow-state techniques for freedivers',
+        'Découvrez les bases de l\'auto-hypnose : induction progressive, approfondissement et création de votre ancre personnelle.': 'Learn the basics of self-hypnosis: progressive induction, deepening and creating your personal anchor.',
+        'Fragmentation sensorielle complète pour apnée statique. Technique de switch pour déplacer l\'attention des spasmes.': 'Full sensory fragmentation for static apnea. A switch technique to move attention away from contractions.',
+        'Parcours rapide des zones neutres du corps pour rediriger l\'attention. Utilisable pendant l\'apnée elle-même.': 'A quick sweep of the body\'s neutral zones to redirect attention. Usable during the hold itself.',
+        'Dissociation moteur/passager et mantra rythmique pour DNF et monopalme. Passez en mode automatique.': 'Engine/passenger dissociation and a rhythmic mantra for DNF and monofin. Switch to autopilot.',
+        'Apprendre à ne plus lutter : respiration passive, acceptation ACT et conditionnement par mot-clé "lâche".': 'Learn to stop fighting: passive breathing, ACT acceptance and conditioning with the keyword "let go".',
+        'Programme 10 min pour rééduquer le système nerveux : Cyclic Sighing → mobilisation diaphragme → apnées de déconcentration sensorielle (méthode Molchanovs) → silence intégratif.': '10-min programme to retrain the nervous system: Cyclic Sighing → diaphragm mobilisation → sensory defocusing holds (Molchanovs method) → integrative silence.',
+        'Guide en 8 semaines pour transférer vos performances du sec vers l\'eau. Réduit l\'anxiété aquatique progressivement.': '8-week guide to transfer your dry performance to the water. Gradually reduces water anxiety.',
+        'Fragmentation Sensorielle VAKOG': 'VAKOG Sensory Fragmentation',
+        'Initiation Auto-Hypnose': 'Self-Hypnosis Introduction',
+        'VAKOG Statique': 'Static VAKOG',
+        'Gestion spasmes': 'Contraction management',
+        'Pendant apnée': 'During the hold',
+        'Scan Sensoriel Circulaire': 'Circular Sensory Scan',
+        'Dynamique': 'Dynamic',
+        'Flow-State Dynamique': 'Dynamic Flow-State',
+        'Lâcher-prise': 'Letting go',
+        'Méditation Lâcher-Prise': 'Letting-Go Meditation',
+        'Mental / Anxiété': 'Mental / Anxiety',
+        'Lâcher-prise / Hyper-vigilance': 'Letting go / Hypervigilance',
+        'Programme 8 sem.': '8-week programme',
+        'Programme Dry-to-Wet': 'Dry-to-Wet Programme',
+        'Transfert Eau': 'Water transfer',
+        'Conseils d\'utilisation': 'Tips for use',
+        'Ancre pouce-index :': 'Thumb-index anchor:',
+        'Pressez légèrement votre pouce contre votre index pour activer instantanément l\'état de calme.': 'Press your thumb lightly against your index finger to instantly trigger the calm state.',
+        'Entraînez-vous à sec :': 'Practise dry:',
+        'Pratiquez ces techniques hors de l\'eau avant de les utiliser en apnée réelle.': 'Practise these techniques out of the water before using them in a real dive.',
+        'Mantra Glisse-Relâche :': 'Glide-Release mantra:',
+        'Utilisez ce rythme mental pendant vos dynamiques pour entrer en mode automatique.': 'Use this mental rhythm during your dynamics to switch to autopilot.',
+        'Switch rapide :': 'Quick switch:',
+        'Dès qu\'un spasme arrive, déplacez votre attention sur le lobe d\'oreille ou le petit orteil.': 'As soon as a contraction comes, move your attention to your earlobe or little toe.',
+
+        // Favoris et guide
+        'Mes Favoris': 'My Favourites',
+        'Vos exercices préférés, accessibles rapidement': 'Your favourite exercises, one tap away',
+        'Aucun favori pour le moment.': 'No favourites yet.',
+        'Appuyez sur l\'étoile ★ d\'un exercice pour l\'ajouter ici.': 'Tap the ★ star on an exercise to add it here.',
+        'Guide des exercices': 'Exercise guide',
+        'Choisissez vos exercices selon votre objectif, votre niveau et votre blocage principal': 'Choose your exercises by goal, level and main blocker',
+        'Quel est votre objectif ?': 'What is your goal?',
+        'Apnée statique': 'Static apnea',
+        'Apnée dynamique': 'Dynamic apnea',
+        'Profondeur': 'Depth',
+        'Lâcher-prise / Anxiété': 'Letting go / Anxiety',
+        'Tolérance contractions': 'Contraction tolerance',
+        'Transfert sec → eau': 'Dry → wet transfer',
+        'Niveau :': 'Level:',
+        'Tous': 'All',
+        'Intermédiaire': 'Intermediate',
+        'exercices disponibles': 'exercises available',
+        'Pré-session': 'Pre-session',
+        'Anti-stress': 'Anti-stress',
+        '🫁 Technique respiratoire': '🫁 Breathing technique',
+        '🧘 Position': '🧘 Position',
+        '✨ Effets recherchés': '✨ Intended effects',
+        'Physiologique :': 'Physiological:',
+        'Mental :': 'Mental:',
+        '🧠 État d\'esprit': '🧠 Mindset',
+        'Quand :': 'When:',
+        'Quotidien': 'Daily',
+        'Pour l\'apnée :': 'For apnea:',
+        'Tous niveaux': 'All levels',
+        'Aucun exercice ne correspond à cette combinaison de filtres.': 'No exercise matches this combination of filters.',
+        'Essayez un autre objectif ou niveau.': 'Try another goal or level.',
+        'Programmes suggérés': 'Suggested programmes',
+        'Débutant — Semaines 1-4': 'Beginner — Weeks 1-4',
+        'Construire les fondations': 'Build the foundations',
+        'Quotidien :': 'Daily:',
+        'Intermédiaire — Semaines 5-12': 'Intermediate — Weeks 5-12',
+        'Augmenter la tolérance et le confort': 'Increase tolerance and comfort',
+        'Avant chaque apnée :': 'Before each hold:',
+        'Transfert Sec → Eau': 'Dry → Wet Transfer',
+        'Spécial écart dry/wet important': 'For a large dry/wet gap',
+        'Suivre :': 'Follow:',
+        'Avant l\'eau :': 'Before the water:',
+        'Après l\'eau :': 'After the water:',
+        'Hook Breathing (toujours !)': 'Hook Breathing (always!)',
+
+        // Coach
+        'Entrainement apnee au sec — programmes adaptes a ton niveau': 'Dry apnea training — programmes suited to your level',
+        'Sessions': 'Sessions',
+        'Serie (j)': 'Streak (d)',
+        'Stress reduit': 'Stress reduced',
+        'Mon profil': 'My profile',
+        'Physio': 'Physiology',
+        'Age': 'Age',
+        'ans': 'yrs',
+        'Taille': 'Height',
+        'Poids': 'Weight',
+        'VO2max estimee': 'Estimated VO2max',
+        'FC repos': 'Resting HR',
+        'Fréq. résonance': 'Resonance rate',
+        'resp/min': 'br/min',
+        'Apnee': 'Apnea',
+        'Statique max (sec)': 'Max static (sec)',
+        'Statique dry max': 'Max dry static',
+        'Dynamique max': 'Max dynamic',
+        'Profondeur max': 'Max depth',
+        'Premiere contraction (sec)': 'First contraction (sec)',
+        'Niveau': 'Level',
+        'Intermediaire (1min30 - 3min)': 'Intermediate (1min30 - 3min)',
+        'Avance (3min - 5min)': 'Advanced (3min - 5min)',
+        'Sport & Entrainement': 'Sport & Training',
+        'Sport(s) principal(aux)': 'Main sport(s)',
+        'Ex: apnee, natation, course...': 'E.g. freediving, swimming, running...',
+        'Frequence entrainement': 'Training frequency',
+        '1-2x / semaine': '1-2x / week',
+        '3-4x / semaine': '3-4x / week',
+        '5+ / semaine': '5+ / week',
+        'Etat actuel': 'Current state',
+        'Reprise apres pause': 'Returning after a break',
+        'Construction de base': 'Base building',
+        'En progression': 'Progressing',
+        'Plateau': 'Plateau',
+        'Pic de forme': 'Peak form',
+        'Fatigue / surentrainement': 'Fatigue / overtraining',
+        'Notes libres': 'Free notes',
+        'Enregistrer le profil': 'Save profile',
+        'Apnee sec': 'Dry apnea',
+        'Programme': 'Programme',
+        'Bilan': 'Review',
+        'Stress': 'Stress',
+        'Nouvelle conv.': 'New chat',
+        'Nouvelle conversation': 'New conversation',
+        'Joindre un fichier (.docx, .txt, .pdf)': 'Attach a file (.docx, .txt, .pdf)',
+        'Sessions recentes': 'Recent sessions',
+        'Rapport': 'Report',
+
+        // W&B Up (chasse, statique, dynamique, profondeur)
+        '🎣 Chasse': '🎣 Spearfishing',
+        '🧘 Statique': '🧘 Static',
+        '🏊 Dynamique': '🏊 Dynamic',
+        '🤿 Profondeur': '🤿 Depth',
+        '📋 Synthèse': '📋 Summary',
+        '🏖️ Plage': '🏖️ Beach',
+        'Récupération Post-Équipement': 'Post-Gear-Up Recovery',
+        'Inspire 3s · Expire 5s · Normoventilation': 'Inhale 3s · Exhale 5s · Normal breathing',
+        'Lancer timer 5 min': 'Start 5-min timer',
+        '🌊 Eau': '🌊 Water',
+        'Acclimatation — Premières Minutes': 'Acclimatisation — First Minutes',
+        'Lancer timer 8 min guidé': 'Start guided 8-min timer',
+        '🫁 Avant chaque descente': '🫁 Before each descent',
+        'Breathe-Up — 90 secondes': 'Breathe-Up — 90 seconds',
+        'Inspire 5s · Expire 10s · puis 1 seul Last Breath': 'Inhale 5s · Exhale 10s · then a single Last Breath',
+        'Lancer le breathe-up guidé': 'Start the guided breathe-up',
+        '🐟 Au Fond': '🐟 At the Bottom',
+        'Technique d\'Affût — Économie O₂': 'Ambush Technique — O₂ Economy',
+        'Pas de respiration · Relâchement total': 'No breathing · Total relaxation',
+        '♻️ Surface': '♻️ Surface',
+        'Récupération Entre Plongées': 'Recovery Between Dives',
+        'Minimum': 'Minimum',
+        'Recommandé': 'Recommended',
+        'Apnée Statique': 'Static Apnea',
+        'Cohérence cardiaque — 2 min': 'Cardiac coherence — 2 min',
+        '2 min cohérence': '2 min coherence',
+        'Protocole statique complet': 'Full static protocol',
+        'Pendant l\'arrêt': 'During the hold',
+        'Apnée Dynamique': 'Dynamic Apnea',
+        'Breathe-up — 2-3 min (plus long)': 'Breathe-up — 2-3 min (longer)',
+        'Protocole dynamique complet': 'Full dynamic protocol',
+        'Pendant la nage': 'While swimming',
+        'Apnée en Profondeur': 'Depth Apnea',
+        'Cohérence + Méditation — 2-3 min': 'Coherence + Meditation — 2-3 min',
+        'Breathe-up profond — 2-5 min': 'Deep breathe-up — 2-5 min',
+        '3 min cohérence méditée': '3 min meditative coherence',
+        'Protocole profondeur complet': 'Full depth protocol',
+        'Descente': 'Descent',
+        'Synthèse — Feuille de référence': 'Summary — Reference sheet',
+        'Chasse Sous-Marine — Journée complète': 'Spearfishing — Full day',
+        'Plage': 'Beach',
+        'Eau': 'Water',
+        'Chauffe': 'Warm-up',
+        'Avant descente': 'Before descent',
+        'Fond': 'Bottom',
+        'Surface': 'Surface',
+        'Comparatif des 3 Disciplines': 'The 3 Disciplines Compared',
+        'Durée': 'Duration',
+        'Volume last breath': 'Last breath volume',
+        'Facteur limitant': 'Limiting factor',
+        'Principal risque': 'Main risk',
+        'Syncope': 'Blackout',
+        'Règle Absolue — À ne jamais oublier': 'Absolute Rule — Never forget',
+
+        // Paramètres des exercices
+        'Paramètres': 'Settings',
+        'Personnalisez tous les exercices selon vos capacités': 'Customise every exercise to your abilities',
+        'Mode de configuration': 'Configuration mode',
+        'Automatique': 'Automatic',
+        'Tables d\'apnée en % de votre max': 'Apnea tables as a % of your max',
+        'Optimal': 'Optimal',
+        'Tous les exos calibrés sur votre apnée': 'All exercises calibrated to your hold',
+        'Manuel': 'Manual',
+        'Paramètres personnalisés': 'Custom settings',
+        'Temps d\'apnée maximum de référence': 'Reference maximum hold time',
+        'Tester': 'Test',
+        'Pourcentages utilisés pour les tables d\'apnée': 'Percentages used for the apnea tables',
+        'Table CO2 (apnée constante)': 'CO2 table (constant hold)',
+        'Table O2 (début → fin)': 'O2 table (start → end)',
+        'Table sans contraction': 'No-contraction table',
+        'Durée totale': 'Total duration',
+        '1ère inspiration': '1st inhale',
+        '2ème inspiration': '2nd inhale',
+        'Expiration': 'Exhale',
+        'Inspiration': 'Inhale',
+        'Fréquence cible': 'Target rate',
+        'Ratio inspir:expir': 'Inhale:exhale ratio',
+        'Rétention (poumons pleins)': 'Hold (full lungs)',
+        'Évaluation Fréquence de Résonance': 'Resonance Frequency Assessment',
+        'Rythme de départ': 'Starting rate',
+        'Rythme final': 'Final rate',
+        'Durée par palier': 'Duration per step',
+        'Durée de chaque phase': 'Duration of each phase',
+        'Nombre de rounds': 'Number of rounds',
+        'Respirations par round': 'Breaths per round',
+        'Nombre de séries': 'Number of sets',
+        'séries': 'sets',
+        'Respirations avant pause': 'Breaths before pause',
+        'souffles': 'breaths',
+        'Durée pause CO2': 'CO2 pause duration',
+        'Respirations de repos': 'Rest breaths',
+        'Durée d\'apnée': 'Hold duration',
+        'Respirations de récup': 'Recovery breaths',
+        'Nombre de cycles': 'Number of cycles',
+        'cycles': 'cycles',
+        'Préparation (cyclic sighing)': 'Preparation (cyclic sighing)',
+        'Volume': 'Volume',
+        'FRC — Expir passive (débutant)': 'FRC — Passive exhale (beginner)',
+        'RV — Expir forcée (avancé)': 'RV — Forced exhale (advanced)',
+        'Mode': 'Mode',
+        'Avec device (PowerBreathe…)': 'With a device (PowerBreathe…)',
+        'Sans device (effort max volontaire)': 'Without a device (max voluntary effort)',
+        'Répétitions par série': 'Reps per set',
+        'Durée inhale': 'Inhale duration',
+        'Durée exhale passif': 'Passive exhale duration',
+        'Repos entre séries': 'Rest between sets',
+        'Suspension poumons pleins': 'Full-lung hang',
+        '5 s — Débutant': '5 s — Beginner',
+        '10 s — Intermédiaire ✓': '10 s — Intermediate ✓',
+        '15 s — Avancé': '15 s — Advanced',
+        '20 s — Expert': '20 s — Expert',
+        'Continu': 'Continuous',
+        'Le body scan s\'adapte automatiquement à la durée choisie.': 'The body scan adapts automatically to the chosen duration.',
+        'Durée par phase': 'Duration per phase',
+        'Vitesse (1 cycle)': 'Speed (1 cycle)',
+        'Mode de timing guidé': 'Guided timing mode',
+        'Timing': 'Timing',
+        'Adaptatif (voix)': 'Adaptive (voice)',
+        'Fixe (chrono)': 'Fixed (timer)',
+        'Pause après instruction': 'Pause after instruction',
+        'Durée par zone': 'Duration per zone',
+        'Durée par segment': 'Duration per segment',
+        'Relaxation Musculaire': 'Muscle Relaxation',
+        'Durée par muscle': 'Duration per muscle',
+        'Repos initial': 'Initial rest',
+        'Repos final': 'Final rest',
+        'Apnée initiale': 'Initial hold',
+        'Apnée finale': 'Final hold',
+        'Temps de repos': 'Rest time',
+        'Repos entre rounds': 'Rest between rounds',
+        'Préparation respiratoire': 'Breathing preparation',
+        'Niveau (semaine)': 'Level (week)',
+        'Durée breathe-up': 'Breathe-up duration',
+        'Durée repos': 'Rest duration',
+        'Récupération entre cycles': 'Recovery between cycles',
+        'Durée max par suspension': 'Max duration per hang',
+
+        // Réglages de l'app
+        'Fournisseur IA': 'AI provider',
+        'Serveur local (compatible OpenAI)': 'Local server (OpenAI-compatible)',
+        'Adresse du serveur': 'Server address',
+        'Cle API': 'API key',
+        'Modele': 'Model',
+        'Claude Haiku (rapide)': 'Claude Haiku (fast)',
+        'Detecter les modeles': 'Detect models',
+        'Suggestion auto apres exercice': 'Auto suggestion after exercise',
+        'Objectifs personnels': 'Personal goals',
+        'Instructions personnalisées': 'Custom instructions',
+        '(ajoutées au prompt du coach)': '(added to the coach prompt)',
+        'Synchronisation': 'Sync',
+        'Non configuré': 'Not set up',
+        'Stockage': 'Storage',
+        'Serveur REST': 'REST server',
+        'Dossier local': 'Local folder',
+        'Token GitHub': 'GitHub token',
+        'Créez un token sur': 'Create a token at',
+        'avec le scope': 'with the scope',
+        'uniquement.': 'only.',
+        '2ème appareil :': '2nd device:',
+        'Collez le Gist ID de l\'autre appareil, ou laissez vide': 'Paste the Gist ID from the other device, or leave empty',
+        'URL du dossier': 'Folder URL',
+        'Utilisateur': 'User',
+        'Mot de passe d\'application': 'App password',
+        'URL du document': 'Document URL',
+        'Choisir un dossier': 'Choose a folder',
+        'Configurer': 'Set up',
+        'Sync maintenant': 'Sync now',
+        'Déconnecter': 'Disconnect',
+        'Sync automatique après chaque modification': 'Auto sync after each change',
+        'Cardiofréquencemètre': 'Heart rate monitor',
+        'Non connecté': 'Not connected',
+        'Ceinture ou montre compatible Bluetooth': 'Bluetooth-compatible chest strap or watch',
+        'Connecter un capteur': 'Connect a sensor',
+        'Langue': 'Language',
+        'Langue de l\'app': 'App language',
+        'Langue de l\'appareil': 'Device language',
+        'Annonces vocales': 'Voice callouts',
+        'Temps écoulé, temps restant et décompte annoncés pendant les apnées et les récupérations qui les précèdent. Légère : chaque minute et 30 s avant la fin. Dense : toutes les 15 s et décompte des 10 dernières secondes.': 'Elapsed time, time left and countdown announced during holds and the recoveries before them. Light: every minute and 30 s before the end. Dense: every 15 s and a countdown of the last 10 seconds.',
+        'Aucune': 'None',
+        'Légère': 'Light',
+        'Normale': 'Normal',
+        'Dense': 'Dense',
+        'Encore {time}': '{time} left',
+        '1 seconde': '1 second',
+        '{n} secondes': '{n} seconds',
+        '1 minute': '1 minute',
+        '{n} minutes': '{n} minutes',
+        'Sauvegarde locale': 'Local backup',
+        'Exporter les données': 'Export data',
+
+        // Exercice en cours et retour de séance
+        'Contraction !': 'Contraction!',
+        'Contractions : 0': 'Contractions: 0',
+        '✋ J\'arrête': '✋ Stop',
+        '⚡ 1ère envie': '⚡ 1st urge',
+        '✋ Sortir': '✋ Out',
+        'Comment vous sentez-vous ?': 'How do you feel?',
+        'Ressenti global': 'Overall feeling',
+        'Difficile': 'Hard',
+        'Excellent': 'Excellent',
+        'Stress avant l\'exercice': 'Stress before the exercise',
+        'Tres stresse': 'Very stressed',
+        'Stress apres l\'exercice': 'Stress after the exercise',
+        'Score gorge': 'Throat score',
+        '(1 = serrée · 5 = ouverte/moelleuse)': '(1 = tight · 5 = open/soft)',
+        'Serrée': 'Tight',
+        'Ouverte': 'Open',
+        'État mental': 'Mental state',
+        '⚡ Vigilant': '⚡ Alert',
+        '○ Neutre': '○ Neutral',
+        '🌊 Flow': '🌊 Flow',
+        'Confort trachéal': 'Tracheal comfort',
+        '(tiraillement ?)': '(pulling?)',
+        '✅ Confortable': '✅ Comfortable',
+        '⚠️ Tiraillement': '⚠️ Pulling',
+        'Suspensions': 'Hangs',
+        '(⚡ = 1ère envie)': '(⚡ = 1st urge)',
+        'Notes (optionnel)': 'Notes (optional)',
+        'Table proposée': 'Suggested table',
+        'Cycle': 'Cycle',
+        'Apnée (s)': 'Hold (s)',
+        'Repos (s)': 'Rest (s)',
+        'Valeurs modifiables — la table de base est indiquée en gris.': 'Values can be edited — the base table is shown in grey.',
+        'Table de base': 'Base table',
+        'Test d\'Apnée Statique': 'Static Apnea Test',
+        'Commencer l\'apnée': 'Start the hold',
+        '⚡ 1ère contraction': '⚡ 1st contraction',
+        'FRC (expiration passive)': 'FRC (passive exhale)',
+        'À sec': 'Dry',
+        'Dans l\'eau': 'In water',
+        'Votre résultat': 'Your result',
+        'Enregistrer dans le journal': 'Save to log',
+        'Phase suivante': 'Next phase',
+        'Volume pulmonaire': 'Lung volume',
+        'Environnement': 'Environment',
+
+        // Phases (libellés affichés ; les noms restent les identifiants)
+        'Inspirez': 'Breathe in',
+        'Inspirez +': 'Breathe in +',
+        'Expirez': 'Breathe out',
+        'Expirez lentement': 'Breathe out slowly',
+        'Expirez longuement': 'Long exhale',
+        'Retenez': 'Hold',
+        'Inspirez profondément': 'Breathe in deeply',
+        'Relâchez': 'Release',
+        'Inspir Nasale': 'Nasal Inhale',
+        'Pause Plein': 'Full Pause',
+        'Expir Ocean Breath': 'Ocean Breath Exhale',
+        'Expir Ocean': 'Ocean Exhale',
+        'Pause Vide': 'Empty Pause',
+        'Respirez': 'Breathe',
+        'Pause CO2': 'CO2 Pause',
+        'Pause CO₂': 'CO₂ Pause',
+        'Préparez': 'Get ready',
+        'Pause VHL': 'VHL Pause',
+        'Récupérez': 'Recover',
+        'Inspirez fort !': 'Breathe in hard!',
+        'Suspension': 'Hang',
+        'Immobilité': 'Stillness',
+        'Pūraka (Inspir)': 'Pūraka (Inhale)',
+        'Kumbhaka (Rétention)': 'Kumbhaka (Hold)',
+        'Rechaka (Expir)': 'Rechaka (Exhale)',
+        'Inspir narine gauche': 'Inhale left nostril',
+        'Rétention': 'Hold',
+        'Expir narine droite': 'Exhale right nostril',
+        'Inspir narine droite': 'Inhale right nostril',
+        'Expir narine gauche': 'Exhale left nostril',
+        'Expir forcé': 'Forced exhale',
+        'Inspir passif': 'Passive inhale',
+        'Inspirez (Ujjayi)': 'Breathe in (Ujjayi)',
+        'Expirez (Ujjayi)': 'Breathe out (Ujjayi)',
+        'Bourdonnez (Mmm)': 'Hum (Mmm)',
+        'Ventre': 'Belly',
+        'Côtes': 'Ribs',
+        'Poitrine': 'Chest',
+        'Relâchement': 'Release',
+        'Préparation': 'Preparation',
+        'Inspirez 80%': 'Breathe in 80%',
+        'Préparer': 'Prepare',
+        'Inspirer': 'Inhale',
+        'Retenir': 'Hold',
+        'Expirer': 'Exhale',
+
+        // Compteurs et messages des exercices guidés
+        'Palier 1 / {rateSteps.length}': 'Step 1 / {rateSteps.length}',
+        'Palier {palier} : {rate} respirations par minute': 'Step {palier}: {rate} breaths per minute',
+        'Palier {palier}/{rateSteps.length} — {rate} resp/min — {breath}/{breaths}': 'Step {palier}/{rateSteps.length} — {rate} br/min — {breath}/{breaths}',
+        'Round {round}/{rounds} — Respiration {breath}/{breaths}': 'Round {round}/{rounds} — Breath {breath}/{breaths}',
+        'Après votre dernière expiration, retenez aussi longtemps que possible. Appuyez sur ESPACE ou « Sortir » quand vous devez respirer.': 'After your last exhale, hold for as long as you can. Press SPACE or “Out” when you need to breathe.',
+        'Inspirez à fond et retenez {recoveryPhase.duration} secondes': 'Breathe in fully and hold for {recoveryPhase.duration} seconds',
+        'Round {round}/{rounds} terminé — recommencez les respirations': 'Round {round}/{rounds} done — start the breaths again',
+        'Série 1 / {cycles}': 'Set 1 / {cycles}',
+        'Série {serie}/{cycles} — Resp. {breath}/{breaths}': 'Set {serie}/{cycles} — Breath {breath}/{breaths}',
+        'Série {serie}/{cycles} — Pause {holdDuration}s (poumons bas)': 'Set {serie}/{cycles} — Pause {holdDuration}s (low lungs)',
+        'Repos libre — encore {remaining} souffle{remaining:s}': 'Free rest — {remaining} more breath{remaining:s}',
+        'Cycle 1/{cycles} — Cyclic Sighing {prepDuration}s': 'Cycle 1/{cycles} — Cyclic Sighing {prepDuration}s',
+        'Cycle {cycle}/{cycles} — Pause {holdDuration}s (poumons bas)': 'Cycle {cycle}/{cycles} — Pause {holdDuration}s (low lungs)',
+        'Récup — encore {remaining} souffle{remaining:s}': 'Recovery — {remaining} more breath{remaining:s}',
+        'Cycle {cycle} / {cycles} — Repos': 'Cycle {cycle} / {cycles} — Rest',
+        'Cycle {cycle} / {cycles} — Apnée': 'Cycle {cycle} / {cycles} — Hold',
+        'Bien joué. {hold:time} d\'apnée, {contractions} contractions.': 'Well done. {hold:time} hold, {contractions} contractions.',
+        'Cycle 1 / {cycles} — Double soupir': 'Cycle 1 / {cycles} — Double sigh',
+        'Cycle {cycle} / {cycles} — Inspiration': 'Cycle {cycle} / {cycles} — Inhale',
+        'Cycle {cycle} / {cycles} — Suspension': 'Cycle {cycle} / {cycles} — Hang',
+        'Cycle {cycle} / {cycles} — Expiration': 'Cycle {cycle} / {cycles} — Exhale',
+
+        // Notifications
+        'Exercice inconnu : {id}': 'Unknown exercise: {id}',
+        'Touche l\'écran pour lancer « {name} »': 'Tap the screen to start “{name}”',
+        'Erreur sync : {message}': 'Sync error: {message}',
+        'Pack « {name} » importé : {count} phrases': 'Pack “{name}” imported: {count} phrases',
+        'Thème « {name} » enregistré': 'Theme “{name}” saved',
+        'Thème « {name} » importé': 'Theme “{name}” imported',
+        'Thème « {name} » utilisé pour les sons de respiration': 'Theme “{name}” now used for breathing sounds',
+        'Supprimer le thème « {name} » ?': 'Delete the theme “{name}”?',
+        'JSON invalide : {error}': 'Invalid JSON: {error}',
+        'Import impossible : thème invalide': 'Import failed: invalid theme',
+        'Cardiofréquencemètre connecté : {label}': 'Heart rate monitor connected: {label}',
+        'Connexion FC impossible : {message}': 'Could not connect HR monitor: {message}',
+        'Suspension ajustée à {seconds}s pour la prochaine séance': 'Hang set to {seconds}s for the next session',
+        'Programme de {weeks} semaines créé': '{weeks}-week programme created',
+        'Au moins une phase doit avoir une durée > 0': 'At least one phase must last more than 0',
+        'Aucun exercice dans les jours choisis': 'No exercise on the chosen days',
+        'Aucune phase active (toutes les durées sont à 0)': 'No active phase (every duration is 0)',
+        'Choisissez un dossier': 'Choose a folder',
+        'Connexion perdue - Mode hors-ligne actif': 'Connection lost - Offline mode on',
+        'Connexion rétablie - Mode hors-ligne toujours actif': 'Connection restored - Offline mode still on',
+        'Données exportées !': 'Data exported!',
+        'Données importées !': 'Data imported!',
+        'Dossier local non pris en charge par ce navigateur': 'Local folder not supported by this browser',
+        'Entrez une URL http(s) valide': 'Enter a valid http(s) URL',
+        'Entrez votre token GitHub': 'Enter your GitHub token',
+        'Erreur export Word': 'Word export error',
+        'Exercice inconnu': 'Unknown exercise',
+        'Export Excel termine': 'Excel export done',
+        'Export JSON termine': 'JSON export done',
+        'Fichier Excel invalide': 'Invalid Excel file',
+        'Fichier JSON invalide': 'Invalid JSON file',
+        'Fichier vide ou illisible': 'Empty or unreadable file',
+        'Format non supporte (.json ou .xlsx)': 'Unsupported format (.json or .xlsx)',
+        'Impossible de lire ce fichier': 'Could not read this file',
+        'Impossible de supprimer une séquence par défaut': 'A default sequence cannot be deleted',
+        'Librairie Excel non chargee': 'Excel library not loaded',
+        'Librairie Word non chargee': 'Word library not loaded',
+        'Mode en ligne activé': 'Online mode on',
+        'Mode hors-ligne activé': 'Offline mode on',
+        'Pack de voix supprimé': 'Voice pack deleted',
+        'Thème supprimé': 'Theme deleted',
+        'Paramètres enregistrés': 'Settings saved',
+        'Plan généré !': 'Plan generated!',
+        'Plan généré hors-ligne': 'Plan generated offline',
+        'Plan supprimé.': 'Plan deleted.',
+        'Profil enregistre': 'Profile saved',
+        'Programme arrêté.': 'Programme stopped.',
+        'Rapport Word exporte': 'Word report exported',
+        'Session enregistree': 'Session saved',
+        'Sync déconnectée': 'Sync disconnected',
+        'Séquence enregistrée': 'Sequence saved',
+        'Séquence supprimée': 'Sequence deleted',
+        'Échéance réglée : clique sur Générer un plan': 'Target date set: click Generate a plan'
+    },
+
+    exercises: {
+        'cyclic-sighing': {
+            name: 'Cyclic Sighing',
+            description: 'Daily 5-min practice — double inhale + long exhale to lift mood and reduce stress',
+            instructions: {
+                start: 'Get comfortable. We are going to practise cyclic sighing.',
+                'Inspirez': 'Breathe in deeply through your nose, fill your lungs',
+                'Inspirez +': 'Without breathing out, take a second short inhale to fill up completely',
+                'Expirez lentement': 'Breathe out slowly and completely through your mouth'
+            }
+        },
+        'coherent': {
+            name: 'Coherent Breathing',
+            description: '5.5 breaths per minute for cardiac coherence',
+            instructions: {
+                start: 'Breathe naturally at the pace shown. Let your heart synchronise.',
+                'Inspirez': 'Breathe in gently through your nose',
+                'Expirez': 'Breathe out gently through your nose or mouth'
+            }
+        },
+        'cardiac-coherence': {
+            name: 'Cardiac Coherence',
+            description: 'Configurable cardiac resonance breathing — adjustable rate, ratio and hold',
+            instructions: {
+                start: 'Cardiac coherence. Breathe at the pace shown. Let your heart synchronise.',
+                'Inspirez': 'Gentle inhale through the nose, expanding the belly',
+                'Retenez': 'Pause with full lungs, body relaxed',
+                'Expirez': 'Slow, steady exhale'
+            }
+        },
+        'resonance-assessment': {
+            name: 'Resonance Frequency Assessment',
+            description: 'Steps from 6.5 to 4.5 breaths/min to find your optimal coherence rate',
+            instructions: {
+                start: 'Resonance frequency assessment. Follow each pace without forcing, nasal and belly breathing.',
+                'Inspirez': 'Breathe in gently through your nose',
+                'Expirez': 'Breathe out gently, without pushing',
+                rate: 'Was this pace comfortable? Rate it from 1 (unpleasant) to 5 (very smooth).',
+                complete: 'Assessment complete.'
+            }
+        },
+        'box': {
+            name: 'Box Breathing',
+            description: 'The Navy SEALs\' 4-4-4-4 technique',
+            instructions: {
+                start: 'Box breathing: breathe in, hold, breathe out, hold - each phase lasts 4 seconds.',
+                'Inspirez': 'Breathe in slowly through your nose',
+                'Retenez': 'Lungs full, stay relaxed',
+                'Expirez': 'Breathe out slowly and completely',
+                'Retenez ': 'Lungs empty, stay calm'
+            }
+        },
+        'wimhof': {
+            name: 'Wim Hof Method',
+            description: 'Controlled hyperventilation + hold',
+            instructions: {
+                start: 'Wim Hof method: 30 deep breaths, then a maximum hold.',
+                'Inspirez profondément': 'Big breath in through the nose or mouth',
+                'Relâchez': 'Let the air flow out naturally',
+                'Rétention': 'After the last exhale, hold for as long as you can',
+                'Récupération': 'Breathe in fully and hold for 15 seconds'
+            }
+        },
+        'co2-tolerance': {
+            name: '1:2 Breathing (HRV)',
+            description: 'Slow 1:2 breathing (4s/8s) — maximises heart rate variability and calms the nervous system before a dive',
+            instructions: {
+                start: 'Slow, steady breathing. Ideal before an apnea session to calm the nervous system.',
+                'Inspirez': 'Gentle nasal inhale',
+                'Expirez lentement': 'Very slow exhale, let the air out without effort'
+            }
+        },
+        'ocean-breath-co2': {
+            name: 'Ocean Breath CO2',
+            description: 'Long braked exhale (Ujjayi) for CO2 tolerance — glottic braking creates back-pressure that slows CO2 release and drives progressive hypercapnia',
+            instructions: {
+                start: 'Ocean Breath CO2 — Endurance 4-4-16-2. Long braked exhale for CO2 tolerance.',
+                'Inspir Nasale': 'Smooth nasal inhale. Fill to 70% only — not to the maximum.',
+                'Pause Plein': 'Full-lung hang. Shoulders completely relaxed. Throat open.',
+                'Expir Ocean': 'Maximum braking at the back of the throat. The sound should be a steady silk thread. Even from start to finish.',
+                'Pause Vide': 'Stillness with empty lungs. Relax the belly. Get ready for the next cycle.'
+            }
+        },
+        'co2-vhl': {
+            name: 'VHL CO2 Hypoventilation',
+            description: 'Hypoventilation at low lung volume (Woorons) — real chemoreceptor desensitisation through progressive CO2 build-up',
+            instructions: {
+                start: 'VHL hypoventilation. Breathe normally for 3 cycles, then exhale and pause with low lungs. Repeat.',
+                breathe: 'Breathe normally. Get ready for the pause.',
+                hold: 'Exhale normally — do not empty fully. Pause. Lungs half empty.',
+                rest: 'Breathe freely. Recover before the next cycle.',
+                complete: 'VHL session complete. CO2 tolerance builds over 4 to 6 weeks of regular practice.'
+            }
+        },
+        'co2-vhl-classic': {
+            name: 'Classic Woorons VHL',
+            description: 'Woorons\' original VHL protocol — 2 normal breaths then a low-lung pause. Longer pause (6s). Designed as the next step once the CO2 protocol is mastered.',
+            instructions: {
+                start: 'Classic Woorons VHL. 2 normal breaths, then exhale normally and pause with low lungs for 6 seconds. 8 cycles.',
+                breathe: 'Breathe normally. Get ready for the pause.',
+                hold: 'Exhale normally — not fully. Pause for 6 seconds. Lungs half empty.',
+                rest: 'Breathe freely. Recover before the next cycle.',
+                complete: 'Classic VHL session complete. Source protocol: Woorons. You can progress towards an 8s pause.'
+            }
+        },
+        'co2-vhl-static': {
+            name: 'Static VHL',
+            description: 'Low lung volume (FRC) hold with a long pause. Relaxed throat, passive hang — Woorons protocol adapted to advanced CO2 training.',
+            instructions: {
+                start: 'Static VHL. Cyclic sighing preparation: double inhale (audible sniff), slow exhale. 3 minutes.',
+                prep: 'Cyclic Sighing. Breathe in deeply, short sniff, breathe out slowly through the nose. Relax your whole face.',
+                hold: 'Exhale passively — let the chest settle naturally. Hold. Throat open, jaw relaxed. Stay passive.',
+                rest: 'Breathe freely. Exactly the set number of breaths, then the next cycle.',
+                complete: 'Static VHL complete. Note how you felt. Progress takes at least 3 weeks.'
+            }
+        },
+        'imst': {
+            name: 'IMST — Inspiratory Strength',
+            description: 'Forced inhales against high resistance — 30 reps × 5 sets to strengthen the breathing muscles',
+            instructions: {
+                start: 'IMST — 30 forced inhales per set. Breathe in as hard and fast as you can against the resistance. 5 sets in total.',
+                inhale: 'Breathe in hard!',
+                inhale_free: 'Maximum diaphragmatic inhale!',
+                exhale: 'Let go passively.',
+                rest: 'Rest. Breathe normally.',
+                complete: 'IMST session complete. 5 full sets. Regular practice 6 days a week = results in 6 weeks.'
+            }
+        },
+        'breath-light-co2': {
+            name: 'Reduced Breathing CO2',
+            description: 'Gradually reduced breathing volume to create controlled CO2 discomfort',
+            instructions: {
+                start: 'Reduced Breathing CO2 — Oxygen Advantage method. 7 minutes of gradually reduced breathing to train your CO2 tolerance.',
+                'Inspirez': 'Reduced, gentle inhale, through the nose only',
+                'Expirez': 'Slow, controlled exhale, let the air out without forcing',
+                'Pause': 'Post-exhale pause: stay calm, tolerate the urge to breathe'
+            }
+        },
+        'square-flow': {
+            name: 'Square Flow — Coherence Plus',
+            description: 'Controlled inhale (5s) + full-lung hang (10s) + smooth exhale (5s) + FRC micro-hold (2s) — lung capacity and differential relaxation work',
+            instructions: {
+                start: 'Square Flow — Coherence Plus. Get comfortable. We are going to practise the full-lung hang with differential relaxation.',
+                'Inspirez': 'Breathe in through the nose. Open the ribs sideways — not just the belly. Controlled filling.',
+                'Suspension': 'Full-lung hang. Relax your traps and jaw. Glottis open. Feel the inner pressure like a massage.',
+                'Expirez': 'Breathe out smoothly and steadily. Do not let the air go all at once — control it. Let the tension leave with the air.',
+                'Immobilité': 'Empty-lung micro-hold. Total stillness. Get ready for the next cycle.'
+            }
+        },
+        'relaxation': {
+            name: '4-7-8 Breathing',
+            description: 'Dr Andrew Weil\'s technique for falling asleep',
+            instructions: {
+                start: '4-7-8 technique: place your tongue behind your upper teeth.',
+                'Inspirez': 'Breathe in silently through your nose',
+                'Retenez': 'Hold your breath',
+                'Expirez': 'Breathe out fully through your mouth with a "whoosh" sound'
+            }
+        },
+        'pranayama-142': {
+            name: 'Pranayama 1-4-2',
+            description: 'Classic yogic ratio: inhale 1x, hold 4x, exhale 2x',
+            instructions: {
+                start: 'Classic pranayama, 1:4:2 ratio. Sit in a stable posture, back straight.',
+                'Pūraka (Inspir)': 'Breathe in slowly through the nose, filling the belly and then the chest',
+                'Kumbhaka (Rétention)': 'Hold your breath, chin slightly towards the chest (Jalandhara Bandha)',
+                'Rechaka (Expir)': 'Breathe out slowly through the nose, emptying the chest first and then the belly'
+            }
+        },
+        'nadi-shodhana': {
+            name: 'Nadi Shodhana',
+            description: 'Alternate nostril breathing — balances both brain hemispheres',
+            instructions: {
+                start: 'Nadi Shodhana: alternate nostril breathing. Right hand in Vishnu Mudra (fold index and middle fingers).',
+                'Inspir narine gauche': 'Breathe in through the left nostril',
+                'Rétention': 'Hold, both nostrils closed',
+                'Expir narine droite': 'Breathe out through the right nostril',
+                'Inspir narine droite': 'Breathe in through the right nostril',
+                'Rétention ': 'Hold, both nostrils closed',
+                'Expir narine gauche': 'Breathe out through the left nostril'
+            },
+            phaseInstructions: [
+                'Close the right nostril with your thumb. Breathe in through the left nostril.',
+                'Close both nostrils (thumb + ring finger). Hold.',
+                'Release the right nostril. Breathe out through the right.',
+                'Keep the left closed. Breathe in through the right nostril.',
+                'Close both nostrils. Hold.',
+                'Release the left nostril. Breathe out through the left.'
+            ]
+        },
+        'kapalabhati': {
+            name: 'Kapalabhati',
+            description: 'Skull-shining breath — 30 rapid forced exhales per round, cleansing and energy',
+            instructions: {
+                start: 'Kapalabhati: 30 forced exhales through the nose (1 round = 30 sec). After the round, breathe in fully and hold as long as you can.',
+                'Expir forcé': 'Powerful exhale through the nose by contracting the abdominals',
+                'Inspir passif': 'Let the air come back in naturally, without effort'
+            }
+        },
+        'ujjayi': {
+            name: 'Ujjayi',
+            description: 'The victorious breath — soothing ocean breathing',
+            instructions: {
+                start: 'Ujjayi: slightly narrow the glottis (as if fogging a window) and breathe through the nose. A soft, steady ocean sound should go with every breath.',
+                'Inspirez (Ujjayi)': 'Breathe in through the nose, throat slightly narrowed, making a soft sound',
+                'Expirez (Ujjayi)': 'Breathe out through the nose, same glottal narrowing, same steady sound'
+            }
+        },
+        'bhramari': {
+            name: 'Bhramari',
+            description: 'The bee breath — vibration and deep calm',
+            instructions: {
+                start: 'Bhramari: breathe in through the nose, then breathe out making a continuous "Mmmmm" hum. Optional: close your ears with your thumbs (Shanmukhi Mudra).',
+                'Inspirez': 'Deep, silent inhale through the nose',
+                'Bourdonnez (Mmm)': 'Breathe out humming "Mmmmm" — feel the vibration in your skull'
+            }
+        },
+        'surya-bhedana': {
+            name: 'Surya Bhedana',
+            description: 'Solar breathing — energy and inner warmth',
+            instructions: {
+                start: 'Surya Bhedana: energising solar breathing. Breathe in through the right, out through the left.',
+                'Inspir narine droite': 'Breathe in slowly through the right nostril',
+                'Rétention': 'Hold your breath, both nostrils closed',
+                'Expir narine gauche': 'Breathe out gently through the left nostril'
+            },
+            phaseInstructions: [
+                'Close the left nostril. Breathe in through the right.',
+                'Close both nostrils.',
+                'Breathe out through the left nostril.'
+            ]
+        },
+        'body-scan': {
+            name: 'Body Scan',
+            description: 'A systematic attention sweep through the body',
+            instructions: { start: 'Lie down comfortably. Close your eyes and breathe naturally.' }
+        },
+        'pettlep': {
+            name: 'PETTLEP Visualisation',
+            description: 'The Olympic athletes\' 7-point protocol',
+            instructions: { start: 'PETTLEP protocol: multi-sensory imagery used by 70-90% of Olympians.' }
+        },
+        'sophro': {
+            name: 'Dynamic Relaxation',
+            description: 'IRTER sophrology method, level 1',
+            instructions: { start: 'Dynamic sophrology relaxation. IRTER method: Inhale-Retain-Tense-Exhale-Release.' }
+        },
+        'pmr': {
+            name: 'Progressive Muscle Relaxation',
+            description: 'Jacobson\'s tense-and-release method',
+            instructions: { start: 'Progressive muscle relaxation. Tense each muscle group for 5 seconds, then release for 15-20 seconds.' }
+        },
+        'focus': {
+            name: 'Focus Training',
+            description: 'The spotlight technique for concentration',
+            instructions: { start: 'Concentration training with the spotlight method.' }
+        },
+        'predive': {
+            name: 'Pre-Dive Visualisation',
+            description: 'The freediver\'s complete mental routine',
+            instructions: { start: 'Pre-dive visualisation. Picture your perfect dive in every detail.' }
+        },
+        'co2-table': {
+            name: 'CO2 Table',
+            description: 'Constant holds with decreasing rest',
+            instructions: {
+                start: 'CO2 table: constant holds with decreasing rest times.',
+                breathe: 'Breathe calmly and get ready',
+                hold: 'Hold your breath, stay relaxed'
+            }
+        },
+        'o2-table': {
+            name: 'O2 Table',
+            description: 'Progressive holds with constant rest',
+            instructions: {
+                start: 'O2 table: progressive holds with a constant 2-minute rest.',
+                breathe: 'Recover for 2 minutes',
+                hold: 'Hold your breath'
+            }
+        },
+        'no-contraction': {
+            name: 'No-Contraction Table',
+            description: 'A gentle method for beginners',
+            instructions: {
+                start: 'No-contraction table: stop BEFORE any urge to breathe.',
+                breathe: 'Breathe calmly',
+                hold: 'Hold until the first slight urge to breathe, then stop'
+            }
+        },
+        'comfort-zone': {
+            name: 'Comfort Zone',
+            description: 'Free hold — stop at the first discomfort to progress naturally',
+            instructions: {
+                start: 'Get comfortable. Breathe calmly.',
+                breathe: 'Breathe slowly and deeply.',
+                hold: 'Hold. Stay relaxed. Stop at the slightest discomfort.',
+                stop: 'Well done! Breathe calmly.'
+            }
+        },
+        'comfort-zone-frc': {
+            name: 'FRC Comfort Zone',
+            description: 'FRC empty-lung hold — exhale normally, hold, stop at the first discomfort',
+            instructions: {
+                start: 'Get comfortable. Breathe calmly.',
+                breathe: 'Breathe calmly and naturally.',
+                hold: 'Exhale normally… then hold. Stay relaxed. Stop at the slightest discomfort.',
+                stop: 'Well done! Breathe calmly.'
+            }
+        },
+        'dive-reflex': {
+            name: 'Dive Reflex',
+            description: 'Exercises to optimise bradycardia',
+            instructions: { start: 'Mammalian dive reflex training. You will need cold water.' }
+        },
+        'lung-stretch': {
+            name: 'Lung Stretches',
+            description: 'Uddiyana bandha and intercostal stretches',
+            instructions: { start: 'Lung stretches. Practise on an empty stomach for Uddiyana Bandha.' }
+        },
+        'diaphragm': {
+            name: 'Diaphragmatic Breathing',
+            description: 'Mastering 3-stage belly breathing',
+            instructions: {
+                start: '3-stage diaphragmatic breathing: belly, ribs, chest.',
+                'Ventre': 'Expand the belly first',
+                'Côtes': 'Widen the ribs',
+                'Poitrine': 'Lift the chest',
+                'Pause': 'Short pause',
+                'Relâchement': 'Slow, passive exhale'
+            },
+            phaseInstructions: [
+                'Expand the belly like a balloon',
+                'Widen the ribs sideways',
+                'Lift the chest slightly',
+                'Short pause with full lungs',
+                'Let the air flow out naturally'
+            ]
+        },
+        'physiological-sigh': {
+            name: 'Physiological Sigh',
+            description: 'Instant nervous reset — 3 cycles are enough, use it in the moment of stress or panic',
+            instructions: {
+                start: 'Physiological sigh: the fastest reset for your nervous system.',
+                'Inspirez': 'Breathe in through your nose',
+                'Inspirez +': 'A second short inhale to fill up completely',
+                'Expirez longuement': 'Long exhale through the mouth, let everything out'
+            }
+        },
+        'grounding-555': {
+            name: '5-5-5 Grounding',
+            description: 'A grounding technique to come back to the present',
+            instructions: { start: '5-5-5 technique: reconnect with the present moment.' }
+        },
+        'extended-exhale': {
+            name: 'Extended Exhale',
+            description: '1:2 ratio for quick parasympathetic activation',
+            instructions: {
+                start: 'Extended exhale: breathe in for 4 seconds, breathe out for 8 seconds.',
+                'Inspirez': 'Calm inhale through the nose',
+                'Expirez lentement': 'Very slow exhale, as if through a straw'
+            }
+        },
+        'box-quick': {
+            name: 'Quick Box Breathing',
+            description: 'A short version to regain control',
+            instructions: {
+                start: 'Quick box breathing: 6 cycles to regain control.',
+                'Inspirez': 'Breathe in through your nose',
+                'Retenez': 'Lungs full, stay calm',
+                'Expirez': 'Breathe out completely',
+                'Retenez ': 'Lungs empty, relax'
+            }
+        },
+        'preperf-protocol': {
+            name: '5-Minute Protocol',
+            description: 'Complete sequence for optimal preparation',
+            instructions: { start: 'Pre-performance protocol: 5 minutes to reach your optimal state.' }
+        },
+        'dive-prep': {
+            name: 'Dive Preparation',
+            description: 'Optimised breathe-up for apnea and spearfishing',
+            instructions: { start: 'Dive preparation: breathe-up and visualisation for an optimal hold.' }
+        },
+        'quick-coherence': {
+            name: 'Express Coherence',
+            description: 'Cardiac coherence in 3 minutes',
+            instructions: {
+                start: 'Express coherence: 3 minutes to synchronise heart and breathing.',
+                'Inspirez': 'Breathe in gently for 5 seconds',
+                'Expirez': 'Breathe out gently for 5 seconds'
+            }
+        },
+        'power-viz': {
+            name: 'Express Visualisation',
+            description: 'Quick visualisation of optimal performance',
+            instructions: { start: 'Express visualisation: see and feel your success in 2 minutes.' }
+        },
+        'sleep-descent': {
+            name: 'Descent into Sleep',
+            description: 'Progressive 7-minute sleep protocol',
+            instructions: { start: 'Sleep protocol. Let yourself be guided into deep, restorative sleep.' }
+        },
+        'deep-sleep-478': {
+            name: 'Deep Sleep 4-7-8',
+            description: 'Deep sleep: guided 4-7-8 blocks + progressive body scan — 5 to 45 min',
+            instructions: {
+                start: 'Lie down. Close your eyes. There is nothing left to do tonight.',
+                inhale478: 'Breathe in',
+                hold478: 'Hold',
+                exhale478: 'Breathe out'
+            }
+        },
+        'vakog-static': {
+            name: 'Static VAKOG',
+            description: 'Sensory fragmentation for static apnea',
+            instructions: { start: 'VAKOG self-hypnosis for static apnea. Become a passive observer of your sensations.' }
+        },
+        'scan-sensoriel': {
+            name: 'Circular Sensory Scan',
+            description: 'A dissociation technique for static apnea',
+            instructions: { start: 'Circular Sensory Scan. Learn to move your attention during the hold.' }
+        },
+        'flow-dynamique': {
+            name: 'Dynamic Flow-State',
+            description: 'Flow state for dynamic apnea and monofin',
+            instructions: { start: 'Flow-State for dynamic apnea. Switch from manual control to autopilot.' }
+        },
+        'hypno-apnee-debutant': {
+            name: 'Self-Hypnosis Introduction',
+            description: 'An introduction to self-hypnosis techniques for apnea',
+            instructions: { start: 'Introduction to self-hypnosis for freedivers. Creating your personal calm anchor.' }
+        },
+        'meditation-lacher-prise': {
+            name: 'Letting-Go Meditation',
+            description: 'Learn to let go through passive breathing and acceptance',
+            instructions: { start: 'Letting-go meditation. You will learn to stop fighting, to stop controlling. That is the key to apnea.' }
+        },
+        'dry-to-wet-bridge': {
+            name: 'Dry-to-Wet Programme',
+            description: '8-week programme to transfer your dry performance to the water',
+            instructions: { start: 'Dry-to-Wet programme: 8 weeks to close the gap between your dry and in-water performance.' }
+        },
+        'flow-release': {
+            name: 'Flow & Release',
+            description: '10-min programme to retrain the nervous system and bypass hypervigilance',
+            instructions: { start: 'Flow & Release — 10-min programme. Retrain your nervous system and bypass hypervigilance with Triple Awareness.' }
+        },
+        'hook-breathing': {
+            name: 'Hook Breathing',
+            description: 'Post-hold recovery technique in 3 progressive rounds',
+            instructions: { start: 'Hook breathing: the essential recovery technique. 3 progressive rounds to automate this vital reflex.' }
+        },
+        'breathe-up-structure': {
+            name: 'Structured Breathe-Up',
+            description: '3-phase pre-dive preparation: tidal, segmental, final inhale',
+            instructions: { start: 'Structured breathe-up: optimal 3-phase preparation to maximise your reserves without hyperventilating.' }
+        },
+        'contraction-tolerance': {
+            name: 'Contraction Tolerance',
+            description: 'Hold with contraction tracking and reframing coaching',
+            instructions: {
+                start: 'Contraction tolerance. Press the "Contraction" button at each spasm. We are going to learn to accept them.',
+                breathe: 'Recover. Breathe calmly for 2 minutes.',
+                hold: 'Hold your breath. Press "Contraction" at each spasm.',
+                contraction: 'Contraction logged. Stay calm. This is normal.'
+            },
+            reframingCues: [
+                'It is your diaphragm stretching. This is normal. You are safe.',
+                'This feeling is a signal, not a danger. Your body is handling it perfectly.',
+                'Each contraction is a wave. Let it pass. You are stronger than it.',
+                'Relax your jaw. Relax your shoulders. A contraction does not need tension.',
+                'Watch the contraction like a spectator. It rises, it passes. You stay calm.',
+                'Your SpO2 is still very good. You have plenty of margin. Trust your body.'
+            ]
+        },
+        'passive-breath-hanger': {
+            name: 'Passive Breath Hanger',
+            description: 'Static hold at 80% — hang on an intermediate volume with deep glottis relaxation (Molchanovs / Néry)',
+            instructions: {
+                start: 'Passive Breath Hanger. Breathe in to about 80% of your capacity — not fully. Relax your throat completely.',
+                prep: 'Preparation. Double sigh: breathe in deeply, short sniff, breathe out slowly. Relax everything.',
+                inhale: 'Breathe in gently to 80%. Feel your lungs three-quarters full. No overextension.',
+                hold: 'Hang. Glottis open. Let the contractions come without resisting. Timer running.',
+                exhale: 'Breathe out very slowly through pursed lips. Make it last as long as you can.',
+                rest: 'Recover. Breathe naturally. Get ready for the next cycle.',
+                complete: 'Excellent work. Note how you felt below to track your progress.'
+            }
+        },
+        'body-scan-apnea': {
+            name: 'Apnea Body Scan',
+            description: 'Guided hold with a body scan to move attention during the hold',
+            instructions: {
+                start: 'Body scan during the hold. The scan guides your attention away from the urge to breathe.',
+                breathe: 'Breathe calmly. Get ready for the next cycle.',
+                hold: 'Hold. Follow the body scan. Let yourself be guided.'
+            }
+        },
+
+        // Protocoles chasse / W&B Up (CHASSE_PROTOCOLS)
+        'chasse-terre': {
+            name: 'Beach Arrival — Post-Gear-Up Recovery',
+            description: 'After carrying and suiting up. Bring your HR under 75 bpm before getting in the water.',
+            instructions: {
+                start: 'Sit or lie down after suiting up. Calm, natural breathing.',
+                'Normoventilation': 'Inhale 3s through the nose, exhale 5s through the mouth. Do not force anything.'
+            },
+            phaseInstructions: [
+                'Sit or lie down. Natural, passive breathing: inhale 3s through the nose, exhale 5s through the mouth. Do not force anything.'
+            ]
+        },
+        'chasse-eau': {
+            name: 'Water Acclimatisation — First Minutes',
+            description: 'Gradual entry into the water and dive reflex activation before the first holds.',
+            instructions: {
+                start: 'Enter the water slowly. Activate the dive reflex.',
+                'Entrée progressive': 'Put your face in the water for 2-3 seconds. Breathe normally.',
+                'Flottaison calme': 'Lie face down. Breathe through the snorkel.',
+                'Respiration diaphragmatique': 'Inhale 4s → pause 1s → exhale 6-8s. Relax.'
+            },
+            phaseInstructions: [
+                'Enter the water slowly. Put your face in the water for 2-3 seconds to trigger the dive reflex. Breathe normally.',
+                'Lie face down, mask in the water, snorkel in. Do not look at the bottom yet. Breathe through the snorkel.',
+                '4-6 cycles: inhale 4s (belly expands) → pause 1s → exhale 6-8s (passive, slow). Eyes half closed. Gradual relaxation.'
+            ]
+        },
+        'chasse-breatheup': {
+            name: 'Pre-Descent Breathe-Up',
+            description: 'The same protocol before every descent. 90 seconds of optimal preparation.',
+            instructions: {
+                start: '90 seconds of optimal preparation before the descent.',
+                'Centrage': 'Stay still. Close your eyes. Gradual relaxation.',
+                'Breathe-up diaphragmatique': 'Inhale 5s → pause 1-2s → exhale 10s. Body relaxed.',
+                'Cycle final': 'ONE big inhale in 3 stages. Duck-dive straight away.'
+            },
+            phaseInstructions: [
+                'Stop. Stay still. Close your eyes. Gradual relaxation: feet → calves → thighs → abdomen → shoulders → jaw. 3 calm breaths.',
+                'Inhale 5s (diaphragm, belly expands) → pause 1-2s → slow, passive 10s exhale. Repeat 2-3 times. Body relaxed.',
+                'ONE big exhale (80-90% of the air out) → ONE big inhale in 3 stages: belly → ribs → shoulders. Duck-dive straight away.'
+            ]
+        },
+        'chasse-fond': {
+            name: 'Bottom Technique — Ambush',
+            description: 'Save O₂ as much as possible. Muscle tension is your first enemy.'
+        },
+        'chasse-recup': {
+            name: 'Surface Recovery',
+            description: 'Between every hold. Respecting recovery time matters as much as the dive itself.',
+            instructions: {
+                start: 'Recovery between holds. Recovery time matters as much as the dive.',
+                'Expirations actives': '4-5 forced exhales then normal inhales. Stabilise at the surface.',
+                'Normoventilation horizontale': 'STAY HORIZONTAL. Normal breathing through the snorkel.'
+            },
+            phaseInstructions: [
+                '4-5 ACTIVE, forced EXHALES (blow hard to clear residual CO₂), then normal inhales. Stabilise at the surface, airway out of the water.',
+                'STAY HORIZONTAL — swimming at the surface uses 30-40% more O₂. Normal breathing through the snorkel. Do not stare at your hunting spot (avoids sympathetic arousal).'
+            ]
+        },
+        'statique-prep': {
+            name: 'Static Apnea Preparation',
+            description: 'Full protocol before a static hold. Cardiac coherence → breathe-up → last breath.',
+            instructions: {
+                start: 'Full protocol before a static hold. Coherence → breathe-up → last breath.',
+                'Cohérence cardiaque': 'Inhale 5s → exhale 5s. Diaphragmatic, eyes closed. Target HR < 65 bpm.',
+                'Breathe-up (PFI)': 'Inhale 2-5s → pause 1-2s → exhale 8-10s. Body relaxed. 2 min maximum.',
+                'Last breath complet': 'Belly → ribs → shoulders. Smooth, 4-5s. TLC 100%. Glottis closed.'
+            },
+            phaseInstructions: [
+                'Lying down. Inhale 5s → exhale 5s. Diaphragmatic, eyes closed. Activates the parasympathetic system. Target HR < 65 bpm.',
+                'Inhale 2-5s → pause 1-2s → very slow, passive 8-10s exhale. 4 cycles/min. Body relaxed. Stable PaCO₂. 2 min maximum.',
+                '1. Belly expands (lower lobes) → 2. Ribs spread (middle lobes) → 3. Shoulders rise slightly (apex). Smooth, 4-5s. TLC 100%. Glottis closed → hold.'
+            ]
+        },
+        'dynamique-prep': {
+            name: 'Dynamic Apnea Preparation',
+            description: 'Protocol adapted to dynamic. Longer breathe-up, last breath at 90-95% of TLC.',
+            instructions: {
+                start: 'Protocol adapted to dynamic. Longer breathe-up, last breath at 90-95% TLC.',
+                'Cohérence cardiaque': 'Inhale 5s → exhale 5s. At the wall, resting. Target HR < 65 bpm.',
+                'Breathe-up (3 min)': 'Inhale 5s → pause 1-2s → exhale 10s. Longer than for static.',
+                'Last breath 90-95%': 'Belly → ribs → shoulders. STOP at 90-95% of max.'
+            },
+            phaseInstructions: [
+                'At the wall, resting. Inhale 5s → exhale 5s. Diaphragmatic. No intense warm-up just before (it raises your base metabolism). Target HR < 65 bpm.',
+                'Inhale 5s → pause 1-2s → exhale 10s. Longer than for static: swimming will produce more CO₂. Body still, horizontal if possible.',
+                '1. Belly expands → 2. Ribs spread → 3. Shoulders rise — but STOP at 90-95% of max. Not the absolute maximum: avoids body tension and drag. Push → swim.'
+            ]
+        },
+        'profondeur-prep': {
+            name: 'Depth Apnea Preparation',
+            description: 'Full protocol for depth apnea. Meditative breathe-up + 100% TLC last breath.',
+            instructions: {
+                start: 'Full protocol for depth apnea. Meditative breathe-up + 100% TLC last breath.',
+                'Cohérence + méditation': 'Inhale 5s → exhale 5s. Eyes closed. Semi-meditative state. Target HR < 60 bpm.',
+                'Breathe-up profond': 'Inhale 5s → pause 1-2s → exhale 10s. The slowest of the 3 disciplines.',
+                'Last breath TLC 100%': 'Belly → ribs → shoulders, throat wide open. Physiological MAXIMUM.'
+            },
+            phaseInstructions: [
+                'Ideally floating on your back. Inhale 5s → exhale 5s. Eyes closed. Visualise your dive: line, turns, behaviour. Semi-meditative state. Target HR < 60 bpm.',
+                'Inhale 5s → pause 1-2s → exhale 10s. The slowest and most meditative of the 3 disciplines. Some athletes: up to 5 min. Let your body lead.',
+                '1. Belly expands (lower lobes) → 2. Ribs spread (middle lobes) → 3. Shoulders rise, throat wide open (apex). Physiological MAXIMUM. Smooth, vertical descent.'
+            ]
+        }
+    },
+
+    protocols: {
+        'chasse-terre': {
+            title: 'Post-Gear-Up Recovery',
+            phases: [
+                { label: 'Normal breathing', instruction: 'Sit or lie down. Natural breathing: inhale 3s through the nose, exhale 5s through the mouth. Goal: HR < 75 bpm before getting in the water.' }
+            ]
+        },
+        'chasse-eau': {
+            title: 'Water Acclimatisation',
+            phases: [
+                { label: 'Gradual entry', instruction: 'Enter the water slowly. Put your face in for 2-3 seconds. Normal breathing — triggers the dive reflex.' },
+                { label: 'Calm floating', instruction: 'Lie face down, mask in the water, snorkel in. Do not look at the bottom yet. Calm breathing.' },
+                { label: 'Diaphragmatic breathing', instruction: 'Inhale 4s (belly expands) → Pause 1s → Passive 6-8s exhale. Eyes half closed. Gradual relaxation. The spleen pre-contracts.' }
+            ]
+        },
+        'chasse-breatheup': {
+            title: 'Pre-Descent Breathe-Up',
+            phases: [
+                { label: 'Centring', instruction: 'Stop. Close your eyes. Gradual relaxation: feet → calves → thighs → abdomen → shoulders → jaw.' },
+                { label: 'Breathe-up (10s exhale)', instruction: 'Inhale 5s → Pause 1-2s → Slow, passive 10s exhale. 2-3 cycles. Body relaxed. Diaphragm.' },
+                { label: 'Visualisation', instruction: 'Visualise your descent: line, equalising, bottom. Get ready for the final cycle.' },
+                { label: 'Final cycle — Exhale', instruction: 'Big exhale: 80-90% of the air out, slowly.' },
+                { label: 'Last breath — Inhale', instruction: 'Big 3-stage inhale: belly → ribs → shoulders. TLC 100%. Duck-dive straight away!' }
+            ]
+        },
+        'statique-coherence': {
+            title: 'Cardiac Coherence — Static',
+            phases: [
+                { label: 'Cardiac coherence', instruction: 'Inhale 5s / Exhale 5s. Diaphragmatic. Eyes closed. Lying down if possible. Target HR < 65 bpm.' }
+            ]
+        },
+        'statique-prep': {
+            title: 'Static Apnea Preparation',
+            phases: [
+                { label: 'Cardiac coherence', instruction: 'Inhale 5s / Exhale 5s. Diaphragmatic. Eyes closed. Lying down. Target HR < 65 bpm.' },
+                { label: 'PFI breathe-up', instruction: 'Inhale 2-5s → Pause 1-2s → Slow, passive 8-10s exhale. 4 cycles/min. Body relaxed.' },
+                { label: 'Exhale 80-90%', instruction: 'Big passive exhale: 80-90% of the air out.' },
+                { label: 'Last breath — TLC 100%', instruction: 'Belly → Ribs → Shoulders. Smooth, 4-5s. TLC 100%. Glottis closed.' }
+            ]
+        },
+        'dynamique-coherence': {
+            title: 'Cardiac Coherence — Dynamic',
+            phases: [
+                { label: 'Cardiac coherence', instruction: 'At the wall, still. Inhale 5s / Exhale 5s. Diaphragmatic. Target HR < 65 bpm.' }
+            ]
+        },
+        'dynamique-prep': {
+            title: 'Dynamic Apnea Preparation',
+            phases: [
+                { label: 'Cardiac coherence', instruction: 'At the wall, still. Inhale 5s / Exhale 5s. Body relaxed. Target HR < 65 bpm.' },
+                { label: 'Long breathe-up', instruction: 'Inhale 5s → Pause 1-2s → Exhale 10s. Longer than for static. Horizontal if possible.' },
+                { label: 'Exhale', instruction: 'Big, gentle exhale.' },
+                { label: 'Last breath — 90-95% TLC', instruction: 'Belly → Ribs → Chest. STOP at 90-95% of max. Push-off → swim.' }
+            ]
+        },
+        'profondeur-coherence': {
+            title: 'Meditative Coherence — Depth',
+            phases: [
+                { label: 'Coherence + meditation', instruction: 'Floating on your back. Inhale 5s / Exhale 5s. Eyes closed. Visualise your dive. Target HR < 60 bpm.' }
+            ]
+        },
+        'profondeur-prep': {
+            title: 'Depth Apnea Preparation',
+            phases: [
+                { label: 'Meditative coherence', instruction: 'Floating on your back. Inhale 5s / Exhale 5s. Eyes closed. Visualise your whole dive. Target HR < 60 bpm.' },
+                { label: 'Deep breathe-up', instruction: 'Inhale 5s → Pause 1-2s → Exhale 10s. The slowest and most meditative.' },
+                { label: 'Exhale', instruction: 'Big, slow exhale.' },
+                { label: 'Last breath — TLC 100%', instruction: 'Belly → Ribs → Chest. Physiological MAXIMUM. Throat wide open. Equalise from 0.5 m.' }
+            ]
+        }
+    },
+
+    guide: {
+        'cyclic-sighing': {
+            science: "The double sigh uses a reflex mechanism: the short second inhale reopens collapsed alveoli (atelectasis), maximising the gas exchange surface. The long exhale that follows activates the vagus nerve through the aortic baroreceptors, causing an immediate drop in heart rate and cortisol. Stanford 2023 study (Balban et al.): 5 minutes a day reduce stress 56% more effectively than mindfulness meditation.",
+            practice: [
+                "Sit or lie down comfortably, eyes closed",
+                "Breathe in deeply through the nose (2s) to fill the lungs two-thirds",
+                "Without breathing out, take a short, sharp second inhale (1s) to fill up completely",
+                "Breathe out very slowly through the mouth (6s), emptying the lungs completely",
+                "Repeat for 5 minutes — the effect shows from the first cycle but builds up"
+            ]
+        },
+        'coherent': {
+            science: "At exactly 5.5 breaths per minute, heart rate variability (HRV) resonates with the arterial baroreflex. This cardio-respiratory coupling optimises the sympathetic/parasympathetic balance and lowers cortisol by 23%. Individual resonance frequency ranges from 4.5 to 6.5 cycles/min, but 5.5 is the average optimum validated by the HeartMath Institute.",
+            practice: [
+                "Sit down, back straight, feet flat",
+                "Breathe in through the nose for 5.5 seconds, expanding the belly",
+                "Breathe out through the nose or mouth for 5.5 seconds, without forcing",
+                "Keep a smooth, steady rhythm with no pause between phases",
+                "Practise 10 minutes morning and evening for a lasting effect on HRV"
+            ]
+        },
+        'box': {
+            science: "4-4-4-4 box breathing raises vagal tone by imposing a slow, symmetrical rhythm on the autonomic nervous system. The holds (full and empty lungs) raise the partial pressure of CO2, which builds CO2 tolerance and improves cerebral vasodilation. A technique adopted by the Navy SEALs to keep mental clarity under extreme stress.",
+            practice: [
+                "Sit up straight, shoulders relaxed, hands on your thighs",
+                "Breathe in through the nose for 4 seconds",
+                "Hold with full lungs for 4 seconds, body relaxed",
+                "Breathe out slowly for 4 seconds",
+                "Hold with empty lungs for 4 seconds, without tensing"
+            ]
+        },
+        'co2-tolerance': {
+            science: "Slow 1:2 breathing (4s inhale / 8s exhale) acts mainly on the autonomic nervous system through the vagus nerve: it maximises heart rate variability (HRV) and engages the parasympathetic brake. Contrary to what is often said, this protocol does not create significant hypercapnia or chemoreceptor desensitisation — the long exhale clears CO2 instead of building it up. It is an excellent tool for nervous regulation and pre-dive mental preparation, but not CO2 training in the physiological sense. For real chemoreceptor desensitisation, see VHL Hypoventilation (Woorons).",
+            practice: [
+                "Sitting or lying down, eyes closed, body relaxed",
+                "Breathe in gently through the nose (4 sec) — no need to fill up completely",
+                "Breathe out very slowly through the nose (8 sec), let the air out passively",
+                "Keep this steady rhythm for 5 minutes — this is a calming practice, not an effort",
+                "Ideal 10-15 min before an apnea session to calm the nervous system"
+            ]
+        },
+        'co2-vhl': {
+            science: "VHL (Voluntary Hypoventilation at Low Lung Volume, Woorons 2017-2025) is the most scientifically validated CO2 protocol to date. By pausing at end-expiration — lungs half empty (~40% of vital capacity) — you create real hypercapnia (PCO2 rises from 40 to ~55 mmHg) without dangerous hypoxia. Kapus et al. (PMC3873666, 6 weeks, 3x/week): −45% ventilatory sensitivity to CO2 (p=0.03, d=2.81 = very large effect). The central chemoreceptors in the medulla recalibrate: diaphragmatic contractions come later and less intensely. The dominant protocol in AIDA and Molchanovs programmes. Better than classic CO2 tables because it creates a pure hypercapnic stimulus with no associated hypoxia.",
+            practice: [
+                "Sit comfortably, back straight. Start with 2 min of normal breathing",
+                "Breathe normally 3 times (natural inhale + exhale)",
+                "On the 3rd exhale: breathe out normally (not fully — lungs half empty), then PAUSE for 5 sec keeping the lungs at this low level",
+                "Take 3 normal breaths again, then repeat the pause. Cycle: 3 breaths → 1 pause × 5 cycles",
+                "Recover with 4 free breaths between sets. Add +1 sec of pause per week (5s → 6s → 7s). The CO2 discomfort during the pause is the stimulus — observe it without giving in"
+            ]
+        },
+        'co2-vhl-static': {
+            science: "Static VHL extends the VHL CO2 principle with a much longer FRC pause (20s+). At FRC (Functional Residual Capacity — the chest's natural resting position at ~40% VC), CO2 builds up quickly because the residual gas buffer is small. A 20s pause at FRC produces hypercapnia (PCO2 ~60-65 mmHg) and mild hypoxia (PO2 ~85-90 mmHg) — a combination that effectively simulates the conditions of a real static hold. Relaxing the throat (open glottis, Molchanovs/Néry method) reduces CO2 alarm signalling: perceived pressure drops while the physiological load stays the same. Cyclic sighing preparation (Huberman/Stanford 2023) primes the autonomic nervous system to stay calm under CO2 stress.",
+            practice: [
+                "Prerequisite: master standard VHL CO2 for at least 4 weeks before starting this protocol",
+                "Cyclic Sighing (3 min): breathe in fully, add a short sniff at the top, then breathe out very slowly through the nose. Repeat. This activates the vagus nerve and calms the CO2 panic reflex",
+                "VHL pause: at the end of a natural exhale (passive chest release — do NOT empty fully), hold your breath",
+                "During the pause: throat open (try to swallow — if you can, you are relaxed), jaw loose, hands open. Observe the CO2 discomfort as a neutral sensation, not a threat",
+                "Press ✋ Out when you reach your limit, or let the countdown finish",
+                "Recovery: exactly the set number of breaths, not one more. The hypercapnia carried between cycles is the training",
+                "Note your gorgeScore (1-5) after each session — it is your main progress indicator"
+            ]
+        },
+        'wimhof': {
+            science: "Controlled hyperventilation causes temporary respiratory alkalosis (blood pH rises) and sharply lowers CO2, suppressing the urge to breathe during the hold. During the empty-lung hold, adrenaline is released, activating the innate immune system. Radboud University 2014 study (Kox et al.): practitioners showed a modulated immune response with fewer inflammatory symptoms.",
+            practice: [
+                "Lie down somewhere safe (never in water or in a car)",
+                "30 deep breaths: breathe in fully through the nose/mouth, let go passively",
+                "After the 30th exhale, hold with empty lungs for as long as is comfortable",
+                "When the urge to breathe comes, breathe in fully and hold for 15 seconds",
+                "Repeat 3 rounds — the holds lengthen naturally with each round"
+            ]
+        },
+        'relaxation': {
+            science: "The 7-second full-lung hold raises intrathoracic pressure and stimulates the vagus nerve via the baroreceptors. The 8-second exhale prolongs parasympathetic activation. This specific ratio, designed by Dr Andrew Weil, works like a natural tranquilliser for the nervous system. With practice, the sedative effect grows through Pavlovian conditioning.",
+            practice: [
+                "Place the tip of your tongue behind your upper front teeth",
+                "Breathe in silently through the nose for 4 seconds",
+                "Hold your breath for 7 seconds",
+                "Breathe out fully through the mouth with a 'whoosh' sound for 8 seconds",
+                "4 cycles maximum at first. Increase to 8 cycles after 4 weeks of practice"
+            ]
+        },
+        'co2-table': {
+            science: "Decreasing rest between fixed-length holds forces the central chemoreceptors (in the medulla oblongata) to work with rising CO2 levels. This progressive overload recalibrates the threshold that triggers diaphragmatic contractions. After 4 to 6 weeks of regular training, the first-contraction threshold moves back significantly, allowing longer and more comfortable holds.",
+            practice: [
+                "Find your personal best hold (PB). The hold is set at 50% of your PB",
+                "Start with 1min45 of rest, then cut it by 15s each cycle (8 cycles)",
+                "Stay completely relaxed during each hold, jaw loose",
+                "Breathe calmly between holds, no hyperventilation",
+                "Practise 2-3x/week, dry. Never go past the set time"
+            ]
+        },
+        'o2-table': {
+            science: "The constant 2-minute rest ensures full SpO2 recovery between holds, while the increasing hold length gradually exposes the body to lower oxygen levels (controlled hypoxia). This stimulates erythropoietin (EPO) production and angiogenesis, improving oxygen transport in the long term — similar to altitude training.",
+            practice: [
+                "Constant 2-minute rest between holds",
+                "Start at 30% of your PB, add 5-10% each cycle (8 cycles)",
+                "Breathe normally during rests, no hyperventilation",
+                "If a hold is too hard, repeat the same step on the next cycle",
+                "Practise 1-2x/week — more demanding than CO2 tables, respect fatigue"
+            ]
+        },
+        'no-contraction': {
+            science: "By always stopping the hold BEFORE the first diaphragmatic contraction, the brain links apnea to a positive, controlled experience rather than a struggle. This positive conditioning reduces anticipatory anxiety and builds an essential base of confidence. Beginners who start with this method progress faster in the long run than those who push from the outset.",
+            practice: [
+                "Do 6 short holds with 1 minute of rest between each",
+                "Stop IMMEDIATELY at the first slight urge to breathe",
+                "Never chase performance: the goal is total comfort",
+                "Note your times — they will rise naturally over the weeks",
+                "The ideal method to start out or to return after a break"
+            ]
+        },
+        'comfort-zone': {
+            science: "Comfort-zone training relies on positive conditioning: by stopping BEFORE any unpleasant sensation, the brain links apnea to a pleasant, controlled experience. Paradoxically, this no-forcing approach produces more lasting gains than training through discomfort. CO2 tolerance rises naturally through repeated exposure below the discomfort threshold. Studies on physiological adaptation: the ventilatory threshold improves by 8-12% a month with this method, versus 15% with forcing but with an earlier plateau and more risk of aversion.",
+            practice: [
+                "Breathe in deeply and calmly, then hold your breath",
+                "The timer counts up — do NOT look at it during the hold",
+                "At the SLIGHTEST discomfort (urge to breathe, tension, unease), press ✋ Stop",
+                "5 rounds with 2 minutes of rest between each — breathe calmly during the rest",
+                "The app logs every session: your natural progress shows up over the weeks",
+                "Tip: close your eyes and focus on relaxing your muscles during the hold"
+            ]
+        },
+        'comfort-zone-frc': {
+            science: "An FRC (Functional Residual Capacity) hold is done after a normal exhale, when the lungs hold about 2.5 L of residual air instead of 6 L after a maximal inhale. With less oxygen available, PaCO2 rises faster and discomfort arrives sooner (typically 40-60% of the full-lung time). This training is especially effective for CO2 tolerance because the stimulus is more intense. Elite freedivers use FRC tables to speed up chemoreceptor adaptation. Note: your times will naturally be shorter — this is normal and expected.",
+            practice: [
+                "Breathe calmly during the preparation phase (60s by default)",
+                "At the end of the preparation, exhale NORMALLY (not a forced exhale!) then hold",
+                "The timer counts up — stop at the slightest discomfort with ✋ Stop",
+                "Your times will be 40-60% shorter than with full lungs — that is normal!",
+                "5 rounds with 2 minutes of rest — recovery is the same",
+                "Master the full-lung Comfort Zone first before moving to FRC"
+            ]
+        },
+        'contraction-tolerance': {
+            science: "Diaphragmatic contractions do not signal a dangerous lack of oxygen but a CO2 threshold being reached. Cognitive reinterpretation (reframing) turns the perceived threat into a neutral signal. Sport psychology studies: this reframing technique reduces anxiety by 35% and lengthens holds by 15-25%. A progressive 6-week programme to recalibrate your emotional response to contractions.",
+            practice: [
+                "Weeks 1-2: stop 10s after the 1st contraction. Weeks 3-4: 15s. Weeks 5-6: 30s",
+                "Press the 'Contraction' button at each spasm to log it",
+                "Listen to the reframing messages: contractions are a signal, not a danger",
+                "4 holds per session with 2 minutes of rest between each",
+                "Total relaxation during contractions: jaw, shoulders, hands open"
+            ]
+        },
+        'body-scan-apnea': {
+            science: "Gate control theory (Melzack & Wall) shows that attention directed to neutral areas of the body reduces the perception of unpleasant sensations. By guiding attention zone by zone during the hold, the brain spends its attentional resources on non-threatening stimuli, reducing the perceived urge to breathe by 20%.",
+            practice: [
+                "3 hold cycles at 40%, 50% then 60% of your PB",
+                "During the hold, follow the guided body scan through 10 zones",
+                "Towards the end of the hold, the scan speeds up to occupy attention more intensely",
+                "Breathe calmly during the 2-minute rests between cycles",
+                "With practice, you will be able to do the scan on your own, without guidance"
+            ]
+        },
+        'hook-breathing': {
+            science: "After a long hold, SpO2 can drop fast (ascent hypoxia). Hook breathing keeps positive intrathoracic pressure by locking the glottis after each inhale, which slows the SpO2 drop and prevents blackout (hypoxic syncope). Military studies: this technique halves SpO2 recovery time.",
+            practice: [
+                "Right after each hold: breathe in deeply through the mouth",
+                "Close the glottis by saying 'K' in your head, press the diaphragm down, hold 2-3s",
+                "Breathe out slowly, then repeat immediately",
+                "At least 3 hook breaths after EVERY hold, even a short one",
+                "Practise in 3 progressive rounds (slow → normal → fast) until it is automatic"
+            ]
+        },
+        'dive-reflex': {
+            science: "The mammalian dive reflex is a trigeminal-vagal reflex arc: putting the face in cold water (10-15°C) stimulates the trigeminal nerve, which activates the vagus nerve, causing bradycardia (a 10-25% drop in HR), peripheral vasoconstriction and a blood shift towards the vital organs. Trained freedivers reach 20-24 bpm versus 40-60 bpm in untrained people.",
+            practice: [
+                "Prepare a bowl of cold water (10-15°C) or use a cold shower on your face",
+                "Breathe calmly for 1-2 minutes to lower your HR",
+                "Breathe in, hold, and put your face in the water for 20-30 seconds",
+                "3 progressive immersions (20s, 30s, 40s) with 1 minute of rest",
+                "Note your HR before and after: bradycardia improves with training"
+            ]
+        },
+        'diaphragm': {
+            science: "3-stage diaphragmatic breathing (abdominal, costal, clavicular) uses the whole lung capacity, unlike shallow chest breathing which uses only 30-40% of the available volume. The diaphragm, the main inspiratory muscle, descends 1 to 10 cm during a full inhale. Training it specifically increases vital capacity and tidal volume — the foundation of any apnea practice.",
+            practice: [
+                "Lie down, one hand on your belly, one on your chest",
+                "Stage 1: expand the belly like a balloon (4s), the hand on the chest does not move",
+                "Stage 2: without breathing out, widen the ribs sideways (3s)",
+                "Stage 3: lift the chest slightly (2s), then pause 1s",
+                "Breathe out passively over 8 seconds, releasing in reverse order"
+            ]
+        },
+        'lung-stretch': {
+            science: "Chest flexibility is a limiting factor in deep apnea: on the way down, lung volume is compressed according to Boyle's law (halved at 10 m, a third at 20 m). Uddiyana Bandha (the abdominal lock) creates negative intrathoracic pressure that stretches the intercostal tissue and the diaphragm. In 8 weeks, vital capacity can increase by 0.5 to 1 litre.",
+            practice: [
+                "Practise on an empty stomach (nothing eaten for at least 2 h)",
+                "Warm-up: 5 deep breaths to mobilise the chest",
+                "Side stretches: breathe in fully, arms overhead, lean to the side, hold 15-20s",
+                "Uddiyana Bandha: breathe out completely, close the glottis, pull the abdomen up and in, 10-15s",
+                "3 repetitions of each — progress very gently to avoid intercostal injuries"
+            ]
+        },
+        'breathe-up-structure': {
+            science: "The structured 3-phase breathe-up optimises oxygen saturation (SpO2) without hyperventilating — hyperventilation would cause dangerous hypocapnia that masks the urge to breathe and increases the risk of blackout. The 1:2 tidal phase activates the parasympathetic system. The segmental phase maximises lung volume. The 3-stage final inhale fills 100% of capacity. A protocol used by world champions.",
+            practice: [
+                "Phase 1 (2.5 min): 1:2 tidal breathing, breathe in 4s through the nose, out 8s through the mouth",
+                "Phase 2 (1 min): 3-stage segmental breaths (belly → ribs → chest), breathe out slowly",
+                "Phase 3 (30s): final inhale belly 4s + ribs 3s + chest 2s, lungs completely full",
+                "NEVER hyperventilate: keep a slow, controlled rhythm",
+                "Use this protocol before EVERY hold in water"
+            ]
+        },
+        'preperf-protocol': {
+            science: "This protocol combines 3 techniques validated in sport psychology: quick muscle relaxation (reduces residual tension), short cardiac coherence (synchronises the autonomic nervous system in 2-3 min), and targeted visualisation (activates motor and emotional circuits). Chaining them in 5 minutes creates an optimal state of 'alert calm' for performance.",
+            practice: [
+                "Close your eyes, scan quickly and release: jaw, shoulders, hands (30s)",
+                "Breathe in 5s/5s cardiac coherence for 1.5 minutes",
+                "Visualise your perfect performance in every detail (1 min)",
+                "Choose an anchor keyword ('focus', 'calm', 'go') and repeat it 3 times",
+                "Open your eyes — you are in your optimal state"
+            ]
+        },
+        'pettlep': {
+            science: "The PETTLEP protocol (Physical, Environment, Task, Timing, Learning, Emotion, Perspective) is based on functional equivalence theory: mental imagery activates the same motor cortical areas as real execution (premotor cortex, supplementary motor area). Functional MRI shows a 60-80% overlap in activation. Used by 70-90% of Olympic athletes, this protocol improves performance by 10-15%.",
+            practice: [
+                "Take the physical position of your performance (wetsuit, imagined fins, etc.)",
+                "Visualise the environment in detail: underwater sounds, temperature, light, smells",
+                "Perform each technical move mentally IN REAL TIME, not sped up",
+                "Add the emotions: confidence, determination, enjoyment",
+                "Stay in the 1st-person perspective (through your own eyes, not as a spectator)"
+            ]
+        },
+        'body-scan': {
+            science: "A systematic body scan activates the somatosensory cortex and the insula, strengthening interoception (awareness of bodily signals). This practice reduces amygdala activity (the fear centre) and increases prefrontal cortex activity (emotional regulation). MBSR studies (Kabat-Zinn): 8 weeks of regular practice reduce anxiety by 30-40% and improve body awareness measurably on MRI.",
+            practice: [
+                "Lie on your back, arms by your sides, eyes closed",
+                "Bring attention to each area for 30-60 seconds, from the feet to the head",
+                "Observe the sensations without judging them or trying to change them",
+                "If your mind wanders, gently bring your attention back to the last area",
+                "Finish with an overall sense of the whole body, unified and relaxed"
+            ]
+        },
+        'sophro': {
+            science: "The IRTER method (Inhale-Retain-Tense-Exhale-Release) uses neuromuscular contrast: a 5-second isometric contraction followed by a sudden release causes post-tetanic inhibition that relaxes the muscle well below its resting tone. Applied to the 5 body zones, it induces deep relaxation measurable by EMG in 10-15 minutes. 2019 randomised controlled trial: effective against anxiety.",
+            practice: [
+                "Standing or sitting, feel your feet anchored to the ground",
+                "For each zone: breathe in, hold, tense the zone hard for 5 seconds",
+                "Breathe out sharply and release completely — savour the difference",
+                "Go through the 5 zones (head, shoulders, arms, abdomen, legs), then tense the whole body",
+                "Finish by visualising a peaceful place for 2 minutes"
+            ]
+        },
+        'meditation-lacher-prise': {
+            science: "Based on ACT (Acceptance and Commitment Therapy, Hayes 2004), this meditation uses cognitive defusion: instead of fighting unpleasant sensations, you observe them as passing mental events. In apnea, fighting the urge to breathe increases O2 consumption by 15-20%. Letting go reduces this overconsumption. The keyword ('let go') creates Pavlovian signal-relaxation conditioning.",
+            practice: [
+                "Let your breathing happen by itself, without controlling or guiding it",
+                "Let go step by step: body, breath, then attention itself",
+                "When tension appears, say 'I notice this tension' without fighting it",
+                "On each exhale, say 'let go' in your head to anchor the conditioning",
+                "Use the keyword 'let go' before each hold to trigger letting go instantly"
+            ]
+        },
+        'dry-to-wet-bridge': {
+            science: "The performance gap between dry and in-water apnea (often 20-40%) is mostly psychological: water anxiety raises HR, O2 consumption and muscle tension. Systematic desensitisation (Wolpe, 1958) gradually exposes you to the anxiety-provoking stimulus while keeping a relaxed state. This 8-week programme reduces water anxiety by 60% by working in steps.",
+            practice: [
+                "Weeks 1-2: dry training + daily face immersion to link water with calm",
+                "Weeks 3-4: short holds in the bath at 50% of your dry PB, focus on comfort",
+                "Weeks 5-6: pool apnea with a buddy, starting at 40% of your dry PB, +10%/session if comfortable",
+                "Weeks 7-8: gradual extension in 10s steps, target 60-70% of your dry PB in water",
+                "ABSOLUTE RULE: NEVER practise apnea in water alone — always with a trained buddy"
+            ]
+        },
+        'hypno-apnee-debutant': {
+            science: "Self-hypnosis uses progressive induction (relaxation + counting down) to reach an altered state of consciousness in which suggestibility increases. Neuro-associative anchoring (thumb-index gesture + calm state) creates a conditioned reflex through stimulus-response pairing. After 5-10 repetitions, the gesture alone automatically triggers the associated calm. Used in sports sophrology and EMDR protocols.",
+            practice: [
+                "Settle in very comfortably, eyes closed",
+                "Walk down a 10-step staircase in your mind, each step deepening the relaxation",
+                "At the bottom of the stairs, press your thumb against your index finger and link this gesture to deep calm",
+                "Repeat the gesture 3 times to strengthen the anchor",
+                "Test the anchor in an imagined hold: press thumb and index and visualise a calm hold"
+            ]
+        },
+        'flow-dynamique': {
+            science: "The flow state (Csikszentmihalyi, 1990) matches a brain mode in which the dorsolateral prefrontal cortex temporarily switches off (transient hypofrontality), reducing self-criticism and the sense of time. Rhythmic mantras ('Glide-Release') synchronise motor activity with an automatic verbal pattern, making it easier to enter flow. In dynamic apnea, this dissociation reduces O2 consumption by 10-15%.",
+            practice: [
+                "Visualise the split between engine (legs) and passenger (relaxed upper body)",
+                "Create your finning mantra: 'Glide' on the kick, 'Release' on the recovery",
+                "Repeat until the mantra becomes automatic, with no conscious effort",
+                "Visualise a full dynamic: start, first turn, return, finish",
+                "Anchor the state with thumb-index. Trigger it before each dynamic by saying 'Glide... Release...'"
+            ]
+        },
+        'pranayama-142': {
+            science: "The 1:4:2 ratio is described in Patanjali's Yoga Sutras (2nd century BC) as the optimal relation between Pūraka (inhale), Kumbhaka (hold) and Rechaka (exhale). The long hold (4x the inhale) increases the alveolar exchange surface by maintaining transpulmonary pressure, improving O2 transfer by 30%. The double-length exhale stabilises arterial CO2 and avoids hyperventilation. 2018 study (Saoji et al.): 12 weeks of practice reduce salivary cortisol by 27% and improve STAI anxiety scores by 35%.",
+            practice: [
+                "Sit in Sukhasana (cross-legged) or Padmasana (lotus), back straight, hands on your knees in Jnana Mudra (thumb-index)",
+                "Start with a 1:2:2 ratio (4s-8s-8s) if you are a beginner, then progress to 1:4:2 (4s-16s-8s)",
+                "Pūraka: breathe in slowly through the nose, filling the belly first (diaphragm) and then the chest",
+                "Kumbhaka: hold while applying Jalandhara Bandha (chin towards the chest) — stay relaxed, never force",
+                "Rechaka: breathe out through the nose, emptying the chest first and then the belly. Rhythm matters more than absolute duration"
+            ]
+        },
+        'nadi-shodhana': {
+            science: "Nadi Shodhana ('channel cleansing') balances the Ida (lunar, left, parasympathetic) and Pingala (solar, right, sympathetic) nadis. fMRI shows that breathing through the left nostril activates the right hemisphere (creativity, spatial) and vice versa. Telles et al. 2019: 15 minutes a day lower systolic blood pressure by 5 mmHg and increase inter-hemispheric EEG coherence by 18%. Alternating the airflow normalises the ultradian nasal cycle (the natural switch of the dominant nostril every 2-4 h).",
+            practice: [
+                "Right hand in Vishnu Mudra: fold your index and middle fingers into the palm, thumb on the right nostril, ring finger on the left nostril",
+                "Full cycle: close the right → breathe in through the left → close both → breathe out through the right → breathe in through the right → close both → breathe out through the left = 1 cycle",
+                "Start with a 1:1:1 ratio (4s-4s-4s), then progress to 1:2:2 and then 1:4:2",
+                "Keep your shoulders low and your right elbow relaxed (rest it on a cushion if needed)",
+                "Practise 5-10 minutes in the morning when you wake up and in the evening before sleep for the best effect on the nervous system"
+            ]
+        },
+        'kapalabhati': {
+            science: "Kapalabhati ('shining skull') is a Shatkarma (cleansing technique) that uses rapid, forced abdominal exhales. Each contraction of the transverse abdominis massages the viscera and pumps cerebrospinal fluid. fMRI (2020) shows a 20% increase in frontal cerebral blood flow. The mild, transient hypocapnia activates the prefrontal cortex and improves alertness. Metabolism rises by 12% for 30 minutes after practice.",
+            practice: [
+                "Sit up straight, hands on your knees. Breathe in deeply to start",
+                "Breathe out sharply through the nose by contracting your abdominals — the inhale is passive and automatic",
+                "1 round = 30 forced exhales at ~1 per second (30 seconds). The app counts the 30 cycles and stops",
+                "After the round: breathe in fully, hold for 30-60s (full lungs), then breathe out slowly. This hold is manual",
+                "Contraindicated: pregnancy, hypertension, epilepsy, abdominal hernia. Preferably practise on an empty stomach"
+            ]
+        },
+        'ujjayi': {
+            science: "Ujjayi ('victory') uses a partial narrowing of the glottis (rima glottidis) that creates 2-5 cmH2O of airflow resistance. This air brake naturally slows breathing from 15 to 6 cycles/min, activating the carotid and aortic baroreceptors. The characteristic 'ocean' sound at 60-100 Hz provides auditory feedback that helps keep a steady rhythm. Studies show a 15% drop in heart rate and a 20% rise in venous SpO2 within 5 minutes.",
+            practice: [
+                "Open your mouth and breathe out as if fogging a window — feel the narrowing in your throat",
+                "Close your mouth and reproduce exactly this narrowing while breathing through the nose",
+                "A soft, steady ocean sound should go with every inhale AND every exhale",
+                "Keep the sound even: same volume, same tone. It should never be forced or rasping",
+                "Ujjayi is the core breath of Vinyasa Yoga — use it throughout any asana practice to hold your attention"
+            ]
+        },
+        'bhramari': {
+            science: "Bhramari ('bee') combines slow breathing with sound vibration. The nasal hum (130-350 Hz) vibrates the soft palate, the paranasal sinuses and the ethmoid bone, stimulating the vagus nerve mechanosensorially. Kuppusamy 2017: 10 minutes lower HR by 7 bpm and systolic BP by 3 mmHg. Humming increases nasal nitric oxide (NO) production 15-fold (Weitzberg & Lundberg, 2002), improving vasodilation and oxygenation. Shanmukhi Mudra (closing the senses) amplifies pratyahara (sensory withdrawal).",
+            practice: [
+                "Sit comfortably. Optional: Shanmukhi Mudra — thumbs on the ears, index fingers on the closed eyes, middle fingers on the nose, ring fingers above the lips, little fingers below",
+                "Breathe in deeply through the nose (4s), then close your mouth and make a low 'Mmmm' hum for the whole exhale (8s+)",
+                "Feel the vibration in the palate, the frontal sinuses and the whole skull",
+                "Variation: try different pitches (low to high) and notice where the vibration resonates most",
+                "Practise 5-10 minutes before sleep or when stressed — an immediate calming effect from the 3rd cycle"
+            ]
+        },
+        'imst': {
+            science: "IMST (Inspiratory Muscle Strength Training) is an inspiratory muscle strengthening protocol validated by Craighead et al. (JAHA 2021): 30 reps × 5 sets × 6 days/week for 6 weeks → −9 mmHg systolic (the same effect as 30 min of daily walking), +9% VO2max, +12% maximal inspiratory strength (MIP). The target resistance is 75% of your MIP — typically 50-70 cmH₂O on a threshold trainer (PowerBreathe, Threshold PEP). Mechanism: repeated contractions of the intercostals and diaphragm against high resistance dampen the muscle metaboreceptors that signal fatigue to the brain (the 'inspiratory muscle metaboreflex'), freeing more cardiac output for the locomotor muscles. Secondary benefits: greater chest compliance, better breathing mechanics during apnea, lower perceived breathing load.",
+            practice: [
+                "Device setting: adjust the resistance until reps 28-30 are hard but doable. Start at 50% MIP (moderate resistance), add +5% per week",
+                "Without a device: maximal voluntary diaphragmatic inhale — belly out, chest up. Maximum effort, as if lifting something heavy with your breath",
+                "Rhythm: breathe in hard for 2 sec (mouth closed or on the mouthpiece), let go passively for 3 sec. 30 reps = ~2 min 30 per set",
+                "Rest 60 sec between sets — breathe normally, do not force",
+                "Progression: at least 6 weeks to see the blood pressure effects. Inspiratory strength gains show from 3 weeks",
+                "Contraindications: recent pneumothorax, chest pain, severe uncontrolled obstructive lung disease. See a doctor if in doubt"
+            ]
+        },
+        'breath-light-co2': {
+            science: "Reduced Breathing CO2 (McKeown / Oxygen Advantage, 2015) is the exact opposite of Wim Hof: instead of blowing off CO2 through hyperventilation, you build it up gradually by reducing breathing volume. Spengler et al. (2013, PMC3873666) show that this repeated exposure desensitises the central chemoreceptors by 45% in 6 weeks, pushing back the contraction threshold significantly. The exercise has 4 progressive phases: settling in (normal volume), reduced inhale, reduced breathing + post-exhale pause, controlled discomfort at minimal volume. Total duration ~7 minutes.",
+            practice: [
+                "Phase 1 (1:30) — Normal nasal inhale (4 sec), slow exhale (6 sec). Calm rhythm, usual volume. Close your eyes and settle into regular breathing",
+                "Phase 2 (1:30) — Shorten the inhale to ~3 sec: fill only two-thirds. The exhale stays long (6 sec). No forcing — just less air",
+                "Phase 3 (2:00) — Reduced inhale (3 sec) + reduced exhale (5 sec) + post-exhale pause (3 sec). A slight urge to breathe during the pause is normal and intended",
+                "Phase 4 (2:00) — Minimal volume (~2.5/4.5 sec) with a longer pause (4 sec). Observe the CO2 discomfort without giving in — exactly as during a hold",
+                "If you feel dizzy: return to normal breathing immediately. The discomfort should fade within 30 sec of the exercise"
+            ]
+        },
+        'passive-breath-hanger': {
+            science: "The Passive Breath Hanger (Molchanovs T1/T2) is a static hold at 80% lung volume. Unlike a full-inhale hold, the intermediate volume avoids over-activating the pulmonary mechanoreceptors (Hering-Breuer reflex) and leaves more chest flexibility to absorb diaphragmatic contractions. Glottis relaxation (Blunery/Néry) creates a slight passive resistance that inhibits CO2 signalling without muscular effort. Cyclic sighing preparation (Huberman/Stanford 2023) optimises gas exchange and activates the vagus nerve. Subjective logging (Throat Score, Mental State, Trachea Comfort) allows structured progress week after week.",
+            practice: [
+                "Preparation phase (3 min): repeated double sighs — deep inhale, short sniff, very slow exhale. Goal: calm the nervous system before the hang",
+                "Breathe in gently to about 80% of your capacity. Not a forced inhale — stop before the maximum",
+                "During the hang: actively relax your throat (open glottis), shoulders and hands. Observe the diaphragmatic contractions without fighting them",
+                "Very slow exhale through pursed lips at the end — 10 seconds maximum for this phase",
+                "Repeat 3 to 5 cycles. Note your Throat Score (1-5) and Mental State after each session"
+            ]
+        },
+        'surya-bhedana': {
+            science: "Surya Bhedana ('piercing the sun') is right-nostril breathing. Breathing in through the right nostril (Pingala nadi) preferentially activates the sympathetic nervous system and the left hemisphere (logic, language, energy). Telles studies (2017): a 12% increase in basal metabolism, a 0.3°C rise in body temperature and better analytical cognitive performance. Breathing out through the left nostril brings you back to calm at the end of the cycle, avoiding over-activation.",
+            practice: [
+                "Right hand in Vishnu Mudra. Close the left nostril with your ring finger",
+                "Breathe in slowly through the right nostril (4s), feel the solar energy coming in",
+                "Close both nostrils, hold (8s) with Jalandhara Bandha if comfortable",
+                "Release the left nostril, breathe out slowly through the left (6s)",
+                "Ideal in the morning or before intense activity. Avoid in the evening (it can disturb sleep)"
+            ]
+        },
+        'physiological-sigh': {
+            science: "The physiological sigh uses a reflex mechanism that reopens collapsed alveoli. The double inhale (deep nasal breath + an extra short sniff) raises transpulmonary pressure, reopening the alveolar sacs and maximising the gas exchange surface. The long exhale that follows immediately activates the vagus nerve through the aortic baroreceptors. Stanford 2023 study (Balban et al.): 1 to 3 cycles are enough for a measurable drop in cortisol and heart rate. This is the SOS version of Cyclic Sighing — the same technique, used as an on-the-spot intervention rather than a daily practice.",
+            practice: [
+                "As soon as you feel stress, panic or tension: stop what you are doing",
+                "Breathe in deeply through the nose to fill the lungs two-thirds (2s)",
+                "Without breathing out, take a short, sharp second inhale through the nose to fill up completely (1s)",
+                "Breathe out very slowly and fully through the mouth, emptying the lungs completely (7s+)",
+                "Repeat 1 to 3 times — the effect is almost immediate from the first cycle"
+            ]
+        },
+        'extended-exhale': {
+            science: "A 1:2 extended exhale (inhale 4s / exhale 8s) uses the asymmetry of the autonomic nervous system: inhaling activates the sympathetic system (heart speeds up), exhaling activates the parasympathetic system through the vagus nerve (heart slows down). Making the exhale twice as long as the inhale creates a deliberate imbalance in favour of the parasympathetic vagal brake. 10 cycles are enough to lower heart rate by 5-8 bpm and reduce salivary cortisol. The same protocol as '1:2 Breathing' but as a targeted 2-minute emergency version.",
+            practice: [
+                "Settle in or stay where you are — this exercise works anywhere",
+                "Breathe in calmly through the nose for 4 seconds, expanding the belly",
+                "Breathe out very slowly, as if through an imaginary straw, for 8 seconds",
+                "Keep a steady rhythm without forcing — gentleness works better than effort",
+                "10 cycles are enough for a noticeable effect — repeat until you feel calm"
+            ]
+        },
+        'box-quick': {
+            science: "4-4-4-4 box breathing is used by the Navy SEALs to keep mental clarity under extreme stress. The symmetry of the four phases sets a pace of 3.75 cycles/min that increases heart rate variability (HRV) and stimulates vagal tone. The two holds (full and empty lungs) briefly raise pCO2, which improves cerebral vasodilation. 6 cycles (2 minutes) are enough for a significant recovery from acute stress. The quick version is the same as full box breathing, but with a targeted goal: regain control fast.",
+            practice: [
+                "Breathe in through the nose for 4 seconds, expanding the belly and then the chest",
+                "Hold with full lungs for 4 seconds — body relaxed, jaw loose",
+                "Breathe out slowly and completely for 4 seconds",
+                "Hold with empty lungs for 4 seconds — without tensing",
+                "6 cycles (2 min) are enough to regain control. Practise anywhere, discreetly"
+            ]
+        },
+        'grounding-555': {
+            science: "The 5-5-5 technique (5 things you see, 5 sounds, 5 sensations) is a cognitive-sensory grounding technique from cognitive behavioural therapy (CBT). It relies on 'attentional saturation': by engaging the three main sensory channels (visual, auditory, kinaesthetic), it interrupts the rumination and anxiety loop by forcing the prefrontal cortex to process concrete, present stimuli. This grounding mechanism activates the sensory processing areas of the cortex at the expense of an overactive amygdala. CBT studies: 2-3 minutes of grounding reduce the perceived intensity of a panic attack by 35-50%.",
+            practice: [
+                "Take 3 slow, deep breaths to settle your body",
+                "Look around and name IN YOUR HEAD 5 things you see (colour, shape, detail)",
+                "Listen carefully and pick out 5 distinct sounds around you",
+                "Notice 5 tactile sensations: the weight of your clothes, the floor under your feet, the air temperature",
+                "Finish with a deep breath — you are here, now, safe"
+            ]
+        },
+        'quick-coherence': {
+            science: "Full cardiac coherence normally takes 10-20 minutes for a deep effect on HRV (heart rate variability). However, HeartMath Institute research shows that a minimum of 3 minutes at 5.5 cycles/min is enough to start cardio-respiratory synchronisation and lower cortisol. This express version is designed to fit into the last few minutes before a performance, an exam or an important decision. The effect is less deep than a full session, but immediately available.",
+            practice: [
+                "Sit or stay standing, back straight, eyes half closed",
+                "Breathe in gently through the nose for exactly 5 seconds",
+                "Breathe out gently for exactly 5 seconds — no pause between phases",
+                "Keep a smooth, steady rhythm — picture a wave rising and falling",
+                "3 minutes are enough before a performance. For a lasting effect, practise 10 min morning and evening"
+            ]
+        },
+        'power-viz': {
+            science: "Performance imagery activates the same neural circuits as real execution: the premotor cortex, the supplementary motor area and the cerebellum reach 60-80% of their physical activation level (fMRI, Decety et al.). In 2 focused minutes, this short protocol uses three key elements: the image of success (motor activation), the emotional feeling (limbic anchoring) and the physical anchor (Pavlovian conditioning). Ideal as the last mental step before a competition or a performance.",
+            practice: [
+                "Close your eyes. Take 3 deep breaths to centre your attention",
+                "See yourself succeeding perfectly — in the first person, through your own eyes",
+                "Add the sensory details: sounds, temperature, muscle sensations",
+                "Feel the confidence, the mastery, the satisfaction — let these emotions rise fully",
+                "Anchor this state: press your thumb against your index finger. Open your eyes. You are that athlete."
+            ]
+        },
+        'dive-prep': {
+            science: "The pre-dive breathe-up combines three physiological mechanisms: (1) slow diaphragmatic breathing brings HR below 60-70 bpm through the baroreflex, (2) visualising the dive activates motor pre-encoding (prefrontal cortex), reducing anticipatory anxiety by 20-30%, and (3) progressive relaxation minimises resting O2 consumption, maximising the reserves available for the hold. This protocol is the guided version of the 'structured breathe-up', adapted to beach or poolside conditions.",
+            practice: [
+                "Lie or sit down comfortably. Relax your jaw, shoulders and abdomen",
+                "Slow diaphragmatic breathing (belly → ribs → chest), passive 6-8s exhale",
+                "Slow down until you feel your heart settle — goal: HR < 65 bpm",
+                "Visualise your whole dive: descent, bottom, ascent, surface. Stay calm at every stage",
+                "Last breaths: slow, deep, relaxed. Have a good dive."
+            ]
+        },
+        'sleep-descent': {
+            science: "This protocol combines Jacobson's progressive muscle relaxation (tense-and-release), Dr Andrew Weil's 4-7-8 breathing (sedative effects through prolonged vagal stimulation), and hypnagogic imagery (inducing the wake-sleep transition through descending visualisation). The descending staircase image uses the deepening-of-consciousness metaphor from clinical hypnosis (Milton Erickson). Chaining the three techniques over 7 minutes creates a gradual transition into deep slow-wave sleep.",
+            practice: [
+                "Lie in bed, eyes closed, arms by your sides",
+                "3 cycles of 4-7-8 breathing: breathe in 4s (nose), hold 7s, breathe out 8s (mouth, with a 'whoosh' sound)",
+                "Progressive release: forehead → eyes → jaw → shoulders → arms → legs",
+                "Imagine a 10-step staircase going down into sleep. Walk down slowly, one step at a time",
+                "On step 1, let your awareness dissolve. Do not chase sleep — it will come on its own"
+            ]
+        },
+        'deep-sleep-478': {
+            science: "The Deep Sleep 4-7-8 protocol combines two distinct mechanisms. Dr Andrew Weil's 4-7-8 ratio acts as a natural tranquilliser: the 7-second full-lung hold raises intrathoracic pressure and stimulates the vagus nerve through the baroreceptors, triggering GABA release and deep parasympathetic activation. The 8-second exhale prolongs the effect and lowers heart rate by 8-12 bpm. The progressive body scan activates the somatosensory cortex zone by zone, diverting the default mode network (amygdala, rumination) towards neutral body attention — the same mechanism as MBSR therapy (Kabat-Zinn). The sequence of opening 4-7-8 blocks → body scan → closing 4-7-8 blocks creates a three-phase sleep tunnel: vagal activation, attentional dissolution, sealing sleep.",
+            practice: [
+                "Lie in bed and switch off screens. No light, or a very dim night light",
+                "Opening block: 4 cycles of 4-7-8 with a counting voice and an animated circle — let the rhythm settle",
+                "Body scan: follow the voice zone by zone, from head to feet. Do not try to stay awake",
+                "Closing block: the last 4 cycles of 4-7-8 seal sleep — it is normal to fall asleep before the end",
+                "The 4-7-8 ratio is FIXED according to Dr Weil's method — total duration is the only setting",
+                "Practise every evening for 21 days to condition the falling-asleep reflex"
+            ]
+        },
+        'focus': {
+            science: "The 'beam of light' visualisation for concentration relies on the attentional spotlight metaphor (Posner, 1980). In mental imagery, aiming a spotlight at the object of attention preferentially activates the dorsal attention network (posterior parietal cortex + frontal eye fields). Holding a focal point for 3 minutes strengthens inhibitory control (dorsolateral prefrontal cortex), reducing distractibility. Neurofeedback studies: 8-10 minutes of daily attention training increase grey matter density in the prefrontal cortex within 8 weeks.",
+            practice: [
+                "Sit comfortably, back straight. Breathe calmly for 1 minute",
+                "Close your eyes and picture a focused beam of light in front of you",
+                "Aim this beam at the object of your concentration (task, goal, performance)",
+                "Keep your attention on this point of light. When your mind wanders, refocus the beam without judgement",
+                "Practise daily: attention is a muscle that grows stronger with training"
+            ]
+        },
+        'vakog-static': {
+            science: "The VAKOG model (Visual, Auditory, Kinaesthetic, Olfactory, Gustatory) is the Neuro-Linguistic Programming framework (Bandler & Grinder, 1975) adapted to static apnea. By splitting attention into distinct sensory channels and switching between them quickly, you saturate the Default Mode Network — responsible for rumination and CO2 hypervigilance. The 'Switch' technique (toe → earlobe) uses gate control (Melzack & Wall): a strong new sensory stimulus can dampen the perception of another. Self-hypnosis studies: a 40% reduction in the perception of diaphragmatic contractions.",
+            practice: [
+                "In your static position, do your usual breathe-up before starting the exercise",
+                "Follow the VAKOG guide: go through the modalities in order (external Auditory → internal Auditory → Kinaesthetic → internal Visual)",
+                "Switch technique: if a contraction or unpleasant sensation comes, INSTANTLY move your focus to your left little toe, then your right earlobe",
+                "Create your anchor: press thumb against index finger at the moment of deepest calm",
+                "Use the anchor (thumb-index) before each static to quickly reactivate the VAKOG state"
+            ]
+        },
+        'scan-sensoriel': {
+            science: "The circular sensory scan applies gate control theory (Melzack & Wall, 1965): attention focused on neutral body areas activates the inhibitory interneurons of the dorsal horn, reducing painful or uncomfortable signalling to the cortex. By rotating quickly between areas (skull → ears → hands → toes), attentional processing stays constantly on the move, preventing the amygdala from locking onto diaphragmatic contractions. Used by elite freedivers for long static holds (6+ minutes).",
+            practice: [
+                "Static position, eyes closed. Take one last calm breath before the guide",
+                "Follow the body scan from the skull to the feet, zone by zone, observing without judging",
+                "When the scan speeds up (fast cycles), change zone at the guide's pace",
+                "If an unpleasant sensation appears: jump immediately to your left little toe or your earlobe — anchored neutral zones",
+                "With practice, you will be able to do the scan alone without a guide, at your own pace"
+            ]
+        },
+        'co2-vhl-classic': {
+            science: "Classic Woorons VHL is the source protocol of the scientific studies on VHL (Woorons et al., 2014, 2017). With only 2 recovery breaths between pauses (vs 3 in the CO2 protocol), the hypercapnic load between cycles is higher: PCO2 does not fully come down before the next pause, creating a more intense cumulative exposure. The 6-second end-expiratory pause (vs 5s) produces an arterial PCO2 of about 58-62 mmHg — more than the short protocol. Recommended only after completing 4 weeks of standard VHL CO2. The 8 cycles over 14 minutes are the full protocol of the original study.",
+            practice: [
+                "Prerequisite: complete 4 weeks of standard VHL CO2 before starting this protocol",
+                "Breathe normally 2 times (natural inhale + exhale)",
+                "On the 2nd exhale: breathe out normally (lungs half empty, do NOT empty fully), then PAUSE for 6 seconds",
+                "Take 2 normal breaths again, then repeat the pause. Cycle: 2 breaths → 1 pause × 8 cycles",
+                "Recover with 4 free breaths between sets. The longer pause and shorter interval create a higher CO2 load than the standard protocol"
+            ]
+        },
+        'predive': {
+            science: "The complete pre-dive mental routine combines several techniques validated in sport psychology: (1) the visualised breathe-up activates the parasympathetic system through associative conditioning, (2) first-person visualisation of the descent encodes the motor path in the premotor cortex, reducing conscious decisions during the hold, (3) positive visualisation of the surface conditions a calm, controlled exit. Swann et al. (2012): athletes with a pre-performance mental routine show 25% less pre-competition anxiety and 15% better performance.",
+            practice: [
+                "Start 10 minutes before the dive, somewhere calm",
+                "Visualise the breathe-up in real time: feel your heart slow down, your muscles relax",
+                "Visualise the descent in the first person: every metre, every equalisation, the feeling of gliding",
+                "At the bottom: feel the absolute calm, the silence. See yourself serene and in control",
+                "Visualise the ascent and a perfect exit. Anchor the feeling of success with thumb-index"
+            ]
+        },
+        'flow-release': {
+            science: "Flow & Release combines Triple Awareness (Molchanovs/AIDA technique) with a structured breathe-up. Triple Awareness — perceiving the external environment, internal body sensations and mental space at the same time — saturates the default mode network to quiet it. This sensory defocusing activates the ventral attention network (passive, non-analytical processing), making it easier to enter the flow state (Csikszentmihalyi). The preliminary cyclic sighing phase primes the vagus nerve and calms CO2 hypervigilance before the hold.",
+            practice: [
+                "Phase 1 — Cyclic Sighing (5 cycles): double nasal inhale + long exhale. Activates the vagus nerve",
+                "Phase 2 — Segmental diaphragm (3 stages): belly, ribs, chest. Maximises residual volume",
+                "Phase 3 — Triple Awareness: perceive at once a distant sound, a body sensation and the calm of your mind",
+                "Keep Triple Awareness during the hold — if your attention locks onto a contraction, come back to the distant sound",
+                "Exit: breathe out slowly while staying in this state of widened perception"
+            ]
+        },
+        'pmr': {
+            science: "Progressive Muscle Relaxation (Edmund Jacobson, 1929) is one of the best scientifically validated relaxation techniques. Manzoni et al. meta-analysis (2008) covering 3,400 participants: a significant reduction in stress, anxiety and depression. The principle is neurophysiological: a maximal 5-8 second isometric contraction locally depletes acetylcholine at the motor end plates, causing post-tetanic inhibition — the muscle relaxes well below its resting tone. This tense-release contrast also trains proprioceptive awareness of residual tension, making it easier to release on purpose.",
+            practice: [
+                "Lie down comfortably. Work through 15 muscle groups from hands to feet",
+                "For each group: tense hard for 5-8 seconds (without pain), then release suddenly",
+                "Notice the difference between tension and relaxation — this awareness is the training",
+                "Do not skip any group: the systematic top-to-bottom progression is essential",
+                "Practise daily for 2-4 weeks for a lasting effect. After that, deep relaxation is available within minutes"
+            ]
+        },
+        'cardiac-coherence': {
+            science: "Cardiac coherence is reached when breathing oscillates at the resonance frequency of the arterial baroreflex (~0.1 Hz). At this frequency, blood pressure and heart rate oscillations come into phase, maximising heart rate variability (HRV). The HeartMath Institute (McCraty et al., 2015) established that individual resonance frequency ranges from 4.5 to 7 cycles/min (average optimum: 5.5 cycles/min). A full-lung hold amplifies the effect by maintaining transpulmonary pressure and stimulating the aortic baroreceptors. The inhale:exhale ratio shifts the sympathetic/parasympathetic balance: 1:1 = ANS balance, 1:1.5 or 1:2 = stronger parasympathetic dominance. 5-10 minutes of practice reduce salivary cortisol by 23% (Karavidas et al., 2007) and improve the HRV SDNN score by 55% after 10 weeks.",
+            practice: [
+                "Sit with your back straight, feet flat. One hand on your belly to feel it expand",
+                "Choose your rate: start at 5.5 cycles/min (5.5s/5.5s). If 5.5s feels long, start at 4.5s/4.5s",
+                "Inhale: expand the belly first (diaphragm), then widen the ribs. Gentle, effortless",
+                "Hold (if enabled): a natural pause with full lungs, body relaxed, jaw loose",
+                "Exhale: slow and steady. A 1:1.5 or 1:2 ratio strengthens parasympathetic activation",
+                "Keep a perfectly steady rhythm — regularity matters more than absolute duration",
+                "Practise 10 min morning and evening for a measurable effect on HRV within 4 weeks"
+            ]
+        }
+    }
+});
@@ -0,0 +1,2158 @@
+/**
+ * Español — bundle de traduction (voir i18n.js)
+ *
+ * Clés : textes français de l'app. Une entrée absente reste en français.
+ */
+
+window.i18n.register('es', {
+    ui: {
+        // Verrouillage, en-tête, réglages rapides
+        'Entrez votre code PIN': 'Introduce tu PIN',
+        'Deverrouiller': 'Desbloquear',
+        'PIN incorrect': 'PIN incorrecto',
+        '🔊 Volumes': '🔊 Volúmenes',
+        '✓ Sauvé': '✓ Guardado',
+        'Sons respiration': 'Sonidos de respiración',
+        'Son océan': 'Sonido del océano',
+        'Volume voix': 'Volumen de la voz',
+        'Voix TTS': 'Voz TTS',
+        '— Auto (meilleure disponible) —': '— Auto (la mejor disponible) —',
+        'Voix enregistrée': 'Voz grabada',
+        '— Aucune (synthèse vocale) —': '— Ninguna (síntesis de voz) —',
+        '📦 Importer un pack': '📦 Importar un paquete',
+        '🗑 Supprimer': '🗑 Eliminar',
+        '📝 Modèle': '📝 Plantilla',
+        'Vitesse': 'Velocidad',
+        'Animation': 'Animación',
+        'Onde (globe + arc)': 'Onda (globo + arco)',
+        'Orbe lumineux': 'Orbe luminoso',
+        'Texte seul': 'Solo texto',
+        '↺ Défauts': '↺ Valores por defecto',
+        '💾 Sauvegarder': '💾 Guardar',
+        '🎵 Fond musical Spotify': '🎵 Música de fondo Spotify',
+        '🧘 Méditation & Relaxation': '🧘 Meditación y relajación',
+        '🌊 Nature & Ambiance': '🌊 Naturaleza y ambiente',
+        '😴 Sommeil profond': '😴 Sueño profundo',
+        '🎵 Focus & Concentration': '🎵 Enfoque y concentración',
+        '🔔 Bols tibétains': '🔔 Cuencos tibetanos',
+        'Ou colle ton lien Spotify :': 'O pega tu enlace de Spotify:',
+        'Favoris': 'Favoritos',
+        'Mode hors-ligne': 'Modo sin conexión',
+        'Guidage vocal': 'Guía por voz',
+        'Sons de respiration': 'Sonidos de respiración',
+        'Sync non configurée': 'Sincronización no configurada',
+        'Ouvrir Spotify': 'Abrir Spotify',
+        'Réglage des volumes': 'Ajuste de volúmenes',
+        'Archive .zip : manifest.json + fichiers audio': 'Archivo .zip: manifest.json + archivos de audio',
+        'Manifeste listant toutes les phrases à enregistrer': 'Manifiesto con todas las frases a grabar',
+        '🎛 Éditer les thèmes': '🎛 Editar temas',
+        'Créer, modifier, importer ou exporter des thèmes sonores': 'Crear, editar, importar o exportar temas de sonido',
+        'Thèmes sonores': 'Temas de sonido',
+        'Thème': 'Tema',
+        'Nom du thème': 'Nombre del tema',
+        'Gain': 'Ganancia',
+        'Phase': 'Fase',
+        'Rétention (poumons vides)': 'Retención (pulmones vacíos)',
+        '▶ Écouter': '▶ Escuchar',
+        '⧉ Dupliquer': '⧉ Duplicar',
+        '⬇ Exporter': '⬇ Exportar',
+        '⬆ Importer': '⬆ Importar',
+        'Utiliser': 'Usar',
+        'Thème intégré : dupliquez-le pour enregistrer vos modifications.': 'Tema integrado: duplícalo para guardar tus cambios.',
+        'Phase absente : la phase la plus proche est jouée.': 'Fase no definida: se reproduce la fase más cercana.',
+        'Ambiance sonore': 'Ambiente sonoro',
+        'Ambiance': 'Ambiente',
+        'Paysage': 'Paisaje',
+        'Ambiance propre à l\'exercice (sommeil, auto-hypnose)': 'Ambiente propio del ejercicio (sueño, autohipnosis)',
+        'Rechercher...': 'Buscar...',
+
+        // Paysages sonores (soundscapes.js)
+        'Océan': 'Océano',
+        'Vagues de bruit brun, ressac lent': 'Olas de ruido marrón, resaca lenta',
+        'Pluie': 'Lluvia',
+        'Averse régulière et gouttes proches': 'Aguacero constante y gotas cercanas',
+        'Sous l\'eau': 'Bajo el agua',
+        'Grondement étouffé, nappe grave et bulles': 'Rumor amortiguado, fondo grave y burbujas',
+        'Vent en forêt': 'Viento en el bosque',
+        'Vent par rafales et bruissement des feuilles': 'Viento racheado y susurro de las hojas',
+        'Bruit rose': 'Ruido rosa',
+        'Bruit brun': 'Ruido marrón',
+        'Bruit blanc': 'Ruido blanco',
+        'Bruit continu, pour masquer l\'environnement': 'Ruido continuo para enmascarar el entorno',
+        'Battements binauraux': 'Pulsos binaurales',
+        'Casque requis — 1 à 4 Hz : sommeil profond, 4 à 8 Hz : relaxation et hypnose': 'Se necesitan auriculares — 1 a 4 Hz: sueño profundo, 4 a 8 Hz: relajación e hipnosis',
+        'Tons isochrones': 'Tonos isocrónicos',
+        'Impulsions régulières, sans casque — même réglage de fréquence que les binauraux': 'Pulsos regulares, sin auriculares — mismos rangos de frecuencia que los binaurales',
+        'Houle': 'Oleaje',
+        'Clarté': 'Brillo',
+        'Intensité': 'Intensidad',
+        'Gouttes': 'Gotas',
+        'Filtre': 'Filtro',
+        'Nappe': 'Fondo',
+        'Bulles': 'Burbujas',
+        'Vent': 'Viento',
+        'Rafales': 'Ráfagas',
+        'Feuillage': 'Follaje',
+        'Porteuse': 'Portadora',
+        'Battement': 'Pulso',
+        'Impulsions': 'Pulsos',
+        'Fond de bruit': 'Fondo de ruido',
+
+        // Navigation
+        'Accueil': 'Inicio',
+        'Coach': 'Coach',
+        'Journal': 'Diario',
+        'Plan': 'Plan',
+        'Respiration': 'Respiración',
+        'Visualisation': 'Visualización',
+        'Apnée': 'Apnea',
+        'Urgence': 'Urgencia',
+        'Pré-Perf': 'Pre-Compet.',
+        'Hypnose': 'Hipnosis',
+        'Guide': 'Guía',
+        'Retour': 'Volver',
+        'Lancer': 'Iniciar',
+        'Fermer': 'Cerrar',
+        'Annuler': 'Cancelar',
+        'Supprimer': 'Eliminar',
+        'Modifier': 'Editar',
+        'Enregistrer': 'Guardar',
+        'Réinitialiser': 'Restablecer',
+        'Passer': 'Saltar',
+        'Recommencer': 'Reiniciar',
+        'Commencer': 'Empezar',
+        'Démarrer': 'Empezar',
+        'Arrêter': 'Detener',
+        'Importer': 'Importar',
+        'Tout voir': 'Ver todo',
+
+        // Accueil
+        'Maîtrisez votre souffle': 'Domina tu respiración',
+        'Techniques avancées basées sur les dernières recherches scientifiques': 'Técnicas avanzadas basadas en las últimas investigaciones científicas',
+        'Coach IA': 'Coach IA',
+        'Entrainement apnee au sec, programmes sur mesure, suivi de progression': 'Entrenamiento de apnea en seco, programas a medida, seguimiento del progreso',
+        'Tables O2/CO2, réflexe de plongée et entraînement progressif': 'Tablas O2/CO2, reflejo de inmersión y entrenamiento progresivo',
+        'Tableau de bord de tous vos entrainements, ajout et modification': 'Panel de todos tus entrenamientos, añadir y editar',
+        'Cyclic sighing, cohérence cardiaque, box breathing et techniques Wim Hof': 'Cyclic sighing, coherencia cardíaca, box breathing y técnicas Wim Hof',
+        'Protocoles PETTLEP, body scan et relaxation dynamique sophrologique': 'Protocolos PETTLEP, body scan y relajación dinámica sofrológica',
+        'Séquences personnalisables, intervalles et chronomètres pour vos entraînements': 'Secuencias personalizables, intervalos y cronómetros para tus entrenamientos',
+        'Exercices rapides pour calmer panique, anxiété et stress soudain': 'Ejercicios rápidos para calmar el pánico, la ansiedad y el estrés repentino',
+        'Protocole de 5 minutes avant plongée, chasse sous-marine ou compétition': 'Protocolo de 5 minutos antes de una inmersión, pesca submarina o competición',
+        'Techniques VAKOG, flow-state et gestion des spasmes pour apnéistes': 'Técnicas VAKOG, flow-state y gestión de contracciones para apneístas',
+        'Aide au choix des exercices selon votre objectif, votre niveau et votre blocage': 'Ayuda para elegir ejercicios según tu objetivo, tu nivel y tu bloqueo',
+        'Pré-Performance': 'Pre-Competición',
+        'Auto-Hypnose': 'Autohipnosis',
+
+        // Journal
+        'Journal d\'entrainement': 'Diario de entrenamiento',
+        '0 sessions': '0 sesiones',
+        '+ Ajouter': '+ Añadir',
+        'Date ↕': 'Fecha ↕',
+        'Exercice ↕': 'Ejercicio ↕',
+        'Categorie ↕': 'Categoría ↕',
+        'Duree ↕': 'Duración ↕',
+        'Timings': 'Tiempos',
+        'Ressenti ↕': 'Sensación ↕',
+        'Stress Av. ↕': 'Estrés antes ↕',
+        'Stress Ap. ↕': 'Estrés después ↕',
+        'Notes': 'Notas',
+        'Actions': 'Acciones',
+        'Exporter en Excel': 'Exportar a Excel',
+
+        // Plan de la semaine
+        'Plan de la Semaine': 'Plan de la semana',
+        'Programme personnalisé par ton coach IA': 'Programa personalizado por tu coach IA',
+        'Consigne pour le coach': 'Indicaciones para el coach',
+        'Objectif de la semaine': 'Objetivo de la semana',
+        'Objectif : auto': 'Objetivo: auto',
+        'Statique': 'Estática',
+        'Chasse sous-marine': 'Pesca submarina',
+        'Gestion du stress': 'Gestión del estrés',
+        'Sommeil': 'Sueño',
+        'Générateur': 'Generador',
+        'Coach IA (hors-ligne si indisponible)': 'Coach IA (sin conexión si no está disponible)',
+        'Hors-ligne uniquement': 'Solo sin conexión',
+        'Durée du plan': 'Duración del plan',
+        'Une semaine': 'Una semana',
+        'Programme 4 semaines': 'Programa de 4 semanas',
+        'Programme 6 semaines': 'Programa de 6 semanas',
+        'Programme 8 semaines': 'Programa de 8 semanas',
+        'Programme 12 semaines': 'Programa de 12 semanas',
+        'Échéance': 'Fecha objetivo',
+        'Générer un plan': 'Generar un plan',
+        'Semaine précédente': 'Semana anterior',
+        'Semaine suivante': 'Semana siguiente',
+        'Plan Semaine': 'Plan semanal',
+        'Supprimer ce plan': 'Eliminar este plan',
+        'Génération du plan en cours…': 'Generando el plan…',
+        'Claude analyse ton historique et construit ton programme': 'Claude analiza tu historial y construye tu programa',
+        'Aucun plan pour cette semaine': 'No hay plan para esta semana',
+        'Clique sur': 'Pulsa',
+        'pour créer ton programme personnalisé.': 'para crear tu programa personalizado.',
+        'Le coach IA analyse ton historique et ton niveau pour construire la semaine idéale.': 'El coach IA analiza tu historial y tu nivel para construir la semana ideal.',
+        '💡 Sans clé API (ni serveur local), le plan est construit hors-ligne à partir de ton historique et de l\'objectif choisi.': '💡 Sin clave API (ni servidor local), el plan se construye sin conexión a partir de tu historial y del objetivo elegido.',
+        'Calendrier (.ics)': 'Calendario (.ics)',
+        'Exporter la semaine affichée': 'Exportar la semana mostrada',
+        'Un événement par exercice, avec un lien qui le lance dans l\'app.': 'Un evento por ejercicio, con un enlace que lo inicia en la app.',
+        'Heure': 'Hora',
+        'Rappel': 'Recordatorio',
+        'Aucun': 'Ninguno',
+        '5 min avant': '5 min antes',
+        '15 min avant': '15 min antes',
+        '30 min avant': '30 min antes',
+        '1 h avant': '1 h antes',
+        'Télécharger le .ics': 'Descargar el .ics',
+        'Sorties et compétitions': 'Salidas y competiciones',
+        'Importe un calendrier .ics (club, compétitions, voyages) : le plan et sa génération en tiennent compte.': 'Importa un calendario .ics (club, competiciones, viajes): el plan y su generación lo tienen en cuenta.',
+        'Importer un .ics': 'Importar un .ics',
+
+        // Respiration
+        'Techniques validées scientifiquement pour optimiser votre système nerveux': 'Técnicas validadas científicamente para optimizar tu sistema nervioso',
+        'Double inspiration suivie d\'une expiration prolongée. Réduction du stress 56% plus efficace que la méditation.': 'Doble inhalación seguida de una exhalación prolongada. Reduce el estrés un 56% más que la meditación.',
+        '5.5 respirations par minute pour synchroniser cœur et respiration. Optimise la variabilité cardiaque.': '5,5 respiraciones por minuto para sincronizar corazón y respiración. Optimiza la variabilidad cardíaca.',
+        'Respiration de résonance paramétrable — fréquence, ratio et rétention ajustables pour votre fréquence optimale.': 'Respiración de resonancia configurable — frecuencia, ratio y retención ajustables para tu frecuencia óptima.',
+        'Paliers de 6.5 à 4.5 resp/min mesurés au cardiofréquencemètre (ou notés au ressenti) — la meilleure fréquence règle votre cohérence cardiaque.': 'Escalones de 6,5 a 4,5 resp/min medidos con pulsómetro (o valorados por sensación) — la mejor frecuencia ajusta tu coherencia cardíaca.',
+        'Technique 4-4-4-4 utilisée par les forces spéciales. Augmente le tonus vagal et la concentration.': 'Técnica 4-4-4-4 usada por las fuerzas especiales. Aumenta el tono vagal y la concentración.',
+        'Hyperventilation contrôlée suivie de rétentions. Améliore énergie, clarté mentale et tolérance au froid.': 'Hiperventilación controlada seguida de retenciones. Mejora la energía, la claridad mental y la tolerancia al frío.',
+        'Respiration lente 1:2 pour activer le nerf vague et maximiser la variabilité cardiaque. Idéale en préparation pré-plongée.': 'Respiración lenta 1:2 para activar el nervio vago y maximizar la variabilidad cardíaca. Ideal antes de una inmersión.',
+        'Expiration longue freinée (Ujjayi) — le freinage glottique ralentit l\'évacuation du CO2 et crée une hypercapnie progressive sûre.': 'Exhalación larga frenada (Ujjayi) — el frenado glótico ralentiza la salida del CO2 y crea una hipercapnia progresiva segura.',
+        'Pause end-expiratory à bas volume pulmonaire. Désensibilisation réelle des chémorécepteurs CO2 : −45% de sensibilité en 6 semaines (Woorons / Kapus 2013).': 'Pausa al final de la espiración con bajo volumen pulmonar. Desensibilización real de los quimiorreceptores de CO2: −45% de sensibilidad en 6 semanas (Woorons / Kapus 2013).',
+        'Protocole original Woorons. 2 respirations + pause 6s poumons bas × 8 cycles. Progression après maîtrise du VHL CO2.': 'Protocolo original de Woorons. 2 respiraciones + pausa de 6 s con pulmones bajos × 8 ciclos. Progresión tras dominar el VHL CO2.',
+        'Pause FRC longue (20s+) sur bas volume pulmonaire. Gorge relâchée, progression par paliers CO2. Post VHL CO2 avancé.': 'Pausa FRC larga (20 s+) con bajo volumen pulmonar. Garganta relajada, progresión por escalones de CO2. Tras VHL CO2 avanzado.',
+        'Inspirations forcées à haute résistance. −9 mmHg de tension systolique et +9% VO2max en 6 semaines (Craighead 2021). 30 reps × 5 séries.': 'Inspiraciones forzadas contra alta resistencia. −9 mmHg de presión sistólica y +9% de VO2max en 6 semanas (Craighead 2021). 30 reps × 5 series.',
+        'Réduction progressive de l\'amplitude pour générer un inconfort CO2 contrôlé. Entraîne la tolérance des chémorécepteurs. Inverse du Wim Hof.': 'Reducción progresiva de la amplitud para generar una incomodidad de CO2 controlada. Entrena la tolerancia de los quimiorreceptores. Lo contrario del Wim Hof.',
+        'Suspension poumons pleins avec relâchement différentiel. Travaille la capacité pulmonaire et le calme profond par micro-apnée FRC.': 'Suspensión con pulmones llenos y relajación diferencial. Trabaja la capacidad pulmonar y la calma profunda mediante microapneas FRC.',
+        'Technique Dr. Andrew Weil pour l\'endormissement. Activation parasympathique profonde.': 'Técnica del Dr. Andrew Weil para conciliar el sueño. Activación parasimpática profunda.',
+        'Ratio classique yogique : inspir 1x, rétention 4x, expir 2x. Fondement du Pranayama Vedique.': 'Ratio yóguico clásico: inhalar 1x, retener 4x, exhalar 2x. Base del Pranayama védico.',
+        'Respiration alternée — équilibre les deux hémisphères cérébraux et le système nerveux.': 'Respiración alterna — equilibra los dos hemisferios cerebrales y el sistema nervioso.',
+        'Respiration du crâne brillant — expirations puissantes pour purifier et énergiser.': 'Respiración del cráneo brillante — exhalaciones potentes para purificar y energizar.',
+        'Le souffle victorieux — respiration océanique qui calme le système nerveux en profondeur.': 'La respiración victoriosa — respiración oceánica que calma a fondo el sistema nervioso.',
+        'Le souffle de l\'abeille — bourdonnement qui stimule le nerf vague et l\'oxyde nitrique.': 'La respiración de la abeja — zumbido que estimula el nervio vago y el óxido nítrico.',
+        'Respiration solaire — active le sympathique pour l\'énergie et la chaleur interne.': 'Respiración solar — activa el simpático para la energía y el calor interno.',
+        'Stress & Humeur': 'Estrés y ánimo',
+        'Cohérence HRV': 'Coherencia HRV',
+        'Respiration Cohérente': 'Respiración coherente',
+        'Équilibre ANS': 'Equilibrio SNA',
+        'Cohérence Cardiaque': 'Coherencia cardíaca',
+        'HRV avancé': 'HRV avanzado',
+        'Évaluation HRV': 'Evaluación HRV',
+        'Fréquence de Résonance': 'Frecuencia de resonancia',
+        '5 paliers': '5 escalones',
+        'Étude 2024': 'Estudio 2024',
+        'Méthode Wim Hof': 'Método Wim Hof',
+        'Énergie & Résilience': 'Energía y resiliencia',
+        'Calme nerveux': 'Calma nerviosa',
+        'CO2 Tolérance': 'Tolerancia CO2',
+        'Hypoventilation VHL CO2': 'Hipoventilación VHL CO2',
+        'CO2 réel': 'CO2 real',
+        '5 séries': '5 series',
+        'VHL Classique Woorons': 'VHL clásico Woorons',
+        'CO2 avancé': 'CO2 avanzado',
+        '8 séries': '8 series',
+        'VHL Statique': 'VHL estático',
+        '6 cycles': '6 ciclos',
+        'IMST — Force Inspiratoire': 'IMST — Fuerza inspiratoria',
+        'Force': 'Fuerza',
+        '5 × 30 reps': '5 × 30 reps',
+        'Respiration Réduite CO2': 'Respiración reducida CO2',
+        'Tolérance CO2': 'Tolerancia al CO2',
+        'Cohérence Plus': 'Coherencia Plus',
+        'Capacité & Calme': 'Capacidad y calma',
+        'Respiration 4-7-8': 'Respiración 4-7-8',
+        '4 cycles': '4 ciclos',
+        'Relaxation': 'Relajación',
+        'Équilibre': 'Equilibrio',
+        'Alternée': 'Alterna',
+        'Énergie': 'Energía',
+        '3 rounds': '3 rondas',
+        'Vibration': 'Vibración',
+
+        // Visualisation
+        'Protocoles de sophrologie et d\'imagerie mentale utilisés par les athlètes olympiques': 'Protocolos de sofrología e imaginería mental usados por atletas olímpicos',
+        'Parcours attentionnel systématique du corps. Améliore la conscience corporelle et active le système parasympathique.': 'Recorrido atencional sistemático del cuerpo. Mejora la conciencia corporal y activa el sistema parasimpático.',
+        'Protocole en 7 points utilisé par 70-90% des olympiens. Imagerie motrice complète multi-sensorielle.': 'Protocolo de 7 puntos usado por el 70-90% de los olímpicos. Imaginería motora completa y multisensorial.',
+        'Méthode IRTER : Inspiration-Rétention-Tension-Expiration-Relâchement. Niveau 1 de sophrologie.': 'Método IRTER: Inspiración-Retención-Tensión-Espiración-Relajación. Nivel 1 de sofrología.',
+        'Contraction-relâchement systématique. Validée sur 3400+ participants pour réduire stress et anxiété.': 'Contracción-relajación sistemática. Validada en más de 3.400 participantes para reducir el estrés y la ansiedad.',
+        'Technique du spotlight : visualiser un faisceau de lumière sur l\'objet d\'attention. Améliore la concentration.': 'Técnica del foco: visualizar un haz de luz sobre el objeto de atención. Mejora la concentración.',
+        'Routine mentale complète de l\'apnéiste : descente, fond, remontée. Réduit l\'anxiété de 20%.': 'Rutina mental completa del apneísta: descenso, fondo, ascenso. Reduce la ansiedad un 20%.',
+        'Protocole d\'endormissement en 7 minutes combinant relaxation progressive, 4-7-8 et imagerie hypnagogique.': 'Protocolo para dormirse en 7 minutos que combina relajación progresiva, 4-7-8 e imaginería hipnagógica.',
+        'Blocs respiratoires 4-7-8 guidés + body scan progressif. Méthode Dr. Andrew Weil.': 'Bloques respiratorios 4-7-8 guiados + body scan progresivo. Método del Dr. Andrew Weil.',
+        'Conscience corporelle': 'Conciencia corporal',
+        'Olympique': 'Olímpico',
+        'Visualisation PETTLEP': 'Visualización PETTLEP',
+        'Performance': 'Rendimiento',
+        'Sophrologie': 'Sofrología',
+        'Relaxation Dynamique': 'Relajación dinámica',
+        'Relaxation profonde': 'Relajación profunda',
+        'Relaxation Musculaire Progressive': 'Relajación muscular progresiva',
+        'Tension musculaire': 'Tensión muscular',
+        'Concentration': 'Concentración',
+        'Entraînement Focus': 'Entrenamiento de enfoque',
+        'Attention': 'Atención',
+        'Apnéiste': 'Apneísta',
+        'Visualisation Pré-Plongée': 'Visualización previa a la inmersión',
+        'Préparation mentale': 'Preparación mental',
+        'Descente vers le Sommeil': 'Descenso hacia el sueño',
+        'Endormissement': 'Conciliar el sueño',
+
+        // Apnée
+        'Entraînement Apnée': 'Entrenamiento de apnea',
+        'Protocoles progressifs pour développer votre capacité de rétention respiratoire en sécurité': 'Protocolos progresivos para desarrollar tu capacidad de retención respiratoria con seguridad',
+        'Mesurez votre apnée statique maximale pour personnaliser vos tables d\'entraînement': 'Mide tu apnea estática máxima para personalizar tus tablas de entrenamiento',
+        'Apnées constantes avec repos décroissant. Développe la tolérance à l\'accumulation de CO2.': 'Apneas constantes con descanso decreciente. Desarrolla la tolerancia a la acumulación de CO2.',
+        'Apnées progressives avec repos constant. Adapte le corps aux faibles niveaux d\'oxygène.': 'Apneas progresivas con descanso constante. Adapta el cuerpo a niveles bajos de oxígeno.',
+        'Méthode douce : rester dans le confort pour développer une relation saine avec le CO2.': 'Método suave: mantenerse en el confort para desarrollar una relación sana con el CO2.',
+        'Apnée libre : arrêtez dès l\'inconfort. Suivez votre progression naturelle au fil des sessions.': 'Apnea libre: para en cuanto aparezca la incomodidad. Sigue tu progresión natural sesión a sesión.',
+        'Apnée poumons vides : expirez normalement, retenez, arrêtez dès l\'inconfort. Progression séparée.': 'Apnea con pulmones vacíos: exhala con normalidad, retén y para en cuanto aparezca la incomodidad. Progresión aparte.',
+        'Exercices pour optimiser la bradycardie et la vasoconstriction périphérique. Utilisez de l\'eau froide sur le visage.': 'Ejercicios para optimizar la bradicardia y la vasoconstricción periférica. Usa agua fría en la cara.',
+        'Uddiyana bandha et étirements intercostaux pour augmenter la capacité vitale.': 'Uddiyana bandha y estiramientos intercostales para aumentar la capacidad vital.',
+        'Maîtrise de la respiration abdominale en 3 temps. Base de tout entraînement apnée.': 'Dominio de la respiración abdominal en 3 tiempos. Base de todo entrenamiento de apnea.',
+        'Technique de récupération post-apnée en 3 rounds progressifs. Réflexe vital de sécurité à automatiser.': 'Técnica de recuperación tras la apnea en 3 rondas progresivas. Un reflejo vital de seguridad que hay que automatizar.',
+        'Apnée avec suivi des spasmes, coaching vocal et reframing cognitif. Progressif sur 6 semaines.': 'Apnea con seguimiento de contracciones, coaching por voz y reencuadre cognitivo. Progresivo en 6 semanas.',
+        'Apnée guidée avec scan corporel progressif. Déplace l\'attention pendant la rétention pour plus de confort.': 'Apnea guiada con escaneo corporal progresivo. Desplaza la atención durante la retención para más confort.',
+        'Apnée statique à 80% du volume pulmonaire. Focus relâchement glottique et flexibilité thoracique (Néry / Blunery).': 'Apnea estática al 80% del volumen pulmonar. Enfoque en la relajación de la glotis y la flexibilidad torácica (Néry / Blunery).',
+        'Ne jamais pratiquer l\'apnée dans l\'eau seul. L\'entraînement à sec est plus sûr. Arrêtez en cas de vertiges, picotements ou troubles visuels. Ne pas combiner tables O2 et CO2 le même jour.': 'Nunca practiques apnea en el agua solo. El entrenamiento en seco es más seguro. Para si notas mareo, hormigueo o alteraciones visuales. No combines tablas O2 y CO2 el mismo día.',
+        'Test de Base': 'Test de base',
+        'Votre record': 'Tu récord',
+        'Faire le test': 'Hacer el test',
+        'Base des tables': 'Base de las tablas',
+        'Table CO2': 'Tabla CO2',
+        '8 cycles': '8 ciclos',
+        'Tolérance O2': 'Tolerancia O2',
+        'Table O2': 'Tabla O2',
+        'Débutant': 'Principiante',
+        'Table Sans Contraction': 'Tabla sin contracciones',
+        'Progression douce': 'Progresión suave',
+        'Progression': 'Progresión',
+        'Zone de Confort': 'Zona de confort',
+        '5 rounds': '5 rondas',
+        'Timer libre ↑': 'Temporizador libre ↑',
+        'Zone de Confort FRC': 'Zona de confort FRC',
+        'Poumons vides': 'Pulmones vacíos',
+        'Physiologie': 'Fisiología',
+        'Réflexe de Plongée': 'Reflejo de inmersión',
+        'Adaptation': 'Adaptación',
+        'Capacité': 'Capacidad',
+        'Étirements Pulmonaires': 'Estiramientos pulmonares',
+        'Flexibilité': 'Flexibilidad',
+        'Fondamental': 'Fundamental',
+        'Respiration Diaphragmatique': 'Respiración diafragmática',
+        'Technique': 'Técnica',
+        'Sécurité': 'Seguridad',
+        'Récupération': 'Recuperación',
+        'Avancé': 'Avanzado',
+        'Tolérance Contractions': 'Tolerancia a las contracciones',
+        'Hybride': 'Híbrido',
+        'Body Scan Apnée': 'Body scan apnea',
+        '3 cycles': '3 ciclos',
+        'Timer ↑': 'Temporizador ↑',
+        '80% vol.': '80% vol.',
+
+        // Multi Timer
+        'Créez des séquences de chronomètres personnalisées pour vos entraînements': 'Crea secuencias de cronómetros personalizadas para tus entrenamientos',
+        'Mes séquences': 'Mis secuencias',
+        'Nouvelle séquence': 'Nueva secuencia',
+        'Intervalles 30/30': 'Intervalos 30/30',
+        '30s effort / 30s repos × 8': '30 s esfuerzo / 30 s descanso × 8',
+        '20s effort / 10s repos × 8': '20 s esfuerzo / 10 s descanso × 8',
+        'Pyramide': 'Pirámide',
+        '7 phases': '7 fases',
+        'Créer une séquence': 'Crear una secuencia',
+        'Personnalisez vos intervalles': 'Personaliza tus intervalos',
+        'Timer rapide': 'Temporizador rápido',
+        'Chronomètre simple avec alarme': 'Cronómetro simple con alarma',
+        'Prêt': 'Listo',
+        'Pause': 'Pausa',
+        'Reset': 'Reiniciar',
+        'Nom de la séquence': 'Nombre de la secuencia',
+        'Type de séquence': 'Tipo de secuencia',
+        'Intervalles': 'Intervalos',
+        'Personnalisé': 'Personalizado',
+        'Durée effort': 'Duración del esfuerzo',
+        'Répétitions': 'Repeticiones',
+        'Labels des phases': 'Etiquetas de las fases',
+        'Bleu': 'Azul',
+        'Vert': 'Verde',
+        'Orange': 'Naranja',
+        'Rouge': 'Rojo',
+        'Violet': 'Morado',
+        'Ajouter une phase': 'Añadir una fase',
+        'Pause (pleins)': 'Pausa (llenos)',
+        'Pause (vides)': 'Pausa (vacíos)',
+        'Cycles': 'Ciclos',
+        'Sons': 'Sonidos',
+        'Zen (bols)': 'Zen (cuencos)',
+        'Harpe': 'Arpa',
+        'Instructions vocales (optionnel)': 'Instrucciones de voz (opcional)',
+        'Aperçu': 'Vista previa',
+        'Durée totale:': 'Duración total:',
+        'Phases:': 'Fases:',
+        'Séquence': 'Secuencia',
+        'Suivant:': 'Siguiente:',
+        'Ma séquence': 'Mi secuencia',
+        'Effort': 'Esfuerzo',
+        'Repos': 'Descanso',
+        'Nom': 'Nombre',
+        'Inspirez par le nez...': 'Inhala por la nariz...',
+        'Retenez poumons pleins...': 'Retén con los pulmones llenos...',
+        'Expirez lentement...': 'Exhala despacio...',
+        'Poumons vides...': 'Pulmones vacíos...',
+
+        // Urgence
+        'Exercices rapides pour retrouver le calme en cas de panique, anxiété ou stress soudain': 'Ejercicios rápidos para recuperar la calma en caso de pánico, ansiedad o estrés repentino',
+        'En cas de crise': 'En caso de crisis',
+        'Ces exercices sont conçus pour être utilisés immédiatement lors d\'un pic d\'anxiété ou de panique. Commencez par le premier exercice et passez au suivant si nécessaire.': 'Estos ejercicios están pensados para usarse de inmediato durante un pico de ansiedad o pánico. Empieza por el primero y pasa al siguiente si hace falta.',
+        'Le plus rapide : double inspiration + longue expiration. Effet immédiat sur le système nerveux.': 'El más rápido: doble inhalación + exhalación larga. Efecto inmediato sobre el sistema nervioso.',
+        'Technique de grounding : 5 choses vues, 5 entendues, 5 sensations tactiles. Reconnexion au présent.': 'Técnica de anclaje: 5 cosas que ves, 5 que oyes, 5 sensaciones táctiles. Reconexión con el presente.',
+        'Inspiration 4s, expiration 8s. Active rapidement le nerf vague et le système parasympathique.': 'Inhala 4 s, exhala 8 s. Activa rápidamente el nervio vago y el sistema parasimpático.',
+        'Version courte 4-4-4-4. Reprend le contrôle de la respiration en quelques cycles.': 'Versión corta 4-4-4-4. Recupera el control de la respiración en pocos ciclos.',
+        'Soupir Physiologique': 'Suspiro fisiológico',
+        'Effet immédiat': 'Efecto inmediato',
+        'Ancrage 5-5-5': 'Anclaje 5-5-5',
+        'Dissociation': 'Disociación',
+        'Expiration Prolongée': 'Exhalación prolongada',
+        'Calme rapide': 'Calma rápida',
+        'Box Breathing Rapide': 'Box breathing rápido',
+        'Contrôle': 'Control',
+
+        // Pré-performance
+        'Protocole de 5 minutes pour optimiser votre état avant une plongée, compétition ou moment important': 'Protocolo de 5 minutos para optimizar tu estado antes de una inmersión, una competición o un momento importante',
+        'Ce protocole combine respiration, relaxation et visualisation pour vous mettre dans l\'état optimal. Idéal avant une plongée en apnée, une chasse sous-marine ou toute performance.': 'Este protocolo combina respiración, relajación y visualización para llevarte al estado óptimo. Ideal antes de una inmersión en apnea, una jornada de pesca submarina o cualquier actuación.',
+        'Séquence complète : relaxation musculaire rapide, cohérence cardiaque, visualisation de succès.': 'Secuencia completa: relajación muscular rápida, coherencia cardíaca, visualización del éxito.',
+        'Breathe-up optimisé : activation du réflexe de plongée, respiration diaphragmatique, visualisation de la descente.': 'Breathe-up optimizado: activación del reflejo de inmersión, respiración diafragmática, visualización del descenso.',
+        'Cohérence cardiaque en 3 minutes : suffisant pour synchroniser cœur et respiration avant l\'action.': 'Coherencia cardíaca en 3 minutos: suficiente para sincronizar corazón y respiración antes de la acción.',
+        'Visualisation rapide de votre performance parfaite. Ancrage de l\'état de confiance optimal.': 'Visualización rápida de tu actuación perfecta. Anclaje del estado de confianza óptimo.',
+        'Préparation pré-plongée en 3 phases : tidal 1:2, respiration segmentaire, inspiration finale en 3 étages.': 'Preparación previa a la inmersión en 3 fases: tidal 1:2, respiración segmentaria, inhalación final en 3 etapas.',
+        '5 minutes avant': '5 minutos antes',
+        'Protocole complet': 'Protocolo completo',
+        'Protocole 5 Minutes': 'Protocolo 5 minutos',
+        'Complet': 'Completo',
+        'Préparation Plongée': 'Preparación inmersión',
+        'Apnée / Chasse': 'Apnea / Pesca',
+        'Cohérence Express': 'Coherencia exprés',
+        'Focus': 'Enfoque',
+        'Visualisation Express': 'Visualización exprés',
+        'Mental': 'Mental',
+        'Breathe-Up Structuré': 'Breathe-up estructurado',
+        'Pré-Plongée': 'Pre-inmersión',
+
+        // Hypnose
+        'Auto-Hypnose Apnée': 'Autohipnosis para apnea',
+        'Techniques avancées de dissociation sensorielle et de flow-state pour apnéistes': 'Técnicas avanzadas de disociación sensorial y flow-state para apneístas',
+        'Découvrez les bases de l\'auto-hypnose : induction progressive, approfondissement et création de votre ancre personnelle.': 'Descubre las bases de la autohipnosis: inducción progresiva, profundización y creación de tu ancla personal.',
+        'Fragmentation sensorielle complète pour apnée statique. Technique de switch pour déplacer l\'attention des spasmes.': 'Fragmentación sensorial completa para apnea estática. Técnica de cambio para desviar la atención de las contracciones.',
+        'Parcours rapide des zones neutres du corps pour rediriger l\'attention. Utilisable pendant l\'apnée elle-même.': 'Recorrido rápido de las zonas neutras del cuerpo para redirigir la atención. Utilizable durante la propia apnea.',
+        'Dissociation moteur/passager et mantra rythmique pour DNF et monopalme. Passez en mode automatique.': 'Disociación motor/pasajero y mantra rítmico para DNF y monoaleta. Pasa al modo automático.',
+        'Apprendre à ne plus lutter : respiration passive, acceptation ACT et conditionnement par mot-clé "lâche".': 'Aprender a dejar de luchar: respiración pasiva, aceptación ACT y condicionamiento con la palabra clave "suelta".',
+        'Programme 10 min pour rééduquer le système nerveux : Cyclic Sighing → mobilisation diaphragme → apnées de déconcentration sensorielle (méthode Molchanovs) → silence intégratif.': 'Programa de 10 min para reeducar el sistema nervioso: Cyclic Sighing → movilización del diafragma → apneas de desconcentración sensorial (método Molchanovs) → silencio integrador.',
+        'Guide en 8 semaines pour transférer vos performances du sec vers l\'eau. Réduit l\'anxiété aquatique progressivement.': 'Guía de 8 semanas para trasladar tus marcas del seco al agua. Reduce progresivamente la ansiedad acuática.',
+        'Fragmentation Sensorielle VAKOG': 'Fragmentación sensorial VAKOG',
+        'Initiation Auto-Hypnose': 'Iniciación a la autohipnosis',
+        'VAKOG Statique': 'VAKOG estática',
+        'Gestion spasmes': 'Gestión de contracciones',
+        'Pendant apnée': 'Durante la apnea',
+        'Scan Sensoriel Circulaire': 'Escaneo sensorial circular',
+        'Dynamique': 'Dinámica',
+        'Flow-State Dynamique': 'Flow-state dinámico',
+        'Lâcher-prise': 'Soltar',
+        'Méditation Lâcher-Prise': 'Meditación para soltar',
+        'Mental / Anxiété': 'Mental / Ansiedad',
+        'Lâcher-prise / Hyper-vigilance': 'Soltar / Hipervigilancia',
+        'Programme 8 sem.': 'Programa 8 sem.',
+        'Programme Dry-to-Wet': 'Programa Dry-to-Wet',
+        'Transfert Eau': 'Transferencia al agua',
+        'Conseils d\'utilisation': 'Consejos de uso',
+        'Ancre pouce-index :': 'Ancla pulgar-índice:',
+        'Pressez légèrement votre pouce contre votre index pour activer instantanément l\'état de calme.': 'Presiona ligeramente el pulgar contra el índice para activar al instante el estado de calma.',
+        'Entraînez-vous à sec :': 'Entrena en seco:',
+        'Pratiquez ces techniques hors de l\'eau avant de les utiliser en apnée réelle.': 'Practica estas técnicas fuera del agua antes de usarlas en una apnea real.',
+        'Mantra Glisse-Relâche :': 'Mantra Desliza-Suelta:',
+        'Utilisez ce rythme mental pendant vos dynamiques pour entrer en mode automatique.': 'Usa este ritmo mental durante tus dinámicas para entrar en modo automático.',
+        'Switch rapide :': 'Cambio rápido:',
+        'Dès qu\'un spasme arrive, déplacez votre attention sur le lobe d\'oreille ou le petit orteil.': 'En cuanto llegue una contracción, lleva tu atención al lóbulo de la oreja o al dedo pequeño del pie.',
+
+        // Favoris et guide
+        'Mes Favoris': 'Mis favoritos',
+        'Vos exercices préférés, accessibles rapidement': 'Tus ejercicios preferidos, a mano',
+        'Aucun favori pour le moment.': 'Todavía no hay favoritos.',
+        'Appuyez sur l\'étoile ★ d\'un exercice pour l\'ajouter ici.': 'Pulsa la estrella ★ de un ejercicio para añadirlo aquí.',
+        'Guide des exercices': 'Guía de ejercicios',
+        'Choisissez vos exercices selon votre objectif, votre niveau et votre blocage principal': 'Elige tus ejercicios según tu objetivo, tu nivel y tu bloqueo principal',
+        'Quel est votre objectif ?': '¿Cuál es tu objetivo?',
+        'Apnée statique': 'Apnea estática',
+        'Apnée dynamique': 'Apnea dinámica',
+        'Profondeur': 'Profundidad',
+        'Lâcher-prise / Anxiété': 'Soltar / Ansiedad',
+        'Tolérance contractions': 'Tolerancia a las contracciones',
+        'Transfert sec → eau': 'Transferencia seco → agua',
+        'Niveau :': 'Nivel:',
+        'Tous': 'Todos',
+        'Intermédiaire': 'Intermedio',
+        'exercices disponibles': 'ejercicios disponibles',
+        'Pré-session': 'Pre-sesión',
+        'Anti-stress': 'Antiestrés',
+        '🫁 Technique respiratoire': '🫁 Técnica respiratoria',
+        '🧘 Position': '🧘 Postura',
+        '✨ Effets recherchés': '✨ Efectos buscados',
+        'Physiologique :': 'Fisiológico:',
+        'Mental :': 'Mental:',
+        '🧠 État d\'esprit': '🧠 Actitud mental',
+        'Quand :': 'Cuándo:',
+        'Quotidien': 'Diario',
+        'Pour l\'apnée :': 'Para la apnea:',
+        'Tous niveaux': 'Todos los niveles',
+        'Aucun exercice ne correspond à cette combinaison de filtres.': 'Ningún ejercicio coincide con esta combinación de filtros.',
+        'Essayez un autre objectif ou niveau.': 'Prueba otro objetivo u otro nivel.',
+        'Programmes suggérés': 'Programas sugeridos',
+        'Débutant — Semaines 1-4': 'Principiante — Semanas 1-4',
+        'Construire les fondations': 'Construir las bases',
+        'Quotidien :': 'Diario:',
+        'Intermédiaire — Semaines 5-12': 'Intermedio — Semanas 5-12',
+        'Augmenter la tolérance et le confort': 'Aumentar la tolerancia y el confort',
+        'Avant chaque apnée :': 'Antes de cada apnea:',
+        'Transfert Sec → Eau': 'Transferencia seco → agua',
+        'Spécial écart dry/wet important': 'Para una gran diferencia seco/agua',
+        'Suivre :': 'Seguir:',
+        'Avant l\'eau :': 'Antes del agua:',
+        'Après l\'eau :': 'Después del agua:',
+        'Hook Breathing (toujours !)': 'Hook Breathing (¡siempre!)',
+
+        // Coach
+        'Entrainement apnee au sec — programmes adaptes a ton niveau': 'Entrenamiento de apnea en seco — programas adaptados a tu nivel',
+        'Sessions': 'Sesiones',
+        'Serie (j)': 'Racha (d)',
+        'Stress reduit': 'Estrés reducido',
+        'Mon profil': 'Mi perfil',
+        'Physio': 'Fisiología',
+        'Age': 'Edad',
+        'ans': 'años',
+        'Taille': 'Altura',
+        'Poids': 'Peso',
+        'VO2max estimee': 'VO2max estimado',
+        'FC repos': 'FC en reposo',
+        'Fréq. résonance': 'Frec. de resonancia',
+        'resp/min': 'resp/min',
+        'Apnee': 'Apnea',
+        'Statique max (sec)': 'Estática máx. (seg)',
+        'Statique dry max': 'Estática en seco máx.',
+        'Dynamique max': 'Dinámica máx.',
+        'Profondeur max': 'Profundidad máx.',
+        'Premiere contraction (sec)': 'Primera contracción (seg)',
+        'Niveau': 'Nivel',
+        'Intermediaire (1min30 - 3min)': 'Intermedio (1min30 - 3min)',
+        'Avance (3min - 5min)': 'Avanzado (3min - 5min)',
+        'Sport & Entrainement': 'Deporte y entrenamiento',
+        'Sport(s) principal(aux)': 'Deporte(s) principal(es)',
+        'Ex: apnee, natation, course...': 'Ej.: apnea, natación, carrera...',
+        'Frequence entrainement': 'Frecuencia de entrenamiento',
+        '1-2x / semaine': '1-2x / semana',
+        '3-4x / semaine': '3-4x / semana',
+        '5+ / semaine': '5+ / semana',
+        'Etat actuel': 'Estado actual',
+        'Reprise apres pause': 'Vuelta tras una pausa',
+        'Construction de base': 'Construcción de base',
+        'En progression': 'En progresión',
+        'Plateau': 'Estancamiento',
+        'Pic de forme': 'Pico de forma',
+        'Fatigue / surentrainement': 'Fatiga / sobreentrenamiento',
+        'Notes libres': 'Notas libres',
+        'Enregistrer le profil': 'Guardar el perfil',
+        'Apnee sec': 'Apnea en seco',
+        'Programme': 'Programa',
+        'Bilan': 'Balance',
+        'Stress': 'Estrés',
+        'Nouvelle conv.': 'Nueva conv.',
+        'Nouvelle conversation': 'Nueva conversación',
+        'Joindre un fichier (.docx, .txt, .pdf)': 'Adjuntar un archivo (.docx, .txt, .pdf)',
+        'Sessions recentes': 'Sesiones recientes',
+        'Rapport': 'Informe',
+
+        // W&B Up (chasse, statique, dynamique, profondeur)
+        '🎣 Chasse': '🎣 Pesca',
+        '🧘 Statique': '🧘 Estática',
+        '🏊 Dynamique': '🏊 Dinámica',
+        '🤿 Profondeur': '🤿 Profundidad',
+        '📋 Synthèse': '📋 Resumen',
+        '🏖️ Plage': '🏖️ Playa',
+        'Récupération Post-Équipement': 'Recuperación tras equiparse',
+        'Inspire 3s · Expire 5s · Normoventilation': 'Inhala 3 s · Exhala 5 s · Normoventilación',
+        'Lancer timer 5 min': 'Iniciar temporizador 5 min',
+        '🌊 Eau': '🌊 Agua',
+        'Acclimatation — Premières Minutes': 'Aclimatación — Primeros minutos',
+        'Lancer timer 8 min guidé': 'Iniciar temporizador guiado 8 min',
+        '🫁 Avant chaque descente': '🫁 Antes de cada descenso',
+        'Breathe-Up — 90 secondes': 'Breathe-up — 90 segundos',
+        'Inspire 5s · Expire 10s · puis 1 seul Last Breath': 'Inhala 5 s · Exhala 10 s · luego un solo Last Breath',
+        'Lancer le breathe-up guidé': 'Iniciar el breathe-up guiado',
+        '🐟 Au Fond': '🐟 En el fondo',
+        'Technique d\'Affût — Économie O₂': 'Técnica de espera — Ahorro de O₂',
+        'Pas de respiration · Relâchement total': 'Sin respirar · Relajación total',
+        '♻️ Surface': '♻️ Superficie',
+        'Récupération Entre Plongées': 'Recuperación entre inmersiones',
+        'Minimum': 'Mínimo',
+        'Recommandé': 'Recomendado',
+        'Apnée Statique': 'Apnea estática',
+        'Cohérence cardiaque — 2 min': 'Coherencia cardíaca — 2 min',
+        '2 min cohérence': '2 min de coherencia',
+        'Protocole statique complet': 'Protocolo estático completo',
+        'Pendant l\'arrêt': 'Durante la apnea',
+        'Apnée Dynamique': 'Apnea dinámica',
+        'Breathe-up — 2-3 min (plus long)': 'Breathe-up — 2-3 min (más largo)',
+        'Protocole dynamique complet': 'Protocolo dinámico completo',
+        'Pendant la nage': 'Durante el nado',
+        'Apnée en Profondeur': 'Apnea en profundidad',
+        'Cohérence + Méditation — 2-3 min': 'Coherencia + Meditación — 2-3 min',
+        'Breathe-up profond — 2-5 min': 'Breathe-up profundo — 2-5 min',
+        '3 min cohérence méditée': '3 min de coherencia meditada',
+        'Protocole profondeur complet': 'Protocolo de profundidad completo',
+        'Descente': 'Descenso',
+        'Synthèse — Feuille de référence': 'Resumen — Hoja de referencia',
+        'Chasse Sous-Marine — Journée complète': 'Pesca submarina — Jornada completa',
+        'Plage': 'Playa',
+        'Eau': 'Agua',
+        'Chauffe': 'Calentamiento',
+        'Avant descente': 'Antes del descenso',
+        'Fond': 'Fondo',
+        'Surface': 'Superficie',
+        'Comparatif des 3 Disciplines': 'Comparativa de las 3 disciplinas',
+        'Durée': 'Duración',
+        'Volume last breath': 'Volumen del last breath',
+        'Facteur limitant': 'Factor limitante',
+        'Principal risque': 'Riesgo principal',
+        'Syncope': 'Síncope',
+        'Règle Absolue — À ne jamais oublier': 'Regla absoluta — No olvidar nunca',
+
+        // Paramètres des exercices
+        'Paramètres': 'Ajustes',
+        'Personnalisez tous les exercices selon vos capacités': 'Personaliza todos los ejercicios según tus capacidades',
+        'Mode de configuration': 'Modo de configuración',
+        'Automatique': 'Automático',
+        'Tables d\'apnée en % de votre max': 'Tablas de apnea en % de tu máximo',
+        'Optimal': 'Óptimo',
+        'Tous les exos calibrés sur votre apnée': 'Todos los ejercicios calibrados según tu apnea',
+        'Manuel': 'Manual',
+        'Paramètres personnalisés': 'Ajustes personalizados',
+        'Temps d\'apnée maximum de référence': 'Tiempo máximo de apnea de referencia',
+        'Tester': 'Probar',
+        'Pourcentages utilisés pour les tables d\'apnée': 'Porcentajes usados para las tablas de apnea',
+        'Table CO2 (apnée constante)': 'Tabla CO2 (apnea constante)',
+        'Table O2 (début → fin)': 'Tabla O2 (inicio → fin)',
+        'Table sans contraction': 'Tabla sin contracciones',
+        'Durée totale': 'Duración total',
+        '1ère inspiration': '1.ª inhalación',
+        '2ème inspiration': '2.ª inhalación',
+        'Expiration': 'Exhalación',
+        'Inspiration': 'Inhalación',
+        'Fréquence cible': 'Frecuencia objetivo',
+        'Ratio inspir:expir': 'Ratio inhalar:exhalar',
+        'Rétention (poumons pleins)': 'Retención (pulmones llenos)',
+        'Évaluation Fréquence de Résonance': 'Evaluación de la frecuencia de resonancia',
+        'Rythme de départ': 'Ritmo inicial',
+        'Rythme final': 'Ritmo final',
+        'Durée par palier': 'Duración por escalón',
+        'Durée de chaque phase': 'Duración de cada fase',
+        'Nombre de rounds': 'Número de rondas',
+        'Respirations par round': 'Respiraciones por ronda',
+        'Nombre de séries': 'Número de series',
+        'séries': 'series',
+        'Respirations avant pause': 'Respiraciones antes de la pausa',
+        'souffles': 'respiraciones',
+        'Durée pause CO2': 'Duración de la pausa CO2',
+        'Respirations de repos': 'Respiraciones de descanso',
+        'Durée d\'apnée': 'Duración de la apnea',
+        'Respirations de récup': 'Respiraciones de recuperación',
+        'Nombre de cycles': 'Número de ciclos',
+        'cycles': 'ciclos',
+        'Préparation (cyclic sighing)': 'Preparación (cyclic sighing)',
+        'Volume': 'Volumen',
+        'FRC — Expir passive (débutant)': 'FRC — Exhalación pasiva (principiante)',
+        'RV — Expir forcée (avancé)': 'RV — Exhalación forzada (avanzado)',
+        'Mode': 'Modo',
+        'Avec device (PowerBreathe…)': 'Con dispositivo (PowerBreathe…)',
+        'Sans device (effort max volontaire)': 'Sin dispositivo (esfuerzo máximo voluntario)',
+        'Répétitions par série': 'Repeticiones por serie',
+        'Durée inhale': 'Duración de la inhalación',
+        'Durée exhale passif': 'Duración de la exhalación pasiva',
+        'Repos entre séries': 'Descanso entre series',
+        'Suspension poumons pleins': 'Suspensión con pulmones llenos',
+        '5 s — Débutant': '5 s — Principiante',
+        '10 s — Intermédiaire ✓': '10 s — Intermedio ✓',
+        '15 s — Avancé': '15 s — Avanzado',
+        '20 s — Expert': '20 s — Experto',
+        'Continu': 'Continuo',
+        'Le body scan s\'adapte automatiquement à la durée choisie.': 'El body scan se adapta automáticamente a la duración elegida.',
+        'Durée par phase': 'Duración por fase',
+        'Vitesse (1 cycle)': 'Velocidad (1 ciclo)',
+        'Mode de timing guidé': 'Modo de tiempo guiado',
+        'Timing': 'Tiempos',
+        'Adaptatif (voix)': 'Adaptativo (voz)',
+        'Fixe (chrono)': 'Fijo (cronómetro)',
+        'Pause après instruction': 'Pausa tras la instrucción',
+        'Durée par zone': 'Duración por zona',
+        'Durée par segment': 'Duración por segmento',
+        'Relaxation Musculaire': 'Relajación muscular',
+        'Durée par muscle': 'Duración por músculo',
+        'Repos initial': 'Descanso inicial',
+        'Repos final': 'Descanso final',
+        'Apnée initiale': 'Apnea inicial',
+        'Apnée finale': 'Apnea final',
+        'Temps de repos': 'Tiempo de descanso',
+        'Repos entre rounds': 'Descanso entre rondas',
+        'Préparation respiratoire': 'Preparación respiratoria',
+        'Niveau (semaine)': 'Nivel (semana)',
+        'Durée breathe-up': 'Duración del breathe-up',
+        'Durée repos': 'Duración del descanso',
+        'Récupération entre cycles': 'Recuperación entre ciclos',
+        'Durée max par suspension': 'Duración máx. por suspensión',
+
+        // Réglages de l'app
+        'Fournisseur IA': 'Proveedor de IA',
+        'Serveur local (compatible OpenAI)': 'Servidor local (compatible con OpenAI)',
+        'Adresse du serveur': 'Dirección del servidor',
+        'Cle API': 'Clave API',
+        'Modele': 'Modelo',
+        'Claude Haiku (rapide)': 'Claude Haiku (rápido)',
+        'Detecter les modeles': 'Detectar los modelos',
+        'Suggestion auto apres exercice': 'Sugerencia automática tras el ejercicio',
+        'Objectifs personnels': 'Objetivos personales',
+        'Instructions personnalisées': 'Instrucciones personalizadas',
+        '(ajoutées au prompt du coach)': '(añadidas al prompt del coach)',
+        'Synchronisation': 'Sincronización',
+        'Non configuré': 'No configurado',
+        'Stockage': 'Almacenamiento',
+        'Serveur REST': 'Servidor REST',
+        'Dossier local': 'Carpeta local',
+        'Token GitHub': 'Token de GitHub',
+        'Créez un token sur': 'Crea un token en',
+        'avec le scope': 'con el permiso',
+        'uniquement.': 'únicamente.',
+        '2ème appareil :': '2.º dispositivo:',
+        'Collez le Gist ID de l\'autre appareil, ou laissez vide': 'Pega el Gist ID del otro dispositivo o déjalo vacío',
+        'URL du dossier': 'URL de la carpeta',
+        'Utilisateur': 'Usuario',
+        'Mot de passe d\'application': 'Contraseña de aplicación',
+        'URL du document': 'URL del documento',
+        'Choisir un dossier': 'Elegir una carpeta',
+        'Configurer': 'Configurar',
+        'Sync maintenant': 'Sincronizar ahora',
+        'Déconnecter': 'Desconectar',
+        'Sync automatique après chaque modification': 'Sincronización automática tras cada cambio',
+        'Cardiofréquencemètre': 'Pulsómetro',
+        'Non connecté': 'No conectado',
+        'Ceinture ou montre compatible Bluetooth': 'Banda o reloj compatible con Bluetooth',
+        'Connecter un capteur': 'Conectar un sensor',
+        'Langue': 'Idioma',
+        'Langue de l\'app': 'Idioma de la app',
+        'Langue de l\'appareil': 'Idioma del dispositivo',
+        'Annonces vocales': 'Avisos de voz',
+        'Temps écoulé, temps restant et décompte annoncés pendant les apnées et les récupérations qui les précèdent. Légère : chaque minute et 30 s avant la fin. Dense : toutes les 15 s et décompte des 10 dernières secondes.': 'Tiempo transcurrido, tiempo restante y cuenta atrás anunciados durante las apneas y las recuperaciones previas. Ligera: cada minuto y 30 s antes del final. Densa: cada 15 s y cuenta atrás de los 10 últimos segundos.',
+        'Aucune': 'Ninguna',
+        'Légère': 'Ligera',
+        'Normale': 'Normal',
+        'Dense': 'Densa',
+        'Encore {time}': 'Quedan {time}',
+        '1 seconde': '1 segundo',
+        '{n} secondes': '{n} segundos',
+        '1 minute': '1 minuto',
+        '{n} minutes': '{n} minutos',
+        'Sauvegarde locale': 'Copia de seguridad local',
+        'Exporter les données': 'Exportar los datos',
+
+        // Exercice en cours et retour de séance
+        'Contraction !': '¡Contracción!',
+        'Contractions : 0': 'Contracciones: 0',
+        '✋ J\'arrête': '✋ Paro',
+        '⚡ 1ère envie': '⚡ 1.ª necesidad',
+        '✋ Sortir': '✋ Salir',
+        'Comment vous sentez-vous ?': '¿Cómo te sientes?',
+        'Ressenti global': 'Sensación general',
+        'Difficile': 'Difícil',
+        'Excellent': 'Excelente',
+        'Stress avant l\'exercice': 'Estrés antes del ejercicio',
+        'Tres stresse': 'Muy estresado',
+        'Stress apres l\'exercice': 'Estrés después del ejercicio',
+        'Score gorge': 'Puntuación de la garganta',
+        '(1 = serrée · 5 = ouverte/moelleuse)': '(1 = cerrada · 5 = abierta/suave)',
+        'Serrée': 'Cerrada',
+        'Ouverte': 'Abierta',
+        'État mental': 'Estado mental',
+        '⚡ Vigilant': '⚡ Alerta',
+        '○ Neutre': '○ Neutro',
+        '🌊 Flow': '🌊 Flow',
+        'Confort trachéal': 'Confort traqueal',
+        '(tiraillement ?)': '(¿tirantez?)',
+        '✅ Confortable': '✅ Cómodo',
+        '⚠️ Tiraillement': '⚠️ Tirantez',
+        'Suspensions': 'Suspensiones',
+        '(⚡ = 1ère envie)': '(⚡ = 1.ª necesidad)',
+        'Notes (optionnel)': 'Notas (opcional)',
+        'Table proposée': 'Tabla propuesta',
+        'Cycle': 'Ciclo',
+        'Apnée (s)': 'Apnea (s)',
+        'Repos (s)': 'Descanso (s)',
+        'Valeurs modifiables — la table de base est indiquée en gris.': 'Valores editables — la tabla base se muestra en gris.',
+        'Table de base': 'Tabla base',
+        'Test d\'Apnée Statique': 'Test de apnea estática',
+        'Commencer l\'apnée': 'Empezar la apnea',
+        '⚡ 1ère contraction': '⚡ 1.ª contracción',
+        'FRC (expiration passive)': 'FRC (exhalación pasiva)',
+        'À sec': 'En seco',
+        'Dans l\'eau': 'En el agua',
+        'Votre résultat': 'Tu resultado',
+        'Enregistrer dans le journal': 'Guardar en el diario',
+        'Phase suivante': 'Fase siguiente',
+        'Volume pulmonaire': 'Volumen pulmonar',
+        'Environnement': 'Entorno',
+
+        // Phases (libellés affichés ; les noms restent les identifiants)
+        'Inspirez': 'Inhala',
+        'Inspirez +': 'Inhala +',
+        'Expirez': 'Exhala',
+        'Expirez lentement': 'Exhala despacio',
+        'Expirez longuement': 'Exhalación larga',
+        'Retenez': 'Retén',
+        'Inspirez profondément': 'Inhala profundamente',
+        'Relâchez': 'Suelta',
+        'Inspir Nasale': 'Inhalación nasal',
+        'Pause Plein': 'Pausa llenos',
+        'Expir Ocean Breath': 'Exhalación Ocean Breath',
+        'Expir Ocean': 'Exhalación Ocean',
+        'Pause Vide': 'Pausa vacíos',
+        'Respirez': 'Respira',
+        'Pause CO2': 'Pausa CO2',
+        'Pause CO₂': 'Pausa CO₂',
+        'Préparez': 'Prepárate',
+        'Pause VHL': 'Pausa VHL',
+        'Récupérez': 'Recupera',
+        'Inspirez fort !': '¡Inhala fuerte!',
+        'Suspension': 'Suspensión',
+        'Immobilité': 'Inmovilidad',
+        'Pūraka (Inspir)': 'Pūraka (Inhalación)',
+        'Kumbhaka (Rétention)': 'Kumbhaka (Retención)',
+        'Rechaka (Expir)': 'Rechaka (Exhalación)',
+        'Inspir narine gauche': 'Inhala fosa izquierda',
+        'Rétention': 'Retención',
+        'Expir narine droite': 'Exhala fosa derecha',
+        'Inspir narine droite': 'Inhala fosa derecha',
+        'Expir narine gauche': 'Exhala fosa izquierda',
+        'Expir forcé': 'Exhalación forzada',
+        'Inspir passif': 'Inhalación pasiva',
+        'Inspirez (Ujjayi)': 'Inhala (Ujjayi)',
+        'Expirez (Ujjayi)': 'Exhala (Ujjayi)',
+        'Bourdonnez (Mmm)': 'Zumba (Mmm)',
+        'Ventre': 'Vientre',
+        'Côtes': 'Costillas',
+        'Poitrine': 'Pecho',
+        'Relâchement': 'Relajación',
+        'Préparation': 'Preparación',
+        'Inspirez 80%': 'Inhala 80%',
+        'Préparer': 'Preparar',
+        'Inspirer': 'Inhalar',
+        'Retenir': 'Retener',
+        'Expirer': 'Exhalar',
+
+        // Compteurs et messages des exercices guidés
+        'Palier 1 / {rateSteps.length}': 'Escalón 1 / {rateSteps.length}',
+        'Palier {palier} : {rate} respirations par minute': 'Escalón {palier}: {rate} respiraciones por minuto',
+        'Palier {palier}/{rateSteps.length} — {rate} resp/min — {breath}/{breaths}': 'Escalón {palier}/{rateSteps.length} — {rate} resp/min — {breath}/{breaths}',
+        'Round {round}/{rounds} — Respiration {breath}/{breaths}': 'Ronda {round}/{rounds} — Respiración {breath}/{breaths}',
+        'Après votre dernière expiration, retenez aussi longtemps que possible. Appuyez sur ESPACE ou « Sortir » quand vous devez respirer.': 'Tras tu última exhalación, retén todo lo que puedas. Pulsa ESPACIO o «Salir» cuando necesites respirar.',
+        'Inspirez à fond et retenez {recoveryPhase.duration} secondes': 'Inhala a fondo y retén {recoveryPhase.duration} segundos',
+        'Round {round}/{rounds} terminé — recommencez les respirations': 'Ronda {round}/{rounds} terminada — vuelve a empezar las respiraciones',
+        'Série 1 / {cycles}': 'Serie 1 / {cycles}',
+        'Série {serie}/{cycles} — Resp. {breath}/{breaths}': 'Serie {serie}/{cycles} — Resp. {breath}/{breaths}',
+        'Série {serie}/{cycles} — Pause {holdDuration}s (poumons bas)': 'Serie {serie}/{cycles} — Pausa {holdDuration}s (pulmones bajos)',
+        'Repos libre — encore {remaining} souffle{remaining:s}': 'Descanso libre — {remaining} resp. más',
+        'Cycle 1/{cycles} — Cyclic Sighing {prepDuration}s': 'Ciclo 1/{cycles} — Cyclic Sighing {prepDuration}s',
+        'Cycle {cycle}/{cycles} — Pause {holdDuration}s (poumons bas)': 'Ciclo {cycle}/{cycles} — Pausa {holdDuration}s (pulmones bajos)',
+        'Récup — encore {remaining} souffle{remaining:s}': 'Recuperación — {remaining} resp. más',
+        'Cycle {cycle} / {cycles} — Repos': 'Ciclo {cycle} / {cycles} — Descanso',
+        'Cycle {cycle} / {cycles} — Apnée': 'Ciclo {cycle} / {cycles} — Apnea',
+        'Bien joué. {hold:time} d\'apnée, {contractions} contractions.': 'Bien hecho. {hold:time} de apnea, {contractions} contracciones.',
+        'Cycle 1 / {cycles} — Double soupir': 'Ciclo 1 / {cycles} — Doble suspiro',
+        'Cycle {cycle} / {cycles} — Inspiration': 'Ciclo {cycle} / {cycles} — Inhalación',
+        'Cycle {cycle} / {cycles} — Suspension': 'Ciclo {cycle} / {cycles} — Suspensión',
+        'Cycle {cycle} / {cycles} — Expiration': 'Ciclo {cycle} / {cycles} — Exhalación',
+
+        // Notifications
+        'Exercice inconnu : {id}': 'Ejercicio desconocido: {id}',
+        'Touche l\'écran pour lancer « {name} »': 'Toca la pantalla para iniciar «{name}»',
+        'Erreur sync : {message}': 'Error de sincronización: {message}',
+        'Pack « {name} » importé : {count} phrases': 'Paquete «{name}» importado: {count} frases',
+        'Thème « {name} » enregistré': 'Tema «{name}» guardado',
+        'Thème « {name} » importé': 'Tema «{name}» importado',
+        'Thème « {name} » utilisé pour les sons de respiration': 'Tema «{name}» usado para los sonidos de respiración',
+        'Supprimer le thème « {name} » ?': '¿Eliminar el tema «{name}»?',
+        'JSON invalide : {error}': 'JSON no válido: {error}',
+        'Import impossible : thème invalide': 'Importación imposible: tema no válido',
+        'Cardiofréquencemètre connecté : {label}': 'Pulsómetro conectado: {label}',
+        'Connexion FC impossible : {message}': 'No se pudo conectar el pulsómetro: {message}',
+        'Suspension ajustée à {seconds}s pour la prochaine séance': 'Suspensión ajustada a {seconds}s para la próxima sesión',
+        'Programme de {weeks} semaines créé': 'Programa de {weeks} semanas creado',
+        'Au moins une phase doit avoir une durée > 0': 'Al menos una fase debe durar más de 0',
+        'Aucun exercice dans les jours choisis': 'Ningún ejercicio en los días elegidos',
+        'Aucune phase active (toutes les durées sont à 0)': 'Ninguna fase activa (todas las duraciones están a 0)',
+        'Choisissez un dossier': 'Elige una carpeta',
+        'Connexion perdue - Mode hors-ligne actif': 'Conexión perdida - Modo sin conexión activo',
+        'Connexion rétablie - Mode hors-ligne toujours actif': 'Conexión restablecida - Modo sin conexión aún activo',
+        'Données exportées !': '¡Datos exportados!',
+        'Données importées !': '¡Datos importados!',
+        'Dossier local non pris en charge par ce navigateur': 'Este navegador no admite carpetas locales',
+        'Entrez une URL http(s) valide': 'Introduce una URL http(s) válida',
+        'Entrez votre token GitHub': 'Introduce tu token de GitHub',
+        'Erreur export Word': 'Error al exportar a Word',
+        'Exercice inconnu': 'Ejercicio desconocido',
+        'Export Excel termine': 'Exportación a Excel terminada',
+        'Export JSON termine': 'Exportación JSON terminada',
+        'Fichier Excel invalide': 'Archivo Excel no válido',
+        'Fichier JSON invalide': 'Archivo JSON no válido',
+        'Fichier vide ou illisible': 'Archivo vacío o ilegible',
+        'Format non supporte (.json ou .xlsx)': 'Formato no admitido (.json o .xlsx)',
+        'Impossible de lire ce fichier': 'No se puede leer este archivo',
+        'Impossible de supprimer une séquence par défaut': 'No se puede eliminar una secuencia predeterminada',
+        'Librairie Excel non chargee': 'Librería Excel no cargada',
+        'Librairie Word non chargee': 'Librería Word no cargada',
+        'Mode en ligne activé': 'Modo en línea activado',
+        'Mode hors-ligne activé': 'Modo sin conexión activado',
+        'Pack de voix supprimé': 'Paquete de voz eliminado',
+        'Thème supprimé': 'Tema eliminado',
+        'Paramètres enregistrés': 'Ajustes guardados',
+        'Plan généré !': '¡Plan generado!',
+        'Plan généré hors-ligne': 'Plan generado sin conexión',
+        'Plan supprimé.': 'Plan eliminado.',
+        'Profil enregistre': 'Perfil guardado',
+        'Programme arrêté.': 'Programa detenido.',
+        'Rapport Word exporte': 'Informe Word exportado',
+        'Session enregistree': 'Sesión guardada',
+        'Sync déconnectée': 'Sincronización desconectada',
+        'Séquence enregistrée': 'Secuencia guardada',
+        'Séquence supprimée': 'Secuencia eliminada',
+        'Échéance réglée : clique sur Générer un plan': 'Fecha objetivo fijada: pulsa Generar un plan'
+    },
+
+    exercises: {
+        'cyclic-sighing': {
+            name: 'Cyclic Sighing',
+            description: 'Práctica diaria de 5 min — doble inhalación + exhalación larga para mejorar el ánimo y reducir el estrés',
+            instructions: {
+                start: 'Ponte cómodo. Vamos a practicar el cyclic sighing.',
+                'Inspirez': 'Inhala profundamente por la nariz, llena los pulmones',
+                'Inspirez +': 'Sin exhalar, haz una segunda inhalación corta para llenarte por completo',
+                'Expirez lentement': 'Exhala despacio y por completo por la boca'
+            }
+        },
+        'coherent': {
+            name: 'Respiración coherente',
+            description: '5,5 respiraciones por minuto para la coherencia cardíaca',
+            instructions: {
+                start: 'Respira con naturalidad al ritmo indicado. Deja que tu corazón se sincronice.',
+                'Inspirez': 'Inhala suavemente por la nariz',
+                'Expirez': 'Exhala suavemente por la nariz o la boca'
+            }
+        },
+        'cardiac-coherence': {
+            name: 'Coherencia cardíaca',
+            description: 'Respiración de resonancia cardíaca configurable — frecuencia, ratio y retención ajustables',
+            instructions: {
+                start: 'Coherencia cardíaca. Respira al ritmo indicado. Deja que tu corazón se sincronice.',
+                'Inspirez': 'Inhalación suave por la nariz, hinchando el vientre',
+                'Retenez': 'Pausa con los pulmones llenos, cuerpo relajado',
+                'Expirez': 'Exhalación lenta y regular'
+            }
+        },
+        'resonance-assessment': {
+            name: 'Evaluación de la frecuencia de resonancia',
+            description: 'Escalones de 6,5 a 4,5 resp/min para encontrar tu frecuencia de coherencia óptima',
+            instructions: {
+                start: 'Evaluación de la frecuencia de resonancia. Sigue cada ritmo sin forzar, respiración nasal y abdominal.',
+                'Inspirez': 'Inhala suavemente por la nariz',
+                'Expirez': 'Exhala suavemente, sin empujar',
+                rate: '¿Te resultó cómodo este ritmo? Puntúalo de 1 (desagradable) a 5 (muy fluido).',
+                complete: 'Evaluación terminada.'
+            }
+        },
+        'box': {
+            name: 'Box Breathing',
+            description: 'La técnica 4-4-4-4 de los Navy SEALs',
+            instructions: {
+                start: 'Box breathing: inhala, retén, exhala, retén - cada fase dura 4 segundos.',
+                'Inspirez': 'Inhala despacio por la nariz',
+                'Retenez': 'Pulmones llenos, mantente relajado',
+                'Expirez': 'Exhala despacio y por completo',
+                'Retenez ': 'Pulmones vacíos, mantén la calma'
+            }
+        },
+        'wimhof': {
+            name: 'Método Wim Hof',
+            description: 'Hiperventilación controlada + retención',
+            instructions: {
+                start: 'Método Wim Hof: 30 respiraciones profundas y después una retención máxima.',
+                'Inspirez profondément': 'Gran inhalación por la nariz o la boca',
+                'Relâchez': 'Deja salir el aire de forma natural',
+                'Rétention': 'Tras la última exhalación, retén todo lo que puedas',
+                'Récupération': 'Inhala a fondo y retén 15 segundos'
+            }
+        },
+        'co2-tolerance': {
+            name: 'Respiración 1:2 (HRV)',
+            description: 'Respiración lenta 1:2 (4 s/8 s) — maximiza la variabilidad cardíaca y calma el sistema nervioso antes de una inmersión',
+            instructions: {
+                start: 'Respiración lenta y regular. Ideal antes de una sesión de apnea para calmar el sistema nervioso.',
+                'Inspirez': 'Inhalación nasal suave',
+                'Expirez lentement': 'Exhalación muy lenta, deja salir el aire sin esfuerzo'
+            }
+        },
+        'ocean-breath-co2': {
+            name: 'Ocean Breath CO2',
+            description: 'Exhalación larga frenada (Ujjayi) para la tolerancia al CO2 — el frenado glótico crea una contrapresión que ralentiza la salida del CO2 y provoca una hipercapnia progresiva',
+            instructions: {
+                start: 'Ocean Breath CO2 — Resistencia 4-4-16-2. Exhalación larga frenada para la tolerancia al CO2.',
+                'Inspir Nasale': 'Inhalación nasal fluida. Llena solo al 70%, no al máximo.',
+                'Pause Plein': 'Suspensión con pulmones llenos. Hombros completamente sueltos. Garganta abierta.',
+                'Expir Ocean': 'Frenado máximo al fondo de la garganta. El sonido debe ser un hilo de seda continuo. Igual de principio a fin.',
+                'Pause Vide': 'Inmovilidad con pulmones vacíos. Relaja el vientre. Prepárate para el siguiente ciclo.'
+            }
+        },
+        'co2-vhl': {
+            name: 'Hipoventilación VHL CO2',
+            description: 'Hipoventilación con bajo volumen pulmonar (Woorons) — desensibilización real de los quimiorreceptores por acumulación progresiva de CO2',
+            instructions: {
+                start: 'Hipoventilación VHL. Respira con normalidad 3 ciclos, luego exhala y haz una pausa con los pulmones bajos. Repite.',
+                breathe: 'Respira con normalidad. Prepárate para la pausa.',
+                hold: 'Exhala con normalidad — no vacíes del todo. Pausa. Pulmones medio vacíos.',
+                rest: 'Respira libremente. Recupera antes del siguiente ciclo.',
+                complete: 'Sesión VHL terminada. La tolerancia al CO2 se construye en 4 a 6 semanas de práctica regular.'
+            }
+        },
+        'co2-vhl-classic': {
+            name: 'VHL clásico Woorons',
+            description: 'Protocolo VHL original de Woorons — 2 respiraciones normales y luego una pausa con pulmones bajos. Pausa más larga (6 s). Pensado como progresión una vez dominado el protocolo CO2.',
+            instructions: {
+                start: 'VHL clásico Woorons. 2 respiraciones normales, luego exhala con normalidad y haz una pausa de 6 segundos con los pulmones bajos. 8 ciclos.',
+                breathe: 'Respira con normalidad. Prepárate para la pausa.',
+                hold: 'Exhala con normalidad — no del todo. Pausa de 6 segundos. Pulmones medio vacíos.',
+                rest: 'Respira libremente. Recupera antes del siguiente ciclo.',
+                complete: 'Sesión de VHL clásico terminada. Protocolo de origen: Woorons. Puedes progresar hacia una pausa de 8 s.'
+            }
+        },
+        'co2-vhl-static': {
+            name: 'VHL estático',
+            description: 'Apnea con bajo volumen pulmonar (FRC) y pausa larga. Garganta relajada, suspensión pasiva — protocolo de Woorons adaptado al entrenamiento avanzado de CO2.',
+            instructions: {
+                start: 'VHL estático. Preparación con cyclic sighing: doble inhalación (sniff audible), exhalación lenta. 3 minutos.',
+                prep: 'Cyclic Sighing. Inhala profundamente, sniff corto, exhala despacio por la nariz. Relaja toda la cara.',
+                hold: 'Exhala de forma pasiva — deja que el tórax baje solo. Retén. Garganta abierta, mandíbula suelta. Mantente pasivo.',
+                rest: 'Respira libremente. Exactamente el número de respiraciones fijado, y luego el siguiente ciclo.',
+                complete: 'VHL estático terminado. Anota cómo te has sentido. La progresión lleva al menos 3 semanas.'
+            }
+        },
+        'imst': {
+            name: 'IMST — Fuerza inspiratoria',
+            description: 'Inspiraciones forzadas contra alta resistencia — 30 reps × 5 series para reforzar los músculos respiratorios',
+            instructions: {
+                start: 'IMST — 30 inspiraciones forzadas por serie. Inhala lo más fuerte y rápido posible contra la resistencia. 5 series en total.',
+                inhale: '¡Inhala fuerte!',
+                inhale_free: '¡Inspiración diafragmática máxima!',
+                exhale: 'Suelta de forma pasiva.',
+                rest: 'Descanso. Respira con normalidad.',
+                complete: 'Sesión IMST terminada. 5 series completas. Práctica regular 6 días por semana = resultados en 6 semanas.'
+            }
+        },
+        'breath-light-co2': {
+            name: 'Respiración reducida CO2',
+            description: 'Reducción progresiva del volumen respiratorio para generar una incomodidad de CO2 controlada',
+            instructions: {
+                start: 'Respiración reducida CO2 — método Oxygen Advantage. 7 minutos de respiración progresivamente reducida para entrenar tu tolerancia al CO2.',
+                'Inspirez': 'Inhalación reducida y suave, solo por la nariz',
+                'Expirez': 'Exhalación lenta y controlada, deja salir el aire sin forzar',
+                'Pause': 'Pausa tras la exhalación: mantén la calma, tolera las ganas de respirar'
+            }
+        },
+        'square-flow': {
+            name: 'Square Flow — Coherencia Plus',
+            description: 'Inhalación controlada (5 s) + suspensión con pulmones llenos (10 s) + exhalación fluida (5 s) + microapnea FRC (2 s) — trabajo de capacidad pulmonar y relajación diferencial',
+            instructions: {
+                start: 'Square Flow — Coherencia Plus. Ponte cómodo. Vamos a practicar la suspensión con pulmones llenos y relajación diferencial.',
+                'Inspirez': 'Inhala por la nariz. Abre las costillas hacia los lados, no solo el vientre. Llenado controlado.',
+                'Suspension': 'Suspensión con pulmones llenos. Relaja los trapecios y la mandíbula. Glotis abierta. Siente la presión interna como un masaje.',
+                'Expirez': 'Exhala de forma fluida y regular. No sueltes el aire de golpe, contrólalo. Deja que la tensión se vaya con el aire.',
+                'Immobilité': 'Microapnea con pulmones vacíos. Inmovilidad total. Prepárate para el siguiente ciclo.'
+            }
+        },
+        'relaxation': {
+            name: 'Respiración 4-7-8',
+            description: 'Técnica del Dr. Andrew Weil para conciliar el sueño',
+            instructions: {
+                start: 'Técnica 4-7-8: coloca la lengua detrás de los dientes superiores.',
+                'Inspirez': 'Inhala en silencio por la nariz',
+                'Retenez': 'Retén la respiración',
+                'Expirez': 'Exhala por completo por la boca con un sonido "whoosh"'
+            }
+        },
+        'pranayama-142': {
+            name: 'Pranayama 1-4-2',
+            description: 'Ratio yóguico clásico: inhalar 1x, retener 4x, exhalar 2x',
+            instructions: {
+                start: 'Pranayama clásico, ratio 1:4:2. Siéntate en una postura estable, con la espalda recta.',
+                'Pūraka (Inspir)': 'Inhala despacio por la nariz, llenando el vientre y después el pecho',
+                'Kumbhaka (Rétention)': 'Retén la respiración, barbilla ligeramente hacia el pecho (Jalandhara Bandha)',
+                'Rechaka (Expir)': 'Exhala despacio por la nariz, vaciando primero el pecho y después el vientre'
+            }
+        },
+        'nadi-shodhana': {
+            name: 'Nadi Shodhana',
+            description: 'Respiración alterna — equilibra los dos hemisferios cerebrales',
+            instructions: {
+                start: 'Nadi Shodhana: respiración alterna por las fosas nasales. Mano derecha en Vishnu Mudra (dobla el índice y el corazón).',
+                'Inspir narine gauche': 'Inhala por la fosa nasal izquierda',
+                'Rétention': 'Retén, las dos fosas cerradas',
+                'Expir narine droite': 'Exhala por la fosa nasal derecha',
+                'Inspir narine droite': 'Inhala por la fosa nasal derecha',
+                'Rétention ': 'Retén, las dos fosas cerradas',
+                'Expir narine gauche': 'Exhala por la fosa nasal izquierda'
+            },
+            phaseInstructions: [
+                'Cierra la fosa derecha con el pulgar. Inhala por la fosa izquierda.',
+                'Cierra las dos fosas (pulgar + anular). Retén.',
+                'Libera la fosa derecha. Exhala por la derecha.',
+                'Mantén la izquierda cerrada. Inhala por la fosa derecha.',
+                'Cierra las dos fosas. Retén.',
+                'Libera la fosa izquierda. Exhala por la izquierda.'
+            ]
+        },
+        'kapalabhati': {
+            name: 'Kapalabhati',
+            description: 'Respiración del cráneo brillante — 30 exhalaciones forzadas rápidas por ronda, purificación y energía',
+            instructions: {
+                start: 'Kapalabhati: 30 exhalaciones forzadas por la nariz (1 ronda = 30 s). Tras la ronda, inhala a fondo y retén todo lo que puedas.',
+                'Expir forcé': 'Exhalación potente por la nariz contrayendo los abdominales',
+                'Inspir passif': 'Deja que el aire vuelva a entrar solo, sin esfuerzo'
+            }
+        },
+        'ujjayi': {
+            name: 'Ujjayi',
+            description: 'La respiración victoriosa — respiración oceánica calmante',
+            instructions: {
+                start: 'Ujjayi: estrecha ligeramente la glotis (como para empañar un cristal) y respira por la nariz. Un sonido oceánico suave y regular debe acompañar cada respiración.',
+                'Inspirez (Ujjayi)': 'Inhala por la nariz, garganta ligeramente cerrada, con un sonido suave',
+                'Expirez (Ujjayi)': 'Exhala por la nariz, mismo estrechamiento glótico, mismo sonido regular'
+            }
+        },
+        'bhramari': {
+            name: 'Bhramari',
+            description: 'La respiración de la abeja — vibración y calma profunda',
+            instructions: {
+                start: 'Bhramari: inhala por la nariz y exhala con un zumbido continuo "Mmmmm". Opcional: tápate los oídos con los pulgares (Shanmukhi Mudra).',
+                'Inspirez': 'Inhalación profunda y silenciosa por la nariz',
+                'Bourdonnez (Mmm)': 'Exhala zumbando "Mmmmm" — siente la vibración en el cráneo'
+            }
+        },
+        'surya-bhedana': {
+            name: 'Surya Bhedana',
+            description: 'Respiración solar — energía y calor interno',
+            instructions: {
+                start: 'Surya Bhedana: respiración solar energizante. Inhala por la derecha, exhala por la izquierda.',
+                'Inspir narine droite': 'Inhala despacio por la fosa nasal derecha',
+                'Rétention': 'Retén la respiración, las dos fosas cerradas',
+                'Expir narine gauche': 'Exhala suavemente por la fosa nasal izquierda'
+            },
+            phaseInstructions: [
+                'Cierra la fosa izquierda. Inhala por la derecha.',
+                'Cierra las dos fosas.',
+                'Exhala por la fosa izquierda.'
+            ]
+        },
+        'body-scan': {
+            name: 'Body Scan',
+            description: 'Recorrido atencional sistemático del cuerpo',
+            instructions: { start: 'Túmbate cómodamente. Cierra los ojos y respira con naturalidad.' }
+        },
+        'pettlep': {
+            name: 'Visualización PETTLEP',
+            description: 'El protocolo de 7 puntos de los atletas olímpicos',
+            instructions: { start: 'Protocolo PETTLEP: imaginería multisensorial usada por el 70-90% de los olímpicos.' }
+        },
+        'sophro': {
+            name: 'Relajación dinámica',
+            description: 'Método IRTER de sofrología, nivel 1',
+            instructions: { start: 'Relajación dinámica sofrológica. Método IRTER: Inspiración-Retención-Tensión-Espiración-Relajación.' }
+        },
+        'pmr': {
+            name: 'Relajación muscular progresiva',
+            description: 'El método de contracción-relajación de Jacobson',
+            instructions: { start: 'Relajación muscular progresiva. Contrae cada grupo muscular 5 segundos y luego suelta durante 15-20 segundos.' }
+        },
+        'focus': {
+            name: 'Entrenamiento de enfoque',
+            description: 'La técnica del foco para la concentración',
+            instructions: { start: 'Entrenamiento de la concentración con el método del foco.' }
+        },
+        'predive': {
+            name: 'Visualización previa a la inmersión',
+            description: 'La rutina mental completa del apneísta',
+            instructions: { start: 'Visualización previa a la inmersión. Imagina tu inmersión perfecta con todo detalle.' }
+        },
+        'co2-table': {
+            name: 'Tabla CO2',
+            description: 'Apneas constantes con descanso decreciente',
+            instructions: {
+                start: 'Tabla CO2: apneas constantes con tiempos de descanso decrecientes.',
+                breathe: 'Respira con calma y prepárate',
+                hold: 'Retén la respiración, mantente relajado'
+            }
+        },
+        'o2-table': {
+            name: 'Tabla O2',
+            description: 'Apneas progresivas con descanso constante',
+            instructions: {
+                start: 'Tabla O2: apneas progresivas con un descanso constante de 2 minutos.',
+                breathe: 'Recupera durante 2 minutos',
+                hold: 'Retén la respiración'
+            }
+        },
+        'no-contraction': {
+            name: 'Tabla sin contracciones',
+            description: 'Un método suave para principiantes',
+            instructions: {
+                start: 'Tabla sin contracciones: para ANTES de cualquier necesidad de respirar.',
+                breathe: 'Respira con calma',
+                hold: 'Retén hasta la primera ligera necesidad de respirar y entonces para'
+            }
+        },
+        'comfort-zone': {
+            name: 'Zona de confort',
+            description: 'Apnea libre — para en cuanto aparezca la incomodidad para progresar de forma natural',
+            instructions: {
+                start: 'Ponte cómodo. Respira con calma.',
+                breathe: 'Respira despacio y profundamente.',
+                hold: 'Retén. Mantente relajado. Para a la mínima incomodidad.',
+                stop: '¡Bien hecho! Respira con calma.'
+            }
+        },
+        'comfort-zone-frc': {
+            name: 'Zona de confort FRC',
+            description: 'Apnea FRC con pulmones vacíos — exhala con normalidad, retén, para en cuanto aparezca la incomodidad',
+            instructions: {
+                start: 'Ponte cómodo. Respira con calma.',
+                breathe: 'Respira con calma y naturalidad.',
+                hold: 'Exhala con normalidad… y retén. Mantente relajado. Para a la mínima incomodidad.',
+                stop: '¡Bien hecho! Respira con calma.'
+            }
+        },
+        'dive-reflex': {
+            name: 'Reflejo de inmersión',
+            description: 'Ejercicios para optimizar la bradicardia',
+            instructions: { start: 'Entrenamiento del reflejo de inmersión de los mamíferos. Necesitarás agua fría.' }
+        },
+        'lung-stretch': {
+            name: 'Estiramientos pulmonares',
+            description: 'Uddiyana bandha y estiramientos intercostales',
+            instructions: { start: 'Estiramientos pulmonares. Practica en ayunas para el Uddiyana Bandha.' }
+        },
+        'diaphragm': {
+            name: 'Respiración diafragmática',
+            description: 'Dominio de la respiración abdominal en 3 tiempos',
+            instructions: {
+                start: 'Respiración diafragmática en 3 tiempos: vientre, costillas, pecho.',
+                'Ventre': 'Hincha primero el vientre',
+                'Côtes': 'Abre las costillas',
+                'Poitrine': 'Eleva el pecho',
+                'Pause': 'Pausa breve',
+                'Relâchement': 'Exhalación lenta y pasiva'
+            },
+            phaseInstructions: [
+                'Hincha el vientre como un globo',
+                'Abre las costillas hacia los lados',
+                'Eleva ligeramente el pecho',
+                'Pausa breve con los pulmones llenos',
+                'Deja salir el aire de forma natural'
+            ]
+        },
+        'physiological-sigh': {
+            name: 'Suspiro fisiológico',
+            description: 'Reinicio nervioso instantáneo — 3 ciclos bastan, úsalo en pleno momento de estrés o pánico',
+            instructions: {
+                start: 'Suspiro fisiológico: el reinicio más rápido para tu sistema nervioso.',
+                'Inspirez': 'Inhala por la nariz',
+                'Inspirez +': 'Una segunda inhalación corta para llenarte por completo',
+                'Expirez longuement': 'Exhalación larga por la boca, suéltalo todo'
+            }
+        },
+        'grounding-555': {
+            name: 'Anclaje 5-5-5',
+            description: 'Técnica de anclaje para volver al presente',
+            instructions: { start: 'Técnica 5-5-5: reconéctate con el momento presente.' }
+        },
+        'extended-exhale': {
+            name: 'Exhalación prolongada',
+            description: 'Ratio 1:2 para una activación parasimpática rápida',
+            instructions: {
+                start: 'Exhalación prolongada: inhala 4 segundos, exhala 8 segundos.',
+                'Inspirez': 'Inhalación tranquila por la nariz',
+                'Expirez lentement': 'Exhalación muy lenta, como a través de una pajita'
+            }
+        },
+        'box-quick': {
+            name: 'Box breathing rápido',
+            description: 'Una versión corta para recuperar el control',
+            instructions: {
+                start: 'Box breathing rápido: 6 ciclos para recuperar el control.',
+                'Inspirez': 'Inhala por la nariz',
+                'Retenez': 'Pulmones llenos, mantén la calma',
+                'Expirez': 'Exhala por completo',
+                'Retenez ': 'Pulmones vacíos, relájate'
+            }
+        },
+        'preperf-protocol': {
+            name: 'Protocolo 5 minutos',
+            description: 'Secuencia completa para una preparación óptima',
+            instructions: { start: 'Protocolo pre-competición: 5 minutos para alcanzar tu estado óptimo.' }
+        },
+        'dive-prep': {
+            name: 'Preparación inmersión',
+            description: 'Breathe-up optimizado para la apnea y la pesca submarina',
+            instructions: { start: 'Preparación para la inmersión: breathe-up y visualización para una apnea óptima.' }
+        },
+        'quick-coherence': {
+            name: 'Coherencia exprés',
+            description: 'Coherencia cardíaca en 3 minutos',
+            instructions: {
+                start: 'Coherencia exprés: 3 minutos para sincronizar corazón y respiración.',
+                'Inspirez': 'Inhala suavemente durante 5 segundos',
+                'Expirez': 'Exhala suavemente durante 5 segundos'
+            }
+        },
+        'power-viz': {
+            name: 'Visualización exprés',
+            description: 'Visualización rápida del rendimiento óptimo',
+            instructions: { start: 'Visualización exprés: ve y siente tu éxito en 2 minutos.' }
+        },
+        'sleep-descent': {
+            name: 'Descenso hacia el sueño',
+            description: 'Protocolo progresivo de 7 minutos para dormirse',
+            instructions: { start: 'Protocolo para dormirse. Déjate guiar hacia un sueño profundo y reparador.' }
+        },
+        'deep-sleep-478': {
+            name: 'Sueño profundo 4-7-8',
+            description: 'Sueño profundo: bloques 4-7-8 guiados + body scan progresivo — de 5 a 45 min',
+            instructions: {
+                start: 'Túmbate. Cierra los ojos. Esta noche ya no queda nada por hacer.',
+                inhale478: 'Inhala',
+                hold478: 'Retén',
+                exhale478: 'Exhala'
+            }
+        },
+        'vakog-static': {
+            name: 'VAKOG estática',
+            description: 'Fragmentación sensorial para la apnea estática',
+            instructions: { start: 'Autohipnosis VAKOG para la apnea estática. Conviértete en observador pasivo de tus sensaciones.' }
+        },
+        'scan-sensoriel': {
+            name: 'Escaneo sensorial circular',
+            description: 'Técnica de disociación para la apnea estática',
+            instructions: { start: 'Escaneo sensorial circular. Aprende a desplazar tu atención durante la apnea.' }
+        },
+        'flow-dynamique': {
+            name: 'Flow-state dinámico',
+            description: 'Estado de flow para la apnea dinámica y la monoaleta',
+            instructions: { start: 'Flow-state para la apnea dinámica. Pasa del control manual al piloto automático.' }
+        },
+        'hypno-apnee-debutant': {
+            name: 'Iniciación a la autohipnosis',
+            description: 'Introducción a las técnicas de autohipnosis para la apnea',
+            instructions: { start: 'Iniciación a la autohipnosis para apneístas. Creación de tu ancla personal de calma.' }
+        },
+        'meditation-lacher-prise': {
+            name: 'Meditación para soltar',
+            description: 'Aprende a soltar mediante la respiración pasiva y la aceptación',
+            instructions: { start: 'Meditación para soltar. Vas a aprender a dejar de luchar, a dejar de controlar. Esa es la clave de la apnea.' }
+        },
+        'dry-to-wet-bridge': {
+            name: 'Programa Dry-to-Wet',
+            description: 'Programa de 8 semanas para trasladar tus marcas del seco al agua',
+            instructions: { start: 'Programa Dry-to-Wet: 8 semanas para reducir la diferencia entre tus marcas en seco y en el agua.' }
+        },
+        'flow-release': {
+            name: 'Flow & Release',
+            description: 'Programa de 10 min para reeducar el sistema nervioso y sortear la hipervigilancia',
+            instructions: { start: 'Flow & Release — programa de 10 min. Reeduca tu sistema nervioso y sortea la hipervigilancia con la Triple Conciencia.' }
+        },
+        'hook-breathing': {
+            name: 'Hook Breathing',
+            description: 'Técnica de recuperación tras la apnea en 3 rondas progresivas',
+            instructions: { start: 'Hook breathing: la técnica de recuperación esencial. 3 rondas progresivas para automatizar este reflejo vital.' }
+        },
+        'breathe-up-structure': {
+            name: 'Breathe-up estructurado',
+            description: 'Preparación previa a la inmersión en 3 fases: tidal, segmentaria, inhalación final',
+            instructions: { start: 'Breathe-up estructurado: preparación óptima en 3 fases para maximizar tus reservas sin hiperventilar.' }
+        },
+        'contraction-tolerance': {
+            name: 'Tolerancia a las contracciones',
+            description: 'Apnea con seguimiento de contracciones y coaching de reencuadre',
+            instructions: {
+                start: 'Tolerancia a las contracciones. Pulsa el botón "Contracción" en cada espasmo. Vamos a aprender a aceptarlas.',
+                breathe: 'Recupera. Respira con calma durante 2 minutos.',
+                hold: 'Retén la respiración. Pulsa "Contracción" en cada espasmo.',
+                contraction: 'Contracción registrada. Mantén la calma. Es normal.'
+            },
+            reframingCues: [
+                'Es tu diafragma que se estira. Es normal. Estás a salvo.',
+                'Esta sensación es una señal, no un peligro. Tu cuerpo la gestiona perfectamente.',
+                'Cada contracción es una ola. Déjala pasar. Eres más fuerte que ella.',
+                'Relaja la mandíbula. Relaja los hombros. Una contracción no necesita tensión.',
+                'Observa la contracción como un espectador. Sube, pasa. Tú sigues tranquilo.',
+                'Tu SpO2 sigue siendo muy buena. Tienes mucho margen. Confía en tu cuerpo.'
+            ]
+        },
+        'passive-breath-hanger': {
+            name: 'Passive Breath Hanger',
+            description: 'Apnea estática al 80% — suspensión en un volumen intermedio con relajación profunda de la glotis (Molchanovs / Néry)',
+            instructions: {
+                start: 'Passive Breath Hanger. Inhala hasta un 80% de tu capacidad, no al máximo. Relaja por completo la garganta.',
+                prep: 'Preparación. Doble suspiro: inhala profundamente, sniff corto, exhala despacio. Relájalo todo.',
+                inhale: 'Inhala suavemente hasta el 80%. Siente los pulmones llenos en tres cuartas partes. Sin sobreextensión.',
+                hold: 'Suspensión. Glotis abierta. Deja llegar las contracciones sin resistirte. El cronómetro corre.',
+                exhale: 'Exhala muy despacio con los labios fruncidos. Alárgalo todo lo que puedas.',
+                rest: 'Recupera. Respira con naturalidad. Prepárate para el siguiente ciclo.',
+                complete: 'Excelente trabajo. Anota abajo cómo te has sentido para seguir tu progresión.'
+            }
+        },
+        'body-scan-apnea': {
+            name: 'Body scan apnea',
+            description: 'Apnea guiada con body scan para desplazar la atención durante la retención',
+            instructions: {
+                start: 'Body scan durante la apnea. El escaneo aleja tu atención de las ganas de respirar.',
+                breathe: 'Respira con calma. Prepárate para el siguiente ciclo.',
+                hold: 'Retén. Sigue el body scan. Déjate guiar.'
+            }
+        },
+        // Protocoles chasse / W&B Up (CHASSE_PROTOCOLS)
+        'chasse-terre': {
+            name: 'Llegada a la playa — Recuperación tras equiparse',
+            description: 'Tras cargar el material y ponerte el traje. Baja tu FC por debajo de 75 lpm antes de entrar en el agua.',
+            instructions: {
+                start: 'Siéntate o túmbate tras equiparte. Respiración tranquila y natural.',
+                'Normoventilation': 'Inhala 3 s por la nariz, exhala 5 s por la boca. No fuerces nada.'
+            },
+            phaseInstructions: [
+                'Siéntate o túmbate. Respiración natural y pasiva: inhala 3 s por la nariz, exhala 5 s por la boca. No fuerces nada.'
+            ]
+        },
+        'chasse-eau': {
+            name: 'Aclimatación al agua — Primeros minutos',
+            description: 'Entrada progresiva en el agua y activación del reflejo de inmersión antes de las primeras apneas.',
+            instructions: {
+                start: 'Entra despacio en el agua. Activa el reflejo de inmersión.',
+                'Entrée progressive': 'Mete la cara en el agua 2-3 segundos. Respira con normalidad.',
+                'Flottaison calme': 'Túmbate boca abajo. Respira por el tubo.',
+                'Respiration diaphragmatique': 'Inhala 4 s → pausa 1 s → exhala 6-8 s. Relájate.'
+            },
+            phaseInstructions: [
+                'Entra despacio en el agua. Mete la cara en el agua 2-3 segundos para activar el reflejo de inmersión. Respira con normalidad.',
+                'Túmbate boca abajo, máscara en el agua, tubo en la boca. Todavía no mires el fondo. Respira por el tubo.',
+                '4-6 ciclos: inhala 4 s (el vientre se hincha) → pausa 1 s → exhala 6-8 s (pasiva, lenta). Ojos entornados. Relajación progresiva.'
+            ]
+        },
+        'chasse-breatheup': {
+            name: 'Breathe-up antes del descenso',
+            description: 'El mismo protocolo antes de cada descenso. 90 segundos de preparación óptima.',
+            instructions: {
+                start: '90 segundos de preparación óptima antes del descenso.',
+                'Centrage': 'Quédate inmóvil. Cierra los ojos. Relajación progresiva.',
+                'Breathe-up diaphragmatique': 'Inhala 5 s → pausa 1-2 s → exhala 10 s. Cuerpo relajado.',
+                'Cycle final': 'UNA gran inhalación en 3 etapas. Golpe de riñón enseguida.'
+            },
+            phaseInstructions: [
+                'Para. Quédate inmóvil. Cierra los ojos. Relajación progresiva: pies → pantorrillas → muslos → abdomen → hombros → mandíbula. 3 respiraciones tranquilas.',
+                'Inhala 5 s (diafragma, el vientre se hincha) → pausa 1-2 s → exhalación lenta y pasiva de 10 s. Repite 2-3 veces. Cuerpo relajado.',
+                'UNA gran exhalación (sale el 80-90% del aire) → UNA gran inhalación en 3 etapas: vientre → costillas → hombros. Golpe de riñón enseguida.'
+            ]
+        },
+        'chasse-fond': {
+            name: 'Técnica en el fondo — Espera',
+            description: 'Ahorra O₂ al máximo. La tensión muscular es tu primer enemigo.'
+        },
+        'chasse-recup': {
+            name: 'Recuperación en superficie',
+            description: 'Entre cada apnea. Respetar el tiempo de recuperación es tan importante como la propia inmersión.',
+            instructions: {
+                start: 'Recuperación entre apneas. El tiempo de recuperación importa tanto como la inmersión.',
+                'Expirations actives': '4-5 exhalaciones forzadas y luego inhalaciones normales. Estabilízate en superficie.',
+                'Normoventilation horizontale': 'QUÉDATE EN HORIZONTAL. Respiración normal por el tubo.'
+            },
+            phaseInstructions: [
+                '4-5 EXHALACIONES ACTIVAS forzadas (sopla fuerte para expulsar el CO₂ residual) y luego inhalaciones normales. Estabilízate en superficie, vías respiratorias fuera del agua.',
+                'QUÉDATE EN HORIZONTAL — nadar en superficie consume un 30-40% más de O₂. Respiración normal por el tubo. No mires fijamente tu zona de pesca (evita la activación simpática).'
+            ]
+        },
+        'statique-prep': {
+            name: 'Preparación apnea estática',
+            description: 'Protocolo completo antes de una estática. Coherencia cardíaca → breathe-up → last breath.',
+            instructions: {
+                start: 'Protocolo completo antes de una estática. Coherencia → breathe-up → last breath.',
+                'Cohérence cardiaque': 'Inhala 5 s → exhala 5 s. Diafragmática, ojos cerrados. FC objetivo < 65 lpm.',
+                'Breathe-up (PFI)': 'Inhala 2-5 s → pausa 1-2 s → exhala 8-10 s. Cuerpo relajado. 2 min como máximo.',
+                'Last breath complet': 'Vientre → costillas → hombros. Fluido, 4-5 s. TLC 100%. Glotis cerrada.'
+            },
+            phaseInstructions: [
+                'Tumbado. Inhala 5 s → exhala 5 s. Diafragmática, ojos cerrados. Activa el sistema parasimpático. FC objetivo < 65 lpm.',
+                'Inhala 2-5 s → pausa 1-2 s → exhalación muy lenta y pasiva de 8-10 s. 4 ciclos/min. Cuerpo relajado. PaCO₂ estable. 2 min como máximo.',
+                '1. El vientre se hincha (lóbulos inferiores) → 2. Las costillas se abren (lóbulos medios) → 3. Los hombros suben ligeramente (vértices). Fluido, 4-5 s. TLC 100%. Glotis cerrada → apnea.'
+            ]
+        },
+        'dynamique-prep': {
+            name: 'Preparación apnea dinámica',
+            description: 'Protocolo adaptado a la dinámica. Breathe-up más largo, last breath al 90-95% de la TLC.',
+            instructions: {
+                start: 'Protocolo adaptado a la dinámica. Breathe-up más largo, last breath al 90-95% de la TLC.',
+                'Cohérence cardiaque': 'Inhala 5 s → exhala 5 s. En la pared, en reposo. FC objetivo < 65 lpm.',
+                'Breathe-up (3 min)': 'Inhala 5 s → pausa 1-2 s → exhala 10 s. Más largo que en estática.',
+                'Last breath 90-95%': 'Vientre → costillas → hombros. PARA al 90-95% del máximo.'
+            },
+            phaseInstructions: [
+                'En la pared, en reposo. Inhala 5 s → exhala 5 s. Diafragmática. Nada de calentamiento intenso justo antes (sube el metabolismo basal). FC objetivo < 65 lpm.',
+                'Inhala 5 s → pausa 1-2 s → exhala 10 s. Más largo que en estática: el nado producirá más CO₂. Cuerpo inmóvil, en horizontal si es posible.',
+                '1. El vientre se hincha → 2. Las costillas se abren → 3. Los hombros suben — pero PARA al 90-95% del máximo. No el máximo absoluto: evita tensión corporal y resistencia. Impulso → nado.'
+            ]
+        },
+        'profondeur-prep': {
+            name: 'Preparación apnea en profundidad',
+            description: 'Protocolo completo para la apnea en profundidad. Breathe-up meditativo + last breath TLC 100%.',
+            instructions: {
+                start: 'Protocolo completo para la apnea en profundidad. Breathe-up meditativo + last breath TLC 100%.',
+                'Cohérence + méditation': 'Inhala 5 s → exhala 5 s. Ojos cerrados. Estado semimeditativo. FC objetivo < 60 lpm.',
+                'Breathe-up profond': 'Inhala 5 s → pausa 1-2 s → exhala 10 s. El más lento de las 3 disciplinas.',
+                'Last breath TLC 100%': 'Vientre → costillas → hombros, garganta bien abierta. MÁXIMO fisiológico.'
+            },
+            phaseInstructions: [
+                'Idealmente flotando boca arriba. Inhala 5 s → exhala 5 s. Ojos cerrados. Visualiza tu inmersión: cabo, giros, comportamiento. Estado semimeditativo. FC objetivo < 60 lpm.',
+                'Inhala 5 s → pausa 1-2 s → exhala 10 s. El más lento y meditativo de las 3 disciplinas. Algunos atletas: hasta 5 min. Deja que el cuerpo mande.',
+                '1. El vientre se hincha (lóbulos inferiores) → 2. Las costillas se abren (lóbulos medios) → 3. Los hombros suben, garganta bien abierta (vértices). MÁXIMO fisiológico. Descenso fluido y vertical.'
+            ]
+        }
+    },
+
+    protocols: {
+        'chasse-terre': {
+            title: 'Recuperación tras equiparse',
+            phases: [
+                { label: 'Normoventilación', instruction: 'Siéntate o túmbate. Respiración natural: inhala 3 s por la nariz, exhala 5 s por la boca. Objetivo: FC < 75 lpm antes de entrar en el agua.' }
+            ]
+        },
+        'chasse-eau': {
+            title: 'Aclimatación al agua',
+            phases: [
+                { label: 'Entrada progresiva', instruction: 'Entra despacio en el agua. Mete la cara 2-3 segundos. Respiración normal — activa el reflejo de inmersión.' },
+                { label: 'Flotación tranquila', instruction: 'Túmbate boca abajo, máscara en el agua, tubo en la boca. Todavía no mires el fondo. Respiración tranquila.' },
+                { label: 'Respiración diafragmática', instruction: 'Inhala 4 s (el vientre se hincha) → Pausa 1 s → Exhalación pasiva de 6-8 s. Ojos entornados. Relajación progresiva. El bazo se precontrae.' }
+            ]
+        },
+        'chasse-breatheup': {
+            title: 'Breathe-up antes del descenso',
+            phases: [
+                { label: 'Centrado', instruction: 'Para. Cierra los ojos. Relajación progresiva: pies → pantorrillas → muslos → abdomen → hombros → mandíbula.' },
+                { label: 'Breathe-up (exhalación 10 s)', instruction: 'Inhala 5 s → Pausa 1-2 s → Exhalación lenta y pasiva de 10 s. 2-3 ciclos. Cuerpo relajado. Diafragma.' },
+                { label: 'Visualización', instruction: 'Visualiza tu descenso: cabo, compensación, fondo. Prepárate para el ciclo final.' },
+                { label: 'Ciclo final — Exhalación', instruction: 'Gran exhalación: sale el 80-90% del aire, despacio.' },
+                { label: 'Last breath — Inhalación', instruction: 'Gran inhalación en 3 etapas: vientre → costillas → hombros. TLC 100%. ¡Golpe de riñón enseguida!' }
+            ]
+        },
+        'statique-coherence': {
+            title: 'Coherencia cardíaca — Estática',
+            phases: [
+                { label: 'Coherencia cardíaca', instruction: 'Inhala 5 s / Exhala 5 s. Diafragmática. Ojos cerrados. Tumbado si es posible. FC objetivo < 65 lpm.' }
+            ]
+        },
+        'statique-prep': {
+            title: 'Preparación apnea estática',
+            phases: [
+                { label: 'Coherencia cardíaca', instruction: 'Inhala 5 s / Exhala 5 s. Diafragmática. Ojos cerrados. Tumbado. FC objetivo < 65 lpm.' },
+                { label: 'Breathe-up PFI', instruction: 'Inhala 2-5 s → Pausa 1-2 s → Exhalación lenta y pasiva de 8-10 s. 4 ciclos/min. Cuerpo relajado.' },
+                { label: 'Exhalación 80-90%', instruction: 'Gran exhalación pasiva: sale el 80-90% del aire.' },
+                { label: 'Last breath — TLC 100%', instruction: 'Vientre → Costillas → Hombros. Fluido, 4-5 s. TLC 100%. Glotis cerrada.' }
+            ]
+        },
+        'dynamique-coherence': {
+            title: 'Coherencia cardíaca — Dinámica',
+            phases: [
+                { label: 'Coherencia cardíaca', instruction: 'En la pared, inmóvil. Inhala 5 s / Exhala 5 s. Diafragmática. FC objetivo < 65 lpm.' }
+            ]
+        },
+        'dynamique-prep': {
+            title: 'Preparación apnea dinámica',
+            phases: [
+                { label: 'Coherencia cardíaca', instruction: 'En la pared, inmóvil. Inhala 5 s / Exhala 5 s. Cuerpo relajado. FC objetivo < 65 lpm.' },
+                { label: 'Breathe-up largo', instruction: 'Inhala 5 s → Pausa 1-2 s → Exhala 10 s. Más largo que en estática. En horizontal si es posible.' },
+                { label: 'Exhalación', instruction: 'Gran exhalación suave.' },
+                { label: 'Last breath — 90-95% TLC', instruction: 'Vientre → Costillas → Pecho. PARA al 90-95% del máximo. Impulso → nado.' }
+            ]
+        },
+        'profondeur-coherence': {
+            title: 'Coherencia meditativa — Profundidad',
+            phases: [
+                { label: 'Coherencia + meditación', instruction: 'Flotando boca arriba. Inhala 5 s / Exhala 5 s. Ojos cerrados. Visualiza tu inmersión. FC objetivo < 60 lpm.' }
+            ]
+        },
+        'profondeur-prep': {
+            title: 'Preparación apnea en profundidad',
+            phases: [
+                { label: 'Coherencia meditativa', instruction: 'Flotando boca arriba. Inhala 5 s / Exhala 5 s. Ojos cerrados. Visualiza toda tu inmersión. FC objetivo < 60 lpm.' },
+                { label: 'Breathe-up profundo', instruction: 'Inhala 5 s → Pausa 1-2 s → Exhala 10 s. El más lento y meditativo.' },
+                { label: 'Exhalación', instruction: 'Gran exhalación lenta.' },
+                { label: 'Last breath — TLC 100%', instruction: 'Vientre → Costillas → Pecho. MÁXIMO fisiológico. Garganta bien abierta. Compensa desde 0,5 m.' }
+            ]
+        }
+    },
+
+    guide: {
+        'cyclic-sighing': {
+            science: "El doble suspiro aprovecha un mecanismo reflejo: la segunda inspiración corta reabre los alvéolos colapsados (atelectasias) y maximiza la superficie de intercambio gaseoso. La larga espiración que sigue activa el nervio vago a través de los barorreceptores aórticos, lo que provoca un descenso inmediato de la frecuencia cardiaca y del cortisol. Estudio de Stanford 2023 (Balban et al.): 5 minutos al día reducen el estrés un 56 % más que la meditación de atención plena.",
+            practice: [
+                "Siéntate o túmbate cómodamente, con los ojos cerrados",
+                "Inspira profundamente por la nariz (2 s) hasta llenar dos tercios de los pulmones",
+                "Sin espirar, haz una segunda inspiración corta y seca (1 s) para llenarlos por completo",
+                "Espira muy despacio por la boca (6 s), vaciando totalmente los pulmones",
+                "Repite durante 5 minutos: el efecto se nota desde el primer ciclo, pero se acumula"
+            ]
+        },
+        'coherent': {
+            science: "A exactamente 5,5 respiraciones por minuto, la variabilidad de la frecuencia cardiaca (VFC) entra en resonancia con el barorreflejo arterial. Este acoplamiento cardiorrespiratorio optimiza el equilibrio simpático/parasimpático y reduce el cortisol un 23 %. La frecuencia de resonancia individual varía entre 4,5 y 6,5 ciclos/min, pero 5,5 es el óptimo medio validado por el HeartMath Institute.",
+            practice: [
+                "Siéntate con la espalda recta y los pies apoyados en el suelo",
+                "Inspira por la nariz durante 5,5 segundos, hinchando el vientre",
+                "Espira por la nariz o la boca durante 5,5 segundos, sin forzar",
+                "Mantén un ritmo fluido y regular, sin pausa entre las fases",
+                "Practica 10 minutos por la mañana y por la noche para un efecto duradero sobre la VFC"
+            ]
+        },
+        'box': {
+            science: "La respiración cuadrada 4-4-4-4 aumenta el tono vagal al imponer un ritmo lento y simétrico al sistema nervioso autónomo. Las retenciones (pulmones llenos y vacíos) elevan la presión parcial de CO2, lo que desarrolla la tolerancia al CO2 y mejora la vasodilatación cerebral. Técnica adoptada por los Navy SEALs para mantener la claridad mental bajo estrés extremo.",
+            practice: [
+                "Siéntate erguido, hombros relajados, manos sobre los muslos",
+                "Inspira por la nariz durante 4 segundos",
+                "Retén con los pulmones llenos durante 4 segundos, el cuerpo relajado",
+                "Espira despacio durante 4 segundos",
+                "Retén con los pulmones vacíos durante 4 segundos, sin tensarte"
+            ]
+        },
+        'co2-tolerance': {
+            science: "La respiración lenta 1:2 (4 s de inspiración / 8 s de espiración) actúa sobre todo en el sistema nervioso autónomo a través del nervio vago: maximiza la variabilidad de la frecuencia cardiaca (VFC) y activa el freno parasimpático. Contrariamente a lo que se suele decir, este protocolo no crea una hipercapnia significativa ni desensibiliza los quimiorreceptores: la espiración larga elimina el CO2 en lugar de acumularlo. Es una herramienta excelente de regulación nerviosa y de preparación mental antes de la apnea, pero no un entrenamiento de CO2 en sentido fisiológico. Para una verdadera desensibilización de los quimiorreceptores, consulta la Hipoventilación VHL (Woorons).",
+            practice: [
+                "Sentado o tumbado, con los ojos cerrados y el cuerpo relajado",
+                "Inspira suavemente por la nariz (4 s), sin necesidad de llenarte del todo",
+                "Espira muy despacio por la nariz (8 s), deja salir el aire de forma pasiva",
+                "Mantén este ritmo regular durante 5 minutos: es una práctica calmante, no un esfuerzo",
+                "Ideal 10-15 min antes de una sesión de apnea para calmar el sistema nervioso"
+            ]
+        },
+        'co2-vhl': {
+            science: "La VHL (Hipoventilación Voluntaria a Bajo Volumen Pulmonar, Woorons 2017-2025) es hoy el protocolo de CO2 con más validación científica. Al hacer pausas al final de la espiración, con los pulmones medio vacíos (~40 % de la capacidad vital), se crea una hipercapnia real (la PCO2 pasa de 40 a ~55 mmHg) sin hipoxia peligrosa. Kapus et al. (PMC3873666, 6 semanas, 3 veces/semana): −45 % de sensibilidad ventilatoria al CO2 (p=0,03, d=2,81 = efecto muy grande). Los quimiorreceptores centrales del bulbo raquídeo se recalibran: las contracciones diafragmáticas llegan más tarde y con menos intensidad. Es el protocolo dominante en los programas AIDA y Molchanovs. Supera a las tablas de CO2 clásicas porque crea un estímulo hipercápnico puro, sin hipoxia asociada.",
+            practice: [
+                "Siéntate cómodamente con la espalda recta. Empieza con 2 min de respiración normal",
+                "Respira normalmente 3 veces (inspiración y espiración naturales)",
+                "En la 3.ª espiración: espira con normalidad (no del todo, pulmones medio vacíos) y haz una PAUSA de 5 s manteniendo los pulmones a ese nivel bajo",
+                "Vuelve a hacer 3 respiraciones normales y repite la pausa. Ciclo: 3 respiraciones → 1 pausa × 5 ciclos",
+                "Recupera con 4 respiraciones libres entre series. Añade +1 s de pausa por semana (5 s → 6 s → 7 s). La incomodidad del CO2 durante la pausa es el estímulo: obsérvala sin ceder"
+            ]
+        },
+        'co2-vhl-static': {
+            science: "La VHL estática amplía el principio de la VHL CO2 con una pausa en CRF mucho más larga (20 s o más). En CRF (Capacidad Residual Funcional, la posición de reposo natural del tórax a ~40 % de la CV), el CO2 se acumula deprisa porque la reserva de gas residual es pequeña. Una pausa de 20 s en CRF produce hipercapnia (PCO2 ~60-65 mmHg) y una ligera hipoxia (PO2 ~85-90 mmHg), una combinación que simula eficazmente las condiciones de una estática real. Relajar la garganta (glotis abierta, método Molchanovs/Néry) reduce la señal de alarma del CO2: la presión percibida baja mientras la carga fisiológica sigue igual. La preparación con suspiros cíclicos (Huberman/Stanford 2023) predispone al sistema nervioso autónomo a mantener la calma bajo el estrés del CO2.",
+            practice: [
+                "Requisito previo: dominar la VHL CO2 estándar durante al menos 4 semanas antes de empezar este protocolo",
+                "Suspiros cíclicos (3 min): inspira a fondo, añade una pequeña inspiración corta arriba y espira muy despacio por la nariz. Repite. Esto activa el nervio vago y calma el reflejo de pánico al CO2",
+                "Pausa VHL: al final de una espiración natural (el tórax se suelta de forma pasiva, NO vacíes del todo), retén la respiración",
+                "Durante la pausa: garganta abierta (intenta tragar; si puedes, estás relajado), mandíbula suelta, manos abiertas. Observa la incomodidad del CO2 como una sensación neutra, no como una amenaza",
+                "Pulsa ✋ Fin cuando llegues a tu límite, o deja que termine la cuenta atrás",
+                "Recuperación: exactamente el número de respiraciones fijado, ni una más. La hipercapnia que se arrastra entre ciclos es el entrenamiento",
+                "Anota tu gorgeScore (1-5) después de cada sesión: es tu principal indicador de progreso"
+            ]
+        },
+        'wimhof': {
+            science: "La hiperventilación controlada provoca una alcalosis respiratoria temporal (el pH de la sangre sube) y una fuerte bajada del CO2, que suprime las ganas de respirar durante la retención. Durante la retención con los pulmones vacíos se libera adrenalina, que activa el sistema inmunitario innato. Estudio de la Universidad de Radboud 2014 (Kox et al.): los practicantes mostraron una respuesta inmunitaria modulada con menos síntomas inflamatorios.",
+            practice: [
+                "Túmbate en un lugar seguro (nunca en el agua ni en un coche)",
+                "30 respiraciones profundas: inspira a fondo por la nariz o la boca y suelta de forma pasiva",
+                "Tras la 30.ª espiración, retén con los pulmones vacíos todo el tiempo que te resulte cómodo",
+                "Cuando lleguen las ganas de respirar, inspira a fondo y retén 15 segundos",
+                "Repite 3 rondas: las retenciones se alargan de forma natural en cada ronda"
+            ]
+        },
+        'relaxation': {
+            science: "La retención de 7 segundos con los pulmones llenos aumenta la presión intratorácica y estimula el nervio vago a través de los barorreceptores. La espiración de 8 segundos prolonga la activación parasimpática. Esta proporción concreta, creada por el Dr. Andrew Weil, actúa como un tranquilizante natural del sistema nervioso. Con la práctica, el efecto sedante se refuerza por condicionamiento pavloviano.",
+            practice: [
+                "Coloca la punta de la lengua detrás de los incisivos superiores",
+                "Inspira en silencio por la nariz durante 4 segundos",
+                "Retén la respiración durante 7 segundos",
+                "Espira del todo por la boca con un sonido 'whoosh' durante 8 segundos",
+                "Al principio, 4 ciclos como máximo. Sube a 8 ciclos tras 4 semanas de práctica"
+            ]
+        },
+        'co2-table': {
+            science: "La reducción progresiva del descanso entre apneas de duración fija obliga a los quimiorreceptores centrales (en el bulbo raquídeo) a trabajar con niveles crecientes de CO2. Esta sobrecarga progresiva recalibra el umbral que desencadena las contracciones diafragmáticas. Tras 4 a 6 semanas de entrenamiento regular, el umbral de la primera contracción se retrasa de forma notable, lo que permite apneas más largas y cómodas.",
+            practice: [
+                "Determina tu mejor apnea personal (PB). La apnea se fija en el 50 % de tu PB",
+                "Empieza con 1 min 45 de descanso y redúcelo 15 s en cada ciclo (8 ciclos)",
+                "Mantente totalmente relajado durante cada apnea, con la mandíbula suelta",
+                "Respira con calma entre apneas, sin hiperventilar",
+                "Practica 2-3 veces por semana, en seco. No superes nunca el tiempo fijado"
+            ]
+        },
+        'o2-table': {
+            science: "El descanso constante de 2 minutos garantiza una recuperación completa de la SpO2 entre apneas, mientras que la duración creciente de las apneas expone poco a poco al organismo a niveles de oxígeno más bajos (hipoxia controlada). Esto estimula la producción de eritropoyetina (EPO) y la angiogénesis, y mejora el transporte de oxígeno a largo plazo, de forma parecida al entrenamiento en altitud.",
+            practice: [
+                "Descanso constante de 2 minutos entre apneas",
+                "Empieza al 30 % de tu PB y añade un 5-10 % en cada ciclo (8 ciclos)",
+                "Respira con normalidad durante los descansos, sin hiperventilar",
+                "Si una apnea resulta demasiado difícil, repite el mismo escalón en el ciclo siguiente",
+                "Practica 1-2 veces por semana: es más exigente que las tablas de CO2, respeta la fatiga"
+            ]
+        },
+        'no-contraction': {
+            science: "Al parar siempre la apnea ANTES de la primera contracción diafragmática, el cerebro asocia la apnea a una experiencia positiva y controlada en lugar de a una lucha. Este condicionamiento positivo reduce la ansiedad anticipatoria y construye una base de confianza esencial. Los principiantes que empiezan con este método progresan más deprisa a largo plazo que quienes fuerzan desde el principio.",
+            practice: [
+                "Haz 6 apneas cortas con 1 minuto de descanso entre cada una",
+                "Para INMEDIATAMENTE a las primeras ganas ligeras de respirar",
+                "No busques nunca el rendimiento: el objetivo es la comodidad total",
+                "Anota tus tiempos: subirán de forma natural con las semanas",
+                "El método ideal para empezar o para retomar tras una pausa"
+            ]
+        },
+        'comfort-zone': {
+            science: "El entrenamiento en zona de confort se basa en el condicionamiento positivo: al parar ANTES de cualquier sensación desagradable, el cerebro asocia la apnea a una experiencia agradable y controlada. Paradójicamente, este enfoque sin forzar produce progresos más duraderos que el entrenamiento en la incomodidad. La tolerancia al CO2 aumenta de forma natural por exposición repetida por debajo del umbral de incomodidad. Estudios sobre adaptación fisiológica: el umbral ventilatorio mejora un 8-12 % al mes con este método, frente a un 15 % forzando, pero con una meseta más temprana y más riesgo de aversión.",
+            practice: [
+                "Inspira profundamente y con calma, y luego retén la respiración",
+                "El cronómetro sube: NO lo mires durante la apnea",
+                "A la MÍNIMA incomodidad (ganas de respirar, tensión, malestar), pulsa ✋ Stop",
+                "5 rondas con 2 minutos de descanso entre cada una: respira con calma durante el descanso",
+                "La app registra cada sesión: tu progreso natural se verá con las semanas",
+                "Consejo: cierra los ojos y concéntrate en relajar los músculos durante la apnea"
+            ]
+        },
+        'comfort-zone-frc': {
+            science: "La apnea en CRF (Capacidad Residual Funcional) se hace tras una espiración normal, cuando los pulmones contienen unos 2,5 L de aire residual en lugar de 6 L tras una inspiración máxima. Con menos oxígeno disponible, la PaCO2 sube más deprisa y la incomodidad llega antes (normalmente al 40-60 % del tiempo con los pulmones llenos). Este entrenamiento es especialmente eficaz para la tolerancia al CO2 porque el estímulo es más intenso. Los apneístas de élite usan tablas en CRF para acelerar la adaptación de los quimiorreceptores. Ojo: tus tiempos serán naturalmente más cortos, es normal y esperado.",
+            practice: [
+                "Respira con calma durante la fase de preparación (60 s por defecto)",
+                "Al final de la preparación, espira con NORMALIDAD (¡no una espiración forzada!) y retén",
+                "El cronómetro sube: para a la mínima incomodidad con ✋ Stop",
+                "Tus tiempos serán un 40-60 % más cortos que con los pulmones llenos: ¡es normal!",
+                "5 rondas con 2 minutos de descanso: la recuperación es la misma",
+                "Domina primero la Zona de Confort con los pulmones llenos antes de pasar a CRF"
+            ]
+        },
+        'contraction-tolerance': {
+            science: "Las contracciones diafragmáticas no indican una falta de oxígeno peligrosa, sino que se ha alcanzado un umbral de CO2. La reinterpretación cognitiva (reframing) convierte la amenaza percibida en una señal neutra. Estudios de psicología del deporte: esta técnica de reencuadre reduce la ansiedad un 35 % y alarga las apneas un 15-25 %. Un programa progresivo de 6 semanas para recalibrar tu respuesta emocional a las contracciones.",
+            practice: [
+                "Semanas 1-2: para 10 s después de la 1.ª contracción. Semanas 3-4: 15 s. Semanas 5-6: 30 s",
+                "Pulsa el botón 'Contracción' en cada espasmo para registrarlo",
+                "Escucha los mensajes de reencuadre: las contracciones son una señal, no un peligro",
+                "4 apneas por sesión con 2 minutos de descanso entre cada una",
+                "Relajación total durante las contracciones: mandíbula, hombros, manos abiertas"
+            ]
+        },
+        'body-scan-apnea': {
+            science: "La teoría del control de la puerta (Melzack y Wall) muestra que la atención dirigida a zonas neutras del cuerpo reduce la percepción de las sensaciones desagradables. Al guiar la atención zona por zona durante la apnea, el cerebro dedica sus recursos atencionales a estímulos no amenazantes, lo que reduce un 20 % las ganas de respirar percibidas.",
+            practice: [
+                "3 ciclos de apnea al 40 %, 50 % y luego 60 % de tu PB",
+                "Durante la apnea, sigue el escáner corporal guiado a través de 10 zonas",
+                "Hacia el final de la apnea, el escáner se acelera para ocupar la atención con más intensidad",
+                "Respira con calma durante los descansos de 2 minutos entre ciclos",
+                "Con la práctica podrás hacer el escáner tú solo, sin guía"
+            ]
+        },
+        'hook-breathing': {
+            science: "Tras una apnea larga, la SpO2 puede caer deprisa (hipoxia de ascenso). La respiración de gancho mantiene una presión intratorácica positiva bloqueando la glotis tras cada inspiración, lo que frena la caída de la SpO2 y previene el síncope hipóxico (blackout). Estudios militares: esta técnica reduce a la mitad el tiempo de recuperación de la SpO2.",
+            practice: [
+                "Justo después de cada apnea: inspira profundamente por la boca",
+                "Cierra la glotis diciendo 'K' mentalmente, empuja el diafragma hacia abajo y mantén 2-3 s",
+                "Espira despacio y repite enseguida",
+                "Al menos 3 respiraciones de gancho después de CADA apnea, aunque sea corta",
+                "Practica en 3 rondas progresivas (lenta → normal → rápida) hasta automatizarla"
+            ]
+        },
+        'dive-reflex': {
+            science: "El reflejo de inmersión de los mamíferos es un arco reflejo trigémino-vagal: sumergir la cara en agua fría (10-15 °C) estimula el nervio trigémino, que activa el nervio vago y provoca bradicardia (un descenso del 10-25 % de la FC), vasoconstricción periférica y un desplazamiento de la sangre hacia los órganos vitales. Los apneístas entrenados llegan a 20-24 lpm frente a 40-60 lpm en personas no entrenadas.",
+            practice: [
+                "Prepara un recipiente con agua fría (10-15 °C) o usa una ducha fría en la cara",
+                "Respira con calma 1-2 minutos para bajar la FC",
+                "Inspira, retén y sumerge la cara en el agua durante 20-30 segundos",
+                "3 inmersiones progresivas (20 s, 30 s, 40 s) con 1 minuto de descanso",
+                "Anota tu FC antes y después: la bradicardia mejora con el entrenamiento"
+            ]
+        },
+        'diaphragm': {
+            science: "La respiración diafragmática en 3 etapas (abdominal, costal, clavicular) utiliza toda la capacidad pulmonar, a diferencia de la respiración torácica superficial, que solo usa el 30-40 % del volumen disponible. El diafragma, principal músculo inspiratorio, desciende de 1 a 10 cm en una inspiración completa. Entrenarlo de forma específica aumenta la capacidad vital y el volumen corriente: la base de toda práctica de apnea.",
+            practice: [
+                "Túmbate con una mano en el vientre y otra en el pecho",
+                "Etapa 1: hincha el vientre como un globo (4 s); la mano del pecho no se mueve",
+                "Etapa 2: sin espirar, abre las costillas hacia los lados (3 s)",
+                "Etapa 3: eleva ligeramente el pecho (2 s) y haz una pausa de 1 s",
+                "Espira de forma pasiva en 8 segundos, soltando en orden inverso"
+            ]
+        },
+        'lung-stretch': {
+            science: "La flexibilidad torácica es un factor limitante en la apnea en profundidad: en el descenso, el volumen pulmonar se comprime según la ley de Boyle (la mitad a 10 m, un tercio a 20 m). Uddiyana Bandha (el cierre abdominal) crea una presión intratorácica negativa que estira los tejidos intercostales y el diafragma. En 8 semanas, la capacidad vital puede aumentar entre 0,5 y 1 litro.",
+            practice: [
+                "Practica en ayunas (sin comer desde al menos 2 h)",
+                "Calentamiento: 5 respiraciones profundas para movilizar el tórax",
+                "Estiramientos laterales: inspira a fondo, brazos por encima de la cabeza, inclínate hacia un lado y mantén 15-20 s",
+                "Uddiyana Bandha: espira del todo, cierra la glotis, mete el abdomen hacia dentro y hacia arriba, 10-15 s",
+                "3 repeticiones de cada uno: progresa con mucha suavidad para evitar lesiones intercostales"
+            ]
+        },
+        'breathe-up-structure': {
+            science: "El breathe-up estructurado en 3 fases optimiza la saturación de oxígeno (SpO2) sin hiperventilar; la hiperventilación provocaría una hipocapnia peligrosa que enmascara las ganas de respirar y aumenta el riesgo de blackout. La fase de respiración corriente 1:2 activa el sistema parasimpático. La fase segmentaria maximiza el volumen pulmonar. La inspiración final en 3 etapas llena el 100 % de la capacidad. Protocolo usado por campeones del mundo.",
+            practice: [
+                "Fase 1 (2,5 min): respiración corriente 1:2, inspira 4 s por la nariz y espira 8 s por la boca",
+                "Fase 2 (1 min): respiraciones segmentarias en 3 etapas (vientre → costillas → pecho), espira despacio",
+                "Fase 3 (30 s): inspiración final vientre 4 s + costillas 3 s + pecho 2 s, pulmones completamente llenos",
+                "NUNCA hiperventiles: mantén un ritmo lento y controlado",
+                "Usa este protocolo antes de CADA apnea en el agua"
+            ]
+        },
+        'preperf-protocol': {
+            science: "Este protocolo combina 3 técnicas validadas en psicología del deporte: relajación muscular rápida (reduce las tensiones residuales), coherencia cardiaca breve (sincroniza el sistema nervioso autónomo en 2-3 min) y visualización dirigida (activa los circuitos motores y emocionales). Encadenarlas en 5 minutos crea un estado óptimo de 'calma alerta' para el rendimiento.",
+            practice: [
+                "Cierra los ojos, recorre rápidamente el cuerpo y suelta: mandíbula, hombros, manos (30 s)",
+                "Respira en coherencia cardiaca 5 s/5 s durante 1,5 minutos",
+                "Visualiza tu rendimiento perfecto con todo detalle (1 min)",
+                "Elige una palabra ancla ('foco', 'calma', 'vamos') y repítela 3 veces",
+                "Abre los ojos: estás en tu estado óptimo"
+            ]
+        },
+        'pettlep': {
+            science: "El protocolo PETTLEP (Physical, Environment, Task, Timing, Learning, Emotion, Perspective) se basa en la teoría de la equivalencia funcional: la imaginería mental activa las mismas áreas corticales motoras que la ejecución real (corteza premotora, área motora suplementaria). La resonancia magnética funcional muestra un solapamiento de activación del 60-80 %. Usado por el 70-90 % de los atletas olímpicos, este protocolo mejora el rendimiento un 10-15 %.",
+            practice: [
+                "Adopta la posición física de tu rendimiento (traje, aletas imaginadas, etc.)",
+                "Visualiza el entorno con detalle: sonidos bajo el agua, temperatura, luz, olores",
+                "Ejecuta mentalmente cada gesto técnico EN TIEMPO REAL, no acelerado",
+                "Añade las emociones: confianza, determinación, placer",
+                "Quédate en perspectiva de 1.ª persona (a través de tus propios ojos, no como espectador)"
+            ]
+        },
+        'body-scan': {
+            science: "El escáner corporal sistemático activa la corteza somatosensorial y la ínsula, reforzando la interocepción (la conciencia de las señales del cuerpo). Esta práctica reduce la actividad de la amígdala (el centro del miedo) y aumenta la de la corteza prefrontal (regulación emocional). Estudios MBSR (Kabat-Zinn): 8 semanas de práctica regular reducen la ansiedad un 30-40 % y mejoran la conciencia corporal de forma medible en resonancia magnética.",
+            practice: [
+                "Túmbate boca arriba, brazos a lo largo del cuerpo, ojos cerrados",
+                "Lleva la atención a cada zona durante 30-60 segundos, de los pies a la cabeza",
+                "Observa las sensaciones sin juzgarlas ni intentar cambiarlas",
+                "Si la mente se dispersa, vuelve con suavidad a la última zona",
+                "Termina con una sensación global de todo el cuerpo, unificado y relajado"
+            ]
+        },
+        'sophro': {
+            science: "El método IRTER (Inspirar-Retener-Tensar-Espirar-Relajar) aprovecha el contraste neuromuscular: una contracción isométrica de 5 segundos seguida de una relajación brusca provoca una inhibición postetánica que relaja el músculo muy por debajo de su tono de reposo. Aplicado a las 5 zonas del cuerpo, induce en 10-15 minutos una relajación profunda medible por EMG. Ensayo controlado aleatorizado de 2019: eficaz contra la ansiedad.",
+            practice: [
+                "De pie o sentado, siente los pies anclados al suelo",
+                "En cada zona: inspira, retén y tensa con fuerza la zona durante 5 segundos",
+                "Espira de golpe y suelta del todo: saborea la diferencia",
+                "Recorre las 5 zonas (cabeza, hombros, brazos, abdomen, piernas) y luego tensa todo el cuerpo",
+                "Termina visualizando un lugar tranquilo durante 2 minutos"
+            ]
+        },
+        'meditation-lacher-prise': {
+            science: "Basada en la ACT (Terapia de Aceptación y Compromiso, Hayes 2004), esta meditación usa la defusión cognitiva: en lugar de luchar contra las sensaciones desagradables, las observas como acontecimientos mentales pasajeros. En apnea, luchar contra las ganas de respirar aumenta el consumo de O2 un 15-20 %. Soltar reduce ese sobreconsumo. La palabra clave ('suelto') crea un condicionamiento pavloviano señal-relajación.",
+            practice: [
+                "Deja que la respiración ocurra sola, sin controlarla ni guiarla",
+                "Suelta por etapas: el cuerpo, la respiración y luego la propia atención",
+                "Cuando aparezca una tensión, di 'noto esta tensión' sin luchar contra ella",
+                "En cada espiración, di mentalmente 'suelto' para anclar el condicionamiento",
+                "Usa la palabra clave 'suelto' antes de cada apnea para activar el soltar al instante"
+            ]
+        },
+        'dry-to-wet-bridge': {
+            science: "La diferencia de rendimiento entre la apnea en seco y en el agua (a menudo del 20-40 %) es sobre todo psicológica: la ansiedad acuática aumenta la FC, el consumo de O2 y la tensión muscular. La desensibilización sistemática (Wolpe, 1958) expone progresivamente al estímulo ansiógeno manteniendo un estado relajado. Este programa de 8 semanas reduce la ansiedad acuática un 60 % trabajando por etapas.",
+            practice: [
+                "Semanas 1-2: entrenamiento en seco + inmersión facial diaria para asociar el agua a la calma",
+                "Semanas 3-4: apneas cortas en la bañera al 50 % de tu PB en seco, con foco en la comodidad",
+                "Semanas 5-6: apnea en piscina con un compañero, empezando al 40 % de tu PB en seco, +10 %/sesión si estás cómodo",
+                "Semanas 7-8: ampliación progresiva en escalones de 10 s, objetivo 60-70 % de tu PB en seco en el agua",
+                "REGLA ABSOLUTA: NUNCA practiques apnea en el agua solo, siempre con un compañero formado"
+            ]
+        },
+        'hypno-apnee-debutant': {
+            science: "La autohipnosis usa una inducción progresiva (relajación + cuenta atrás) para alcanzar un estado modificado de conciencia en el que aumenta la sugestionabilidad. El anclaje neuroasociativo (gesto pulgar-índice + estado de calma) crea un reflejo condicionado por asociación estímulo-respuesta. Tras 5-10 repeticiones, el gesto por sí solo desencadena automáticamente la calma asociada. Se usa en sofrología deportiva y en protocolos EMDR.",
+            practice: [
+                "Instálate muy cómodamente, con los ojos cerrados",
+                "Baja mentalmente una escalera de 10 peldaños; cada peldaño profundiza la relajación",
+                "Al pie de la escalera, presiona el pulgar contra el índice y asocia ese gesto a una calma profunda",
+                "Repite el gesto 3 veces para reforzar el ancla",
+                "Prueba el ancla en una apnea imaginada: presiona pulgar e índice y visualiza una apnea tranquila"
+            ]
+        },
+        'flow-dynamique': {
+            science: "El estado de flow (Csikszentmihalyi, 1990) corresponde a un modo cerebral en el que la corteza prefrontal dorsolateral se desactiva temporalmente (hipofrontalidad transitoria), lo que reduce la autocrítica y la percepción del tiempo. Los mantras rítmicos ('Deslizo-Suelto') sincronizan la actividad motora con un patrón verbal automático y facilitan la entrada en flow. En apnea dinámica, esta disociación reduce el consumo de O2 un 10-15 %.",
+            practice: [
+                "Visualiza la separación entre el motor (piernas) y el pasajero (parte superior del cuerpo relajada)",
+                "Crea tu mantra de aleteo: 'Deslizo' en la patada, 'Suelto' en la recuperación",
+                "Repite hasta que el mantra sea automático, sin esfuerzo consciente",
+                "Visualiza una dinámica completa: salida, primer viraje, vuelta, llegada",
+                "Ancla el estado con pulgar-índice. Actívalo antes de cada dinámica diciendo 'Deslizo... Suelto...'"
+            ]
+        },
+        'pranayama-142': {
+            science: "La proporción 1:4:2 se describe en los Yoga Sutras de Patanjali (siglo II a. C.) como la relación óptima entre Pūraka (inspiración), Kumbhaka (retención) y Rechaka (espiración). La retención larga (4 veces la inspiración) aumenta la superficie de intercambio alveolar al mantener la presión transpulmonar y mejora un 30 % la transferencia de O2. La espiración de doble duración estabiliza el CO2 arterial y evita la hiperventilación. Estudio de 2018 (Saoji et al.): 12 semanas de práctica reducen el cortisol salival un 27 % y mejoran un 35 % las puntuaciones de ansiedad STAI.",
+            practice: [
+                "Siéntate en Sukhasana (piernas cruzadas) o Padmasana (loto), espalda recta, manos sobre las rodillas en Jnana Mudra (pulgar-índice)",
+                "Empieza con una proporción 1:2:2 (4 s-8 s-8 s) si eres principiante y luego progresa a 1:4:2 (4 s-16 s-8 s)",
+                "Pūraka: inspira despacio por la nariz, llenando primero el vientre (diafragma) y luego el pecho",
+                "Kumbhaka: retén aplicando Jalandhara Bandha (barbilla hacia el pecho); mantente relajado, no fuerces nunca",
+                "Rechaka: espira por la nariz, vaciando primero el pecho y luego el vientre. El ritmo importa más que la duración absoluta"
+            ]
+        },
+        'nadi-shodhana': {
+            science: "Nadi Shodhana ('purificación de los canales') equilibra los nadis Ida (lunar, izquierdo, parasimpático) y Pingala (solar, derecho, simpático). La RMf muestra que respirar por la fosa nasal izquierda activa el hemisferio derecho (creatividad, espacio) y viceversa. Telles et al. 2019: 15 minutos al día reducen la presión arterial sistólica 5 mmHg y aumentan un 18 % la coherencia EEG interhemisférica. Alternar el flujo de aire normaliza el ciclo nasal ultradiano (el cambio natural de la fosa dominante cada 2-4 h).",
+            practice: [
+                "Mano derecha en Vishnu Mudra: dobla el índice y el corazón hacia la palma, pulgar en la fosa nasal derecha, anular en la izquierda",
+                "Ciclo completo: cierra la derecha → inspira por la izquierda → cierra ambas → espira por la derecha → inspira por la derecha → cierra ambas → espira por la izquierda = 1 ciclo",
+                "Empieza con una proporción 1:1:1 (4 s-4 s-4 s) y luego progresa a 1:2:2 y después a 1:4:2",
+                "Mantén los hombros bajos y el codo derecho relajado (apóyalo en un cojín si hace falta)",
+                "Practica 5-10 minutos por la mañana al despertar y por la noche antes de dormir para un efecto óptimo sobre el sistema nervioso"
+            ]
+        },
+        'kapalabhati': {
+            science: "Kapalabhati ('cráneo brillante') es un Shatkarma (técnica de purificación) que usa espiraciones abdominales rápidas y forzadas. Cada contracción del transverso del abdomen masajea las vísceras y bombea el líquido cefalorraquídeo. La RMf (2020) muestra un aumento del 20 % del flujo sanguíneo cerebral frontal. La hipocapnia leve y transitoria activa la corteza prefrontal y mejora el estado de alerta. El metabolismo aumenta un 12 % durante los 30 minutos posteriores a la práctica.",
+            practice: [
+                "Siéntate erguido, manos sobre las rodillas. Inspira profundamente para empezar",
+                "Espira de golpe por la nariz contrayendo los abdominales; la inspiración es pasiva y automática",
+                "1 ronda = 30 espiraciones forzadas a ~1 por segundo (30 segundos). La app cuenta los 30 ciclos y se detiene",
+                "Tras la ronda: inspira a fondo, retén 30-60 s (pulmones llenos) y espira despacio. Esta retención es manual",
+                "Contraindicado: embarazo, hipertensión, epilepsia, hernia abdominal. Practica preferiblemente en ayunas"
+            ]
+        },
+        'ujjayi': {
+            science: "Ujjayi ('victoriosa') usa un estrechamiento parcial de la glotis (rima glottidis) que crea una resistencia al flujo de aire de 2-5 cmH2O. Este freno aéreo ralentiza de forma natural la respiración de 15 a 6 ciclos/min y activa los barorreceptores carotídeos y aórticos. El característico sonido de 'océano' de 60-100 Hz ofrece una retroalimentación auditiva que ayuda a mantener un ritmo regular. Los estudios muestran un descenso del 15 % de la frecuencia cardiaca y un aumento del 20 % de la SpO2 venosa en 5 minutos.",
+            practice: [
+                "Abre la boca y espira como para empañar un cristal: siente el estrechamiento en la garganta",
+                "Cierra la boca y reproduce exactamente ese estrechamiento respirando por la nariz",
+                "Un sonido de océano suave y regular debe acompañar cada inspiración Y cada espiración",
+                "Mantén el sonido uniforme: mismo volumen, mismo tono. Nunca debe ser forzado ni áspero",
+                "Ujjayi es la respiración base del Vinyasa Yoga: úsala durante toda la práctica de asanas para mantener la atención"
+            ]
+        },
+        'bhramari': {
+            science: "Bhramari ('abeja') combina respiración lenta y vibración sonora. El zumbido nasal (130-350 Hz) hace vibrar el paladar blando, los senos paranasales y el etmoides, y estimula el nervio vago por vía mecanosensorial. Kuppusamy 2017: 10 minutos reducen la FC 7 lpm y la PA sistólica 3 mmHg. Zumbar multiplica por 15 la producción nasal de óxido nítrico (NO) (Weitzberg y Lundberg, 2002), lo que mejora la vasodilatación y la oxigenación. Shanmukhi Mudra (cierre de los sentidos) amplifica el pratyahara (retirada sensorial).",
+            practice: [
+                "Siéntate cómodamente. Opcional: Shanmukhi Mudra: pulgares en las orejas, índices sobre los ojos cerrados, dedos corazón en la nariz, anulares sobre los labios, meñiques debajo",
+                "Inspira profundamente por la nariz (4 s), luego cierra la boca y emite un 'Mmmm' grave durante toda la espiración (8 s o más)",
+                "Siente la vibración en el paladar, los senos frontales y todo el cráneo",
+                "Variante: prueba distintos tonos (de grave a agudo) y observa dónde resuena más la vibración",
+                "Practica 5-10 minutos antes de dormir o en momentos de estrés: efecto calmante inmediato desde el 3.er ciclo"
+            ]
+        },
+        'imst': {
+            science: "El IMST (Inspiratory Muscle Strength Training) es un protocolo de fortalecimiento de los músculos inspiratorios validado por Craighead et al. (JAHA 2021): 30 repeticiones × 5 series × 6 días/semana durante 6 semanas → −9 mmHg de sistólica (el mismo efecto que 30 min de caminata diaria), +9 % de VO2max, +12 % de fuerza inspiratoria máxima (PIM). La resistencia objetivo es el 75 % de tu PIM, normalmente 50-70 cmH₂O en un entrenador de umbral (PowerBreathe, Threshold PEP). Mecanismo: las contracciones repetidas de los intercostales y del diafragma contra una resistencia alta atenúan los metaborreceptores musculares que señalan la fatiga al cerebro (el 'metaborreflejo de los músculos inspiratorios'), lo que libera más gasto cardiaco para los músculos locomotores. Beneficios secundarios: mayor distensibilidad torácica, mejor mecánica respiratoria en apnea, menor carga respiratoria percibida.",
+            practice: [
+                "Ajuste del aparato: regula la resistencia para que las repeticiones 28-30 sean difíciles pero posibles. Empieza al 50 % de la PIM (resistencia moderada) y añade +5 % por semana",
+                "Sin aparato: inspiración diafragmática voluntaria máxima, vientre fuera y pecho arriba. Esfuerzo máximo, como si levantaras algo pesado con la respiración",
+                "Ritmo: inspira con fuerza durante 2 s (boca cerrada o en la boquilla) y suelta de forma pasiva durante 3 s. 30 repeticiones = ~2 min 30 por serie",
+                "Descansa 60 s entre series: respira con normalidad, sin forzar",
+                "Progresión: al menos 6 semanas para ver los efectos sobre la presión arterial. Las ganancias de fuerza inspiratoria se notan desde las 3 semanas",
+                "Contraindicaciones: neumotórax reciente, dolor torácico, enfermedad pulmonar obstructiva grave no controlada. Consulta a un médico si tienes dudas"
+            ]
+        },
+        'breath-light-co2': {
+            science: "La Respiración Reducida CO2 (McKeown / Oxygen Advantage, 2015) es exactamente lo contrario del Wim Hof: en lugar de eliminar CO2 hiperventilando, lo acumulas poco a poco reduciendo el volumen respiratorio. Spengler et al. (2013, PMC3873666) muestran que esta exposición repetida desensibiliza los quimiorreceptores centrales un 45 % en 6 semanas y retrasa de forma notable el umbral de contracción. El ejercicio tiene 4 fases progresivas: instalación (volumen normal), inspiración reducida, respiración reducida + pausa tras la espiración, incomodidad controlada a volumen mínimo. Duración total ~7 minutos.",
+            practice: [
+                "Fase 1 (1:30): inspiración nasal normal (4 s) y espiración lenta (6 s). Ritmo tranquilo, volumen habitual. Cierra los ojos e instálate en una respiración regular",
+                "Fase 2 (1:30): acorta la inspiración a ~3 s llenando solo dos tercios. La espiración sigue siendo larga (6 s). Sin forzar: solo menos aire",
+                "Fase 3 (2:00): inspiración reducida (3 s) + espiración reducida (5 s) + pausa tras la espiración (3 s). Unas ligeras ganas de respirar durante la pausa son normales y buscadas",
+                "Fase 4 (2:00): volumen mínimo (~2,5/4,5 s) con una pausa más larga (4 s). Observa la incomodidad del CO2 sin ceder, exactamente como en una apnea",
+                "Si te mareas: vuelve de inmediato a una respiración normal. La incomodidad debe desaparecer en los 30 s siguientes al ejercicio"
+            ]
+        },
+        'passive-breath-hanger': {
+            science: "El Passive Breath Hanger (Molchanovs T1/T2) es una apnea estática al 80 % del volumen pulmonar. A diferencia de una apnea con inspiración completa, el volumen intermedio evita sobreactivar los mecanorreceptores pulmonares (reflejo de Hering-Breuer) y deja más flexibilidad torácica para absorber las contracciones diafragmáticas. La relajación de la glotis (Blunery/Néry) crea una ligera resistencia pasiva que inhibe la señal del CO2 sin esfuerzo muscular. La preparación con suspiros cíclicos (Huberman/Stanford 2023) optimiza los intercambios gaseosos y activa el nervio vago. El registro subjetivo (Throat Score, Estado mental, Comodidad de la tráquea) permite una progresión estructurada semana a semana.",
+            practice: [
+                "Fase de preparación (3 min): dobles suspiros repetidos, inspiración profunda, pequeña inspiración corta, espiración muy lenta. Objetivo: calmar el sistema nervioso antes del hang",
+                "Inspira suavemente hasta un 80 % de tu capacidad. No es una inspiración forzada: para antes del máximo",
+                "Durante el hang: relaja activamente la garganta (glotis abierta), los hombros y las manos. Observa las contracciones diafragmáticas sin luchar contra ellas",
+                "Espiración muy lenta con los labios fruncidos al final: 10 segundos como máximo en esta fase",
+                "Repite de 3 a 5 ciclos. Anota tu Throat Score (1-5) y tu Estado mental después de cada sesión"
+            ]
+        },
+        'surya-bhedana': {
+            science: "Surya Bhedana ('perforar el sol') es la respiración por la fosa nasal derecha. Inspirar por la fosa derecha (nadi Pingala) activa preferentemente el sistema nervioso simpático y el hemisferio izquierdo (lógica, lenguaje, energía). Estudios de Telles (2017): aumento del 12 % del metabolismo basal, subida de 0,3 °C de la temperatura corporal y mejor rendimiento cognitivo analítico. Espirar por la fosa izquierda devuelve la calma al final del ciclo y evita la sobreactivación.",
+            practice: [
+                "Mano derecha en Vishnu Mudra. Cierra la fosa nasal izquierda con el anular",
+                "Inspira despacio por la fosa derecha (4 s), siente entrar la energía solar",
+                "Cierra ambas fosas y retén (8 s) con Jalandhara Bandha si te resulta cómodo",
+                "Libera la fosa izquierda y espira despacio por la izquierda (6 s)",
+                "Ideal por la mañana o antes de una actividad intensa. Evítala por la noche (puede alterar el sueño)"
+            ]
+        },
+        'physiological-sigh': {
+            science: "El suspiro fisiológico aprovecha un mecanismo reflejo que reabre los alvéolos colapsados. La doble inspiración (inspiración nasal profunda + una pequeña inspiración corta adicional) aumenta la presión transpulmonar, reabre los sacos alveolares y maximiza la superficie de intercambio gaseoso. La larga espiración que sigue activa de inmediato el nervio vago a través de los barorreceptores aórticos. Estudio de Stanford 2023 (Balban et al.): de 1 a 3 ciclos bastan para un descenso medible del cortisol y de la frecuencia cardiaca. Es la versión SOS del Suspiro Cíclico: la misma técnica, usada como intervención puntual en lugar de práctica diaria.",
+            practice: [
+                "En cuanto sientas estrés, pánico o tensión: detén lo que estés haciendo",
+                "Inspira profundamente por la nariz hasta llenar dos tercios de los pulmones (2 s)",
+                "Sin espirar, haz una segunda inspiración corta y seca por la nariz para llenarlos por completo (1 s)",
+                "Espira muy despacio y a fondo por la boca, vaciando totalmente los pulmones (7 s o más)",
+                "Repite de 1 a 3 veces: el efecto es casi inmediato desde el primer ciclo"
+            ]
+        },
+        'extended-exhale': {
+            science: "La espiración prolongada 1:2 (inspiración 4 s / espiración 8 s) aprovecha la asimetría del sistema nervioso autónomo: la inspiración activa el sistema simpático (el corazón se acelera) y la espiración activa el parasimpático a través del nervio vago (el corazón se ralentiza). Al hacer la espiración el doble de larga que la inspiración, se crea un desequilibrio deliberado a favor del freno vagal parasimpático. 10 ciclos bastan para bajar la frecuencia cardiaca 5-8 lpm y reducir el cortisol salival. Es el mismo protocolo que la 'Respiración 1:2', pero en versión de urgencia dirigida de 2 minutos.",
+            practice: [
+                "Instálate o quédate donde estés: este ejercicio funciona en cualquier sitio",
+                "Inspira con calma por la nariz durante 4 segundos, hinchando el vientre",
+                "Espira muy despacio, como a través de una pajita imaginaria, durante 8 segundos",
+                "Mantén un ritmo regular sin forzar: la suavidad funciona mejor que el esfuerzo",
+                "10 ciclos bastan para un efecto perceptible: repite hasta sentir la calma"
+            ]
+        },
+        'box-quick': {
+            science: "Los Navy SEALs usan la respiración cuadrada 4-4-4-4 para mantener la claridad mental bajo estrés extremo. La simetría de las cuatro fases impone un ritmo de 3,75 ciclos/min que aumenta la variabilidad de la frecuencia cardiaca (VFC) y estimula el tono vagal. Las dos retenciones (pulmones llenos y vacíos) elevan brevemente la pCO2, lo que mejora la vasodilatación cerebral. 6 ciclos (2 minutos) bastan para una recuperación significativa ante un estrés agudo. La versión rápida es igual que la respiración cuadrada completa, pero con un objetivo concreto: recuperar el control rápidamente.",
+            practice: [
+                "Inspira por la nariz durante 4 segundos, hinchando el vientre y luego el pecho",
+                "Retén con los pulmones llenos durante 4 segundos: cuerpo relajado, mandíbula suelta",
+                "Espira despacio y del todo durante 4 segundos",
+                "Retén con los pulmones vacíos durante 4 segundos, sin tensarte",
+                "6 ciclos (2 min) bastan para recuperar el control. Practícala en cualquier sitio, con discreción"
+            ]
+        },
+        'grounding-555': {
+            science: "La técnica 5-5-5 (5 cosas que ves, 5 sonidos, 5 sensaciones) es una técnica de anclaje cognitivo-sensorial procedente de la terapia cognitivo-conductual (TCC). Se basa en la 'saturación atencional': al activar los tres canales sensoriales principales (visual, auditivo, cinestésico), interrumpe el bucle de rumiación y ansiedad obligando a la corteza prefrontal a procesar estímulos concretos y presentes. Este mecanismo de anclaje activa las áreas de procesamiento sensorial de la corteza en detrimento de una amígdala hiperactiva. Estudios de TCC: 2-3 minutos de anclaje reducen un 35-50 % la intensidad percibida de un ataque de pánico.",
+            practice: [
+                "Haz 3 respiraciones lentas y profundas para asentar el cuerpo",
+                "Mira a tu alrededor y nombra MENTALMENTE 5 cosas que ves (color, forma, detalle)",
+                "Escucha con atención e identifica 5 sonidos distintos a tu alrededor",
+                "Siente 5 sensaciones táctiles: el peso de la ropa, el suelo bajo los pies, la temperatura del aire",
+                "Termina con una respiración profunda: estás aquí, ahora, a salvo"
+            ]
+        },
+        'quick-coherence': {
+            science: "La coherencia cardiaca completa suele necesitar 10-20 minutos para un efecto profundo sobre la VFC (variabilidad de la frecuencia cardiaca). Sin embargo, las investigaciones del HeartMath Institute muestran que un mínimo de 3 minutos a 5,5 ciclos/min basta para iniciar la sincronización cardiorrespiratoria y reducir el cortisol. Esta versión exprés está pensada para los últimos minutos antes de un rendimiento, un examen o una decisión importante. El efecto es menos profundo que el de una sesión completa, pero está disponible de inmediato.",
+            practice: [
+                "Siéntate o quédate de pie, espalda recta, ojos entrecerrados",
+                "Inspira suavemente por la nariz durante exactamente 5 segundos",
+                "Espira suavemente durante exactamente 5 segundos, sin pausa entre las fases",
+                "Mantén un ritmo fluido y regular: imagina una ola que sube y baja",
+                "3 minutos bastan antes de un rendimiento. Para un efecto duradero, practica 10 min por la mañana y por la noche"
+            ]
+        },
+        'power-viz': {
+            science: "La imaginería de rendimiento activa los mismos circuitos neuronales que la ejecución real: la corteza premotora, el área motora suplementaria y el cerebelo alcanzan el 60-80 % de su nivel de activación física (RMf, Decety et al.). En 2 minutos concentrados, este protocolo breve moviliza tres elementos clave: la imagen del éxito (activación motora), la sensación emocional (anclaje límbico) y el ancla física (condicionamiento pavloviano). Ideal como último paso mental antes de una competición o un rendimiento.",
+            practice: [
+                "Cierra los ojos. Haz 3 respiraciones profundas para centrar la atención",
+                "Visualízate triunfando a la perfección, en primera persona, a través de tus propios ojos",
+                "Añade los detalles sensoriales: sonidos, temperatura, sensaciones musculares",
+                "Siente la confianza, el dominio, la satisfacción: deja que esas emociones suban del todo",
+                "Ancla este estado: presiona el pulgar contra el índice. Abre los ojos. Eres ese atleta."
+            ]
+        },
+        'dive-prep': {
+            science: "El breathe-up previo a la inmersión combina tres mecanismos fisiológicos: (1) la respiración diafragmática lenta baja la FC por debajo de 60-70 lpm a través del barorreflejo, (2) visualizar la inmersión activa la precodificación motora (corteza prefrontal) y reduce la ansiedad anticipatoria un 20-30 %, y (3) la relajación progresiva minimiza el consumo de O2 en reposo y maximiza las reservas disponibles para la apnea. Este protocolo es la versión guiada del 'breathe-up estructurado', adaptada a las condiciones de playa o de borde de piscina.",
+            practice: [
+                "Túmbate o siéntate cómodamente. Relaja la mandíbula, los hombros y el abdomen",
+                "Respiración diafragmática lenta (vientre → costillas → pecho), espiración pasiva de 6-8 s",
+                "Ralentiza hasta sentir que el corazón se calma: objetivo FC < 65 lpm",
+                "Visualiza toda tu inmersión: descenso, fondo, ascenso, superficie. Mantén la calma en cada etapa",
+                "Últimas respiraciones: lentas, profundas, relajadas. Buena inmersión."
+            ]
+        },
+        'sleep-descent': {
+            science: "Este protocolo combina la relajación muscular progresiva de Jacobson (tensar y soltar), la respiración 4-7-8 del Dr. Andrew Weil (efectos sedantes por estimulación vagal prolongada) y la imaginería hipnagógica (inducción de la transición vigilia-sueño mediante una visualización descendente). La imagen de la escalera que baja usa la metáfora de profundización de la conciencia de la hipnosis clínica (Milton Erickson). Encadenar las tres técnicas durante 7 minutos crea una transición gradual hacia el sueño lento profundo.",
+            practice: [
+                "Túmbate en la cama, ojos cerrados, brazos a lo largo del cuerpo",
+                "3 ciclos de respiración 4-7-8: inspira 4 s (nariz), retén 7 s, espira 8 s (boca, con un sonido 'whoosh')",
+                "Relajación progresiva: frente → ojos → mandíbula → hombros → brazos → piernas",
+                "Imagina una escalera de 10 peldaños que baja hacia el sueño. Bájala despacio, peldaño a peldaño",
+                "En el peldaño 1, deja que tu conciencia se disuelva. No persigas el sueño: llegará solo"
+            ]
+        },
+        'deep-sleep-478': {
+            science: "El protocolo Deep Sleep 4-7-8 combina dos mecanismos distintos. La proporción 4-7-8 del Dr. Andrew Weil actúa como un tranquilizante natural: la retención de 7 segundos con los pulmones llenos aumenta la presión intratorácica y estimula el nervio vago a través de los barorreceptores, lo que desencadena la liberación de GABA y una activación parasimpática profunda. La espiración de 8 segundos prolonga el efecto y baja la frecuencia cardiaca 8-12 lpm. El escáner corporal progresivo activa la corteza somatosensorial zona por zona y desvía la red neuronal por defecto (amígdala, rumiación) hacia una atención corporal neutra: el mismo mecanismo que la terapia MBSR (Kabat-Zinn). La secuencia de bloques 4-7-8 de apertura → escáner corporal → bloques 4-7-8 de cierre crea un túnel de sueño en tres fases: activación vagal, disolución atencional, sellado del sueño.",
+            practice: [
+                "Túmbate en la cama y apaga las pantallas. Sin luz o con una lamparita muy tenue",
+                "Bloque de apertura: 4 ciclos de 4-7-8 con voz que cuenta y círculo animado; deja que el ritmo se asiente",
+                "Escáner corporal: sigue la voz zona por zona, de la cabeza a los pies. No intentes mantenerte despierto",
+                "Bloque de cierre: los 4 últimos ciclos de 4-7-8 sellan el sueño; es normal dormirse antes del final",
+                "La proporción 4-7-8 es FIJA según el método del Dr. Weil: la duración total es el único ajuste",
+                "Practica cada noche durante 21 días para condicionar el reflejo de conciliar el sueño"
+            ]
+        },
+        'focus': {
+            science: "La visualización del 'haz de luz' para la concentración se basa en la metáfora del foco atencional (Posner, 1980). En imaginería mental, dirigir un foco hacia el objeto de atención activa preferentemente la red atencional dorsal (corteza parietal posterior + campos oculares frontales). Mantener un punto focal durante 3 minutos refuerza el control inhibitorio (corteza prefrontal dorsolateral) y reduce la distracción. Estudios de neurofeedback: 8-10 minutos de entrenamiento atencional diario aumentan la densidad de materia gris en la corteza prefrontal en 8 semanas.",
+            practice: [
+                "Siéntate cómodamente con la espalda recta. Respira con calma durante 1 minuto",
+                "Cierra los ojos e imagina un haz de luz concentrado delante de ti",
+                "Dirige ese haz hacia el objeto de tu concentración (tarea, objetivo, rendimiento)",
+                "Mantén la atención en ese punto de luz. Cuando la mente se disperse, vuelve a enfocar el haz sin juzgarte",
+                "Practica a diario: la atención es un músculo que se fortalece con el entrenamiento"
+            ]
+        },
+        'vakog-static': {
+            science: "El modelo VAKOG (Visual, Auditivo, Kinestésico, Olfativo, Gustativo) es el marco de la Programación Neurolingüística (Bandler y Grinder, 1975) adaptado a la apnea estática. Al repartir la atención entre canales sensoriales distintos y alternar entre ellos rápidamente, se satura la Red Neuronal por Defecto, responsable de la rumiación y de la hipervigilancia al CO2. La técnica del 'Switch' (dedo del pie → lóbulo de la oreja) usa el control de la puerta (Melzack y Wall): un estímulo sensorial nuevo e intenso puede atenuar la percepción de otro. Estudios sobre autohipnosis: reducción del 40 % de la percepción de las contracciones diafragmáticas.",
+            practice: [
+                "En tu posición de estática, haz tu breathe-up habitual antes de empezar el ejercicio",
+                "Sigue la guía VAKOG: recorre las modalidades en orden (Auditivo externo → Auditivo interno → Kinestésico → Visual interno)",
+                "Técnica Switch: si llega una contracción o una sensación desagradable, lleva AL INSTANTE el foco al meñique del pie izquierdo y luego al lóbulo de la oreja derecha",
+                "Crea tu ancla: presiona el pulgar contra el índice en el momento de calma más profunda",
+                "Usa el ancla (pulgar-índice) antes de cada estática para reactivar rápidamente el estado VAKOG"
+            ]
+        },
+        'scan-sensoriel': {
+            science: "El escáner sensorial circular aplica la teoría del control de la puerta (Melzack y Wall, 1965): la atención centrada en zonas corporales neutras activa las interneuronas inhibidoras del asta dorsal y reduce las señales dolorosas o incómodas hacia la corteza. Al rotar rápidamente entre zonas (cráneo → orejas → manos → dedos de los pies), el procesamiento atencional está siempre en movimiento, lo que impide que la amígdala se fije en las contracciones diafragmáticas. Lo usan apneístas de élite para estáticas largas (6 minutos o más).",
+            practice: [
+                "Posición de estática, ojos cerrados. Haz una última respiración tranquila antes de la guía",
+                "Sigue el escáner corporal del cráneo a los pies, zona por zona, observando sin juzgar",
+                "Cuando el escáner se acelere (ciclos rápidos), cambia de zona al ritmo de la guía",
+                "Si aparece una sensación desagradable: salta de inmediato al meñique del pie izquierdo o al lóbulo de la oreja, zonas neutras ancladas",
+                "Con la práctica podrás hacer el escáner solo, sin guía, a tu propio ritmo"
+            ]
+        },
+        'co2-vhl-classic': {
+            science: "La VHL clásica de Woorons es el protocolo original de los estudios científicos sobre la VHL (Woorons et al., 2014, 2017). Con solo 2 respiraciones de recuperación entre pausas (frente a 3 en el protocolo CO2), la carga hipercápnica entre ciclos es mayor: la PCO2 no llega a bajar del todo antes de la pausa siguiente, lo que crea una exposición acumulada más intensa. La pausa de 6 segundos al final de la espiración (frente a 5 s) produce una PCO2 arterial de unos 58-62 mmHg, más que el protocolo corto. Se recomienda solo tras completar 4 semanas de VHL CO2 estándar. Los 8 ciclos en 14 minutos son el protocolo completo del estudio original.",
+            practice: [
+                "Requisito previo: completa 4 semanas de VHL CO2 estándar antes de empezar este protocolo",
+                "Respira normalmente 2 veces (inspiración y espiración naturales)",
+                "En la 2.ª espiración: espira con normalidad (pulmones medio vacíos, NO vacíes del todo) y haz una PAUSA de 6 segundos",
+                "Vuelve a hacer 2 respiraciones normales y repite la pausa. Ciclo: 2 respiraciones → 1 pausa × 8 ciclos",
+                "Recupera con 4 respiraciones libres entre series. La pausa más larga y el intervalo más corto crean una carga de CO2 mayor que el protocolo estándar"
+            ]
+        },
+        'predive': {
+            science: "La rutina mental completa previa a la inmersión combina varias técnicas validadas en psicología del deporte: (1) el breathe-up visualizado activa el sistema parasimpático por condicionamiento asociativo, (2) la visualización en primera persona del descenso codifica el recorrido motor en la corteza premotora y reduce las decisiones conscientes durante la apnea, (3) la visualización positiva de la superficie condiciona una salida tranquila y controlada. Swann et al. (2012): los atletas con una rutina mental previa al rendimiento muestran un 25 % menos de ansiedad precompetitiva y un 15 % más de rendimiento.",
+            practice: [
+                "Empieza 10 minutos antes de la inmersión, en un lugar tranquilo",
+                "Visualiza el breathe-up en tiempo real: siente cómo se ralentiza el corazón y se relajan los músculos",
+                "Visualiza el descenso en primera persona: cada metro, cada compensación, la sensación de deslizarte",
+                "En el fondo: siente la calma absoluta, el silencio. Vete sereno y dueño de ti",
+                "Visualiza el ascenso y una salida perfecta. Ancla la sensación de éxito con pulgar-índice"
+            ]
+        },
+        'flow-release': {
+            science: "Flow & Release combina la Triple Conciencia (técnica Molchanovs/AIDA) con un breathe-up estructurado. La Triple Conciencia, que consiste en percibir a la vez el entorno exterior, las sensaciones internas del cuerpo y el espacio mental, satura la red neuronal por defecto para acallarla. Esta desconcentración sensorial activa la red atencional ventral (procesamiento pasivo, no analítico) y facilita la entrada en el estado de flow (Csikszentmihalyi). La fase previa de suspiros cíclicos prepara el nervio vago y calma la hipervigilancia al CO2 antes de la apnea.",
+            practice: [
+                "Fase 1 · Suspiros cíclicos (5 ciclos): doble inspiración nasal + espiración larga. Activa el nervio vago",
+                "Fase 2 · Diafragma segmentario (3 etapas): vientre, costillas, pecho. Maximiza el volumen residual",
+                "Fase 3 · Triple Conciencia: percibe a la vez un sonido lejano, una sensación corporal y la calma de tu mente",
+                "Mantén la Triple Conciencia durante la apnea: si la atención se fija en una contracción, vuelve al sonido lejano",
+                "Salida: espira despacio manteniéndote en ese estado de percepción ampliada"
+            ]
+        },
+        'pmr': {
+            science: "La Relajación Muscular Progresiva (Edmund Jacobson, 1929) es una de las técnicas de relajación con mejor validación científica. Metaanálisis de Manzoni et al. (2008) con 3.400 participantes: reducción significativa del estrés, la ansiedad y la depresión. El principio es neurofisiológico: una contracción isométrica máxima de 5-8 segundos agota localmente la acetilcolina en las placas motoras y provoca una inhibición postetánica: el músculo se relaja muy por debajo de su tono de reposo. Este contraste tensión-relajación entrena también la conciencia propioceptiva de las tensiones residuales, lo que facilita soltarlas de forma voluntaria.",
+            practice: [
+                "Túmbate cómodamente. Recorre 15 grupos musculares de las manos a los pies",
+                "En cada grupo: tensa con fuerza durante 5-8 segundos (sin dolor) y suelta de golpe",
+                "Observa la diferencia entre tensión y relajación: esa conciencia es el entrenamiento",
+                "No te saltes ningún grupo: la progresión sistemática de arriba abajo es esencial",
+                "Practica a diario durante 2-4 semanas para un efecto duradero. Después, la relajación profunda está disponible en pocos minutos"
+            ]
+        },
+        'cardiac-coherence': {
+            science: "La coherencia cardiaca se alcanza cuando la respiración oscila a la frecuencia de resonancia del barorreflejo arterial (~0,1 Hz). A esa frecuencia, las oscilaciones de la presión arterial y de la frecuencia cardiaca entran en fase y maximizan la variabilidad de la frecuencia cardiaca (VFC). El HeartMath Institute (McCraty et al., 2015) estableció que la frecuencia de resonancia individual varía entre 4,5 y 7 ciclos/min (óptimo medio: 5,5 ciclos/min). Una retención con los pulmones llenos amplifica el efecto al mantener la presión transpulmonar y estimular los barorreceptores aórticos. La proporción inspiración:espiración modula el equilibrio simpático/parasimpático: 1:1 = equilibrio del SNA, 1:1,5 o 1:2 = mayor predominio parasimpático. 5-10 minutos de práctica reducen el cortisol salival un 23 % (Karavidas et al., 2007) y mejoran la puntuación SDNN de la VFC un 55 % en 10 semanas.",
+            practice: [
+                "Siéntate con la espalda recta y los pies apoyados. Una mano en el vientre para sentir cómo se expande",
+                "Elige tu frecuencia: empieza a 5,5 ciclos/min (5,5 s/5,5 s). Si 5,5 s te parece largo, empieza con 4,5 s/4,5 s",
+                "Inspiración: hincha primero el vientre (diafragma) y luego abre las costillas. Suave, sin esfuerzo",
+                "Retención (si está activada): una pausa natural con los pulmones llenos, cuerpo relajado, mandíbula suelta",
+                "Espiración: lenta y regular. Una proporción 1:1,5 o 1:2 refuerza la activación parasimpática",
+                "Mantén un ritmo perfectamente regular: la regularidad importa más que la duración absoluta",
+                "Practica 10 min por la mañana y por la noche para un efecto medible sobre la VFC en 4 semanas"
+            ]
+        }
+    }
+});
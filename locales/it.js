@@ -0,0 +1,2158 @@
+/**
+ * Italiano — bundle de traduction (voir i18n.js)
+ *
+ * Clés : textes français de l'app. Une entrée absente reste en français.
+ */
+
+window.i18n.register('it', {
+    ui: {
+        // Verrouillage, en-tête, réglages rapides
+        'Entrez votre code PIN': 'Inserisci il tuo PIN',
+        'Deverrouiller': 'Sblocca',
+        'PIN incorrect': 'PIN errato',
+        '🔊 Volumes': '🔊 Volumi',
+        '✓ Sauvé': '✓ Salvato',
+        'Sons respiration': 'Suoni del respiro',
+        'Son océan': 'Suono dell\'oceano',
+        'Volume voix': 'Volume voce',
+        'Voix TTS': 'Voce TTS',
+        '— Auto (meilleure disponible) —': '— Auto (migliore disponibile) —',
+        'Voix enregistrée': 'Voce registrata',
+        '— Aucune (synthèse vocale) —': '— Nessuna (sintesi vocale) —',
+        '📦 Importer un pack': '📦 Importa un pacchetto',
+        '🗑 Supprimer': '🗑 Elimina',
+        '📝 Modèle': '📝 Modello',
+        'Vitesse': 'Velocità',
+        'Animation': 'Animazione',
+        'Onde (globe + arc)': 'Onda (globo + arco)',
+        'Orbe lumineux': 'Sfera luminosa',
+        'Texte seul': 'Solo testo',
+        '↺ Défauts': '↺ Predefiniti',
+        '💾 Sauvegarder': '💾 Salva',
+        '🎵 Fond musical Spotify': '🎵 Musica di sottofondo Spotify',
+        '🧘 Méditation & Relaxation': '🧘 Meditazione e rilassamento',
+        '🌊 Nature & Ambiance': '🌊 Natura e atmosfera',
+        '😴 Sommeil profond': '😴 Sonno profondo',
+        '🎵 Focus & Concentration': '🎵 Focus e concentrazione',
+        '🔔 Bols tibétains': '🔔 Campane tibetane',
+        'Ou colle ton lien Spotify :': 'Oppure incolla il tuo link Spotify:',
+        'Favoris': 'Preferiti',
+        'Mode hors-ligne': 'Modalità offline',
+        'Guidage vocal': 'Guida vocale',
+        'Sons de respiration': 'Suoni del respiro',
+        'Sync non configurée': 'Sincronizzazione non configurata',
+        'Ouvrir Spotify': 'Apri Spotify',
+        'Réglage des volumes': 'Regolazione dei volumi',
+        'Archive .zip : manifest.json + fichiers audio': 'Archivio .zip: manifest.json + file audio',
+        'Manifeste listant toutes les phrases à enregistrer': 'Manifesto con tutte le frasi da registrare',
+        '🎛 Éditer les thèmes': '🎛 Modifica temi',
+        'Créer, modifier, importer ou exporter des thèmes sonores': 'Crea, modifica, importa o esporta temi sonori',
+        'Thèmes sonores': 'Temi sonori',
+        'Thème': 'Tema',
+        'Nom du thème': 'Nome del tema',
+        'Gain': 'Guadagno',
+        'Phase': 'Fase',
+        'Rétention (poumons vides)': 'Ritenzione (polmoni vuoti)',
+        '▶ Écouter': '▶ Ascolta',
+        '⧉ Dupliquer': '⧉ Duplica',
+        '⬇ Exporter': '⬇ Esporta',
+        '⬆ Importer': '⬆ Importa',
+        'Utiliser': 'Usa',
+        'Thème intégré : dupliquez-le pour enregistrer vos modifications.': 'Tema integrato: duplicalo per salvare le modifiche.',
+        'Phase absente : la phase la plus proche est jouée.': 'Fase non definita: viene riprodotta la fase più vicina.',
+        'Ambiance sonore': 'Ambiente sonoro',
+        'Ambiance': 'Ambiente',
+        'Paysage': 'Paesaggio',
+        'Ambiance propre à l\'exercice (sommeil, auto-hypnose)': 'Ambiente proprio dell\'esercizio (sonno, autoipnosi)',
+        'Rechercher...': 'Cerca...',
+
+        // Paysages sonores (soundscapes.js)
+        'Océan': 'Oceano',
+        'Vagues de bruit brun, ressac lent': 'Onde di rumore marrone, risacca lenta',
+        'Pluie': 'Pioggia',
+        'Averse régulière et gouttes proches': 'Acquazzone regolare e gocce vicine',
+        'Sous l\'eau': 'Sott\'acqua',
+        'Grondement étouffé, nappe grave et bulles': 'Rombo attutito, tappeto grave e bolle',
+        'Vent en forêt': 'Vento nel bosco',
+        'Vent par rafales et bruissement des feuilles': 'Vento a raffiche e fruscio delle foglie',
+        'Bruit rose': 'Rumore rosa',
+        'Bruit brun': 'Rumore marrone',
+        'Bruit blanc': 'Rumore bianco',
+        'Bruit continu, pour masquer l\'environnement': 'Rumore continuo per coprire l\'ambiente',
+        'Battements binauraux': 'Battimenti binaurali',
+        'Casque requis — 1 à 4 Hz : sommeil profond, 4 à 8 Hz : relaxation et hypnose': 'Cuffie necessarie — da 1 a 4 Hz: sonno profondo, da 4 a 8 Hz: rilassamento e ipnosi',
+        'Tons isochrones': 'Toni isocronici',
+        'Impulsions régulières, sans casque — même réglage de fréquence que les binauraux': 'Impulsi regolari, senza cuffie — stesse frequenze dei binaurali',
+        'Houle': 'Moto ondoso',
+        'Clarté': 'Luminosità',
+        'Intensité': 'Intensità',
+        'Gouttes': 'Gocce',
+        'Filtre': 'Filtro',
+        'Nappe': 'Tappeto',
+        'Bulles': 'Bolle',
+        'Vent': 'Vento',
+        'Rafales': 'Raffiche',
+        'Feuillage': 'Fogliame',
+        'Porteuse': 'Portante',
+        'Battement': 'Battimento',
+        'Impulsions': 'Impulsi',
+        'Fond de bruit': 'Fondo di rumore',
+
+        // Navigation
+        'Accueil': 'Home',
+        'Coach': 'Coach',
+        'Journal': 'Diario',
+        'Plan': 'Piano',
+        'Respiration': 'Respirazione',
+        'Visualisation': 'Visualizzazione',
+        'Apnée': 'Apnea',
+        'Urgence': 'Emergenza',
+        'Pré-Perf': 'Pre-Gara',
+        'Hypnose': 'Ipnosi',
+        'Guide': 'Guida',
+        'Retour': 'Indietro',
+        'Lancer': 'Avvia',
+        'Fermer': 'Chiudi',
+        'Annuler': 'Annulla',
+        'Supprimer': 'Elimina',
+        'Modifier': 'Modifica',
+        'Enregistrer': 'Salva',
+        'Réinitialiser': 'Ripristina',
+        'Passer': 'Salta',
+        'Recommencer': 'Ricomincia',
+        'Commencer': 'Inizia',
+        'Démarrer': 'Inizia',
+        'Arrêter': 'Ferma',
+        'Importer': 'Importa',
+        'Tout voir': 'Vedi tutto',
+
+        // Accueil
+        'Maîtrisez votre souffle': 'Padroneggia il tuo respiro',
+        'Techniques avancées basées sur les dernières recherches scientifiques': 'Tecniche avanzate basate sulle ultime ricerche scientifiche',
+        'Coach IA': 'Coach IA',
+        'Entrainement apnee au sec, programmes sur mesure, suivi de progression': 'Allenamento di apnea a secco, programmi su misura, monitoraggio dei progressi',
+        'Tables O2/CO2, réflexe de plongée et entraînement progressif': 'Tabelle O2/CO2, riflesso d\'immersione e allenamento progressivo',
+        'Tableau de bord de tous vos entrainements, ajout et modification': 'Pannello di tutti i tuoi allenamenti, aggiunta e modifica',
+        'Cyclic sighing, cohérence cardiaque, box breathing et techniques Wim Hof': 'Cyclic sighing, coerenza cardiaca, box breathing e tecniche Wim Hof',
+        'Protocoles PETTLEP, body scan et relaxation dynamique sophrologique': 'Protocolli PETTLEP, body scan e rilassamento dinamico sofrologico',
+        'Séquences personnalisables, intervalles et chronomètres pour vos entraînements': 'Sequenze personalizzabili, intervalli e cronometri per i tuoi allenamenti',
+        'Exercices rapides pour calmer panique, anxiété et stress soudain': 'Esercizi rapidi per calmare panico, ansia e stress improvviso',
+        'Protocole de 5 minutes avant plongée, chasse sous-marine ou compétition': 'Protocollo di 5 minuti prima di un\'immersione, di una battuta di pesca o di una gara',
+        'Techniques VAKOG, flow-state et gestion des spasmes pour apnéistes': 'Tecniche VAKOG, flow-state e gestione delle contrazioni per apneisti',
+        'Aide au choix des exercices selon votre objectif, votre niveau et votre blocage': 'Aiuto nella scelta degli esercizi in base a obiettivo, livello e blocco',
+        'Pré-Performance': 'Pre-Gara',
+        'Auto-Hypnose': 'Autoipnosi',
+
+        // Journal
+        'Journal d\'entrainement': 'Diario di allenamento',
+        '0 sessions': '0 sessioni',
+        '+ Ajouter': '+ Aggiungi',
+        'Date ↕': 'Data ↕',
+        'Exercice ↕': 'Esercizio ↕',
+        'Categorie ↕': 'Categoria ↕',
+        'Duree ↕': 'Durata ↕',
+        'Timings': 'Tempi',
+        'Ressenti ↕': 'Sensazione ↕',
+        'Stress Av. ↕': 'Stress prima ↕',
+        'Stress Ap. ↕': 'Stress dopo ↕',
+        'Notes': 'Note',
+        'Actions': 'Azioni',
+        'Exporter en Excel': 'Esporta in Excel',
+
+        // Plan de la semaine
+        'Plan de la Semaine': 'Piano della settimana',
+        'Programme personnalisé par ton coach IA': 'Programma personalizzato dal tuo coach IA',
+        'Consigne pour le coach': 'Indicazioni per il coach',
+        'Objectif de la semaine': 'Obiettivo della settimana',
+        'Objectif : auto': 'Obiettivo: auto',
+        'Statique': 'Statica',
+        'Chasse sous-marine': 'Pesca in apnea',
+        'Gestion du stress': 'Gestione dello stress',
+        'Sommeil': 'Sonno',
+        'Générateur': 'Generatore',
+        'Coach IA (hors-ligne si indisponible)': 'Coach IA (offline se non disponibile)',
+        'Hors-ligne uniquement': 'Solo offline',
+        'Durée du plan': 'Durata del piano',
+        'Une semaine': 'Una settimana',
+        'Programme 4 semaines': 'Programma di 4 settimane',
+        'Programme 6 semaines': 'Programma di 6 settimane',
+        'Programme 8 semaines': 'Programma di 8 settimane',
+        'Programme 12 semaines': 'Programma di 12 settimane',
+        'Échéance': 'Scadenza',
+        'Générer un plan': 'Genera un piano',
+        'Semaine précédente': 'Settimana precedente',
+        'Semaine suivante': 'Settimana successiva',
+        'Plan Semaine': 'Piano settimanale',
+        'Supprimer ce plan': 'Elimina questo piano',
+        'Génération du plan en cours…': 'Generazione del piano in corso…',
+        'Claude analyse ton historique et construit ton programme': 'Claude analizza il tuo storico e costruisce il tuo programma',
+        'Aucun plan pour cette semaine': 'Nessun piano per questa settimana',
+        'Clique sur': 'Clicca su',
+        'pour créer ton programme personnalisé.': 'per creare il tuo programma personalizzato.',
+        'Le coach IA analyse ton historique et ton niveau pour construire la semaine idéale.': 'Il coach IA analizza il tuo storico e il tuo livello per costruire la settimana ideale.',
+        '💡 Sans clé API (ni serveur local), le plan est construit hors-ligne à partir de ton historique et de l\'objectif choisi.': '💡 Senza chiave API (né server locale), il piano viene costruito offline a partire dal tuo storico e dall\'obiettivo scelto.',
+        'Calendrier (.ics)': 'Calendario (.ics)',
+        'Exporter la semaine affichée': 'Esporta la settimana visualizzata',
+        'Un événement par exercice, avec un lien qui le lance dans l\'app.': 'Un evento per esercizio, con un link che lo avvia nell\'app.',
+        'Heure': 'Ora',
+        'Rappel': 'Promemoria',
+        'Aucun': 'Nessuno',
+        '5 min avant': '5 min prima',
+        '15 min avant': '15 min prima',
+        '30 min avant': '30 min prima',
+        '1 h avant': '1 h prima',
+        'Télécharger le .ics': 'Scarica il .ics',
+        'Sorties et compétitions': 'Uscite e gare',
+        'Importe un calendrier .ics (club, compétitions, voyages) : le plan et sa génération en tiennent compte.': 'Importa un calendario .ics (club, gare, viaggi): il piano e la sua generazione ne tengono conto.',
+        'Importer un .ics': 'Importa un .ics',
+
+        // Respiration
+        'Techniques validées scientifiquement pour optimiser votre système nerveux': 'Tecniche validate scientificamente per ottimizzare il tuo sistema nervoso',
+        'Double inspiration suivie d\'une expiration prolongée. Réduction du stress 56% plus efficace que la méditation.': 'Doppia inspirazione seguita da un\'espirazione prolungata. Riduce lo stress il 56% più della meditazione.',
+        '5.5 respirations par minute pour synchroniser cœur et respiration. Optimise la variabilité cardiaque.': '5,5 respiri al minuto per sincronizzare cuore e respiro. Ottimizza la variabilità cardiaca.',
+        'Respiration de résonance paramétrable — fréquence, ratio et rétention ajustables pour votre fréquence optimale.': 'Respirazione di risonanza configurabile — frequenza, rapporto e apnea regolabili per la tua frequenza ottimale.',
+        'Paliers de 6.5 à 4.5 resp/min mesurés au cardiofréquencemètre (ou notés au ressenti) — la meilleure fréquence règle votre cohérence cardiaque.': 'Gradini da 6,5 a 4,5 resp/min misurati con il cardiofrequenzimetro (o valutati a sensazione) — la frequenza migliore regola la tua coerenza cardiaca.',
+        'Technique 4-4-4-4 utilisée par les forces spéciales. Augmente le tonus vagal et la concentration.': 'Tecnica 4-4-4-4 usata dalle forze speciali. Aumenta il tono vagale e la concentrazione.',
+        'Hyperventilation contrôlée suivie de rétentions. Améliore énergie, clarté mentale et tolérance au froid.': 'Iperventilazione controllata seguita da apnee. Migliora energia, lucidità mentale e tolleranza al freddo.',
+        'Respiration lente 1:2 pour activer le nerf vague et maximiser la variabilité cardiaque. Idéale en préparation pré-plongée.': 'Respirazione lenta 1:2 per attivare il nervo vago e massimizzare la variabilità cardiaca. Ideale prima di un\'immersione.',
+        'Expiration longue freinée (Ujjayi) — le freinage glottique ralentit l\'évacuation du CO2 et crée une hypercapnie progressive sûre.': 'Espirazione lunga frenata (Ujjayi) — il freno glottico rallenta l\'uscita della CO2 e crea un\'ipercapnia progressiva sicura.',
+        'Pause end-expiratory à bas volume pulmonaire. Désensibilisation réelle des chémorécepteurs CO2 : −45% de sensibilité en 6 semaines (Woorons / Kapus 2013).': 'Pausa di fine espirazione a basso volume polmonare. Desensibilizzazione reale dei chemocettori della CO2: −45% di sensibilità in 6 settimane (Woorons / Kapus 2013).',
+        'Protocole original Woorons. 2 respirations + pause 6s poumons bas × 8 cycles. Progression après maîtrise du VHL CO2.': 'Protocollo originale di Woorons. 2 respiri + pausa di 6 s a polmoni bassi × 8 cicli. Progressione dopo aver padroneggiato il VHL CO2.',
+        'Pause FRC longue (20s+) sur bas volume pulmonaire. Gorge relâchée, progression par paliers CO2. Post VHL CO2 avancé.': 'Pausa FRC lunga (20 s+) a basso volume polmonare. Gola rilassata, progressione a gradini di CO2. Dopo il VHL CO2 avanzato.',
+        'Inspirations forcées à haute résistance. −9 mmHg de tension systolique et +9% VO2max en 6 semaines (Craighead 2021). 30 reps × 5 séries.': 'Inspirazioni forzate contro alta resistenza. −9 mmHg di pressione sistolica e +9% di VO2max in 6 settimane (Craighead 2021). 30 ripetizioni × 5 serie.',
+        'Réduction progressive de l\'amplitude pour générer un inconfort CO2 contrôlé. Entraîne la tolérance des chémorécepteurs. Inverse du Wim Hof.': 'Riduzione progressiva dell\'ampiezza per generare un disagio da CO2 controllato. Allena la tolleranza dei chemocettori. L\'opposto del Wim Hof.',
+        'Suspension poumons pleins avec relâchement différentiel. Travaille la capacité pulmonaire et le calme profond par micro-apnée FRC.': 'Sospensione a polmoni pieni con rilassamento differenziale. Lavora sulla capacità polmonare e sulla calma profonda con micro-apnee FRC.',
+        'Technique Dr. Andrew Weil pour l\'endormissement. Activation parasympathique profonde.': 'Tecnica del Dr. Andrew Weil per addormentarsi. Attivazione parasimpatica profonda.',
+        'Ratio classique yogique : inspir 1x, rétention 4x, expir 2x. Fondement du Pranayama Vedique.': 'Rapporto yogico classico: inspira 1x, trattieni 4x, espira 2x. Fondamento del Pranayama vedico.',
+        'Respiration alternée — équilibre les deux hémisphères cérébraux et le système nerveux.': 'Respirazione a narici alternate — equilibra i due emisferi cerebrali e il sistema nervoso.',
+        'Respiration du crâne brillant — expirations puissantes pour purifier et énergiser.': 'Respiro del cranio splendente — espirazioni potenti per purificare ed energizzare.',
+        'Le souffle victorieux — respiration océanique qui calme le système nerveux en profondeur.': 'Il respiro vittorioso — respirazione oceanica che calma a fondo il sistema nervoso.',
+        'Le souffle de l\'abeille — bourdonnement qui stimule le nerf vague et l\'oxyde nitrique.': 'Il respiro dell\'ape — ronzio che stimola il nervo vago e l\'ossido nitrico.',
+        'Respiration solaire — active le sympathique pour l\'énergie et la chaleur interne.': 'Respirazione solare — attiva il simpatico per energia e calore interno.',
+        'Stress & Humeur': 'Stress e umore',
+        'Cohérence HRV': 'Coerenza HRV',
+        'Respiration Cohérente': 'Respirazione coerente',
+        'Équilibre ANS': 'Equilibrio SNA',
+        'Cohérence Cardiaque': 'Coerenza cardiaca',
+        'HRV avancé': 'HRV avanzato',
+        'Évaluation HRV': 'Valutazione HRV',
+        'Fréquence de Résonance': 'Frequenza di risonanza',
+        '5 paliers': '5 gradini',
+        'Étude 2024': 'Studio 2024',
+        'Méthode Wim Hof': 'Metodo Wim Hof',
+        'Énergie & Résilience': 'Energia e resilienza',
+        'Calme nerveux': 'Calma nervosa',
+        'CO2 Tolérance': 'Tolleranza CO2',
+        'Hypoventilation VHL CO2': 'Ipoventilazione VHL CO2',
+        'CO2 réel': 'CO2 reale',
+        '5 séries': '5 serie',
+        'VHL Classique Woorons': 'VHL classico Woorons',
+        'CO2 avancé': 'CO2 avanzato',
+        '8 séries': '8 serie',
+        'VHL Statique': 'VHL statico',
+        '6 cycles': '6 cicli',
+        'IMST — Force Inspiratoire': 'IMST — Forza inspiratoria',
+        'Force': 'Forza',
+        '5 × 30 reps': '5 × 30 rip.',
+        'Respiration Réduite CO2': 'Respirazione ridotta CO2',
+        'Tolérance CO2': 'Tolleranza alla CO2',
+        'Cohérence Plus': 'Coerenza Plus',
+        'Capacité & Calme': 'Capacità e calma',
+        'Respiration 4-7-8': 'Respirazione 4-7-8',
+        '4 cycles': '4 cicli',
+        'Relaxation': 'Rilassamento',
+        'Équilibre': 'Equilibrio',
+        'Alternée': 'Alternata',
+        'Énergie': 'Energia',
+        '3 rounds': '3 round',
+        'Vibration': 'Vibrazione',
+
+        // Visualisation
+        'Protocoles de sophrologie et d\'imagerie mentale utilisés par les athlètes olympiques': 'Protocolli di sofrologia e immaginazione mentale usati dagli atleti olimpici',
+        'Parcours attentionnel systématique du corps. Améliore la conscience corporelle et active le système parasympathique.': 'Percorso attentivo sistematico del corpo. Migliora la consapevolezza corporea e attiva il sistema parasimpatico.',
+        'Protocole en 7 points utilisé par 70-90% des olympiens. Imagerie motrice complète multi-sensorielle.': 'Protocollo in 7 punti usato dal 70-90% degli olimpionici. Immaginazione motoria completa e multisensoriale.',
+        'Méthode IRTER : Inspiration-Rétention-Tension-Expiration-Relâchement. Niveau 1 de sophrologie.': 'Metodo IRTER: Inspirazione-Ritenzione-Tensione-Espirazione-Rilascio. Livello 1 di sofrologia.',
+        'Contraction-relâchement systématique. Validée sur 3400+ participants pour réduire stress et anxiété.': 'Contrazione-rilascio sistematico. Validato su oltre 3.400 partecipanti per ridurre stress e ansia.',
+        'Technique du spotlight : visualiser un faisceau de lumière sur l\'objet d\'attention. Améliore la concentration.': 'Tecnica del riflettore: visualizzare un fascio di luce sull\'oggetto dell\'attenzione. Migliora la concentrazione.',
+        'Routine mentale complète de l\'apnéiste : descente, fond, remontée. Réduit l\'anxiété de 20%.': 'Routine mentale completa dell\'apneista: discesa, fondo, risalita. Riduce l\'ansia del 20%.',
+        'Protocole d\'endormissement en 7 minutes combinant relaxation progressive, 4-7-8 et imagerie hypnagogique.': 'Protocollo per addormentarsi in 7 minuti che combina rilassamento progressivo, 4-7-8 e immaginazione ipnagogica.',
+        'Blocs respiratoires 4-7-8 guidés + body scan progressif. Méthode Dr. Andrew Weil.': 'Blocchi respiratori 4-7-8 guidati + body scan progressivo. Metodo del Dr. Andrew Weil.',
+        'Conscience corporelle': 'Consapevolezza corporea',
+        'Olympique': 'Olimpico',
+        'Visualisation PETTLEP': 'Visualizzazione PETTLEP',
+        'Performance': 'Prestazione',
+        'Sophrologie': 'Sofrologia',
+        'Relaxation Dynamique': 'Rilassamento dinamico',
+        'Relaxation profonde': 'Rilassamento profondo',
+        'Relaxation Musculaire Progressive': 'Rilassamento muscolare progressivo',
+        'Tension musculaire': 'Tensione muscolare',
+        'Concentration': 'Concentrazione',
+        'Entraînement Focus': 'Allenamento focus',
+        'Attention': 'Attenzione',
+        'Apnéiste': 'Apneista',
+        'Visualisation Pré-Plongée': 'Visualizzazione pre-immersione',
+        'Préparation mentale': 'Preparazione mentale',
+        'Descente vers le Sommeil': 'Discesa nel sonno',
+        'Endormissement': 'Addormentamento',
+
+        // Apnée
+        'Entraînement Apnée': 'Allenamento apnea',
+        'Protocoles progressifs pour développer votre capacité de rétention respiratoire en sécurité': 'Protocolli progressivi per sviluppare in sicurezza la tua capacità di apnea',
+        'Mesurez votre apnée statique maximale pour personnaliser vos tables d\'entraînement': 'Misura la tua apnea statica massima per personalizzare le tue tabelle di allenamento',
+        'Apnées constantes avec repos décroissant. Développe la tolérance à l\'accumulation de CO2.': 'Apnee costanti con recupero decrescente. Sviluppa la tolleranza all\'accumulo di CO2.',
+        'Apnées progressives avec repos constant. Adapte le corps aux faibles niveaux d\'oxygène.': 'Apnee progressive con recupero costante. Adatta il corpo a bassi livelli di ossigeno.',
+        'Méthode douce : rester dans le confort pour développer une relation saine avec le CO2.': 'Metodo dolce: restare nel comfort per sviluppare un rapporto sano con la CO2.',
+        'Apnée libre : arrêtez dès l\'inconfort. Suivez votre progression naturelle au fil des sessions.': 'Apnea libera: fermati al primo disagio. Segui la tua progressione naturale sessione dopo sessione.',
+        'Apnée poumons vides : expirez normalement, retenez, arrêtez dès l\'inconfort. Progression séparée.': 'Apnea a polmoni vuoti: espira normalmente, trattieni, fermati al primo disagio. Progressione separata.',
+        'Exercices pour optimiser la bradycardie et la vasoconstriction périphérique. Utilisez de l\'eau froide sur le visage.': 'Esercizi per ottimizzare la bradicardia e la vasocostrizione periferica. Usa acqua fredda sul viso.',
+        'Uddiyana bandha et étirements intercostaux pour augmenter la capacité vitale.': 'Uddiyana bandha e allungamenti intercostali per aumentare la capacità vitale.',
+        'Maîtrise de la respiration abdominale en 3 temps. Base de tout entraînement apnée.': 'Padronanza della respirazione addominale in 3 tempi. Base di ogni allenamento di apnea.',
+        'Technique de récupération post-apnée en 3 rounds progressifs. Réflexe vital de sécurité à automatiser.': 'Tecnica di recupero dopo l\'apnea in 3 round progressivi. Un riflesso vitale di sicurezza da automatizzare.',
+        'Apnée avec suivi des spasmes, coaching vocal et reframing cognitif. Progressif sur 6 semaines.': 'Apnea con monitoraggio delle contrazioni, coaching vocale e reframing cognitivo. Progressivo su 6 settimane.',
+        'Apnée guidée avec scan corporel progressif. Déplace l\'attention pendant la rétention pour plus de confort.': 'Apnea guidata con scansione corporea progressiva. Sposta l\'attenzione durante l\'apnea per più comfort.',
+        'Apnée statique à 80% du volume pulmonaire. Focus relâchement glottique et flexibilité thoracique (Néry / Blunery).': 'Apnea statica all\'80% del volume polmonare. Focus sul rilascio della glottide e sulla flessibilità toracica (Néry / Blunery).',
+        'Ne jamais pratiquer l\'apnée dans l\'eau seul. L\'entraînement à sec est plus sûr. Arrêtez en cas de vertiges, picotements ou troubles visuels. Ne pas combiner tables O2 et CO2 le même jour.': 'Non praticare mai l\'apnea in acqua da solo. L\'allenamento a secco è più sicuro. Fermati in caso di vertigini, formicolii o disturbi visivi. Non combinare tabelle O2 e CO2 nello stesso giorno.',
+        'Test de Base': 'Test di base',
+        'Votre record': 'Il tuo record',
+        'Faire le test': 'Fai il test',
+        'Base des tables': 'Base delle tabelle',
+        'Table CO2': 'Tabella CO2',
+        '8 cycles': '8 cicli',
+        'Tolérance O2': 'Tolleranza O2',
+        'Table O2': 'Tabella O2',
+        'Débutant': 'Principiante',
+        'Table Sans Contraction': 'Tabella senza contrazioni',
+        'Progression douce': 'Progressione dolce',
+        'Progression': 'Progressione',
+        'Zone de Confort': 'Zona di comfort',
+        '5 rounds': '5 round',
+        'Timer libre ↑': 'Timer libero ↑',
+        'Zone de Confort FRC': 'Zona di comfort FRC',
+        'Poumons vides': 'Polmoni vuoti',
+        'Physiologie': 'Fisiologia',
+        'Réflexe de Plongée': 'Riflesso d\'immersione',
+        'Adaptation': 'Adattamento',
+        'Capacité': 'Capacità',
+        'Étirements Pulmonaires': 'Allungamenti polmonari',
+        'Flexibilité': 'Flessibilità',
+        'Fondamental': 'Fondamentale',
+        'Respiration Diaphragmatique': 'Respirazione diaframmatica',
+        'Technique': 'Tecnica',
+        'Sécurité': 'Sicurezza',
+        'Récupération': 'Recupero',
+        'Avancé': 'Avanzato',
+        'Tolérance Contractions': 'Tolleranza alle contrazioni',
+        'Hybride': 'Ibrido',
+        'Body Scan Apnée': 'Body scan apnea',
+        '3 cycles': '3 cicli',
+        'Timer ↑': 'Timer ↑',
+        '80% vol.': '80% vol.',
+
+        // Multi Timer
+        'Créez des séquences de chronomètres personnalisées pour vos entraînements': 'Crea sequenze di cronometri personalizzate per i tuoi allenamenti',
+        'Mes séquences': 'Le mie sequenze',
+        'Nouvelle séquence': 'Nuova sequenza',
+        'Intervalles 30/30': 'Intervalli 30/30',
+        '30s effort / 30s repos × 8': '30 s sforzo / 30 s recupero × 8',
+        '20s effort / 10s repos × 8': '20 s sforzo / 10 s recupero × 8',
+        'Pyramide': 'Piramide',
+        '7 phases': '7 fasi',
+        'Créer une séquence': 'Crea una sequenza',
+        'Personnalisez vos intervalles': 'Personalizza i tuoi intervalli',
+        'Timer rapide': 'Timer rapido',
+        'Chronomètre simple avec alarme': 'Cronometro semplice con allarme',
+        'Prêt': 'Pronto',
+        'Pause': 'Pausa',
+        'Reset': 'Azzera',
+        'Nom de la séquence': 'Nome della sequenza',
+        'Type de séquence': 'Tipo di sequenza',
+        'Intervalles': 'Intervalli',
+        'Personnalisé': 'Personalizzato',
+        'Durée effort': 'Durata sforzo',
+        'Répétitions': 'Ripetizioni',
+        'Labels des phases': 'Etichette delle fasi',
+        'Bleu': 'Blu',
+        'Vert': 'Verde',
+        'Orange': 'Arancione',
+        'Rouge': 'Rosso',
+        'Violet': 'Viola',
+        'Ajouter une phase': 'Aggiungi una fase',
+        'Pause (pleins)': 'Pausa (pieni)',
+        'Pause (vides)': 'Pausa (vuoti)',
+        'Cycles': 'Cicli',
+        'Sons': 'Suoni',
+        'Zen (bols)': 'Zen (campane)',
+        'Harpe': 'Arpa',
+        'Instructions vocales (optionnel)': 'Istruzioni vocali (facoltative)',
+        'Aperçu': 'Anteprima',
+        'Durée totale:': 'Durata totale:',
+        'Phases:': 'Fasi:',
+        'Séquence': 'Sequenza',
+        'Suivant:': 'Successivo:',
+        'Ma séquence': 'La mia sequenza',
+        'Effort': 'Sforzo',
+        'Repos': 'Recupero',
+        'Nom': 'Nome',
+        'Inspirez par le nez...': 'Inspira dal naso...',
+        'Retenez poumons pleins...': 'Trattieni a polmoni pieni...',
+        'Expirez lentement...': 'Espira lentamente...',
+        'Poumons vides...': 'Polmoni vuoti...',
+
+        // Urgence
+        'Exercices rapides pour retrouver le calme en cas de panique, anxiété ou stress soudain': 'Esercizi rapidi per ritrovare la calma in caso di panico, ansia o stress improvviso',
+        'En cas de crise': 'In caso di crisi',
+        'Ces exercices sont conçus pour être utilisés immédiatement lors d\'un pic d\'anxiété ou de panique. Commencez par le premier exercice et passez au suivant si nécessaire.': 'Questi esercizi sono pensati per essere usati subito durante un picco di ansia o di panico. Inizia dal primo e passa al successivo se necessario.',
+        'Le plus rapide : double inspiration + longue expiration. Effet immédiat sur le système nerveux.': 'Il più rapido: doppia inspirazione + lunga espirazione. Effetto immediato sul sistema nervoso.',
+        'Technique de grounding : 5 choses vues, 5 entendues, 5 sensations tactiles. Reconnexion au présent.': 'Tecnica di grounding: 5 cose che vedi, 5 che senti, 5 sensazioni tattili. Riconnessione al presente.',
+        'Inspiration 4s, expiration 8s. Active rapidement le nerf vague et le système parasympathique.': 'Inspira 4 s, espira 8 s. Attiva rapidamente il nervo vago e il sistema parasimpatico.',
+        'Version courte 4-4-4-4. Reprend le contrôle de la respiration en quelques cycles.': 'Versione breve 4-4-4-4. Riprendi il controllo del respiro in pochi cicli.',
+        'Soupir Physiologique': 'Sospiro fisiologico',
+        'Effet immédiat': 'Effetto immediato',
+        'Ancrage 5-5-5': 'Ancoraggio 5-5-5',
+        'Dissociation': 'Dissociazione',
+        'Expiration Prolongée': 'Espirazione prolungata',
+        'Calme rapide': 'Calma rapida',
+        'Box Breathing Rapide': 'Box breathing rapido',
+        'Contrôle': 'Controllo',
+
+        // Pré-performance
+        'Protocole de 5 minutes pour optimiser votre état avant une plongée, compétition ou moment important': 'Protocollo di 5 minuti per ottimizzare il tuo stato prima di un\'immersione, di una gara o di un momento importante',
+        'Ce protocole combine respiration, relaxation et visualisation pour vous mettre dans l\'état optimal. Idéal avant une plongée en apnée, une chasse sous-marine ou toute performance.': 'Questo protocollo combina respirazione, rilassamento e visualizzazione per portarti nello stato ottimale. Ideale prima di un\'immersione in apnea, di una battuta di pesca o di qualsiasi prestazione.',
+        'Séquence complète : relaxation musculaire rapide, cohérence cardiaque, visualisation de succès.': 'Sequenza completa: rilassamento muscolare rapido, coerenza cardiaca, visualizzazione del successo.',
+        'Breathe-up optimisé : activation du réflexe de plongée, respiration diaphragmatique, visualisation de la descente.': 'Breathe-up ottimizzato: attivazione del riflesso d\'immersione, respirazione diaframmatica, visualizzazione della discesa.',
+        'Cohérence cardiaque en 3 minutes : suffisant pour synchroniser cœur et respiration avant l\'action.': 'Coerenza cardiaca in 3 minuti: basta per sincronizzare cuore e respiro prima dell\'azione.',
+        'Visualisation rapide de votre performance parfaite. Ancrage de l\'état de confiance optimal.': 'Visualizzazione rapida della tua prestazione perfetta. Ancoraggio dello stato di fiducia ottimale.',
+        'Préparation pré-plongée en 3 phases : tidal 1:2, respiration segmentaire, inspiration finale en 3 étages.': 'Preparazione pre-immersione in 3 fasi: tidal 1:2, respirazione segmentale, inspirazione finale in 3 livelli.',
+        '5 minutes avant': '5 minuti prima',
+        'Protocole complet': 'Protocollo completo',
+        'Protocole 5 Minutes': 'Protocollo 5 minuti',
+        'Complet': 'Completo',
+        'Préparation Plongée': 'Preparazione immersione',
+        'Apnée / Chasse': 'Apnea / Pesca',
+        'Cohérence Express': 'Coerenza express',
+        'Focus': 'Focus',
+        'Visualisation Express': 'Visualizzazione express',
+        'Mental': 'Mentale',
+        'Breathe-Up Structuré': 'Breathe-up strutturato',
+        'Pré-Plongée': 'Pre-immersione',
+
+        // Hypnose
+        'Auto-Hypnose Apnée': 'Autoipnosi per l\'apnea',
+        'Techniques avancées de dissociation sensorielle et de flow-state pour apnéistes': 'Tecniche avanzate di dissociazione sensoriale e flow-state per apneisti',
+        'Découvrez les bases de l\'auto-hypnose : induction progressive, approfondissement et création de votre ancre personnelle.': 'Scopri le basi dell\'autoipnosi: induzione progressiva, approfondimento e creazione della tua ancora personale.',
+        'Fragmentation sensorielle complète pour apnée statique. Technique de switch pour déplacer l\'attention des spasmes.': 'Frammentazione sensoriale completa per l\'apnea statica. Tecnica di switch per spostare l\'attenzione dalle contrazioni.',
+        'Parcours rapide des zones neutres du corps pour rediriger l\'attention. Utilisable pendant l\'apnée elle-même.': 'Percorso rapido delle zone neutre del corpo per reindirizzare l\'attenzione. Utilizzabile durante l\'apnea stessa.',
+        'Dissociation moteur/passager et mantra rythmique pour DNF et monopalme. Passez en mode automatique.': 'Dissociazione motore/passeggero e mantra ritmico per DNF e monopinna. Passa al pilota automatico.',
+        'Apprendre à ne plus lutter : respiration passive, acceptation ACT et conditionnement par mot-clé "lâche".': 'Imparare a non lottare più: respirazione passiva, accettazione ACT e condizionamento con la parola chiave "lascia".',
+        'Programme 10 min pour rééduquer le système nerveux : Cyclic Sighing → mobilisation diaphragme → apnées de déconcentration sensorielle (méthode Molchanovs) → silence intégratif.': 'Programma di 10 min per rieducare il sistema nervoso: Cyclic Sighing → mobilizzazione del diaframma → apnee di deconcentrazione sensoriale (metodo Molchanovs) → silenzio integrativo.',
+        'Guide en 8 semaines pour transférer vos performances du sec vers l\'eau. Réduit l\'anxiété aquatique progressivement.': 'Guida in 8 settimane per trasferire le tue prestazioni dal secco all\'acqua. Riduce gradualmente l\'ansia in acqua.',
+        'Fragmentation Sensorielle VAKOG': 'Frammentazione sensoriale VAKOG',
+        'Initiation Auto-Hypnose': 'Introduzione all\'autoipnosi',
+        'VAKOG Statique': 'VAKOG statica',
+        'Gestion spasmes': 'Gestione contrazioni',
+        'Pendant apnée': 'Durante l\'apnea',
+        'Scan Sensoriel Circulaire': 'Scansione sensoriale circolare',
+        'Dynamique': 'Dinamica',
+        'Flow-State Dynamique': 'Flow-state dinamico',
+        'Lâcher-prise': 'Lasciar andare',
+        'Méditation Lâcher-Prise': 'Meditazione del lasciar andare',
+        'Mental / Anxiété': 'Mentale / Ansia',
+        'Lâcher-prise / Hyper-vigilance': 'Lasciar andare / Ipervigilanza',
+        'Programme 8 sem.': 'Programma 8 sett.',
+        'Programme Dry-to-Wet': 'Programma Dry-to-Wet',
+        'Transfert Eau': 'Trasferimento in acqua',
+        'Conseils d\'utilisation': 'Consigli d\'uso',
+        'Ancre pouce-index :': 'Ancora pollice-indice:',
+        'Pressez légèrement votre pouce contre votre index pour activer instantanément l\'état de calme.': 'Premi leggermente il pollice contro l\'indice per attivare all\'istante lo stato di calma.',
+        'Entraînez-vous à sec :': 'Allenati a secco:',
+        'Pratiquez ces techniques hors de l\'eau avant de les utiliser en apnée réelle.': 'Pratica queste tecniche fuori dall\'acqua prima di usarle in un\'apnea reale.',
+        'Mantra Glisse-Relâche :': 'Mantra Scivola-Rilascia:',
+        'Utilisez ce rythme mental pendant vos dynamiques pour entrer en mode automatique.': 'Usa questo ritmo mentale durante le tue dinamiche per entrare in modalità automatica.',
+        'Switch rapide :': 'Switch rapido:',
+        'Dès qu\'un spasme arrive, déplacez votre attention sur le lobe d\'oreille ou le petit orteil.': 'Appena arriva una contrazione, sposta l\'attenzione sul lobo dell\'orecchio o sul mignolo del piede.',
+
+        // Favoris et guide
+        'Mes Favoris': 'I miei preferiti',
+        'Vos exercices préférés, accessibles rapidement': 'I tuoi esercizi preferiti, sempre a portata di mano',
+        'Aucun favori pour le moment.': 'Nessun preferito per ora.',
+        'Appuyez sur l\'étoile ★ d\'un exercice pour l\'ajouter ici.': 'Tocca la stella ★ di un esercizio per aggiungerlo qui.',
+        'Guide des exercices': 'Guida agli esercizi',
+        'Choisissez vos exercices selon votre objectif, votre niveau et votre blocage principal': 'Scegli i tuoi esercizi in base a obiettivo, livello e blocco principale',
+        'Quel est votre objectif ?': 'Qual è il tuo obiettivo?',
+        'Apnée statique': 'Apnea statica',
+        'Apnée dynamique': 'Apnea dinamica',
+        'Profondeur': 'Profondità',
+        'Lâcher-prise / Anxiété': 'Lasciar andare / Ansia',
+        'Tolérance contractions': 'Tolleranza alle contrazioni',
+        'Transfert sec → eau': 'Trasferimento secco → acqua',
+        'Niveau :': 'Livello:',
+        'Tous': 'Tutti',
+        'Intermédiaire': 'Intermedio',
+        'exercices disponibles': 'esercizi disponibili',
+        'Pré-session': 'Pre-sessione',
+        'Anti-stress': 'Antistress',
+        '🫁 Technique respiratoire': '🫁 Tecnica respiratoria',
+        '🧘 Position': '🧘 Posizione',
+        '✨ Effets recherchés': '✨ Effetti cercati',
+        'Physiologique :': 'Fisiologico:',
+        'Mental :': 'Mentale:',
+        '🧠 État d\'esprit': '🧠 Atteggiamento mentale',
+        'Quand :': 'Quando:',
+        'Quotidien': 'Quotidiano',
+        'Pour l\'apnée :': 'Per l\'apnea:',
+        'Tous niveaux': 'Tutti i livelli',
+        'Aucun exercice ne correspond à cette combinaison de filtres.': 'Nessun esercizio corrisponde a questa combinazione di filtri.',
+        'Essayez un autre objectif ou niveau.': 'Prova un altro obiettivo o livello.',
+        'Programmes suggérés': 'Programmi suggeriti',
+        'Débutant — Semaines 1-4': 'Principiante — Settimane 1-4',
+        'Construire les fondations': 'Costruire le basi',
+        'Quotidien :': 'Ogni giorno:',
+        'Intermédiaire — Semaines 5-12': 'Intermedio — Settimane 5-12',
+        'Augmenter la tolérance et le confort': 'Aumentare tolleranza e comfort',
+        'Avant chaque apnée :': 'Prima di ogni apnea:',
+        'Transfert Sec → Eau': 'Trasferimento secco → acqua',
+        'Spécial écart dry/wet important': 'Per un grande divario secco/acqua',
+        'Suivre :': 'Seguire:',
+        'Avant l\'eau :': 'Prima dell\'acqua:',
+        'Après l\'eau :': 'Dopo l\'acqua:',
+        'Hook Breathing (toujours !)': 'Hook Breathing (sempre!)',
+
+        // Coach
+        'Entrainement apnee au sec — programmes adaptes a ton niveau': 'Allenamento di apnea a secco — programmi adatti al tuo livello',
+        'Sessions': 'Sessioni',
+        'Serie (j)': 'Serie (g)',
+        'Stress reduit': 'Stress ridotto',
+        'Mon profil': 'Il mio profilo',
+        'Physio': 'Fisiologia',
+        'Age': 'Età',
+        'ans': 'anni',
+        'Taille': 'Altezza',
+        'Poids': 'Peso',
+        'VO2max estimee': 'VO2max stimato',
+        'FC repos': 'FC a riposo',
+        'Fréq. résonance': 'Freq. di risonanza',
+        'resp/min': 'resp/min',
+        'Apnee': 'Apnea',
+        'Statique max (sec)': 'Statica max (sec)',
+        'Statique dry max': 'Statica a secco max',
+        'Dynamique max': 'Dinamica max',
+        'Profondeur max': 'Profondità max',
+        'Premiere contraction (sec)': 'Prima contrazione (sec)',
+        'Niveau': 'Livello',
+        'Intermediaire (1min30 - 3min)': 'Intermedio (1min30 - 3min)',
+        'Avance (3min - 5min)': 'Avanzato (3min - 5min)',
+        'Sport & Entrainement': 'Sport e allenamento',
+        'Sport(s) principal(aux)': 'Sport principale/i',
+        'Ex: apnee, natation, course...': 'Es.: apnea, nuoto, corsa...',
+        'Frequence entrainement': 'Frequenza di allenamento',
+        '1-2x / semaine': '1-2x / settimana',
+        '3-4x / semaine': '3-4x / settimana',
+        '5+ / semaine': '5+ / settimana',
+        'Etat actuel': 'Stato attuale',
+        'Reprise apres pause': 'Ripresa dopo una pausa',
+        'Construction de base': 'Costruzione di base',
+        'En progression': 'In progressione',
+        'Plateau': 'Stallo',
+        'Pic de forme': 'Picco di forma',
+        'Fatigue / surentrainement': 'Fatica / sovrallenamento',
+        'Notes libres': 'Note libere',
+        'Enregistrer le profil': 'Salva il profilo',
+        'Apnee sec': 'Apnea a secco',
+        'Programme': 'Programma',
+        'Bilan': 'Bilancio',
+        'Stress': 'Stress',
+        'Nouvelle conv.': 'Nuova conv.',
+        'Nouvelle conversation': 'Nuova conversazione',
+        'Joindre un fichier (.docx, .txt, .pdf)': 'Allega un file (.docx, .txt, .pdf)',
+        'Sessions recentes': 'Sessioni recenti',
+        'Rapport': 'Report',
+
+        // W&B Up (chasse, statique, dynamique, profondeur)
+        '🎣 Chasse': '🎣 Pesca',
+        '🧘 Statique': '🧘 Statica',
+        '🏊 Dynamique': '🏊 Dinamica',
+        '🤿 Profondeur': '🤿 Profondità',
+        '📋 Synthèse': '📋 Sintesi',
+        '🏖️ Plage': '🏖️ Spiaggia',
+        'Récupération Post-Équipement': 'Recupero dopo la vestizione',
+        'Inspire 3s · Expire 5s · Normoventilation': 'Inspira 3 s · Espira 5 s · Normoventilazione',
+        'Lancer timer 5 min': 'Avvia timer 5 min',
+        '🌊 Eau': '🌊 Acqua',
+        'Acclimatation — Premières Minutes': 'Acclimatamento — Primi minuti',
+        'Lancer timer 8 min guidé': 'Avvia timer guidato 8 min',
+        '🫁 Avant chaque descente': '🫁 Prima di ogni discesa',
+        'Breathe-Up — 90 secondes': 'Breathe-up — 90 secondi',
+        'Inspire 5s · Expire 10s · puis 1 seul Last Breath': 'Inspira 5 s · Espira 10 s · poi un solo Last Breath',
+        'Lancer le breathe-up guidé': 'Avvia il breathe-up guidato',
+        '🐟 Au Fond': '🐟 Sul fondo',
+        'Technique d\'Affût — Économie O₂': 'Tecnica dell\'aspetto — Risparmio di O₂',
+        'Pas de respiration · Relâchement total': 'Nessun respiro · Rilassamento totale',
+        '♻️ Surface': '♻️ Superficie',
+        'Récupération Entre Plongées': 'Recupero tra le immersioni',
+        'Minimum': 'Minimo',
+        'Recommandé': 'Consigliato',
+        'Apnée Statique': 'Apnea statica',
+        'Cohérence cardiaque — 2 min': 'Coerenza cardiaca — 2 min',
+        '2 min cohérence': '2 min di coerenza',
+        'Protocole statique complet': 'Protocollo statica completo',
+        'Pendant l\'arrêt': 'Durante l\'apnea',
+        'Apnée Dynamique': 'Apnea dinamica',
+        'Breathe-up — 2-3 min (plus long)': 'Breathe-up — 2-3 min (più lungo)',
+        'Protocole dynamique complet': 'Protocollo dinamica completo',
+        'Pendant la nage': 'Durante la nuotata',
+        'Apnée en Profondeur': 'Apnea in profondità',
+        'Cohérence + Méditation — 2-3 min': 'Coerenza + Meditazione — 2-3 min',
+        'Breathe-up profond — 2-5 min': 'Breathe-up profondo — 2-5 min',
+        '3 min cohérence méditée': '3 min di coerenza meditativa',
+        'Protocole profondeur complet': 'Protocollo profondità completo',
+        'Descente': 'Discesa',
+        'Synthèse — Feuille de référence': 'Sintesi — Scheda di riferimento',
+        'Chasse Sous-Marine — Journée complète': 'Pesca in apnea — Giornata completa',
+        'Plage': 'Spiaggia',
+        'Eau': 'Acqua',
+        'Chauffe': 'Riscaldamento',
+        'Avant descente': 'Prima della discesa',
+        'Fond': 'Fondo',
+        'Surface': 'Superficie',
+        'Comparatif des 3 Disciplines': 'Confronto delle 3 discipline',
+        'Durée': 'Durata',
+        'Volume last breath': 'Volume del last breath',
+        'Facteur limitant': 'Fattore limitante',
+        'Principal risque': 'Rischio principale',
+        'Syncope': 'Sincope',
+        'Règle Absolue — À ne jamais oublier': 'Regola assoluta — Da non dimenticare mai',
+
+        // Paramètres des exercices
+        'Paramètres': 'Impostazioni',
+        'Personnalisez tous les exercices selon vos capacités': 'Personalizza tutti gli esercizi in base alle tue capacità',
+        'Mode de configuration': 'Modalità di configurazione',
+        'Automatique': 'Automatica',
+        'Tables d\'apnée en % de votre max': 'Tabelle di apnea in % del tuo massimo',
+        'Optimal': 'Ottimale',
+        'Tous les exos calibrés sur votre apnée': 'Tutti gli esercizi calibrati sulla tua apnea',
+        'Manuel': 'Manuale',
+        'Paramètres personnalisés': 'Impostazioni personalizzate',
+        'Temps d\'apnée maximum de référence': 'Tempo massimo di apnea di riferimento',
+        'Tester': 'Prova',
+        'Pourcentages utilisés pour les tables d\'apnée': 'Percentuali usate per le tabelle di apnea',
+        'Table CO2 (apnée constante)': 'Tabella CO2 (apnea costante)',
+        'Table O2 (début → fin)': 'Tabella O2 (inizio → fine)',
+        'Table sans contraction': 'Tabella senza contrazioni',
+        'Durée totale': 'Durata totale',
+        '1ère inspiration': '1ª inspirazione',
+        '2ème inspiration': '2ª inspirazione',
+        'Expiration': 'Espirazione',
+        'Inspiration': 'Inspirazione',
+        'Fréquence cible': 'Frequenza obiettivo',
+        'Ratio inspir:expir': 'Rapporto inspiro:espiro',
+        'Rétention (poumons pleins)': 'Apnea (polmoni pieni)',
+        'Évaluation Fréquence de Résonance': 'Valutazione della frequenza di risonanza',
+        'Rythme de départ': 'Ritmo iniziale',
+        'Rythme final': 'Ritmo finale',
+        'Durée par palier': 'Durata per gradino',
+        'Durée de chaque phase': 'Durata di ogni fase',
+        'Nombre de rounds': 'Numero di round',
+        'Respirations par round': 'Respiri per round',
+        'Nombre de séries': 'Numero di serie',
+        'séries': 'serie',
+        'Respirations avant pause': 'Respiri prima della pausa',
+        'souffles': 'respiri',
+        'Durée pause CO2': 'Durata pausa CO2',
+        'Respirations de repos': 'Respiri di recupero',
+        'Durée d\'apnée': 'Durata dell\'apnea',
+        'Respirations de récup': 'Respiri di recupero',
+        'Nombre de cycles': 'Numero di cicli',
+        'cycles': 'cicli',
+        'Préparation (cyclic sighing)': 'Preparazione (cyclic sighing)',
+        'Volume': 'Volume',
+        'FRC — Expir passive (débutant)': 'FRC — Espirazione passiva (principiante)',
+        'RV — Expir forcée (avancé)': 'RV — Espirazione forzata (avanzato)',
+        'Mode': 'Modalità',
+        'Avec device (PowerBreathe…)': 'Con dispositivo (PowerBreathe…)',
+        'Sans device (effort max volontaire)': 'Senza dispositivo (sforzo massimo volontario)',
+        'Répétitions par série': 'Ripetizioni per serie',
+        'Durée inhale': 'Durata inspirazione',
+        'Durée exhale passif': 'Durata espirazione passiva',
+        'Repos entre séries': 'Recupero tra le serie',
+        'Suspension poumons pleins': 'Sospensione a polmoni pieni',
+        '5 s — Débutant': '5 s — Principiante',
+        '10 s — Intermédiaire ✓': '10 s — Intermedio ✓',
+        '15 s — Avancé': '15 s — Avanzato',
+        '20 s — Expert': '20 s — Esperto',
+        'Continu': 'Continuo',
+        'Le body scan s\'adapte automatiquement à la durée choisie.': 'Il body scan si adatta automaticamente alla durata scelta.',
+        'Durée par phase': 'Durata per fase',
+        'Vitesse (1 cycle)': 'Velocità (1 ciclo)',
+        'Mode de timing guidé': 'Modalità di tempo guidato',
+        'Timing': 'Tempi',
+        'Adaptatif (voix)': 'Adattivo (voce)',
+        'Fixe (chrono)': 'Fisso (cronometro)',
+        'Pause après instruction': 'Pausa dopo l\'istruzione',
+        'Durée par zone': 'Durata per zona',
+        'Durée par segment': 'Durata per segmento',
+        'Relaxation Musculaire': 'Rilassamento muscolare',
+        'Durée par muscle': 'Durata per muscolo',
+        'Repos initial': 'Recupero iniziale',
+        'Repos final': 'Recupero finale',
+        'Apnée initiale': 'Apnea iniziale',
+        'Apnée finale': 'Apnea finale',
+        'Temps de repos': 'Tempo di recupero',
+        'Repos entre rounds': 'Recupero tra i round',
+        'Préparation respiratoire': 'Preparazione respiratoria',
+        'Niveau (semaine)': 'Livello (settimana)',
+        'Durée breathe-up': 'Durata del breathe-up',
+        'Durée repos': 'Durata del recupero',
+        'Récupération entre cycles': 'Recupero tra i cicli',
+        'Durée max par suspension': 'Durata max per sospensione',
+
+        // Réglages de l'app
+        'Fournisseur IA': 'Fornitore IA',
+        'Serveur local (compatible OpenAI)': 'Server locale (compatibile OpenAI)',
+        'Adresse du serveur': 'Indirizzo del server',
+        'Cle API': 'Chiave API',
+        'Modele': 'Modello',
+        'Claude Haiku (rapide)': 'Claude Haiku (veloce)',
+        'Detecter les modeles': 'Rileva i modelli',
+        'Suggestion auto apres exercice': 'Suggerimento automatico dopo l\'esercizio',
+        'Objectifs personnels': 'Obiettivi personali',
+        'Instructions personnalisées': 'Istruzioni personalizzate',
+        '(ajoutées au prompt du coach)': '(aggiunte al prompt del coach)',
+        'Synchronisation': 'Sincronizzazione',
+        'Non configuré': 'Non configurato',
+        'Stockage': 'Archiviazione',
+        'Serveur REST': 'Server REST',
+        'Dossier local': 'Cartella locale',
+        'Token GitHub': 'Token GitHub',
+        'Créez un token sur': 'Crea un token su',
+        'avec le scope': 'con lo scope',
+        'uniquement.': 'soltanto.',
+        '2ème appareil :': '2º dispositivo:',
+        'Collez le Gist ID de l\'autre appareil, ou laissez vide': 'Incolla il Gist ID dell\'altro dispositivo o lascia vuoto',
+        'URL du dossier': 'URL della cartella',
+        'Utilisateur': 'Utente',
+        'Mot de passe d\'application': 'Password per le app',
+        'URL du document': 'URL del documento',
+        'Choisir un dossier': 'Scegli una cartella',
+        'Configurer': 'Configura',
+        'Sync maintenant': 'Sincronizza ora',
+        'Déconnecter': 'Disconnetti',
+        'Sync automatique après chaque modification': 'Sincronizzazione automatica dopo ogni modifica',
+        'Cardiofréquencemètre': 'Cardiofrequenzimetro',
+        'Non connecté': 'Non connesso',
+        'Ceinture ou montre compatible Bluetooth': 'Fascia o orologio compatibile Bluetooth',
+        'Connecter un capteur': 'Collega un sensore',
+        'Langue': 'Lingua',
+        'Langue de l\'app': 'Lingua dell\'app',
+        'Langue de l\'appareil': 'Lingua del dispositivo',
+        'Annonces vocales': 'Annunci vocali',
+        'Temps écoulé, temps restant et décompte annoncés pendant les apnées et les récupérations qui les précèdent. Légère : chaque minute et 30 s avant la fin. Dense : toutes les 15 s et décompte des 10 dernières secondes.': 'Tempo trascorso, tempo rimanente e conto alla rovescia annunciati durante le apnee e i recuperi che le precedono. Leggera: ogni minuto e 30 s prima della fine. Densa: ogni 15 s e conto alla rovescia degli ultimi 10 secondi.',
+        'Aucune': 'Nessuna',
+        'Légère': 'Leggera',
+        'Normale': 'Normale',
+        'Dense': 'Densa',
+        'Encore {time}': 'Ancora {time}',
+        '1 seconde': '1 secondo',
+        '{n} secondes': '{n} secondi',
+        '1 minute': '1 minuto',
+        '{n} minutes': '{n} minuti',
+        'Sauvegarde locale': 'Backup locale',
+        'Exporter les données': 'Esporta i dati',
+
+        // Exercice en cours et retour de séance
+        'Contraction !': 'Contrazione!',
+        'Contractions : 0': 'Contrazioni: 0',
+        '✋ J\'arrête': '✋ Mi fermo',
+        '⚡ 1ère envie': '⚡ 1º stimolo',
+        '✋ Sortir': '✋ Esci',
+        'Comment vous sentez-vous ?': 'Come ti senti?',
+        'Ressenti global': 'Sensazione generale',
+        'Difficile': 'Difficile',
+        'Excellent': 'Eccellente',
+        'Stress avant l\'exercice': 'Stress prima dell\'esercizio',
+        'Tres stresse': 'Molto stressato',
+        'Stress apres l\'exercice': 'Stress dopo l\'esercizio',
+        'Score gorge': 'Punteggio gola',
+        '(1 = serrée · 5 = ouverte/moelleuse)': '(1 = chiusa · 5 = aperta/morbida)',
+        'Serrée': 'Chiusa',
+        'Ouverte': 'Aperta',
+        'État mental': 'Stato mentale',
+        '⚡ Vigilant': '⚡ Vigile',
+        '○ Neutre': '○ Neutro',
+        '🌊 Flow': '🌊 Flow',
+        'Confort trachéal': 'Comfort tracheale',
+        '(tiraillement ?)': '(tensione?)',
+        '✅ Confortable': '✅ Confortevole',
+        '⚠️ Tiraillement': '⚠️ Tensione',
+        'Suspensions': 'Sospensioni',
+        '(⚡ = 1ère envie)': '(⚡ = 1º stimolo)',
+        'Notes (optionnel)': 'Note (facoltative)',
+        'Table proposée': 'Tabella proposta',
+        'Cycle': 'Ciclo',
+        'Apnée (s)': 'Apnea (s)',
+        'Repos (s)': 'Recupero (s)',
+        'Valeurs modifiables — la table de base est indiquée en gris.': 'Valori modificabili — la tabella di base è indicata in grigio.',
+        'Table de base': 'Tabella di base',
+        'Test d\'Apnée Statique': 'Test di apnea statica',
+        'Commencer l\'apnée': 'Inizia l\'apnea',
+        '⚡ 1ère contraction': '⚡ 1ª contrazione',
+        'FRC (expiration passive)': 'FRC (espirazione passiva)',
+        'À sec': 'A secco',
+        'Dans l\'eau': 'In acqua',
+        'Votre résultat': 'Il tuo risultato',
+        'Enregistrer dans le journal': 'Salva nel diario',
+        'Phase suivante': 'Fase successiva',
+        'Volume pulmonaire': 'Volume polmonare',
+        'Environnement': 'Ambiente',
+
+        // Phases (libellés affichés ; les noms restent les identifiants)
+        'Inspirez': 'Inspira',
+        'Inspirez +': 'Inspira +',
+        'Expirez': 'Espira',
+        'Expirez lentement': 'Espira lentamente',
+        'Expirez longuement': 'Espirazione lunga',
+        'Retenez': 'Trattieni',
+        'Inspirez profondément': 'Inspira profondamente',
+        'Relâchez': 'Rilascia',
+        'Inspir Nasale': 'Inspirazione nasale',
+        'Pause Plein': 'Pausa a pieni',
+        'Expir Ocean Breath': 'Espirazione Ocean Breath',
+        'Expir Ocean': 'Espirazione Ocean',
+        'Pause Vide': 'Pausa a vuoto',
+        'Respirez': 'Respira',
+        'Pause CO2': 'Pausa CO2',
+        'Pause CO₂': 'Pausa CO₂',
+        'Préparez': 'Preparati',
+        'Pause VHL': 'Pausa VHL',
+        'Récupérez': 'Recupera',
+        'Inspirez fort !': 'Inspira forte!',
+        'Suspension': 'Sospensione',
+        'Immobilité': 'Immobilità',
+        'Pūraka (Inspir)': 'Pūraka (Inspirazione)',
+        'Kumbhaka (Rétention)': 'Kumbhaka (Ritenzione)',
+        'Rechaka (Expir)': 'Rechaka (Espirazione)',
+        'Inspir narine gauche': 'Inspira narice sinistra',
+        'Rétention': 'Ritenzione',
+        'Expir narine droite': 'Espira narice destra',
+        'Inspir narine droite': 'Inspira narice destra',
+        'Expir narine gauche': 'Espira narice sinistra',
+        'Expir forcé': 'Espirazione forzata',
+        'Inspir passif': 'Inspirazione passiva',
+        'Inspirez (Ujjayi)': 'Inspira (Ujjayi)',
+        'Expirez (Ujjayi)': 'Espira (Ujjayi)',
+        'Bourdonnez (Mmm)': 'Ronza (Mmm)',
+        'Ventre': 'Pancia',
+        'Côtes': 'Costole',
+        'Poitrine': 'Petto',
+        'Relâchement': 'Rilascio',
+        'Préparation': 'Preparazione',
+        'Inspirez 80%': 'Inspira 80%',
+        'Préparer': 'Preparare',
+        'Inspirer': 'Inspirare',
+        'Retenir': 'Trattenere',
+        'Expirer': 'Espirare',
+
+        // Compteurs et messages des exercices guidés
+        'Palier 1 / {rateSteps.length}': 'Gradino 1 / {rateSteps.length}',
+        'Palier {palier} : {rate} respirations par minute': 'Gradino {palier}: {rate} respiri al minuto',
+        'Palier {palier}/{rateSteps.length} — {rate} resp/min — {breath}/{breaths}': 'Gradino {palier}/{rateSteps.length} — {rate} resp/min — {breath}/{breaths}',
+        'Round {round}/{rounds} — Respiration {breath}/{breaths}': 'Round {round}/{rounds} — Respiro {breath}/{breaths}',
+        'Après votre dernière expiration, retenez aussi longtemps que possible. Appuyez sur ESPACE ou « Sortir » quand vous devez respirer.': 'Dopo l\'ultima espirazione, trattieni il più a lungo possibile. Premi SPAZIO o «Esci» quando devi respirare.',
+        'Inspirez à fond et retenez {recoveryPhase.duration} secondes': 'Inspira a fondo e trattieni {recoveryPhase.duration} secondi',
+        'Round {round}/{rounds} terminé — recommencez les respirations': 'Round {round}/{rounds} terminato — riprendi i respiri',
+        'Série 1 / {cycles}': 'Serie 1 / {cycles}',
+        'Série {serie}/{cycles} — Resp. {breath}/{breaths}': 'Serie {serie}/{cycles} — Resp. {breath}/{breaths}',
+        'Série {serie}/{cycles} — Pause {holdDuration}s (poumons bas)': 'Serie {serie}/{cycles} — Pausa {holdDuration}s (polmoni bassi)',
+        'Repos libre — encore {remaining} souffle{remaining:s}': 'Recupero libero — ancora {remaining} resp.',
+        'Cycle 1/{cycles} — Cyclic Sighing {prepDuration}s': 'Ciclo 1/{cycles} — Cyclic Sighing {prepDuration}s',
+        'Cycle {cycle}/{cycles} — Pause {holdDuration}s (poumons bas)': 'Ciclo {cycle}/{cycles} — Pausa {holdDuration}s (polmoni bassi)',
+        'Récup — encore {remaining} souffle{remaining:s}': 'Recupero — ancora {remaining} resp.',
+        'Cycle {cycle} / {cycles} — Repos': 'Ciclo {cycle} / {cycles} — Recupero',
+        'Cycle {cycle} / {cycles} — Apnée': 'Ciclo {cycle} / {cycles} — Apnea',
+        'Bien joué. {hold:time} d\'apnée, {contractions} contractions.': 'Ben fatto. {hold:time} di apnea, {contractions} contrazioni.',
+        'Cycle 1 / {cycles} — Double soupir': 'Ciclo 1 / {cycles} — Doppio sospiro',
+        'Cycle {cycle} / {cycles} — Inspiration': 'Ciclo {cycle} / {cycles} — Inspirazione',
+        'Cycle {cycle} / {cycles} — Suspension': 'Ciclo {cycle} / {cycles} — Sospensione',
+        'Cycle {cycle} / {cycles} — Expiration': 'Ciclo {cycle} / {cycles} — Espirazione',
+
+        // Notifications
+        'Exercice inconnu : {id}': 'Esercizio sconosciuto: {id}',
+        'Touche l\'écran pour lancer « {name} »': 'Tocca lo schermo per avviare «{name}»',
+        'Erreur sync : {message}': 'Errore di sincronizzazione: {message}',
+        'Pack « {name} » importé : {count} phrases': 'Pacchetto «{name}» importato: {count} frasi',
+        'Thème « {name} » enregistré': 'Tema «{name}» salvato',
+        'Thème « {name} » importé': 'Tema «{name}» importato',
+        'Thème « {name} » utilisé pour les sons de respiration': 'Tema «{name}» usato per i suoni del respiro',
+        'Supprimer le thème « {name} » ?': 'Eliminare il tema «{name}»?',
+        'JSON invalide : {error}': 'JSON non valido: {error}',
+        'Import impossible : thème invalide': 'Importazione impossibile: tema non valido',
+        'Cardiofréquencemètre connecté : {label}': 'Cardiofrequenzimetro collegato: {label}',
+        'Connexion FC impossible : {message}': 'Impossibile collegare il cardiofrequenzimetro: {message}',
+        'Suspension ajustée à {seconds}s pour la prochaine séance': 'Sospensione regolata a {seconds}s per la prossima sessione',
+        'Programme de {weeks} semaines créé': 'Programma di {weeks} settimane creato',
+        'Au moins une phase doit avoir une durée > 0': 'Almeno una fase deve durare più di 0',
+        'Aucun exercice dans les jours choisis': 'Nessun esercizio nei giorni scelti',
+        'Aucune phase active (toutes les durées sont à 0)': 'Nessuna fase attiva (tutte le durate sono a 0)',
+        'Choisissez un dossier': 'Scegli una cartella',
+        'Connexion perdue - Mode hors-ligne actif': 'Connessione persa - Modalità offline attiva',
+        'Connexion rétablie - Mode hors-ligne toujours actif': 'Connessione ristabilita - Modalità offline ancora attiva',
+        'Données exportées !': 'Dati esportati!',
+        'Données importées !': 'Dati importati!',
+        'Dossier local non pris en charge par ce navigateur': 'Cartella locale non supportata da questo browser',
+        'Entrez une URL http(s) valide': 'Inserisci un URL http(s) valido',
+        'Entrez votre token GitHub': 'Inserisci il tuo token GitHub',
+        'Erreur export Word': 'Errore di esportazione Word',
+        'Exercice inconnu': 'Esercizio sconosciuto',
+        'Export Excel termine': 'Esportazione Excel completata',
+        'Export JSON termine': 'Esportazione JSON completata',
+        'Fichier Excel invalide': 'File Excel non valido',
+        'Fichier JSON invalide': 'File JSON non valido',
+        'Fichier vide ou illisible': 'File vuoto o illeggibile',
+        'Format non supporte (.json ou .xlsx)': 'Formato non supportato (.json o .xlsx)',
+        'Impossible de lire ce fichier': 'Impossibile leggere questo file',
+        'Impossible de supprimer une séquence par défaut': 'Impossibile eliminare una sequenza predefinita',
+        'Librairie Excel non chargee': 'Libreria Excel non caricata',
+        'Librairie Word non chargee': 'Libreria Word non caricata',
+        'Mode en ligne activé': 'Modalità online attivata',
+        'Mode hors-ligne activé': 'Modalità offline attivata',
+        'Pack de voix supprimé': 'Pacchetto voce eliminato',
+        'Thème supprimé': 'Tema eliminato',
+        'Paramètres enregistrés': 'Impostazioni salvate',
+        'Plan généré !': 'Piano generato!',
+        'Plan généré hors-ligne': 'Piano generato offline',
+        'Plan supprimé.': 'Piano eliminato.',
+        'Profil enregistre': 'Profilo salvato',
+        'Programme arrêté.': 'Programma interrotto.',
+        'Rapport Word exporte': 'Report Word esportato',
+        'Session enregistree': 'Sessione salvata',
+        'Sync déconnectée': 'Sincronizzazione disconnessa',
+        'Séquence enregistrée': 'Sequenza salvata',
+        'Séquence supprimée': 'Sequenza eliminata',
+        'Échéance réglée : clique sur Générer un plan': 'Scadenza impostata: clicca su Genera un piano'
+    },
+
+    exercises: {
+        'cyclic-sighing': {
+            name: 'Cyclic Sighing',
+            description: 'Pratica quotidiana di 5 min — doppia inspirazione + lunga espirazione per migliorare l\'umore e ridurre lo stress',
+            instructions: {
+                start: 'Mettiti comodo. Pratichiamo il cyclic sighing.',
+                'Inspirez': 'Inspira profondamente dal naso, riempi i polmoni',
+                'Inspirez +': 'Senza espirare, fai una seconda breve inspirazione per riempirti del tutto',
+                'Expirez lentement': 'Espira lentamente e completamente dalla bocca'
+            }
+        },
+        'coherent': {
+            name: 'Respirazione coerente',
+            description: '5,5 respiri al minuto per la coerenza cardiaca',
+            instructions: {
+                start: 'Respira in modo naturale al ritmo indicato. Lascia che il cuore si sincronizzi.',
+                'Inspirez': 'Inspira dolcemente dal naso',
+                'Expirez': 'Espira dolcemente dal naso o dalla bocca'
+            }
+        },
+        'cardiac-coherence': {
+            name: 'Coerenza cardiaca',
+            description: 'Respirazione di risonanza cardiaca configurabile — frequenza, rapporto e apnea regolabili',
+            instructions: {
+                start: 'Coerenza cardiaca. Respira al ritmo indicato. Lascia che il cuore si sincronizzi.',
+                'Inspirez': 'Inspirazione dolce dal naso, gonfiando la pancia',
+                'Retenez': 'Pausa a polmoni pieni, corpo rilassato',
+                'Expirez': 'Espirazione lenta e regolare'
+            }
+        },
+        'resonance-assessment': {
+            name: 'Valutazione della frequenza di risonanza',
+            description: 'Gradini da 6,5 a 4,5 resp/min per trovare la tua frequenza di coerenza ottimale',
+            instructions: {
+                start: 'Valutazione della frequenza di risonanza. Segui ogni ritmo senza forzare, respirazione nasale e addominale.',
+                'Inspirez': 'Inspira dolcemente dal naso',
+                'Expirez': 'Espira dolcemente, senza spingere',
+                rate: 'Questo ritmo era comodo? Dagli un voto da 1 (sgradevole) a 5 (molto fluido).',
+                complete: 'Valutazione completata.'
+            }
+        },
+        'box': {
+            name: 'Box Breathing',
+            description: 'La tecnica 4-4-4-4 dei Navy SEALs',
+            instructions: {
+                start: 'Box breathing: inspira, trattieni, espira, trattieni - ogni fase dura 4 secondi.',
+                'Inspirez': 'Inspira lentamente dal naso',
+                'Retenez': 'Polmoni pieni, resta rilassato',
+                'Expirez': 'Espira lentamente e completamente',
+                'Retenez ': 'Polmoni vuoti, resta calmo'
+            }
+        },
+        'wimhof': {
+            name: 'Metodo Wim Hof',
+            description: 'Iperventilazione controllata + apnea',
+            instructions: {
+                start: 'Metodo Wim Hof: 30 respiri profondi, poi un\'apnea massima.',
+                'Inspirez profondément': 'Grande inspirazione dal naso o dalla bocca',
+                'Relâchez': 'Lascia uscire l\'aria in modo naturale',
+                'Rétention': 'Dopo l\'ultima espirazione, trattieni il più a lungo possibile',
+                'Récupération': 'Inspira a fondo e trattieni 15 secondi'
+            }
+        },
+        'co2-tolerance': {
+            name: 'Respirazione 1:2 (HRV)',
+            description: 'Respirazione lenta 1:2 (4 s/8 s) — massimizza la variabilità cardiaca e calma il sistema nervoso prima di un\'immersione',
+            instructions: {
+                start: 'Respirazione lenta e regolare. Ideale prima di una sessione di apnea per calmare il sistema nervoso.',
+                'Inspirez': 'Inspirazione nasale dolce',
+                'Expirez lentement': 'Espirazione molto lenta, lascia uscire l\'aria senza sforzo'
+            }
+        },
+        'ocean-breath-co2': {
+            name: 'Ocean Breath CO2',
+            description: 'Espirazione lunga frenata (Ujjayi) per la tolleranza alla CO2 — il freno glottico crea una contropressione che rallenta l\'uscita della CO2 e porta a un\'ipercapnia progressiva',
+            instructions: {
+                start: 'Ocean Breath CO2 — Resistenza 4-4-16-2. Espirazione lunga frenata per la tolleranza alla CO2.',
+                'Inspir Nasale': 'Inspirazione nasale fluida. Riempi solo al 70%, non al massimo.',
+                'Pause Plein': 'Sospensione a polmoni pieni. Spalle completamente rilassate. Gola aperta.',
+                'Expir Ocean': 'Freno massimo in fondo alla gola. Il suono deve essere un filo di seta continuo. Uguale dall\'inizio alla fine.',
+                'Pause Vide': 'Immobilità a polmoni vuoti. Rilassa la pancia. Preparati al ciclo successivo.'
+            }
+        },
+        'co2-vhl': {
+            name: 'Ipoventilazione VHL CO2',
+            description: 'Ipoventilazione a basso volume polmonare (Woorons) — desensibilizzazione reale dei chemocettori tramite accumulo progressivo di CO2',
+            instructions: {
+                start: 'Ipoventilazione VHL. Respira normalmente per 3 cicli, poi espira e fai una pausa a polmoni bassi. Ripeti.',
+                breathe: 'Respira normalmente. Preparati alla pausa.',
+                hold: 'Espira normalmente — non svuotare del tutto. Pausa. Polmoni mezzi vuoti.',
+                rest: 'Respira liberamente. Recupera prima del ciclo successivo.',
+                complete: 'Sessione VHL completata. La tolleranza alla CO2 si costruisce in 4-6 settimane di pratica regolare.'
+            }
+        },
+        'co2-vhl-classic': {
+            name: 'VHL classico Woorons',
+            description: 'Protocollo VHL originale di Woorons — 2 respiri normali poi una pausa a polmoni bassi. Pausa più lunga (6 s). Pensato come progressione dopo aver padroneggiato il protocollo CO2.',
+            instructions: {
+                start: 'VHL classico Woorons. 2 respiri normali, poi espira normalmente e fai una pausa di 6 secondi a polmoni bassi. 8 cicli.',
+                breathe: 'Respira normalmente. Preparati alla pausa.',
+                hold: 'Espira normalmente — non del tutto. Pausa di 6 secondi. Polmoni mezzi vuoti.',
+                rest: 'Respira liberamente. Recupera prima del ciclo successivo.',
+                complete: 'Sessione di VHL classico completata. Protocollo di origine: Woorons. Puoi progredire verso una pausa di 8 s.'
+            }
+        },
+        'co2-vhl-static': {
+            name: 'VHL statico',
+            description: 'Apnea a basso volume polmonare (FRC) con pausa lunga. Gola rilassata, sospensione passiva — protocollo di Woorons adattato all\'allenamento CO2 avanzato.',
+            instructions: {
+                start: 'VHL statico. Preparazione con cyclic sighing: doppia inspirazione (sniff udibile), espirazione lenta. 3 minuti.',
+                prep: 'Cyclic Sighing. Inspira profondamente, breve sniff, espira lentamente dal naso. Rilassa tutto il viso.',
+                hold: 'Espira in modo passivo — lascia che il torace si abbassi da solo. Trattieni. Gola aperta, mandibola rilassata. Resta passivo.',
+                rest: 'Respira liberamente. Esattamente il numero di respiri impostato, poi il ciclo successivo.',
+                complete: 'VHL statico completato. Annota le tue sensazioni. La progressione richiede almeno 3 settimane.'
+            }
+        },
+        'imst': {
+            name: 'IMST — Forza inspiratoria',
+            description: 'Inspirazioni forzate contro alta resistenza — 30 rip. × 5 serie per rafforzare i muscoli respiratori',
+            instructions: {
+                start: 'IMST — 30 inspirazioni forzate per serie. Inspira il più forte e veloce possibile contro la resistenza. 5 serie in totale.',
+                inhale: 'Inspira forte!',
+                inhale_free: 'Inspirazione diaframmatica massima!',
+                exhale: 'Rilascia in modo passivo.',
+                rest: 'Recupero. Respira normalmente.',
+                complete: 'Sessione IMST completata. 5 serie complete. Pratica regolare 6 giorni su 7 = risultati in 6 settimane.'
+            }
+        },
+        'breath-light-co2': {
+            name: 'Respirazione ridotta CO2',
+            description: 'Riduzione progressiva del volume respiratorio per generare un disagio da CO2 controllato',
+            instructions: {
+                start: 'Respirazione ridotta CO2 — metodo Oxygen Advantage. 7 minuti di respirazione progressivamente ridotta per allenare la tua tolleranza alla CO2.',
+                'Inspirez': 'Inspirazione ridotta e dolce, solo dal naso',
+                'Expirez': 'Espirazione lenta e controllata, lascia uscire l\'aria senza forzare',
+                'Pause': 'Pausa dopo l\'espirazione: resta calmo, tollera lo stimolo a respirare'
+            }
+        },
+        'square-flow': {
+            name: 'Square Flow — Coerenza Plus',
+            description: 'Inspirazione controllata (5 s) + sospensione a polmoni pieni (10 s) + espirazione fluida (5 s) + micro-apnea FRC (2 s) — lavoro su capacità polmonare e rilassamento differenziale',
+            instructions: {
+                start: 'Square Flow — Coerenza Plus. Mettiti comodo. Pratichiamo la sospensione a polmoni pieni con rilassamento differenziale.',
+                'Inspirez': 'Inspira dal naso. Apri le costole di lato, non solo la pancia. Riempimento controllato.',
+                'Suspension': 'Sospensione a polmoni pieni. Rilassa trapezi e mandibola. Glottide aperta. Senti la pressione interna come un massaggio.',
+                'Expirez': 'Espira in modo fluido e regolare. Non lasciare andare l\'aria tutta insieme, controllala. Lascia che la tensione se ne vada con l\'aria.',
+                'Immobilité': 'Micro-apnea a polmoni vuoti. Immobilità totale. Preparati al ciclo successivo.'
+            }
+        },
+        'relaxation': {
+            name: 'Respirazione 4-7-8',
+            description: 'Tecnica del Dr. Andrew Weil per addormentarsi',
+            instructions: {
+                start: 'Tecnica 4-7-8: appoggia la lingua dietro i denti superiori.',
+                'Inspirez': 'Inspira in silenzio dal naso',
+                'Retenez': 'Trattieni il respiro',
+                'Expirez': 'Espira completamente dalla bocca con un suono "whoosh"'
+            }
+        },
+        'pranayama-142': {
+            name: 'Pranayama 1-4-2',
+            description: 'Rapporto yogico classico: inspira 1x, trattieni 4x, espira 2x',
+            instructions: {
+                start: 'Pranayama classico, rapporto 1:4:2. Siediti in una postura stabile, schiena dritta.',
+                'Pūraka (Inspir)': 'Inspira lentamente dal naso, riempiendo prima la pancia e poi il petto',
+                'Kumbhaka (Rétention)': 'Trattieni il respiro, mento leggermente verso il petto (Jalandhara Bandha)',
+                'Rechaka (Expir)': 'Espira lentamente dal naso, svuotando prima il petto e poi la pancia'
+            }
+        },
+        'nadi-shodhana': {
+            name: 'Nadi Shodhana',
+            description: 'Respirazione a narici alternate — equilibra i due emisferi cerebrali',
+            instructions: {
+                start: 'Nadi Shodhana: respirazione a narici alternate. Mano destra in Vishnu Mudra (piega indice e medio).',
+                'Inspir narine gauche': 'Inspira dalla narice sinistra',
+                'Rétention': 'Trattieni, entrambe le narici chiuse',
+                'Expir narine droite': 'Espira dalla narice destra',
+                'Inspir narine droite': 'Inspira dalla narice destra',
+                'Rétention ': 'Trattieni, entrambe le narici chiuse',
+                'Expir narine gauche': 'Espira dalla narice sinistra'
+            },
+            phaseInstructions: [
+                'Chiudi la narice destra con il pollice. Inspira dalla narice sinistra.',
+                'Chiudi entrambe le narici (pollice + anulare). Trattieni.',
+                'Libera la narice destra. Espira dalla destra.',
+                'Tieni chiusa la sinistra. Inspira dalla narice destra.',
+                'Chiudi entrambe le narici. Trattieni.',
+                'Libera la narice sinistra. Espira dalla sinistra.'
+            ]
+        },
+        'kapalabhati': {
+            name: 'Kapalabhati',
+            description: 'Respiro del cranio splendente — 30 espirazioni forzate rapide per round, purificazione ed energia',
+            instructions: {
+                start: 'Kapalabhati: 30 espirazioni forzate dal naso (1 round = 30 s). Dopo il round, inspira a fondo e trattieni il più a lungo possibile.',
+                'Expir forcé': 'Espirazione potente dal naso contraendo gli addominali',
+                'Inspir passif': 'Lascia rientrare l\'aria da sola, senza sforzo'
+            }
+        },
+        'ujjayi': {
+            name: 'Ujjayi',
+            description: 'Il respiro vittorioso — respirazione oceanica calmante',
+            instructions: {
+                start: 'Ujjayi: restringi leggermente la glottide (come per appannare un vetro) e respira dal naso. Un suono oceanico dolce e regolare accompagna ogni respiro.',
+                'Inspirez (Ujjayi)': 'Inspira dal naso, gola leggermente chiusa, con un suono dolce',
+                'Expirez (Ujjayi)': 'Espira dal naso, stessa chiusura glottica, stesso suono regolare'
+            }
+        },
+        'bhramari': {
+            name: 'Bhramari',
+            description: 'Il respiro dell\'ape — vibrazione e calma profonda',
+            instructions: {
+                start: 'Bhramari: inspira dal naso, poi espira con un ronzio continuo "Mmmmm". Facoltativo: chiudi le orecchie con i pollici (Shanmukhi Mudra).',
+                'Inspirez': 'Inspirazione profonda e silenziosa dal naso',
+                'Bourdonnez (Mmm)': 'Espira ronzando "Mmmmm" — senti la vibrazione nel cranio'
+            }
+        },
+        'surya-bhedana': {
+            name: 'Surya Bhedana',
+            description: 'Respirazione solare — energia e calore interno',
+            instructions: {
+                start: 'Surya Bhedana: respirazione solare energizzante. Inspira dalla destra, espira dalla sinistra.',
+                'Inspir narine droite': 'Inspira lentamente dalla narice destra',
+                'Rétention': 'Trattieni il respiro, entrambe le narici chiuse',
+                'Expir narine gauche': 'Espira dolcemente dalla narice sinistra'
+            },
+            phaseInstructions: [
+                'Chiudi la narice sinistra. Inspira dalla destra.',
+                'Chiudi entrambe le narici.',
+                'Espira dalla narice sinistra.'
+            ]
+        },
+        'body-scan': {
+            name: 'Body Scan',
+            description: 'Percorso attentivo sistematico del corpo',
+            instructions: { start: 'Sdraiati comodamente. Chiudi gli occhi e respira in modo naturale.' }
+        },
+        'pettlep': {
+            name: 'Visualizzazione PETTLEP',
+            description: 'Il protocollo in 7 punti degli atleti olimpici',
+            instructions: { start: 'Protocollo PETTLEP: immaginazione multisensoriale usata dal 70-90% degli olimpionici.' }
+        },
+        'sophro': {
+            name: 'Rilassamento dinamico',
+            description: 'Metodo IRTER di sofrologia, livello 1',
+            instructions: { start: 'Rilassamento dinamico sofrologico. Metodo IRTER: Inspirazione-Ritenzione-Tensione-Espirazione-Rilascio.' }
+        },
+        'pmr': {
+            name: 'Rilassamento muscolare progressivo',
+            description: 'Il metodo di contrazione-rilascio di Jacobson',
+            instructions: { start: 'Rilassamento muscolare progressivo. Contrai ogni gruppo muscolare per 5 secondi, poi rilascia per 15-20 secondi.' }
+        },
+        'focus': {
+            name: 'Allenamento focus',
+            description: 'La tecnica del riflettore per la concentrazione',
+            instructions: { start: 'Allenamento della concentrazione con il metodo del riflettore.' }
+        },
+        'predive': {
+            name: 'Visualizzazione pre-immersione',
+            description: 'La routine mentale completa dell\'apneista',
+            instructions: { start: 'Visualizzazione pre-immersione. Immagina la tua immersione perfetta in ogni dettaglio.' }
+        },
+        'co2-table': {
+            name: 'Tabella CO2',
+            description: 'Apnee costanti con recupero decrescente',
+            instructions: {
+                start: 'Tabella CO2: apnee costanti con tempi di recupero decrescenti.',
+                breathe: 'Respira con calma e preparati',
+                hold: 'Trattieni il respiro, resta rilassato'
+            }
+        },
+        'o2-table': {
+            name: 'Tabella O2',
+            description: 'Apnee progressive con recupero costante',
+            instructions: {
+                start: 'Tabella O2: apnee progressive con un recupero costante di 2 minuti.',
+                breathe: 'Recupera per 2 minuti',
+                hold: 'Trattieni il respiro'
+            }
+        },
+        'no-contraction': {
+            name: 'Tabella senza contrazioni',
+            description: 'Un metodo dolce per principianti',
+            instructions: {
+                start: 'Tabella senza contrazioni: fermati PRIMA di qualsiasi stimolo a respirare.',
+                breathe: 'Respira con calma',
+                hold: 'Trattieni fino al primo lieve stimolo a respirare, poi fermati'
+            }
+        },
+        'comfort-zone': {
+            name: 'Zona di comfort',
+            description: 'Apnea libera — fermati al primo disagio per progredire in modo naturale',
+            instructions: {
+                start: 'Mettiti comodo. Respira con calma.',
+                breathe: 'Respira lentamente e profondamente.',
+                hold: 'Trattieni. Resta rilassato. Fermati al minimo disagio.',
+                stop: 'Ben fatto! Respira con calma.'
+            }
+        },
+        'comfort-zone-frc': {
+            name: 'Zona di comfort FRC',
+            description: 'Apnea FRC a polmoni vuoti — espira normalmente, trattieni, fermati al primo disagio',
+            instructions: {
+                start: 'Mettiti comodo. Respira con calma.',
+                breathe: 'Respira con calma e in modo naturale.',
+                hold: 'Espira normalmente… poi trattieni. Resta rilassato. Fermati al minimo disagio.',
+                stop: 'Ben fatto! Respira con calma.'
+            }
+        },
+        'dive-reflex': {
+            name: 'Riflesso d\'immersione',
+            description: 'Esercizi per ottimizzare la bradicardia',
+            instructions: { start: 'Allenamento del riflesso d\'immersione dei mammiferi. Ti servirà acqua fredda.' }
+        },
+        'lung-stretch': {
+            name: 'Allungamenti polmonari',
+            description: 'Uddiyana bandha e allungamenti intercostali',
+            instructions: { start: 'Allungamenti polmonari. Pratica a stomaco vuoto per l\'Uddiyana Bandha.' }
+        },
+        'diaphragm': {
+            name: 'Respirazione diaframmatica',
+            description: 'Padronanza della respirazione addominale in 3 tempi',
+            instructions: {
+                start: 'Respirazione diaframmatica in 3 tempi: pancia, costole, petto.',
+                'Ventre': 'Gonfia prima la pancia',
+                'Côtes': 'Apri le costole',
+                'Poitrine': 'Solleva il petto',
+                'Pause': 'Breve pausa',
+                'Relâchement': 'Espirazione lenta e passiva'
+            },
+            phaseInstructions: [
+                'Gonfia la pancia come un palloncino',
+                'Apri le costole di lato',
+                'Solleva leggermente il petto',
+                'Breve pausa a polmoni pieni',
+                'Lascia uscire l\'aria in modo naturale'
+            ]
+        },
+        'physiological-sigh': {
+            name: 'Sospiro fisiologico',
+            description: 'Reset nervoso istantaneo — bastano 3 cicli, da usare nel momento di stress o di panico',
+            instructions: {
+                start: 'Sospiro fisiologico: il reset più rapido per il tuo sistema nervoso.',
+                'Inspirez': 'Inspira dal naso',
+                'Inspirez +': 'Una seconda breve inspirazione per riempirti del tutto',
+                'Expirez longuement': 'Lunga espirazione dalla bocca, lascia andare tutto'
+            }
+        },
+        'grounding-555': {
+            name: 'Ancoraggio 5-5-5',
+            description: 'Tecnica di ancoraggio per tornare al presente',
+            instructions: { start: 'Tecnica 5-5-5: riconnettiti al momento presente.' }
+        },
+        'extended-exhale': {
+            name: 'Espirazione prolungata',
+            description: 'Rapporto 1:2 per un\'attivazione parasimpatica rapida',
+            instructions: {
+                start: 'Espirazione prolungata: inspira per 4 secondi, espira per 8 secondi.',
+                'Inspirez': 'Inspirazione calma dal naso',
+                'Expirez lentement': 'Espirazione molto lenta, come attraverso una cannuccia'
+            }
+        },
+        'box-quick': {
+            name: 'Box breathing rapido',
+            description: 'Una versione breve per riprendere il controllo',
+            instructions: {
+                start: 'Box breathing rapido: 6 cicli per riprendere il controllo.',
+                'Inspirez': 'Inspira dal naso',
+                'Retenez': 'Polmoni pieni, resta calmo',
+                'Expirez': 'Espira completamente',
+                'Retenez ': 'Polmoni vuoti, rilassati'
+            }
+        },
+        'preperf-protocol': {
+            name: 'Protocollo 5 minuti',
+            description: 'Sequenza completa per una preparazione ottimale',
+            instructions: { start: 'Protocollo pre-gara: 5 minuti per raggiungere il tuo stato ottimale.' }
+        },
+        'dive-prep': {
+            name: 'Preparazione immersione',
+            description: 'Breathe-up ottimizzato per l\'apnea e la pesca',
+            instructions: { start: 'Preparazione all\'immersione: breathe-up e visualizzazione per un\'apnea ottimale.' }
+        },
+        'quick-coherence': {
+            name: 'Coerenza express',
+            description: 'Coerenza cardiaca in 3 minuti',
+            instructions: {
+                start: 'Coerenza express: 3 minuti per sincronizzare cuore e respiro.',
+                'Inspirez': 'Inspira dolcemente per 5 secondi',
+                'Expirez': 'Espira dolcemente per 5 secondi'
+            }
+        },
+        'power-viz': {
+            name: 'Visualizzazione express',
+            description: 'Visualizzazione rapida della prestazione ottimale',
+            instructions: { start: 'Visualizzazione express: vedi e senti il tuo successo in 2 minuti.' }
+        },
+        'sleep-descent': {
+            name: 'Discesa nel sonno',
+            description: 'Protocollo progressivo di 7 minuti per addormentarsi',
+            instructions: { start: 'Protocollo per addormentarsi. Lasciati guidare verso un sonno profondo e ristoratore.' }
+        },
+        'deep-sleep-478': {
+            name: 'Sonno profondo 4-7-8',
+            description: 'Sonno profondo: blocchi 4-7-8 guidati + body scan progressivo — da 5 a 45 min',
+            instructions: {
+                start: 'Sdraiati. Chiudi gli occhi. Stasera non c\'è più niente da fare.',
+                inhale478: 'Inspira',
+                hold478: 'Trattieni',
+                exhale478: 'Espira'
+            }
+        },
+        'vakog-static': {
+            name: 'VAKOG statica',
+            description: 'Frammentazione sensoriale per l\'apnea statica',
+            instructions: { start: 'Autoipnosi VAKOG per l\'apnea statica. Diventa un osservatore passivo delle tue sensazioni.' }
+        },
+        'scan-sensoriel': {
+            name: 'Scansione sensoriale circolare',
+            description: 'Tecnica di dissociazione per l\'apnea statica',
+            instructions: { start: 'Scansione sensoriale circolare. Impara a spostare l\'attenzione durante l\'apnea.' }
+        },
+        'flow-dynamique': {
+            name: 'Flow-state dinamico',
+            description: 'Stato di flow per l\'apnea dinamica e la monopinna',
+            instructions: { start: 'Flow-state per l\'apnea dinamica. Passa dal controllo manuale al pilota automatico.' }
+        },
+        'hypno-apnee-debutant': {
+            name: 'Introduzione all\'autoipnosi',
+            description: 'Introduzione alle tecniche di autoipnosi per l\'apnea',
+            instructions: { start: 'Introduzione all\'autoipnosi per apneisti. Creazione della tua ancora personale di calma.' }
+        },
+        'meditation-lacher-prise': {
+            name: 'Meditazione del lasciar andare',
+            description: 'Impara a lasciar andare con la respirazione passiva e l\'accettazione',
+            instructions: { start: 'Meditazione del lasciar andare. Imparerai a smettere di lottare, a smettere di controllare. È la chiave dell\'apnea.' }
+        },
+        'dry-to-wet-bridge': {
+            name: 'Programma Dry-to-Wet',
+            description: 'Programma di 8 settimane per trasferire le tue prestazioni dal secco all\'acqua',
+            instructions: { start: 'Programma Dry-to-Wet: 8 settimane per ridurre il divario tra le tue prestazioni a secco e in acqua.' }
+        },
+        'flow-release': {
+            name: 'Flow & Release',
+            description: 'Programma di 10 min per rieducare il sistema nervoso e aggirare l\'ipervigilanza',
+            instructions: { start: 'Flow & Release — programma di 10 min. Rieduca il tuo sistema nervoso e aggira l\'ipervigilanza con la Tripla Consapevolezza.' }
+        },
+        'hook-breathing': {
+            name: 'Hook Breathing',
+            description: 'Tecnica di recupero dopo l\'apnea in 3 round progressivi',
+            instructions: { start: 'Hook breathing: la tecnica di recupero essenziale. 3 round progressivi per automatizzare questo riflesso vitale.' }
+        },
+        'breathe-up-structure': {
+            name: 'Breathe-up strutturato',
+            description: 'Preparazione pre-immersione in 3 fasi: tidal, segmentale, inspirazione finale',
+            instructions: { start: 'Breathe-up strutturato: preparazione ottimale in 3 fasi per massimizzare le riserve senza iperventilare.' }
+        },
+        'contraction-tolerance': {
+            name: 'Tolleranza alle contrazioni',
+            description: 'Apnea con monitoraggio delle contrazioni e coaching di reframing',
+            instructions: {
+                start: 'Tolleranza alle contrazioni. Premi il pulsante "Contrazione" a ogni spasmo. Impareremo ad accettarle.',
+                breathe: 'Recupera. Respira con calma per 2 minuti.',
+                hold: 'Trattieni il respiro. Premi "Contrazione" a ogni spasmo.',
+                contraction: 'Contrazione registrata. Resta calmo. È normale.'
+            },
+            reframingCues: [
+                'È il tuo diaframma che si allunga. È normale. Sei al sicuro.',
+                'Questa sensazione è un segnale, non un pericolo. Il tuo corpo la gestisce perfettamente.',
+                'Ogni contrazione è un\'onda. Lasciala passare. Sei più forte di lei.',
+                'Rilassa la mandibola. Rilassa le spalle. Una contrazione non ha bisogno di tensione.',
+                'Osserva la contrazione come uno spettatore. Sale, passa. Tu resti calmo.',
+                'La tua SpO2 è ancora ottima. Hai molto margine. Fidati del tuo corpo.'
+            ]
+        },
+        'passive-breath-hanger': {
+            name: 'Passive Breath Hanger',
+            description: 'Apnea statica all\'80% — sospensione su un volume intermedio con rilascio profondo della glottide (Molchanovs / Néry)',
+            instructions: {
+                start: 'Passive Breath Hanger. Inspira fino a circa l\'80% della tua capacità, non al massimo. Rilassa completamente la gola.',
+                prep: 'Preparazione. Doppio sospiro: inspira profondamente, breve sniff, espira lentamente. Rilassa tutto.',
+                inhale: 'Inspira dolcemente fino all\'80%. Senti i polmoni pieni per tre quarti. Nessuna sovraestensione.',
+                hold: 'Sospensione. Glottide aperta. Lascia arrivare le contrazioni senza opporti. Il timer corre.',
+                exhale: 'Espira molto lentamente a labbra socchiuse. Allungala il più possibile.',
+                rest: 'Recupera. Respira in modo naturale. Preparati al ciclo successivo.',
+                complete: 'Ottimo lavoro. Annota qui sotto le tue sensazioni per seguire la tua progressione.'
+            }
+        },
+        'body-scan-apnea': {
+            name: 'Body scan apnea',
+            description: 'Apnea guidata con body scan per spostare l\'attenzione durante l\'apnea',
+            instructions: {
+                start: 'Body scan durante l\'apnea. La scansione allontana la tua attenzione dallo stimolo a respirare.',
+                breathe: 'Respira con calma. Preparati al ciclo successivo.',
+                hold: 'Trattieni. Segui il body scan. Lasciati guidare.'
+            }
+        },
+        // Protocoles chasse / W&B Up (CHASSE_PROTOCOLS)
+        'chasse-terre': {
+            name: 'Arrivo in spiaggia — Recupero dopo la vestizione',
+            description: 'Dopo aver trasportato l\'attrezzatura e indossato la muta. Porta la FC sotto i 75 bpm prima di entrare in acqua.',
+            instructions: {
+                start: 'Siediti o sdraiati dopo la vestizione. Respirazione calma e naturale.',
+                'Normoventilation': 'Inspira 3 s dal naso, espira 5 s dalla bocca. Non forzare nulla.'
+            },
+            phaseInstructions: [
+                'Siediti o sdraiati. Respirazione naturale e passiva: inspira 3 s dal naso, espira 5 s dalla bocca. Non forzare nulla.'
+            ]
+        },
+        'chasse-eau': {
+            name: 'Acclimatamento in acqua — Primi minuti',
+            description: 'Ingresso graduale in acqua e attivazione del riflesso d\'immersione prima delle prime apnee.',
+            instructions: {
+                start: 'Entra lentamente in acqua. Attiva il riflesso d\'immersione.',
+                'Entrée progressive': 'Metti il viso in acqua per 2-3 secondi. Respira normalmente.',
+                'Flottaison calme': 'Distenditi a pancia in giù. Respira nel boccaglio.',
+                'Respiration diaphragmatique': 'Inspira 4 s → pausa 1 s → espira 6-8 s. Rilassati.'
+            },
+            phaseInstructions: [
+                'Entra lentamente in acqua. Metti il viso in acqua per 2-3 secondi per attivare il riflesso d\'immersione. Respira normalmente.',
+                'Distenditi a pancia in giù, maschera in acqua, boccaglio in bocca. Non guardare ancora il fondo. Respira nel boccaglio.',
+                '4-6 cicli: inspira 4 s (la pancia si gonfia) → pausa 1 s → espira 6-8 s (passiva, lenta). Occhi socchiusi. Rilassamento progressivo.'
+            ]
+        },
+        'chasse-breatheup': {
+            name: 'Breathe-up prima della discesa',
+            description: 'Lo stesso protocollo prima di ogni discesa. 90 secondi di preparazione ottimale.',
+            instructions: {
+                start: '90 secondi di preparazione ottimale prima della discesa.',
+                'Centrage': 'Resta immobile. Chiudi gli occhi. Rilassamento progressivo.',
+                'Breathe-up diaphragmatique': 'Inspira 5 s → pausa 1-2 s → espira 10 s. Corpo rilassato.',
+                'Cycle final': 'UNA grande inspirazione in 3 livelli. Capovolta subito.'
+            },
+            phaseInstructions: [
+                'Fermati. Resta immobile. Chiudi gli occhi. Rilassamento progressivo: piedi → polpacci → cosce → addome → spalle → mandibola. 3 respiri calmi.',
+                'Inspira 5 s (diaframma, la pancia si gonfia) → pausa 1-2 s → espirazione lenta e passiva di 10 s. Ripeti 2-3 volte. Corpo rilassato.',
+                'UNA grande espirazione (esce l\'80-90% dell\'aria) → UNA grande inspirazione in 3 livelli: pancia → costole → spalle. Capovolta subito.'
+            ]
+        },
+        'chasse-fond': {
+            name: 'Tecnica sul fondo — Aspetto',
+            description: 'Risparmia O₂ il più possibile. La tensione muscolare è il tuo primo nemico.'
+        },
+        'chasse-recup': {
+            name: 'Recupero in superficie',
+            description: 'Tra un\'apnea e l\'altra. Rispettare il tempo di recupero conta quanto l\'immersione stessa.',
+            instructions: {
+                start: 'Recupero tra le apnee. Il tempo di recupero conta quanto l\'immersione.',
+                'Expirations actives': '4-5 espirazioni forzate poi inspirazioni normali. Stabilizzati in superficie.',
+                'Normoventilation horizontale': 'RESTA ORIZZONTALE. Respirazione normale nel boccaglio.'
+            },
+            phaseInstructions: [
+                '4-5 ESPIRAZIONI ATTIVE forzate (soffia forte per eliminare la CO₂ residua), poi inspirazioni normali. Stabilizzati in superficie, vie aeree fuori dall\'acqua.',
+                'RESTA ORIZZONTALE — nuotare in superficie consuma il 30-40% di O₂ in più. Respirazione normale nel boccaglio. Non fissare la tua zona di pesca (evita l\'attivazione simpatica).'
+            ]
+        },
+        'statique-prep': {
+            name: 'Preparazione apnea statica',
+            description: 'Protocollo completo prima di una statica. Coerenza cardiaca → breathe-up → last breath.',
+            instructions: {
+                start: 'Protocollo completo prima di una statica. Coerenza → breathe-up → last breath.',
+                'Cohérence cardiaque': 'Inspira 5 s → espira 5 s. Diaframmatica, occhi chiusi. FC obiettivo < 65 bpm.',
+                'Breathe-up (PFI)': 'Inspira 2-5 s → pausa 1-2 s → espira 8-10 s. Corpo rilassato. 2 min al massimo.',
+                'Last breath complet': 'Pancia → costole → spalle. Fluido, 4-5 s. TLC 100%. Glottide chiusa.'
+            },
+            phaseInstructions: [
+                'Sdraiato. Inspira 5 s → espira 5 s. Diaframmatica, occhi chiusi. Attiva il sistema parasimpatico. FC obiettivo < 65 bpm.',
+                'Inspira 2-5 s → pausa 1-2 s → espirazione molto lenta e passiva di 8-10 s. 4 cicli/min. Corpo rilassato. PaCO₂ stabile. 2 min al massimo.',
+                '1. La pancia si gonfia (lobi inferiori) → 2. Le costole si aprono (lobi medi) → 3. Le spalle salgono leggermente (apici). Fluido, 4-5 s. TLC 100%. Glottide chiusa → apnea.'
+            ]
+        },
+        'dynamique-prep': {
+            name: 'Preparazione apnea dinamica',
+            description: 'Protocollo adattato alla dinamica. Breathe-up più lungo, last breath al 90-95% della TLC.',
+            instructions: {
+                start: 'Protocollo adattato alla dinamica. Breathe-up più lungo, last breath al 90-95% della TLC.',
+                'Cohérence cardiaque': 'Inspira 5 s → espira 5 s. Al bordo, a riposo. FC obiettivo < 65 bpm.',
+                'Breathe-up (3 min)': 'Inspira 5 s → pausa 1-2 s → espira 10 s. Più lungo che in statica.',
+                'Last breath 90-95%': 'Pancia → costole → spalle. FERMATI al 90-95% del massimo.'
+            },
+            phaseInstructions: [
+                'Al bordo, a riposo. Inspira 5 s → espira 5 s. Diaframmatica. Niente riscaldamento intenso subito prima (alza il metabolismo basale). FC obiettivo < 65 bpm.',
+                'Inspira 5 s → pausa 1-2 s → espira 10 s. Più lungo che in statica: la nuotata produrrà più CO₂. Corpo immobile, orizzontale se possibile.',
+                '1. La pancia si gonfia → 2. Le costole si aprono → 3. Le spalle salgono — ma FERMATI al 90-95% del massimo. Non il massimo assoluto: evita tensioni e resistenza. Spinta → nuotata.'
+            ]
+        },
+        'profondeur-prep': {
+            name: 'Preparazione apnea in profondità',
+            description: 'Protocollo completo per l\'apnea in profondità. Breathe-up meditativo + last breath TLC 100%.',
+            instructions: {
+                start: 'Protocollo completo per l\'apnea in profondità. Breathe-up meditativo + last breath TLC 100%.',
+                'Cohérence + méditation': 'Inspira 5 s → espira 5 s. Occhi chiusi. Stato semi-meditativo. FC obiettivo < 60 bpm.',
+                'Breathe-up profond': 'Inspira 5 s → pausa 1-2 s → espira 10 s. Il più lento delle 3 discipline.',
+                'Last breath TLC 100%': 'Pancia → costole → spalle, gola ben aperta. MASSIMO fisiologico.'
+            },
+            phaseInstructions: [
+                'Idealmente galleggiando sulla schiena. Inspira 5 s → espira 5 s. Occhi chiusi. Visualizza la tua immersione: cima, virate, comportamento. Stato semi-meditativo. FC obiettivo < 60 bpm.',
+                'Inspira 5 s → pausa 1-2 s → espira 10 s. Il più lento e meditativo delle 3 discipline. Alcuni atleti: fino a 5 min. Lascia guidare il corpo.',
+                '1. La pancia si gonfia (lobi inferiori) → 2. Le costole si aprono (lobi medi) → 3. Le spalle salgono, gola ben aperta (apici). MASSIMO fisiologico. Discesa fluida e verticale.'
+            ]
+        }
+    },
+
+    protocols: {
+        'chasse-terre': {
+            title: 'Recupero dopo la vestizione',
+            phases: [
+                { label: 'Normoventilazione', instruction: 'Siediti o sdraiati. Respirazione naturale: inspira 3 s dal naso, espira 5 s dalla bocca. Obiettivo: FC < 75 bpm prima di entrare in acqua.' }
+            ]
+        },
+        'chasse-eau': {
+            title: 'Acclimatamento in acqua',
+            phases: [
+                { label: 'Ingresso graduale', instruction: 'Entra lentamente in acqua. Metti il viso in acqua per 2-3 secondi. Respirazione normale — attiva il riflesso d\'immersione.' },
+                { label: 'Galleggiamento calmo', instruction: 'Distenditi a pancia in giù, maschera in acqua, boccaglio in bocca. Non guardare ancora il fondo. Respirazione calma.' },
+                { label: 'Respirazione diaframmatica', instruction: 'Inspira 4 s (la pancia si gonfia) → Pausa 1 s → Espirazione passiva di 6-8 s. Occhi socchiusi. Rilassamento progressivo. La milza si pre-contrae.' }
+            ]
+        },
+        'chasse-breatheup': {
+            title: 'Breathe-up prima della discesa',
+            phases: [
+                { label: 'Centratura', instruction: 'Fermati. Chiudi gli occhi. Rilassamento progressivo: piedi → polpacci → cosce → addome → spalle → mandibola.' },
+                { label: 'Breathe-up (espirazione 10 s)', instruction: 'Inspira 5 s → Pausa 1-2 s → Espirazione lenta e passiva di 10 s. 2-3 cicli. Corpo rilassato. Diaframma.' },
+                { label: 'Visualizzazione', instruction: 'Visualizza la tua discesa: cima, compensazione, fondo. Preparati al ciclo finale.' },
+                { label: 'Ciclo finale — Espirazione', instruction: 'Grande espirazione: esce l\'80-90% dell\'aria, lentamente.' },
+                { label: 'Last breath — Inspirazione', instruction: 'Grande inspirazione in 3 livelli: pancia → costole → spalle. TLC 100%. Capovolta subito!' }
+            ]
+        },
+        'statique-coherence': {
+            title: 'Coerenza cardiaca — Statica',
+            phases: [
+                { label: 'Coerenza cardiaca', instruction: 'Inspira 5 s / Espira 5 s. Diaframmatica. Occhi chiusi. Sdraiato se possibile. FC obiettivo < 65 bpm.' }
+            ]
+        },
+        'statique-prep': {
+            title: 'Preparazione apnea statica',
+            phases: [
+                { label: 'Coerenza cardiaca', instruction: 'Inspira 5 s / Espira 5 s. Diaframmatica. Occhi chiusi. Sdraiato. FC obiettivo < 65 bpm.' },
+                { label: 'Breathe-up PFI', instruction: 'Inspira 2-5 s → Pausa 1-2 s → Espirazione lenta e passiva di 8-10 s. 4 cicli/min. Corpo rilassato.' },
+                { label: 'Espirazione 80-90%', instruction: 'Grande espirazione passiva: esce l\'80-90% dell\'aria.' },
+                { label: 'Last breath — TLC 100%', instruction: 'Pancia → Costole → Spalle. Fluido, 4-5 s. TLC 100%. Glottide chiusa.' }
+            ]
+        },
+        'dynamique-coherence': {
+            title: 'Coerenza cardiaca — Dinamica',
+            phases: [
+                { label: 'Coerenza cardiaca', instruction: 'Al bordo, immobile. Inspira 5 s / Espira 5 s. Diaframmatica. FC obiettivo < 65 bpm.' }
+            ]
+        },
+        'dynamique-prep': {
+            title: 'Preparazione apnea dinamica',
+            phases: [
+                { label: 'Coerenza cardiaca', instruction: 'Al bordo, immobile. Inspira 5 s / Espira 5 s. Corpo rilassato. FC obiettivo < 65 bpm.' },
+                { label: 'Breathe-up lungo', instruction: 'Inspira 5 s → Pausa 1-2 s → Espira 10 s. Più lungo che in statica. Orizzontale se possibile.' },
+                { label: 'Espirazione', instruction: 'Grande espirazione dolce.' },
+                { label: 'Last breath — 90-95% TLC', instruction: 'Pancia → Costole → Petto. FERMATI al 90-95% del massimo. Spinta → nuotata.' }
+            ]
+        },
+        'profondeur-coherence': {
+            title: 'Coerenza meditativa — Profondità',
+            phases: [
+                { label: 'Coerenza + meditazione', instruction: 'Galleggiando sulla schiena. Inspira 5 s / Espira 5 s. Occhi chiusi. Visualizza la tua immersione. FC obiettivo < 60 bpm.' }
+            ]
+        },
+        'profondeur-prep': {
+            title: 'Preparazione apnea in profondità',
+            phases: [
+                { label: 'Coerenza meditativa', instruction: 'Galleggiando sulla schiena. Inspira 5 s / Espira 5 s. Occhi chiusi. Visualizza tutta la tua immersione. FC obiettivo < 60 bpm.' },
+                { label: 'Breathe-up profondo', instruction: 'Inspira 5 s → Pausa 1-2 s → Espira 10 s. Il più lento e meditativo.' },
+                { label: 'Espirazione', instruction: 'Grande espirazione lenta.' },
+                { label: 'Last breath — TLC 100%', instruction: 'Pancia → Costole → Petto. MASSIMO fisiologico. Gola ben aperta. Compensa da 0,5 m.' }
+            ]
+        }
+    },
+
+    guide: {
+        'cyclic-sighing': {
+            science: "Il doppio sospiro sfrutta un meccanismo riflesso: la seconda inspirazione breve riapre gli alveoli collassati (atelettasie) e massimizza la superficie di scambio gassoso. La lunga espirazione che segue attiva il nervo vago attraverso i barocettori aortici, provocando un calo immediato della frequenza cardiaca e del cortisolo. Studio di Stanford 2023 (Balban et al.): 5 minuti al giorno riducono lo stress del 56 % in più rispetto alla meditazione mindfulness.",
+            practice: [
+                "Siediti o sdraiati comodamente, con gli occhi chiusi",
+                "Inspira profondamente dal naso (2 s) fino a riempire i polmoni per due terzi",
+                "Senza espirare, fai una seconda inspirazione breve e secca (1 s) per riempirli completamente",
+                "Espira molto lentamente dalla bocca (6 s), svuotando del tutto i polmoni",
+                "Ripeti per 5 minuti: l'effetto si sente dal primo ciclo, ma si accumula"
+            ]
+        },
+        'coherent': {
+            science: "A esattamente 5,5 respiri al minuto, la variabilità della frequenza cardiaca (HRV) entra in risonanza con il baroriflesso arterioso. Questo accoppiamento cardiorespiratorio ottimizza l'equilibrio simpatico/parasimpatico e riduce il cortisolo del 23 %. La frequenza di risonanza individuale varia tra 4,5 e 6,5 cicli/min, ma 5,5 è l'ottimo medio convalidato dall'HeartMath Institute.",
+            practice: [
+                "Siediti con la schiena dritta e i piedi appoggiati a terra",
+                "Inspira dal naso per 5,5 secondi, gonfiando la pancia",
+                "Espira dal naso o dalla bocca per 5,5 secondi, senza forzare",
+                "Mantieni un ritmo fluido e regolare, senza pause tra le fasi",
+                "Pratica 10 minuti al mattino e alla sera per un effetto duraturo sull'HRV"
+            ]
+        },
+        'box': {
+            science: "La respirazione quadrata 4-4-4-4 aumenta il tono vagale imponendo un ritmo lento e simmetrico al sistema nervoso autonomo. Le apnee (a polmoni pieni e vuoti) aumentano la pressione parziale di CO2, sviluppando la tolleranza alla CO2 e migliorando la vasodilatazione cerebrale. Tecnica adottata dai Navy SEAL per mantenere la lucidità mentale sotto stress estremo.",
+            practice: [
+                "Siediti dritto, spalle rilassate, mani sulle cosce",
+                "Inspira dal naso per 4 secondi",
+                "Trattieni a polmoni pieni per 4 secondi, corpo rilassato",
+                "Espira lentamente per 4 secondi",
+                "Trattieni a polmoni vuoti per 4 secondi, senza irrigidirti"
+            ]
+        },
+        'co2-tolerance': {
+            science: "La respirazione lenta 1:2 (4 s di inspirazione / 8 s di espirazione) agisce soprattutto sul sistema nervoso autonomo attraverso il nervo vago: massimizza la variabilità della frequenza cardiaca (HRV) e attiva il freno parasimpatico. Contrariamente a quanto si dice spesso, questo protocollo non crea un'ipercapnia significativa né desensibilizza i chemocettori: la lunga espirazione elimina la CO2 invece di accumularla. È un ottimo strumento di regolazione nervosa e di preparazione mentale prima dell'apnea, ma non un allenamento CO2 in senso fisiologico. Per una vera desensibilizzazione dei chemocettori, vedi l'Ipoventilazione VHL (Woorons).",
+            practice: [
+                "Seduto o sdraiato, occhi chiusi, corpo rilassato",
+                "Inspira dolcemente dal naso (4 s), senza bisogno di riempirti del tutto",
+                "Espira molto lentamente dal naso (8 s), lascia uscire l'aria in modo passivo",
+                "Mantieni questo ritmo regolare per 5 minuti: è una pratica calmante, non uno sforzo",
+                "Ideale 10-15 min prima di una sessione di apnea per calmare il sistema nervoso"
+            ]
+        },
+        'co2-vhl': {
+            science: "La VHL (Ipoventilazione Volontaria a Basso Volume Polmonare, Woorons 2017-2025) è oggi il protocollo CO2 con la maggiore validazione scientifica. Facendo pause a fine espirazione, con i polmoni mezzi vuoti (~40 % della capacità vitale), si crea una vera ipercapnia (la PCO2 passa da 40 a ~55 mmHg) senza ipossia pericolosa. Kapus et al. (PMC3873666, 6 settimane, 3 volte/settimana): −45 % di sensibilità ventilatoria alla CO2 (p=0,03, d=2,81 = effetto molto grande). I chemocettori centrali del bulbo si ricalibrano: le contrazioni diaframmatiche arrivano più tardi e con meno intensità. È il protocollo dominante nei programmi AIDA e Molchanovs. Supera le tabelle CO2 classiche perché crea uno stimolo ipercapnico puro, senza ipossia associata.",
+            practice: [
+                "Siediti comodamente con la schiena dritta. Inizia con 2 min di respirazione normale",
+                "Respira normalmente 3 volte (inspirazione ed espirazione naturali)",
+                "Alla 3ª espirazione: espira normalmente (non del tutto, polmoni mezzi vuoti), poi fai una PAUSA di 5 s mantenendo i polmoni a questo livello basso",
+                "Rifai 3 respiri normali, poi ripeti la pausa. Ciclo: 3 respiri → 1 pausa × 5 cicli",
+                "Recupera con 4 respiri liberi tra le serie. Aggiungi +1 s di pausa a settimana (5 s → 6 s → 7 s). Il disagio della CO2 durante la pausa è lo stimolo: osservalo senza cedere"
+            ]
+        },
+        'co2-vhl-static': {
+            science: "La VHL statica estende il principio della VHL CO2 con una pausa in CFR molto più lunga (20 s e oltre). In CFR (Capacità Funzionale Residua, la posizione di riposo naturale del torace a ~40 % della CV), la CO2 si accumula in fretta perché la riserva di gas residuo è piccola. Una pausa di 20 s in CFR produce ipercapnia (PCO2 ~60-65 mmHg) e una lieve ipossia (PO2 ~85-90 mmHg), una combinazione che simula efficacemente le condizioni di una vera statica. Rilassare la gola (glottide aperta, metodo Molchanovs/Néry) riduce il segnale d'allarme della CO2: la pressione percepita cala mentre il carico fisiologico resta lo stesso. La preparazione con sospiri ciclici (Huberman/Stanford 2023) predispone il sistema nervoso autonomo a restare calmo sotto lo stress della CO2.",
+            practice: [
+                "Prerequisito: padroneggiare la VHL CO2 standard per almeno 4 settimane prima di iniziare questo protocollo",
+                "Sospiri ciclici (3 min): inspira a fondo, aggiungi una breve inspirazione in cima, poi espira molto lentamente dal naso. Ripeti. Questo attiva il nervo vago e calma il riflesso di panico da CO2",
+                "Pausa VHL: alla fine di un'espirazione naturale (il torace si rilascia passivamente, NON svuotare del tutto), trattieni il respiro",
+                "Durante la pausa: gola aperta (prova a deglutire; se ci riesci, sei rilassato), mascella sciolta, mani aperte. Osserva il disagio della CO2 come una sensazione neutra, non come una minaccia",
+                "Premi ✋ Fine quando raggiungi il tuo limite, oppure lascia finire il conto alla rovescia",
+                "Recupero: esattamente il numero di respiri impostato, non uno di più. L'ipercapnia portata da un ciclo all'altro è l'allenamento",
+                "Annota il tuo gorgeScore (1-5) dopo ogni sessione: è il tuo principale indicatore di progresso"
+            ]
+        },
+        'wimhof': {
+            science: "L'iperventilazione controllata provoca un'alcalosi respiratoria temporanea (il pH del sangue sale) e un forte calo della CO2, che sopprime il bisogno di respirare durante l'apnea. Durante l'apnea a polmoni vuoti viene rilasciata adrenalina, che attiva il sistema immunitario innato. Studio dell'Università di Radboud 2014 (Kox et al.): i praticanti hanno mostrato una risposta immunitaria modulata con meno sintomi infiammatori.",
+            practice: [
+                "Sdraiati in un luogo sicuro (mai in acqua né in auto)",
+                "30 respiri profondi: inspira a fondo dal naso o dalla bocca e lascia andare passivamente",
+                "Dopo la 30ª espirazione, trattieni a polmoni vuoti finché ti resta comodo",
+                "Quando arriva il bisogno di respirare, inspira a fondo e trattieni per 15 secondi",
+                "Ripeti 3 round: le apnee si allungano naturalmente a ogni round"
+            ]
+        },
+        'relaxation': {
+            science: "L'apnea di 7 secondi a polmoni pieni aumenta la pressione intratoracica e stimola il nervo vago attraverso i barocettori. L'espirazione di 8 secondi prolunga l'attivazione parasimpatica. Questo rapporto specifico, ideato dal Dr. Andrew Weil, agisce come un tranquillante naturale del sistema nervoso. Con la pratica, l'effetto sedativo si rafforza per condizionamento pavloviano.",
+            practice: [
+                "Appoggia la punta della lingua dietro gli incisivi superiori",
+                "Inspira in silenzio dal naso per 4 secondi",
+                "Trattieni il respiro per 7 secondi",
+                "Espira completamente dalla bocca con un suono 'whoosh' per 8 secondi",
+                "All'inizio, massimo 4 cicli. Passa a 8 cicli dopo 4 settimane di pratica"
+            ]
+        },
+        'co2-table': {
+            science: "La riduzione progressiva del recupero tra apnee di durata fissa costringe i chemocettori centrali (nel bulbo) a lavorare con livelli di CO2 crescenti. Questo sovraccarico progressivo ricalibra la soglia che scatena le contrazioni diaframmatiche. Dopo 4-6 settimane di allenamento regolare, la soglia della prima contrazione si sposta in avanti in modo significativo, permettendo apnee più lunghe e più comode.",
+            practice: [
+                "Determina la tua migliore apnea personale (PB). L'apnea è fissata al 50 % del tuo PB",
+                "Inizia con 1 min 45 di recupero, poi riducilo di 15 s a ogni ciclo (8 cicli)",
+                "Resta completamente rilassato durante ogni apnea, mascella sciolta",
+                "Respira con calma tra le apnee, senza iperventilare",
+                "Pratica 2-3 volte a settimana, a secco. Non superare mai il tempo impostato"
+            ]
+        },
+        'o2-table': {
+            science: "Il recupero costante di 2 minuti garantisce un ripristino completo della SpO2 tra le apnee, mentre la durata crescente delle apnee espone gradualmente l'organismo a livelli di ossigeno più bassi (ipossia controllata). Questo stimola la produzione di eritropoietina (EPO) e l'angiogenesi, migliorando il trasporto dell'ossigeno a lungo termine, in modo simile all'allenamento in quota.",
+            practice: [
+                "Recupero costante di 2 minuti tra le apnee",
+                "Inizia al 30 % del tuo PB e aggiungi il 5-10 % a ogni ciclo (8 cicli)",
+                "Respira normalmente durante i recuperi, senza iperventilare",
+                "Se un'apnea è troppo difficile, ripeti lo stesso gradino al ciclo successivo",
+                "Pratica 1-2 volte a settimana: più impegnativo delle tabelle CO2, rispetta la fatica"
+            ]
+        },
+        'no-contraction': {
+            science: "Fermando sempre l'apnea PRIMA della prima contrazione diaframmatica, il cervello associa l'apnea a un'esperienza positiva e controllata anziché a una lotta. Questo condizionamento positivo riduce l'ansia anticipatoria e costruisce una base di fiducia essenziale. I principianti che iniziano con questo metodo progrediscono più in fretta nel lungo periodo rispetto a chi forza fin dall'inizio.",
+            practice: [
+                "Fai 6 apnee brevi con 1 minuto di recupero tra l'una e l'altra",
+                "Fermati SUBITO al primo leggero bisogno di respirare",
+                "Non cercare mai la prestazione: l'obiettivo è il comfort totale",
+                "Annota i tuoi tempi: saliranno naturalmente con le settimane",
+                "Il metodo ideale per iniziare o per riprendere dopo una pausa"
+            ]
+        },
+        'comfort-zone': {
+            science: "L'allenamento in zona di comfort si basa sul condizionamento positivo: fermandosi PRIMA di qualsiasi sensazione sgradevole, il cervello associa l'apnea a un'esperienza piacevole e controllata. Paradossalmente, questo approccio senza forzare produce progressi più duraturi dell'allenamento nel disagio. La tolleranza alla CO2 aumenta naturalmente per esposizione ripetuta sotto la soglia del disagio. Studi sull'adattamento fisiologico: la soglia ventilatoria migliora dell'8-12 % al mese con questo metodo, contro il 15 % forzando, ma con un plateau più precoce e un rischio maggiore di avversione.",
+            practice: [
+                "Inspira profondamente e con calma, poi trattieni il respiro",
+                "Il cronometro sale: NON guardarlo durante l'apnea",
+                "Al MINIMO disagio (bisogno di respirare, tensione, malessere), premi ✋ Stop",
+                "5 round con 2 minuti di recupero tra l'uno e l'altro: respira con calma durante il recupero",
+                "L'app registra ogni sessione: i tuoi progressi naturali emergeranno con le settimane",
+                "Consiglio: chiudi gli occhi e concentrati sul rilassamento muscolare durante l'apnea"
+            ]
+        },
+        'comfort-zone-frc': {
+            science: "L'apnea in CFR (Capacità Funzionale Residua) si fa dopo un'espirazione normale, quando i polmoni contengono circa 2,5 L di aria residua invece dei 6 L dopo un'inspirazione massima. Con meno ossigeno disponibile, la PaCO2 sale più in fretta e il disagio arriva prima (di solito al 40-60 % del tempo a polmoni pieni). Questo allenamento è particolarmente efficace per la tolleranza alla CO2 perché lo stimolo è più intenso. Gli apneisti d'élite usano tabelle in CFR per accelerare l'adattamento dei chemocettori. Nota: i tuoi tempi saranno naturalmente più brevi, è normale e previsto.",
+            practice: [
+                "Respira con calma durante la fase di preparazione (60 s per impostazione predefinita)",
+                "Alla fine della preparazione, espira NORMALMENTE (non un'espirazione forzata!) poi trattieni",
+                "Il cronometro sale: fermati al minimo disagio con ✋ Stop",
+                "I tuoi tempi saranno più brevi del 40-60 % rispetto ai polmoni pieni: è normale!",
+                "5 round con 2 minuti di recupero: il recupero è lo stesso",
+                "Padroneggia prima la Zona di Comfort a polmoni pieni prima di passare alla CFR"
+            ]
+        },
+        'contraction-tolerance': {
+            science: "Le contrazioni diaframmatiche non segnalano una mancanza di ossigeno pericolosa, ma il raggiungimento di una soglia di CO2. La reinterpretazione cognitiva (reframing) trasforma la minaccia percepita in un segnale neutro. Studi di psicologia dello sport: questa tecnica di reframing riduce l'ansia del 35 % e allunga le apnee del 15-25 %. Un programma progressivo di 6 settimane per ricalibrare la tua risposta emotiva alle contrazioni.",
+            practice: [
+                "Settimane 1-2: fermati 10 s dopo la 1ª contrazione. Settimane 3-4: 15 s. Settimane 5-6: 30 s",
+                "Premi il pulsante 'Contrazione' a ogni spasmo per registrarlo",
+                "Ascolta i messaggi di reframing: le contrazioni sono un segnale, non un pericolo",
+                "4 apnee per sessione con 2 minuti di recupero tra l'una e l'altra",
+                "Rilassamento totale durante le contrazioni: mascella, spalle, mani aperte"
+            ]
+        },
+        'body-scan-apnea': {
+            science: "La teoria del controllo del cancello (Melzack e Wall) mostra che l'attenzione diretta verso zone neutre del corpo riduce la percezione delle sensazioni sgradevoli. Guidando l'attenzione zona per zona durante l'apnea, il cervello impiega le sue risorse attentive su stimoli non minacciosi, riducendo del 20 % il bisogno di respirare percepito.",
+            practice: [
+                "3 cicli di apnea al 40 %, 50 % e poi 60 % del tuo PB",
+                "Durante l'apnea, segui lo scan corporeo guidato attraverso 10 zone",
+                "Verso la fine dell'apnea lo scan accelera per occupare l'attenzione in modo più intenso",
+                "Respira con calma durante i recuperi di 2 minuti tra i cicli",
+                "Con la pratica riuscirai a fare lo scan da solo, senza guida"
+            ]
+        },
+        'hook-breathing': {
+            science: "Dopo un'apnea lunga la SpO2 può calare rapidamente (ipossia di risalita). La respirazione a uncino (hook breathing) mantiene una pressione intratoracica positiva bloccando la glottide dopo ogni inspirazione, il che rallenta il calo della SpO2 e previene il blackout (sincope ipossica). Studi militari: questa tecnica dimezza il tempo di recupero della SpO2.",
+            practice: [
+                "Subito dopo ogni apnea: inspira profondamente dalla bocca",
+                "Chiudi la glottide pronunciando mentalmente 'K', spingi il diaframma verso il basso e mantieni 2-3 s",
+                "Espira lentamente, poi ripeti subito",
+                "Almeno 3 respiri a uncino dopo OGNI apnea, anche breve",
+                "Esercitati in 3 round progressivi (lento → normale → veloce) finché diventa automatico"
+            ]
+        },
+        'dive-reflex': {
+            science: "Il riflesso di immersione dei mammiferi è un arco riflesso trigemino-vagale: immergere il viso in acqua fredda (10-15 °C) stimola il nervo trigemino, che attiva il nervo vago e provoca bradicardia (un calo del 10-25 % della FC), vasocostrizione periferica e uno spostamento del sangue verso gli organi vitali. Gli apneisti allenati arrivano a 20-24 bpm contro 40-60 bpm nei non allenati.",
+            practice: [
+                "Prepara una bacinella di acqua fredda (10-15 °C) o usa una doccia fredda sul viso",
+                "Respira con calma per 1-2 minuti per abbassare la FC",
+                "Inspira, trattieni e immergi il viso nell'acqua per 20-30 secondi",
+                "3 immersioni progressive (20 s, 30 s, 40 s) con 1 minuto di recupero",
+                "Annota la FC prima e dopo: la bradicardia migliora con l'allenamento"
+            ]
+        },
+        'diaphragm': {
+            science: "La respirazione diaframmatica in 3 fasi (addominale, costale, clavicolare) sfrutta tutta la capacità polmonare, a differenza della respirazione toracica superficiale che ne usa solo il 30-40 %. Il diaframma, principale muscolo inspiratorio, scende da 1 a 10 cm durante un'inspirazione completa. Allenarlo in modo specifico aumenta la capacità vitale e il volume corrente: la base di ogni pratica di apnea.",
+            practice: [
+                "Sdraiati con una mano sulla pancia e una sul petto",
+                "Fase 1: gonfia la pancia come un palloncino (4 s); la mano sul petto non si muove",
+                "Fase 2: senza espirare, apri le costole lateralmente (3 s)",
+                "Fase 3: solleva leggermente il petto (2 s), poi fai una pausa di 1 s",
+                "Espira passivamente in 8 secondi, rilasciando in ordine inverso"
+            ]
+        },
+        'lung-stretch': {
+            science: "La flessibilità toracica è un fattore limitante nell'apnea in profondità: in discesa il volume polmonare si comprime secondo la legge di Boyle (dimezzato a 10 m, un terzo a 20 m). Uddiyana Bandha (la chiusura addominale) crea una pressione intratoracica negativa che allunga i tessuti intercostali e il diaframma. In 8 settimane la capacità vitale può aumentare da 0,5 a 1 litro.",
+            practice: [
+                "Pratica a stomaco vuoto (senza mangiare da almeno 2 h)",
+                "Riscaldamento: 5 respiri profondi per mobilizzare il torace",
+                "Allungamenti laterali: inspira a fondo, braccia sopra la testa, inclinati di lato e mantieni 15-20 s",
+                "Uddiyana Bandha: espira del tutto, chiudi la glottide, risucchia l'addome verso l'interno e verso l'alto, 10-15 s",
+                "3 ripetizioni per ciascuno: progredisci con molta gradualità per evitare lesioni intercostali"
+            ]
+        },
+        'breathe-up-structure': {
+            science: "Il breathe-up strutturato in 3 fasi ottimizza la saturazione di ossigeno (SpO2) senza iperventilare; l'iperventilazione provocherebbe un'ipocapnia pericolosa che maschera il bisogno di respirare e aumenta il rischio di blackout. La fase di respirazione corrente 1:2 attiva il sistema parasimpatico. La fase segmentale massimizza il volume polmonare. L'inspirazione finale in 3 fasi riempie il 100 % della capacità. Protocollo usato da campioni del mondo.",
+            practice: [
+                "Fase 1 (2,5 min): respirazione corrente 1:2, inspira 4 s dal naso, espira 8 s dalla bocca",
+                "Fase 2 (1 min): respiri segmentali in 3 fasi (pancia → costole → petto), espira lentamente",
+                "Fase 3 (30 s): inspirazione finale pancia 4 s + costole 3 s + petto 2 s, polmoni completamente pieni",
+                "MAI iperventilare: mantieni un ritmo lento e controllato",
+                "Usa questo protocollo prima di OGNI apnea in acqua"
+            ]
+        },
+        'preperf-protocol': {
+            science: "Questo protocollo combina 3 tecniche convalidate in psicologia dello sport: rilassamento muscolare rapido (riduce le tensioni residue), coerenza cardiaca breve (sincronizza il sistema nervoso autonomo in 2-3 min) e visualizzazione mirata (attiva i circuiti motori ed emotivi). Concatenarle in 5 minuti crea uno stato ottimale di 'calma vigile' per la prestazione.",
+            practice: [
+                "Chiudi gli occhi, scorri rapidamente il corpo e rilascia: mascella, spalle, mani (30 s)",
+                "Respira in coerenza cardiaca 5 s/5 s per 1,5 minuti",
+                "Visualizza la tua prestazione perfetta in ogni dettaglio (1 min)",
+                "Scegli una parola àncora ('focus', 'calma', 'vai') e ripetila 3 volte",
+                "Apri gli occhi: sei nel tuo stato ottimale"
+            ]
+        },
+        'pettlep': {
+            science: "Il protocollo PETTLEP (Physical, Environment, Task, Timing, Learning, Emotion, Perspective) si basa sulla teoria dell'equivalenza funzionale: l'immaginazione mentale attiva le stesse aree corticali motorie dell'esecuzione reale (corteccia premotoria, area motoria supplementare). La risonanza magnetica funzionale mostra una sovrapposizione di attivazione del 60-80 %. Usato dal 70-90 % degli atleti olimpici, questo protocollo migliora la prestazione del 10-15 %.",
+            practice: [
+                "Assumi la posizione fisica della tua prestazione (muta, pinne immaginate, ecc.)",
+                "Visualizza l'ambiente nei dettagli: suoni sott'acqua, temperatura, luce, odori",
+                "Esegui mentalmente ogni gesto tecnico IN TEMPO REALE, non accelerato",
+                "Aggiungi le emozioni: fiducia, determinazione, piacere",
+                "Resta in prospettiva in 1ª persona (attraverso i tuoi occhi, non da spettatore)"
+            ]
+        },
+        'body-scan': {
+            science: "Lo scan corporeo sistematico attiva la corteccia somatosensoriale e l'insula, rafforzando l'interocezione (la consapevolezza dei segnali del corpo). Questa pratica riduce l'attività dell'amigdala (il centro della paura) e aumenta quella della corteccia prefrontale (regolazione emotiva). Studi MBSR (Kabat-Zinn): 8 settimane di pratica regolare riducono l'ansia del 30-40 % e migliorano la consapevolezza corporea in modo misurabile alla risonanza magnetica.",
+            practice: [
+                "Sdraiati sulla schiena, braccia lungo il corpo, occhi chiusi",
+                "Porta l'attenzione su ogni zona per 30-60 secondi, dai piedi alla testa",
+                "Osserva le sensazioni senza giudicarle né cercare di cambiarle",
+                "Se la mente divaga, riporta dolcemente l'attenzione all'ultima zona",
+                "Concludi con una sensazione globale di tutto il corpo, unificato e rilassato"
+            ]
+        },
+        'sophro': {
+            science: "Il metodo IRTER (Inspirare-Ritenere-Tendere-Espirare-Rilasciare) sfrutta il contrasto neuromuscolare: una contrazione isometrica di 5 secondi seguita da un rilascio improvviso provoca un'inibizione post-tetanica che rilassa il muscolo ben al di sotto del suo tono di riposo. Applicato alle 5 zone del corpo, induce in 10-15 minuti un rilassamento profondo misurabile con l'EMG. Studio randomizzato controllato del 2019: efficace contro l'ansia.",
+            practice: [
+                "In piedi o seduto, senti i piedi ancorati al suolo",
+                "Per ogni zona: inspira, trattieni e contrai con forza la zona per 5 secondi",
+                "Espira di colpo e rilascia del tutto: assapora la differenza",
+                "Percorri le 5 zone (testa, spalle, braccia, addome, gambe), poi contrai tutto il corpo",
+                "Concludi visualizzando un luogo tranquillo per 2 minuti"
+            ]
+        },
+        'meditation-lacher-prise': {
+            science: "Basata sull'ACT (Acceptance and Commitment Therapy, Hayes 2004), questa meditazione usa la defusione cognitiva: invece di lottare contro le sensazioni sgradevoli, le osservi come eventi mentali passeggeri. In apnea, lottare contro il bisogno di respirare aumenta il consumo di O2 del 15-20 %. Lasciar andare riduce questo consumo in eccesso. La parola chiave ('lascio andare') crea un condizionamento pavloviano segnale-rilassamento.",
+            practice: [
+                "Lascia che il respiro avvenga da solo, senza controllarlo né guidarlo",
+                "Lascia andare per gradi: il corpo, il respiro, poi l'attenzione stessa",
+                "Quando compare una tensione, di' 'noto questa tensione' senza lottare",
+                "A ogni espirazione, di' mentalmente 'lascio andare' per ancorare il condizionamento",
+                "Usa la parola chiave 'lascio andare' prima di ogni apnea per attivare subito il rilascio"
+            ]
+        },
+        'dry-to-wet-bridge': {
+            science: "La differenza di prestazione tra apnea a secco e in acqua (spesso del 20-40 %) è soprattutto psicologica: l'ansia legata all'acqua aumenta la FC, il consumo di O2 e la tensione muscolare. La desensibilizzazione sistematica (Wolpe, 1958) espone gradualmente allo stimolo ansiogeno mantenendo uno stato rilassato. Questo programma di 8 settimane riduce l'ansia acquatica del 60 % lavorando per tappe.",
+            practice: [
+                "Settimane 1-2: allenamento a secco + immersione del viso quotidiana per associare l'acqua alla calma",
+                "Settimane 3-4: apnee brevi nella vasca da bagno al 50 % del tuo PB a secco, concentrandoti sul comfort",
+                "Settimane 5-6: apnea in piscina con un compagno, partendo dal 40 % del tuo PB a secco, +10 %/sessione se sei a tuo agio",
+                "Settimane 7-8: estensione graduale a gradini di 10 s, obiettivo 60-70 % del tuo PB a secco in acqua",
+                "REGOLA ASSOLUTA: MAI fare apnea in acqua da solo, sempre con un compagno formato"
+            ]
+        },
+        'hypno-apnee-debutant': {
+            science: "L'autoipnosi usa un'induzione progressiva (rilassamento + conto alla rovescia) per raggiungere uno stato modificato di coscienza in cui aumenta la suggestionabilità. L'ancoraggio neuroassociativo (gesto pollice-indice + stato di calma) crea un riflesso condizionato per associazione stimolo-risposta. Dopo 5-10 ripetizioni, il gesto da solo scatena automaticamente la calma associata. Usato in sofrologia sportiva e nei protocolli EMDR.",
+            practice: [
+                "Mettiti molto comodo, con gli occhi chiusi",
+                "Scendi mentalmente una scala di 10 gradini; ogni gradino approfondisce il rilassamento",
+                "In fondo alla scala, premi il pollice contro l'indice e associa questo gesto a una calma profonda",
+                "Ripeti il gesto 3 volte per rafforzare l'àncora",
+                "Prova l'àncora in un'apnea immaginata: premi pollice e indice e visualizza un'apnea serena"
+            ]
+        },
+        'flow-dynamique': {
+            science: "Lo stato di flow (Csikszentmihalyi, 1990) corrisponde a una modalità cerebrale in cui la corteccia prefrontale dorsolaterale si disattiva temporaneamente (ipofrontalità transitoria), riducendo l'autocritica e la percezione del tempo. I mantra ritmici ('Scivolo-Rilascio') sincronizzano l'attività motoria con uno schema verbale automatico e facilitano l'ingresso nel flow. In apnea dinamica questa dissociazione riduce il consumo di O2 del 10-15 %.",
+            practice: [
+                "Visualizza la separazione tra il motore (gambe) e il passeggero (parte superiore del corpo rilassata)",
+                "Crea il tuo mantra di pinneggiata: 'Scivolo' sulla spinta, 'Rilascio' sul recupero",
+                "Ripeti finché il mantra diventa automatico, senza sforzo consapevole",
+                "Visualizza una dinamica completa: partenza, prima virata, ritorno, arrivo",
+                "Ancora lo stato con pollice-indice. Attivalo prima di ogni dinamica dicendo 'Scivolo... Rilascio...'"
+            ]
+        },
+        'pranayama-142': {
+            science: "Il rapporto 1:4:2 è descritto negli Yoga Sutra di Patanjali (II secolo a.C.) come la relazione ottimale tra Pūraka (inspirazione), Kumbhaka (ritenzione) e Rechaka (espirazione). La ritenzione lunga (4 volte l'inspirazione) aumenta la superficie di scambio alveolare mantenendo la pressione transpolmonare e migliora del 30 % il trasferimento di O2. L'espirazione di durata doppia stabilizza la CO2 arteriosa ed evita l'iperventilazione. Studio del 2018 (Saoji et al.): 12 settimane di pratica riducono il cortisolo salivare del 27 % e migliorano del 35 % i punteggi d'ansia STAI.",
+            practice: [
+                "Siediti in Sukhasana (gambe incrociate) o Padmasana (loto), schiena dritta, mani sulle ginocchia in Jnana Mudra (pollice-indice)",
+                "Inizia con un rapporto 1:2:2 (4 s-8 s-8 s) se sei principiante, poi passa a 1:4:2 (4 s-16 s-8 s)",
+                "Pūraka: inspira lentamente dal naso, riempiendo prima la pancia (diaframma) e poi il petto",
+                "Kumbhaka: trattieni applicando Jalandhara Bandha (mento verso il petto); resta rilassato, non forzare mai",
+                "Rechaka: espira dal naso, svuotando prima il petto e poi la pancia. Il ritmo conta più della durata assoluta"
+            ]
+        },
+        'nadi-shodhana': {
+            science: "Nadi Shodhana ('purificazione dei canali') equilibra le nadi Ida (lunare, sinistra, parasimpatica) e Pingala (solare, destra, simpatica). La fMRI mostra che respirare dalla narice sinistra attiva l'emisfero destro (creatività, spazio) e viceversa. Telles et al. 2019: 15 minuti al giorno riducono la pressione sistolica di 5 mmHg e aumentano del 18 % la coerenza EEG interemisferica. Alternare il flusso d'aria normalizza il ciclo nasale ultradiano (il cambio naturale della narice dominante ogni 2-4 h).",
+            practice: [
+                "Mano destra in Vishnu Mudra: piega indice e medio nel palmo, pollice sulla narice destra, anulare sulla sinistra",
+                "Ciclo completo: chiudi la destra → inspira dalla sinistra → chiudi entrambe → espira dalla destra → inspira dalla destra → chiudi entrambe → espira dalla sinistra = 1 ciclo",
+                "Inizia con un rapporto 1:1:1 (4 s-4 s-4 s), poi passa a 1:2:2 e infine a 1:4:2",
+                "Tieni le spalle basse e il gomito destro rilassato (appoggialo su un cuscino se serve)",
+                "Pratica 5-10 minuti al mattino al risveglio e la sera prima di dormire per un effetto ottimale sul sistema nervoso"
+            ]
+        },
+        'kapalabhati': {
+            science: "Kapalabhati ('cranio splendente') è uno Shatkarma (tecnica di purificazione) che usa espirazioni addominali rapide e forzate. Ogni contrazione del trasverso dell'addome massaggia i visceri e pompa il liquido cerebrospinale. La fMRI (2020) mostra un aumento del 20 % del flusso sanguigno cerebrale frontale. La lieve e transitoria ipocapnia attiva la corteccia prefrontale e migliora la vigilanza. Il metabolismo aumenta del 12 % nei 30 minuti successivi alla pratica.",
+            practice: [
+                "Siediti dritto, mani sulle ginocchia. Inspira profondamente per iniziare",
+                "Espira con decisione dal naso contraendo gli addominali; l'inspirazione è passiva e automatica",
+                "1 round = 30 espirazioni forzate a ~1 al secondo (30 secondi). L'app conta i 30 cicli e si ferma",
+                "Dopo il round: inspira a fondo, trattieni 30-60 s (polmoni pieni), poi espira lentamente. Questa apnea è manuale",
+                "Controindicato: gravidanza, ipertensione, epilessia, ernia addominale. Pratica preferibilmente a stomaco vuoto"
+            ]
+        },
+        'ujjayi': {
+            science: "Ujjayi ('vittoriosa') usa un restringimento parziale della glottide (rima glottidis) che crea una resistenza al flusso d'aria di 2-5 cmH2O. Questo freno aereo rallenta naturalmente la respirazione da 15 a 6 cicli/min, attivando i barocettori carotidei e aortici. Il caratteristico suono di 'oceano' a 60-100 Hz fornisce un feedback uditivo che aiuta a mantenere un ritmo regolare. Gli studi mostrano un calo del 15 % della frequenza cardiaca e un aumento del 20 % della SpO2 venosa in 5 minuti.",
+            practice: [
+                "Apri la bocca ed espira come per appannare un vetro: senti il restringimento in gola",
+                "Chiudi la bocca e riproduci esattamente quel restringimento respirando dal naso",
+                "Un suono d'oceano dolce e regolare deve accompagnare ogni inspirazione E ogni espirazione",
+                "Mantieni il suono uniforme: stesso volume, stesso tono. Non deve mai essere forzato o raschiante",
+                "Ujjayi è il respiro di base del Vinyasa Yoga: usalo durante tutta la pratica delle asana per mantenere l'attenzione"
+            ]
+        },
+        'bhramari': {
+            science: "Bhramari ('ape') combina respirazione lenta e vibrazione sonora. Il ronzio nasale (130-350 Hz) fa vibrare il palato molle, i seni paranasali e l'etmoide, stimolando il nervo vago per via meccanosensoriale. Kuppusamy 2017: 10 minuti riducono la FC di 7 bpm e la PA sistolica di 3 mmHg. Il ronzio moltiplica per 15 la produzione nasale di ossido nitrico (NO) (Weitzberg e Lundberg, 2002), migliorando vasodilatazione e ossigenazione. Shanmukhi Mudra (chiusura dei sensi) amplifica il pratyahara (ritiro dei sensi).",
+            practice: [
+                "Siediti comodamente. Facoltativo: Shanmukhi Mudra: pollici sulle orecchie, indici sugli occhi chiusi, medi sul naso, anulari sopra le labbra, mignoli sotto",
+                "Inspira profondamente dal naso (4 s), poi chiudi la bocca ed emetti un 'Mmmm' grave per tutta l'espirazione (8 s e oltre)",
+                "Senti la vibrazione nel palato, nei seni frontali e in tutto il cranio",
+                "Variante: prova tonalità diverse (dal grave all'acuto) e osserva dove la vibrazione risuona di più",
+                "Pratica 5-10 minuti prima di dormire o nei momenti di stress: effetto calmante immediato dal 3° ciclo"
+            ]
+        },
+        'imst': {
+            science: "L'IMST (Inspiratory Muscle Strength Training) è un protocollo di rafforzamento dei muscoli inspiratori convalidato da Craighead et al. (JAHA 2021): 30 ripetizioni × 5 serie × 6 giorni/settimana per 6 settimane → −9 mmHg di sistolica (lo stesso effetto di 30 min di camminata quotidiana), +9 % di VO2max, +12 % di forza inspiratoria massima (MIP). La resistenza obiettivo è il 75 % della tua MIP, in genere 50-70 cmH₂O su un allenatore a soglia (PowerBreathe, Threshold PEP). Meccanismo: le contrazioni ripetute degli intercostali e del diaframma contro una resistenza elevata attenuano i metabocettori muscolari che segnalano la fatica al cervello (il 'metaboriflesso dei muscoli inspiratori'), liberando più gittata cardiaca per i muscoli locomotori. Benefici secondari: maggiore compliance toracica, migliore meccanica respiratoria in apnea, minore carico respiratorio percepito.",
+            practice: [
+                "Regolazione del dispositivo: imposta la resistenza in modo che le ripetizioni 28-30 siano difficili ma fattibili. Inizia al 50 % della MIP (resistenza moderata), aggiungi +5 % a settimana",
+                "Senza dispositivo: inspirazione diaframmatica volontaria massimale, pancia fuori e petto in alto. Sforzo massimo, come se sollevassi qualcosa di pesante con il respiro",
+                "Ritmo: inspira con forza per 2 s (bocca chiusa o sul boccaglio), rilascia passivamente per 3 s. 30 ripetizioni = ~2 min 30 per serie",
+                "Recupera 60 s tra le serie: respira normalmente, senza forzare",
+                "Progressione: almeno 6 settimane per vedere gli effetti sulla pressione arteriosa. I guadagni di forza inspiratoria si vedono già dopo 3 settimane",
+                "Controindicazioni: pneumotorace recente, dolore toracico, malattia polmonare ostruttiva grave non controllata. In caso di dubbio consulta un medico"
+            ]
+        },
+        'breath-light-co2': {
+            science: "La Respirazione Ridotta CO2 (McKeown / Oxygen Advantage, 2015) è l'esatto opposto del Wim Hof: invece di eliminare CO2 iperventilando, la accumuli gradualmente riducendo il volume respiratorio. Spengler et al. (2013, PMC3873666) mostrano che questa esposizione ripetuta desensibilizza i chemocettori centrali del 45 % in 6 settimane, spostando in avanti in modo significativo la soglia delle contrazioni. L'esercizio ha 4 fasi progressive: assestamento (volume normale), inspirazione ridotta, respirazione ridotta + pausa dopo l'espirazione, disagio controllato a volume minimo. Durata totale ~7 minuti.",
+            practice: [
+                "Fase 1 (1:30): inspirazione nasale normale (4 s), espirazione lenta (6 s). Ritmo calmo, volume abituale. Chiudi gli occhi e assestati in una respirazione regolare",
+                "Fase 2 (1:30): accorcia l'inspirazione a ~3 s riempiendo solo due terzi. L'espirazione resta lunga (6 s). Nessuno sforzo: solo meno aria",
+                "Fase 3 (2:00): inspirazione ridotta (3 s) + espirazione ridotta (5 s) + pausa dopo l'espirazione (3 s). Un leggero bisogno di respirare durante la pausa è normale e voluto",
+                "Fase 4 (2:00): volume minimo (~2,5/4,5 s) con una pausa più lunga (4 s). Osserva il disagio della CO2 senza cedere, esattamente come durante un'apnea",
+                "Se ti gira la testa: torna subito a una respirazione normale. Il disagio deve scomparire entro 30 s dalla fine dell'esercizio"
+            ]
+        },
+        'passive-breath-hanger': {
+            science: "Il Passive Breath Hanger (Molchanovs T1/T2) è un'apnea statica all'80 % del volume polmonare. A differenza di un'apnea a inspirazione completa, il volume intermedio evita di sovrastimolare i meccanocettori polmonari (riflesso di Hering-Breuer) e lascia più flessibilità toracica per assorbire le contrazioni diaframmatiche. Il rilassamento della glottide (Blunery/Néry) crea una leggera resistenza passiva che inibisce il segnale della CO2 senza sforzo muscolare. La preparazione con sospiri ciclici (Huberman/Stanford 2023) ottimizza gli scambi gassosi e attiva il nervo vago. La registrazione soggettiva (Throat Score, Stato mentale, Comfort della trachea) permette una progressione strutturata settimana dopo settimana.",
+            practice: [
+                "Fase di preparazione (3 min): doppi sospiri ripetuti, inspirazione profonda, breve inspirazione aggiuntiva, espirazione molto lenta. Obiettivo: calmare il sistema nervoso prima dell'hang",
+                "Inspira dolcemente fino a circa l'80 % della tua capacità. Non un'inspirazione forzata: fermati prima del massimo",
+                "Durante l'hang: rilassa attivamente la gola (glottide aperta), le spalle e le mani. Osserva le contrazioni diaframmatiche senza lottare",
+                "Espirazione molto lenta a labbra socchiuse alla fine: massimo 10 secondi per questa fase",
+                "Ripeti da 3 a 5 cicli. Annota il tuo Throat Score (1-5) e lo Stato mentale dopo ogni sessione"
+            ]
+        },
+        'surya-bhedana': {
+            science: "Surya Bhedana ('perforare il sole') è la respirazione dalla narice destra. Inspirare dalla narice destra (nadi Pingala) attiva preferibilmente il sistema nervoso simpatico e l'emisfero sinistro (logica, linguaggio, energia). Studi di Telles (2017): aumento del 12 % del metabolismo basale, rialzo di 0,3 °C della temperatura corporea e migliori prestazioni cognitive analitiche. Espirare dalla narice sinistra riporta la calma a fine ciclo, evitando l'iperattivazione.",
+            practice: [
+                "Mano destra in Vishnu Mudra. Chiudi la narice sinistra con l'anulare",
+                "Inspira lentamente dalla narice destra (4 s), senti entrare l'energia solare",
+                "Chiudi entrambe le narici e trattieni (8 s) con Jalandhara Bandha se ti è comodo",
+                "Libera la narice sinistra ed espira lentamente dalla sinistra (6 s)",
+                "Ideale al mattino o prima di un'attività intensa. Da evitare la sera (può disturbare il sonno)"
+            ]
+        },
+        'physiological-sigh': {
+            science: "Il sospiro fisiologico sfrutta un meccanismo riflesso che riapre gli alveoli collassati. La doppia inspirazione (respiro nasale profondo + una breve inspirazione aggiuntiva) aumenta la pressione transpolmonare, riapre i sacchi alveolari e massimizza la superficie di scambio gassoso. La lunga espirazione che segue attiva immediatamente il nervo vago attraverso i barocettori aortici. Studio di Stanford 2023 (Balban et al.): da 1 a 3 cicli bastano per un calo misurabile del cortisolo e della frequenza cardiaca. È la versione SOS del Sospiro Ciclico: la stessa tecnica, usata come intervento puntuale anziché come pratica quotidiana.",
+            practice: [
+                "Appena senti stress, panico o tensione: interrompi quello che stai facendo",
+                "Inspira profondamente dal naso fino a riempire i polmoni per due terzi (2 s)",
+                "Senza espirare, fai una seconda inspirazione breve e secca dal naso per riempirli completamente (1 s)",
+                "Espira molto lentamente e a fondo dalla bocca, svuotando del tutto i polmoni (7 s e oltre)",
+                "Ripeti da 1 a 3 volte: l'effetto è quasi immediato dal primo ciclo"
+            ]
+        },
+        'extended-exhale': {
+            science: "L'espirazione prolungata 1:2 (inspirazione 4 s / espirazione 8 s) sfrutta l'asimmetria del sistema nervoso autonomo: l'inspirazione attiva il simpatico (il cuore accelera), l'espirazione attiva il parasimpatico attraverso il nervo vago (il cuore rallenta). Rendendo l'espirazione lunga il doppio dell'inspirazione, si crea uno squilibrio voluto a favore del freno vagale parasimpatico. 10 cicli bastano per abbassare la frequenza cardiaca di 5-8 bpm e ridurre il cortisolo salivare. È lo stesso protocollo della 'Respirazione 1:2', ma in versione d'emergenza mirata di 2 minuti.",
+            practice: [
+                "Mettiti comodo o resta dove sei: questo esercizio funziona ovunque",
+                "Inspira con calma dal naso per 4 secondi, gonfiando la pancia",
+                "Espira molto lentamente, come attraverso una cannuccia immaginaria, per 8 secondi",
+                "Mantieni un ritmo regolare senza forzare: la dolcezza funziona meglio dello sforzo",
+                "10 cicli bastano per un effetto percepibile: ripeti finché senti la calma"
+            ]
+        },
+        'box-quick': {
+            science: "I Navy SEAL usano la respirazione quadrata 4-4-4-4 per mantenere la lucidità mentale sotto stress estremo. La simmetria delle quattro fasi impone un ritmo di 3,75 cicli/min che aumenta la variabilità della frequenza cardiaca (HRV) e stimola il tono vagale. Le due apnee (polmoni pieni e vuoti) aumentano brevemente la pCO2, migliorando la vasodilatazione cerebrale. 6 cicli (2 minuti) bastano per un recupero significativo da uno stress acuto. La versione rapida è identica alla respirazione quadrata completa, ma con un obiettivo preciso: riprendere il controllo in fretta.",
+            practice: [
+                "Inspira dal naso per 4 secondi, gonfiando la pancia e poi il petto",
+                "Trattieni a polmoni pieni per 4 secondi: corpo rilassato, mascella sciolta",
+                "Espira lentamente e completamente per 4 secondi",
+                "Trattieni a polmoni vuoti per 4 secondi, senza irrigidirti",
+                "6 cicli (2 min) bastano per riprendere il controllo. Pratica ovunque, con discrezione"
+            ]
+        },
+        'grounding-555': {
+            science: "La tecnica 5-5-5 (5 cose che vedi, 5 suoni, 5 sensazioni) è una tecnica di radicamento cognitivo-sensoriale derivata dalla terapia cognitivo-comportamentale (TCC). Si basa sulla 'saturazione attentiva': sollecitando i tre principali canali sensoriali (visivo, uditivo, cinestesico), interrompe il circolo di ruminazione e ansia costringendo la corteccia prefrontale a elaborare stimoli concreti e presenti. Questo meccanismo di radicamento attiva le aree corticali di elaborazione sensoriale a scapito di un'amigdala iperattiva. Studi TCC: 2-3 minuti di radicamento riducono del 35-50 % l'intensità percepita di un attacco di panico.",
+            practice: [
+                "Fai 3 respiri lenti e profondi per assestare il corpo",
+                "Guardati intorno e nomina MENTALMENTE 5 cose che vedi (colore, forma, dettaglio)",
+                "Ascolta con attenzione e individua 5 suoni distinti intorno a te",
+                "Senti 5 sensazioni tattili: il peso dei vestiti, il pavimento sotto i piedi, la temperatura dell'aria",
+                "Concludi con un respiro profondo: sei qui, adesso, al sicuro"
+            ]
+        },
+        'quick-coherence': {
+            science: "La coerenza cardiaca completa richiede di solito 10-20 minuti per un effetto profondo sull'HRV (variabilità della frequenza cardiaca). Tuttavia, le ricerche dell'HeartMath Institute mostrano che un minimo di 3 minuti a 5,5 cicli/min basta per avviare la sincronizzazione cardiorespiratoria e ridurre il cortisolo. Questa versione express è pensata per gli ultimi minuti prima di una prestazione, un esame o una decisione importante. L'effetto è meno profondo di una sessione completa, ma subito disponibile.",
+            practice: [
+                "Siediti o resta in piedi, schiena dritta, occhi socchiusi",
+                "Inspira dolcemente dal naso per esattamente 5 secondi",
+                "Espira dolcemente per esattamente 5 secondi, senza pause tra le fasi",
+                "Mantieni un ritmo fluido e regolare: immagina un'onda che sale e scende",
+                "3 minuti bastano prima di una prestazione. Per un effetto duraturo, pratica 10 min al mattino e alla sera"
+            ]
+        },
+        'power-viz': {
+            science: "L'immaginazione della prestazione attiva gli stessi circuiti neurali dell'esecuzione reale: la corteccia premotoria, l'area motoria supplementare e il cervelletto raggiungono il 60-80 % del loro livello di attivazione fisica (fMRI, Decety et al.). In 2 minuti di concentrazione, questo protocollo breve mobilita tre elementi chiave: l'immagine del successo (attivazione motoria), la sensazione emotiva (ancoraggio limbico) e l'àncora fisica (condizionamento pavloviano). Ideale come ultimo passo mentale prima di una gara o di una prestazione.",
+            practice: [
+                "Chiudi gli occhi. Fai 3 respiri profondi per centrare l'attenzione",
+                "Vediti riuscire alla perfezione, in prima persona, attraverso i tuoi occhi",
+                "Aggiungi i dettagli sensoriali: suoni, temperatura, sensazioni muscolari",
+                "Senti la fiducia, la padronanza, la soddisfazione: lascia salire pienamente queste emozioni",
+                "Ancora questo stato: premi il pollice contro l'indice. Apri gli occhi. Sei quell'atleta."
+            ]
+        },
+        'dive-prep': {
+            science: "Il breathe-up prima dell'immersione combina tre meccanismi fisiologici: (1) la respirazione diaframmatica lenta porta la FC sotto i 60-70 bpm attraverso il baroriflesso, (2) visualizzare l'immersione attiva la precodifica motoria (corteccia prefrontale) e riduce l'ansia anticipatoria del 20-30 %, e (3) il rilassamento progressivo minimizza il consumo di O2 a riposo, massimizzando le riserve disponibili per l'apnea. Questo protocollo è la versione guidata del 'breathe-up strutturato', adattata alle condizioni di spiaggia o di bordo vasca.",
+            practice: [
+                "Sdraiati o siediti comodamente. Rilassa mascella, spalle e addome",
+                "Respirazione diaframmatica lenta (pancia → costole → petto), espirazione passiva di 6-8 s",
+                "Rallenta finché senti il cuore calmarsi: obiettivo FC < 65 bpm",
+                "Visualizza tutta la tua immersione: discesa, fondo, risalita, superficie. Resta calmo a ogni tappa",
+                "Ultimi respiri: lenti, profondi, rilassati. Buona immersione."
+            ]
+        },
+        'sleep-descent': {
+            science: "Questo protocollo combina il rilassamento muscolare progressivo di Jacobson (contrai e rilascia), la respirazione 4-7-8 del Dr. Andrew Weil (effetti sedativi per stimolazione vagale prolungata) e l'immaginazione ipnagogica (induzione della transizione veglia-sonno attraverso una visualizzazione discendente). L'immagine della scala che scende usa la metafora dell'approfondimento della coscienza dell'ipnosi clinica (Milton Erickson). Concatenare le tre tecniche in 7 minuti crea una transizione graduale verso il sonno lento profondo.",
+            practice: [
+                "Sdraiati a letto, occhi chiusi, braccia lungo il corpo",
+                "3 cicli di respirazione 4-7-8: inspira 4 s (naso), trattieni 7 s, espira 8 s (bocca, con un suono 'whoosh')",
+                "Rilassamento progressivo: fronte → occhi → mascella → spalle → braccia → gambe",
+                "Immagina una scala di 10 gradini che scende verso il sonno. Scendila lentamente, un gradino alla volta",
+                "Al gradino 1, lascia che la coscienza si dissolva. Non inseguire il sonno: arriverà da solo"
+            ]
+        },
+        'deep-sleep-478': {
+            science: "Il protocollo Deep Sleep 4-7-8 combina due meccanismi distinti. Il rapporto 4-7-8 del Dr. Andrew Weil agisce come un tranquillante naturale: l'apnea di 7 secondi a polmoni pieni aumenta la pressione intratoracica e stimola il nervo vago attraverso i barocettori, provocando il rilascio di GABA e un'attivazione parasimpatica profonda. L'espirazione di 8 secondi prolunga l'effetto e abbassa la frequenza cardiaca di 8-12 bpm. Lo scan corporeo progressivo attiva la corteccia somatosensoriale zona per zona, distogliendo la rete di default (amigdala, ruminazione) verso un'attenzione corporea neutra: lo stesso meccanismo della terapia MBSR (Kabat-Zinn). La sequenza blocchi 4-7-8 di apertura → scan corporeo → blocchi 4-7-8 di chiusura crea un tunnel del sonno in tre fasi: attivazione vagale, dissoluzione attentiva, sigillo del sonno.",
+            practice: [
+                "Sdraiati a letto e spegni gli schermi. Nessuna luce o una lucina notturna molto tenue",
+                "Blocco di apertura: 4 cicli di 4-7-8 con voce che conta e cerchio animato; lascia che il ritmo si assesti",
+                "Scan corporeo: segui la voce zona per zona, dalla testa ai piedi. Non cercare di restare sveglio",
+                "Blocco di chiusura: gli ultimi 4 cicli di 4-7-8 sigillano il sonno; è normale addormentarsi prima della fine",
+                "Il rapporto 4-7-8 è FISSO secondo il metodo del Dr. Weil: la durata totale è l'unica impostazione",
+                "Pratica ogni sera per 21 giorni per condizionare il riflesso dell'addormentamento"
+            ]
+        },
+        'focus': {
+            science: "La visualizzazione del 'fascio di luce' per la concentrazione si basa sulla metafora del riflettore attentivo (Posner, 1980). Nell'immaginazione mentale, puntare un riflettore sull'oggetto dell'attenzione attiva preferibilmente la rete attentiva dorsale (corteccia parietale posteriore + campi oculari frontali). Mantenere un punto focale per 3 minuti rafforza il controllo inibitorio (corteccia prefrontale dorsolaterale) e riduce la distraibilità. Studi di neurofeedback: 8-10 minuti di allenamento attentivo quotidiano aumentano la densità della materia grigia nella corteccia prefrontale in 8 settimane.",
+            practice: [
+                "Siediti comodamente, schiena dritta. Respira con calma per 1 minuto",
+                "Chiudi gli occhi e immagina un fascio di luce concentrato davanti a te",
+                "Punta questo fascio sull'oggetto della tua concentrazione (compito, obiettivo, prestazione)",
+                "Mantieni l'attenzione su questo punto di luce. Quando la mente divaga, rimetti a fuoco il fascio senza giudicarti",
+                "Pratica ogni giorno: l'attenzione è un muscolo che si rafforza con l'allenamento"
+            ]
+        },
+        'vakog-static': {
+            science: "Il modello VAKOG (Visivo, Auditivo, Cinestesico, Olfattivo, Gustativo) è lo schema della Programmazione Neuro-Linguistica (Bandler e Grinder, 1975) adattato all'apnea statica. Suddividendo l'attenzione in canali sensoriali distinti e alternandoli rapidamente, si satura la Default Mode Network, responsabile della ruminazione e dell'ipervigilanza alla CO2. La tecnica dello 'Switch' (dito del piede → lobo dell'orecchio) sfrutta il controllo del cancello (Melzack e Wall): un nuovo stimolo sensoriale intenso può attenuare la percezione di un altro. Studi sull'autoipnosi: riduzione del 40 % della percezione delle contrazioni diaframmatiche.",
+            practice: [
+                "Nella tua posizione di statica, fai il tuo breathe-up abituale prima di iniziare l'esercizio",
+                "Segui la guida VAKOG: percorri le modalità nell'ordine (Auditivo esterno → Auditivo interno → Cinestesico → Visivo interno)",
+                "Tecnica Switch: se arriva una contrazione o una sensazione sgradevole, sposta ALL'ISTANTE l'attenzione sul mignolo del piede sinistro, poi sul lobo dell'orecchio destro",
+                "Crea la tua àncora: premi il pollice contro l'indice nel momento di calma più profonda",
+                "Usa l'àncora (pollice-indice) prima di ogni statica per riattivare rapidamente lo stato VAKOG"
+            ]
+        },
+        'scan-sensoriel': {
+            science: "Lo scan sensoriale circolare applica la teoria del controllo del cancello (Melzack e Wall, 1965): l'attenzione concentrata su zone corporee neutre attiva gli interneuroni inibitori del corno dorsale e riduce i segnali dolorosi o sgradevoli verso la corteccia. Ruotando rapidamente tra le zone (cranio → orecchie → mani → dita dei piedi), l'elaborazione attentiva resta sempre in movimento, impedendo all'amigdala di fissarsi sulle contrazioni diaframmatiche. Usato dagli apneisti d'élite per statiche lunghe (6 minuti e oltre).",
+            practice: [
+                "Posizione di statica, occhi chiusi. Fai un ultimo respiro calmo prima della guida",
+                "Segui lo scan corporeo dal cranio ai piedi, zona per zona, osservando senza giudicare",
+                "Quando lo scan accelera (cicli rapidi), cambia zona al ritmo della guida",
+                "Se compare una sensazione sgradevole: salta subito al mignolo del piede sinistro o al lobo dell'orecchio, zone neutre ancorate",
+                "Con la pratica riuscirai a fare lo scan da solo, senza guida, al tuo ritmo"
+            ]
+        },
+        'co2-vhl-classic': {
+            science: "La VHL classica di Woorons è il protocollo d'origine degli studi scientifici sulla VHL (Woorons et al., 2014, 2017). Con solo 2 respiri di recupero tra le pause (contro 3 nel protocollo CO2), il carico ipercapnico tra i cicli è maggiore: la PCO2 non fa in tempo a scendere del tutto prima della pausa successiva, creando un'esposizione cumulativa più intensa. La pausa di 6 secondi a fine espirazione (contro 5 s) produce una PCO2 arteriosa di circa 58-62 mmHg, più del protocollo breve. Consigliato solo dopo aver completato 4 settimane di VHL CO2 standard. Gli 8 cicli in 14 minuti sono il protocollo completo dello studio originale.",
+            practice: [
+                "Prerequisito: completa 4 settimane di VHL CO2 standard prima di iniziare questo protocollo",
+                "Respira normalmente 2 volte (inspirazione ed espirazione naturali)",
+                "Alla 2ª espirazione: espira normalmente (polmoni mezzi vuoti, NON svuotare del tutto), poi fai una PAUSA di 6 secondi",
+                "Rifai 2 respiri normali, poi ripeti la pausa. Ciclo: 2 respiri → 1 pausa × 8 cicli",
+                "Recupera con 4 respiri liberi tra le serie. La pausa più lunga e l'intervallo più breve creano un carico di CO2 maggiore rispetto al protocollo standard"
+            ]
+        },
+        'predive': {
+            science: "La routine mentale completa prima dell'immersione combina diverse tecniche convalidate in psicologia dello sport: (1) il breathe-up visualizzato attiva il sistema parasimpatico per condizionamento associativo, (2) la visualizzazione in prima persona della discesa codifica il percorso motorio nella corteccia premotoria, riducendo le decisioni consapevoli durante l'apnea, (3) la visualizzazione positiva della superficie condiziona un'uscita calma e controllata. Swann et al. (2012): gli atleti con una routine mentale pre-prestazione mostrano il 25 % di ansia pre-gara in meno e prestazioni migliori del 15 %.",
+            practice: [
+                "Inizia 10 minuti prima dell'immersione, in un luogo tranquillo",
+                "Visualizza il breathe-up in tempo reale: senti il cuore rallentare e i muscoli rilassarsi",
+                "Visualizza la discesa in prima persona: ogni metro, ogni compensazione, la sensazione di scivolare",
+                "Sul fondo: senti la calma assoluta, il silenzio. Vediti sereno e padrone di te",
+                "Visualizza la risalita e un'uscita perfetta. Ancora la sensazione di successo con pollice-indice"
+            ]
+        },
+        'flow-release': {
+            science: "Flow & Release combina la Tripla Consapevolezza (tecnica Molchanovs/AIDA) con un breathe-up strutturato. La Tripla Consapevolezza, cioè percepire contemporaneamente l'ambiente esterno, le sensazioni interne del corpo e lo spazio mentale, satura la rete di default per acquietarla. Questa defocalizzazione sensoriale attiva la rete attentiva ventrale (elaborazione passiva, non analitica) e facilita l'ingresso nello stato di flow (Csikszentmihalyi). La fase preliminare di sospiri ciclici prepara il nervo vago e calma l'ipervigilanza alla CO2 prima dell'apnea.",
+            practice: [
+                "Fase 1 · Sospiri ciclici (5 cicli): doppia inspirazione nasale + lunga espirazione. Attiva il nervo vago",
+                "Fase 2 · Diaframma segmentale (3 fasi): pancia, costole, petto. Massimizza il volume residuo",
+                "Fase 3 · Tripla Consapevolezza: percepisci insieme un suono lontano, una sensazione corporea e la calma della mente",
+                "Mantieni la Tripla Consapevolezza durante l'apnea: se l'attenzione si fissa su una contrazione, torna al suono lontano",
+                "Uscita: espira lentamente restando in questo stato di percezione ampliata"
+            ]
+        },
+        'pmr': {
+            science: "Il Rilassamento Muscolare Progressivo (Edmund Jacobson, 1929) è una delle tecniche di rilassamento con la migliore validazione scientifica. Meta-analisi di Manzoni et al. (2008) su 3.400 partecipanti: riduzione significativa di stress, ansia e depressione. Il principio è neurofisiologico: una contrazione isometrica massimale di 5-8 secondi esaurisce localmente l'acetilcolina nelle placche motrici, provocando un'inibizione post-tetanica: il muscolo si rilassa ben al di sotto del suo tono di riposo. Questo contrasto tensione-rilascio allena anche la consapevolezza propriocettiva delle tensioni residue, rendendo più facile rilasciarle volontariamente.",
+            practice: [
+                "Sdraiati comodamente. Percorri 15 gruppi muscolari dalle mani ai piedi",
+                "Per ogni gruppo: contrai con forza per 5-8 secondi (senza dolore), poi rilascia di colpo",
+                "Osserva la differenza tra tensione e rilassamento: questa consapevolezza è l'allenamento",
+                "Non saltare nessun gruppo: la progressione sistematica dall'alto in basso è essenziale",
+                "Pratica ogni giorno per 2-4 settimane per un effetto duraturo. In seguito il rilassamento profondo è disponibile in pochi minuti"
+            ]
+        },
+        'cardiac-coherence': {
+            science: "La coerenza cardiaca si raggiunge quando il respiro oscilla alla frequenza di risonanza del baroriflesso arterioso (~0,1 Hz). A questa frequenza, le oscillazioni della pressione arteriosa e della frequenza cardiaca entrano in fase, massimizzando la variabilità della frequenza cardiaca (HRV). L'HeartMath Institute (McCraty et al., 2015) ha stabilito che la frequenza di risonanza individuale varia tra 4,5 e 7 cicli/min (ottimo medio: 5,5 cicli/min). Un'apnea a polmoni pieni amplifica l'effetto mantenendo la pressione transpolmonare e stimolando i barocettori aortici. Il rapporto inspirazione:espirazione modula l'equilibrio simpatico/parasimpatico: 1:1 = equilibrio del SNA, 1:1,5 o 1:2 = maggiore predominanza parasimpatica. 5-10 minuti di pratica riducono il cortisolo salivare del 23 % (Karavidas et al., 2007) e migliorano il punteggio SDNN dell'HRV del 55 % in 10 settimane.",
+            practice: [
+                "Siediti con la schiena dritta e i piedi appoggiati. Una mano sulla pancia per sentirla espandersi",
+                "Scegli la frequenza: inizia a 5,5 cicli/min (5,5 s/5,5 s). Se 5,5 s ti sembrano lunghi, parti da 4,5 s/4,5 s",
+                "Inspirazione: gonfia prima la pancia (diaframma), poi apri le costole. Dolce, senza sforzo",
+                "Apnea (se attivata): una pausa naturale a polmoni pieni, corpo rilassato, mascella sciolta",
+                "Espirazione: lenta e regolare. Un rapporto 1:1,5 o 1:2 rafforza l'attivazione parasimpatica",
+                "Mantieni un ritmo perfettamente regolare: la regolarità conta più della durata assoluta",
+                "Pratica 10 min al mattino e alla sera per un effetto misurabile sull'HRV in 4 settimane"
+            ]
+        }
+    }
+});
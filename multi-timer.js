@@ -100,17 +100,8 @@ class MultiTimer {
     // ==========================================
 
     loadSequences() {
-        const saved = localStorage.getItem('deepbreath_sequences');
-        if (saved) {
-            try {
-                const parsed = JSON.parse(saved);
-                // Merge with defaults to ensure they exist
-                return { ...this.getDefaultSequences(), ...parsed };
-            } catch (e) {
-                return this.getDefaultSequences();
-            }
-        }
-        return this.getDefaultSequences();
+        // Merge with defaults to ensure they exist
+        return { ...this.getDefaultSequences(), ...window.storage.get('deepbreath_sequences', {}) };
     }
 
     saveSequences() {
@@ -121,7 +112,7 @@ class MultiTimer {
                 toSave[id] = seq;
             }
         }
-        localStorage.setItem('deepbreath_sequences', JSON.stringify(toSave));
+        window.storage.set('deepbreath_sequences', toSave, { origin: 'multiTimer' });
     }
 
     // ==========================================
@@ -888,7 +879,7 @@ class MultiTimer {
         const sequence = this.sequences[sequenceId];
         if (!sequence) return;
 
-        // Breathing type → delegate to BreathingEngine via app.js exercise modal
+        // Breathing type → delegate to BreathEngine via app.js exercise modal
         if (sequence.type === 'breathing') {
             this.startBreathingSequence(sequence);
             return;
@@ -915,12 +906,12 @@ class MultiTimer {
     }
 
     /**
-     * Bridge: convert breathing sequence to BreathingEngine exercise and launch via app.js
+     * Bridge: convert breathing sequence to BreathEngine exercise and launch via app.js
      */
     startBreathingSequence(sequence) {
         const s = sequence.settings;
 
-        // Build BreathingEngine-compatible phases (skip 0-duration)
+        // Build BreathEngine-compatible phases (skip 0-duration)
         const phases = [];
         if (s.inhale > 0)    phases.push({ name: 'Inspirez', duration: s.inhale,    action: 'inhale' });
         if (s.holdFull > 0)  phases.push({ name: 'Retenez',  duration: s.holdFull,  action: 'hold' });
@@ -1131,5 +1122,7 @@ class MultiTimer {
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    window.multiTimer = new MultiTimer();
+    window.storage.ready.then(() => {
+        window.multiTimer = new MultiTimer();
+    });
 });
@@ -0,0 +1,273 @@
+/**
+ * PlanCalendar — Échanges iCalendar (.ics, RFC 5545) du plan de semaine
+ *
+ * Export : un VEVENT par exercice prévu, enchaînés à partir d'une heure de départ,
+ * avec un lien ?exercise=<id> qui relance l'exercice dans l'app et un rappel VALARM.
+ * Import : les événements d'un calendrier (sorties plongée, compétitions) deviennent des
+ * échéances visibles du plan et de sa génération (deepbreath_calendar_events).
+ *
+ * Heures exportées en heure locale « flottante » (sans fuseau) : le calendrier les place
+ * à l'heure choisie, où que l'on soit.
+ */
+
+const ICS_PRODID = '-//Jmee DeepBreath//Plan de semaine//FR';
+
+// Mots-clés pour classer un événement importé
+const ICS_EVENT_KINDS = {
+    competition: ['compét', 'compet', 'championnat', 'championship', 'aida', 'cmas', 'record', 'sélection', 'selection', 'open '],
+    trip: ['plongée', 'plongee', 'dive', 'diving', 'chasse', 'spearfishing', 'sortie', 'voyage', 'séjour', 'sejour', 'stage', 'trip', 'croisière']
+};
+
+class PlanCalendar {
+    constructor() {
+        this.storageKey = 'deepbreath_calendar_events';
+    }
+
+    // ==========================================
+    // Export
+    // ==========================================
+
+    /**
+     * @param {Object} plan - plan de semaine (WeeklyPlan)
+     * @param {Object} options - { dayIndexes, time: 'HH:MM', alarmMinutes (0 = sans rappel), appUrl }
+     * @returns {{ ics: string, count: number }}
+     */
+    buildPlanICS(plan, { dayIndexes = null, time = '07:30', alarmMinutes = 15, appUrl = '' } = {}) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const stamp = this._formatUTC(new Date());
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+        let count = 0;
+
+        plan.days
+            .filter(day => !dayIndexes || dayIndexes.includes(day.dayIndex))
+            .forEach(day => {
+                // Exercices enchaînés dans l'ordre de la séance
+                const start = new Date(`${day.date}T00:00:00`);
+                start.setHours(hours || 0, minutes || 0, 0, 0);
+                day.exercises.forEach(ex => {
+                    const duration = ex.estimatedDuration || 10;
+                    const end = new Date(start.getTime() + duration * 60000);
+                    const link = appUrl ? `${appUrl}?exercise=${encodeURIComponent(ex.exerciseId)}` : '';
+                    const description = [
+                        plan.title ? `Plan : ${plan.title}` : '',
+                        `Durée estimée : ${duration} min`,
+                        day.notes ? `Notes : ${day.notes}` : '',
+                        link ? `Lancer l'exercice : ${link}` : ''
+                    ].filter(Boolean).join('\n');
+
+                    lines.push(
+                        'BEGIN:VEVENT',
+                        `UID:${plan.id}-${day.date}-${ex.order ?? count}-${ex.exerciseId}@deepbreath`,
+                        `DTSTAMP:${stamp}`,
+                        `DTSTART:${this._formatLocal(start)}`,
+                        `DTEND:${this._formatLocal(end)}`,
+                        `SUMMARY:${this._escape(ex.exerciseName || ex.exerciseId)}`,
+                        `DESCRIPTION:${this._escape(description)}`,
+                        'CATEGORIES:DeepBreath'
+                    );
+                    if (link) lines.push(`URL:${link}`);
+                    if (alarmMinutes > 0) {
+                        lines.push(
+                            'BEGIN:VALARM',
+                            'ACTION:DISPLAY',
+                            `TRIGGER:-PT${alarmMinutes}M`,
+                            `DESCRIPTION:${this._escape(ex.exerciseName || ex.exerciseId)}`,
+                            'END:VALARM'
+                        );
+                    }
+                    lines.push('END:VEVENT');
+
+                    start.setTime(end.getTime());
+                    count++;
+                });
+            });
+
+        lines.push('END:VCALENDAR');
+        return { ics: lines.map(l => this._fold(l)).join('\r\n') + '\r\n', count };
+    }
+
+    /** Échappement des valeurs texte (RFC 5545 §3.3.11) */
+    _escape(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /** Lignes de 75 octets maximum, suite préfixée d'un espace */
+    _fold(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length ? 74 : 75;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    _formatLocal(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+    }
+
+    _formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // ==========================================
+    // Import
+    // ==========================================
+
+    /**
+     * Événements d'un fichier .ics (récurrences : première occurrence seulement)
+     * @returns {Array<{ uid, title, start, end, location, description, kind }>} dates 'YYYY-MM-DD', end inclus
+     */
+    parseICS(text) {
+        // Lignes repliées : une ligne commençant par un espace ou une tabulation prolonge la précédente
+        const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        if (!lines.some(l => l.trim() === 'BEGIN:VCALENDAR')) throw new Error('Ce fichier n\'est pas un calendrier .ics');
+
+        const events = [];
+        let current = null;
+        let depth = 0;          // composants imbriqués (VALARM) ignorés
+        lines.forEach(raw => {
+            const line = raw.trimEnd();
+            if (line === 'BEGIN:VEVENT') {
+                current = {};
+                depth = 0;
+                return;
+            }
+            if (!current) return;
+            if (line.startsWith('BEGIN:')) { depth++; return; }
+            if (line.startsWith('END:') && depth > 0) { depth--; return; }
+            if (line === 'END:VEVENT') {
+                const event = this._toEvent(current);
+                if (event) events.push(event);
+                current = null;
+                return;
+            }
+            if (depth > 0) return;
+
+            // NOM;PARAM=valeur;PARAM="valeur:avec deux-points":VALEUR
+            const match = line.match(/^([A-Za-z0-9-]+)((?:;(?:"[^"]*"|[^":])*)?):(.*)$/);
+            if (!match) return;
+            const [, name, params, value] = match;
+            current[name.toUpperCase()] = { params: params.toUpperCase(), value };
+        });
+        return events;
+    }
+
+    _toEvent(props) {
+        if (!props.DTSTART) return null;
+        const start = this._parseDate(props.DTSTART);
+        if (!start) return null;
+
+        let end = props.DTEND ? this._parseDate(props.DTEND) : start;
+        // Journée entière : DTEND est exclusif
+        if (props.DTEND && /VALUE=DATE(?!-)/.test(props.DTEND.params) && end > start) {
+            const last = new Date(end + 'T12:00:00');
+            last.setDate(last.getDate() - 1);
+            end = last.toISOString().slice(0, 10);
+        }
+        if (!end || end < start) end = start;
+
+        const title = this._unescape(props.SUMMARY?.value || 'Événement');
+        const description = this._unescape(props.DESCRIPTION?.value || '');
+        const location = this._unescape(props.LOCATION?.value || '');
+        return {
+            uid: props.UID?.value || `${start}-${title}`,
+            title,
+            start,
+            end,
+            location,
+            description: description.slice(0, 500),
+            kind: this.detectKind(`${title} ${location} ${description} ${props.CATEGORIES?.value || ''}`)
+        };
+    }
+
+    /** DATE ou DATE-TIME (UTC, fuseau ou flottant) → 'YYYY-MM-DD' local */
+    _parseDate({ value }) {
+        const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?/);
+        if (!m) return null;
+        const [, y, mo, d, h, mi, s, utc] = m;
+        if (!h) return `${y}-${mo}-${d}`;
+        if (!utc) return `${y}-${mo}-${d}`;     // flottant ou TZID : date locale du lieu de l'événement
+        const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0)));
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    _unescape(text) {
+        return text.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+    }
+
+    detectKind(text) {
+        const lower = text.toLowerCase();
+        if (ICS_EVENT_KINDS.competition.some(k => lower.includes(k))) return 'competition';
+        if (ICS_EVENT_KINDS.trip.some(k => lower.includes(k))) return 'trip';
+        return 'other';
+    }
+
+    // ==========================================
+    // Événements importés
+    // ==========================================
+
+    getEvents() {
+        return window.storage.get(this.storageKey, []);
+    }
+
+    /** Événements qui ne sont pas encore terminés, par date */
+    getUpcomingEvents(days = 120) {
+        const today = new Date().toISOString().slice(0, 10);
+        const limit = new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+        return this.getEvents()
+            .filter(e => e.end >= today && e.start <= limit)
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    getEventsOn(dateStr) {
+        return this.getEvents().filter(e => e.start <= dateStr && e.end >= dateStr);
+    }
+
+    /**
+     * Ajoute (ou met à jour, même UID) les événements d'un fichier ; les événements passés sont ignorés
+     * @returns {number} événements importés
+     */
+    importICS(text) {
+        const today = new Date().toISOString().slice(0, 10);
+        const imported = this.parseICS(text).filter(e => e.end >= today);
+        const events = this.getEvents();
+        imported.forEach(event => {
+            const entry = { ...event, importedAt: new Date().toISOString() };
+            const index = events.findIndex(e => e.uid === event.uid);
+            if (index >= 0) events[index] = entry;
+            else events.push(entry);
+        });
+        // Événements terminés depuis plus de 30 jours : plus utiles au plan
+        const cutoff = new Date(Date.now() - 30 * 86400000).toISOString().slice(0, 10);
+        window.storage.set(this.storageKey, events.filter(e => e.end >= cutoff), { origin: 'planCalendar' });
+        return imported.length;
+    }
+
+    removeEvent(uid) {
+        window.storage.set(this.storageKey, this.getEvents().filter(e => e.uid !== uid), { origin: 'planCalendar' });
+    }
+
+    /** Lignes pour les prompts : « 2026-11-14 → 2026-11-16 | Compétition | Open de Nice (Nice) » */
+    describeUpcoming(days = 120) {
+        const kinds = { competition: 'Compétition', trip: 'Sortie / voyage', other: 'Événement' };
+        return this.getUpcomingEvents(days).map(e =>
+            `${e.start}${e.end !== e.start ? ` → ${e.end}` : ''} | ${kinds[e.kind] || kinds.other} | ${e.title}${e.location ? ` (${e.location})` : ''}`
+        ).join('\n');
+    }
+}
+
+window.planCalendar = new PlanCalendar();
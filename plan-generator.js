@@ -0,0 +1,251 @@
+/**
+ * LocalPlanGenerator - Plan de semaine généré hors-ligne (sans appel IA)
+ *
+ * Produit le même JSON que celui demandé à l'IA par WeeklyPlan.buildGenerationPrompt :
+ *   { title, rationale, days: [{ dayIndex, exercises: [{ exerciseId, estimatedDuration }] }] × 7 }
+ * et passe par la même validation (WeeklyPlan.parseAIResponse).
+ *
+ * Mêmes règles que le prompt :
+ *   - 1 à 3 exercices par jour, éveil respiratoire → travail principal → récupération
+ *   - CO2 avant O2 (dans la semaine, et O2 seulement avec une base CO2 récente et un record ≥ 90 s)
+ *   - dimanche au repos, un second jour de repos en semaine de décharge
+ *   - adaptation aux 30 dernières séances (ressenti moyen, fréquence) et à apneaMax
+ *
+ * Modèles d'objectif : statique, chasse, stress, sommeil (détection auto depuis la consigne / les objectifs).
+ *
+ * Programmes sur plusieurs semaines (WeeklyPlan) : periodize() découpe le bloc en semaines
+ * de construction, décharge, pic et affûtage ; chaque semaine est ensuite générée avec la charge
+ * de sa phase (option load de generate).
+ */
+
+const PLAN_TEMPLATES = {
+    statique: {
+        label: 'Statique',
+        keywords: ['statique', 'static', 'record', 'sta ', 'compétition', 'competition'],
+        warmup: ['diaphragm', 'breathe-up-structure'],
+        recovery: ['coherent', 'body-scan-apnea'],
+        // Séances principales par ordre d'intensité croissante
+        work: [['comfort-zone'], ['contraction-tolerance'], ['co2-table'], ['no-contraction'], ['o2-table']],
+        light: [['coherent', 'lung-stretch'], ['cyclic-sighing', 'predive']]
+    },
+    chasse: {
+        label: 'Chasse sous-marine',
+        keywords: ['chasse', 'spearfishing', 'agachon', 'coulée', 'coulee', 'répét', 'repet'],
+        warmup: ['diaphragm', 'dive-reflex'],
+        recovery: ['hook-breathing', 'lung-stretch'],
+        // Apnées répétées à récupération courte : CO2 et FRC avant la performance pure
+        work: [['comfort-zone'], ['comfort-zone-frc'], ['co2-table'], ['contraction-tolerance'], ['o2-table']],
+        light: [['dive-reflex', 'coherent'], ['lung-stretch', 'predive']]
+    },
+    stress: {
+        label: 'Gestion du stress',
+        keywords: ['stress', 'anxi', 'calme', 'détente', 'detente', 'burn'],
+        warmup: ['cyclic-sighing'],
+        recovery: ['body-scan'],
+        work: [['coherent'], ['cardiac-coherence'], ['square-flow'], ['pmr'], ['nadi-shodhana']],
+        light: [['cyclic-sighing', 'coherent'], ['meditation-lacher-prise']]
+    },
+    sommeil: {
+        label: 'Sommeil',
+        keywords: ['sommeil', 'dormir', 'insomnie', 'sleep', 'endormissement', 'nuit'],
+        warmup: ['coherent'],
+        recovery: ['sleep-descent'],
+        work: [['relaxation'], ['bhramari'], ['deep-sleep-478'], ['pmr'], ['body-scan']],
+        light: [['relaxation', 'sleep-descent'], ['coherent', 'deep-sleep-478']]
+    }
+};
+
+// Phases d'un programme : charge imposée à la semaine générée
+const PROGRAM_PHASES = {
+    build:  { label: 'Construction', short: 'Constr.' },
+    deload: { label: 'Décharge', short: 'Décharge' },
+    peak:   { label: 'Pic', short: 'Pic' },
+    taper:  { label: 'Affûtage', short: 'Affût.' }
+};
+
+// Durées estimées des exercices sans durée fixe (tables, protocoles)
+const PLAN_DEFAULT_DURATIONS = {
+    'co2-table': 16,
+    'o2-table': 20,
+    'no-contraction': 14,
+    'comfort-zone': 15,
+    'comfort-zone-frc': 15,
+    'contraction-tolerance': 15,
+    'passive-breath-hanger': 12,
+    'body-scan-apnea': 10
+};
+
+class LocalPlanGenerator {
+    constructor() {
+        this.minO2ApneaMax = 90;        // s — pas de table O2 en dessous
+        this.lowFeeling = 3;            // ressenti moyen < 3/5 → semaine de décharge
+        this.highFeeling = 4;           // ressenti moyen ≥ 4/5 (et assez de séances) → semaine chargée
+    }
+
+    /** Modèle d'objectif détecté dans un texte (consigne, objectifs) — statique par défaut */
+    detectTemplate(text) {
+        const lower = (text || '').toLowerCase();
+        const found = Object.entries(PLAN_TEMPLATES).find(([, t]) => t.keywords.some(k => lower.includes(k)));
+        return found ? found[0] : 'statique';
+    }
+
+    /**
+     * @param {Object} input - { template, sessions, apneaMax, trainingFreq, directive, goals, load, eventDayIndex }
+     *   load : 'deload' | 'normal' | 'build' imposé (semaine de programme), sinon déduit de l'historique
+     *   eventDayIndex : jour de l'échéance dans la semaine (0 = lundi) — rien d'intense la veille, repos après
+     * @returns {{ title, rationale, days }} même forme que la réponse IA
+     */
+    generate({ template, sessions = [], apneaMax = 120, trainingFreq = null, directive = '', goals = '', load = null, eventDayIndex = null } = {}) {
+        const key = PLAN_TEMPLATES[template] ? template : this.detectTemplate(`${directive} ${goals}`);
+        const tpl = PLAN_TEMPLATES[key];
+        const a = this.analyse(sessions.slice(-30), apneaMax, trainingFreq, directive);
+        if (load) Object.assign(a, { load, planned: true });
+
+        // Jours d'entraînement : dimanche toujours au repos ; en décharge, mercredi aussi
+        const restDays = a.load === 'deload' ? [2, 6] : [6];
+        const trainingDays = [0, 1, 2, 3, 4, 5].filter(d => !restDays.includes(d));
+        // Jours intenses espacés (jamais deux de suite), les autres en séance légère,
+        // répartis pour ne pas enchaîner toute la semaine d'un bloc
+        const hardCount = { deload: 1, normal: 2, build: 3 }[a.load];
+        const hardDays = [0, 2, 4].filter(d => trainingDays.includes(d)).slice(0, hardCount);
+        const lightDays = [4, 1, 3, 5, 2]
+            .filter(d => trainingDays.includes(d) && !hardDays.includes(d))
+            .slice(0, Math.max(0, a.daysPerWeek - hardDays.length));
+        const activeDays = [...hardDays, ...lightDays];
+
+        const work = this._workBlocks(key, tpl, a);
+        let hardIndex = 0;
+        let lightIndex = 0;
+        const days = [0, 1, 2, 3, 4, 5, 6].map(dayIndex => {
+            if (!activeDays.includes(dayIndex)) return { dayIndex, exercises: [] };
+            const ids = hardDays.includes(dayIndex)
+                ? [tpl.warmup[hardIndex % tpl.warmup.length], ...work[Math.min(hardIndex++, work.length - 1)], tpl.recovery[0]]
+                : tpl.light[lightIndex++ % tpl.light.length];
+            return { dayIndex, exercises: this._session(ids) };
+        });
+
+        if (eventDayIndex !== null) {
+            days.forEach(day => {
+                if (day.dayIndex > eventDayIndex) day.exercises = [];
+                else if (day.dayIndex >= eventDayIndex - 1 && hardDays.includes(day.dayIndex)) day.exercises = this._session(tpl.light[0]);
+            });
+        }
+
+        return {
+            title: `${tpl.label} — ${{ deload: 'semaine légère', normal: 'semaine de construction', build: 'semaine de progression' }[a.load]}`,
+            rationale: this._rationale(key, tpl, a, apneaMax),
+            days
+        };
+    }
+
+    /**
+     * Phases d'un bloc de plusieurs semaines : cycles de deux semaines de construction
+     * (la seconde plus chargée) suivies d'une décharge, puis pic et affûtage avant l'échéance
+     * @param {number} weeks - nombre de semaines (2 à 12)
+     * @param {boolean} hasEvent - échéance en dernière semaine (affûtage) ou simple semaine test
+     * @returns {Array<{ phase, load }>}
+     */
+    periodize(weeks, hasEvent = true) {
+        const n = Math.min(12, Math.max(2, Math.round(weeks)));
+        const ending = hasEvent ? ['peak', 'taper'] : ['peak'];
+        const body = Math.max(0, n - ending.length);
+        const phases = Array.from({ length: body }, (_, i) => (i % 3 === 2 ? 'deload' : 'build'));
+        // Pas de décharge juste avant le pic : elle le remplacerait
+        if (phases[body - 1] === 'deload') phases[body - 1] = 'build';
+        phases.push(...ending.slice(-Math.min(ending.length, n)));
+
+        const loads = { deload: 'deload', peak: 'build', taper: 'deload' };
+        return phases.slice(0, n).map((phase, i) => ({
+            phase,
+            // Construction : première semaine du cycle modérée, la suivante chargée
+            load: loads[phase] || (i % 3 === 0 ? 'normal' : 'build')
+        }));
+    }
+
+    /** Lecture des 30 dernières séances */
+    analyse(recent, apneaMax, trainingFreq, directive) {
+        const rated = recent.filter(s => s.feeling);
+        const avgFeeling = rated.length ? rated.reduce((sum, s) => sum + s.feeling, 0) / rated.length : null;
+        const lower = (directive || '').toLowerCase();
+
+        let load = 'normal';
+        if (/fatigu|récup|recup|léger|leger|malade/.test(lower) || (avgFeeling !== null && avgFeeling < this.lowFeeling)) load = 'deload';
+        else if (avgFeeling !== null && avgFeeling >= this.highFeeling && rated.length >= 8) load = 'build';
+
+        // Jours pratiqués par semaine sur la période couverte
+        const days = new Set(recent.filter(s => s.date).map(s => s.date.slice(0, 10)));
+        let observed = null;
+        if (days.size >= 2) {
+            const sorted = [...days].sort();
+            const weeks = Math.max(1, (new Date(sorted[sorted.length - 1]) - new Date(sorted[0])) / (7 * 86400000));
+            observed = Math.round(days.size / weeks);
+        }
+        const wanted = Number(trainingFreq) || observed || 4;
+        // Un jour de plus que l'habitude au maximum, entre 3 et 6
+        let daysPerWeek = Math.min(6, Math.max(3, observed ? Math.min(wanted, observed + 1) : wanted));
+        if (load === 'deload') daysPerWeek = Math.max(3, daysPerWeek - 1);
+
+        return {
+            count: recent.length,
+            avgFeeling,
+            load,
+            daysPerWeek,
+            co2Count: recent.filter(s => s.exerciseId === 'co2-table').length,
+            o2Count: recent.filter(s => s.exerciseId === 'o2-table').length,
+            o2Allowed: apneaMax >= this.minO2ApneaMax && recent.filter(s => s.exerciseId === 'co2-table').length >= 2
+        };
+    }
+
+    /** Blocs de travail de la semaine, dans l'ordre : le premier jour intense reste le plus accessible */
+    _workBlocks(key, tpl, a) {
+        let blocks = tpl.work.filter(block => !block.includes('o2-table') || a.o2Allowed);
+        if (key === 'statique' || key === 'chasse') {
+            // Pas de base CO2 récente : la semaine commence par du CO2, l'O2 attendra
+            if (a.co2Count < 2) blocks = blocks.filter(b => !b.includes('no-contraction'));
+            // Semaine chargée : on garde les blocs les plus exigeants, CO2 toujours avant O2
+            if (a.load === 'build') blocks = blocks.slice(-3);
+            else if (a.load === 'deload') blocks = blocks.slice(0, 1);
+            else blocks = blocks.slice(1, 3).length === 2 ? blocks.slice(1, 3) : blocks.slice(0, 2);
+        } else {
+            blocks = a.load === 'deload' ? blocks.slice(0, 1) : blocks.slice(0, 3);
+        }
+        return blocks.length ? blocks : [tpl.work[0]];
+    }
+
+    /** 1 à 3 exercices connus, sans doublon, avec durée estimée */
+    _session(ids) {
+        const known = window.EXERCISES || {};
+        return [...new Set(ids)]
+            .filter(id => known[id])
+            .slice(0, 3)
+            .map(id => ({ exerciseId: id, estimatedDuration: known[id].duration || PLAN_DEFAULT_DURATIONS[id] || 10 }));
+    }
+
+    _rationale(key, tpl, a, apneaMax) {
+        const parts = [];
+        if (a.count === 0) {
+            parts.push('Pas encore d\'historique : semaine de découverte, volume modéré.');
+        } else {
+            const feeling = a.avgFeeling !== null ? `, ressenti moyen ${a.avgFeeling.toFixed(1)}/5` : '';
+            parts.push(`${a.count} séances récentes${feeling}.`);
+        }
+        parts.push({
+            deload: 'Semaine de décharge : un seul jour intense et deux jours de repos.',
+            normal: 'Deux séances principales espacées, séances légères entre les deux.',
+            build: a.planned
+                ? 'Semaine chargée : trois séances principales, jamais deux jours de suite.'
+                : 'Bonnes sensations : trois séances principales, jamais deux jours de suite.'
+        }[a.load]);
+        if (key === 'statique' || key === 'chasse') {
+            parts.push(a.o2Allowed
+                ? 'Tables CO2 avant O2 dans la semaine.'
+                : `Pas de table O2 cette semaine (${apneaMax < this.minO2ApneaMax ? `apnée max ${apneaMax}s < ${this.minO2ApneaMax}s` : 'base CO2 récente insuffisante'}).`);
+        }
+        parts.push(`Objectif : ${tpl.label.toLowerCase()}. Plan généré hors-ligne.`);
+        return parts.join(' ');
+    }
+}
+
+window.PLAN_TEMPLATES = PLAN_TEMPLATES;
+window.PROGRAM_PHASES = PROGRAM_PHASES;
+window.localPlanGenerator = new LocalPlanGenerator();
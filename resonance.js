@@ -0,0 +1,127 @@
+/**
+ * ResonanceAssessment - Recherche de la fréquence de résonance respiratoire
+ *
+ * L'exercice 'resonance-assessment' (ExerciseRunner) enchaîne des paliers de respiration
+ * guidée, du plus rapide au plus lent (6.5 → 4.5 resp/min par défaut, 2 min chacun).
+ * Chaque palier est un segment mesuré :
+ *   - avec cardiofréquencemètre : amplitude FC max − min par cycle (HRV.peakToTrough)
+ *     et puissance LF (HRV.frequencyDomain) sur les RR du palier
+ *   - sans capteur, ou capteur qui ne transmet pas assez de RR : note de confort 1-5
+ *     saisie en fin de palier
+ *
+ * La meilleure fréquence est reportée dans les réglages de 'cardiac-coherence' (frequency)
+ * et 'coherent' (inhale / exhale), ainsi que dans le profil du coach (resonanceRate).
+ * Chaque évaluation est conservée dans deepbreath_resonance_history.
+ */
+const RESONANCE_HISTORY_KEY = 'deepbreath_resonance_history';
+
+class ResonanceAssessment {
+    constructor() {
+        this.historyLimit = 20;
+    }
+
+    /**
+     * Paliers d'évaluation
+     * @returns {Array<{ rate, count, inhale, exhale }>}
+     */
+    buildSteps(from = 6.5, to = 4.5, stepMinutes = 2, increment = 0.5) {
+        const steps = [];
+        const dir = from >= to ? -1 : 1;
+        for (let rate = from; dir < 0 ? rate >= to - 1e-9 : rate <= to + 1e-9; rate += dir * increment) {
+            const r = Math.round(rate * 10) / 10;
+            const half = Math.round(30 / r * 10) / 10;
+            steps.push({ rate: r, count: Math.max(1, Math.round(r * stepMinutes)), inhale: half, exhale: half });
+        }
+        return steps;
+    }
+
+    /**
+     * Score de chaque palier — FC si assez de RR, sinon confort
+     * @returns {Array<{ rate, amplitude, lf, comfort, score, measured: 'hr'|'comfort'|null }>}
+     */
+    score(segments) {
+        return segments.map(seg => {
+            const row = { rate: seg.rate, amplitude: null, lf: null, comfort: seg.comfort ?? null, score: null, measured: null };
+            const rr = window.HRV && seg.rr ? window.HRV.cleanRR(seg.rr) : [];
+            if (rr.length >= 30) {
+                row.amplitude = window.HRV.peakToTrough(rr, 60 / seg.rate);
+                const fd = window.HRV.frequencyDomain(rr);
+                row.lf = fd ? Math.round(fd.lf) : null;
+                if (row.amplitude !== null) {
+                    row.amplitude = Math.round(row.amplitude * 10) / 10;
+                    row.score = row.amplitude;
+                    row.measured = 'hr';
+                }
+            }
+            if (row.measured === null && row.comfort !== null) {
+                row.score = row.comfort;
+                row.measured = 'comfort';
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Meilleur palier : plus grande amplitude FC (à égalité, puissance LF puis rythme le plus lent) ;
+     * à défaut, meilleure note de confort (à égalité, rythme le plus proche de 5.5)
+     */
+    pickBest(rows) {
+        const hr = rows.filter(r => r.measured === 'hr');
+        const pool = hr.length >= 2 ? hr : rows.filter(r => r.measured === 'comfort');
+        if (pool.length === 0) return null;
+        return pool.reduce((best, r) => {
+            if (r.score !== best.score) return r.score > best.score ? r : best;
+            if (r.measured === 'hr' && (r.lf || 0) !== (best.lf || 0)) return (r.lf || 0) > (best.lf || 0) ? r : best;
+            return Math.abs(r.rate - 5.5) < Math.abs(best.rate - 5.5) ? r : best;
+        });
+    }
+
+    /** Appelé par ExerciseRunner en fin d'exercice (results.analyzer) */
+    conclude(segments, runner) {
+        const rows = this.score(segments);
+        const best = this.pickBest(rows);
+        this.saveHistory(rows, best);
+        if (!best) return 'Évaluation incomplète — aucune mesure ni note exploitable.';
+
+        this.apply(best.rate, runner && runner.app);
+        const detail = best.measured === 'hr'
+            ? `amplitude ${best.amplitude} bpm`
+            : `confort ${best.comfort}/5`;
+        return `Fréquence de résonance : ${best.rate} resp/min (${detail}) — appliquée à la cohérence cardiaque.`;
+    }
+
+    /** Reporte la fréquence dans les réglages des exercices de cohérence et dans le profil */
+    apply(rate, app = window.app) {
+        if (app && app.settings) {
+            const ex = app.settings.exercises;
+            const half = Math.round(30 / rate * 10) / 10;
+            ex['cardiac-coherence'] = { ...(ex['cardiac-coherence'] || {}), frequency: rate.toFixed(1) };
+            ex['coherent'] = { ...(ex['coherent'] || {}), inhale: half, exhale: half };
+            app.saveSettings(true);
+            if (app.refreshExerciseSettingsUI) app.refreshExerciseSettingsUI();
+        }
+        if (window.coach && window.coach.profile) {
+            window.coach.profile.resonanceRate = rate;
+            window.coach.saveProfile();
+            const input = document.querySelector('[data-profile="resonanceRate"]');
+            if (input) input.value = rate;
+        }
+    }
+
+    getHistory() {
+        return window.storage.get(RESONANCE_HISTORY_KEY, []);
+    }
+
+    saveHistory(rows, best) {
+        try {
+            const all = this.getHistory();
+            all.push({ date: new Date().toISOString(), best: best ? best.rate : null, steps: rows });
+            if (all.length > this.historyLimit) all.splice(0, all.length - this.historyLimit);
+            window.storage.set(RESONANCE_HISTORY_KEY, all, { origin: 'resonance' });
+        } catch (e) {
+            console.warn('Could not save resonance history:', e);
+        }
+    }
+}
+
+window.resonanceAssessment = new ResonanceAssessment();
@@ -21,6 +21,8 @@ const SoundEngine = (() => {
     const defaults = {
         oceanVolume:       0.2,
         oceanEnabled:      true,
+        soundscape:        'ocean',
+        soundscapeParams:  {},
         breathVolume:      0.4,
         breathEnabled:     true,
         breathTheme:       'zen',
@@ -29,6 +31,7 @@ const SoundEngine = (() => {
         voiceRate:         0.78,
         voiceRatePct:      78,
         voiceSelectedName: null,
+        voicePackId:       null,
         masterVolume:      1.0,
         duckAmount:        0.35,
     };
@@ -36,25 +39,24 @@ const SoundEngine = (() => {
     let settings = { ...defaults };
 
     function saveSettings() {
-        try { localStorage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch (e) {}
+        try { window.storage.set(STORAGE_KEY, settings, { origin: 'soundEngine' }); } catch (e) {}
     }
 
     function loadSettings() {
-        try {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            if (raw) settings = { ...defaults, ...JSON.parse(raw) };
-        } catch (e) {}
+        settings = { ...defaults, ...window.storage.get(STORAGE_KEY, {}) };
     }
 
     // Synchronise les closures breath/voice depuis settings
     // Appelée après loadSettings() une fois que les layers sont créés
     function _applySettingsToLayers() {
+        ambience.setVolume(settings.oceanVolume);
         breath.setVolume(settings.breathVolume);
         breath.setTheme(settings.breathTheme);
         breath.enabled = settings.breathEnabled;
         voice.setVolume(settings.voiceVolume);
         voice.setRate(settings.voiceRate);
         voice.setVoice(settings.voiceSelectedName);
+        voice.setPack(settings.voicePackId);
         voice.enabled = settings.voiceEnabled;
     }
 
@@ -158,111 +160,57 @@ const SoundEngine = (() => {
     });
 
     // ─────────────────────────────────────────────────────────────────────────
-    // OCEAN LAYER
+    // AMBIENCE LAYER — paysages sonores de soundscapes.js (océan par défaut)
+    // oceanVolume / oceanEnabled gardent leur nom : réglages déjà enregistrés
     // ─────────────────────────────────────────────────────────────────────────
-    const ocean = (() => {
-        let isPlaying  = false;
-        let oceanGain  = null;
-        let baseVolume = settings.oceanVolume;
-        let nodes      = [];
-        let isDucked   = false;
-
-        // Buffer bruit brun avec fade in/out pour éviter les clics au loop iOS
-        function createNoiseBuffer() {
-            const ac = getContext();
-            // 4 secondes pour cacher le point de loop
-            const bufferSize = 4 * ac.sampleRate;
-            const buf  = ac.createBuffer(1, bufferSize, ac.sampleRate);
-            const data = buf.getChannelData(0);
-            let last = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                data[i] = (last + 0.02 * white) / 1.02;
-                last = data[i];
-                data[i] *= 3.5;
+    const ambience = (() => {
+        let isPlaying    = false;
+        let layerGain    = null;
+        let baseVolume   = settings.oceanVolume;
+        let isDucked     = false;
+        let run          = null;     // SoundscapeRun en cours
+        let playing      = null;     // { id, params } joué par run
+        let exerciseSpec = null;     // ambiance propre à l'exercice en cours
+
+        function userParams(id) {
+            return (settings.soundscapeParams || {})[id] || {};
+        }
+
+        // Ambiance de l'exercice en cours (ses paramètres priment), sinon celle des réglages
+        function target() {
+            const registry = window.soundscapes;
+            if (exerciseSpec) {
+                const { id, params } = exerciseSpec;
+                return { id, params: registry.params(id, { ...userParams(id), ...params }) };
             }
-            // Fade 50ms aux deux extrémités pour un loop sans clic
-            const fade = Math.floor(ac.sampleRate * 0.05);
-            for (let i = 0; i < fade; i++) {
-                data[i]                        *= i / fade;
-                data[bufferSize - 1 - i]       *= i / fade;
-            }
-            const src = ac.createBufferSource();
-            src.buffer = buf;
-            src.loop = true;
-            src.loopStart = 0;
-            src.loopEnd   = buf.duration;
-            return src;
-        }
-
-        function createWaveLayer(freq, q, speed, minG, maxG, phase) {
-            const ac    = getContext();
-            const noise = createNoiseBuffer();
-            const filter = ac.createBiquadFilter();
-            filter.type = 'bandpass';
-            filter.frequency.value = freq;
-            filter.Q.value = q;
-            const gain = ac.createGain();
-            gain.gain.value = minG;
-            noise.connect(filter);
-            filter.connect(gain);
-            gain.connect(oceanGain);
-            noise.start();
-            nodes.push({ noise, filter, gain });
-            modulateWave(gain, filter, freq, minG, maxG, speed, phase);
-        }
-
-        function modulateWave(gainNode, filterNode, baseFreq, minG, maxG, speed, phase) {
-            const tick = () => {
-                if (!isPlaying) return;
-                const ac  = getContext();
-                const now = ac.currentTime;
-                const dur = speed + Math.random() * speed * 0.3;
-                const peak    = maxG * (0.8 + Math.random() * 0.2);
-                const safeMin = Math.max(minG, 0.001);
-
-                gainNode.gain.cancelScheduledValues(now);
-                gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-                gainNode.gain.linearRampToValueAtTime(peak,    now + dur * 0.20);
-                gainNode.gain.setValueAtTime(peak,             now + dur * 0.28);
-                gainNode.gain.exponentialRampToValueAtTime(safeMin, now + dur * 0.75);
-                gainNode.gain.linearRampToValueAtTime(minG,   now + dur * 0.78);
-                gainNode.gain.setValueAtTime(minG,             now + dur);
-
-                filterNode.frequency.cancelScheduledValues(now);
-                filterNode.frequency.setValueAtTime(filterNode.frequency.value, now);
-                filterNode.frequency.linearRampToValueAtTime(baseFreq * 1.4, now + dur * 0.20);
-                filterNode.frequency.linearRampToValueAtTime(baseFreq * 0.7, now + dur * 0.75);
-                filterNode.frequency.linearRampToValueAtTime(baseFreq,       now + dur);
-
-                setTimeout(tick, dur * 1000);
-            };
-            setTimeout(tick, phase * 1000);
+            const id = registry.get(settings.soundscape) ? settings.soundscape : 'ocean';
+            return { id, params: registry.params(id, userParams(id)) };
         }
 
-        function buildSoundscape() {
-            const ac = getContext();
-            oceanGain = ac.createGain();
-            oceanGain.gain.value = 0;
-            oceanGain.connect(masterGainNode);
-
-            createWaveLayer(80,   0.5, 8,   0.1,  0.3,  0);
-            createWaveLayer(250,  0.8, 6,   0.08, 0.25, 1.5);
-            createWaveLayer(800,  1.2, 5,   0.05, 0.15, 3);
-            createWaveLayer(2000, 2,   4,   0.02, 0.08, 2);
-            createWaveLayer(4000, 3,   3.5, 0.01, 0.04, 4);
-            createWaveLayer(400,  0.7, 7,   0.06, 0.18, 5);
-
-            const now = ac.currentTime;
-            oceanGain.gain.setValueAtTime(0, now);
-            oceanGain.gain.linearRampToValueAtTime(baseVolume, now + 2);
+        // Fondu enchaîné vers l'ambiance cible si elle a changé
+        function refresh() {
+            if (!isPlaying || !layerGain) return;
+            const next = target();
+            if (playing && JSON.stringify(playing) === JSON.stringify(next)) return;
+            if (run) run.stop(1.5);
+            run = window.soundscapes.start(getContext(), layerGain, next.id, next.params, playing ? 2.5 : 0.1);
+            playing = next;
         }
 
         async function start() {
             if (isPlaying) return;
             await ensureRunning();
             isPlaying = true;
-            buildSoundscape();
+            const ac = getContext();
+            layerGain = ac.createGain();
+            layerGain.gain.value = 0;
+            layerGain.connect(masterGainNode);
+            playing = null;
+            refresh();
+
+            const now = ac.currentTime;
+            layerGain.gain.setValueAtTime(0, now);
+            layerGain.gain.linearRampToValueAtTime(isDucked ? baseVolume * settings.duckAmount : baseVolume, now + 2);
             settings.oceanEnabled = true;
             saveSettings();
         }
@@ -270,14 +218,17 @@ const SoundEngine = (() => {
         function stop() {
             if (!isPlaying) return;
             isPlaying = false;
-            if (oceanGain && ctx) {
+            const gain = layerGain;
+            if (run) run.stop(1);
+            run = null;
+            playing = null;
+            layerGain = null;
+            if (gain && ctx) {
                 const now = ctx.currentTime;
-                oceanGain.gain.linearRampToValueAtTime(0, now + 1);
-                setTimeout(() => {
-                    nodes.forEach(({ noise }) => { try { noise.stop(); } catch (e) {} });
-                    nodes = [];
-                    if (oceanGain) { try { oceanGain.disconnect(); } catch (e) {} oceanGain = null; }
-                }, 1500);
+                gain.gain.cancelScheduledValues(now);
+                gain.gain.setValueAtTime(gain.gain.value, now);
+                gain.gain.linearRampToValueAtTime(0, now + 1);
+                setTimeout(() => { try { gain.disconnect(); } catch (e) {} }, 1500);
             }
             settings.oceanEnabled = false;
             saveSettings();
@@ -296,29 +247,62 @@ const SoundEngine = (() => {
         function setVolume(val) {
             baseVolume = Math.max(0, Math.min(1, val));
             settings.oceanVolume = baseVolume;
-            if (oceanGain && isPlaying && !isDucked) {
+            if (layerGain && isPlaying && !isDucked) {
                 const now = ctx.currentTime;
-                oceanGain.gain.cancelScheduledValues(now);
-                oceanGain.gain.setValueAtTime(oceanGain.gain.value, now);
-                oceanGain.gain.linearRampToValueAtTime(baseVolume, now + 0.3);
+                layerGain.gain.cancelScheduledValues(now);
+                layerGain.gain.setValueAtTime(layerGain.gain.value, now);
+                layerGain.gain.linearRampToValueAtTime(baseVolume, now + 0.3);
             }
             saveSettings();
         }
 
         function duck(active) {
-            if (!oceanGain || !ctx) return;
             isDucked = active;
-            const now    = ctx.currentTime;
-            const target = active ? baseVolume * settings.duckAmount : baseVolume;
-            oceanGain.gain.cancelScheduledValues(now);
-            oceanGain.gain.setValueAtTime(oceanGain.gain.value, now);
-            oceanGain.gain.linearRampToValueAtTime(target, active ? 0.3 : 0.8);
+            if (!layerGain || !ctx) return;
+            const now   = ctx.currentTime;
+            const level = active ? baseVolume * settings.duckAmount : baseVolume;
+            layerGain.gain.cancelScheduledValues(now);
+            layerGain.gain.setValueAtTime(layerGain.gain.value, now);
+            layerGain.gain.linearRampToValueAtTime(level, now + (active ? 0.3 : 0.8));
+        }
+
+        /** Ambiance choisie dans les réglages — false si inconnue */
+        function setSoundscape(id) {
+            if (!window.soundscapes.get(id)) return false;
+            settings.soundscape = id;
+            saveSettings();
+            refresh();
+            return true;
+        }
+
+        /** Paramètres enregistrés d'une ambiance (fusionnés avec les précédents) */
+        function setParams(id, values) {
+            if (!window.soundscapes.get(id)) return;
+            settings.soundscapeParams = {
+                ...settings.soundscapeParams,
+                [id]: window.soundscapes.params(id, { ...userParams(id), ...values })
+            };
+            saveSettings();
+            refresh();
+        }
+
+        function getParams(id) {
+            return window.soundscapes.params(id, userParams(id));
+        }
+
+        /** Ambiance propre à l'exercice ('rain', { id, params } ou null pour revenir aux réglages) */
+        function useExercise(spec) {
+            exerciseSpec = window.soundscapes.resolve(spec);
+            refresh();
         }
 
         return {
-            get isPlaying() { return isPlaying; },
-            get volume()    { return baseVolume; },
-            start, stop, toggle, setVolume, duck
+            get isPlaying()  { return isPlaying; },
+            get volume()     { return baseVolume; },
+            get soundscape() { return (playing || target()).id; },
+            get selected()   { return settings.soundscape; },
+            start, stop, toggle, setVolume, duck,
+            setSoundscape, setParams, getParams, useExercise
         };
     })();
 
@@ -332,24 +316,6 @@ const SoundEngine = (() => {
         let currentNodes = [];
         let currentGain  = null;
 
-        const zenSettings = {
-            inhale:    { baseFreq: 82,  endFreq: 123, harmonics: [2,3,5],   harmonicGains: [0.3,0.15,0.05],     filterFreq: 500, attack: 1.5, release: 1.0 },
-            exhale:    { baseFreq: 123, endFreq: 82,  harmonics: [2,3,5],   harmonicGains: [0.25,0.12,0.04],    filterFreq: 450, attack: 0.8, release: 1.5 },
-            hold:      { baseFreq: 98,  endFreq: 98,  harmonics: [2,3,4,6], harmonicGains: [0.2,0.1,0.06,0.03], filterFreq: 400, attack: 1.0, release: 1.0 },
-            holdEmpty: { baseFreq: 65,  endFreq: 65,  harmonics: [2,3,5],   harmonicGains: [0.2,0.08,0.03],     filterFreq: 350, attack: 1.2, release: 1.5 }
-        };
-
-        function getZenSettings(phase) {
-            switch (phase) {
-                case 'inhale':    return zenSettings.inhale;
-                case 'exhale':    return zenSettings.exhale;
-                case 'hold':
-                case 'holdFull':  return zenSettings.hold;
-                case 'holdEmpty': return zenSettings.holdEmpty;
-                default:          return zenSettings.hold;
-            }
-        }
-
         function stopCurrent() {
             currentNodes.forEach(node => {
                 try { if (node.stop) node.stop(); } catch (e) {}
@@ -401,137 +367,39 @@ const SoundEngine = (() => {
             });
         }
 
-        function playZen(phase, duration) {
-            stopCurrent();
-            const ac  = getContext();
-            const s   = getZenSettings(phase);
-            const now = ac.currentTime;
-            const all = [];
-
-            const safeAttack  = Math.min(s.attack,  duration * 0.4);
-            const safeRelease = Math.min(s.release, duration * 0.4);
-            const peak = volume * 0.6;
-
-            const osc    = ac.createOscillator();
-            const gainN  = ac.createGain();
-            const filter = ac.createBiquadFilter();
-            const vib    = ac.createOscillator();
-            const vibG   = ac.createGain();
-
-            osc.type = 'sine';
-            osc.frequency.setValueAtTime(s.baseFreq, now);
-            osc.frequency.exponentialRampToValueAtTime(Math.max(s.endFreq, 20), now + duration);
-            filter.type = 'lowpass'; filter.frequency.value = s.filterFreq; filter.Q.value = 0.3;
-            vib.frequency.value = 0.8; vibG.gain.value = 0.5;
-            vib.connect(vibG); vibG.connect(osc.frequency);
-            osc.connect(filter); filter.connect(gainN); gainN.connect(masterGainNode);
-
-            gainN.gain.setValueAtTime(0.0001, now);
-            gainN.gain.exponentialRampToValueAtTime(peak, now + safeAttack);
-            const sust = duration - safeAttack - safeRelease;
-            if (sust > 0) {
-                if (phase === 'inhale')      gainN.gain.exponentialRampToValueAtTime(peak * 1.05, now + safeAttack + sust);
-                else if (phase === 'exhale') gainN.gain.exponentialRampToValueAtTime(peak * 0.6,  now + safeAttack + sust);
-                else                         gainN.gain.setValueAtTime(peak, now + safeAttack + sust);
-            }
-            gainN.gain.exponentialRampToValueAtTime(0.0001, now + duration);
-
-            vib.start(now); osc.start(now);
-            vib.stop(now + duration + 0.5); osc.stop(now + duration + 0.5);
-            all.push(osc, vib, gainN, filter, vibG);
-
-            (s.harmonics || [2,3]).forEach((mult, i) => {
-                const hOsc  = ac.createOscillator();
-                const hGain = ac.createGain();
-                const hFilt = ac.createBiquadFilter();
-                hOsc.type = 'sine';
-                hOsc.frequency.setValueAtTime(s.baseFreq * mult, now);
-                hOsc.frequency.exponentialRampToValueAtTime(Math.max(s.endFreq * mult, 20), now + duration);
-                hFilt.type = 'lowpass'; hFilt.frequency.value = s.filterFreq * 0.8; hFilt.Q.value = 0.2;
-                hOsc.connect(hFilt); hFilt.connect(hGain); hGain.connect(masterGainNode);
-                const hVol = peak * (s.harmonicGains[i] || 0.1);
-                hGain.gain.setValueAtTime(0.0001, now);
-                hGain.gain.exponentialRampToValueAtTime(hVol, now + safeAttack * 1.3);
-                hGain.gain.exponentialRampToValueAtTime(0.0001, now + duration * 0.8);
-                hOsc.start(now); hOsc.stop(now + duration + 0.5);
-                all.push(hOsc, hGain, hFilt);
-            });
-
-            currentNodes = all;
-            currentGain  = gainN;
-            osc.onended  = () => { currentNodes = []; currentGain = null; };
+        // Thème demandé (id ou objet en cours d'édition), sinon le thème courant, sinon zen
+        function resolveTheme(requested) {
+            const themes = window.breathThemes;
+            if (requested && typeof requested === 'object') return requested;
+            return themes.get(requested || theme) || themes.get('zen');
         }
 
-        function playHarp(phase, duration) {
+        // Rendu déclaratif (breath-themes.js) : une sortie commune pour le fondu de stop()
+        function playTheme(phase, duration, requested) {
             stopCurrent();
-            const ac  = getContext();
-            const now = ac.currentTime;
-            const all = [];
-            const peak = volume * 0.45;
-
-            const configs = {
-                inhale:    { notes: [261.6, 329.6, 392.0, 523.3, 659.3], sustained: false },
-                exhale:    { notes: [659.3, 523.3, 392.0, 329.6, 261.6], sustained: false },
-                hold:      { notes: [261.6, 329.6, 392.0], sustained: true },
-                holdEmpty: { notes: [130.8, 196.0], sustained: true, quiet: true }
-            };
-            const config = configs[phase] || configs.hold;
-
-            if (config.sustained) {
-                const padVol = config.quiet ? peak * 0.3 : peak * 0.5;
-                config.notes.forEach((freq, i) => {
-                    const osc = ac.createOscillator(), g = ac.createGain(), f = ac.createBiquadFilter();
-                    osc.type = 'sine'; osc.frequency.value = freq;
-                    f.type = 'lowpass'; f.frequency.value = freq * 3; f.Q.value = 0.2;
-                    osc.connect(f); f.connect(g); g.connect(masterGainNode);
-                    const nv = padVol / config.notes.length;
-                    const atk = Math.min(1.5, duration * 0.3), rel = Math.min(1.5, duration * 0.3);
-                    g.gain.setValueAtTime(0.0001, now);
-                    g.gain.exponentialRampToValueAtTime(nv, now + atk);
-                    g.gain.exponentialRampToValueAtTime(nv * 0.7, now + duration - rel);
-                    g.gain.exponentialRampToValueAtTime(0.0001, now + duration);
-                    osc.start(now); osc.stop(now + duration + 0.5);
-                    all.push(osc, g, f);
-                    if (i === 0) currentGain = g;
-                });
-            } else {
-                const n = config.notes.length;
-                const spread  = Math.min(duration * 0.7, n * 0.4);
-                const spacing = spread / n;
-                const noteDur = Math.max(1.0, duration * 0.6);
-                config.notes.forEach((freq, i) => {
-                    const t = now + i * spacing;
-                    const osc = ac.createOscillator(), g = ac.createGain(), f = ac.createBiquadFilter();
-                    const osc2 = ac.createOscillator(), g2 = ac.createGain();
-                    osc.type = 'triangle'; osc.frequency.value = freq;
-                    f.type = 'lowpass'; f.frequency.value = freq * 4; f.Q.value = 0.5;
-                    osc.connect(f); f.connect(g); g.connect(masterGainNode);
-                    const nv = peak * (0.6 - i * 0.05);
-                    g.gain.setValueAtTime(0.0001, t);
-                    g.gain.exponentialRampToValueAtTime(nv, t + 0.015);
-                    g.gain.exponentialRampToValueAtTime(nv * 0.4, t + noteDur * 0.3);
-                    g.gain.exponentialRampToValueAtTime(0.0001, t + noteDur);
-                    osc2.type = 'sine'; osc2.frequency.value = freq * 2;
-                    osc2.connect(g2); g2.connect(masterGainNode);
-                    g2.gain.setValueAtTime(0.0001, t);
-                    g2.gain.exponentialRampToValueAtTime(nv * 0.15, t + 0.01);
-                    g2.gain.exponentialRampToValueAtTime(0.0001, t + noteDur * 0.5);
-                    osc.start(t); osc.stop(t + noteDur + 0.1);
-                    osc2.start(t); osc2.stop(t + noteDur + 0.1);
-                    all.push(osc, g, f, osc2, g2);
-                    if (i === 0) currentGain = g;
-                });
-            }
-            currentNodes = all;
-            const first = all.find(n => n instanceof OscillatorNode);
-            if (first) first.onended = () => { currentNodes = []; currentGain = null; };
+            const sound = window.breathThemes.render(getContext(), masterGainNode, resolveTheme(requested), phase, duration, volume);
+            if (!sound) return;
+            currentNodes = sound.nodes;
+            currentGain  = sound.gain;
+            setTimeout(() => {
+                if (currentGain !== sound.gain) return;
+                currentNodes = [];
+                currentGain  = null;
+                try { sound.gain.disconnect(); } catch (e) {}
+            }, (sound.end - ctx.currentTime) * 1000 + 200);
         }
 
-        async function playPhase(phase, duration) {
+        async function playPhase(phase, duration, requested = null) {
             if (!enabled || volume === 0) return;
             await ensureRunning();
-            if (theme === 'harp') playHarp(phase, duration);
-            else                  playZen(phase, duration);
+            playTheme(phase, duration, requested);
+        }
+
+        // Aperçu de l'éditeur : joue même si les sons de respiration sont coupés
+        async function previewPhase(themeDef, phase, duration) {
+            await ensureRunning();
+            await window.breathThemes.preload(themeDef, ctx);
+            playTheme(phase, duration, themeDef);
         }
 
         async function playTransition() {
@@ -583,7 +451,13 @@ const SoundEngine = (() => {
             playBowlStrike(174, 1.5, volume * 0.35);
         }
 
-        function setTheme(t)  { if (t === 'zen' || t === 'harp') { theme = t; settings.breathTheme = t; saveSettings(); } }
+        function setTheme(t) {
+            const def = window.breathThemes.get(t);
+            if (!def) return false;
+            theme = t; settings.breathTheme = t; saveSettings();
+            if (ctx) window.breathThemes.preload(def, ctx);
+            return true;
+        }
         function setVolume(v) { volume = Math.max(0, Math.min(1, v)); settings.breathVolume = volume; saveSettings(); }
         function toggle()     { enabled = !enabled; if (!enabled) fadeOutCurrent(); settings.breathEnabled = enabled; saveSettings(); return enabled; }
         function stop()       { fadeOutCurrent(); }
@@ -593,7 +467,7 @@ const SoundEngine = (() => {
             set enabled(v) { enabled = v; },
             get volume()   { return volume; },
             get theme()    { return theme; },
-            playPhase, playTransition, playComplete, playSecondInhale,
+            playPhase, previewPhase, playTransition, playComplete, playSecondInhale,
             testSound, setTheme, setVolume, toggle, stop, stopCurrent
         };
     })();
@@ -610,24 +484,33 @@ const SoundEngine = (() => {
         let pitch             = 1.0;
         let speaking          = false;
         let selectedVoiceName = settings.voiceSelectedName;
+        let packId            = settings.voicePackId;
         let _safetyTimeout    = null;
+        let _clipSource       = null;
+        let _clipFire         = null;
+        let _speakToken       = 0;
         let _lastVoiceCount   = 0;
         let onVoicesChanged   = null;
 
+        // Langue des consignes : celle de l'interface (i18n), français par défaut
+        function voiceLocale() { return window.i18n ? window.i18n.locale : 'fr-FR'; }
+
         function loadVoice() {
             if (!synth) return;
             const voices = synth.getVoices();
-            const fr = voices.filter(v => v.lang.startsWith('fr'));
+            const prefix = voiceLocale().slice(0, 2);
+            const local  = voices.filter(v => v.lang.startsWith(prefix));
             if (selectedVoiceName) {
-                const match = fr.find(v => v.name === selectedVoiceName);
+                const match = local.find(v => v.name === selectedVoiceName);
                 if (match) { voiceObj = match; return; }
             }
-            const premium = fr.find(v => v.name.toLowerCase().includes('premium') || v.name.toLowerCase().includes('enhanced'));
-            const audrey  = fr.find(v => v.name.includes('Audrey'));
-            const amelie  = fr.find(v => v.name.includes('Ameli'));
-            const thomas  = fr.find(v => v.name.includes('Thomas'));
-            const local   = fr.find(v => v.localService);
-            voiceObj = premium || audrey || amelie || thomas || local || fr[0] || voices[0];
+            const premium = local.find(v => v.name.toLowerCase().includes('premium') || v.name.toLowerCase().includes('enhanced'));
+            // Voix françaises de qualité connues (iOS / macOS)
+            const named   = prefix === 'fr'
+                ? local.find(v => v.name.includes('Audrey')) || local.find(v => v.name.includes('Ameli')) || local.find(v => v.name.includes('Thomas'))
+                : null;
+            const offline = local.find(v => v.localService);
+            voiceObj = premium || named || offline || local[0] || voices[0];
         }
 
         function pollVoices() {
@@ -658,38 +541,60 @@ const SoundEngine = (() => {
             if (!document.hidden && synth && speaking) {
                 synth.cancel();
                 speaking = false;
-                ocean.duck(false);
+                ambience.duck(false);
             }
         });
 
         function speak(text, onEnd = null) {
-            if (!enabled || !synth || !text) {
+            if (text && window.i18n) text = window.i18n.t(text);
+            const hasClip = !!window.voicePacks && window.voicePacks.hasClip(text);
+            if (!enabled || !text || (!synth && !hasClip)) {
                 if (onEnd) setTimeout(onEnd, 50);
                 return;
             }
 
             // Cancel toute parole en cours (important sur iOS)
-            synth.cancel();
+            const token = ++_speakToken;
+            _stopClip();
+            if (synth) synth.cancel();
             if (_safetyTimeout) { clearTimeout(_safetyTimeout); _safetyTimeout = null; }
 
             let fired = false;
             const fire = () => {
                 if (fired) return;
-                fired    = true;
-                speaking = false;
-                if (_safetyTimeout) { clearTimeout(_safetyTimeout); _safetyTimeout = null; }
-                ocean.duck(false);
+                fired = true;
+                // Phrase remplacée : l'état partagé appartient désormais à la suivante
+                if (token === _speakToken) {
+                    speaking = false;
+                    if (_safetyTimeout) { clearTimeout(_safetyTimeout); _safetyTimeout = null; }
+                    ambience.duck(false);
+                }
                 if (onEnd) onEnd();
             };
 
+            if (hasClip) {
+                // Clip illisible : repli TTS pour cette phrase seulement
+                _playClip(text, token, fire).then(played => {
+                    if (played) return;
+                    if (token === _speakToken) _speakTTS(text, fire);
+                    else fire();
+                });
+                return;
+            }
+            _speakTTS(text, fire);
+        }
+
+        function _speakTTS(text, fire) {
+            if (!synth) { setTimeout(fire, 50); return; }
+
             const utt = new SpeechSynthesisUtterance(text);
             if (voiceObj) utt.voice = voiceObj;
             utt.volume = volume;
             utt.rate   = rate;
             utt.pitch  = pitch;
-            utt.lang   = 'fr-FR';
+            utt.lang   = voiceLocale();
 
-            utt.onstart = () => { speaking = true; ocean.duck(true); };
+            utt.onstart = () => { speaking = true; ambience.duck(true); };
             utt.onend   = () => fire();
             utt.onerror = (e) => {
                 // 'interrupted' est normal sur iOS quand on cancel — ignorer silencieusement
@@ -709,14 +614,65 @@ const SoundEngine = (() => {
             }, ms);
         }
 
+        // Clip d'un pack de voix : joué dans le graphe (masterGain), même ducking que le TTS.
+        // La vitesse TTS ne s'applique pas : le clip garde le débit de l'enregistrement.
+        async function _playClip(text, token, fire) {
+            let buffer = null;
+            try {
+                buffer = await window.voicePacks.getBuffer(text, await ensureRunning());
+            } catch (e) {
+                console.warn('VoiceLayer clip error:', e);
+            }
+            if (!buffer) return false;
+            // Remplacé ou arrêté pendant le décodage : onEnd appelé, comme après synth.cancel()
+            if (token !== _speakToken) { fire(); return true; }
+
+            const ac   = getContext();
+            const gain = ac.createGain();
+            gain.gain.value = volume;
+            gain.connect(masterGainNode);
+            const src = ac.createBufferSource();
+            src.buffer = buffer;
+            src.connect(gain);
+            src.onended = () => {
+                gain.disconnect();
+                if (_clipSource === src) { _clipSource = null; _clipFire = null; }
+                fire();
+            };
+            _clipSource = src;
+            _clipFire   = fire;
+            speaking = true;
+            ambience.duck(true);
+            src.start();
+
+            // Contexte suspendu (écran verrouillé iOS) : onended n'arriverait pas
+            _safetyTimeout = setTimeout(() => { _stopClip(); fire(); }, buffer.duration * 1000 + 2000);
+            return true;
+        }
+
+        // Comme synth.cancel() : le onEnd du clip interrompu est appelé
+        function _stopClip() {
+            if (!_clipSource) return;
+            const src = _clipSource;
+            const interrupted = _clipFire;
+            _clipSource = null;
+            _clipFire   = null;
+            src.onended = null;
+            try { src.stop(); src.disconnect(); } catch (e) {}
+            if (interrupted) interrupted();
+        }
+
         function speakWithDelay(text, delay = 500, onEnd = null) {
             setTimeout(() => speak(text, onEnd), delay);
         }
 
         function stop() {
+            _speakToken++;
             if (_safetyTimeout) { clearTimeout(_safetyTimeout); _safetyTimeout = null; }
-            if (synth) { synth.cancel(); speaking = false; }
-            ocean.duck(false);
+            _stopClip();
+            if (synth) synth.cancel();
+            speaking = false;
+            ambience.duck(false);
         }
 
         function pause()  { if (synth && speaking) synth.pause(); }
@@ -726,13 +682,15 @@ const SoundEngine = (() => {
         function setVolume(v) { volume = Math.max(0, Math.min(1, v)); settings.voiceVolume = volume; saveSettings(); }
         function setRate(v)   { rate = Math.max(0.5, Math.min(2, v)); settings.voiceRate = rate; settings.voiceRatePct = Math.round(rate * 100); saveSettings(); }
         function setVoice(n)  { selectedVoiceName = n || null; settings.voiceSelectedName = selectedVoiceName; loadVoice(); saveSettings(); }
+        function setPack(id)  { packId = id || null; settings.voicePackId = packId; saveSettings(); if (window.voicePacks) window.voicePacks.activate(packId); }
 
         function getAvailableVoices() {
             if (!synth) return [];
-            const all  = synth.getVoices();
-            const fr   = all.filter(v => v.lang.startsWith('fr'));
-            const rest = all.filter(v => !v.lang.startsWith('fr'));
-            return [...fr, ...rest];
+            const all    = synth.getVoices();
+            const prefix = voiceLocale().slice(0, 2);
+            const local  = all.filter(v => v.lang.startsWith(prefix));
+            const rest   = all.filter(v => !v.lang.startsWith(prefix));
+            return [...local, ...rest];
         }
 
         function isAvailable() { return 'speechSynthesis' in window; }
@@ -743,9 +701,10 @@ const SoundEngine = (() => {
             get volume()   { return volume; },
             get rate()     { return rate; },
             get speaking() { return speaking; },
+            get packId()   { return packId; },
             set onVoicesChanged(fn) { onVoicesChanged = fn; },
             speak, speakWithDelay, stop, pause, resume,
-            toggle, setVolume, setRate, setVoice,
+            toggle, setVolume, setRate, setVoice, setPack,
             getAvailableVoices, isAvailable, loadVoice
         };
     })();
@@ -754,7 +713,7 @@ const SoundEngine = (() => {
     // PUBLIC API
     // ─────────────────────────────────────────────────────────────────────────
     async function init() {
-        // Ne recharge pas les settings depuis localStorage ici :
+        // Ne recharge pas les settings stockés ici :
         // loadSettings() est déjà appelé au démarrage de l'app (SoundEngine.loadSettings())
         // et les états enabled/volume sont gérés en temps réel par les toggles/sliders.
         // Ré-appeler loadSettings() ici écraserait les changements faits par l'utilisateur
@@ -762,8 +721,8 @@ const SoundEngine = (() => {
 
         await ensureRunning();
 
-        if (settings.oceanEnabled && !ocean.isPlaying) {
-            await ocean.start();
+        if (settings.oceanEnabled && !ambience.isPlaying) {
+            await ambience.start();
         }
     }
 
@@ -775,12 +734,13 @@ const SoundEngine = (() => {
 
     return {
         init,
-        ocean,
+        ambience,
+        ocean: ambience,
         breath,
         voice,
         setMasterVolume,
         saveSettings,
-        // loadSettings public : charge depuis localStorage ET synchronise les layers
+        // loadSettings public : charge depuis window.storage ET synchronise les layers
         loadSettings() {
             loadSettings();
             _applySettingsToLayers();
@@ -809,7 +769,7 @@ window.breathSounds = {
     set enabled(v)    { SoundEngine.breath.enabled = v; },
     get volume()      { return SoundEngine.breath.volume; },
     get theme()       { return SoundEngine.breath.theme; },
-    playPhase:        (p, d) => SoundEngine.breath.playPhase(p, d),
+    playPhase:        (p, d, t) => SoundEngine.breath.playPhase(p, d, t),
     playTransition:   ()     => SoundEngine.breath.playTransition(),
     playComplete:     ()     => SoundEngine.breath.playComplete(),
     playSecondInhale: ()     => SoundEngine.breath.playSecondInhale(),
@@ -838,6 +798,7 @@ window.voiceGuide = {
     setVolume:         (v)        => SoundEngine.voice.setVolume(v),
     setRate:           (r)        => SoundEngine.voice.setRate(r),
     setVoice:          (n)        => SoundEngine.voice.setVoice(n),
+    setPack:           (id)       => SoundEngine.voice.setPack(id),
     loadVoice:         ()         => SoundEngine.voice.loadVoice(),
     isAvailable:       ()         => SoundEngine.voice.isAvailable(),
     getAvailableVoices: ()        => SoundEngine.voice.getAvailableVoices(),
@@ -0,0 +1,484 @@
+/**
+ * Soundscapes — Paysages sonores génératifs de la couche d'ambiance (SoundEngine.ambience)
+ *
+ * Chaque paysage est un générateur Web Audio paramétrable :
+ *   {
+ *     id: 'rain', name: 'Pluie', description: '…',
+ *     params: { intensity: { label: 'Intensité', min: 0, max: 1, step: 0.05, default: 0.6 } },
+ *     build(run, params) { … }     ← nœuds reliés à run.out, rythmes via run.repeat / run.drift
+ *   }
+ * Le SoundscapeRun passé à build() suit les sources et les minuteries : run.stop() coupe tout
+ * après un fondu, sans que le générateur ait à s'en occuper.
+ *
+ * Un exercice choisit son ambiance par `soundscape: 'rain'` ou `{ id: 'binaural', params: { beat: 3 } }`
+ * (null = pas d'ambiance propre) ; sinon celle de sa catégorie (SOUNDSCAPE_CATEGORY_DEFAULTS).
+ */
+
+const SOUNDSCAPE_NOISE_SECONDS = 4;     // durée des buffers de bruit bouclés
+const SOUNDSCAPE_LOOP_FADE = 0.05;      // s : fondu enchaîné fin → début du buffer pour un loop sans clic
+
+// Ambiance par défaut d'une catégorie d'exercices (un exercice peut la remplacer)
+const SOUNDSCAPE_CATEGORY_DEFAULTS = {
+    autohypnose: { id: 'isochronic', params: { rate: 6 } }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Bruits
+// ─────────────────────────────────────────────────────────────────────────────
+
+function soundscapeNoiseBuffer(ctx, color) {
+    const size = SOUNDSCAPE_NOISE_SECONDS * ctx.sampleRate;
+    const fade = Math.floor(ctx.sampleRate * SOUNDSCAPE_LOOP_FADE);
+    const buffer = ctx.createBuffer(1, size, ctx.sampleRate);
+    // `fade` échantillons de plus : la suite de la fin du buffer, fondue dans son début
+    const data = new Float32Array(size + fade);
+    let last = 0;
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    for (let i = 0; i < data.length; i++) {
+        const white = Math.random() * 2 - 1;
+        if (color === 'brown') {
+            last = (last + 0.02 * white) / 1.02;
+            data[i] = last * 3.5;
+        } else if (color === 'pink') {
+            // Filtre de Paul Kellet
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+            b6 = white * 0.115926;
+        } else {
+            data[i] = white;
+        }
+    }
+    // Fondu à puissance constante : au bouclage, la fin enchaîne sur data[size], sans creux
+    const out = buffer.getChannelData(0);
+    out.set(data.subarray(0, size));
+    for (let i = 0; i < fade; i++) {
+        const t = (i / fade) * Math.PI / 2;
+        out[i] = data[i] * Math.sin(t) + data[size + i] * Math.cos(t);
+    }
+    return buffer;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exécution d'un paysage
+// ─────────────────────────────────────────────────────────────────────────────
+
+class SoundscapeRun {
+    constructor(ctx, destination, buffers, fadeIn) {
+        this.ctx = ctx;
+        this.alive = true;
+        this._buffers = buffers;
+        this._sources = [];
+        this._timers = new Set();
+
+        this.out = ctx.createGain();
+        this.out.gain.setValueAtTime(0, ctx.currentTime);
+        this.out.gain.linearRampToValueAtTime(1, ctx.currentTime + fadeIn);
+        this.out.connect(destination);
+    }
+
+    /** Buffer de bruit partagé (white, pink, brown) — pour les sources ponctuelles */
+    buffer(color) {
+        return this._buffers(color);
+    }
+
+    /** Source de bruit bouclée, démarrée */
+    noise(color) {
+        const src = this.ctx.createBufferSource();
+        src.buffer = this.buffer(color);
+        src.loop = true;
+        src.start(this.ctx.currentTime, Math.random() * SOUNDSCAPE_NOISE_SECONDS);
+        this._sources.push(src);
+        return src;
+    }
+
+    /** Oscillateur démarré */
+    osc(type, freq) {
+        const osc = this.ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.value = freq;
+        osc.start();
+        this._sources.push(osc);
+        return osc;
+    }
+
+    filter(type, freq, q = 1) {
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = freq;
+        filter.Q.value = q;
+        return filter;
+    }
+
+    gain(value) {
+        const gain = this.ctx.createGain();
+        gain.gain.value = value;
+        return gain;
+    }
+
+    /** Relie les nœuds en chaîne ; renvoie le dernier */
+    chain(...nodes) {
+        nodes.reduce((a, b) => { a.connect(b); return b; });
+        return nodes[nodes.length - 1];
+    }
+
+    /** Appelle fn dans `seconds` secondes, tant que le paysage joue */
+    later(seconds, fn) {
+        const id = setTimeout(() => {
+            this._timers.delete(id);
+            if (this.alive) fn();
+        }, seconds * 1000);
+        this._timers.add(id);
+    }
+
+    /** Appelle fn à intervalles aléatoires entre min et max secondes (gouttes, bulles…) */
+    repeat(min, max, fn) {
+        const next = () => this.later(min + Math.random() * (max - min), () => { fn(); next(); });
+        next();
+    }
+
+    /** Fait dériver un paramètre audio vers des valeurs aléatoires entre min et max (rafales, houle) */
+    drift(param, min, max, minPeriod, maxPeriod) {
+        const step = () => {
+            const now = this.ctx.currentTime;
+            const period = minPeriod + Math.random() * (maxPeriod - minPeriod);
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            param.linearRampToValueAtTime(min + Math.random() * (max - min), now + period);
+            this.later(period, step);
+        };
+        step();
+    }
+
+    /** Fondu de sortie puis arrêt des sources ; les minuteries s'arrêtent aussitôt */
+    stop(fade = 1.5) {
+        if (!this.alive) return;
+        this.alive = false;
+        this._timers.forEach(id => clearTimeout(id));
+        this._timers.clear();
+        const now = this.ctx.currentTime;
+        this.out.gain.cancelScheduledValues(now);
+        this.out.gain.setValueAtTime(this.out.gain.value, now);
+        this.out.gain.linearRampToValueAtTime(0, now + fade);
+        setTimeout(() => {
+            this._sources.forEach(src => { try { src.stop(); } catch (e) {} });
+            this._sources = [];
+            try { this.out.disconnect(); } catch (e) {}
+        }, fade * 1000 + 100);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Paysages intégrés
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Vague : le filtre s'ouvre et le niveau monte, puis le ressac redescend
+function soundscapeWave(run, gain, filter, baseFreq, minG, maxG, speed, phase) {
+    const tick = () => {
+        const now = run.ctx.currentTime;
+        const dur = speed + Math.random() * speed * 0.3;
+        const peak = maxG * (0.8 + Math.random() * 0.2);
+        const safeMin = Math.max(minG, 0.001);
+
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(peak, now + dur * 0.20);
+        gain.gain.setValueAtTime(peak, now + dur * 0.28);
+        gain.gain.exponentialRampToValueAtTime(safeMin, now + dur * 0.75);
+        gain.gain.linearRampToValueAtTime(minG, now + dur * 0.78);
+        gain.gain.setValueAtTime(minG, now + dur);
+
+        filter.frequency.cancelScheduledValues(now);
+        filter.frequency.setValueAtTime(filter.frequency.value, now);
+        filter.frequency.linearRampToValueAtTime(baseFreq * 1.4, now + dur * 0.20);
+        filter.frequency.linearRampToValueAtTime(baseFreq * 0.7, now + dur * 0.75);
+        filter.frequency.linearRampToValueAtTime(baseFreq, now + dur);
+
+        run.later(dur, tick);
+    };
+    run.later(phase, tick);
+}
+
+function soundscapeNoise(color, name, level, tone) {
+    return {
+        id: `${color}-noise`,
+        name,
+        description: 'Bruit continu, pour masquer l\'environnement',
+        params: {
+            tone: { label: 'Filtre', min: 200, max: 16000, step: 100, default: tone, unit: 'Hz' }
+        },
+        build(run, p) {
+            run.chain(run.noise(color), run.filter('lowpass', p.tone, 0.5), run.gain(level), run.out);
+        }
+    };
+}
+
+const SOUNDSCAPES_BUILTIN = [
+    {
+        id: 'ocean',
+        name: 'Océan',
+        description: 'Vagues de bruit brun, ressac lent',
+        params: {
+            swell: { label: 'Houle', min: 0.5, max: 2, step: 0.1, default: 1, unit: '×' },
+            tone:  { label: 'Clarté', min: 0.5, max: 1.5, step: 0.05, default: 1, unit: '×' }
+        },
+        build(run, p) {
+            // fréquence, Q, période (s), niveaux creux/crête, décalage de départ (s)
+            [
+                [80,   0.5, 8,   0.1,  0.3,  0],
+                [250,  0.8, 6,   0.08, 0.25, 1.5],
+                [800,  1.2, 5,   0.05, 0.15, 3],
+                [2000, 2,   4,   0.02, 0.08, 2],
+                [4000, 3,   3.5, 0.01, 0.04, 4],
+                [400,  0.7, 7,   0.06, 0.18, 5]
+            ].forEach(([freq, q, speed, minG, maxG, phase]) => {
+                const filter = run.filter('bandpass', freq * p.tone, q);
+                const gain = run.gain(minG);
+                run.chain(run.noise('brown'), filter, gain, run.out);
+                soundscapeWave(run, gain, filter, freq * p.tone, minG, maxG, speed * p.swell, phase);
+            });
+        }
+    },
+    {
+        id: 'rain',
+        name: 'Pluie',
+        description: 'Averse régulière et gouttes proches',
+        params: {
+            intensity: { label: 'Intensité', min: 0, max: 1, step: 0.05, default: 0.6 },
+            drops:     { label: 'Gouttes', min: 0, max: 1, step: 0.05, default: 0.5 },
+            tone:      { label: 'Filtre', min: 1500, max: 9000, step: 100, default: 5000, unit: 'Hz' }
+        },
+        build(run, p) {
+            const ctx = run.ctx;
+            const level = 0.15 + 0.45 * p.intensity;
+            const bed = run.gain(level);
+            run.chain(run.noise('pink'), run.filter('highpass', 500, 0.5), run.filter('lowpass', p.tone, 0.5), bed, run.out);
+            run.drift(bed.gain, level * 0.75, level * 1.1, 6, 14);
+
+            if (!(p.drops > 0)) return;
+            // Gouttes : brefs éclats de bruit blanc filtrés, plus serrés quand la densité monte
+            const drops = run.chain(run.gain(p.drops * 0.6), run.out);
+            const white = run.buffer('white');
+            const gap = 0.03 + 0.3 * (1 - p.drops);
+            run.repeat(gap * 0.3, gap * 1.7, () => {
+                const now = ctx.currentTime;
+                const src = ctx.createBufferSource();
+                src.buffer = white;
+                const env = ctx.createGain();
+                env.gain.setValueAtTime(0.05 + Math.random() * 0.25, now);
+                env.gain.exponentialRampToValueAtTime(0.0001, now + 0.02 + Math.random() * 0.06);
+                run.chain(src, run.filter('bandpass', 1500 + Math.random() * 4500, 4 + Math.random() * 6), env, drops);
+                src.start(now, Math.random() * (SOUNDSCAPE_NOISE_SECONDS - 0.2), 0.1);
+            });
+        }
+    },
+    {
+        id: 'underwater',
+        name: 'Sous l\'eau',
+        description: 'Grondement étouffé, nappe grave et bulles',
+        params: {
+            depth:   { label: 'Profondeur', min: 0, max: 1, step: 0.05, default: 0.6 },
+            drone:   { label: 'Nappe', min: 0, max: 1, step: 0.05, default: 0.5 },
+            bubbles: { label: 'Bulles', min: 0, max: 1, step: 0.05, default: 0.4 }
+        },
+        build(run, p) {
+            const ctx = run.ctx;
+            // Plus on descend, plus le filtre se ferme
+            const cutoff = 520 - 400 * p.depth;
+            const lowpass = run.filter('lowpass', cutoff, 1);
+            run.chain(run.noise('brown'), lowpass, run.gain(0.9), run.out);
+            run.drift(lowpass.frequency, cutoff * 0.7, cutoff * 1.3, 5, 12);
+
+            if (p.drone > 0) {
+                [55, 82.5, 110.4].forEach((freq, i) => {
+                    const gain = run.gain(p.drone * 0.06 / (i + 1));
+                    run.chain(run.osc('sine', freq), gain, run.out);
+                    run.drift(gain.gain, p.drone * 0.02 / (i + 1), p.drone * 0.08 / (i + 1), 4, 10);
+                });
+            }
+
+            if (!(p.bubbles > 0)) return;
+            // Bulles : courtes montées sinusoïdales, par grappes de 1 à 4
+            const bubbles = run.chain(run.gain(p.bubbles * 0.5), run.out);
+            const gap = 0.5 + 4 * (1 - p.bubbles);
+            run.repeat(gap * 0.4, gap * 1.6, () => {
+                const count = 1 + Math.floor(Math.random() * 4);
+                for (let i = 0; i < count; i++) {
+                    const start = ctx.currentTime + i * (0.05 + Math.random() * 0.1);
+                    const length = 0.06 + Math.random() * 0.06;
+                    const freq = 300 + Math.random() * 500;
+                    const osc = ctx.createOscillator();
+                    osc.frequency.setValueAtTime(freq, start);
+                    osc.frequency.exponentialRampToValueAtTime(freq * (2 + Math.random()), start + length);
+                    const env = ctx.createGain();
+                    env.gain.setValueAtTime(0.0001, start);
+                    env.gain.linearRampToValueAtTime(0.05 + Math.random() * 0.1, start + 0.005);
+                    env.gain.exponentialRampToValueAtTime(0.0001, start + length);
+                    run.chain(osc, env, bubbles);
+                    osc.start(start);
+                    osc.stop(start + length + 0.02);
+                }
+            });
+        }
+    },
+    {
+        id: 'forest',
+        name: 'Vent en forêt',
+        description: 'Vent par rafales et bruissement des feuilles',
+        params: {
+            wind:   { label: 'Vent', min: 0, max: 1, step: 0.05, default: 0.5 },
+            gusts:  { label: 'Rafales', min: 0, max: 1, step: 0.05, default: 0.5 },
+            leaves: { label: 'Feuillage', min: 0, max: 1, step: 0.05, default: 0.4 }
+        },
+        build(run, p) {
+            const level = 0.25 + 0.5 * p.wind;
+            const floor = level * (1 - 0.8 * p.gusts);
+            const band = run.filter('bandpass', 500, 0.7);
+            const wind = run.gain(level);
+            run.chain(run.noise('pink'), band, wind, run.out);
+            run.drift(band.frequency, 300, 700 + 800 * p.wind, 3, 9);
+            run.drift(wind.gain, floor, level, 3, 9);
+
+            const rumble = run.gain(0.2 * p.wind);
+            run.chain(run.noise('brown'), run.filter('lowpass', 200, 0.7), rumble, run.out);
+
+            if (!(p.leaves > 0)) return;
+            const leaves = run.gain(p.leaves * 0.08);
+            run.chain(run.noise('white'), run.filter('highpass', 2500, 0.7), run.filter('lowpass', 7000, 0.5), leaves, run.out);
+            run.drift(leaves.gain, p.leaves * 0.02, p.leaves * 0.1, 2, 6);
+        }
+    },
+    soundscapeNoise('pink', 'Bruit rose', 0.35, 12000),
+    soundscapeNoise('brown', 'Bruit brun', 0.6, 4000),
+    soundscapeNoise('white', 'Bruit blanc', 0.1, 16000),
+    {
+        id: 'binaural',
+        name: 'Battements binauraux',
+        description: 'Casque requis — 1 à 4 Hz : sommeil profond, 4 à 8 Hz : relaxation et hypnose',
+        params: {
+            carrier: { label: 'Porteuse', min: 100, max: 400, step: 5, default: 200, unit: 'Hz' },
+            beat:    { label: 'Battement', min: 1, max: 30, step: 0.5, default: 6, unit: 'Hz' },
+            bed:     { label: 'Fond de bruit', min: 0, max: 1, step: 0.05, default: 0.2 }
+        },
+        build(run, p) {
+            // Une fréquence par oreille : le cerveau perçoit leur différence
+            const merger = run.ctx.createChannelMerger(2);
+            [p.carrier - p.beat / 2, p.carrier + p.beat / 2].forEach((freq, channel) => {
+                const gain = run.chain(run.osc('sine', freq), run.gain(0.2));
+                gain.connect(merger, 0, channel);
+            });
+            merger.connect(run.out);
+            if (p.bed > 0) run.chain(run.noise('pink'), run.filter('lowpass', 800, 0.5), run.gain(p.bed * 0.3), run.out);
+        }
+    },
+    {
+        id: 'isochronic',
+        name: 'Tons isochrones',
+        description: 'Impulsions régulières, sans casque — même réglage de fréquence que les binauraux',
+        params: {
+            carrier: { label: 'Porteuse', min: 100, max: 600, step: 5, default: 180, unit: 'Hz' },
+            rate:    { label: 'Impulsions', min: 1, max: 30, step: 0.5, default: 6, unit: 'Hz' },
+            bed:     { label: 'Fond de bruit', min: 0, max: 1, step: 0.05, default: 0.2 }
+        },
+        build(run, p) {
+            // Créneau -1…1 lissé, ramené à 0…1 sur le gain de la porteuse
+            const pulse = run.gain(0.5);
+            run.chain(run.osc('sine', p.carrier), pulse, run.gain(0.25), run.out);
+            run.chain(run.osc('square', p.rate), run.filter('lowpass', 40, 0.7), run.gain(0.5), pulse.gain);
+            if (p.bed > 0) run.chain(run.noise('pink'), run.filter('lowpass', 800, 0.5), run.gain(p.bed * 0.3), run.out);
+        }
+    }
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registre
+// ─────────────────────────────────────────────────────────────────────────────
+
+class Soundscapes {
+    constructor() {
+        this._registry = new Map();
+        this._noise = new WeakMap();        // AudioContext → { couleur: AudioBuffer }
+        SOUNDSCAPES_BUILTIN.forEach(def => this.register(def));
+    }
+
+    /** Ajoute un paysage ; renvoie false si sa définition est incomplète */
+    register(def) {
+        if (!def || typeof def.id !== 'string' || !def.name || typeof def.build !== 'function') {
+            console.warn('Soundscapes: paysage ignoré', def && def.id);
+            return false;
+        }
+        this._registry.set(def.id, { params: {}, description: '', ...def });
+        return true;
+    }
+
+    /** @returns {Array<{ id, name, description }>} dans l'ordre d'enregistrement */
+    list() {
+        return [...this._registry.values()].map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    get(id) {
+        return this._registry.get(id) || null;
+    }
+
+    /** Paramètres complets : valeurs données bornées, défauts pour les autres */
+    params(id, values = {}) {
+        const def = this.get(id);
+        if (!def) return {};
+        const out = {};
+        Object.entries(def.params).forEach(([key, spec]) => {
+            const value = Number(values[key]);
+            out[key] = Number.isFinite(value) ? Math.max(spec.min, Math.min(spec.max, value)) : spec.default;
+        });
+        return out;
+    }
+
+    /** 'rain' ou { id, params } → { id, params } ; null si absent ou inconnu */
+    resolve(spec) {
+        if (!spec) return null;
+        const { id, params = {} } = typeof spec === 'string' ? { id: spec } : spec;
+        return this.get(id) ? { id, params } : null;
+    }
+
+    /** Ambiance propre à un exercice (EXERCISES ou objet équivalent), sinon celle de sa catégorie */
+    defaultFor(exercise) {
+        if (!exercise) return null;
+        if (exercise.soundscape !== undefined) return this.resolve(exercise.soundscape);
+        return this.resolve(SOUNDSCAPE_CATEGORY_DEFAULTS[exercise.category]);
+    }
+
+    /**
+     * Démarre un paysage
+     * @param {AudioContext} ctx
+     * @param {AudioNode} destination
+     * @param {string} id
+     * @param {object} params - complétés par params()
+     * @param {number} fadeIn - secondes
+     * @returns {SoundscapeRun|null} run.stop(fade) pour l'arrêter
+     */
+    start(ctx, destination, id, params = {}, fadeIn = 2) {
+        const def = this.get(id);
+        if (!def) return null;
+        const run = new SoundscapeRun(ctx, destination, color => this._buffer(ctx, color), fadeIn);
+        try {
+            def.build(run, this.params(id, params));
+        } catch (e) {
+            console.warn(`Soundscapes: échec du paysage ${id}`, e);
+            run.stop(0);
+            return null;
+        }
+        return run;
+    }
+
+    _buffer(ctx, color) {
+        let buffers = this._noise.get(ctx);
+        if (!buffers) this._noise.set(ctx, buffers = {});
+        if (!buffers[color]) buffers[color] = soundscapeNoiseBuffer(ctx, color);
+        return buffers[color];
+    }
+}
+
+window.soundscapes = new Soundscapes();
@@ -0,0 +1,313 @@
+/**
+ * Storage — Stockage local-first sur IndexedDB, par collections typées
+ *
+ * Chaque collection porte le nom de l'ancienne clé localStorage (deepbreath_sessions, …) :
+ * les payloads de sync et les sauvegardes gardent ainsi le même format.
+ *
+ *   storage.get(key, fallback)          — copie de la valeur (jamais la référence du cache)
+ *   storage.set(key, value, { origin }) — met à jour le cache, persiste en tâche de fond, émet un changement
+ *   storage.import(key, value, origin)  — idem, après passage par toutes les migrations (sync, sauvegarde)
+ *   storage.on(key | [keys] | '*', fn)  — fn({ key, origin }) à chaque changement ; renvoie le désabonnement
+ *
+ * Les lectures sont synchrones : tout est chargé en mémoire à l'ouverture (storage.ready),
+ * les modules ne sont construits qu'ensuite (voir les DOMContentLoaded de app.js, coach.js…).
+ *
+ * Schéma : base 'deepbreath', store 'collections' → { name, version, value, updatedAt }.
+ * Au premier chargement, chaque clé localStorage historique est importée puis supprimée ;
+ * un enregistrement de version inférieure repasse par les migrations de sa collection.
+ * Les migrations doivent être idempotentes : les données d'un autre appareil ou d'une
+ * sauvegarde (version inconnue) repartent de la version 1.
+ *
+ * Sans IndexedDB (navigation privée de certains navigateurs), repli sur localStorage.
+ */
+
+const STORAGE_DB_NAME = 'deepbreath';
+const STORAGE_DB_VERSION = 1;
+const STORAGE_STORE = 'collections';
+
+const STORAGE_COLLECTIONS = {
+    deepbreath_sessions: {
+        type: 'array',
+        version: 2,
+        migrations: {
+            // v2 : id obligatoire (la sync fusionne par id et ignorait les séances sans id).
+            // Id dérivé de la date → identique sur tous les appareils pour une même séance.
+            2: sessions => sessions.filter(Boolean).map(s => s.id ? s : {
+                ...s,
+                id: 'legacy-' + (Date.parse(s.date) || 0).toString(36) + '-' + String(s.exerciseId || s.exerciseName || '').slice(0, 12)
+            })
+        }
+    },
+    deepbreath_settings:              { type: 'object' },
+    deepbreath_profile:               { type: 'object' },
+    deepbreath_goals:                 { type: 'string' },
+    deepbreath_chat_history:          { type: 'array' },
+    deepbreath_coach_settings:        { type: 'object' },
+    deepbreath_coach_custom_prompt:   { type: 'string' },
+    deepbreath_sequences:             { type: 'object' },
+    deepbreath_contraction_history:   { type: 'array' },
+    deepbreath_comfort_zone_history:  { type: 'array' },
+    deepbreath_frc_comfort_history:   { type: 'array' },
+    deepbreath_apnea_table_history:   { type: 'array' },
+    deepbreath_apnea_tests:           { type: 'array' },
+    deepbreath_resonance_history:     { type: 'array' },
+    deepbreath_weekly_plan:           { type: 'object' },
+    deepbreath_favorites:             { type: 'array' },
+    deepbreath_calendar_events:       { type: 'array' },
+    deepbreath_breath_themes:         { type: 'array' },
+    soundengine_settings:             { type: 'object' },
+    // Propres à l'appareil (sync.js) : métadonnées par enregistrement et conflits en attente
+    deepbreath_sync_meta:             { type: 'object' },
+    deepbreath_sync_conflicts:        { type: 'array' }
+};
+
+const STORAGE_TYPES = {
+    array:  v => Array.isArray(v),
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    string: v => typeof v === 'string'
+};
+
+class LocalStore {
+    constructor(collections = STORAGE_COLLECTIONS) {
+        this.collections = collections;
+        this.cache = new Map();
+        this.backend = null;        // 'indexeddb' | 'localStorage'
+        this._db = null;
+        this._listeners = new Map();
+        this._pending = new Set();
+        this.ready = this._open();
+    }
+
+    // ==========================================
+    // Ouverture & migrations
+    // ==========================================
+
+    async _open() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                this._db = await this._openDb();
+                await this._loadFromDb();
+                this.backend = 'indexeddb';
+                // Demande de stockage persistant (évite l'éviction silencieuse par le navigateur)
+                if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+                return this.backend;
+            } catch (e) {
+                console.warn('[Storage] IndexedDB indisponible, repli sur localStorage:', e);
+                this._db = null;
+                this.cache.clear();
+            }
+        }
+        this._loadFromLocalStorage();
+        this.backend = 'localStorage';
+        return this.backend;
+    }
+
+    _openDb() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORAGE_STORE)) {
+                    db.createObjectStore(STORAGE_STORE, { keyPath: 'name' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('IndexedDB bloquée par un autre onglet'));
+        });
+    }
+
+    async _loadFromDb() {
+        const records = await this._request(this._store('readonly').getAll());
+        const found = new Map(records.map(r => [r.name, r]));
+        const writes = [];
+        const legacy = [];
+
+        for (const [key, spec] of Object.entries(this.collections)) {
+            let record = found.get(key);
+            if (!record) {
+                const value = this._readLegacy(key, spec);
+                if (value === undefined) continue;
+                record = { name: key, version: 1, value };
+                legacy.push(key);
+            }
+            const migrated = this._migrate(spec, record);
+            if (migrated !== record || legacy.includes(key)) writes.push(migrated);
+            this.cache.set(key, migrated.value);
+        }
+
+        if (writes.length) {
+            const tx = this._db.transaction(STORAGE_STORE, 'readwrite');
+            writes.forEach(r => tx.objectStore(STORAGE_STORE).put(r));
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+        // Anciennes clés supprimées seulement une fois la copie validée
+        legacy.forEach(key => localStorage.removeItem(key));
+        if (legacy.length) console.log('[Storage] Migré depuis localStorage:', legacy.join(', '));
+    }
+
+    _loadFromLocalStorage() {
+        for (const [key, spec] of Object.entries(this.collections)) {
+            const value = this._readLegacy(key, spec);
+            if (value === undefined) continue;
+            this.cache.set(key, this._migrate(spec, { name: key, version: 1, value }).value);
+        }
+    }
+
+    /** Valeur d'une clé localStorage historique — undefined si absente ou illisible */
+    _readLegacy(key, spec) {
+        let raw;
+        try { raw = localStorage.getItem(key); } catch (e) { return undefined; }
+        if (raw === null) return undefined;
+        if (spec.type === 'string') return raw;
+        try {
+            const value = JSON.parse(raw);
+            return STORAGE_TYPES[spec.type](value) ? value : undefined;
+        } catch (e) {
+            console.warn(`[Storage] Clé ${key} illisible, ignorée`);
+            return undefined;
+        }
+    }
+
+    _migrate(spec, record) {
+        const target = spec.version || 1;
+        const from = record.version || 1;
+        if (from >= target) return record;
+        let value = record.value;
+        for (let v = from + 1; v <= target; v++) {
+            const step = spec.migrations && spec.migrations[v];
+            if (step) value = step(value);
+        }
+        return { ...record, version: target, value, updatedAt: new Date().toISOString() };
+    }
+
+    // ==========================================
+    // Lecture / écriture
+    // ==========================================
+
+    isCollection(key) {
+        return Object.prototype.hasOwnProperty.call(this.collections, key);
+    }
+
+    keys() {
+        return Object.keys(this.collections);
+    }
+
+    has(key) {
+        return this.cache.has(key);
+    }
+
+    get(key, fallback) {
+        this._spec(key);
+        if (!this.cache.has(key)) return fallback;
+        return this._clone(this.cache.get(key));
+    }
+
+    set(key, value, { origin = 'local' } = {}) {
+        const spec = this._spec(key);
+        if (!STORAGE_TYPES[spec.type](value)) {
+            throw new TypeError(`[Storage] ${key} attend un type ${spec.type}`);
+        }
+        const stored = this._clone(value);
+        this.cache.set(key, stored);
+        this._persist(key, spec, stored);
+        this._emit(key, origin);
+    }
+
+    /** Données de provenance externe (sync, sauvegarde) : migrées depuis la version 1 */
+    import(key, value, origin = 'import') {
+        const spec = this._spec(key);
+        const migrated = this._migrate(spec, { name: key, version: 1, value });
+        this.set(key, migrated.value, { origin });
+    }
+
+    remove(key, { origin = 'local' } = {}) {
+        this._spec(key);
+        if (!this.cache.has(key)) return;
+        this.cache.delete(key);
+        if (this.backend === 'indexeddb') {
+            this._track(this._request(this._store('readwrite').delete(key)), key);
+        } else {
+            try { localStorage.removeItem(key); } catch (e) {}
+        }
+        this._emit(key, origin);
+    }
+
+    /** Attend la fin des écritures en cours */
+    flush() {
+        return Promise.all([...this._pending]);
+    }
+
+    _persist(key, spec, value) {
+        if (!this.backend) {
+            this.ready.then(() => this._persist(key, spec, this.cache.get(key)));
+            return;
+        }
+        if (this.backend === 'indexeddb') {
+            const record = { name: key, version: spec.version || 1, value, updatedAt: new Date().toISOString() };
+            this._track(this._request(this._store('readwrite').put(record)), key);
+            return;
+        }
+        try {
+            localStorage.setItem(key, spec.type === 'string' ? value : JSON.stringify(value));
+        } catch (e) {
+            console.warn(`[Storage] localStorage plein (${key})`);
+        }
+    }
+
+    _track(promise, key) {
+        const p = promise
+            .catch(e => console.warn(`[Storage] Écriture ${key} échouée:`, e))
+            .finally(() => this._pending.delete(p));
+        this._pending.add(p);
+    }
+
+    _spec(key) {
+        const spec = this.collections[key];
+        if (!spec) throw new Error(`[Storage] Collection inconnue : ${key}`);
+        return spec;
+    }
+
+    _store(mode) {
+        return this._db.transaction(STORAGE_STORE, mode).objectStore(STORAGE_STORE);
+    }
+
+    _request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    _clone(value) {
+        return value === undefined || typeof value === 'string' ? value : JSON.parse(JSON.stringify(value));
+    }
+
+    // ==========================================
+    // Événements de changement
+    // ==========================================
+
+    on(keys, fn) {
+        const list = Array.isArray(keys) ? keys : [keys];
+        list.forEach(k => {
+            if (!this._listeners.has(k)) this._listeners.set(k, new Set());
+            this._listeners.get(k).add(fn);
+        });
+        return () => list.forEach(k => this._listeners.get(k)?.delete(fn));
+    }
+
+    _emit(key, origin) {
+        const event = { key, origin };
+        [this._listeners.get(key), this._listeners.get('*')].forEach(set => {
+            set?.forEach(fn => {
+                try { fn(event); } catch (e) { console.warn('[Storage] listener error:', e); }
+            });
+        });
+    }
+}
+
+window.storage = new LocalStore();
@@ -3,23 +3,44 @@
  * Enables offline functionality
  */
 
-const CACHE_NAME = 'jmee-deepbreath-v161';
+const CACHE_NAME = 'jmee-deepbreath-v184';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
     '/styles.css',
     '/app.js',
-    '/breathengine-v4.js',
-    '/breathing-engine.js',
+    '/breath-engine.js',
     '/wbu-timer.js',
+    '/storage.js',
+    '/i18n.js',
+    '/locales/en.js',
+    '/locales/es.js',
+    '/locales/it.js',
+    '/sync-backends.js',
+    '/sync-crypto.js',
     '/sync.js',
     '/exercises.js',
+    '/exercise-runner.js',
+    '/apnea-progression.js',
+    '/apnea-log.js',
+    '/heart-rate.js',
+    '/hrv.js',
+    '/resonance.js',
+    '/breath-themes.js',
+    '/soundscapes.js',
     '/breath-sounds.js',
     '/ocean-sound.js',
     '/voice-guide.js',
+    '/voice-packs.js',
+    '/voice-cues.js',
+    '/llm-providers.js',
+    '/coach-tools.js',
+    '/coach-engine.js',
     '/coach.js',
     '/journal.js',
     '/multi-timer.js',
+    '/plan-generator.js',
+    '/plan-calendar.js',
     '/weekly-plan.js',
     '/manifest.json',
     'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
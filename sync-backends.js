@@ -0,0 +1,422 @@
+/**
+ * Sync backends — where DataSync stores its single JSON payload (deepbreath-sync.json)
+ *
+ *   gist    — private GitHub Gist (token with the `gist` scope)
+ *   webdav  — WebDAV folder: Nextcloud, ownCloud, Synology… (user + app password)
+ *   rest    — plain REST endpoint: GET / PUT of the JSON document, bearer token
+ *   folder  — local folder through the File System Access API (Chromium desktop),
+ *             e.g. a Dropbox / Drive / iCloud folder synced by the OS
+ *
+ * A backend is { name, label, init(), isConfigured(), connect(initialPayload), read(etag),
+ * write(payload, etag), describe(), save(), forget() }:
+ *   read  → { status: 'ok', payload, etag } | { status: 'empty', etag } | { status: 'not-modified' }
+ *   write → { etag } — with an etag, refuses to overwrite a newer remote (SyncBackendError 412)
+ *   connect → true when the remote was empty and initialPayload has been written
+ * HTTP failures throw SyncBackendError with the status, so DataSync reports them the same way
+ * for every backend. Merging stays in DataSync: backends only move the document.
+ *
+ * Optional, for the sync history: history({ page, perPage }) → [{ id, date }] newest first,
+ * and readRevision(id) → payload as it was written then. Only the Gist keeps revisions.
+ *
+ * WebDAV / REST servers must allow CORS from the app origin and expose the ETag header.
+ * sync-stub-server.js is a local stand-in (REST + minimal WebDAV) to try them out.
+ */
+
+const SYNC_FILE_NAME = 'deepbreath-sync.json';
+
+class SyncBackendError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'SyncBackendError';
+        this.status = status;
+    }
+}
+
+// ==========================================
+// GitHub Gist
+// ==========================================
+
+class GistSyncBackend {
+    constructor() {
+        this.name = 'gist';
+        this.label = 'GitHub Gist';
+        // Legacy keys kept as is — existing installs keep syncing without reconfiguration
+        this.config = {
+            token: localStorage.getItem('deepbreath_sync_token') || '',
+            gistId: localStorage.getItem('deepbreath_sync_gistId') || ''
+        };
+    }
+
+    configure({ token = '', gistId = '' }) {
+        this.config = { token: token.trim(), gistId: gistId.trim() };
+    }
+
+    isConfigured() {
+        return !!(this.config.token && this.config.gistId);
+    }
+
+    _headers() {
+        return { 'Authorization': `Bearer ${this.config.token}` };
+    }
+
+    async connect(initialPayload) {
+        if (!this.config.token) throw new SyncBackendError('Token vide');
+
+        // Test token validity
+        const testResp = await fetch('https://api.github.com/user', { headers: this._headers() });
+        if (!testResp.ok) throw new SyncBackendError('Token GitHub invalide', testResp.status);
+
+        if (this.config.gistId) {
+            // Verify access to the existing Gist
+            const resp = await fetch(`https://api.github.com/gists/${this.config.gistId}`, {
+                headers: this._headers(),
+                cache: 'no-store'
+            });
+            if (!resp.ok) throw new SyncBackendError(`Gist introuvable ou token invalide (${resp.status})`, resp.status);
+            return false;
+        }
+
+        // Create private Gist with current data
+        const resp = await fetch('https://api.github.com/gists', {
+            method: 'POST',
+            headers: { ...this._headers(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                description: 'Jmee DeepBreath — Sync Data (auto-generated)',
+                public: false,
+                files: { [SYNC_FILE_NAME]: { content: JSON.stringify(initialPayload, null, 2) } }
+            })
+        });
+        if (!resp.ok) {
+            const err = await resp.json().catch(() => ({}));
+            throw new SyncBackendError(err.message || `Erreur GitHub ${resp.status}`, resp.status);
+        }
+        const gist = await resp.json();
+        this.config.gistId = gist.id;
+        return true;
+    }
+
+    async read(etag) {
+        const headers = this._headers();
+        if (etag) headers['If-None-Match'] = etag;
+        // Cache-bust param + no-store: bypass browser HTTP cache
+        const resp = await fetch(`https://api.github.com/gists/${this.config.gistId}?t=${Date.now()}`, {
+            headers,
+            cache: 'no-store'
+        });
+        if (resp.status === 304) return { status: 'not-modified' };
+        if (resp.status === 401) throw new SyncBackendError('Token invalide', 401);
+        if (resp.status === 404) throw new SyncBackendError('Gist supprimé', 404);
+        if (!resp.ok) throw new SyncBackendError(`Erreur ${resp.status}`, resp.status);
+
+        const gist = await resp.json();
+        const file = gist.files?.[SYNC_FILE_NAME];
+        const newEtag = resp.headers.get('ETag');
+        if (!file?.content) return { status: 'empty', etag: newEtag };
+        return { status: 'ok', payload: JSON.parse(file.content), etag: newEtag };
+    }
+
+    // Gist PATCH has no conditional write: DataSync always merges right before pushing
+    async write(payload) {
+        const resp = await fetch(`https://api.github.com/gists/${this.config.gistId}`, {
+            method: 'PATCH',
+            headers: { ...this._headers(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                files: { [SYNC_FILE_NAME]: { content: JSON.stringify(payload, null, 2) } }
+            }),
+            cache: 'no-store'
+        });
+        if (!resp.ok) throw new SyncBackendError(`Push échoué (${resp.status})`, resp.status);
+        return { etag: resp.headers.get('ETag') };
+    }
+
+    /** Gist revisions (one per push), newest first */
+    async history({ page = 1, perPage = 10 } = {}) {
+        const resp = await fetch(`https://api.github.com/gists/${this.config.gistId}/commits?per_page=${perPage}&page=${page}`, {
+            headers: this._headers(),
+            cache: 'no-store'
+        });
+        if (!resp.ok) throw new SyncBackendError(`Historique indisponible (${resp.status})`, resp.status);
+        const commits = await resp.json();
+        return commits.map(c => ({ id: c.version, date: c.committed_at }));
+    }
+
+    async readRevision(id) {
+        const resp = await fetch(`https://api.github.com/gists/${this.config.gistId}/${id}`, { headers: this._headers() });
+        if (!resp.ok) throw new SyncBackendError(`Version introuvable (${resp.status})`, resp.status);
+        const file = (await resp.json()).files?.[SYNC_FILE_NAME];
+        if (!file) return null;
+        // Files over 1 MB are truncated in the API response: fetch the raw content
+        if (file.truncated) {
+            const raw = await fetch(file.raw_url);
+            if (!raw.ok) throw new SyncBackendError(`Version illisible (${raw.status})`, raw.status);
+            return raw.json();
+        }
+        return file.content ? JSON.parse(file.content) : null;
+    }
+
+    describe() {
+        return (this.config.gistId || '?').substring(0, 8);
+    }
+
+    save() {
+        localStorage.setItem('deepbreath_sync_token', this.config.token);
+        localStorage.setItem('deepbreath_sync_gistId', this.config.gistId);
+    }
+
+    forget() {
+        this.config = { token: '', gistId: '' };
+        localStorage.removeItem('deepbreath_sync_token');
+        localStorage.removeItem('deepbreath_sync_gistId');
+    }
+}
+
+// ==========================================
+// HTTP document (shared by WebDAV and REST)
+// ==========================================
+
+class HttpSyncBackend {
+    constructor(name, label, defaults) {
+        this.name = name;
+        this.label = label;
+        this.storageKey = `deepbreath_sync_config_${name}`;
+        let saved = {};
+        try { saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}'); } catch (e) {}
+        this.config = { ...defaults, ...saved };
+    }
+
+    configure(config) {
+        this.config = { ...this.config, ...config, url: (config.url || '').trim() };
+    }
+
+    isConfigured() {
+        return !!this.config.url;
+    }
+
+    _headers() {
+        return {};
+    }
+
+    _fileUrl() {
+        return this.config.url;
+    }
+
+    async connect(initialPayload) {
+        const res = await this.read();
+        if (res.status !== 'empty') return false;
+        await this.write(initialPayload);
+        return true;
+    }
+
+    async read(etag) {
+        const headers = this._headers();
+        if (etag) headers['If-None-Match'] = etag;
+        const resp = await fetch(this._fileUrl(), { headers, cache: 'no-store' });
+        if (resp.status === 304) return { status: 'not-modified' };
+        if (resp.status === 404 || resp.status === 204) return { status: 'empty', etag: null };
+        if (resp.status === 401 || resp.status === 403) throw new SyncBackendError('Identifiants refusés', resp.status);
+        if (!resp.ok) throw new SyncBackendError(`${this.label} : erreur ${resp.status}`, resp.status);
+
+        const text = await resp.text();
+        const newEtag = resp.headers.get('ETag');
+        if (!text.trim()) return { status: 'empty', etag: newEtag };
+        return { status: 'ok', payload: JSON.parse(text), etag: newEtag };
+    }
+
+    async write(payload, etag) {
+        const headers = { ...this._headers(), 'Content-Type': 'application/json' };
+        if (etag) headers['If-Match'] = etag;
+        const resp = await fetch(this._fileUrl(), {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify(payload, null, 2),
+            cache: 'no-store'
+        });
+        if (resp.status === 412) throw new SyncBackendError('Données modifiées entre-temps sur le serveur', 412);
+        if (!resp.ok) throw new SyncBackendError(`Push échoué (${resp.status})`, resp.status);
+        return { etag: resp.headers.get('ETag') };
+    }
+
+    describe() {
+        try { return new URL(this.config.url).host; } catch (e) { return this.config.url; }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+    }
+
+    forget() {
+        localStorage.removeItem(this.storageKey);
+        this.config = { url: '' };
+    }
+}
+
+/** WebDAV folder — the document is <url>/deepbreath-sync.json */
+class WebDavSyncBackend extends HttpSyncBackend {
+    constructor() {
+        super('webdav', 'WebDAV', { url: '', username: '', password: '' });
+    }
+
+    _headers() {
+        // btoa only takes Latin-1: encode the UTF-8 bytes first
+        const credentials = `${this.config.username || ''}:${this.config.password || ''}`;
+        return { 'Authorization': 'Basic ' + btoa(unescape(encodeURIComponent(credentials))) };
+    }
+
+    _fileUrl() {
+        return this.config.url.replace(/\/?$/, '/') + SYNC_FILE_NAME;
+    }
+
+    async connect(initialPayload) {
+        // The folder itself must exist (PROPFIND on the collection, depth 0)
+        const resp = await fetch(this.config.url.replace(/\/?$/, '/'), {
+            method: 'PROPFIND',
+            headers: { ...this._headers(), 'Depth': '0' },
+            cache: 'no-store'
+        });
+        if (resp.status === 401 || resp.status === 403) throw new SyncBackendError('Identifiants WebDAV refusés', resp.status);
+        if (resp.status === 404) throw new SyncBackendError('Dossier WebDAV introuvable', 404);
+        if (!resp.ok) throw new SyncBackendError(`WebDAV : erreur ${resp.status}`, resp.status);
+        return super.connect(initialPayload);
+    }
+}
+
+/** REST endpoint — GET / PUT of the document itself at `url` */
+class RestSyncBackend extends HttpSyncBackend {
+    constructor() {
+        super('rest', 'Serveur REST', { url: '', token: '' });
+    }
+
+    _headers() {
+        return this.config.token ? { 'Authorization': `Bearer ${this.config.token}` } : {};
+    }
+}
+
+// ==========================================
+// Local folder (File System Access API)
+// ==========================================
+
+// Device-local values that are not JSON (directory handle, encryption key): own small IndexedDB store
+const syncDeviceStore = {
+    _open() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open('deepbreath-sync', 1);
+            req.onupgradeneeded = () => req.result.createObjectStore('device');
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+    async _run(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const req = fn(db.transaction('device', mode).objectStore('device'));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+    get(key) { return this._run('readonly', s => s.get(key)); },
+    set(key, value) { return this._run('readwrite', s => s.put(value, key)); },
+    delete(key) { return this._run('readwrite', s => s.delete(key)); }
+};
+
+class FolderSyncBackend {
+    constructor() {
+        this.name = 'folder';
+        this.label = 'Dossier local';
+        this.handle = null;
+    }
+
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /** Must run from a user gesture (click) */
+    static pick() {
+        return window.showDirectoryPicker({ id: 'deepbreath-sync', mode: 'readwrite' });
+    }
+
+    async init() {
+        if (this.handle || !FolderSyncBackend.isSupported()) return;
+        try { this.handle = await syncDeviceStore.get('folder') || null; } catch (e) {}
+    }
+
+    configure({ handle }) {
+        this.handle = handle || null;
+    }
+
+    isConfigured() {
+        return !!this.handle;
+    }
+
+    // Permission is per session: the first sync after a reload asks again (needs a click)
+    async _ensurePermission() {
+        const opts = { mode: 'readwrite' };
+        if (await this.handle.queryPermission(opts) === 'granted') return;
+        if (await this.handle.requestPermission(opts) !== 'granted') {
+            throw new SyncBackendError('Accès au dossier refusé — relancez la sync', 403);
+        }
+    }
+
+    async _file() {
+        try {
+            return await (await this.handle.getFileHandle(SYNC_FILE_NAME)).getFile();
+        } catch (e) {
+            if (e.name === 'NotFoundError') return null;
+            throw e;
+        }
+    }
+
+    async connect(initialPayload) {
+        await this._ensurePermission();
+        if (await this._file()) return false;
+        await this.write(initialPayload);
+        return true;
+    }
+
+    async read(etag) {
+        await this._ensurePermission();
+        const file = await this._file();
+        if (!file) return { status: 'empty', etag: null };
+        const tag = String(file.lastModified);
+        if (etag && etag === tag) return { status: 'not-modified' };
+        const text = await file.text();
+        if (!text.trim()) return { status: 'empty', etag: tag };
+        return { status: 'ok', payload: JSON.parse(text), etag: tag };
+    }
+
+    async write(payload, etag) {
+        await this._ensurePermission();
+        if (etag) {
+            const current = await this._file();
+            if (current && String(current.lastModified) !== etag) {
+                throw new SyncBackendError('Fichier modifié entre-temps', 412);
+            }
+        }
+        const fileHandle = await this.handle.getFileHandle(SYNC_FILE_NAME, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(JSON.stringify(payload, null, 2));
+        await writable.close();
+        return { etag: String((await fileHandle.getFile()).lastModified) };
+    }
+
+    describe() {
+        return this.handle ? this.handle.name : '';
+    }
+
+    save() {
+        return syncDeviceStore.set('folder', this.handle).catch(e => console.warn('[Sync] Could not save folder handle:', e));
+    }
+
+    forget() {
+        this.handle = null;
+        syncDeviceStore.delete('folder').catch(() => {});
+    }
+}
+
+window.SyncBackendError = SyncBackendError;
+window.FolderSyncBackend = FolderSyncBackend;
+window.syncBackends = {
+    gist:   () => new GistSyncBackend(),
+    webdav: () => new WebDavSyncBackend(),
+    rest:   () => new RestSyncBackend(),
+    folder: () => new FolderSyncBackend()
+};
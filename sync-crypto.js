@@ -0,0 +1,126 @@
+/**
+ * SyncCrypto — End-to-end encryption of the sync payload (WebCrypto, no dependency)
+ *
+ *   createParams()             — fresh KDF parameters { kdf, hash, iterations, salt }
+ *   deriveKey(passphrase, p)   — PBKDF2-SHA-256 → AES-GCM 256 key (non-extractable)
+ *   makeCheck(key)             — key-check blob: a known constant encrypted with the key
+ *   verify(key, check)         — true if the key decrypts the check (wrong passphrase → false)
+ *   seal(payload, key, header) — payload → envelope { version, encrypted, deviceId, lastModified, crypto, iv, ciphertext }
+ *   open(envelope, key)        — envelope → payload (throws if the key or the envelope is wrong)
+ *   isEncrypted(payload)
+ *
+ * Only deviceId / lastModified stay readable, for diagnostics; they are bound to the ciphertext
+ * as additional authenticated data, so they cannot be altered either. The salt, iteration count
+ * and key check travel with the envelope: another device only needs the passphrase.
+ */
+
+const SyncCrypto = (() => {
+
+    const ITERATIONS = 600000;          // OWASP recommendation for PBKDF2-HMAC-SHA256
+    const KEY_CHECK = 'deepbreath-key-check-v1';
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let bin = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(bin);
+    }
+
+    function fromBase64(b64) {
+        const bin = atob(b64);
+        const bytes = new Uint8Array(bin.length);
+        for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+        return bytes;
+    }
+
+    function randomBytes(n) {
+        return crypto.getRandomValues(new Uint8Array(n));
+    }
+
+    function createParams() {
+        return { kdf: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(randomBytes(16)) };
+    }
+
+    async function deriveKey(passphrase, params) {
+        if (params.kdf !== 'PBKDF2') throw new Error(`KDF non prise en charge : ${params.kdf}`);
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: params.hash, iterations: params.iterations, salt: fromBase64(params.salt) },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encrypt(key, text, aad) {
+        const iv = randomBytes(12);
+        const opts = { name: 'AES-GCM', iv };
+        if (aad) opts.additionalData = encoder.encode(aad);
+        const data = await crypto.subtle.encrypt(opts, key, encoder.encode(text));
+        return { iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    async function decrypt(key, { iv, data }, aad) {
+        const opts = { name: 'AES-GCM', iv: fromBase64(iv) };
+        if (aad) opts.additionalData = encoder.encode(aad);
+        return decoder.decode(await crypto.subtle.decrypt(opts, key, fromBase64(data)));
+    }
+
+    function makeCheck(key) {
+        return encrypt(key, KEY_CHECK);
+    }
+
+    async function verify(key, check) {
+        try {
+            return await decrypt(key, check) === KEY_CHECK;
+        } catch (e) {
+            return false;       // AES-GCM authentication failure = wrong key
+        }
+    }
+
+    const headerAad = h => `${h.version}|${h.deviceId}|${h.lastModified}|${h.crypto.salt}`;
+
+    /**
+     * @param {Object} payload - DataSync payload (data + meta)
+     * @param {CryptoKey} key
+     * @param {Object} cryptoHeader - { ...params, check, since } published with the envelope
+     */
+    async function seal(payload, key, cryptoHeader) {
+        const header = {
+            version: payload.version,
+            encrypted: true,
+            deviceId: payload.deviceId,
+            lastModified: payload.lastModified,
+            crypto: { alg: 'AES-GCM', ...cryptoHeader }
+        };
+        const { iv, data } = await encrypt(key, JSON.stringify(payload), headerAad(header));
+        return { ...header, iv, ciphertext: data };
+    }
+
+    async function open(envelope, key) {
+        const text = await decrypt(key, { iv: envelope.iv, data: envelope.ciphertext }, headerAad(envelope));
+        return JSON.parse(text);
+    }
+
+    function isEncrypted(payload) {
+        return !!(payload && payload.encrypted && payload.ciphertext);
+    }
+
+    return {
+        createParams,
+        deriveKey,
+        makeCheck,
+        verify,
+        seal,
+        open,
+        isEncrypted
+    };
+})();
+
+window.SyncCrypto = SyncCrypto;
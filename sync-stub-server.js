@@ -0,0 +1,86 @@
+/**
+ * Local stand-in for the REST and WebDAV sync backends (development only, not loaded by the app)
+ *
+ *   node sync-stub-server.js [port]          — default port 8787, data kept in memory
+ *
+ *   REST    http://localhost:8787/rest/<name>      GET / PUT the JSON document
+ *   WebDAV  http://localhost:8787/dav/<folder>/    PROPFIND on the folder, GET / PUT <folder>/deepbreath-sync.json
+ *
+ * Mirrors what the backends rely on: ETag on every response, If-None-Match → 304,
+ * If-Match → 412 when the document changed, 404 before the first write, CORS with ETag exposed.
+ * Auth is accepted but not checked, except SYNC_STUB_TOKEN=<token> which requires that bearer
+ * token (REST) — enough to exercise the 401 path.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 8787;
+const requiredToken = process.env.SYNC_STUB_TOKEN || '';
+const documents = new Map();   // path → { body, etag }
+
+const CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, PROPFIND, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match, Depth',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+function send(res, status, headers = {}, body = '') {
+    res.writeHead(status, { ...CORS, ...headers });
+    res.end(body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function handleDocument(req, res, path, body) {
+    const doc = documents.get(path);
+    if (req.method === 'GET') {
+        if (!doc) return send(res, 404);
+        if (req.headers['if-none-match'] === doc.etag) return send(res, 304, { ETag: doc.etag });
+        return send(res, 200, { 'Content-Type': 'application/json', ETag: doc.etag }, doc.body);
+    }
+    if (req.method === 'PUT') {
+        const ifMatch = req.headers['if-match'];
+        if (ifMatch && (!doc || doc.etag !== ifMatch)) return send(res, 412);
+        try { JSON.parse(body); } catch (e) { return send(res, 400, {}, 'Invalid JSON'); }
+        const etag = '"' + crypto.createHash('sha1').update(body).digest('hex').slice(0, 16) + '"';
+        documents.set(path, { body, etag });
+        return send(res, doc ? 204 : 201, { ETag: etag });
+    }
+    send(res, 405);
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const body = await readBody(req);
+    console.log(req.method, path, req.headers['if-match'] || req.headers['if-none-match'] || '');
+
+    if (path.startsWith('/rest/')) {
+        if (requiredToken && req.headers.authorization !== `Bearer ${requiredToken}`) return send(res, 401);
+        return handleDocument(req, res, path, body);
+    }
+
+    if (path.startsWith('/dav/')) {
+        if (req.method === 'PROPFIND') {
+            // Every folder exists; answer a minimal multistatus for the collection itself
+            return send(res, 207, { 'Content-Type': 'application/xml; charset=utf-8' },
+                `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:"><d:response><d:href>${path}</d:href>` +
+                '<d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop>' +
+                '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response></d:multistatus>');
+        }
+        return handleDocument(req, res, path, body);
+    }
+
+    send(res, 404);
+});
+
+server.listen(port, () => console.log(`Sync stub listening on http://localhost:${port} (REST /rest/…, WebDAV /dav/…)`));
@@ -1,20 +1,180 @@
 /**
- * DataSync — Cross-device sync via GitHub Gist (private)
- * Push ONLY via manual sync button (fullSync). No auto-push.
+ * DataSync — Cross-device sync through a pluggable backend (sync-backends.js):
+ * private GitHub Gist (default), WebDAV, REST endpoint or local folder.
+ * Push via manual sync button (fullSync), or after each local change when auto-sync is enabled.
  * Pull on app open (merge remote into local). API key is NEVER synced.
+ *
+ * Merge is per record (a session, a sequence, a favorite, a plan, a settings field…):
+ * each record carries { updatedAt, deviceId, hash } in deepbreath_sync_meta, deletions leave
+ * a tombstone, and `syncedHash` remembers the version last seen on the remote. A record edited
+ * on both devices since then becomes a conflict (deepbreath_sync_conflicts) that the user
+ * resolves in the settings; until then the remote keeps the other device's version.
+ *
+ * Sync history (backends that keep revisions — the Gist): list past versions, compare one with
+ * local data and restore all or some collections from it.
+ *
+ * Optional end-to-end encryption (sync-crypto.js): with a passphrase, the payload is sealed
+ * with AES-GCM before every write and opened after every read — backends only see ciphertext.
+ * The derived key stays on the device (IndexedDB, non-extractable), the passphrase is never stored.
  */
 
+const SYNC_DELETED = '~deleted';
+const SYNC_TOMBSTONE_TTL = 90 * 86400000;
+
+// Deterministic JSON (sorted keys) so the same record hashes identically on every device
+function syncStableStringify(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+    if (Array.isArray(value)) return '[' + value.map(syncStableStringify).join(',') + ']';
+    return '{' + Object.keys(value).sort()
+        .filter(k => value[k] !== undefined)
+        .map(k => JSON.stringify(k) + ':' + syncStableStringify(value[k])).join(',') + '}';
+}
+
+// FNV-1a 32 bits
+function syncHash(value) {
+    const str = syncStableStringify(value);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+// ==========================================
+// Record adapters — split each key into id → record and back
+// ==========================================
+
+const syncByDate = (a, b) => new Date(a.date) - new Date(b.date);
+
+function syncList(idOf, { sort = syncByDate, limit = 0 } = {}) {
+    return {
+        toRecords: list => new Map((list || []).filter(r => r && idOf(r) != null).map(r => [String(idOf(r)), r])),
+        fromRecords: records => {
+            const out = [...records.values()];
+            if (sort) out.sort(sort);
+            return limit ? out.slice(-limit) : out;
+        }
+    };
+}
+
+// Object fields as records; `nested` fields are split one level deeper, `exclude` stays device-local
+function syncFields({ nested = [], exclude = [] } = {}) {
+    return {
+        toRecords: obj => {
+            const records = new Map();
+            Object.entries(obj || {}).forEach(([k, v]) => {
+                if (exclude.includes(k)) return;
+                if (nested.includes(k) && v && typeof v === 'object' && !Array.isArray(v)) {
+                    Object.entries(v).forEach(([sub, sv]) => records.set(`${k}.${sub}`, sv));
+                } else {
+                    records.set(k, v);
+                }
+            });
+            return records;
+        },
+        fromRecords: (records, local) => {
+            const out = {};
+            exclude.forEach(k => { if (local && local[k] !== undefined) out[k] = local[k]; });
+            records.forEach((v, id) => {
+                const dot = id.indexOf('.');
+                const k = dot > 0 ? id.slice(0, dot) : id;
+                if (dot > 0 && nested.includes(k)) {
+                    out[k] = out[k] || {};
+                    out[k][id.slice(dot + 1)] = v;
+                } else {
+                    out[id] = v;
+                }
+            });
+            return out;
+        }
+    };
+}
+
+// Collection names shown in the sync history
+const SYNC_COLLECTION_LABELS = {
+    deepbreath_sessions: 'Séances',
+    deepbreath_profile: 'Profil',
+    deepbreath_goals: 'Objectifs',
+    deepbreath_chat_history: 'Conversation du coach',
+    deepbreath_settings: 'Réglages',
+    deepbreath_coach_settings: 'Réglages du coach',
+    deepbreath_coach_custom_prompt: 'Consignes du coach',
+    deepbreath_sequences: 'Séquences',
+    deepbreath_contraction_history: 'Historique contractions',
+    deepbreath_comfort_zone_history: 'Historique zone de confort',
+    deepbreath_frc_comfort_history: 'Historique FRC',
+    deepbreath_apnea_table_history: 'Historique tables d\'apnée',
+    deepbreath_apnea_tests: 'Tests d\'apnée',
+    deepbreath_resonance_history: 'Évaluations de résonance',
+    deepbreath_weekly_plan: 'Plans de semaine',
+    deepbreath_favorites: 'Favoris',
+    deepbreath_calendar_events: 'Sorties et compétitions',
+    deepbreath_breath_themes: 'Thèmes sonores'
+};
+
+const SYNC_RECORDS = {
+    deepbreath_sessions:             syncList(s => s.id),
+    deepbreath_profile:              syncFields(),
+    deepbreath_goals:                { toRecords: v => new Map(v !== undefined ? [['text', v]] : []), fromRecords: r => r.get('text') ?? '' },
+    deepbreath_chat_history:         syncList(m => m.ts ? `${m.ts}` : `${m.role}:${m.content?.substring(0, 50)}`, { sort: (a, b) => (a.ts || 0) - (b.ts || 0), limit: 100 }),
+    deepbreath_settings:             syncFields({ nested: ['exercises'] }),
+    deepbreath_coach_settings:       syncFields({ exclude: ['apiKey', 'baseUrl', 'models'] }),
+    deepbreath_coach_custom_prompt:  { toRecords: v => new Map(v !== undefined ? [['text', v]] : []), fromRecords: r => r.get('text') ?? '' },
+    deepbreath_sequences:            { toRecords: o => new Map(Object.entries(o || {})), fromRecords: r => Object.fromEntries(r) },
+    deepbreath_contraction_history:  syncList(s => `${s.date}_${s.weekLevel}`),
+    deepbreath_comfort_zone_history: syncList(s => s.date, { limit: 50 }),
+    deepbreath_frc_comfort_history:  syncList(s => s.date, { limit: 50 }),
+    deepbreath_apnea_table_history:  syncList(s => s.date, { limit: 60 }),
+    deepbreath_apnea_tests:          syncList(t => t.id, { limit: 200 }),
+    deepbreath_resonance_history:    syncList(s => s.date, { limit: 20 }),
+    deepbreath_weekly_plan: {
+        toRecords: d => {
+            const records = new Map((d?.plans || []).filter(p => p?.id).map(p => [`plan:${p.id}`, p]));
+            (d?.programs || []).filter(p => p?.id).forEach(p => records.set(`program:${p.id}`, p));
+            if (d?.currentPlanId) records.set('currentPlanId', d.currentPlanId);
+            if (d?.autoReschedule) records.set('autoReschedule', true);
+            return records;
+        },
+        fromRecords: r => {
+            const programs = [...r.entries()].filter(([id]) => id.startsWith('program:')).map(([, p]) => p);
+            const programIds = new Set(programs.map(p => p.id));
+            const plans = [...r.entries()].filter(([id]) => id.startsWith('plan:')).map(([, p]) => p)
+                .sort((a, b) => new Date(a.weekStart) - new Date(b.weekStart));
+            // Keep every week of a program plus the last 10 standalone weeks
+            const standalone = plans.filter(p => !programIds.has(p.programId));
+            const dropped = new Set(standalone.slice(0, -10));
+            return {
+                plans: plans.filter(p => !dropped.has(p)),
+                currentPlanId: r.get('currentPlanId') || null,
+                programs,
+                autoReschedule: !!r.get('autoReschedule')
+            };
+        }
+    },
+    deepbreath_favorites:            { toRecords: l => new Map((l || []).map(id => [id, true])), fromRecords: r => [...r.keys()] },
+    deepbreath_calendar_events:      syncList(e => e.uid, { sort: (a, b) => a.start.localeCompare(b.start) }),
+    deepbreath_breath_themes:        syncList(t => t.id, { sort: (a, b) => a.name.localeCompare(b.name) })
+};
+
 class DataSync {
     constructor() {
-        this.gistId = localStorage.getItem('deepbreath_sync_gistId') || '';
-        this.token = localStorage.getItem('deepbreath_sync_token') || '';
-        this.enabled = !!(this.gistId && this.token);
+        // Storage backend (sync-backends.js) — the merge below never depends on it
+        this.backendName = localStorage.getItem('deepbreath_sync_backend') || 'gist';
+        if (!window.syncBackends[this.backendName]) this.backendName = 'gist';
+        this.backend = window.syncBackends[this.backendName]();
+        this.enabled = this.backend.isConfigured();
         this.isSyncing = false;
         this._dirty = false;
         this.lastPullTimestamp = null;
         this.etag = null;
         this.deviceId = this.getOrCreateDeviceId();
 
+        // End-to-end encryption: { params, check, since } when on, { disabledAt } once turned off
+        this.encryption = this._loadEncryption();
+        this.cryptoKey = null;
+        this.locked = null;         // { reason: 'missing' | 'rekeyed' } when the remote cannot be opened
+
         // Keys to sync (order matters for display)
         this.SYNC_KEYS = [
             'deepbreath_sessions',
@@ -28,23 +188,45 @@ class DataSync {
             'deepbreath_contraction_history',
             'deepbreath_comfort_zone_history',
             'deepbreath_frc_comfort_history',
+            'deepbreath_apnea_table_history',
+            'deepbreath_apnea_tests',
+            'deepbreath_resonance_history',
             'deepbreath_weekly_plan',
-            'deepbreath_favorites'
+            'deepbreath_favorites',
+            'deepbreath_calendar_events',
+            'deepbreath_breath_themes'
         ];
 
-        // Intercept localStorage writes to mark dirty (NO auto-push)
-        this._interceptLocalStorage();
-
-        // NO auto-push on online/visibility — push ONLY via manual sync button
-        // This prevents one device from overwriting the other's data
+        // Auto-sync after local changes — opt-in, per device. Safe now that the merge is
+        // per record with tombstones and conflicts: a push never drops the other device's edits
+        this.autoSync = localStorage.getItem('deepbreath_sync_auto') === 'true';
+        this.AUTO_SYNC_DELAY = 20000;
+        this._autoSyncTimer = null;
+
+        // Watch local writes: stamp record metadata and mark dirty
+        this._watchStorage();
+        window.storage.ready.then(() => {
+            this._indexAll();
+            this.renderConflicts();
+        });
+        window.addEventListener('online', () => {
+            if (this._dirty && this.autoSync) this._scheduleAutoSync();
+        });
 
         // Setup sync status button click (top bar)
         this._initSyncButton();
 
-        // Show correct status on load
-        if (this.enabled) {
-            this._updateStatusUI('synced');
-        }
+        // Show correct status on load (the folder backend restores its handle asynchronously)
+        this.ready = Promise.all([
+            Promise.resolve(this.backend.init && this.backend.init()),
+            this.isEncrypted() ? this._loadKey() : null
+        ])
+            .catch(e => console.warn('[Sync] Backend init failed:', e))
+            .then(() => {
+                this.enabled = this.backend.isConfigured();
+                if (this.enabled) this._updateStatusUI('synced');
+                this.renderEncryption();
+            });
     }
 
     _initSyncButton() {
@@ -61,15 +243,15 @@ class DataSync {
                     btn.classList.add('sync-syncing');
                     const diag = await sync.fullSync();
                     sync._reloadModules();
-                    const gid = (sync.gistId || '?').substring(0, 8);
-                    const msg = `[${gid}] L${diag.localBefore}+G${diag.gistSessions}→${diag.mergedCount} push=${diag.pushed?'✓':'✗'} v=${diag.verified}`;
+                    const msg = `[${sync.describe()}] L${diag.localBefore}+G${diag.gistSessions}→${diag.mergedCount} push=${diag.pushed?'✓':'✗'} v=${diag.verified}`
+                        + (diag.conflicts ? ` ⚠️ ${diag.conflicts} conflit(s)` : '');
                     console.log('[Sync]', msg, diag);
                     sync._showSyncToast(msg + (diag.error ? ' ⚠️' + diag.error : ''));
                 } else {
                     const navLink = document.querySelector('[data-section="settings"]');
                     if (navLink) navLink.click();
                     setTimeout(() => {
-                        document.getElementById('syncToken')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                        document.getElementById('syncBackend')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
                     }, 200);
                     sync._showSyncToast('Configurez la sync');
                 }
@@ -95,6 +277,11 @@ class DataSync {
         }
     }
 
+    /** Short label of the remote (Gist ID prefix, server host, folder name) */
+    describe() {
+        return this.backend.describe() || '?';
+    }
+
     // ==========================================
     // Device ID
     // ==========================================
@@ -115,75 +302,44 @@ class DataSync {
     }
 
     // ==========================================
-    // Setup — Create Gist
+    // Configure backend
     // ==========================================
 
-    async setup(token) {
-        this.token = token.trim();
-        if (!this.token) throw new Error('Token vide');
-
-        // Test token validity
-        const testResp = await fetch('https://api.github.com/user', {
-            headers: { 'Authorization': `Bearer ${this.token}` }
-        });
-        if (!testResp.ok) throw new Error('Token GitHub invalide');
+    /**
+     * Select a backend and connect to it. An empty remote is initialised with the local data
+     * (e.g. a new Gist); otherwise the remote is pulled and merged right away.
+     * @param {string} name - 'gist' | 'webdav' | 'rest' | 'folder'
+     * @param {Object} config - backend fields ({ token, gistId }, { url, username, password }, { url, token }, { handle })
+     * @returns {Promise<boolean>} true when the remote has been created from local data
+     */
+    async configure(name, config) {
+        const factory = window.syncBackends[name];
+        if (!factory) throw new Error(`Backend de sync inconnu : ${name}`);
+        const backend = factory();
+        backend.configure(config);
+        if (!backend.isConfigured() && name !== 'gist') throw new Error('Configuration incomplète');
 
-        // Create private Gist with current data
         const payload = this._buildPayload();
-        const resp = await fetch('https://api.github.com/gists', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                description: 'Jmee DeepBreath — Sync Data (auto-generated)',
-                public: false,
-                files: {
-                    'deepbreath-sync.json': {
-                        content: JSON.stringify(payload, null, 2)
-                    }
-                }
-            })
-        });
-
-        if (!resp.ok) {
-            const err = await resp.json().catch(() => ({}));
-            throw new Error(err.message || `Erreur GitHub ${resp.status}`);
-        }
-
-        const gist = await resp.json();
-        this.gistId = gist.id;
-        this.enabled = true;
-
-        localStorage.setItem('deepbreath_sync_token', this.token);
-        localStorage.setItem('deepbreath_sync_gistId', this.gistId);
-
-        return this.gistId;
-    }
-
-    // ==========================================
-    // Connect to existing Gist
-    // ==========================================
-
-    async connect(token, gistId) {
-        this.token = token.trim();
-        this.gistId = gistId.trim();
-        if (!this.token || !this.gistId) throw new Error('Token ou Gist ID manquant');
-
-        // Verify access
-        const resp = await fetch(`https://api.github.com/gists/${this.gistId}`, {
-            headers: { 'Authorization': `Bearer ${this.token}` },
-            cache: 'no-store'
-        });
-        if (!resp.ok) throw new Error(`Gist introuvable ou token invalide (${resp.status})`);
+        const created = await backend.connect(await this._encode(payload));
 
+        if (this.backendName !== name) this.backend.forget();
+        this.backend = backend;
+        this.backendName = name;
+        this.etag = null;
+        this._revisions = null;
+        this._historyView = null;
         this.enabled = true;
-        localStorage.setItem('deepbreath_sync_token', this.token);
-        localStorage.setItem('deepbreath_sync_gistId', this.gistId);
+        await backend.save();
+        localStorage.setItem('deepbreath_sync_backend', name);
 
-        // Pull immediately
-        await this.pull();
+        if (created) {
+            this._markSynced(payload.meta);
+            this._updateStatusUI('synced');
+        } else {
+            // Pull immediately
+            await this.pull();
+        }
+        return created;
     }
 
     // ==========================================
@@ -192,69 +348,43 @@ class DataSync {
 
     disconnect() {
         this.enabled = false;
-        this.gistId = '';
-        this.token = '';
         this.etag = null;
-        localStorage.removeItem('deepbreath_sync_token');
-        localStorage.removeItem('deepbreath_sync_gistId');
+        this._revisions = null;
+        this._historyView = null;
+        this.backend.forget();
+        // The key goes too: reconnecting asks for the passphrase again
+        if (this.encryption) this._saveEncryption(null, null);
         this._updateStatusUI('disconnected');
     }
 
     // ==========================================
-    // Pull (fetch from Gist + merge)
+    // Pull (read remote + merge)
     // ==========================================
 
     async pull() {
         if (!this.enabled || this.isSyncing) return false;
-        if (!navigator.onLine) return false;
+        if (!navigator.onLine && this.backendName !== 'folder') return false;
 
         this.isSyncing = true;
         this._updateStatusUI('syncing');
 
         try {
-            const headers = { 'Authorization': `Bearer ${this.token}` };
-            if (this.etag) headers['If-None-Match'] = this.etag;
-
-            const resp = await fetch(`https://api.github.com/gists/${this.gistId}`, {
-                headers,
-                cache: 'no-store'   // CRITICAL: bypass browser HTTP cache
-            });
+            const res = await this.backend.read(this.etag);
 
-            if (resp.status === 304) {
-                // Not modified
+            if (res.status === 'not-modified') {
                 this.isSyncing = false;
                 this._updateStatusUI('synced');
                 return false;
             }
 
-            if (resp.status === 401) {
-                this._updateStatusUI('error', 'Token invalide');
-                this.isSyncing = false;
-                return false;
-            }
-
-            if (resp.status === 404) {
-                this._updateStatusUI('error', 'Gist supprimé');
-                this.isSyncing = false;
-                return false;
-            }
-
-            if (!resp.ok) {
-                this._updateStatusUI('error', `Erreur ${resp.status}`);
-                this.isSyncing = false;
-                return false;
-            }
-
-            this.etag = resp.headers.get('ETag');
-            const gist = await resp.json();
-            const file = gist.files?.['deepbreath-sync.json'];
-            if (!file?.content) {
+            this.etag = res.etag;
+            if (res.status === 'empty') {
                 this.isSyncing = false;
                 this._updateStatusUI('synced');
                 return false;
             }
 
-            const remote = JSON.parse(file.content);
+            const remote = await this._decode(res.payload);
             if (!remote?.data) {
                 console.log('[Sync] Pull: remote has no data field');
                 this.isSyncing = false;
@@ -267,29 +397,26 @@ class DataSync {
                         '| remote sessions:', remoteSessions?.length || 0,
                         '| local sessions:', localSessions.length);
 
-            // Merge remote into local
+            // Merge remote into local (written with origin 'sync' → not marked dirty)
             const merged = this._merge(remote);
-            if (merged) {
-                const mergedSessions = merged.deepbreath_sessions;
-                console.log('[Sync] Pull: merged sessions:', mergedSessions?.length || 0);
-                // Write merged data back to localStorage (without triggering push)
-                this._writeWithoutIntercept(merged);
-                console.log('[Sync] Pull: written to localStorage');
-                // Verify write
+            if (merged.changed.length) {
                 const verify = this._getLocal('deepbreath_sessions', []);
-                console.log('[Sync] Pull: verify localStorage sessions:', verify.length);
+                console.log('[Sync] Pull: written', merged.changed.join(', '), '| local sessions:', verify.length);
             } else {
                 console.log('[Sync] Pull: no changes detected by merge');
             }
+            if (merged.newConflicts) {
+                this._showSyncToast(`${merged.newConflicts} conflit(s) de sync à résoudre (Réglages)`);
+            }
 
-            // Always reload modules to sync memory ↔ localStorage
+            // Always reload modules to sync memory ↔ local storage
             this._reloadModules();
 
             this.lastPullTimestamp = new Date();
             this.isSyncing = false;
             this._updateStatusUI('synced');
-            console.log('[Sync] Pull complete, data applied:', !!merged);
-            return !!merged;
+            console.log('[Sync] Pull complete, data applied:', merged.changed.length > 0);
+            return merged.changed.length > 0;
 
         } catch (e) {
             this.isSyncing = false;
@@ -299,10 +426,15 @@ class DataSync {
     }
 
     // ==========================================
-    // Push (upload to Gist)
+    // Push (write remote)
     // ==========================================
 
-    async push() {
+    /**
+     * @param {Object} [options] - { ifMatch: etag of the version just merged — the backends
+     *   that support it refuse the write if the remote changed since (result 'stale') }
+     * @returns {Promise<boolean|'stale'>}
+     */
+    async push({ ifMatch = null } = {}) {
         if (!this.enabled) {
             console.log('[Sync] Push skipped (disabled)');
             return false;
@@ -311,7 +443,7 @@ class DataSync {
             console.log('[Sync] Push skipped (already syncing)');
             return false;
         }
-        if (!navigator.onLine) {
+        if (!navigator.onLine && this.backendName !== 'folder') {
             console.log('[Sync] Push skipped (offline)');
             return false;
         }
@@ -322,30 +454,11 @@ class DataSync {
         try {
             const payload = this._buildPayload();
             const sessionCount = payload.data?.deepbreath_sessions?.length || 0;
-            console.log('[Sync] Pushing', sessionCount, 'sessions to Gist');
-            const resp = await fetch(`https://api.github.com/gists/${this.gistId}`, {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    files: {
-                        'deepbreath-sync.json': {
-                            content: JSON.stringify(payload, null, 2)
-                        }
-                    }
-                }),
-                cache: 'no-store'
-            });
-
-            if (!resp.ok) {
-                this._updateStatusUI('error', `Push échoué (${resp.status})`);
-                this.isSyncing = false;
-                return false;
-            }
+            console.log('[Sync] Pushing', sessionCount, 'sessions to', this.backend.label, this.isEncrypted() ? '(encrypted)' : '');
+            const res = await this.backend.write(await this._encode(payload), ifMatch);
 
-            this.etag = resp.headers.get('ETag');
+            this.etag = res.etag;
+            this._markSynced(payload.meta);
             this.isSyncing = false;
             this._dirty = false;
             this._updateStatusUI('synced');
@@ -354,6 +467,10 @@ class DataSync {
 
         } catch (e) {
             this.isSyncing = false;
+            if (e.status === 412) {
+                console.log('[Sync] Push refused: remote changed since the last read');
+                return 'stale';
+            }
             this._updateStatusUI('error', e.message);
             console.warn('[Sync] Push error:', e.message);
             return false;
@@ -361,12 +478,13 @@ class DataSync {
     }
 
     /**
-     * Full sync: fetch Gist (no cache) → merge → push merged result.
-     * This is the ONLY way data gets pushed. No auto-push anywhere.
+     * Full sync: read remote (no cache) → merge → push merged result.
+     * This is the ONLY way data gets pushed (sync button, or auto-sync when enabled).
+     * If another device wrote in between (conditional write refused), read and merge again once.
      * Returns diagnostic object for UI display.
      */
     async fullSync() {
-        const diag = { localBefore: 0, gistSessions: 0, gistDevice: '?', mergedCount: 0, localAfter: 0, pushed: false, verified: 0, error: null };
+        const diag = { localBefore: 0, gistSessions: 0, gistDevice: '?', mergedCount: 0, localAfter: 0, pushed: false, verified: 0, conflicts: 0, newConflicts: 0, error: null };
         if (!this.enabled) { diag.error = 'disabled'; return diag; }
         console.log('[Sync] ===== fullSync START =====');
 
@@ -379,94 +497,62 @@ class DataSync {
         diag.localBefore = this._getLocal('deepbreath_sessions', []).length;
         console.log('[Sync] Step 0: local has', diag.localBefore, 'sessions');
 
-        // ---- STEP 1: Fetch Gist ----
-        let remoteData = null;
-        try {
-            const ts = Date.now(); // cache-bust param
-            const resp = await fetch(`https://api.github.com/gists/${this.gistId}?t=${ts}`, {
-                headers: { 'Authorization': `Bearer ${this.token}` },
-                cache: 'no-store'
-            });
-            console.log('[Sync] Step 1: fetch status', resp.status);
-
-            if (!resp.ok) {
-                diag.error = `fetch ${resp.status}`;
+        for (let attempt = 0; attempt < 2; attempt++) {
+            // ---- STEP 1: Read remote ----
+            let remote = null;
+            let readEtag = null;
+            try {
+                const res = await this.backend.read();
+                console.log('[Sync] Step 1: read', res.status);
+                readEtag = res.etag || null;
+                if (res.status === 'ok') {
+                    remote = await this._decode(res.payload);
+                    diag.gistSessions = remote.data?.deepbreath_sessions?.length || 0;
+                    diag.gistDevice = remote.deviceId || '?';
+                    console.log('[Sync] Step 1: remote has', diag.gistSessions, 'sessions from', diag.gistDevice);
+                } else {
+                    console.log('[Sync] Step 1: remote file empty');
+                }
+            } catch (e) {
+                // Locked: never push — plain local data would replace the encrypted remote
+                diag.error = e.status ? `fetch ${e.status}` : e.message;
+                console.error('[Sync] Step 1 error:', e);
+                if (this.locked) this._updateStatusUI('error', e.message);
                 return diag;
             }
 
-            const gist = await resp.json();
-            const file = gist.files?.['deepbreath-sync.json'];
-            if (file?.content) {
-                const remote = JSON.parse(file.content);
-                remoteData = remote.data;
-                diag.gistSessions = remoteData?.deepbreath_sessions?.length || 0;
-                diag.gistDevice = remote.deviceId || '?';
-                console.log('[Sync] Step 1: gist has', diag.gistSessions, 'sessions from', diag.gistDevice);
-            } else {
-                console.log('[Sync] Step 1: gist file empty');
+            // ---- STEP 2: Merge ----
+            if (remote?.data) {
+                const merged = this._merge(remote);
+                diag.conflicts = merged.conflicts;
+                diag.newConflicts += merged.newConflicts;
+                diag.mergedCount = this._getLocal('deepbreath_sessions', []).length;
+                console.log('[Sync] Step 2: merged', diag.localBefore, '+', diag.gistSessions, '→', diag.mergedCount,
+                            '| changed:', merged.changed.join(', ') || 'none', '| conflicts:', merged.conflicts);
             }
-        } catch (e) {
-            diag.error = e.message;
-            console.error('[Sync] Step 1 error:', e);
-            return diag;
-        }
 
-        // ---- STEP 2: Merge ----
-        if (remoteData) {
-            const localSessions = this._getLocal('deepbreath_sessions', []);
-            const remoteSessions = remoteData.deepbreath_sessions || [];
-            // Direct union merge (bypass _merge which may return null)
-            const byId = new Map();
-            for (const s of remoteSessions) { if (s?.id) byId.set(s.id, s); }
-            for (const s of localSessions) { if (s?.id) byId.set(s.id, s); }
-            const mergedSessions = Array.from(byId.values())
-                .sort((a, b) => new Date(a.date) - new Date(b.date));
-            diag.mergedCount = mergedSessions.length;
-            console.log('[Sync] Step 2: merged', localSessions.length, '+', remoteSessions.length, '→', mergedSessions.length, '(unique by ID)');
-
-            // Write merged sessions directly to localStorage
-            this._skipIntercept = true;
-            localStorage.setItem('deepbreath_sessions', JSON.stringify(mergedSessions));
-            this._skipIntercept = false;
-
-            // Also merge other keys via _merge (for non-session data)
-            const fullRemote = { data: remoteData };
-            const otherMerged = this._merge(fullRemote);
-            if (otherMerged) {
-                // But keep our already-merged sessions
-                otherMerged.deepbreath_sessions = mergedSessions;
-                this._writeWithoutIntercept(otherMerged);
+            // ---- STEP 3: Push ----
+            this._dirty = true;
+            this.isSyncing = false; // ensure push() can proceed
+            const pushCount = this._getLocal('deepbreath_sessions', []).length;
+            console.log('[Sync] Step 3: about to push', pushCount, 'sessions');
+            const pushed = await this.push({ ifMatch: readEtag });
+            console.log('[Sync] Step 3: push result', pushed);
+            if (pushed !== 'stale') {
+                diag.pushed = pushed;
+                break;
             }
-
-            // Verify localStorage write
-            const verify = this._getLocal('deepbreath_sessions', []);
-            console.log('[Sync] Step 2: localStorage now has', verify.length, 'sessions');
+            diag.error = 'remote modifié pendant la sync';
         }
+        if (diag.pushed) diag.error = null;
+        else if (diag.error) this._updateStatusUI('error', diag.error);
 
-        // ---- STEP 3: Push ----
-        this._dirty = true;
-        this.isSyncing = false; // ensure push() can proceed
-        const payload = this._buildPayload();
-        const pushCount = payload.data?.deepbreath_sessions?.length || 0;
-        console.log('[Sync] Step 3: about to push', pushCount, 'sessions');
-        diag.pushed = await this.push();
-        console.log('[Sync] Step 3: push result', diag.pushed);
-
-        // ---- STEP 4: Verify (re-fetch Gist to confirm) ----
+        // ---- STEP 4: Verify (re-read remote to confirm) ----
         try {
-            const ts2 = Date.now();
-            const vResp = await fetch(`https://api.github.com/gists/${this.gistId}?t=${ts2}`, {
-                headers: { 'Authorization': `Bearer ${this.token}` },
-                cache: 'no-store'
-            });
-            if (vResp.ok) {
-                const vGist = await vResp.json();
-                const vFile = vGist.files?.['deepbreath-sync.json'];
-                if (vFile?.content) {
-                    const vData = JSON.parse(vFile.content);
-                    diag.verified = vData.data?.deepbreath_sessions?.length || 0;
-                    console.log('[Sync] Step 4: verified gist now has', diag.verified, 'sessions');
-                }
+            const res = await this.backend.read();
+            if (res.status === 'ok') {
+                diag.verified = (await this._decode(res.payload)).data?.deepbreath_sessions?.length || 0;
+                console.log('[Sync] Step 4: verified remote now has', diag.verified, 'sessions');
             }
         } catch (e) {
             console.warn('[Sync] Step 4 verify error:', e);
@@ -483,390 +569,862 @@ class DataSync {
 
     _buildPayload() {
         const data = {};
+        const meta = {};
+        const allMeta = this._getMeta();
+        const conflicts = this.getConflicts();
 
         for (const key of this.SYNC_KEYS) {
-            const raw = localStorage.getItem(key);
-            if (raw === null) continue;
+            const adapter = SYNC_RECORDS[key];
+            let value = window.storage.get(key);
+            const keyMeta = { ...(allMeta[key] || {}) };
+
+            // Unresolved conflicts: the remote keeps the other device's version until the user decides
+            const open = conflicts.filter(c => c.key === key);
+            if (open.length) {
+                const records = adapter.toRecords(value);
+                open.forEach(c => {
+                    if (c.remoteMeta.deleted) records.delete(c.id);
+                    else records.set(c.id, c.remote);
+                    keyMeta[c.id] = c.remoteMeta;
+                });
+                value = adapter.fromRecords(records, value);
+            }
+
+            // syncedHash is local bookkeeping — never pushed
+            meta[key] = {};
+            Object.entries(keyMeta).forEach(([id, { syncedHash, ...m }]) => { meta[key][id] = m; });
 
+            if (value === undefined) continue;
             if (key === 'deepbreath_coach_settings') {
-                // Strip API key — never sync it
-                try {
-                    const parsed = JSON.parse(raw);
-                    const { apiKey, ...safe } = parsed;
-                    data[key] = safe;
-                } catch {
-                    data[key] = raw;
-                }
-            } else if (key === 'deepbreath_goals') {
-                data[key] = raw; // String, not JSON
+                // Strip API key — never sync it; the local LLM server is per device too
+                const { apiKey, baseUrl, models, ...safe } = value;
+                data[key] = safe;
             } else {
-                try {
-                    data[key] = JSON.parse(raw);
-                } catch {
-                    data[key] = raw;
-                }
+                data[key] = value; // deepbreath_goals stays a plain string
             }
         }
 
         return {
-            version: 1,
+            version: 2,
             lastModified: new Date().toISOString(),
             deviceId: this.deviceId,
-            data
+            data,
+            meta
         };
     }
 
     // ==========================================
-    // Merge strategies
+    // End-to-end encryption
     // ==========================================
 
-    _merge(remote) {
-        if (!remote?.data) { console.log('[Sync] Merge: no remote data'); return null; }
+    isEncrypted() {
+        return !!this.encryption?.params;
+    }
 
-        const localTimestamp = this.lastPullTimestamp || new Date(0);
-        const remoteTimestamp = new Date(remote.lastModified || 0);
-        const remoteData = remote.data;
-        let changed = false;
-        console.log('[Sync] Merge: remote from', remote.deviceId, 'at', remote.lastModified);
+    _loadEncryption() {
+        try { return JSON.parse(localStorage.getItem('deepbreath_sync_crypto') || 'null'); } catch (e) { return null; }
+    }
 
-        // Sessions — union by ID
-        if (remoteData.deepbreath_sessions) {
-            const localSessions = this._getLocal('deepbreath_sessions', []);
-            console.log('[Sync] Sessions: local', localSessions.length, 'remote', remoteData.deepbreath_sessions.length);
-            const merged = this._mergeSessions(localSessions, remoteData.deepbreath_sessions);
-            if (merged.length !== localSessions.length || JSON.stringify(merged) !== JSON.stringify(localSessions)) {
-                remoteData.deepbreath_sessions = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_sessions = localSessions;
-            }
+    async _loadKey() {
+        try { this.cryptoKey = await syncDeviceStore.get('cryptoKey') || null; } catch (e) {}
+    }
+
+    async _saveEncryption(state, key) {
+        this.encryption = state;
+        this.cryptoKey = key;
+        this.locked = null;
+        if (state) localStorage.setItem('deepbreath_sync_crypto', JSON.stringify(state));
+        else localStorage.removeItem('deepbreath_sync_crypto');
+        // Without IndexedDB the key only lives for this session: the passphrase is asked again next time
+        try {
+            if (key) await syncDeviceStore.set('cryptoKey', key);
+            else await syncDeviceStore.delete('cryptoKey');
+        } catch (e) {
+            console.warn('[Sync] Could not store encryption key:', e);
         }
+        this.renderEncryption();
+    }
 
-        // Contraction history — union by date+weekLevel
-        if (remoteData.deepbreath_contraction_history) {
-            const localHist = this._getLocal('deepbreath_contraction_history', []);
-            const merged = this._mergeContractionHistory(localHist, remoteData.deepbreath_contraction_history);
-            if (merged.length !== localHist.length) {
-                remoteData.deepbreath_contraction_history = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_contraction_history = localHist;
-            }
+    /** Payload as written to the backend: sealed when encryption is on */
+    async _encode(payload) {
+        if (!this.isEncrypted()) {
+            // Lets the other devices know encryption was turned off on purpose
+            return this.encryption?.disabledAt ? { ...payload, encryption: { disabledAt: this.encryption.disabledAt } } : payload;
         }
+        if (!this.cryptoKey) throw this._lock('missing');
+        const { params, check, since } = this.encryption;
+        return SyncCrypto.seal(payload, this.cryptoKey, { ...params, check, since });
+    }
 
-        // Comfort zone history — union by date
-        if (remoteData.deepbreath_comfort_zone_history) {
-            const localHist = this._getLocal('deepbreath_comfort_zone_history', []);
-            const merged = this._mergeComfortZoneHistory(localHist, remoteData.deepbreath_comfort_zone_history);
-            if (merged.length !== localHist.length) {
-                remoteData.deepbreath_comfort_zone_history = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_comfort_zone_history = localHist;
+    /** Payload as read from the backend → plain payload, or throws if it cannot be opened */
+    async _decode(remote) {
+        if (!SyncCrypto.isEncrypted(remote)) {
+            const disabledAt = remote?.encryption?.disabledAt;
+            if (this.isEncrypted() && disabledAt && disabledAt > this.encryption.since) {
+                await this._saveEncryption({ disabledAt }, null);
+                this._showSyncToast('Chiffrement de la sync désactivé depuis un autre appareil');
             }
+            return remote;
+        }
+        if (!this.cryptoKey) throw this._lock('missing');
+        if (remote.crypto?.salt !== this.encryption?.params?.salt) throw this._lock('rekeyed');
+        let payload;
+        try {
+            payload = await SyncCrypto.open(remote, this.cryptoKey);
+        } catch (e) {
+            throw new Error('Données de sync illisibles (altérées ou clé invalide)');
+        }
+        if (this.locked) {
+            this.locked = null;
+            this.renderEncryption();
         }
+        return payload;
+    }
 
-        // FRC comfort history — union by date
-        if (remoteData.deepbreath_frc_comfort_history) {
-            const localHist = this._getLocal('deepbreath_frc_comfort_history', []);
-            const merged = this._mergeFrcComfortHistory(localHist, remoteData.deepbreath_frc_comfort_history);
-            if (merged.length !== localHist.length) {
-                remoteData.deepbreath_frc_comfort_history = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_frc_comfort_history = localHist;
-            }
+    _lock(reason) {
+        this.locked = { reason };
+        this.renderEncryption();
+        return new Error(reason === 'rekeyed'
+            ? 'Phrase de passe changée sur un autre appareil — saisissez la nouvelle'
+            : 'Données chiffrées — saisissez la phrase de passe');
+    }
+
+    /** Derive the key with the current parameters and check it — throws on a wrong passphrase */
+    async _checkPassphrase(passphrase) {
+        if (!this.isEncrypted()) throw new Error('Chiffrement non activé');
+        const key = await SyncCrypto.deriveKey(passphrase, this.encryption.params);
+        if (!await SyncCrypto.verify(key, this.encryption.check)) throw new Error('Phrase de passe incorrecte');
+        return key;
+    }
+
+    /**
+     * Enable encryption, or unlock it on this device when the remote is already encrypted
+     * (same passphrase as on the other devices — checked against the envelope's key check).
+     * @returns {Promise<'enabled'|'unlocked'>}
+     */
+    async setPassphrase(passphrase) {
+        if (!this.enabled) throw new Error('Configurez la sync d\'abord');
+        if (!passphrase || passphrase.length < 8) throw new Error('Phrase de passe : 8 caractères minimum');
+
+        const res = await this.backend.read();
+        const remote = res.status === 'ok' ? res.payload : null;
+        let mode, state, key;
+        if (SyncCrypto.isEncrypted(remote)) {
+            const { kdf, hash, iterations, salt, check, since } = remote.crypto;
+            const params = { kdf, hash, iterations, salt };
+            key = await SyncCrypto.deriveKey(passphrase, params);
+            if (!await SyncCrypto.verify(key, check)) throw new Error('Phrase de passe incorrecte');
+            mode = 'unlocked';
+            state = { params, check, since };
+        } else {
+            const params = SyncCrypto.createParams();
+            key = await SyncCrypto.deriveKey(passphrase, params);
+            mode = 'enabled';
+            state = { params, check: await SyncCrypto.makeCheck(key), since: new Date().toISOString() };
         }
 
-        // Sequences — union by key
-        if (remoteData.deepbreath_sequences) {
-            const localSeq = this._getLocal('deepbreath_sequences', {});
-            const merged = { ...remoteData.deepbreath_sequences, ...localSeq };
-            if (Object.keys(merged).length !== Object.keys(localSeq).length) {
-                remoteData.deepbreath_sequences = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_sequences = localSeq;
-            }
+        await this._saveEncryption(state, key);
+        this.etag = null;
+        const diag = await this.fullSync();
+        if (diag.error) throw new Error(diag.error);
+        return mode;
+    }
+
+    /**
+     * Re-key: sync with the current key first (nothing left unmerged), then write everything
+     * again under a new salt. Other devices are asked for the new passphrase on their next read.
+     */
+    async changePassphrase(current, next) {
+        await this._checkPassphrase(current);
+        if (!next || next.length < 8) throw new Error('Nouvelle phrase de passe : 8 caractères minimum');
+
+        const before = await this.fullSync();
+        if (!before.pushed) throw new Error(before.error || 'Sync impossible');
+
+        const params = SyncCrypto.createParams();
+        const key = await SyncCrypto.deriveKey(next, params);
+        await this._saveEncryption({ params, check: await SyncCrypto.makeCheck(key), since: new Date().toISOString() }, key);
+        return this._pushAfterKeyChange();
+    }
+
+    /** Back to plain JSON on the remote (passphrase required) — other devices follow on their next read */
+    async disableEncryption(passphrase) {
+        await this._checkPassphrase(passphrase);
+
+        const before = await this.fullSync();
+        if (!before.pushed) throw new Error(before.error || 'Sync impossible');
+
+        await this._saveEncryption({ disabledAt: new Date().toISOString() }, null);
+        return this._pushAfterKeyChange();
+    }
+
+    async _pushAfterKeyChange() {
+        this._dirty = true;
+        const pushed = await this.push({ ifMatch: this.etag });
+        if (pushed === 'stale') throw new Error('Un autre appareil a écrit entre-temps — relancez la sync');
+        if (!pushed) throw new Error('Écriture impossible — relancez la sync');
+        return true;
+    }
+
+    renderEncryption() {
+        const box = document.getElementById('syncEncryption');
+        if (!box) return;
+        box.hidden = !this.enabled;
+        if (!this.enabled) { box.innerHTML = ''; return; }
+
+        const since = this.encryption?.since
+            ? new Date(this.encryption.since).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric' })
+            : '';
+        const input = (id, placeholder) =>
+            `<input type="password" id="${id}" placeholder="${placeholder}" autocomplete="new-password">`;
+        let status, fields, actions;
+        if (this.locked || (this.isEncrypted() && !this.cryptoKey)) {
+            status = this.locked?.reason === 'rekeyed'
+                ? '🔒 Phrase de passe changée sur un autre appareil'
+                : '🔒 Données chiffrées — phrase de passe requise sur cet appareil';
+            fields = input('syncPassphrase', 'Phrase de passe');
+            actions = '<button class="btn-primary" data-crypto="unlock">Déverrouiller</button>';
+        } else if (this.isEncrypted()) {
+            status = `Chiffrement de bout en bout activé (AES-GCM) depuis le ${since}`;
+            fields = input('syncPassphrase', 'Phrase de passe actuelle')
+                + input('syncPassphraseNew', 'Nouvelle phrase de passe (changement)')
+                + input('syncPassphraseConfirm', 'Confirmer la nouvelle phrase de passe');
+            actions = '<button class="btn-secondary" data-crypto="rekey">Changer la phrase de passe</button>'
+                + '<button class="btn-danger-outline" data-crypto="disable">Désactiver</button>';
+        } else {
+            status = 'Non chiffré : le contenu est lisible par quiconque accède au stockage distant';
+            fields = input('syncPassphraseNew', 'Phrase de passe (8 caractères min.)')
+                + input('syncPassphraseConfirm', 'Confirmer la phrase de passe');
+            actions = '<button class="btn-primary" data-crypto="enable">Chiffrer</button>';
         }
 
-        // Chat history — union merge by timestamp (keeps both devices' conversations)
-        if (remoteData.deepbreath_chat_history) {
-            const localChat = this._getLocal('deepbreath_chat_history', []);
-            const merged = this._mergeChatHistory(localChat, remoteData.deepbreath_chat_history);
-            if (merged.length !== localChat.length || JSON.stringify(merged) !== JSON.stringify(localChat)) {
-                remoteData.deepbreath_chat_history = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_chat_history = localChat;
+        box.innerHTML = `
+            <h4>Chiffrement</h4>
+            <p class="sync-encryption-status">${status}</p>
+            <div class="sync-encryption-fields">${fields}</div>
+            <div class="sync-actions">${actions}</div>
+            <p class="sync-help">La phrase de passe n'est jamais enregistrée ni envoyée. Perdue, elle ne se récupère pas :
+            les données restent sur vos appareils mais le stockage distant devient illisible.</p>`;
+
+        const val = id => box.querySelector('#' + id)?.value || '';
+        const run = async (btn, label, task) => {
+            const text = btn.textContent;
+            box.querySelectorAll('button').forEach(b => { b.disabled = true; });
+            btn.textContent = label;
+            try {
+                this._showSyncToast(await task());
+                this._reloadModules();
+                this.renderEncryption();
+            } catch (e) {
+                this._showSyncToast('Erreur : ' + e.message);
+                btn.textContent = text;
+                box.querySelectorAll('button').forEach(b => { b.disabled = false; });
             }
-        }
+        };
+        const confirmed = () => {
+            if (val('syncPassphraseNew') !== val('syncPassphraseConfirm')) throw new Error('Les phrases de passe ne correspondent pas');
+            return val('syncPassphraseNew');
+        };
 
-        // Coach settings — deep merge, local wins on conflicts, ALWAYS preserve local API key
-        // (apiKey is stripped before push for security, so remote never has it)
-        {
-            const localCoach = this._getLocal('deepbreath_coach_settings', {});
-            if (remoteData.deepbreath_coach_settings) {
-                // Deep merge: remote is base, local overrides (same strategy as deepbreath_settings)
-                const remoteCoach = remoteData.deepbreath_coach_settings;
-                const merged = this._deepMergeSettings(remoteCoach, localCoach);
-                merged.apiKey = localCoach.apiKey || '';
-                if (JSON.stringify(merged) !== JSON.stringify(localCoach)) {
-                    changed = true;
+        box.querySelectorAll('[data-crypto]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const action = btn.dataset.crypto;
+                if (action === 'unlock') {
+                    run(btn, 'Vérification...', async () => {
+                        await this.setPassphrase(val('syncPassphrase'));
+                        return '✓ Sync déverrouillée';
+                    });
+                } else if (action === 'enable') {
+                    run(btn, 'Chiffrement...', async () => {
+                        const mode = await this.setPassphrase(confirmed());
+                        return mode === 'enabled' ? '✓ Données chiffrées — saisissez la même phrase sur vos autres appareils' : '✓ Sync déverrouillée';
+                    });
+                } else if (action === 'rekey') {
+                    run(btn, 'Rechiffrement...', async () => {
+                        await this.changePassphrase(val('syncPassphrase'), confirmed());
+                        return '✓ Phrase de passe changée';
+                    });
+                } else if (action === 'disable') {
+                    if (!confirm('Désactiver le chiffrement ? Les données seront de nouveau stockées en clair.')) return;
+                    run(btn, 'Déchiffrement...', async () => {
+                        await this.disableEncryption(val('syncPassphrase'));
+                        return 'Chiffrement désactivé';
+                    });
                 }
-                remoteData.deepbreath_coach_settings = merged;
-            } else if (localCoach && Object.keys(localCoach).length > 0) {
-                // Remote has no coach settings: preserve local entirely (including apiKey)
-                remoteData.deepbreath_coach_settings = localCoach;
-                changed = true;
-            }
-        }
+            });
+        });
+    }
 
-        // Last-write-wins for profile and goals
-        const lwwKeys = ['deepbreath_profile', 'deepbreath_goals'];
-        for (const key of lwwKeys) {
-            if (remoteData[key] !== undefined) {
-                const localVal = localStorage.getItem(key);
-                const remoteVal = key === 'deepbreath_goals'
-                    ? remoteData[key]
-                    : JSON.stringify(remoteData[key]);
-                if (localVal !== remoteVal) {
-                    changed = true;
+    // ==========================================
+    // Per-record metadata
+    // ==========================================
+
+    _getMeta() {
+        return window.storage.get('deepbreath_sync_meta', {});
+    }
+
+    _saveMeta(meta) {
+        window.storage.set('deepbreath_sync_meta', meta, { origin: 'sync' });
+    }
+
+    /**
+     * Stamp records changed locally (new hash → updatedAt / deviceId) and turn
+     * vanished ones into tombstones. `unknown`: first indexing, provenance unknown.
+     */
+    _stampLocal(key, allMeta, unknown = false) {
+        const adapter = SYNC_RECORDS[key];
+        if (!adapter) return false;
+        const meta = allMeta[key] || (allMeta[key] = {});
+        const records = adapter.toRecords(window.storage.get(key));
+        const now = new Date().toISOString();
+        let changed = false;
+
+        records.forEach((value, id) => {
+            const hash = syncHash(value);
+            const m = meta[id];
+            if (m && m.hash === hash) return;
+            meta[id] = {
+                updatedAt: unknown ? null : now,
+                deviceId: unknown ? null : this.deviceId,
+                hash,
+                syncedHash: m ? m.syncedHash : undefined
+            };
+            changed = true;
+        });
+        Object.keys(meta).forEach(id => {
+            if (records.has(id) || meta[id].deleted) return;
+            meta[id] = { updatedAt: now, deviceId: this.deviceId, hash: SYNC_DELETED, deleted: true, syncedHash: meta[id].syncedHash };
+            changed = true;
+        });
+        return changed;
+    }
+
+    /** On load: index records not tracked yet, purge old tombstones already on the remote */
+    _indexAll() {
+        const allMeta = this._getMeta();
+        const now = Date.now();
+        for (const key of this.SYNC_KEYS) {
+            this._stampLocal(key, allMeta, !allMeta[key]);
+            Object.entries(allMeta[key] || {}).forEach(([id, m]) => {
+                if (m.deleted && m.syncedHash === SYNC_DELETED && now - new Date(m.updatedAt).getTime() > SYNC_TOMBSTONE_TTL) {
+                    delete allMeta[key][id];
                 }
-            }
+            });
         }
+        this._saveMeta(allMeta);
+    }
+
+    /** After a successful push: what we pushed is now what the remote holds */
+    _markSynced(pushedMeta) {
+        const allMeta = this._getMeta();
+        Object.entries(pushedMeta || {}).forEach(([key, records]) => {
+            const meta = allMeta[key] || (allMeta[key] = {});
+            Object.entries(records).forEach(([id, m]) => {
+                if (meta[id]) meta[id].syncedHash = m.hash;
+            });
+        });
+        this._saveMeta(allMeta);
+    }
+
+    // ==========================================
+    // Merge — record by record, three-way against syncedHash
+    // ==========================================
 
-        // Deep merge for deepbreath_settings — local wins on conflicts, remote fills missing keys
-        if (remoteData.deepbreath_settings) {
-            const localSettings = this._getLocal('deepbreath_settings', {});
-            const remoteSettings = remoteData.deepbreath_settings;
+    /**
+     * Merge the remote payload into local data
+     * @returns {{ changed: string[], conflicts: number, newConflicts: number }}
+     */
+    _merge(remote) {
+        const result = { changed: [], conflicts: 0, newConflicts: 0 };
+        if (!remote?.data) { console.log('[Sync] Merge: no remote data'); return result; }
+        console.log('[Sync] Merge: remote from', remote.deviceId, 'at', remote.lastModified, '| payload v' + (remote.version || 1));
 
-            // Deep merge: remote is base, local overrides
-            const merged = this._deepMergeSettings(remoteSettings, localSettings);
+        const allMeta = this._getMeta();
+        const conflicts = this.getConflicts();
+        const before = conflicts.length;
 
-            const localStr = JSON.stringify(localSettings);
-            const mergedStr = JSON.stringify(merged);
-            if (localStr !== mergedStr) {
-                changed = true;
+        for (const key of this.SYNC_KEYS) {
+            // Pending local edits first, so they are compared with the remote
+            this._stampLocal(key, allMeta);
+            const merged = this._mergeKey(key, remote, allMeta, conflicts);
+            if (!merged) continue;
+            try {
+                window.storage.import(key, merged, 'sync');
+                result.changed.push(key);
+            } catch (e) {
+                console.warn('[Sync] Ignored remote', key, e.message);
             }
-            remoteData.deepbreath_settings = merged;
         }
 
-        // Weekly plan — union by plan id, keep last 10 weeks, local notes win
-        if (remoteData.deepbreath_weekly_plan !== undefined) {
-            const localPlanData  = this._getLocal('deepbreath_weekly_plan', { plans: [], currentPlanId: null });
-            const remotePlanData = remoteData.deepbreath_weekly_plan || { plans: [], currentPlanId: null };
-            const merged = this._mergeWeeklyPlans(localPlanData, remotePlanData);
-            if (JSON.stringify(merged) !== JSON.stringify(localPlanData)) {
-                remoteData.deepbreath_weekly_plan = merged;
-                changed = true;
-            } else {
-                remoteData.deepbreath_weekly_plan = localPlanData;
-            }
-        } else {
-            // Remote doesn't have it yet — push local
-            const localPlanData = this._getLocal('deepbreath_weekly_plan', null);
-            if (localPlanData) {
-                remoteData.deepbreath_weekly_plan = localPlanData;
-                changed = true;
+        this._saveMeta(allMeta);
+        this._saveConflicts(conflicts);
+        result.conflicts = conflicts.length;
+        result.newConflicts = conflicts.length - before;
+        console.log('[Sync] Merge result: changed =', result.changed.join(', ') || 'none', '| conflicts =', result.conflicts);
+        return result;
+    }
+
+    /** @returns {*} merged value when local data changed, otherwise null */
+    _mergeKey(key, remote, allMeta, conflicts) {
+        const adapter = SYNC_RECORDS[key];
+        const localValue = window.storage.get(key);
+        const remoteValue = remote.data[key];
+        const lMeta = allMeta[key] || (allMeta[key] = {});
+        const rMeta = remote.meta?.[key] || {};
+        const L = adapter.toRecords(localValue);
+        const R = remoteValue === undefined ? new Map() : adapter.toRecords(remoteValue);
+        const out = new Map(L);
+        let changed = false;
+
+        // Version actually held on each side (hash of the data, not of the claimed metadata)
+        const side = (records, meta, id, fallback) => {
+            if (records.has(id)) return { ...(meta[id] || fallback), hash: syncHash(records.get(id)), deleted: false };
+            if (meta[id]?.deleted) return { ...meta[id], hash: SYNC_DELETED };
+            return null;
+        };
+        const remoteFallback = { updatedAt: remote.lastModified || null, deviceId: remote.deviceId || null };
+
+        const ids = new Set([...L.keys(), ...R.keys(), ...Object.keys(lMeta), ...Object.keys(rMeta)]);
+        ids.forEach(id => {
+            const rm = side(R, rMeta, id, remoteFallback);
+            if (!rm) return;                                    // local only → pushed as is
+            const lm = side(L, lMeta, id, { updatedAt: null, deviceId: null });
+            const { syncedHash, ...remoteInfo } = rm;
+
+            const open = conflicts.find(c => c.key === key && c.id === id);
+            if (open) {
+                // Still waiting for the user — just track the latest remote version
+                if (open.remoteMeta.hash !== rm.hash) {
+                    open.remote = R.has(id) ? R.get(id) : null;
+                    open.remoteMeta = remoteInfo;
+                }
+                return;
             }
-        }
 
-        // Favorites — union of both arrays (local wins: if local removed a fav, keep it removed)
-        if (remoteData.deepbreath_favorites !== undefined) {
-            const localFavs  = this._getLocal('deepbreath_favorites', []);
-            const remoteFavs = remoteData.deepbreath_favorites || [];
-            const merged = this._mergeFavorites(localFavs, remoteFavs);
-            if (JSON.stringify(merged.sort()) !== JSON.stringify([...localFavs].sort())) {
-                remoteData.deepbreath_favorites = merged;
-                changed = true;
+            let winner;
+            if (!lm) {
+                winner = 'remote';
+            } else if (lm.hash === rm.hash) {
+                winner = 'same';
             } else {
-                remoteData.deepbreath_favorites = localFavs;
-            }
-        } else {
-            // Remote doesn't have it yet — push local
-            const localFavs = this._getLocal('deepbreath_favorites', null);
-            if (localFavs && localFavs.length > 0) {
-                remoteData.deepbreath_favorites = localFavs;
-                changed = true;
+                const base = lMeta[id]?.syncedHash;
+                if (base === undefined) {
+                    // Never synced with metadata: newest known edit wins, local by default
+                    winner = lm.updatedAt && rm.updatedAt && rm.updatedAt > lm.updatedAt ? 'remote' : 'local';
+                } else if (lm.hash !== base && rm.hash !== base) {
+                    winner = 'conflict';
+                } else {
+                    winner = rm.hash !== base ? 'remote' : 'local';
+                }
             }
-        }
 
-        console.log('[Sync] Merge result: changed =', changed);
-        return changed ? remoteData : null;
-    }
-
-    _mergeWeeklyPlans(local, remote) {
-        const localPlans  = local?.plans  || [];
-        const remotePlans = remote?.plans || [];
-
-        // Union by plan id — local wins on conflict (preserves user notes/edits)
-        const byId = new Map();
-        for (const p of remotePlans) { if (p?.id) byId.set(p.id, p); }
-        for (const p of localPlans)  {
-            if (p?.id) {
-                const existing = byId.get(p.id);
-                if (existing) {
-                    // Merge: take AI content from whichever is more complete, user notes from local
-                    const merged = { ...existing, ...p };
-                    // Preserve per-day notes from local (overwrite remote day notes)
-                    if (p.days && existing.days) {
-                        merged.days = p.days.map((localDay, i) => {
-                            const remoteDay = existing.days[i] || {};
-                            return {
-                                ...remoteDay,
-                                ...localDay,
-                                // local notes win (user may have typed notes on this device)
-                                notes: localDay.notes || remoteDay.notes || '',
-                                notesUpdatedAt: localDay.notesUpdatedAt || remoteDay.notesUpdatedAt || null
-                            };
-                        });
-                    }
-                    byId.set(p.id, merged);
+            if (winner === 'same') {
+                lMeta[id] = { ...(lMeta[id] || remoteInfo), hash: lm.hash, syncedHash: rm.hash };
+            } else if (winner === 'remote') {
+                if (rm.deleted) {
+                    if (out.delete(id)) changed = true;
                 } else {
-                    byId.set(p.id, p);
+                    out.set(id, R.get(id));
+                    changed = true;
                 }
+                lMeta[id] = { ...remoteInfo, syncedHash: rm.hash };
+            } else if (winner === 'conflict') {
+                conflicts.push({
+                    key,
+                    id,
+                    local: L.has(id) ? L.get(id) : null,
+                    remote: R.has(id) ? R.get(id) : null,
+                    localMeta: { updatedAt: lm.updatedAt, deviceId: lm.deviceId, hash: lm.hash, deleted: lm.deleted },
+                    remoteMeta: remoteInfo,
+                    detectedAt: new Date().toISOString()
+                });
             }
-        }
+            // 'local': keep ours, syncedHash moves only once the push succeeds
+        });
+
+        return changed ? adapter.fromRecords(out, localValue) : null;
+    }
 
-        const mergedPlans = Array.from(byId.values())
-            .sort((a, b) => new Date(a.weekStart) - new Date(b.weekStart))
-            .slice(-10); // Keep last 10 weeks
+    // ==========================================
+    // Conflicts
+    // ==========================================
 
-        // currentPlanId : prefer local, fallback to remote
-        const currentPlanId = local?.currentPlanId || remote?.currentPlanId || null;
+    getConflicts() {
+        return window.storage.get('deepbreath_sync_conflicts', []);
+    }
 
-        return { plans: mergedPlans, currentPlanId };
+    _saveConflicts(conflicts) {
+        window.storage.set('deepbreath_sync_conflicts', conflicts, { origin: 'sync' });
+        this.renderConflicts();
     }
 
-    _mergeFavorites(local, remote) {
-        // Union — an exercise is a favorite if it's in either list
-        // Exception: if local explicitly removed it (it was in remote but not in local),
-        // we respect the local removal (local wins = most recent intent)
-        // Strategy: simple union (add remote favs that local doesn't have)
-        const localSet = new Set(local || []);
-        for (const id of (remote || [])) {
-            localSet.add(id);
+    /**
+     * Resolve a conflict
+     * @param {number} index - position in getConflicts()
+     * @param {'local'|'remote'} choice - version to keep
+     */
+    resolveConflict(index, choice) {
+        const conflicts = this.getConflicts();
+        const c = conflicts[index];
+        if (!c) return;
+        conflicts.splice(index, 1);
+
+        const allMeta = this._getMeta();
+        const meta = allMeta[c.key] || (allMeta[c.key] = {});
+        if (choice === 'remote') {
+            const adapter = SYNC_RECORDS[c.key];
+            const localValue = window.storage.get(c.key);
+            const records = adapter.toRecords(localValue);
+            if (c.remoteMeta.deleted) records.delete(c.id);
+            else records.set(c.id, c.remote);
+            window.storage.set(c.key, adapter.fromRecords(records, localValue), { origin: 'sync' });
+            meta[c.id] = { ...c.remoteMeta, syncedHash: c.remoteMeta.hash };
+            this._reloadModules();
+        } else {
+            // Ours becomes a fresh edit on top of the remote version → wins at next sync
+            meta[c.id] = { ...(meta[c.id] || c.localMeta), updatedAt: new Date().toISOString(), deviceId: this.deviceId, syncedHash: c.remoteMeta.hash };
+            this._markDirty();
         }
-        return Array.from(localSet);
+        this._saveMeta(allMeta);
+        this._saveConflicts(conflicts);
     }
 
-    // Deep merge two settings objects — base provides missing keys, override wins on conflicts
-    _deepMergeSettings(base, override) {
-        const result = { ...base };
-        for (const key in override) {
-            if (
-                override[key] !== null &&
-                typeof override[key] === 'object' &&
-                !Array.isArray(override[key]) &&
-                typeof base[key] === 'object' &&
-                base[key] !== null
-            ) {
-                result[key] = this._deepMergeSettings(base[key], override[key]);
-            } else {
-                result[key] = override[key];
-            }
+    _describeRecord(key, id, record) {
+        const labels = {
+            deepbreath_sessions: 'Séance',
+            deepbreath_profile: 'Profil',
+            deepbreath_goals: 'Objectifs',
+            deepbreath_chat_history: 'Message du coach',
+            deepbreath_settings: 'Réglage',
+            deepbreath_coach_settings: 'Réglage du coach',
+            deepbreath_coach_custom_prompt: 'Consignes du coach',
+            deepbreath_sequences: 'Séquence',
+            deepbreath_weekly_plan: 'Plan de semaine',
+            deepbreath_favorites: 'Favori',
+            deepbreath_calendar_events: 'Événement',
+            deepbreath_breath_themes: 'Thème sonore',
+            deepbreath_apnea_tests: 'Test d\'apnée'
+        };
+        const label = labels[key] || 'Historique';
+        if (record && key === 'deepbreath_sessions') {
+            const date = record.date ? new Date(record.date).toLocaleDateString('fr-FR') : '';
+            return `${label} « ${record.exerciseName || record.exerciseId || id} » ${date}`.trim();
         }
-        return result;
+        if (record && record.name) return `${label} « ${record.name} »`;
+        if (record && record.title) return `${label} « ${record.title} »`;
+        return `${label} ${id.replace(/^(plan|program):/, '')}`;
     }
 
-    _mergeSessions(local, remote) {
-        const byId = new Map();
-        for (const s of (remote || [])) { if (s?.id) byId.set(s.id, s); }
-        for (const s of (local || [])) { if (s?.id) byId.set(s.id, s); } // local wins
-        return Array.from(byId.values())
-            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    _describeDiff(local, remote) {
+        const short = v => {
+            const s = typeof v === 'string' ? v : JSON.stringify(v);
+            return s === undefined ? '—' : (s.length > 40 ? s.slice(0, 40) + '…' : s);
+        };
+        if (local === null) return 'supprimé ici, modifié sur l\'autre appareil';
+        if (remote === null) return 'modifié ici, supprimé sur l\'autre appareil';
+        if (typeof local !== 'object' || typeof remote !== 'object') return `${short(local)} ≠ ${short(remote)}`;
+        const fields = [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+            .filter(k => syncStableStringify(local[k]) !== syncStableStringify(remote[k]));
+        return fields.slice(0, 4).map(k => `${k} : ${short(local[k])} ≠ ${short(remote[k])}`).join(' · ')
+            + (fields.length > 4 ? ` · +${fields.length - 4}` : '');
     }
 
-    _mergeComfortZoneHistory(local, remote) {
-        const key = (s) => s.date;
-        const byKey = new Map();
-        for (const s of (remote || [])) byKey.set(key(s), s);
-        for (const s of (local || [])) byKey.set(key(s), s);
-        return Array.from(byKey.values())
-            .sort((a, b) => new Date(a.date) - new Date(b.date))
-            .slice(-50); // Keep last 50
+    renderConflicts() {
+        const box = document.getElementById('syncConflicts');
+        if (!box) return;
+        const conflicts = this.getConflicts();
+        box.hidden = conflicts.length === 0;
+        if (!conflicts.length) { box.innerHTML = ''; return; }
+
+        const esc = s => String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+        const when = m => m.updatedAt ? new Date(m.updatedAt).toLocaleString('fr-FR', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }) : '?';
+        box.innerHTML = `
+            <h4>${conflicts.length} conflit${conflicts.length > 1 ? 's' : ''} à résoudre</h4>
+            <ul class="sync-conflict-list">
+                ${conflicts.map((c, i) => `
+                    <li class="sync-conflict-item">
+                        <div class="sync-conflict-title">${esc(this._describeRecord(c.key, c.id, c.local || c.remote))}</div>
+                        <div class="sync-conflict-diff">${esc(this._describeDiff(c.local, c.remote))}</div>
+                        <div class="sync-conflict-actions">
+                            <button class="btn-secondary" data-conflict="${i}" data-keep="local">Cet appareil (${esc(when(c.localMeta))})</button>
+                            <button class="btn-secondary" data-conflict="${i}" data-keep="remote">${esc(c.remoteMeta.deviceId || 'Autre appareil')} (${esc(when(c.remoteMeta))})</button>
+                        </div>
+                    </li>`).join('')}
+            </ul>`;
+        box.querySelectorAll('[data-conflict]').forEach(btn => {
+            btn.addEventListener('click', () => this.resolveConflict(parseInt(btn.dataset.conflict), btn.dataset.keep));
+        });
     }
 
-    _mergeFrcComfortHistory(local, remote) {
-        const key = (s) => s.date;
-        const byKey = new Map();
-        for (const s of (remote || [])) byKey.set(key(s), s);
-        for (const s of (local || [])) byKey.set(key(s), s);
-        return Array.from(byKey.values())
-            .sort((a, b) => new Date(a.date) - new Date(b.date))
-            .slice(-50); // Keep last 50
+    // ==========================================
+    // History & point-in-time restore
+    // ==========================================
+
+    supportsHistory() {
+        return typeof this.backend.history === 'function';
     }
 
-    _mergeContractionHistory(local, remote) {
-        const key = (s) => `${s.date}_${s.weekLevel}`;
-        const byKey = new Map();
-        for (const s of (remote || [])) byKey.set(key(s), s);
-        for (const s of (local || [])) byKey.set(key(s), s);
-        return Array.from(byKey.values())
-            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    /**
+     * One page of remote revisions with a summary of each
+     * @returns {Promise<Array<{ id, date, deviceId, sessions, error }>>}
+     */
+    async loadHistory(page = 1, perPage = 10) {
+        const revisions = await this.backend.history({ page, perPage });
+        const entries = [];
+        // Sequential on purpose: one request per revision, kept gentle on API rate limits
+        for (const rev of revisions) {
+            try {
+                const payload = await this.getRevision(rev.id);
+                entries.push({
+                    ...rev,
+                    deviceId: payload?.deviceId || '?',
+                    sessions: payload?.data?.deepbreath_sessions?.length || 0
+                });
+            } catch (e) {
+                entries.push({ ...rev, deviceId: '?', sessions: null, error: e.message });
+            }
+        }
+        return entries;
     }
 
-    _mergeChatHistory(local, remote) {
-        // Union merge by timestamp (ts). Messages without ts use role+content as key.
-        const byKey = new Map();
-        for (const m of (remote || [])) {
-            const k = m.ts ? `${m.ts}` : `${m.role}:${m.content?.substring(0, 50)}`;
-            byKey.set(k, m);
+    /** Decoded payload of a revision (cached: revisions never change) */
+    async getRevision(id) {
+        if (!this._revisions) this._revisions = new Map();
+        if (!this._revisions.has(id)) {
+            const raw = await this.backend.readRevision(id);
+            this._revisions.set(id, await this._decodeRevision(raw));
         }
-        for (const m of (local || [])) {
-            const k = m.ts ? `${m.ts}` : `${m.role}:${m.content?.substring(0, 50)}`;
-            byKey.set(k, m); // local wins on conflict
+        return this._revisions.get(id);
+    }
+
+    // Unlike _decode: an old revision sealed under a previous passphrase is just unreadable,
+    // it must not lock the sync
+    async _decodeRevision(raw) {
+        if (!SyncCrypto.isEncrypted(raw)) return raw;
+        if (!this.cryptoKey || raw.crypto?.salt !== this.encryption?.params?.salt) {
+            throw new Error('Chiffrée avec une autre phrase de passe');
         }
-        // Sort by timestamp (messages without ts go first — they're older)
-        const merged = Array.from(byKey.values())
-            .sort((a, b) => (a.ts || 0) - (b.ts || 0));
-        // Keep last 100 messages max
-        return merged.slice(-100);
+        return SyncCrypto.open(raw, this.cryptoKey);
     }
 
-    // ==========================================
-    // localStorage helpers
-    // ==========================================
+    /**
+     * What restoring each collection of `payload` would do to local data
+     * @returns {Array<{ key, label, added, removed, changed, examples }>} only collections that differ
+     */
+    diffRevision(payload) {
+        const diff = [];
+        for (const key of this.SYNC_KEYS) {
+            if (!payload?.data || payload.data[key] === undefined) continue;
+            const adapter = SYNC_RECORDS[key];
+            const local = adapter.toRecords(window.storage.get(key));
+            const revision = adapter.toRecords(payload.data[key]);
+            const added = [], removed = [], changed = [];
+            revision.forEach((value, id) => {
+                if (!local.has(id)) added.push(id);
+                else if (syncHash(local.get(id)) !== syncHash(value)) changed.push(id);
+            });
+            local.forEach((value, id) => { if (!revision.has(id)) removed.push(id); });
+            if (!added.length && !removed.length && !changed.length) continue;
+            const examples = [...added, ...changed].slice(0, 3)
+                .map(id => this._describeRecord(key, id, revision.get(id)));
+            diff.push({ key, label: SYNC_COLLECTION_LABELS[key] || key, added: added.length, removed: removed.length, changed: changed.length, examples });
+        }
+        return diff;
+    }
 
-    _getLocal(key, fallback) {
-        try {
-            const raw = localStorage.getItem(key);
-            return raw ? JSON.parse(raw) : fallback;
-        } catch {
-            return fallback;
+    /**
+     * Restore collections from a revision. Written as local edits (origin 'restore'): the restored
+     * records are stamped newer than the bad version and reach the other devices on the next sync.
+     * @param {string} id - revision id
+     * @param {string[]} keys - collections to restore
+     * @param {'replace'|'missing'} mode - replace the collection, or only bring back missing records
+     * @returns {Promise<string[]>} restored keys
+     */
+    async restoreRevision(id, keys, mode = 'replace') {
+        const payload = await this.getRevision(id);
+        if (!payload?.data) throw new Error('Version vide');
+        const restored = [];
+        keys.forEach(key => {
+            const adapter = SYNC_RECORDS[key];
+            if (!adapter || payload.data[key] === undefined) return;
+            const localValue = window.storage.get(key);
+            const records = adapter.toRecords(payload.data[key]);
+            if (mode === 'missing') {
+                const local = adapter.toRecords(localValue);
+                records.forEach((value, rid) => { if (!local.has(rid)) local.set(rid, value); });
+                window.storage.import(key, adapter.fromRecords(local, localValue), 'restore');
+            } else {
+                // fromRecords keeps the local-only fields (coach API key)
+                window.storage.import(key, adapter.fromRecords(records, localValue), 'restore');
+            }
+            restored.push(key);
+        });
+        this._reloadModules();
+        if (window.app && window.app._refreshUIAfterSync) window.app._refreshUIAfterSync();
+        return restored;
+    }
+
+    renderHistory() {
+        const box = document.getElementById('syncHistory');
+        if (!box) return;
+        box.hidden = !this.enabled || !this.supportsHistory();
+        if (box.hidden) { box.innerHTML = ''; this._historyView = null; return; }
+
+        const view = this._historyView;
+        const esc = s => String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+        const when = d => new Date(d).toLocaleString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+        if (!view) {
+            box.innerHTML = '<button class="btn-secondary" data-history="open">Historique des versions</button>';
+        } else {
+            const selected = view.entries.find(e => e.id === view.selected);
+            box.innerHTML = `
+                <h4>Historique de sync</h4>
+                ${view.loading ? '<p class="sync-help">Chargement...</p>' : ''}
+                ${view.error ? `<p class="sync-help">Erreur : ${esc(view.error)}</p>` : ''}
+                <ul class="sync-history-list">
+                    ${view.entries.map(e => `
+                        <li class="sync-history-item${e.id === view.selected ? ' selected' : ''}">
+                            <span class="sync-history-date">${esc(when(e.date))}</span>
+                            <span class="sync-history-meta">${e.error ? esc(e.error) : `${esc(e.deviceId)} · ${e.sessions} séance${e.sessions > 1 ? 's' : ''}`}</span>
+                            ${e.error ? '' : `<button class="btn-secondary" data-history="compare" data-rev="${esc(e.id)}">Comparer</button>`}
+                        </li>`).join('')}
+                </ul>
+                ${view.more && !view.loading ? '<button class="btn-secondary" data-history="more">Versions plus anciennes</button>' : ''}
+                ${selected && view.diff ? `
+                    <div class="sync-history-diff">
+                        <h4>Version du ${esc(when(selected.date))} → données locales</h4>
+                        ${view.diff.length ? `
+                            <ul class="sync-history-collections">
+                                ${view.diff.map(d => `
+                                    <li>
+                                        <label>
+                                            <input type="checkbox" data-restore-key="${d.key}" checked>
+                                            <strong>${esc(d.label)}</strong>
+                                            <span class="sync-history-counts">${d.added ? `+${d.added} ` : ''}${d.removed ? `−${d.removed} ` : ''}${d.changed ? `~${d.changed}` : ''}</span>
+                                        </label>
+                                        ${d.examples.length ? `<div class="sync-conflict-diff">${d.examples.map(esc).join(' · ')}</div>` : ''}
+                                    </li>`).join('')}
+                            </ul>
+                            <p class="sync-help">+ absents ici, restaurés · − présents ici seulement · ~ modifiés depuis</p>
+                            <div class="setting-row">
+                                <select data-history="mode">
+                                    <option value="replace">Remplacer par cette version</option>
+                                    <option value="missing">Rétablir seulement les éléments absents</option>
+                                </select>
+                            </div>
+                            <div class="sync-actions">
+                                <button class="btn-primary" data-history="restore">Restaurer la sélection</button>
+                            </div>` : '<p class="sync-help">Identique aux données locales.</p>'}
+                    </div>` : ''}
+                <div class="sync-actions">
+                    <button class="btn-secondary" data-history="close">Fermer</button>
+                </div>`;
         }
+
+        box.querySelectorAll('button[data-history]').forEach(btn => {
+            btn.addEventListener('click', () => this._onHistoryAction(btn.dataset.history, btn.dataset.rev));
+        });
     }
 
-    _writeWithoutIntercept(data) {
-        this._skipIntercept = true;
-        for (const key of this.SYNC_KEYS) {
-            if (data[key] === undefined) continue;
-            const val = key === 'deepbreath_goals'
-                ? data[key]
-                : JSON.stringify(data[key]);
-            localStorage.setItem(key, val);
+    async _onHistoryAction(action, rev) {
+        const box = document.getElementById('syncHistory');
+        const PER_PAGE = 10;
+        if (action === 'close') {
+            this._historyView = null;
+            this.renderHistory();
+            return;
+        }
+        if (action === 'open' || action === 'more') {
+            const view = this._historyView || (this._historyView = { entries: [], page: 0, more: false, selected: null, diff: null });
+            view.loading = true;
+            view.error = null;
+            this.renderHistory();
+            try {
+                const entries = await this.loadHistory(view.page + 1, PER_PAGE);
+                view.page++;
+                view.entries.push(...entries);
+                view.more = entries.length === PER_PAGE;
+            } catch (e) {
+                view.error = e.message;
+            }
+            view.loading = false;
+            this.renderHistory();
+            return;
+        }
+        if (action === 'compare') {
+            const view = this._historyView;
+            try {
+                view.diff = this.diffRevision(await this.getRevision(rev));
+                view.selected = rev;
+            } catch (e) {
+                view.error = e.message;
+            }
+            this.renderHistory();
+            return;
+        }
+        if (action === 'restore') {
+            const view = this._historyView;
+            const keys = [...box.querySelectorAll('[data-restore-key]:checked')].map(i => i.dataset.restoreKey);
+            const mode = box.querySelector('select[data-history="mode"]')?.value || 'replace';
+            if (!keys.length) return;
+            const names = keys.map(k => SYNC_COLLECTION_LABELS[k] || k).join(', ');
+            if (!confirm(`Restaurer ${names} depuis cette version ?` + (mode === 'replace' ? '\nLes données locales de ces collections seront remplacées.' : ''))) return;
+            try {
+                const restored = await this.restoreRevision(view.selected, keys, mode);
+                this._showSyncToast(`✓ ${restored.length} collection(s) restaurée(s) — synchronisez pour les propager`);
+                view.diff = this.diffRevision(await this.getRevision(view.selected));
+            } catch (e) {
+                this._showSyncToast('Erreur : ' + e.message);
+            }
+            this.renderHistory();
         }
-        this._skipIntercept = false;
     }
 
     // ==========================================
-    // localStorage interception
+    // Local storage helpers
     // ==========================================
 
-    _interceptLocalStorage() {
-        const originalSetItem = localStorage.setItem.bind(localStorage);
-        const sync = this;
+    _getLocal(key, fallback) {
+        return window.storage.get(key, fallback);
+    }
 
-        localStorage.setItem = function(key, value) {
-            originalSetItem(key, value);
-            if (!sync._skipIntercept && key.startsWith('deepbreath_') && sync.enabled) {
-                // Just mark dirty — push only via manual sync button
-                // Auto-push was overwriting other device's data on the Gist
-                sync._dirty = true;
-                console.log('[Sync] Data changed:', key, '(dirty, will push on manual sync)');
-            }
-        };
+    // ==========================================
+    // Local change tracking & auto-sync
+    // ==========================================
+
+    _watchStorage() {
+        window.storage.on('*', ({ key, origin }) => {
+            if (origin === 'sync' || !this.SYNC_KEYS.includes(key)) return;
+            const allMeta = this._getMeta();
+            if (this._stampLocal(key, allMeta)) this._saveMeta(allMeta);
+            this._markDirty(key);
+        });
+    }
+
+    _markDirty(key) {
+        if (!this.enabled) return;
+        this._dirty = true;
+        console.log('[Sync] Data changed:', key || '(conflict resolved)', this.autoSync ? '(auto-sync scheduled)' : '(dirty, will push on manual sync)');
+        if (this.autoSync) this._scheduleAutoSync();
+    }
+
+    setAutoSync(on) {
+        this.autoSync = !!on;
+        localStorage.setItem('deepbreath_sync_auto', this.autoSync ? 'true' : 'false');
+        if (this.autoSync && this._dirty) this._scheduleAutoSync();
+    }
+
+    // Debounced: a burst of edits (journal, plan notes…) gives a single sync
+    _scheduleAutoSync() {
+        clearTimeout(this._autoSyncTimer);
+        this._autoSyncTimer = setTimeout(async () => {
+            if (!this.enabled || !this.autoSync || !this._dirty) return;
+            if (!navigator.onLine || this.isSyncing) { this._scheduleAutoSync(); return; }
+            const diag = await this.fullSync();
+            this._reloadModules();
+            if (diag.newConflicts) this._showSyncToast(`${diag.newConflicts} conflit(s) de sync à résoudre (Réglages)`);
+        }, this.AUTO_SYNC_DELAY);
     }
 
     // ==========================================
@@ -874,21 +1432,7 @@ class DataSync {
     // ==========================================
 
     _reloadModules() {
-        // Coach
-        if (window.coach) {
-            window.coach.sessions = window.coach.loadSessions();
-            window.coach.profile = window.coach.loadProfile();
-            window.coach.goals = localStorage.getItem('deepbreath_goals') || '';
-            window.coach.chatHistory = window.coach.loadChatHistory();
-            // Reload coach settings in memory (apiKey may have been restored by sync)
-            window.coach.coachSettings = window.coach.loadCoachSettings();
-            if (window.coach.updateStatsDisplay) window.coach.updateStatsDisplay();
-            if (window.coach.renderRecentSessions) window.coach.renderRecentSessions();
-        }
-        // Journal
-        if (window.journal) {
-            window.journal.render();
-        }
+        // Coach, Journal and WeeklyPlan reload themselves on window.storage change events
         // MultiTimer
         if (window.multiTimer) {
             window.multiTimer.sequences = window.multiTimer.loadSequences();
@@ -899,22 +1443,6 @@ class DataSync {
             window.app.settings = window.app.loadSettings();
             if (window.app.populateSettingsUI) window.app.populateSettingsUI();
         }
-        // Weekly plan
-        if (window.weeklyPlan) {
-            window.weeklyPlan.data = window.weeklyPlan.load();
-            // Ensure viewingPlanId points to a valid plan
-            const currentWeekPlan = window.weeklyPlan.getPlanForWeek(
-                window.weeklyPlan.getMondayOfCurrentWeek()
-            );
-            if (currentWeekPlan) {
-                window.weeklyPlan.data.currentPlanId = currentWeekPlan.id;
-                window.weeklyPlan.viewingPlanId = currentWeekPlan.id;
-            } else if (window.weeklyPlan.data.plans.length > 0) {
-                const latest = window.weeklyPlan.data.plans[window.weeklyPlan.data.plans.length - 1];
-                window.weeklyPlan.viewingPlanId = latest.id;
-            }
-            window.weeklyPlan.render();
-        }
         // Favorites — refresh star buttons and favoris section
         if (window.app && typeof window.app.renderFavorisSection === 'function') {
             // Refresh all favorite buttons across exercise cards
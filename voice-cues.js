@@ -0,0 +1,265 @@
+/**
+ * VoiceCues — Annonces vocales chronométrées pendant les apnées et les breathe-up
+ *
+ * Une phase (apnée, récupération avant apnée…) déclare des annonces rattachées à son horloge :
+ *   { at: 60 }                         → « 1 minute » à 60 s écoulées
+ *   { every: 15 }                      → temps écoulé toutes les 15 s
+ *   { remaining: 30 }                  → « Encore 30 secondes » (phase de durée connue)
+ *   { countdown: 10 }                  → « 10, 9, 8… 1 » avant la fin de la phase
+ * `text` remplace la phrase par défaut ({elapsed}, {remaining} prononcés en durée) ;
+ * `level` est la densité minimale à laquelle l'annonce est jouée (light par défaut).
+ *
+ * La densité (off, light, normal, dense) se règle par catégorie d'exercice ; chaque contexte
+ * (hold, breatheUp) a un jeu d'annonces par densité, auquel s'ajoutent celles de l'exercice.
+ *
+ * Les annonces sont mises en file sur l'horloge de la phase (tick(elapsed), déjà pause-aware) :
+ * une annonce attend que la voix se taise et n'en coupe jamais une autre ; celle dont le moment
+ * est passé est abandonnée plutôt que lue en retard.
+ */
+
+const VOICE_CUE_LEVELS = ['off', 'light', 'normal', 'dense'];
+
+// Catégories réglables — statique/dynamique/profondeur sont rangées avec les protocoles W&B Up
+const VOICE_CUE_CATEGORIES = {
+    respiration: 'Respiration',
+    apnee: 'Entraînement Apnée',
+    visualisation: 'Visualisation',
+    urgence: 'Urgence',
+    preperformance: 'Pré-Performance',
+    autohypnose: 'Auto-Hypnose',
+    chasse: 'Warm & Breath Up'
+};
+const VOICE_CUE_ALIASES = { statique: 'chasse', dynamique: 'chasse', profondeur: 'chasse' };
+
+// Jeux d'annonces par contexte et par densité
+const VOICE_CUE_PRESETS = {
+    hold: {
+        light:  [{ every: 60 }, { remaining: 30 }],
+        normal: [{ every: 30 }, { remaining: 30 }, { remaining: 10 }],
+        dense:  [{ every: 15 }, { remaining: 30 }, { countdown: 10 }]
+    },
+    breatheUp: {
+        light:  [{ remaining: 30 }],
+        normal: [{ every: 60 }, { remaining: 30 }, { countdown: 5 }],
+        dense:  [{ every: 30 }, { remaining: 30 }, { countdown: 10 }]
+    }
+};
+
+// Ordre de priorité quand plusieurs annonces tombent ensemble
+const VOICE_CUE_PRIORITY = { countdown: 0, remaining: 1, at: 2, every: 3 };
+
+const VOICE_CUE_STALE = 4;          // s : une annonce non lue après ce délai est abandonnée
+const VOICE_CUE_STALE_COUNT = 0.9;  // s : un chiffre du décompte ne vaut que jusqu'au suivant
+const VOICE_CUE_MARGIN = 3;         // s : un temps écoulé s'efface devant un temps restant proche
+const VOICE_CUE_BUSY_MAX = 8000;    // ms : garde si la fin de parole n'est jamais signalée
+
+/**
+ * File d'annonces d'une phase — créée par voiceCues.schedule(), alimentée par tick(elapsed)
+ */
+class VoiceCueTrack {
+    constructor(cues, duration) {
+        this.duration = duration > 0 ? duration : null;
+        this.queue = [];
+        this._busySince = 0;
+        this._cues = cues
+            .map(cue => this._prepare(cue))
+            .filter(Boolean);
+
+        // Moments réservés aux temps restants : les temps écoulés trop proches sont tus
+        this._reserved = this._cues.filter(c => c.kind === 'remaining').map(c => c.next);
+        const countdowns = this._cues.filter(c => c.kind === 'countdown').map(c => c.next);
+        this._countdownFrom = countdowns.length ? Math.min(...countdowns) : null;
+    }
+
+    _prepare(cue) {
+        const kind = ['countdown', 'remaining', 'every', 'at'].find(k => cue[k] !== undefined);
+        if (!kind) return null;
+        const value = Number(cue[kind]);
+        if (!(value > 0)) return null;
+        const duration = this.duration;
+
+        switch (kind) {
+            case 'at':
+                if (duration && value >= duration) return null;
+                return { kind, text: cue.text, next: value };
+            case 'every':
+                return { kind, text: cue.text, step: value, next: value };
+            case 'remaining':
+                if (!duration || value >= duration) return null;
+                return { kind, text: cue.text, value, next: duration - value };
+            case 'countdown': {
+                if (!duration) return null;
+                const from = Math.min(Math.floor(value), Math.floor(duration) - 1);
+                if (from < 1) return null;
+                return { kind, text: cue.text, count: from, next: duration - from };
+            }
+        }
+        return null;
+    }
+
+    /** Appelé à chaque tick de l'horloge de la phase (secondes écoulées, pauses exclues) */
+    tick(elapsed) {
+        const due = [];
+        this._cues.forEach(cue => {
+            if (cue.next === null || elapsed < cue.next) return;
+            // Après une mise en veille, seule la dernière occurrence due compte
+            let entry = null;
+            while (cue.next !== null && elapsed >= cue.next) {
+                entry = this._entry(cue, cue.next);
+                this._advance(cue);
+            }
+            if (entry && !this._muted(entry)) due.push(entry);
+        });
+
+        if (due.length) {
+            due.sort((a, b) => VOICE_CUE_PRIORITY[a.kind] - VOICE_CUE_PRIORITY[b.kind]);
+            // Une seule annonce par instant ; un nouveau chiffre remplace le précédent resté en file
+            const entry = due[0];
+            if (entry.kind === 'countdown') this.queue = this.queue.filter(q => q.kind !== 'countdown');
+            this.queue.push(entry);
+        }
+        this._drain(elapsed);
+    }
+
+    _entry(cue, t) {
+        const phrases = window.voiceCues;
+        const remaining = this.duration ? Math.max(0, this.duration - t) : null;
+        const params = { elapsed: phrases.spokenTime(t), remaining: remaining !== null ? phrases.spokenTime(remaining) : '' };
+        let text;
+        if (cue.kind === 'countdown') text = cue.text ? phrases.t(cue.text, { ...params, count: cue.count }) : String(cue.count);
+        else if (cue.text) text = phrases.t(cue.text, params);
+        else if (cue.kind === 'remaining') text = phrases.t('Encore {time}', { time: params.remaining });
+        else text = params.elapsed;
+
+        const stale = cue.kind === 'countdown' ? VOICE_CUE_STALE_COUNT : VOICE_CUE_STALE;
+        return { kind: cue.kind, t, text, expires: t + stale };
+    }
+
+    _advance(cue) {
+        if (cue.kind === 'every') {
+            cue.next += cue.step;
+        } else if (cue.kind === 'countdown' && cue.count > 1) {
+            cue.count--;
+            cue.next = this.duration - cue.count;
+        } else {
+            cue.next = null;
+        }
+    }
+
+    // Temps écoulé couvert par un temps restant, le décompte ou la fin de phase
+    _muted(entry) {
+        if (entry.kind !== 'at' && entry.kind !== 'every') return false;
+        if (!this.duration) return false;
+        if (this.duration - entry.t < VOICE_CUE_MARGIN) return true;
+        if (this._countdownFrom !== null && entry.t >= this._countdownFrom - VOICE_CUE_MARGIN) return true;
+        return this._reserved.some(r => Math.abs(entry.t - r) < VOICE_CUE_MARGIN);
+    }
+
+    _drain(elapsed) {
+        const guide = window.voiceGuide;
+        if (!guide || !guide.enabled) { this.queue = []; return; }
+
+        if (this._busySince && Date.now() - this._busySince > VOICE_CUE_BUSY_MAX) this._busySince = 0;
+        if (this._busySince || guide.speaking) return;
+
+        while (this.queue.length && this.queue[0].expires < elapsed) this.queue.shift();
+        const entry = this.queue.shift();
+        if (!entry) return;
+
+        this._busySince = Date.now();
+        guide.speak(entry.text, () => { this._busySince = 0; });
+    }
+
+    /** Fin de phase : les annonces en attente sont abandonnées, la phrase en cours se termine */
+    stop() {
+        this.queue = [];
+        this._cues = [];
+    }
+}
+
+class VoiceCues {
+    get levels() {
+        return VOICE_CUE_LEVELS;
+    }
+
+    get categories() {
+        return VOICE_CUE_CATEGORIES;
+    }
+
+    /** Catégorie réglable d'un exercice (EXERCISES ou CHASSE_PROTOCOLS) */
+    categoryOf(exercise) {
+        const category = exercise && exercise.category;
+        return VOICE_CUE_ALIASES[category] || (VOICE_CUE_CATEGORIES[category] ? category : 'respiration');
+    }
+
+    /** Densité réglée pour une catégorie — 'normal' si jamais réglée */
+    density(category) {
+        const settings = window.app && window.app.settings;
+        const level = settings && settings.voiceCueDensity && settings.voiceCueDensity[category];
+        return VOICE_CUE_LEVELS.includes(level) ? level : 'normal';
+    }
+
+    /**
+     * Prépare les annonces d'une phase
+     * @param {object} options
+     * @param {object} options.exercise - exercice en cours (catégorie → densité)
+     * @param {string} [options.context] - 'hold' | 'breatheUp' : jeu d'annonces par défaut
+     * @param {number} [options.duration] - durée prévue en secondes ; absente pour une apnée ouverte
+     * @param {Array<object|string>} [options.cues] - annonces de l'exercice, ou nom d'un contexte
+     * @returns {VoiceCueTrack|null} null si la densité de la catégorie est 'off'
+     */
+    schedule({ exercise, context = null, duration = null, cues = [] }) {
+        const level = this.density(this.categoryOf(exercise));
+        const rank = VOICE_CUE_LEVELS.indexOf(level);
+        if (rank <= 0) return null;
+
+        const declared = [];
+        (context ? [context, ...cues] : cues).forEach(cue => {
+            if (typeof cue === 'string') {
+                declared.push(...((VOICE_CUE_PRESETS[cue] || {})[level] || []));
+            } else if (cue && VOICE_CUE_LEVELS.indexOf(cue.level || 'light') <= rank) {
+                declared.push(cue);
+            }
+        });
+        if (!declared.length) return null;
+        return new VoiceCueTrack(declared, duration);
+    }
+
+    // ==========================================
+    // Phrases
+    // ==========================================
+
+    t(text, params) {
+        return window.i18n ? window.i18n.t(text, params) : text.replace(/\{(\w+)\}/g, (m, k) => params[k] !== undefined ? params[k] : m);
+    }
+
+    /** Durée telle qu'on la prononce : « 45 secondes », « 2 minutes », « 1 minute 30 » */
+    spokenTime(seconds) {
+        const total = Math.round(seconds);
+        const m = Math.floor(total / 60);
+        const s = total % 60;
+        if (!m) return this.t(s === 1 ? '1 seconde' : '{n} secondes', { n: s });
+        const minutes = this.t(m === 1 ? '1 minute' : '{n} minutes', { n: m });
+        return s ? `${minutes} ${s}` : minutes;
+    }
+
+    /** Phrases des annonces pour le modèle de pack de voix (voir VoicePacks.getCatalog) */
+    getCatalog() {
+        const source = 'Annonces vocales';
+        const entries = [];
+        for (let n = 1; n <= 10; n++) entries.push({ key: `cue:count:${n}`, text: String(n), source });
+        [15, 30, 45].forEach(s => {
+            entries.push({ key: `cue:elapsed:${s}`, text: this.spokenTime(s), source });
+            entries.push({ key: `cue:remaining:${s}`, text: this.t('Encore {time}', { time: this.spokenTime(s) }), source });
+        });
+        for (let m = 1; m <= 6; m++) {
+            entries.push({ key: `cue:elapsed:${m * 60}`, text: this.spokenTime(m * 60), source });
+            entries.push({ key: `cue:elapsed:${m * 60 + 30}`, text: this.spokenTime(m * 60 + 30), source });
+        }
+        entries.push({ key: 'cue:remaining:10', text: this.t('Encore {time}', { time: this.spokenTime(10) }), source });
+        entries.push({ key: 'cue:remaining:60', text: this.t('Encore {time}', { time: this.spokenTime(60) }), source });
+        return entries;
+    }
+}
+
+window.voiceCues = new VoiceCues();
@@ -0,0 +1,299 @@
+/**
+ * VoicePacks — Packs de voix enregistrées (alternative à la synthèse vocale)
+ *
+ * Un pack est une archive .zip : un manifest.json et des fichiers audio.
+ *   {
+ *     "id": "fr-claire", "name": "Claire", "lang": "fr-FR",
+ *     "clips": {
+ *       "exercise:coherent:start": "coherent/start.mp3",     ← clé du catalogue (voir getCatalog)
+ *       "Voix sélectionnée": "divers/voix-selectionnee.mp3"  ← ou phrase telle que prononcée
+ *     }
+ *   }
+ * Les clips restent dans IndexedDB (le cache du service worker est vidé à chaque version) et
+ * SoundEngine.voice les joue dans le graphe Web Audio ; une phrase sans clip reste en TTS.
+ */
+
+const VOICE_PACK_DB = 'deepbreath-voice-packs';
+const VOICE_PACK_MANIFEST = 'manifest.json';
+const VOICE_PACK_AUDIO = /\.(mp3|m4a|aac|ogg|oga|opus|wav|webm|flac)$/i;
+const VOICE_PACK_BUFFER_CACHE = 24;     // clips décodés gardés en mémoire
+
+// Signatures zip (APPNOTE) : fin du répertoire central, entrée centrale, en-tête local
+const ZIP_EOCD = 0x06054b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_LOCAL = 0x04034b50;
+
+// Manifestes et données audio (ArrayBuffer) des packs installés sur cet appareil
+const voicePackStore = {
+    _open() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(VOICE_PACK_DB, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('packs');
+                req.result.createObjectStore('clips');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+    async _run(store, mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const req = fn(db.transaction(store, mode).objectStore(store));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+    get(store, key) { return this._run(store, 'readonly', s => s.get(key)); },
+    getAll(store) { return this._run(store, 'readonly', s => s.getAll()); },
+    set(store, key, value) { return this._run(store, 'readwrite', s => s.put(value, key)); },
+    delete(store, key) { return this._run(store, 'readwrite', s => s.delete(key)); }
+};
+
+class VoicePacks {
+    constructor() {
+        this.packs = [];
+        this.activeId = null;
+        this._index = new Map();      // phrase normalisée → fichier du pack actif
+        this._buffers = new Map();    // fichier → AudioBuffer (ordre d'utilisation)
+        this.ready = this._loadPacks();
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async _loadPacks() {
+        if (!VoicePacks.isSupported()) return;
+        try {
+            this.packs = (await voicePackStore.getAll('packs'))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (e) {
+            console.warn('VoicePacks: lecture impossible', e);
+        }
+    }
+
+    /** Casse, espaces et ponctuation finale ignorés : « Expirez. » = « expirez » */
+    normalize(text) {
+        return String(text)
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[’‘]/g, '\'')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/[\s.!…]+$/, '');
+    }
+
+    // ==========================================
+    // Catalogue des phrases
+    // ==========================================
+
+    /**
+     * Phrases fixes de l'app : instructions des exercices, recadrages des contractions, phases W&B Up,
+     * annonces chronométrées (VoiceCues)
+     * @returns {Array<{ key, text, source }>}
+     */
+    getCatalog() {
+        const entries = [];
+        Object.entries(window.EXERCISES || {}).forEach(([id, exercise]) => {
+            const source = exercise.name || id;
+            Object.entries(exercise.instructions || {}).forEach(([key, text]) => {
+                if (typeof text === 'string' && text.trim()) entries.push({ key: `exercise:${id}:${key}`, text, source });
+            });
+            (exercise.reframingCues || []).forEach((text, i) => {
+                entries.push({ key: `exercise:${id}:cue:${i + 1}`, text, source });
+            });
+        });
+        Object.entries(window.WBU?.protocols || {}).forEach(([id, protocol]) => {
+            protocol.phases.forEach((phase, i) => {
+                if (phase.instruction) entries.push({ key: `wbu:${id}:${i + 1}`, text: phase.instruction, source: protocol.title });
+            });
+        });
+        if (window.voiceCues) entries.push(...window.voiceCues.getCatalog());
+        return entries;
+    }
+
+    /** Manifeste à compléter pour enregistrer un pack : un fichier proposé par phrase du catalogue */
+    buildTemplate() {
+        const clips = {};
+        const phrases = {};
+        this.getCatalog().forEach(({ key, text }) => {
+            clips[key] = `${key.split(':').join('/')}.mp3`;
+            phrases[key] = text;
+        });
+        return { id: 'mon-pack', name: 'Mon pack de voix', lang: 'fr-FR', clips, phrases };
+    }
+
+    // ==========================================
+    // Lecture d'archive zip
+    // ==========================================
+
+    /**
+     * Entrées d'une archive (stockées ou deflate ; ni zip64 ni chiffrement)
+     * @returns {Array<{ name, method, buffer, offset, compressedSize, size }>}
+     */
+    readZip(buffer) {
+        const view = new DataView(buffer);
+        // Fin du répertoire central : 22 octets + commentaire éventuel (65535 max)
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === ZIP_EOCD) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error('Ce fichier n\'est pas une archive zip');
+
+        const decoder = new TextDecoder();
+        const count = view.getUint16(eocd + 10, true);
+        let pos = view.getUint32(eocd + 16, true);
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pos, true) !== ZIP_CENTRAL) throw new Error('Archive zip corrompue');
+            const flags = view.getUint16(pos + 8, true);
+            const method = view.getUint16(pos + 10, true);
+            const compressedSize = view.getUint32(pos + 20, true);
+            const size = view.getUint32(pos + 24, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const localOffset = view.getUint32(pos + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+
+            // Dossiers, entrées chiffrées et métadonnées macOS ignorés
+            if (name.endsWith('/') || (flags & 1) || name.startsWith('__MACOSX/')) continue;
+            if (view.getUint32(localOffset, true) !== ZIP_LOCAL) throw new Error('Archive zip corrompue');
+            // L'extra de l'en-tête local peut différer de celui du répertoire central
+            const offset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            entries.push({ name, method, buffer, offset, compressedSize, size });
+        }
+        return entries;
+    }
+
+    async _extract(entry) {
+        const data = entry.buffer.slice(entry.offset, entry.offset + entry.compressedSize);
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error(`${entry.name} : compression non supportée`);
+        if (typeof DecompressionStream === 'undefined') throw new Error('Ce navigateur ne sait pas décompresser les archives zip');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer();
+    }
+
+    // ==========================================
+    // Packs installés
+    // ==========================================
+
+    /**
+     * Installe (ou remplace, même id) un pack depuis son archive
+     * @returns {Promise<Object>} pack : { id, name, lang, clips, count, missing, importedAt }
+     */
+    async importZip(file) {
+        if (!VoicePacks.isSupported()) throw new Error('Stockage local indisponible');
+        const entries = this.readZip(await file.arrayBuffer());
+
+        // manifest.json à la racine ou dans un dossier (zip d'un dossier)
+        const manifestEntry = entries
+            .filter(e => e.name.split('/').pop() === VOICE_PACK_MANIFEST)
+            .sort((a, b) => a.name.length - b.name.length)[0];
+        if (!manifestEntry) throw new Error('manifest.json introuvable dans l\'archive');
+        let manifest;
+        try {
+            manifest = JSON.parse(new TextDecoder().decode(await this._extract(manifestEntry)));
+        } catch (e) {
+            throw new Error('manifest.json illisible');
+        }
+        if (!manifest.id || !manifest.clips || typeof manifest.clips !== 'object') {
+            throw new Error('Manifeste invalide : id et clips requis');
+        }
+
+        const id = String(manifest.id).trim();
+        const base = manifestEntry.name.slice(0, -VOICE_PACK_MANIFEST.length);
+        const files = new Map(entries.map(e => [e.name, e]));
+        const catalog = new Map(this.getCatalog().map(e => [e.key, e.text]));
+
+        await this._deleteClips(id);
+        const clips = {};
+        let missing = 0;
+        for (const [key, path] of Object.entries(manifest.clips)) {
+            const name = base + String(path).replace(/^\.?\//, '');
+            const entry = files.get(name);
+            if (!entry || !VOICE_PACK_AUDIO.test(name)) { missing++; continue; }
+            if (!Object.values(clips).includes(name)) {
+                await voicePackStore.set('clips', `${id}/${name}`, await this._extract(entry));
+            }
+            // Clé du catalogue, sinon la clé est la phrase elle-même
+            clips[this.normalize(catalog.get(key) ?? key)] = name;
+        }
+        const count = Object.keys(clips).length;
+        if (!count) throw new Error('Aucun fichier audio de l\'archive ne correspond au manifeste');
+
+        const pack = {
+            id,
+            name: String(manifest.name || id),
+            lang: manifest.lang || 'fr-FR',
+            clips,
+            count,
+            missing,
+            importedAt: new Date().toISOString()
+        };
+        await voicePackStore.set('packs', id, pack);
+        await this._loadPacks();
+        if (this.activeId === id) await this.activate(id);
+        return pack;
+    }
+
+    async remove(id) {
+        await this._deleteClips(id);
+        await voicePackStore.delete('packs', id);
+        await this._loadPacks();
+        if (this.activeId === id) await this.activate(null);
+    }
+
+    _deleteClips(id) {
+        return voicePackStore._run('clips', 'readwrite', s => s.delete(IDBKeyRange.bound(`${id}/`, `${id}/\uffff`)));
+    }
+
+    /** Pack utilisé par SoundEngine.voice (null = synthèse vocale seule) */
+    async activate(id) {
+        await this.ready;
+        const pack = this.packs.find(p => p.id === id) || null;
+        this.activeId = pack ? pack.id : null;
+        this._index = new Map(pack ? Object.entries(pack.clips) : []);
+        this._buffers.clear();
+        return pack;
+    }
+
+    get activePack() {
+        return this.packs.find(p => p.id === this.activeId) || null;
+    }
+
+    // ==========================================
+    // Lecture
+    // ==========================================
+
+    /** Synchrone : SoundEngine.voice choisit clip ou TTS sans attendre */
+    hasClip(text) {
+        return !!text && this._index.has(this.normalize(text));
+    }
+
+    /** Clip décodé d'une phrase du pack actif (null si absent) */
+    async getBuffer(text, audioContext) {
+        const name = this._index.get(this.normalize(text));
+        if (!name) return null;
+        if (this._buffers.has(name)) {
+            const cached = this._buffers.get(name);
+            this._buffers.delete(name);
+            this._buffers.set(name, cached);
+            return cached;
+        }
+
+        const packId = this.activeId;
+        const data = await voicePackStore.get('clips', `${packId}/${name}`);
+        if (!data) return null;
+        // decodeAudioData détache le buffer : on décode une copie
+        const buffer = await audioContext.decodeAudioData(data.slice(0));
+        if (this.activeId === packId) {
+            this._buffers.set(name, buffer);
+            if (this._buffers.size > VOICE_PACK_BUFFER_CACHE) this._buffers.delete(this._buffers.keys().next().value);
+        }
+        return buffer;
+    }
+}
+
+window.voicePacks = new VoicePacks();
@@ -10,7 +10,7 @@ var WBU = (function () {
         'chasse-terre': {
             title: 'Récupération Post-Équipement',
             phases: [
-                { label: 'Normoventilation', duration: 300, color: 'hold',
+                { label: 'Normoventilation', duration: 300, color: 'hold', hrTarget: 75,
                   instruction: 'Assieds-toi ou allonge-toi. Respiration naturelle : inspire 3s par le nez, expire 5s par la bouche. Objectif : FC < 75 bpm avant l\'entrée dans l\'eau.' }
             ]
         },
@@ -43,14 +43,14 @@ var WBU = (function () {
         'statique-coherence': {
             title: 'Cohérence Cardiaque — Statique',
             phases: [
-                { label: 'Cohérence cardiaque', duration: 120, color: 'hold',
+                { label: 'Cohérence cardiaque', duration: 120, color: 'hold', hrTarget: 65,
                   instruction: 'Inspire 5s / Expire 5s. Diaphragmatique. Yeux fermés. Allongé si possible. FC cible < 65 bpm.' }
             ]
         },
         'statique-prep': {
             title: 'Préparation Apnée Statique',
             phases: [
-                { label: 'Cohérence cardiaque', duration: 120, color: 'hold',
+                { label: 'Cohérence cardiaque', duration: 120, color: 'hold', hrTarget: 65,
                   instruction: 'Inspire 5s / Expire 5s. Diaphragmatique. Yeux fermés. Allongé. FC cible < 65 bpm.' },
                 { label: 'Breathe-up PFI', duration: 90, color: 'exhale',
                   instruction: 'Inspire 2-5s → Pause 1-2s → Expire 8-10s lente et passive. 4 cycles/min. Corps relâché.' },
@@ -63,14 +63,14 @@ var WBU = (function () {
         'dynamique-coherence': {
             title: 'Cohérence Cardiaque — Dynamique',
             phases: [
-                { label: 'Cohérence cardiaque', duration: 120, color: 'hold',
+                { label: 'Cohérence cardiaque', duration: 120, color: 'hold', hrTarget: 65,
                   instruction: 'Au mur, immobile. Inspire 5s / Expire 5s. Diaphragmatique. FC cible < 65 bpm.' }
             ]
         },
         'dynamique-prep': {
             title: 'Préparation Apnée Dynamique',
             phases: [
-                { label: 'Cohérence cardiaque', duration: 120, color: 'hold',
+                { label: 'Cohérence cardiaque', duration: 120, color: 'hold', hrTarget: 65,
                   instruction: 'Au mur, immobile. Inspire 5s / Expire 5s. Corps relâché. FC cible < 65 bpm.' },
                 { label: 'Breathe-up long', duration: 120, color: 'exhale',
                   instruction: 'Inspire 5s → Pause 1-2s → Expire 10s. Plus long qu\'en statique. Position horizontale si possible.' },
@@ -83,14 +83,14 @@ var WBU = (function () {
         'profondeur-coherence': {
             title: 'Cohérence Méditée — Profondeur',
             phases: [
-                { label: 'Cohérence + méditation', duration: 180, color: 'hold',
+                { label: 'Cohérence + méditation', duration: 180, color: 'hold', hrTarget: 60,
                   instruction: 'Flottaison dorsale. Inspire 5s / Expire 5s. Yeux fermés. Visualise ta plongée. FC cible < 60 bpm.' }
             ]
         },
         'profondeur-prep': {
             title: 'Préparation Apnée en Profondeur',
             phases: [
-                { label: 'Cohérence méditée', duration: 180, color: 'hold',
+                { label: 'Cohérence méditée', duration: 180, color: 'hold', hrTarget: 60,
                   instruction: 'Flottaison dorsale. Inspire 5s / Expire 5s. Yeux fermés. Visualise ta plongée complète. FC cible < 60 bpm.' },
                 { label: 'Breathe-up profond', duration: 120, color: 'exhale',
                   instruction: 'Inspire 5s → Pause 1-2s → Expire 10s. Le plus lent et méditatif.' },
@@ -108,6 +108,7 @@ var WBU = (function () {
     var gPhaseIdx = 0;
     var gRemaining = 0;
     var gPaused = false;
+    var gWaited = 0;
     var CIRC = 2 * Math.PI * 62; // r=62
 
     // ── État recup timer ─────────────────────────────────────────
@@ -149,6 +150,7 @@ var WBU = (function () {
 
         var phase = gPhases[gPhaseIdx];
         gRemaining = phase.duration;
+        gWaited = 0;
 
         var phaseEl = el('chasseTimerPhase');
         var instrEl = el('chasseTimerInstruction');
@@ -162,11 +164,16 @@ var WBU = (function () {
 
         updateGuidedRing(gRemaining, phase.duration);
 
+        updateHeartRate();
+
         gTimer = setInterval(function () {
             if (gPaused) return;
-            gRemaining--;
-            updateGuidedRing(gRemaining, phase.duration);
+            if (gRemaining > 0) {
+                gRemaining--;
+                updateGuidedRing(gRemaining, phase.duration);
+            }
             if (gRemaining <= 0) {
+                if (hrGateHolds(phase)) { gWaited++; return; }
                 clearInterval(gTimer);
                 gPhaseIdx++;
                 setTimeout(runPhase, 500);
@@ -185,6 +192,28 @@ var WBU = (function () {
         }
     }
 
+    // Porte FC (phases avec hrTarget) : voir heartRate.gateWait()
+    function hrGateHolds(phase) {
+        var wait = window.heartRate ? window.heartRate.gateWait(phase.hrTarget, gWaited) : null;
+        if (!wait) return false;
+        var actionEl = el('chasseTimerAction');
+        if (actionEl) actionEl.textContent = wait;
+        return true;
+    }
+
+    function updateHeartRate() {
+        var hrEl = el('chasseTimerHr');
+        var hr = window.heartRate;
+        if (!hrEl) return;
+        var bpm = hr && hr.isConnected() ? hr.current() : null;
+        if (bpm === null) { hrEl.style.display = 'none'; return; }
+        var phase = gPhases[gPhaseIdx];
+        var target = phase && phase.hrTarget;
+        hrEl.style.display = '';
+        hrEl.textContent = '♥ ' + bpm + ' bpm' + (target ? ' / cible < ' + target : '');
+        hrEl.classList.toggle('reached', !!target && bpm < target);
+    }
+
     function completeGuided() {
         var phaseEl = el('chasseTimerPhase');
         var instrEl = el('chasseTimerInstruction');
@@ -270,12 +299,19 @@ var WBU = (function () {
         var stopBtn  = el('chasseTimerStopBtn');
         if (pauseBtn) pauseBtn.onclick = togglePause;
         if (stopBtn)  stopBtn.onclick  = stopGuided;
+
+        // FC en direct (heart-rate.js, chargé en defer → disponible au DOMContentLoaded)
+        if (window.heartRate) {
+            window.heartRate.on('sample', updateHeartRate);
+            window.heartRate.on('status', updateHeartRate);
+        }
     }
 
     document.addEventListener('DOMContentLoaded', setup);
 
     // ── API publique ─────────────────────────────────────────────
     return {
+        protocols: PROTOCOLS,
         startProtocol: startProtocol,
         startRecup: startRecup,
         stopRecup: stopRecup
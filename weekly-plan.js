@@ -2,11 +2,26 @@
  * WeeklyPlan — Plan de semaine personnalisé par IA
  * Génère un programme 7 jours via Claude/OpenAI, avec lancement direct
  * des exercices et sauvegarde des ressentis dans le journal.
+ * Programmes de plusieurs semaines (construction, pic, décharge) vers une échéance,
+ * réajustés chaque semaine selon l'assiduité et le ressenti.
+ * Export .ics des séances et import des sorties / compétitions (plan-calendar.js).
  */
 
+// Séances clés : reportées sur un autre jour si elles sont manquées
+const PLAN_KEY_EXERCISES = ['co2-table', 'o2-table', 'no-contraction', 'comfort-zone', 'comfort-zone-frc', 'contraction-tolerance'];
+
+const PLAN_CATEGORY_LABELS = {
+    respiration: 'Respiration',
+    apnee: 'Apnée',
+    visualisation: 'Visualisation',
+    preperformance: 'Pré-performance',
+    autohypnose: 'Auto-hypnose',
+    chasse: 'Warm & Breath Up'
+};
+
 class WeeklyPlan {
     constructor() {
-        this.data = this.load();       // { plans: [], currentPlanId: null }
+        this.data = this.load();       // { plans: [], currentPlanId: null, programs: [], autoReschedule: false }
         this.viewingPlanId = null;     // plan actuellement affiché
         this.isGenerating = false;
         this._noteDebounceTimers = {}; // timers debounce par dayIndex
@@ -17,28 +32,27 @@ class WeeklyPlan {
     // ─────────────────────────────────────────────
 
     load() {
-        try {
-            const raw = localStorage.getItem('deepbreath_weekly_plan');
-            if (raw) {
-                const parsed = JSON.parse(raw);
-                return { plans: parsed.plans || [], currentPlanId: parsed.currentPlanId || null };
-            }
-        } catch (e) { console.warn('WeeklyPlan: load error', e); }
-        return { plans: [], currentPlanId: null };
+        const parsed = window.storage.get('deepbreath_weekly_plan');
+        if (parsed) {
+            return {
+                plans: parsed.plans || [],
+                currentPlanId: parsed.currentPlanId || null,
+                programs: parsed.programs || [],
+                autoReschedule: !!parsed.autoReschedule
+            };
+        }
+        return { plans: [], currentPlanId: null, programs: [], autoReschedule: false };
     }
 
     save() {
         try {
-            localStorage.setItem('deepbreath_weekly_plan', JSON.stringify(this.data));
+            window.storage.set('deepbreath_weekly_plan', this.data, { origin: 'weeklyPlan' });
         } catch (e) { console.warn('WeeklyPlan: save error', e); }
     }
 
     loadCoachSettings() {
-        try {
-            const raw = localStorage.getItem('deepbreath_coach_settings');
-            if (raw) return JSON.parse(raw);
-        } catch (e) {}
-        return { provider: 'claude', apiKey: '', model: 'claude-sonnet-4-20250514' };
+        return window.storage.get('deepbreath_coach_settings')
+            || { provider: 'claude', apiKey: '', model: 'claude-sonnet-4-20250514' };
     }
 
     // ─────────────────────────────────────────────
@@ -46,11 +60,14 @@ class WeeklyPlan {
     // ─────────────────────────────────────────────
 
     getMondayOfCurrentWeek() {
-        const today = new Date();
-        const day = today.getDay(); // 0=dim, 1=lun…
+        return this.getMondayOf(new Date());
+    }
+
+    getMondayOf(date) {
+        const day = date.getDay(); // 0=dim, 1=lun…
         const diff = (day === 0) ? -6 : 1 - day;
-        const monday = new Date(today);
-        monday.setDate(today.getDate() + diff);
+        const monday = new Date(date);
+        monday.setDate(date.getDate() + diff);
         return monday.toISOString().slice(0, 10);
     }
 
@@ -65,6 +82,16 @@ class WeeklyPlan {
         return dates;
     }
 
+    addWeeks(mondayStr, count) {
+        const d = new Date(mondayStr + 'T12:00:00');
+        d.setDate(d.getDate() + count * 7);
+        return d.toISOString().slice(0, 10);
+    }
+
+    weeksBetween(fromMonday, toMonday) {
+        return Math.round((new Date(toMonday + 'T12:00:00') - new Date(fromMonday + 'T12:00:00')) / (7 * 86400000));
+    }
+
     getMondayOfPlan(plan) {
         return plan ? plan.weekStart : this.getMondayOfCurrentWeek();
     }
@@ -91,24 +118,97 @@ class WeeklyPlan {
         return this.data.plans.find(p => p.weekStart === mondayStr) || null;
     }
 
+    /**
+     * Garde tous les plans des programmes et les 10 dernières semaines isolées, triés par semaine
+     */
+    _prunePlans() {
+        const programIds = new Set(this.data.programs.map(p => p.id));
+        this.data.plans.sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+        const standalone = this.data.plans.filter(p => !programIds.has(p.programId));
+        const dropped = new Set(standalone.slice(0, -10).map(p => p.id));
+        this.data.plans = this.data.plans.filter(p => !dropped.has(p.id));
+    }
+
+    /**
+     * Plan vide pour une semaine (jours sans exercices)
+     */
+    createEmptyPlan(mondayStr, title = 'Plan Semaine') {
+        const weekDates = this.getWeekDates(mondayStr);
+        const dayLabels = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
+        return {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            weekStart: mondayStr,
+            weekEnd: weekDates[6],
+            title,
+            aiRationale: '',
+            days: weekDates.map((date, i) => ({
+                dayIndex: i,
+                date,
+                label: dayLabels[i],
+                exercises: [],
+                notes: '',
+                notesUpdatedAt: null
+            }))
+        };
+    }
+
+    /**
+     * Programme un jour précis (utilisé par le coach) — crée le plan de la semaine si besoin
+     * @param {string} dateStr - 'YYYY-MM-DD'
+     * @param {Array<{exerciseId, estimatedDuration}>} exercises
+     * @param {Object} options - { mode: 'replace'|'append', note }
+     * @returns {Object} le jour modifié
+     */
+    scheduleDay(dateStr, exercises, { mode = 'replace', note = '' } = {}) {
+        const mondayStr = this.getMondayOf(new Date(dateStr + 'T12:00:00'));
+        let plan = this.getPlanForWeek(mondayStr);
+        if (!plan) {
+            plan = this.createEmptyPlan(mondayStr, 'Plan du coach');
+            this.data.plans.push(plan);
+            this._prunePlans();
+            if (mondayStr === this.getMondayOfCurrentWeek()) this.data.currentPlanId = plan.id;
+        }
+
+        const day = plan.days.find(d => d.date === dateStr);
+        if (!day) throw new Error(`Date hors du plan : ${dateStr}`);
+
+        const known = window.EXERCISES || {};
+        const existing = mode === 'append' ? day.exercises : [];
+        day.exercises = [...existing, ...exercises.map(ex => ({
+            exerciseId: ex.exerciseId,
+            exerciseName: known[ex.exerciseId]?.name || ex.exerciseId,
+            estimatedDuration: ex.estimatedDuration || known[ex.exerciseId]?.duration || 10
+        }))].map((ex, order) => ({ ...ex, order }));
+
+        if (note) {
+            day.notes = day.notes ? `${day.notes}\n${note}` : note;
+            day.notesUpdatedAt = new Date().toISOString();
+        }
+
+        this.viewingPlanId = plan.id;
+        this.save();
+        this.render();
+        return day;
+    }
+
     // ─────────────────────────────────────────────
     // STATUS
     // ─────────────────────────────────────────────
 
     isExerciseDone(dayDate, exerciseId) {
-        try {
-            const sessions = JSON.parse(localStorage.getItem('deepbreath_sessions') || '[]');
-            return sessions.some(s =>
-                s.date && s.date.slice(0, 10) === dayDate &&
-                s.exerciseId === exerciseId
-            );
-        } catch (e) { return false; }
+        const sessions = window.storage.get('deepbreath_sessions', []);
+        return sessions.some(s =>
+            s.date && s.date.slice(0, 10) === dayDate &&
+            s.exerciseId === exerciseId
+        );
     }
 
-    getExerciseStatus(dayDate, exerciseId) {
+    getExerciseStatus(dayDate, exerciseId, exercise = null) {
         const today = new Date().toISOString().slice(0, 10);
         const done = this.isExerciseDone(dayDate, exerciseId);
         if (done) return 'done';
+        if (exercise?.movedTo) return 'moved';
         if (dayDate < today) return 'missed';
         return 'todo';
     }
@@ -122,7 +222,7 @@ class WeeklyPlan {
                     `#weekGrid .plan-exercise-item[data-exercise-id="${exercise.exerciseId}"][data-day-date="${day.date}"]`
                 );
                 if (!item) return;
-                const status = this.getExerciseStatus(day.date, exercise.exerciseId);
+                const status = this.getExerciseStatus(day.date, exercise.exerciseId, exercise);
                 item.className = `plan-exercise-item status-${status}`;
                 this._updateExerciseItemDOM(item, status);
             });
@@ -148,6 +248,9 @@ class WeeklyPlan {
         if (status === 'done') {
             return `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" width="16" height="16"><polyline points="20,6 9,17 4,12"/></svg>`;
         }
+        if (status === 'moved') {
+            return `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><polyline points="13,6 19,12 13,18"/><line x1="5" y1="12" x2="19" y2="12"/></svg>`;
+        }
         if (status === 'missed') {
             return `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>`;
         }
@@ -155,6 +258,204 @@ class WeeklyPlan {
         return `<svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><circle cx="12" cy="12" r="6"/></svg>`;
     }
 
+    // ─────────────────────────────────────────────
+    // ASSIDUITÉ & REPORT DES SÉANCES MANQUÉES
+    // ─────────────────────────────────────────────
+
+    isKeyExercise(exerciseId) {
+        return PLAN_KEY_EXERCISES.includes(exerciseId);
+    }
+
+    /**
+     * Prévu / réalisé d'une semaine, jusqu'à aujourd'hui (les exercices reportés comptent à leur nouveau jour)
+     * @returns {{ planned, done, ratio, plannedMinutes, actualMinutes, categories: { [cat]: { planned, done } } }}
+     *   ratio null si rien n'était encore prévu
+     */
+    getWeekAdherence(plan) {
+        const known = window.EXERCISES || {};
+        const stats = { planned: 0, done: 0, ratio: null, plannedMinutes: 0, actualMinutes: 0, categories: {} };
+        plan.days.forEach(day => day.exercises.forEach(ex => {
+            const status = this.getExerciseStatus(day.date, ex.exerciseId, ex);
+            if (status === 'todo' || status === 'moved') return;
+            const category = known[ex.exerciseId]?.category || 'autre';
+            if (!stats.categories[category]) stats.categories[category] = { planned: 0, done: 0 };
+            stats.planned++;
+            stats.categories[category].planned++;
+            stats.plannedMinutes += ex.estimatedDuration || 0;
+            if (status === 'done') {
+                stats.done++;
+                stats.categories[category].done++;
+            }
+        }));
+        stats.ratio = stats.planned ? stats.done / stats.planned : null;
+
+        // Charge réalisée : toutes les séances des jours écoulés, prévues ou non
+        const today = new Date().toISOString().slice(0, 10);
+        const dates = plan.days.map(d => d.date).filter(d => d <= today);
+        const seconds = window.storage.get('deepbreath_sessions', [])
+            .filter(s => s.date && dates.includes(s.date.slice(0, 10)))
+            .reduce((sum, s) => sum + (s.duration || 0), 0);
+        stats.actualMinutes = Math.round(seconds / 60);
+        return stats;
+    }
+
+    /**
+     * Assiduité des dernières semaines planifiées, en texte pour les prompts (coach, génération)
+     * @returns {string} vide s'il n'y a aucun plan commencé
+     */
+    getAdherenceSummary(weeks = 4) {
+        const currentMonday = this.getMondayOfCurrentWeek();
+        const plans = this.data.plans.filter(p => p.weekStart <= currentMonday).slice(-weeks);
+        if (!plans.length) return '';
+
+        const categories = {};
+        let moved = 0;
+        const lines = plans.map(plan => {
+            const stats = this.getWeekAdherence(plan);
+            Object.entries(stats.categories).forEach(([cat, c]) => {
+                if (!categories[cat]) categories[cat] = { planned: 0, done: 0 };
+                categories[cat].planned += c.planned;
+                categories[cat].done += c.done;
+            });
+            plan.days.forEach(day => day.exercises.forEach(ex => { if (ex.movedFrom) moved++; }));
+            const ratio = stats.ratio !== null ? ` (${Math.round(stats.ratio * 100)} %)` : '';
+            return `- Semaine du ${plan.weekStart}${plan.weekStart === currentMonday ? ' (en cours)' : ''} : ${stats.done}/${stats.planned} exercices prévus faits${ratio}, charge prévue ${stats.plannedMinutes} min / réalisée ${stats.actualMinutes} min`;
+        });
+
+        const byCategory = Object.entries(categories)
+            .map(([cat, c]) => `${PLAN_CATEGORY_LABELS[cat] || cat} ${c.done}/${c.planned}`)
+            .join(', ');
+        if (byCategory) lines.push(`- Par catégorie : ${byCategory}`);
+        if (moved) lines.push(`- Séances clés reportées après un oubli : ${moved}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Reporte les séances clés manquées (tables, zone de confort) sur le prochain jour compatible
+     * de la semaine : un jour d'entraînement (jamais un jour de repos), sans autre séance clé
+     * ni la veille ni le lendemain, ni l'échéance d'un programme ou sa veille
+     * @returns {number} séances reportées
+     */
+    rescheduleMissed(plan = this.getPlanForWeek(this.getMondayOfCurrentWeek())) {
+        if (!plan) return 0;
+        const today = new Date().toISOString().slice(0, 10);
+        const eventDate = this.getProgramForPlan(plan)?.eventDate;
+        let eventEve = null;
+        if (eventDate) {
+            const eve = new Date(eventDate + 'T12:00:00');
+            eve.setDate(eve.getDate() - 1);
+            eventEve = eve.toISOString().slice(0, 10);
+        }
+
+        // Séance clé faite ou encore à faire ce jour-là (une séance manquée n'a rien coûté)
+        const hasKey = day => !!day && day.exercises.some(ex =>
+            this.isKeyExercise(ex.exerciseId) && !['missed', 'moved'].includes(this.getExerciseStatus(day.date, ex.exerciseId, ex)));
+
+        let moved = 0;
+        plan.days.forEach(day => {
+            day.exercises.forEach(ex => {
+                if (!this._isMissedKeySession(plan, day, ex, today)) return;
+
+                const target = plan.days.find((d, i) =>
+                    d.date >= today
+                    && d.exercises.length > 0
+                    && d.date !== eventDate && d.date !== eventEve
+                    && !hasKey(d) && !hasKey(plan.days[i - 1]) && !hasKey(plan.days[i + 1]));
+                if (!target) return;
+
+                // Après le premier exercice du jour (éveil respiratoire), les autres sont conservés
+                const { movedTo, ...rest } = ex;
+                const [first, ...others] = target.exercises;
+                target.exercises = [first, { ...rest, movedFrom: day.date }, ...others]
+                    .map((e, order) => ({ ...e, order }));
+                ex.movedTo = target.date;
+                moved++;
+            });
+        });
+
+        if (moved) this.save();
+        return moved;
+    }
+
+    /** Séance clé manquée, ni rattrapée plus tard dans la semaine ni déjà reportée */
+    _isMissedKeySession(plan, day, ex, today) {
+        if (!this.isKeyExercise(ex.exerciseId)) return false;
+        if (this.getExerciseStatus(day.date, ex.exerciseId, ex) !== 'missed') return false;
+        return !plan.days.some(d => d.date > day.date && d.date <= today && this.isExerciseDone(d.date, ex.exerciseId));
+    }
+
+    countMissedKeySessions(plan) {
+        const today = new Date().toISOString().slice(0, 10);
+        return plan.days.reduce((count, day) =>
+            count + day.exercises.filter(ex => this._isMissedKeySession(plan, day, ex, today)).length, 0);
+    }
+
+    setAutoReschedule(enabled) {
+        this.data.autoReschedule = !!enabled;
+        this.save();
+        if (enabled) this._autoReschedule();
+        this.render();
+    }
+
+    _autoReschedule() {
+        if (!this.data.autoReschedule) return;
+        const moved = this.rescheduleMissed();
+        if (moved) window.app?.showToast(`${moved} séance${moved > 1 ? 's' : ''} clé${moved > 1 ? 's' : ''} reportée${moved > 1 ? 's' : ''}`);
+    }
+
+    // ─────────────────────────────────────────────
+    // CALENDRIER (.ics)
+    // ─────────────────────────────────────────────
+
+    /** Sorties / compétitions importées couvrant une date */
+    getCalendarEvents(dateStr) {
+        return window.planCalendar ? window.planCalendar.getEventsOn(dateStr) : [];
+    }
+
+    exportCalendar() {
+        const plan = this.getViewingPlan();
+        if (!plan) return;
+
+        const dayIndexes = [...document.querySelectorAll('#planExportDays input:checked')].map(input => Number(input.value));
+        const { ics, count } = window.planCalendar.buildPlanICS(plan, {
+            dayIndexes,
+            time: document.getElementById('planExportTime')?.value || '07:30',
+            alarmMinutes: Number(document.getElementById('planExportAlarm')?.value) || 0,
+            appUrl: window.location.origin + window.location.pathname
+        });
+        if (!count) {
+            window.app?.showToast('Aucun exercice dans les jours choisis', 'warning');
+            return;
+        }
+
+        const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `deepbreath-plan-${plan.weekStart}.ics`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        window.app?.showToast(`${count} exercice${count > 1 ? 's' : ''} exporté${count > 1 ? 's' : ''}`);
+    }
+
+    importCalendar(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const count = window.planCalendar.importICS(e.target.result);
+                this.render();
+                window.app?.showToast(count
+                    ? `${count} événement${count > 1 ? 's' : ''} importé${count > 1 ? 's' : ''}`
+                    : 'Aucun événement à venir dans ce calendrier', count ? undefined : 'warning');
+            } catch (err) {
+                window.app?.showToast('Calendrier invalide : ' + err.message, 'warning');
+            }
+        };
+        reader.readAsText(file);
+    }
+
     // ─────────────────────────────────────────────
     // AI GENERATION
     // ─────────────────────────────────────────────
@@ -163,13 +464,21 @@ class WeeklyPlan {
         if (this.isGenerating) return;
 
         const coachSettings = this.loadCoachSettings();
-        if (!coachSettings.apiKey || coachSettings.apiKey.trim() === '') {
-            // Afficher l'état "no API key" sans rediriger — rester sur la section Plan
-            this._showNoApiKeyState();
+        const template = document.getElementById('planTemplate')?.value || '';
+        const wantsLocal = document.getElementById('planGenerator')?.value === 'local';
+        const programWeeks = Number(document.getElementById('planProgramWeeks')?.value) || 0;
+        const eventDate = document.getElementById('planEventDate')?.value || '';
+
+        // Programme de plusieurs semaines : toujours construit sur l'appareil
+        if (programWeeks || eventDate) {
+            this.generateProgram({ template, weeks: programWeeks || 6, eventDate });
             return;
         }
-        if (!navigator.onLine) {
-            window.app?.showToast('Connexion requise pour générer un plan', 'warning');
+
+        // Sans IA disponible (pas de clé, hors connexion) : générateur hors-ligne
+        if (wantsLocal || !LLMProviders.isConfigured(coachSettings)
+            || (!navigator.onLine && !LLMProviders.isLocal(coachSettings))) {
+            this.generateLocalPlan(template);
             return;
         }
 
@@ -177,57 +486,20 @@ class WeeklyPlan {
         this._showLoading(true);
 
         try {
-            const userMessage = this.buildGenerationPrompt();
-            const systemPrompt = `Tu es un coach spécialisé en apnée et entraînement respiratoire au sec. Tu tutoies l'élève. Direct, concret, expert en tables CO2/O2, tolérance, breathe-up, relaxation. Réponds UNIQUEMENT en JSON valide, sans markdown, sans texte autour.`;
+            const userMessage = this.buildGenerationPrompt(template);
+            const language = window.i18n && window.i18n.language !== 'fr'
+                ? ` Rédige title et rationale en ${window.i18n.promptName}.`
+                : '';
+            const systemPrompt = `Tu es un coach spécialisé en apnée et entraînement respiratoire au sec. Tu tutoies l'élève. Direct, concret, expert en tables CO2/O2, tolérance, breathe-up, relaxation. Réponds UNIQUEMENT en JSON valide, sans markdown, sans texte autour.${language}`;
 
             let result;
-            if (coachSettings.provider === 'openai') {
+            if (LLMProviders.get(coachSettings).api === 'openai') {
                 result = await this.callOpenAIRaw(systemPrompt, userMessage, coachSettings);
             } else {
                 result = await this.callClaudeRaw(systemPrompt, userMessage, coachSettings);
             }
 
-            const aiData = this.parseAIResponse(result.text);
-            const mondayStr = this.getMondayOfCurrentWeek();
-            const weekDates = this.getWeekDates(mondayStr);
-            const dayLabels = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
-
-            const plan = {
-                id: this.generateId(),
-                createdAt: new Date().toISOString(),
-                weekStart: mondayStr,
-                weekEnd: weekDates[6],
-                title: aiData.title || 'Plan Semaine',
-                aiRationale: aiData.rationale || '',
-                days: aiData.days.map((day, i) => ({
-                    dayIndex: i,
-                    date: weekDates[i],
-                    label: dayLabels[i],
-                    exercises: day.exercises || [],
-                    notes: '',
-                    notesUpdatedAt: null
-                }))
-            };
-
-            // Conserver les notes existantes si le plan de la même semaine est régénéré
-            const existingPlan = this.getPlanForWeek(mondayStr);
-            if (existingPlan) {
-                plan.days.forEach((day, i) => {
-                    if (existingPlan.days[i]) {
-                        day.notes = existingPlan.days[i].notes || '';
-                        day.notesUpdatedAt = existingPlan.days[i].notesUpdatedAt || null;
-                    }
-                });
-                this.data.plans = this.data.plans.filter(p => p.weekStart !== mondayStr);
-            }
-
-            this.data.plans.push(plan);
-            if (this.data.plans.length > 10) {
-                this.data.plans = this.data.plans.slice(-10);
-            }
-            this.data.currentPlanId = plan.id;
-            this.viewingPlanId = plan.id;
-            this.save();
+            this._storeGeneratedPlan(this.parseAIResponse(result.text));
 
             this.isGenerating = false;
             this._showLoading(false);
@@ -243,7 +515,274 @@ class WeeklyPlan {
         }
     }
 
-    buildGenerationPrompt() {
+    /** Plan construit sur l'appareil (plan-generator.js), même validation que la réponse IA */
+    generateLocalPlan(template = '') {
+        try {
+            const directiveEl = document.getElementById('planDirective');
+            const eventDayIndex = this.getWeekDates(this.getMondayOfCurrentWeek())
+                .findIndex(date => this.getCalendarEvents(date).some(e => e.kind !== 'other'));
+            const result = window.localPlanGenerator.generate({
+                template,
+                sessions: window.storage.get('deepbreath_sessions', []),
+                apneaMax: window.app?.settings?.apneaMax || 120,
+                trainingFreq: window.coach?.profile?.trainingFreq,
+                directive: directiveEl ? directiveEl.value.trim() : '',
+                goals: window.storage.get('deepbreath_goals') || '',
+                eventDayIndex: eventDayIndex >= 0 ? eventDayIndex : null
+            });
+            this._storeGeneratedPlan(this.parseAIResponse(JSON.stringify(result)), { generator: 'local' });
+            this.render();
+            window.app?.showToast('Plan généré hors-ligne');
+        } catch (e) {
+            console.error('WeeklyPlan: local generation failed', e);
+            window.app?.showToast('Erreur génération : ' + e.message, 'warning');
+        }
+    }
+
+    /** Enregistre un plan validé pour une semaine (notes et programme conservés si elle est régénérée) */
+    _storeGeneratedPlan(aiData, extra = {}, mondayStr = this.getMondayOfCurrentWeek()) {
+        const existingPlan = this.getPlanForWeek(mondayStr);
+        const weekDates = this.getWeekDates(mondayStr);
+        const dayLabels = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
+
+        // Semaine de programme régénérée (par le programme ou à la main) : même id, pour que
+        // program.weeks[].planId reste valide et que la synchro la voie comme une modification
+        const sameProgram = existingPlan?.programId && (!extra.programId || existingPlan.programId === extra.programId);
+        const plan = {
+            id: sameProgram ? existingPlan.id : this.generateId(),
+            createdAt: new Date().toISOString(),
+            weekStart: mondayStr,
+            weekEnd: weekDates[6],
+            title: aiData.title || 'Plan Semaine',
+            aiRationale: aiData.rationale || '',
+            days: aiData.days.map((day, i) => ({
+                dayIndex: i,
+                date: weekDates[i],
+                label: dayLabels[i],
+                exercises: day.exercises || [],
+                notes: '',
+                notesUpdatedAt: null
+            })),
+            ...(existingPlan?.programId ? { programId: existingPlan.programId, programWeek: existingPlan.programWeek } : {}),
+            ...extra
+        };
+
+        // Conserver les notes existantes si le plan de la même semaine est régénéré
+        if (existingPlan) {
+            plan.days.forEach((day, i) => {
+                if (existingPlan.days[i]) {
+                    day.notes = existingPlan.days[i].notes || '';
+                    day.notesUpdatedAt = existingPlan.days[i].notesUpdatedAt || null;
+                }
+            });
+            this.data.plans = this.data.plans.filter(p => p.weekStart !== mondayStr);
+        }
+
+        this.data.plans.push(plan);
+        this._prunePlans();
+        if (mondayStr === this.getMondayOfCurrentWeek()) this.data.currentPlanId = plan.id;
+        this.viewingPlanId = plan.id;
+        this.save();
+        return plan;
+    }
+
+    // ─────────────────────────────────────────────
+    // PROGRAMMES (blocs de plusieurs semaines)
+    // ─────────────────────────────────────────────
+
+    getProgramById(id) {
+        return this.data.programs.find(p => p.id === id) || null;
+    }
+
+    getProgramForPlan(plan) {
+        return plan?.programId ? this.getProgramById(plan.programId) : null;
+    }
+
+    getActiveProgram() {
+        return this.data.programs.find(p => p.status === 'active') || null;
+    }
+
+    generateProgram(options) {
+        try {
+            const program = this.createProgram({
+                ...options,
+                directive: document.getElementById('planDirective')?.value.trim() || ''
+            });
+            this.render();
+            window.app?.showToast(window.i18n.t('Programme de {weeks} semaines créé', { weeks: program.weeks.length }));
+        } catch (e) {
+            console.error('WeeklyPlan: program generation failed', e);
+            window.app?.showToast('Erreur programme : ' + e.message, 'warning');
+        }
+    }
+
+    /**
+     * Programme de plusieurs semaines à partir de la semaine en cours ; l'échéance fixe sa durée
+     * @param {Object} options - { template, weeks, eventDate: 'YYYY-MM-DD', directive }
+     * @returns {Object} le programme
+     */
+    createProgram({ template = '', weeks = 6, eventDate = '', directive = '' } = {}) {
+        const startMonday = this.getMondayOfCurrentWeek();
+        if (eventDate) {
+            const eventMonday = this.getMondayOf(new Date(eventDate + 'T12:00:00'));
+            if (eventMonday < startMonday) throw new Error('Échéance déjà passée');
+            weeks = this.weeksBetween(startMonday, eventMonday) + 1;
+        }
+        if (weeks < 2) throw new Error('Échéance trop proche (2 semaines minimum)');
+        if (weeks > 12) throw new Error('Échéance trop lointaine (12 semaines maximum)');
+
+        const generator = window.localPlanGenerator;
+        const key = PLAN_TEMPLATES[template]
+            ? template
+            : generator.detectTemplate(`${directive} ${window.storage.get('deepbreath_goals') || ''}`);
+
+        // Un seul programme actif : le précédent s'arrête à la semaine en cours
+        const active = this.getActiveProgram();
+        if (active) this.stopProgram(active.id);
+
+        const program = {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            title: `${PLAN_TEMPLATES[key].label} — ${weeks} semaines`,
+            template: key,
+            directive,
+            eventDate: eventDate || null,
+            startWeek: startMonday,
+            adjustedFor: startMonday,
+            status: 'active',
+            weeks: generator.periodize(weeks, !!eventDate).map(({ phase, load }, index) => ({
+                index,
+                weekStart: this.addWeeks(startMonday, index),
+                phase,
+                load,
+                plannedLoad: load,
+                adjustment: '',
+                planId: null
+            }))
+        };
+        this.data.programs.push(program);
+        this._generateProgramWeeks(program, program.weeks);
+
+        const firstPlan = this.getPlanById(program.weeks[0].planId);
+        this.data.currentPlanId = firstPlan.id;
+        this.viewingPlanId = firstPlan.id;
+        this.save();
+        return program;
+    }
+
+    /** (Re)génère des semaines du programme avec la charge de leur phase */
+    _generateProgramWeeks(program, weeks) {
+        const sessions = window.storage.get('deepbreath_sessions', []);
+        const total = program.weeks.length;
+        weeks.forEach(week => {
+            const eventDayIndex = program.eventDate ? this.getWeekDates(week.weekStart).indexOf(program.eventDate) : -1;
+            const result = window.localPlanGenerator.generate({
+                template: program.template,
+                sessions,
+                apneaMax: window.app?.settings?.apneaMax || 120,
+                trainingFreq: window.coach?.profile?.trainingFreq,
+                directive: program.directive,
+                load: week.load,
+                eventDayIndex: eventDayIndex >= 0 ? eventDayIndex : null
+            });
+            result.title = `S${week.index + 1}/${total} · ${PROGRAM_PHASES[week.phase].label} — ${PLAN_TEMPLATES[program.template].label}`;
+            result.rationale = [week.adjustment, result.rationale].filter(Boolean).join(' ');
+
+            const plan = this._storeGeneratedPlan(
+                this.parseAIResponse(JSON.stringify(result)),
+                { generator: 'local', programId: program.id, programWeek: week.index },
+                week.weekStart
+            );
+            week.planId = plan.id;
+        });
+    }
+
+    /** Ressenti moyen des séances de la semaine (null sans ressenti noté) */
+    getWeekFeeling(mondayStr) {
+        const dates = this.getWeekDates(mondayStr);
+        const rated = window.storage.get('deepbreath_sessions', [])
+            .filter(s => s.feeling && s.date && dates.includes(s.date.slice(0, 10)));
+        return rated.length ? rated.reduce((sum, s) => sum + s.feeling, 0) / rated.length : null;
+    }
+
+    /**
+     * Début de semaine : bilan de la semaine écoulée (assiduité, ressenti), charge de la semaine
+     * suivante ajustée, puis semaines restantes régénérées avec l'historique à jour
+     * @returns {boolean} programme modifié
+     */
+    adjustProgram(program) {
+        const currentMonday = this.getMondayOfCurrentWeek();
+        if (program.status !== 'active' || program.adjustedFor >= currentMonday) return false;
+        program.adjustedFor = currentMonday;
+
+        const remaining = program.weeks.filter(w => w.weekStart >= currentMonday);
+        if (!remaining.length) {
+            program.status = 'done';
+            return true;
+        }
+
+        const last = program.weeks.filter(w => w.weekStart < currentMonday).pop();
+        const lastPlan = last && this.getPlanById(last.planId);
+        if (lastPlan) {
+            const { ratio } = this.getWeekAdherence(lastPlan);
+            const feeling = this.getWeekFeeling(last.weekStart);
+            last.adherence = ratio;
+            last.feeling = feeling;
+
+            const next = remaining[0];
+            next.load = next.plannedLoad;
+            next.adjustment = '';
+            const lighter = { build: 'normal', normal: 'deload', deload: 'deload' };
+            if (feeling !== null && feeling < 3) {
+                next.load = 'deload';
+                next.adjustment = `Ressenti moyen ${feeling.toFixed(1)}/5 la semaine passée : semaine allégée.`;
+            } else if (ratio !== null && ratio < 0.5) {
+                next.load = lighter[next.load];
+                next.adjustment = `${Math.round(ratio * 100)} % des séances faites la semaine passée : charge réduite d'un cran.`;
+            } else if (ratio >= 0.9 && feeling >= 4 && next.phase === 'build' && next.load === 'normal') {
+                next.load = 'build';
+                next.adjustment = 'Semaine passée complète avec de bonnes sensations : charge augmentée.';
+            }
+        }
+
+        this._generateProgramWeeks(program, remaining);
+        return true;
+    }
+
+    adjustPrograms() {
+        const viewingWeek = this.getViewingPlan()?.weekStart;
+        const changed = this.data.programs.filter(p => this.adjustProgram(p)).length > 0;
+        if (!changed) return;
+
+        // Rester sur la semaine affichée, la semaine en cours devient le plan courant
+        const currentWeekPlan = this.getPlanForWeek(this.getMondayOfCurrentWeek());
+        if (currentWeekPlan) this.data.currentPlanId = currentWeekPlan.id;
+        const viewed = viewingWeek && this.getPlanForWeek(viewingWeek);
+        this.viewingPlanId = viewed ? viewed.id : this.data.currentPlanId;
+        this.save();
+    }
+
+    /**
+     * Arrête un programme : semaines à venir supprimées, semaines passées et en cours
+     * conservées comme plans isolés
+     */
+    stopProgram(id) {
+        const currentMonday = this.getMondayOfCurrentWeek();
+        this.data.plans = this.data.plans.filter(p => p.programId !== id || p.weekStart <= currentMonday);
+        this.data.plans.forEach(p => {
+            if (p.programId !== id) return;
+            delete p.programId;
+            delete p.programWeek;
+        });
+        this.data.programs = this.data.programs.filter(p => p.id !== id);
+        this._prunePlans();
+
+        if (!this.getPlanById(this.data.currentPlanId)) this.data.currentPlanId = null;
+        if (!this.getPlanById(this.viewingPlanId)) this._selectCurrentWeek();
+        this.save();
+    }
+
+    buildGenerationPrompt(template = '') {
         const exercises = window.EXERCISES || {};
         const settings = window.app ? window.app.settings : {};
         const apneaMax = settings.apneaMax || 120;
@@ -257,9 +796,9 @@ class WeeklyPlan {
             ? window.coach.buildProfileSummary()
             : 'Profil non renseigné.';
 
-        const goals = localStorage.getItem('deepbreath_goals') || 'Non définis.';
+        const goals = window.storage.get('deepbreath_goals') || 'Non définis.';
 
-        const sessions = JSON.parse(localStorage.getItem('deepbreath_sessions') || '[]');
+        const sessions = window.storage.get('deepbreath_sessions', []);
         const recentSessions = sessions.slice(-30).map(s =>
             `${s.date?.slice(0, 10) || '?'} | ${s.exerciseName || '?'} (${s.category || '?'}) | ${Math.floor((s.duration || 0) / 60)}min | Ressenti:${s.feeling || '?'}/5`
         ).join('\n') || 'Aucune session enregistrée.';
@@ -279,6 +818,23 @@ class WeeklyPlan {
         const directiveEl = document.getElementById('planDirective');
         const directive = directiveEl ? directiveEl.value.trim() : '';
 
+        // Semaine d'un programme : l'IA respecte la phase prévue
+        const program = this.getProgramForPlan(this.getPlanForWeek(mondayStr));
+        const programWeek = program?.weeks.find(w => w.weekStart === mondayStr);
+        const upcoming = window.planCalendar ? window.planCalendar.describeUpcoming() : '';
+        const eventsBlock = upcoming
+            ? `\n## Sorties et compétitions à venir (calendrier de l'élève)\n${upcoming}\n`
+            : '';
+
+        const adherence = this.getAdherenceSummary();
+        const adherenceBlock = adherence
+            ? `\n## Assiduité au plan (prévu vs réalisé)\n${adherence}\n`
+            : '';
+
+        const programLine = programWeek
+            ? `\n## Programme en cours\n${program.title} — semaine ${programWeek.index + 1}/${program.weeks.length}, phase : ${PROGRAM_PHASES[programWeek.phase].label.toLowerCase()}${program.eventDate ? `, échéance le ${program.eventDate}` : ''}\n`
+            : '';
+
         return `Génère un plan d'entraînement pour la semaine du ${mondayStr}.
 
 ## Profil de l'élève
@@ -286,25 +842,27 @@ ${profile}
 
 ## Objectifs
 ${goals}
-
+${template && window.PLAN_TEMPLATES?.[template] ? `Objectif principal de la semaine : ${window.PLAN_TEMPLATES[template].label}\n` : ''}
 ## Apnée max actuelle
 ${apneaFormatted} (${apneaMax} secondes)
 
 ## Historique récent (30 dernières sessions)
 ${recentSessions}
-
+${adherenceBlock}
 ## Exercices disponibles dans l'app
 Format: exerciseId | Nom | catégorie | durée estimée
 ${catalog}
 
 ## Dates de la semaine
 ${datesLine}
-${directive ? `\n## Consigne spéciale de l'utilisateur (PRIORITAIRE)\n${directive}\n` : ''}
+${directive ? `\n## Consigne spéciale de l'utilisateur (PRIORITAIRE)\n${directive}\n` : ''}${programLine}${eventsBlock}
 ## Consignes
 - 1 à 3 exercices par jour maximum
 - Respecte la progressivité (échauffement/respiration avant tables, CO2 avant O2)
 - Inclus des jours de repos si nécessaire (dimanche au moins)
 - Adapte en fonction de l'historique et du niveau
+- Si l'assiduité est faible, réduis le volume plutôt que de reporter toute la charge manquée
+- Une compétition ou une sortie cette semaine : rien d'intense la veille, le jour même uniquement éveil respiratoire
 - Mets les exercices dans l'ordre logique de la séance (éveil respiratoire → travail principal → récupération)
 
 ## Format de réponse (JSON strict, sans markdown)
@@ -376,14 +934,12 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 60000);
         try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
+            const response = await fetch(LLMProviders.chatUrl(settings), {
                 signal: controller.signal,
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'x-api-key': settings.apiKey,
-                    'anthropic-version': '2023-06-01',
-                    'anthropic-dangerous-direct-browser-access': 'true'
+                    ...LLMProviders.headers(settings)
                 },
                 body: JSON.stringify({
                     model: settings.model || 'claude-sonnet-4-20250514',
@@ -410,14 +966,15 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
 
     async callOpenAIRaw(systemPrompt, userMessage, settings) {
         const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 60000);
+        // Modèle local : chargement + génération sur CPU possibles, délai plus large
+        const timeout = setTimeout(() => controller.abort(), LLMProviders.isLocal(settings) ? 180000 : 60000);
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
+            const response = await fetch(LLMProviders.chatUrl(settings), {
                 signal: controller.signal,
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${settings.apiKey}`
+                    ...LLMProviders.headers(settings)
                 },
                 body: JSON.stringify({
                     model: settings.model || 'gpt-4o-mini',
@@ -463,7 +1020,7 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
 
     pushNoteToJournal(dateStr, noteText) {
         try {
-            const sessions = JSON.parse(localStorage.getItem('deepbreath_sessions') || '[]');
+            const sessions = window.storage.get('deepbreath_sessions', []);
             const dayLabel = `[Plan Semaine] ${noteText}`;
             let modified = false;
 
@@ -478,12 +1035,8 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
             });
 
             if (modified) {
-                localStorage.setItem('deepbreath_sessions', JSON.stringify(sessions));
-                if (window.coach) {
-                    window.coach.sessions = sessions;
-                    window.coach.renderRecentSessions?.();
-                }
-                if (window.journal) window.journal.render?.();
+                // Coach et journal se rechargent via l'événement de changement
+                window.storage.set('deepbreath_sessions', sessions, { origin: 'weeklyPlan' });
             }
         } catch (e) {
             console.warn('WeeklyPlan: pushNoteToJournal error', e);
@@ -503,41 +1056,6 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         }
     }
 
-    _showNoApiKeyState() {
-        const emptyEl = document.getElementById('planEmpty');
-        const loading = document.getElementById('planLoading');
-        const grid = document.getElementById('weekGrid');
-        const rationale = document.getElementById('planRationale');
-
-        if (loading) loading.style.display = 'none';
-        if (grid) grid.style.display = 'none';
-        if (rationale) rationale.style.display = 'none';
-        if (emptyEl) {
-            emptyEl.style.display = 'flex';
-            emptyEl.innerHTML = `
-                <div class="plan-empty-icon">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2" width="56" height="56">
-                        <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
-                        <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
-                    </svg>
-                </div>
-                <h3>Clé API manquante</h3>
-                <p>Pour générer un plan personnalisé, configure ta clé API dans la section <strong>Coach IA</strong>.</p>
-                <p class="plan-empty-hint">
-                    1. Va dans l'onglet <strong>Coach</strong> dans la navigation<br>
-                    2. Clique sur <strong>⚙ Réglages du Coach</strong><br>
-                    3. Entre ta clé API Claude ou OpenAI<br>
-                    4. Reviens ici et clique <strong>Générer un plan</strong>
-                </p>
-                <button class="btn-generate-plan" style="margin-top:var(--space-md)" onclick="document.querySelector('[data-section=coach]')?.click()">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
-                        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
-                    </svg>
-                    Aller dans le Coach IA
-                </button>`;
-        }
-    }
-
     // ─────────────────────────────────────────────
     // RENDER
     // ─────────────────────────────────────────────
@@ -546,6 +1064,8 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         const plan = this.getViewingPlan();
         this._renderWeekLabel(plan);
         this._renderNavButtons(plan);
+        this._renderProgramStrip(plan);
+        this._renderCalendarPanel(plan);
 
         if (this.isGenerating) {
             this._showState('loading');
@@ -559,6 +1079,7 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
 
         this._showState('grid');
         this._renderRationale(plan);
+        this._renderAdherence(plan);
         this._renderWeekGrid(plan);
         this._bindExerciseButtons();
         this._bindNotesSaving(plan);
@@ -574,6 +1095,7 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         if (empty) empty.style.display = (state === 'empty') ? 'flex' : 'none';
         if (grid) grid.style.display = (state === 'grid') ? 'grid' : 'none';
         if (rationale) rationale.style.display = (state === 'grid') ? 'block' : 'none';
+        if (state !== 'grid') this._renderAdherence(null);
     }
 
     _showLoading(show) {
@@ -613,6 +1135,90 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         }
     }
 
+    /** Prévu / réalisé de la semaine affichée, par catégorie, et report des séances clés manquées */
+    _renderAdherence(plan) {
+        const box = document.getElementById('planAdherence');
+        if (!box) return;
+        const started = plan && plan.weekStart <= this.getMondayOfCurrentWeek();
+        box.hidden = !started;
+        if (!started) {
+            box.innerHTML = '';
+            return;
+        }
+
+        const stats = this.getWeekAdherence(plan);
+        const ratio = stats.ratio !== null ? `${Math.round(stats.ratio * 100)} %` : '—';
+        const categories = Object.entries(stats.categories)
+            .map(([cat, c]) => `<span class="plan-adherence-cat">${this.escapeHtml(PLAN_CATEGORY_LABELS[cat] || cat)} ${c.done}/${c.planned}</span>`)
+            .join('');
+        const missed = plan.weekStart === this.getMondayOfCurrentWeek() ? this.countMissedKeySessions(plan) : 0;
+
+        box.innerHTML = `
+            <div class="plan-adherence-main">
+                <span><strong>${ratio}</strong> des exercices prévus faits (${stats.done}/${stats.planned})</span>
+                <span>Charge : ${stats.actualMinutes} min réalisées / ${stats.plannedMinutes} min prévues</span>
+            </div>
+            ${categories ? `<div class="plan-adherence-cats">${categories}</div>` : ''}
+            <div class="plan-adherence-actions">
+                <label class="plan-adherence-auto">
+                    <input type="checkbox" id="planAutoReschedule" ${this.data.autoReschedule ? 'checked' : ''}>
+                    Reporter automatiquement les séances clés manquées
+                </label>
+                ${missed && !this.data.autoReschedule ? `<button class="btn-reschedule" id="btnReschedule">Reporter ${missed} séance${missed > 1 ? 's' : ''} manquée${missed > 1 ? 's' : ''}</button>` : ''}
+            </div>`;
+
+        box.querySelector('#planAutoReschedule')?.addEventListener('change', e => this.setAutoReschedule(e.target.checked));
+        box.querySelector('#btnReschedule')?.addEventListener('click', () => {
+            const moved = this.rescheduleMissed(plan);
+            this.render();
+            window.app?.showToast(moved
+                ? `${moved} séance${moved > 1 ? 's' : ''} reportée${moved > 1 ? 's' : ''}`
+                : 'Aucun jour compatible cette semaine (repos, séance clé la veille ou le lendemain)', moved ? undefined : 'warning');
+        });
+    }
+
+    /** Jours à exporter (cochés : ceux qui restent à faire) et événements importés */
+    _renderCalendarPanel(plan) {
+        const daysEl = document.getElementById('planExportDays');
+        const exportBtn = document.getElementById('btnExportICS');
+        if (daysEl) {
+            const today = new Date().toISOString().slice(0, 10);
+            const upcoming = plan ? plan.days.filter(d => d.exercises.length && d.date >= today) : [];
+            daysEl.innerHTML = plan
+                ? plan.days.map(day => `
+                    <label class="plan-export-day${day.exercises.length ? '' : ' rest'}">
+                        <input type="checkbox" value="${day.dayIndex}" ${day.exercises.length ? '' : 'disabled'}
+                            ${day.exercises.length && (!upcoming.length || day.date >= today) ? 'checked' : ''}>
+                        ${this.escapeHtml(day.label.slice(0, 3))}
+                    </label>`).join('')
+                : '<span class="plan-calendar-hint">Aucun plan affiché.</span>';
+        }
+        if (exportBtn) exportBtn.disabled = !plan;
+
+        const list = document.getElementById('planCalendarEvents');
+        if (!list || !window.planCalendar) return;
+        const kinds = { competition: 'Compétition', trip: 'Sortie', other: 'Événement' };
+        const events = window.planCalendar.getUpcomingEvents();
+        list.innerHTML = events.map(e => `
+            <li class="plan-calendar-event event-${e.kind}">
+                <span class="plan-calendar-event-date">${this._formatDateMedium(e.start)}${e.end !== e.start ? ` – ${this._formatDateMedium(e.end)}` : ''}</span>
+                <span class="plan-calendar-event-title">${kinds[e.kind]} · ${this.escapeHtml(e.title)}</span>
+                <button class="btn-calendar-small" data-prepare="${this.escapeHtml(e.start)}" title="Programme jusqu'à cette date">Préparer</button>
+                <button class="btn-calendar-small" data-remove="${this.escapeHtml(e.uid)}" title="Retirer">×</button>
+            </li>`).join('');
+
+        list.querySelectorAll('[data-prepare]').forEach(btn => btn.addEventListener('click', () => {
+            const input = document.getElementById('planEventDate');
+            if (input) input.value = btn.dataset.prepare;
+            document.querySelector('.plan-directive-row')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            window.app?.showToast('Échéance réglée : clique sur Générer un plan');
+        }));
+        list.querySelectorAll('[data-remove]').forEach(btn => btn.addEventListener('click', () => {
+            window.planCalendar.removeEvent(btn.dataset.remove);
+            this.render();
+        }));
+    }
+
     _renderWeekLabel(plan) {
         const labelEl = document.getElementById('planWeekLabel');
         if (!labelEl) return;
@@ -640,12 +1246,75 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         nextBtn.disabled = viewingIdx >= plans.length - 1 || viewingIdx === -1;
     }
 
+    /** Tout le bloc en un coup d'œil : une pastille par semaine (phase, assiduité), cliquable */
+    _renderProgramStrip(plan) {
+        const strip = document.getElementById('programStrip');
+        if (!strip) return;
+        const program = this.getProgramForPlan(plan);
+        strip.hidden = !program;
+        if (!program) {
+            strip.innerHTML = '';
+            return;
+        }
+
+        const currentMonday = this.getMondayOfCurrentWeek();
+        let countdown = `${program.weeks.length} semaines`;
+        if (program.eventDate) {
+            const days = Math.round((new Date(program.eventDate + 'T12:00:00') - new Date(new Date().toISOString().slice(0, 10) + 'T12:00:00')) / 86400000);
+            countdown = `Échéance ${this._formatDateMedium(program.eventDate)}${days >= 0 ? ` · J-${days}` : ''}`;
+        }
+
+        const chips = program.weeks.map(week => {
+            const weekPlan = this.getPlanById(week.planId);
+            const started = week.weekStart <= currentMonday;
+            const adherence = weekPlan && started ? this.getWeekAdherence(weekPlan).ratio : null;
+            const classes = [
+                'program-week-chip',
+                `phase-${week.phase}`,
+                week.weekStart === currentMonday ? 'current' : '',
+                weekPlan && weekPlan.id === plan.id ? 'viewing' : '',
+                week.adjustment ? 'adjusted' : ''
+            ].filter(Boolean).join(' ');
+            const title = [`Semaine du ${this._formatDateMedium(week.weekStart)}`, PROGRAM_PHASES[week.phase].label, week.adjustment]
+                .filter(Boolean).join(' · ');
+            return `
+                <button class="${classes}" data-plan-id="${weekPlan ? weekPlan.id : ''}" title="${this.escapeHtml(title)}" ${weekPlan ? '' : 'disabled'}>
+                    <span class="program-week-num">S${week.index + 1}</span>
+                    <span class="program-week-phase">${PROGRAM_PHASES[week.phase].short}</span>
+                    <span class="program-week-adherence">${adherence !== null ? `${Math.round(adherence * 100)} %` : this._formatDateShort(week.weekStart)}</span>
+                </button>`;
+        }).join('');
+
+        strip.innerHTML = `
+            <div class="program-strip-header">
+                <strong>${this.escapeHtml(program.title)}</strong>
+                <span class="program-strip-countdown">${countdown}</span>
+                <button class="btn-stop-program" id="btnStopProgram">Arrêter</button>
+            </div>
+            <div class="program-weeks">${chips}</div>`;
+
+        strip.querySelectorAll('.program-week-chip[data-plan-id]').forEach(chip => {
+            chip.addEventListener('click', () => {
+                if (!chip.dataset.planId) return;
+                this.viewingPlanId = chip.dataset.planId;
+                this.render();
+            });
+        });
+        strip.querySelector('#btnStopProgram')?.addEventListener('click', () => {
+            if (!confirm(`Arrêter le programme "${program.title}" ?\nLes semaines à venir seront supprimées, les semaines passées conservées.`)) return;
+            this.stopProgram(program.id);
+            this.render();
+            window.app?.showToast('Programme arrêté.');
+        });
+    }
+
     _renderWeekGrid(plan) {
         const grid = document.getElementById('weekGrid');
         if (!grid) return;
 
         const today = new Date().toISOString().slice(0, 10);
-        grid.innerHTML = plan.days.map(day => this._renderDayCard(day, today)).join('');
+        const eventDate = this.getProgramForPlan(plan)?.eventDate;
+        grid.innerHTML = plan.days.map(day => this._renderDayCard(day, today, eventDate)).join('');
 
         // Scroll vers aujourd'hui sur mobile
         const todayCard = grid.querySelector('.day-card.today');
@@ -656,7 +1325,7 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         }
     }
 
-    _renderDayCard(day, today) {
+    _renderDayCard(day, today, eventDate = null) {
         const isToday = day.date === today;
         const isPast = day.date < today;
         const dayClass = isToday ? 'today' : isPast ? 'past' : 'future';
@@ -671,6 +1340,11 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         const todayBadgeHTML = isToday
             ? `<div class="today-badge">Aujourd'hui</div>`
             : '';
+        const eventBadgeHTML = [
+            day.date === eventDate ? `<div class="event-badge">Échéance</div>` : '',
+            ...this.getCalendarEvents(day.date).map(e =>
+                `<div class="event-badge event-${e.kind}" title="${this.escapeHtml(e.title)}${e.location ? ` — ${this.escapeHtml(e.location)}` : ''}">${this.escapeHtml(e.title.length > 18 ? e.title.slice(0, 17) + '…' : e.title)}</div>`)
+        ].join('');
 
         return `
         <div class="day-card ${dayClass}" data-day-index="${day.dayIndex}" data-date="${day.date}">
@@ -678,6 +1352,7 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
                 <div class="day-name">${this.escapeHtml(day.label)}</div>
                 <div class="day-date">${this._formatDateShort(day.date)}</div>
                 ${todayBadgeHTML}
+                ${eventBadgeHTML}
             </div>
             <div class="day-exercises">
                 ${exercisesHTML}
@@ -692,11 +1367,14 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
     }
 
     _renderExerciseItem(exercise, dayDate) {
-        const status = this.getExerciseStatus(dayDate, exercise.exerciseId);
+        const status = this.getExerciseStatus(dayDate, exercise.exerciseId, exercise);
         const statusIcon = this._statusIcon(status);
         const btnLabel = status === 'done' ? 'Refaire' : 'Démarrer';
         const btnClass = status === 'done' ? 'btn-start-exercise btn-redo' : 'btn-start-exercise';
         const durationLabel = exercise.estimatedDuration ? `${exercise.estimatedDuration} min` : '';
+        let movedLabel = '';
+        if (status === 'moved') movedLabel = `Reporté au ${this._formatDateShort(exercise.movedTo)}`;
+        else if (exercise.movedFrom) movedLabel = `Reporté du ${this._formatDateShort(exercise.movedFrom)}`;
 
         return `
         <div class="plan-exercise-item status-${status}"
@@ -705,6 +1383,7 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
             <div class="plan-exercise-info">
                 <span class="plan-exercise-name">${this.escapeHtml(exercise.exerciseName)}</span>
                 ${durationLabel ? `<span class="plan-exercise-duration">${durationLabel}</span>` : ''}
+                ${movedLabel ? `<span class="plan-exercise-moved">${movedLabel}</span>` : ''}
             </div>
             <div class="plan-exercise-actions">
                 <span class="plan-exercise-status-icon">${statusIcon}</span>
@@ -720,6 +1399,18 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
     // ─────────────────────────────────────────────
 
     init() {
+        this._selectCurrentWeek();
+        this.adjustPrograms();
+        this._autoReschedule();
+        this._setupGenerateButton();
+        this._setupDeleteButton();
+        this._setupWeekNavigation();
+        this._setupCalendar();
+        this._watchStorage();
+        this.render();
+    }
+
+    _selectCurrentWeek() {
         // S'assurer que le plan affiché correspond à la semaine courante si possible
         const currentWeekPlan = this.getPlanForWeek(this.getMondayOfCurrentWeek());
         if (currentWeekPlan) {
@@ -730,11 +1421,20 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
             const latest = this.data.plans[this.data.plans.length - 1];
             this.viewingPlanId = latest.id;
         }
+    }
 
-        this._setupGenerateButton();
-        this._setupDeleteButton();
-        this._setupWeekNavigation();
-        this.render();
+    // Plan modifié ailleurs (sync, import) → rechargement ; séances → statut des exercices
+    _watchStorage() {
+        window.storage.on(['deepbreath_weekly_plan', 'deepbreath_sessions', 'deepbreath_calendar_events'], ({ key, origin }) => {
+            if (origin === 'weeklyPlan') return;
+            if (key === 'deepbreath_weekly_plan') {
+                this.data = this.load();
+                if (!this.getPlanById(this.viewingPlanId)) this._selectCurrentWeek();
+            }
+            this.adjustPrograms();
+            this._autoReschedule();
+            this.render();
+        });
     }
 
     _setupGenerateButton() {
@@ -744,6 +1444,19 @@ Règles : exerciseId = exactement les IDs de la liste ci-dessus. exercises=[] po
         }
     }
 
+    _setupCalendar() {
+        document.getElementById('btnExportICS')?.addEventListener('click', () => this.exportCalendar());
+        const fileInput = document.getElementById('planImportFile');
+        document.getElementById('btnImportICS')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importCalendar(file);
+                fileInput.value = '';
+            }
+        });
+    }
+
     _setupDeleteButton() {
         const btn = document.getElementById('btnDeletePlan');
         if (btn) {